@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * Local chat simulator: boots the bot in-process, POSTs signed EventSub
+ * notifications to its own /twitch/event endpoint and captures everything it
+ * would have sent to Helix. The events travel the production path unchanged:
+ * signature check -> eventSubHandler -> convertEventSubToTags -> handleChatMessage.
+ *
+ * Usage:
+ *   node scripts/chat-simulator.js [--channel=NAME] [--user=NAME] [--transcript=FILE]
+ *                                  [--out=FILE] [--port=N] [--delay=MS] [--lifecycle]
+ *
+ *   --channel     Channel to simulate (default: first TWITCH_CHANNELS entry, else "testchannel")
+ *   --user        Chatter for interactive lines (default: "viewer")
+ *   --transcript  Replay a transcript file instead of opening a REPL, then exit
+ *   --out         Write the captured bot output as JSON on exit
+ *   --port        Port for the in-process webhook server (default: 8090)
+ *   --delay       Milliseconds to wait after each transcript line (default: 3000)
+ *   --lifecycle   Also start the LifecycleManager (auto-chat, timers, pollers)
+ *
+ * Storage defaults to STORAGE_BACKEND=memory so nothing touches Firestore. LLM
+ * calls still need real API keys; Helix lookups (user IDs, stream info) fail
+ * harmlessly without real Twitch credentials.
+ *
+ * Transcript format (one entry per line, '#' starts a comment):
+ *   alice: hello there             chat message from alice
+ *   bob (mod,sub): !trivia start   chat message with badges
+ *   /online                        any REPL command below
+ *
+ * REPL commands:
+ *   /as NAME [ROLES]       switch chatter; ROLES is a comma list of mod,vip,sub,broadcaster
+ *   /online | /offline     stream.online / stream.offline
+ *   /raid FROM [VIEWERS]   channel.raid
+ *   /follow NAME           channel.follow
+ *   /sub NAME              channel.subscribe
+ *   /redeem REWARD_ID [INPUT]  channel points redemption as the current chatter
+ *   /wait MS               pause (useful in transcripts)
+ *   /log                   print everything captured so far
+ *   /save FILE             write captured output as JSON
+ *   /quit                  shut down
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import readline from 'readline';
+import axios from 'axios';
+
+// Parse CLI args
+const args = process.argv.slice(2);
+const argValue = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const channelName = (argValue('channel')
+    || (process.env.TWITCH_CHANNELS || '').split(',').map(c => c.trim()).find(Boolean)
+    || 'testchannel').toLowerCase();
+const transcriptPath = argValue('transcript');
+const outPath = argValue('out');
+const port = parseInt(argValue('port') || '8090', 10);
+const lineDelayMs = parseInt(argValue('delay') || '3000', 10);
+const startLifecycle = hasFlag('lifecycle');
+
+// The environment must be settled before the first import of src/config/loader.js,
+// which is why every application module below is imported dynamically.
+process.env.NODE_ENV = 'development';
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+const devChannels = new Set((process.env.TWITCH_CHANNELS || '').split(',').map(c => c.trim().toLowerCase()).filter(Boolean));
+devChannels.add(channelName);
+process.env.TWITCH_CHANNELS = [...devChannels].join(',');
+// EVENTSUB_BYPASS would skip the signature check this simulator exists to exercise.
+delete process.env.EVENTSUB_BYPASS;
+
+const WEBHOOK_URL = `http://127.0.0.1:${port}/twitch/event`;
+const captured = [];
+
+let currentUser = { login: (argValue('user') || 'viewer').toLowerCase(), roles: [] };
+
+/** Deterministic numeric Twitch-style ID for a login, so IDs are stable across runs. */
+function fakeUserId(login) {
+    const hash = crypto.createHash('sha256').update(login.toLowerCase()).digest();
+    return String(hash.readUInt32BE(0) % 900000000 + 100000000);
+}
+
+function userFields(prefix, login) {
+    return {
+        [`${prefix}_user_id`]: fakeUserId(login),
+        [`${prefix}_user_login`]: login.toLowerCase(),
+        [`${prefix}_user_name`]: login,
+    };
+}
+
+function badgesFor(login, roles) {
+    const badges = [];
+    if (login.toLowerCase() === channelName || roles.includes('broadcaster')) badges.push({ set_id: 'broadcaster', id: '1', info: '' });
+    if (roles.includes('mod')) badges.push({ set_id: 'moderator', id: '1', info: '' });
+    if (roles.includes('vip')) badges.push({ set_id: 'vip', id: '1', info: '' });
+    if (roles.includes('sub')) badges.push({ set_id: 'subscriber', id: '0', info: '1' });
+    return badges;
+}
+
+// --- Event builders ---
+
+function chatMessageEvent(login, roles, text) {
+    return {
+        ...userFields('broadcaster', channelName),
+        ...userFields('chatter', login),
+        message_id: crypto.randomUUID(),
+        message: { text, fragments: [{ type: 'text', text, cheermote: null, emote: null, mention: null }] },
+        color: '#9146FF',
+        badges: badgesFor(login, roles),
+        message_type: 'text',
+        cheer: null,
+        reply: null,
+        channel_points_custom_reward_id: null,
+    };
+}
+
+function streamOnlineEvent() {
+    return { id: crypto.randomUUID(), ...userFields('broadcaster', channelName), type: 'live', started_at: new Date().toISOString() };
+}
+
+function streamOfflineEvent() {
+    return { ...userFields('broadcaster', channelName) };
+}
+
+function raidEvent(fromLogin, viewers) {
+    return { ...userFields('from_broadcaster', fromLogin), ...userFields('to_broadcaster', channelName), viewers };
+}
+
+function followEvent(login) {
+    return { ...userFields('user', login), ...userFields('broadcaster', channelName), followed_at: new Date().toISOString() };
+}
+
+function subscribeEvent(login) {
+    return { ...userFields('user', login), ...userFields('broadcaster', channelName), tier: '1000', is_gift: false };
+}
+
+function redemptionEvent(login, rewardId, input) {
+    return {
+        id: crypto.randomUUID(),
+        ...userFields('broadcaster', channelName),
+        ...userFields('user', login),
+        user_input: input || '',
+        status: 'unfulfilled',
+        reward: { id: rewardId, title: rewardId, cost: 1, prompt: '' },
+        redeemed_at: new Date().toISOString(),
+    };
+}
+
+// --- Delivery ---
+
+/**
+ * Signs and POSTs a notification exactly as Twitch would.
+ */
+async function deliver(type, version, event, secret) {
+    const messageId = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+    const body = JSON.stringify({
+        subscription: {
+            id: crypto.randomUUID(),
+            status: 'enabled',
+            type,
+            version,
+            condition: { broadcaster_user_id: fakeUserId(channelName) },
+            transport: { method: 'webhook', callback: WEBHOOK_URL },
+            created_at: timestamp,
+        },
+        event,
+    });
+    const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(messageId + timestamp + body).digest('hex');
+
+    const response = await axios.post(WEBHOOK_URL, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'Twitch-Eventsub-Message-Id': messageId,
+            'Twitch-Eventsub-Message-Timestamp': timestamp,
+            'Twitch-Eventsub-Message-Signature': signature,
+            'Twitch-Eventsub-Message-Type': 'notification',
+            'Twitch-Eventsub-Subscription-Type': type,
+            'Twitch-Eventsub-Subscription-Version': version,
+        },
+        timeout: 10000,
+        validateStatus: () => true,
+    });
+    if (response.status !== 200) {
+        console.error(`❌ ${type} rejected with HTTP ${response.status}`);
+    }
+}
+
+function parseRoles(raw) {
+    return (raw || '').split(',').map(r => r.trim().toLowerCase()).filter(Boolean);
+}
+
+function printCaptured(entry) {
+    if (entry.type === 'moderation') {
+        const target = entry.messageId ? `message ${entry.messageId}` : `user ${entry.userId}`;
+        const duration = entry.durationSeconds ? ` ${entry.durationSeconds}s` : '';
+        console.log(`🛡️  [${entry.action}${duration}] ${entry.channel} ${target}${entry.reason ? ` — ${entry.reason}` : ''}`);
+        return;
+    }
+    const tag = entry.type === 'announcement' ? `📣 [${entry.color}]` : (entry.replyToId ? '↩️ ' : '💬');
+    console.log(`${tag} ${entry.channel} <bot>: ${entry.message}`);
+}
+
+function saveCaptured(filePath) {
+    fs.writeFileSync(filePath, JSON.stringify(captured, null, 2));
+    console.log(`💾 Wrote ${captured.length} captured messages to ${filePath}`);
+}
+
+/**
+ * Handles one line of input. Returns false when the simulator should exit.
+ */
+async function handleLine(line, secret) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return true;
+
+    if (!trimmed.startsWith('/')) {
+        // "name (roles): text" in transcripts; bare text as the current chatter.
+        const match = trimmed.match(/^([A-Za-z0-9_]{2,25})(?:\s*\(([^)]*)\))?:\s+(.+)$/);
+        const login = match ? match[1] : currentUser.login;
+        const roles = match ? parseRoles(match[2]) : currentUser.roles;
+        const text = match ? match[3] : trimmed;
+        console.log(`🗨️  ${login}: ${text}`);
+        await deliver('channel.chat.message', '1', chatMessageEvent(login, roles, text), secret);
+        return true;
+    }
+
+    const [command, ...rest] = trimmed.slice(1).split(/\s+/);
+    switch (command.toLowerCase()) {
+        case 'as':
+            if (!rest[0]) {
+                console.log(`Current chatter: ${currentUser.login} [${currentUser.roles.join(',') || 'viewer'}]`);
+            } else {
+                currentUser = { login: rest[0].toLowerCase(), roles: parseRoles(rest[1]) };
+                console.log(`👤 Now chatting as ${currentUser.login} [${currentUser.roles.join(',') || 'viewer'}]`);
+            }
+            return true;
+        case 'online':
+            await deliver('stream.online', '1', streamOnlineEvent(), secret);
+            return true;
+        case 'offline':
+            await deliver('stream.offline', '1', streamOfflineEvent(), secret);
+            return true;
+        case 'raid':
+            await deliver('channel.raid', '1', raidEvent(rest[0] || 'raider', parseInt(rest[1], 10) || 10), secret);
+            return true;
+        case 'follow':
+            await deliver('channel.follow', '2', followEvent(rest[0] || currentUser.login), secret);
+            return true;
+        case 'sub':
+            await deliver('channel.subscribe', '1', subscribeEvent(rest[0] || currentUser.login), secret);
+            return true;
+        case 'redeem':
+            if (!rest[0]) {
+                console.log('Usage: /redeem REWARD_ID [INPUT]');
+                return true;
+            }
+            await deliver('channel.channel_points_custom_reward_redemption.add', '1',
+                redemptionEvent(currentUser.login, rest[0], rest.slice(1).join(' ')), secret);
+            return true;
+        case 'wait':
+            await new Promise(resolve => setTimeout(resolve, parseInt(rest[0], 10) || 1000));
+            return true;
+        case 'log':
+            captured.forEach(printCaptured);
+            return true;
+        case 'save':
+            saveCaptured(rest[0] || 'simulator-output.json');
+            return true;
+        case 'quit':
+        case 'exit':
+            return false;
+        case 'help':
+            console.log('Commands: /as NAME [ROLES], /online, /offline, /raid FROM [VIEWERS], /follow NAME, /sub NAME, /redeem REWARD_ID [INPUT], /wait MS, /log, /save FILE, /quit');
+            return true;
+        default:
+            console.log(`Unknown command /${command}. Try /help.`);
+            return true;
+    }
+}
+
+async function main() {
+    const { default: config } = await import('../src/config/index.js');
+    const { initializeAllComponents } = await import('../src/initialization/initComponents.js');
+    const { createHealthServer, closeHealthServer } = await import('../src/server/healthServer.js');
+    const { markEventSubReady } = await import('../src/components/twitch/eventsub.js');
+    const { setOutboundChatSink } = await import('../src/components/twitch/chatClient.js');
+    const { waitForQueueEmpty, clearMessageQueue } = await import('../src/lib/ircSender.js');
+    const { closeFirestore } = await import('../src/lib/firestore.js');
+    const { default: LifecycleManager } = await import('../src/services/LifecycleManager.js');
+
+    // Sign with the configured secret when there is one; otherwise mint a throwaway
+    // secret for this process. Either way the handler verifies a real signature.
+    if (!config.twitch.eventSubSecret) {
+        config.twitch.eventSubSecret = crypto.randomBytes(32).toString('hex');
+    }
+    const secret = config.twitch.eventSubSecret;
+
+    setOutboundChatSink((entry) => {
+        const record = { ...entry, at: new Date().toISOString() };
+        captured.push(record);
+        printCaptured(record);
+        return true;
+    });
+
+    console.log(`🧪 Booting WildcatSage for #${channelName} (storage: ${process.env.STORAGE_BACKEND})...`);
+    await initializeAllComponents();
+    const server = await createHealthServer({ port, isDev: false, getIsFullyInitialized: () => true });
+    markEventSubReady();
+    if (startLifecycle) {
+        await LifecycleManager.get().startMonitoring();
+    }
+    console.log(`✅ Ready. Posting signed EventSub notifications to ${WEBHOOK_URL}`);
+
+    const shutdown = async () => {
+        await waitForQueueEmpty();
+        if (outPath) saveCaptured(outPath);
+        if (startLifecycle) LifecycleManager.get().stopMonitoring();
+        clearMessageQueue();
+        await closeHealthServer(server);
+        await closeFirestore();
+        process.exit(0);
+    };
+
+    if (transcriptPath) {
+        const lines = fs.readFileSync(transcriptPath, 'utf8').split(/\r?\n/);
+        for (const line of lines) {
+            if (!(await handleLine(line, secret))) break;
+            if (line.trim() && !line.trim().startsWith('#') && !line.trim().startsWith('/wait')) {
+                await new Promise(resolve => setTimeout(resolve, lineDelayMs));
+            }
+        }
+        await shutdown();
+        return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const prompt = () => {
+        rl.setPrompt(`${currentUser.login}@#${channelName}> `);
+        rl.prompt();
+    };
+    prompt();
+    rl.on('line', async (line) => {
+        rl.pause();
+        try {
+            if (!(await handleLine(line, secret))) {
+                rl.close();
+                return;
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+        }
+        rl.resume();
+        prompt();
+    });
+    rl.on('close', () => {
+        shutdown().catch(err => {
+            console.error(err);
+            process.exit(1);
+        });
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Simulator failed to start:', error);
+    process.exit(1);
+});
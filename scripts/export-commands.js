@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/export-commands.js
+ *
+ * Writes a channel's custom commands, their aliases and command settings to a
+ * JSON backup that scripts/import-commands.js can restore.
+ *
+ * Usage:
+ *   node scripts/export-commands.js <channel> [output-file]
+ *
+ * Defaults to commands_<channel>_<timestamp>.json in the current directory.
+ * Uses the storage backend from the bot's configuration (.env). Only the
+ * storage settings are read, so no Twitch or LLM keys are needed.
+ */
+
+import fs from 'fs';
+import { initializeFirestore, closeFirestore } from '../src/lib/firestore.js';
+import { exportCustomCommands } from '../src/components/customCommands/commandImport.js';
+
+async function main() {
+    const [channelArg, outputArg] = process.argv.slice(2);
+    if (!channelArg || channelArg.startsWith('-')) {
+        console.error('Usage: node scripts/export-commands.js <channel> [output-file]');
+        process.exit(1);
+    }
+    const channel = channelArg.replace(/^#/, '').toLowerCase();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = outputArg || `commands_${channel}_${timestamp}.json`;
+
+    try {
+        await initializeFirestore();
+        const backup = await exportCustomCommands(channel);
+        fs.writeFileSync(filename, `${JSON.stringify(backup, null, 2)}\n`);
+        console.log(`✅ Exported ${backup.commands.length} commands for ${channel} to ${filename}`);
+    } catch (error) {
+        console.error(`❌ Export failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await closeFirestore();
+    }
+}
+
+main();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/import-commands.js
+ *
+ * Imports a channel's custom commands from another bot's export, or restores a
+ * backup written by scripts/export-commands.js.
+ *
+ * Usage:
+ *   node scripts/import-commands.js <channel> <file> [options]
+ *
+ * Supported files:
+ *   Nightbot         JSON from the commands API ({ commands: [...] })
+ *   StreamElements   JSON from the bot commands API (an array)
+ *   Fossabot         JSON command list ({ commands: [...] } or an array)
+ *   Streamlabs       Streamlabs Chatbot command spreadsheet saved as CSV
+ *   wildcatsage      Our own backup
+ *
+ * Options:
+ *   --format <name>  Skip detection (nightbot, streamelements, fossabot, streamlabs, wildcatsage)
+ *   --overwrite      Replace commands that already exist instead of skipping them
+ *   --dry-run        Report what would happen without writing anything
+ *
+ * Uses the storage backend from the bot's configuration (.env). Only the
+ * storage settings are read, so no Twitch or LLM keys are needed.
+ */
+
+import fs from 'fs';
+import { initializeFirestore, closeFirestore } from '../src/lib/firestore.js';
+import {
+    parseImportFile,
+    importCustomCommands,
+    CommandImportError,
+} from '../src/components/customCommands/commandImport.js';
+
+function printReport(result, dryRun) {
+    const verb = dryRun ? 'Would' : 'Did';
+    console.log(`\n✅ ${dryRun ? 'Would add' : 'Added'} ${result.added.length}: ${result.added.map(n => `!${n}`).join(', ') || '-'}`);
+    console.log(`🔁 ${dryRun ? 'Would update' : 'Updated'} ${result.updated.length}: ${result.updated.map(n => `!${n}`).join(', ') || '-'}`);
+    if (result.aliases.length > 0) {
+        console.log(`🔗 Aliases: ${result.aliases.join(', ')}`);
+    }
+    if (result.settings.length > 0) {
+        console.log(`⚙️  Settings: ${result.settings.join(', ')}`);
+    }
+    if (result.skipped.length > 0) {
+        console.log(`\n⏭️  ${verb} not import ${result.skipped.length}:`);
+        result.skipped.forEach(({ name, reason }) => console.log(`   !${name}: ${reason}`));
+    }
+    if (result.warnings.length > 0) {
+        console.log('\n⚠️  Warnings:');
+        result.warnings.forEach(({ name, message }) => console.log(`   !${name}: ${message}`));
+    }
+    if (result.hostsToAllow.length > 0) {
+        console.log('\n🌐 $(urlfetch) only contacts allowed hosts. A moderator can allow these with:');
+        result.hostsToAllow.forEach(host => console.log(`   !command urlhosts add ${host}`));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [channel, file] = args;
+    if (!channel || !file || channel.startsWith('-') || file.startsWith('-')) {
+        console.error('Usage: node scripts/import-commands.js <channel> <file> [--format <name>] [--overwrite] [--dry-run]');
+        process.exit(1);
+    }
+
+    const formatIdx = args.indexOf('--format');
+    const format = formatIdx !== -1 ? args[formatIdx + 1] : null;
+    if (formatIdx !== -1 && (!format || format.startsWith('-'))) {
+        console.error('❌ --format requires a value, e.g. --format nightbot');
+        process.exit(1);
+    }
+    const overwrite = args.includes('--overwrite');
+    const dryRun = args.includes('--dry-run');
+
+    let parsed;
+    try {
+        parsed = parseImportFile(fs.readFileSync(file, 'utf8'), format);
+    } catch (error) {
+        console.error(`❌ ${error instanceof CommandImportError ? error.message : `Could not read ${file}: ${error.message}`}`);
+        process.exit(1);
+    }
+    console.log(`📄 Read ${parsed.entries.length} ${parsed.format} commands from ${file}`);
+
+    try {
+        await initializeFirestore();
+        const result = await importCustomCommands(channel.replace(/^#/, ''), parsed, { overwrite, dryRun });
+        printReport(result, dryRun);
+    } catch (error) {
+        console.error(`❌ Import failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await closeFirestore();
+    }
+}
+
+main();
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/import-trivia-pack.js
+ *
+ * Imports a question pack for a channel's trivia games. Chat plays it with
+ * !trivia pack <name>.
+ *
+ * Usage:
+ *   node scripts/import-trivia-pack.js <channel> <file> [options]
+ *
+ * Supported files:
+ *   JSON   An array of questions, or { "name": "...", "questions": [...] }
+ *   CSV    A spreadsheet with a header row
+ *
+ * Each question has "question" and "answer", and optionally "alternates"
+ * (a JSON array, or separated by | in CSV), "difficulty" (easy, normal or
+ * hard), "topic" and "explanation".
+ *
+ * Options:
+ *   --name <pack>    Pack name (default: the file's "name", else the file name)
+ *   --overwrite      Replace a pack with the same name
+ *   --dry-run        Report what would happen without writing anything
+ *
+ * Uses the storage backend from the bot's configuration (.env).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { initializeFirestore, closeFirestore } from '../src/lib/firestore.js';
+import {
+    parsePackFile,
+    importTriviaPack,
+    TriviaPackError,
+} from '../src/components/trivia/triviaPacks.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [channel, file] = args;
+    if (!channel || !file || channel.startsWith('-') || file.startsWith('-')) {
+        console.error('Usage: node scripts/import-trivia-pack.js <channel> <file> [--name <pack>] [--overwrite] [--dry-run]');
+        process.exit(1);
+    }
+
+    const nameIdx = args.indexOf('--name');
+    const nameArg = nameIdx !== -1 ? args[nameIdx + 1] : null;
+    if (nameIdx !== -1 && (!nameArg || nameArg.startsWith('-'))) {
+        console.error('❌ --name requires a value, e.g. --name movies');
+        process.exit(1);
+    }
+    const overwrite = args.includes('--overwrite');
+    const dryRun = args.includes('--dry-run');
+
+    let parsed;
+    try {
+        parsed = parsePackFile(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${error instanceof TriviaPackError ? error.message : `Could not read ${file}: ${error.message}`}`);
+        process.exit(1);
+    }
+    const packName = nameArg || parsed.name || path.basename(file, path.extname(file));
+    console.log(`📄 Read ${parsed.questions.length} questions from ${file}`);
+    if (parsed.skipped.length > 0) {
+        console.log(`\n⏭️  Skipped ${parsed.skipped.length}:`);
+        parsed.skipped.forEach(({ index, reason }) => console.log(`   #${index}: ${reason}`));
+    }
+
+    try {
+        await initializeFirestore();
+        const result = await importTriviaPack(channel.replace(/^#/, ''), packName, parsed, { overwrite, dryRun });
+        const verb = dryRun ? 'Would save' : 'Saved';
+        console.log(`\n✅ ${verb} pack "${result.name}" with ${result.questionCount} questions${result.replaced ? ', replacing the old one' : ''}.`);
+        console.log(`   Play it with: !trivia pack ${result.name}`);
+    } catch (error) {
+        console.error(`❌ Import failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await closeFirestore();
+    }
+}
+
+main();
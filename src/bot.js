@@ -4,7 +4,10 @@ import logger from './lib/logger.js';
 import { getSecretManagerStatus } from './lib/secretManager.js';
 import { clearMessageQueue } from './lib/ircSender.js';
 import { shutdownCommandStateManager } from './components/context/commandStateManager.js';
+import { shutdownModerationManager } from './components/moderation/moderationManager.js';
+import { shutdownTriggerManager } from './components/triggers/triggerManager.js';
 import { stopTimerManager } from './components/timers/timerManager.js';
+import { closeFirestore } from './lib/firestore.js';
 import LifecycleManager from './services/LifecycleManager.js';
 import { hasDevChannels } from './lib/devChannels.js';
 
@@ -46,6 +49,20 @@ async function gracefulShutdown(signal) {
         logger.error({ err: error }, 'Error shutting down command state manager during shutdown.');
     }
 
+    // Clean up moderation config listener
+    try {
+        shutdownModerationManager();
+    } catch (error) {
+        logger.error({ err: error }, 'Error shutting down moderation manager during shutdown.');
+    }
+
+    // Clean up keyword trigger listener
+    try {
+        shutdownTriggerManager();
+    } catch (error) {
+        logger.error({ err: error }, 'Error shutting down trigger manager during shutdown.');
+    }
+
     // Stop timer manager
     try {
         stopTimerManager();
@@ -60,6 +77,14 @@ async function gracefulShutdown(signal) {
     // Run all shutdown tasks in parallel and wait for them to finish
     await Promise.allSettled(shutdownTasks);
 
+    // Release storage last so the tasks above can still write. The local
+    // backend flushes its data file here.
+    try {
+        await closeFirestore();
+    } catch (error) {
+        logger.error({ err: error }, 'Error closing storage client during shutdown.');
+    }
+
     // Safety timeout in case something hangs
     const forceExitTimeout = setTimeout(() => {
         logger.error('Force exiting after timeout...');
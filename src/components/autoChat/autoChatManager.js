@@ -3,16 +3,15 @@ import { enqueueMessage, enqueueAnnouncement } from '../../lib/ircSender.js';
 import { getContextManager } from '../context/contextManager.js';
 import { buildContextPrompt, generateSearchResponse, generateStandardResponse } from '../llm/geminiClient.js';
 import { getChannelAutoChatConfig } from '../context/autoChatStorage.js';
+import { withLlmUsageContext, isLlmSourceAllowed } from '../llm/llmUsage.js';
+import { AUTOCHAT_SOURCE } from '../llm/inferenceHistoryStorage.js';
 import { removeMarkdownAsterisks } from '../llm/llmUtils.js';
 import { fetchStreamThumbnail } from '../twitch/streamImageCapture.js';
 import { analyzeImage } from '../llm/geminiImageClient.js';
-import {
-    getChannelInformation,
-    getUsersById
-} from '../twitch/helixClient.js';
 import { pronounService } from '../../lib/pronounService.js';
 import { recordChatMessage, getLastMessageAt, seedLastMessageAt } from '../context/channelActivity.js';
 import { isStreamLive } from '../context/liveStatus.js';
+import { lookupChannel } from '../shoutouts/shoutoutManager.js';
 
 /**
  * Strip characters commonly used for prompt injection from user-supplied strings
@@ -36,6 +35,21 @@ const runtime = new Map(); // channelName -> { lastAutoAtMs, lastGame, lastSumma
 
 function now() { return Date.now(); }
 
+// Auto-chat is the first thing switched off once a channel's monthly LLM
+// budget is spent: report it as 'off' with no categories enabled.
+async function getEffectiveAutoChatConfig(channelName) {
+    const cfg = await getChannelAutoChatConfig(channelName);
+    if (!(await isLlmSourceAllowed(channelName, AUTOCHAT_SOURCE))) {
+        return { ...cfg, mode: 'off', categories: {} };
+    }
+    return cfg;
+}
+
+// Attributes LLM usage from fn to the channel's auto-chat.
+function asAutoChat(channelName, fn) {
+    return withLlmUsageContext({ channel: channelName, source: AUTOCHAT_SOURCE }, fn);
+}
+
 function getAggressivenessMinGapMinutes(mode) {
     switch ((mode || 'off').toLowerCase()) {
         case 'low': return 30;
@@ -127,7 +141,7 @@ function buildImageContextLine(channelName) {
 
 async function maybeSendGreeting(channelName) {
     // Greet once per stream start
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.greetings !== true) return;
     const state = getState(channelName);
     if (state.greetedOnStart) return;
@@ -157,7 +171,7 @@ async function maybeSendGreeting(channelName) {
 }
 
 async function maybeHandleGameChange(channelName, prevGame, newGame) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.mode === 'off' || cfg.categories.facts !== true) return;
     const minGapMin = getAggressivenessMinGapMinutes(cfg.mode);
     const state = getState(channelName);
@@ -208,7 +222,7 @@ async function maybeHandleGameChange(channelName, prevGame, newGame) {
 }
 
 async function maybeHandleLull(channelName) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.mode === 'off' || cfg.categories.questions !== true) return;
     const state = getState(channelName);
     const minGapMin = getAggressivenessMinGapMinutes(cfg.mode);
@@ -256,7 +270,7 @@ async function maybeHandleLull(channelName) {
 }
 
 async function maybeHandleTopicShift(channelName) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.mode === 'off' || cfg.categories.facts !== true) return;
     const state = getState(channelName);
     const context = getContextManager().getContextForLLM(channelName, 'system', 'topic-shift');
@@ -319,7 +333,7 @@ export function notifyStreamOnline(channelName) {
 }
 
 async function maybeSendFarewell(channelName) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.greetings !== true) return null;
     const context = getContextManager().getContextForLLM(channelName, 'system', 'stream-offline');
     const contextPrompt = buildContextPrompt(context);
@@ -335,7 +349,7 @@ async function maybeSendFarewell(channelName) {
 
 export async function notifyStreamOffline(channelName) {
     try {
-        return await maybeSendFarewell(channelName);
+        return await asAutoChat(channelName, () => maybeSendFarewell(channelName));
     } catch (e) {
         logger.warn({ err: e, channelName }, '[AutoChatManager] Error sending farewell');
         return null;
@@ -344,7 +358,7 @@ export async function notifyStreamOffline(channelName) {
 
 // --- Celebration Handlers (follows, subscriptions, raids) ---
 async function maybeSendFollowCelebration(channelName) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.follows !== true) return;
     const context = getContextManager().getContextForLLM(channelName, 'system', 'event-follow');
     const contextPrompt = buildContextPrompt(context);
@@ -359,7 +373,7 @@ async function maybeSendFollowCelebration(channelName) {
 }
 
 async function maybeSendSubscriptionCelebration(channelName) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.subscriptions !== true) return;
     const context = getContextManager().getContextForLLM(channelName, 'system', 'event-subscription');
     const contextPrompt = buildContextPrompt(context);
@@ -374,7 +388,7 @@ async function maybeSendSubscriptionCelebration(channelName) {
 }
 
 async function maybeSendGiftSubCelebration(channelName, total, gifterName, cumulativeTotal) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.subscriptions !== true) return;
     const context = getContextManager().getContextForLLM(channelName, 'system', 'event-subscription');
     const contextPrompt = buildContextPrompt(context);
@@ -402,24 +416,19 @@ async function maybeSendGiftSubCelebration(channelName, total, gifterName, cumul
     }
 }
 
-async function maybeSendRaidCelebration(channelName, raiderUserName, viewerCount, raiderUserId) {
-    const cfg = await getChannelAutoChatConfig(channelName);
+async function maybeSendRaidCelebration(channelName, raiderUserName, viewerCount, raiderUserId, raider) {
+    const cfg = await getEffectiveAutoChatConfig(channelName);
     if (cfg.categories.raids !== true) return;
     const context = getContextManager().getContextForLLM(channelName, 'system', 'event-raid');
     const contextPrompt = buildContextPrompt(context);
     const viewersPhrase = typeof viewerCount === 'number' && viewerCount > 0 ? `${viewerCount} viewers` : 'raiders';
     const safeRaider = sanitizeForPrompt(raiderUserName) || 'the raiding streamer';
 
-    // Fetch raider info from Twitch Helix API (parallel, best-effort)
+    // Raider info from Twitch Helix, reusing the raid handler's lookup when it passed one
     let raiderContext = '';
     if (raiderUserId) {
         try {
-            const [channelInfo, userInfo] = await Promise.all([
-                getChannelInformation([raiderUserId], 'raid-celebration-channel'),
-                getUsersById([raiderUserId], 'raid-celebration-user'),
-            ]);
-            const ch = channelInfo?.[0];
-            const usr = userInfo?.[0];
+            const { channelInfo: ch, user: usr } = raider || await lookupChannel(raiderUserId);
             const raiderPronouns = await pronounService.getUserPronouns(raiderUserName.toLowerCase());
             const subject = raiderPronouns ? raiderPronouns.Subject : 'They';
             const wasVerb = subject === 'They' ? 'were' : 'was';
@@ -452,25 +461,29 @@ async function maybeSendRaidCelebration(channelName, raiderUserName, viewerCount
 
 export async function notifyFollow(channelName) {
     try {
-        await maybeSendFollowCelebration(channelName);
+        await asAutoChat(channelName, () => maybeSendFollowCelebration(channelName));
     } catch (e) { /* ignore */ }
 }
 
 export async function notifySubscription(channelName) {
     try {
-        await maybeSendSubscriptionCelebration(channelName);
+        await asAutoChat(channelName, () => maybeSendSubscriptionCelebration(channelName));
     } catch (e) { /* ignore */ }
 }
 
 export async function notifyGiftSubs(channelName, total, gifterName, cumulativeTotal) {
     try {
-        await maybeSendGiftSubCelebration(channelName, total, gifterName, cumulativeTotal);
+        await asAutoChat(channelName, () => maybeSendGiftSubCelebration(channelName, total, gifterName, cumulativeTotal));
     } catch (e) { /* ignore */ }
 }
 
-export async function notifyRaid(channelName, raiderUserName, viewerCount, raiderUserId) {
+/**
+ * @param {{user: object|null, channelInfo: object|null}} [raider] - Raider's Helix info from
+ *   shoutoutManager.lookupChannel, when the caller already fetched it.
+ */
+export async function notifyRaid(channelName, raiderUserName, viewerCount, raiderUserId, raider) {
     try {
-        await maybeSendRaidCelebration(channelName, raiderUserName, viewerCount, raiderUserId);
+        await asAutoChat(channelName, () => maybeSendRaidCelebration(channelName, raiderUserName, viewerCount, raiderUserId, raider));
     } catch (e) { /* ignore */ }
 }
 
@@ -495,28 +508,7 @@ export async function startAutoChatManager() {
     intervalId = setInterval(async () => {
         try {
             for (const [channelName, state] of contextManager.getAllChannelStates()) {
-                const cfg = await getChannelAutoChatConfig(channelName);
-                if ((cfg.mode || 'off') === 'off') continue;
-
-                // Stream must be live to auto-chat
-                if (!isStreamLive(channelName)) continue;
-
-                // Detect game change
-                const currentGame = state.streamContext?.game || null;
-                const prevGame = getState(channelName).lastGame;
-                if (currentGame && prevGame && currentGame !== prevGame) {
-                    await maybeHandleGameChange(channelName, prevGame, currentGame);
-                }
-                getState(channelName).lastGame = currentGame;
-
-                // Greet on start (first tick while live)
-                await maybeSendGreeting(channelName);
-
-                // Topic shift detection
-                await maybeHandleTopicShift(channelName);
-
-                // Lull detection
-                await maybeHandleLull(channelName);
+                await asAutoChat(channelName, () => runChannelTick(channelName, state));
             }
         } catch (err) {
             logger.error({ err }, '[AutoChatManager] Error during tick');
@@ -526,6 +518,31 @@ export async function startAutoChatManager() {
     return intervalId;
 }
 
+async function runChannelTick(channelName, state) {
+    const cfg = await getEffectiveAutoChatConfig(channelName);
+    if ((cfg.mode || 'off') === 'off') return;
+
+    // Stream must be live to auto-chat
+    if (!isStreamLive(channelName)) return;
+
+    // Detect game change
+    const currentGame = state.streamContext?.game || null;
+    const prevGame = getState(channelName).lastGame;
+    if (currentGame && prevGame && currentGame !== prevGame) {
+        await maybeHandleGameChange(channelName, prevGame, currentGame);
+    }
+    getState(channelName).lastGame = currentGame;
+
+    // Greet on start (first tick while live)
+    await maybeSendGreeting(channelName);
+
+    // Topic shift detection
+    await maybeHandleTopicShift(channelName);
+
+    // Lull detection
+    await maybeHandleLull(channelName);
+}
+
 export function stopAutoChatManager() {
     if (intervalId) {
         clearInterval(intervalId);
@@ -543,8 +560,12 @@ export function stopAutoChatManager() {
  * @returns {Promise<string|null>} Generated message text, or null if generation failed
  */
 export async function generateAdNotification(channelName, type, seconds) {
+    return asAutoChat(channelName, () => generateAdNotificationText(channelName, type, seconds));
+}
+
+async function generateAdNotificationText(channelName, type, seconds) {
     try {
-        const cfg = await getChannelAutoChatConfig(channelName);
+        const cfg = await getEffectiveAutoChatConfig(channelName);
         if (!cfg || cfg.categories?.ads !== true) return null;
 
         const context = getContextManager().getContextForLLM(channelName, 'system', `event-ad-${type}`);
@@ -579,7 +600,7 @@ export async function generateAdNotification(channelName, type, seconds) {
  */
 async function sendAdNotification(channelName, type, seconds, prefetchedText, occurrenceId) {
     try {
-        const cfg = await getChannelAutoChatConfig(channelName);
+        const cfg = await getEffectiveAutoChatConfig(channelName);
         // Ad notifications are independent of auto-chat mode - only check ads category
         if (!cfg || cfg.categories?.ads !== true) return;
 
@@ -600,7 +621,7 @@ async function sendAdNotification(channelName, type, seconds, prefetchedText, oc
         let text = prefetchedText;
         if (!text) {
             // No prefetched text — generate on the fly as fallback
-            text = await generateAdNotification(channelName, type, seconds);
+            text = await generateAdNotificationText(channelName, type, seconds);
         }
         if (!text) return;
 
@@ -614,12 +635,12 @@ async function sendAdNotification(channelName, type, seconds, prefetchedText, oc
 
 // Public API - backwards compatible wrappers
 export async function notifyAdSoon(channelName, secondsUntil, prefetchedText, adAtMs) {
-    await sendAdNotification(channelName, 'warning', secondsUntil, prefetchedText, adAtMs);
+    await asAutoChat(channelName, () => sendAdNotification(channelName, 'warning', secondsUntil, prefetchedText, adAtMs));
 }
 
 export async function notifyAdBreak(channelName, adEvent) {
     const duration = adEvent?.duration_seconds || adEvent?.duration || 60;
-    await sendAdNotification(channelName, 'starting', duration);
+    await asAutoChat(channelName, () => sendAdNotification(channelName, 'starting', duration));
 }
 
 // Exported for testing only
@@ -3,21 +3,25 @@ import { logCommand } from '../../lib/activityLogger.js';
 // Import command handlers (assuming handlers/index.js exports an object/Map)
 import commandHandlers from './handlers/index.js';
 // We might need access to the chat sender to send command responses
-import { enqueueMessage } from '../../lib/ircSender.js';
+import { enqueueMessage, enqueueAnnouncement } from '../../lib/ircSender.js';
 // We might need context for some commands
 import { getContextManager } from '../context/contextManager.js';
 // Import command state manager for checking if commands are disabled
 import { isCommandDisabled } from '../context/commandStateManager.js';
 // Custom commands support
-import { getCustomCommand, incrementUseCount } from '../customCommands/customCommandsStorage.js';
-import { parseVariables } from '../customCommands/variableParser.js';
+import { getCustomCommand, getCommandAlias, getCommandTimezone, incrementUseCount } from '../customCommands/customCommandsStorage.js';
+import { hasAvailabilityRules, getUnavailableReason } from '../customCommands/commandAvailability.js';
+import { isStreamLive } from '../context/liveStatus.js';
+import { parseVariables, parseResponseLines } from '../customCommands/variableParser.js';
 import { getChannelFollower, getUsersByLogin } from '../twitch/helixClient.js';
 import { getBroadcasterAccessToken } from '../twitch/broadcasterTokenHelper.js';
+import { sendShoutout } from '../twitch/chatClient.js';
 import { formatFollowAge } from '../customCommands/variableParser.js';
 import { resolvePrompt } from '../customCommands/promptResolver.js';
-import { customCommandSource } from '../llm/inferenceHistoryStorage.js';
+import { customCommandSource, builtinCommandSource } from '../llm/inferenceHistoryStorage.js';
+import { withLlmUsageContext, isLlmSourceAllowed, LLM_BUDGET_PAUSED_MESSAGE } from '../llm/llmUsage.js';
 import config from '../../config/index.js';
-import { hasPermissionLevel } from '../../lib/permissions.js';
+import { hasPermissionLevel, isPrivilegedUser } from '../../lib/permissions.js';
 
 
 const COMMAND_PREFIX = '!'; // Define the prefix for commands
@@ -26,6 +30,8 @@ const TRAILING_PUNCTUATION_REGEX = /[.,!?;:'"]+$/;
 // Simple duplicate suppression to avoid double responses when a message is processed twice rapidly
 const recentCommandInvocations = new Map(); // key -> timestamp ms
 const DUPLICATE_WINDOW_MS = 20000; // 20 seconds to reliably prevent double-fires
+// Pause between the messages of a multi-line custom command unless it sets its own
+const DEFAULT_LINE_DELAY_MS = 1500;
 
 // Cooldown tracking for custom commands is handled via distributedCache (Firestore)
 
@@ -61,16 +67,63 @@ function _shouldSuppressDuplicate(key) {
  * @param {string} channelName - Channel name.
  * @param {string} commandName - Command name.
  * @param {number} cooldownMs - Cooldown in milliseconds.
+ * @param {string|null} [userLogin=null] - Checks the viewer's own cooldown instead of the channel-wide one.
  * @returns {boolean} True if on cooldown.
  */
-async function _isCustomCommandOnCooldown(channelName, commandName, cooldownMs) {
-    if (cooldownMs <= 0) return false;
-    const key = `cooldown:${channelName}:${commandName}`;
+async function _isCustomCommandOnCooldown(channelName, commandName, cooldownMs, userLogin = null) {
+    if (!cooldownMs || cooldownMs <= 0) return false;
+    const key = userLogin
+        ? `cooldown:${channelName}:${commandName}:user:${userLogin}`
+        : `cooldown:${channelName}:${commandName}`;
     const { isDuplicateEvent } = await import('../../lib/distributedCache.js');
     // Using isDuplicateEvent to enforce the cooldown TTL across instances. Pass null for timestamp to skip replay guard, and false to fail closed on Firestore errors.
     return await isDuplicateEvent(key, null, cooldownMs, false);
 }
 
+/**
+ * Applies a custom command's cooldowns and per-stream cap for one viewer.
+ * The cap is only read up front and consumed last, so a use blocked by a
+ * cooldown doesn't count against it. The viewer's own cooldown is checked
+ * before the channel-wide one so a viewer spamming through their cooldown
+ * can't keep the channel cooldown latched for everyone else.
+ * @returns {Promise<string|null>} Why the command is blocked, or null if it may run.
+ */
+async function _checkCustomCommandLimits(channelName, command, customCmd, tags) {
+    if (customCmd.modBypass && isPrivilegedUser(tags, channelName)) {
+        return null;
+    }
+
+    const userLogin = tags.username?.toLowerCase() || '';
+    const limit = customCmd.perStreamLimit || 0;
+    const quotaKey = `usage:${channelName}:${command}:${userLogin}`;
+
+    if (limit > 0) {
+        const { getStreamQuotaUsage } = await import('../../lib/distributedCache.js');
+        let used;
+        try {
+            used = await getStreamQuotaUsage(quotaKey, channelName);
+        } catch (error) {
+            // Fail closed, like the cooldowns.
+            logger.error({ err: error, channel: channelName, command }, '[CommandProcessor] Error reading stream cap');
+            return 'stream cap unavailable';
+        }
+        if (used >= limit) return 'stream cap reached';
+    }
+    if (await _isCustomCommandOnCooldown(channelName, command, customCmd.userCooldownMs, userLogin)) {
+        return 'user cooldown';
+    }
+    if (await _isCustomCommandOnCooldown(channelName, command, customCmd.cooldownMs || 0)) {
+        return 'cooldown';
+    }
+    if (limit > 0) {
+        const { consumeStreamQuota } = await import('../../lib/distributedCache.js');
+        if (!(await consumeStreamQuota(quotaKey, channelName, limit, false))) {
+            return 'stream cap reached';
+        }
+    }
+    return null;
+}
+
 
 /**
  * Creates a getFollowage function bound to the current request context.
@@ -189,11 +242,86 @@ async function processMessage(channelName, tags, message) {
     logger.debug({ command, handlerExists: !!handler }, 'Command handler lookup result');
 
     if (!handler || typeof handler.execute !== 'function') {
-        // No built-in handler found — check for custom commands
+        // No built-in handler found — check for custom commands, then aliases
         logger.debug(`No built-in handler for: ${command}. Checking custom commands...`);
-        return await _tryCustomCommand(channelName, tags, candidates, args);
+        if (await _tryCustomCommand(channelName, tags, candidates, args)) {
+            return true;
+        }
+        return await _tryCommandAlias(channelName, tags, candidates, args, message);
+    }
+
+    // Built-ins that only matter while a feature is on (!join, !points) step
+    // aside for the channel's own command of the same name the rest of the time
+    if (await _builtinYieldsToCustomCommand(channelName, command, handler, args)
+        && (await _tryCustomCommand(channelName, tags, [command], args)
+            || await _tryCommandAlias(channelName, tags, [command], args, message))) {
+        return true;
+    }
+
+    return await _runBuiltinCommand(channelName, tags, command, handler, args, message);
+}
+
+/**
+ * Whether a built-in leaves its name to a custom command or alias right now.
+ * @param {string} channelName - Channel name (without '#').
+ * @param {string} command - The built-in command name.
+ * @param {object} handler - Its handler from handlers/index.js.
+ * @param {string[]} args - Command arguments.
+ * @returns {Promise<boolean>}
+ */
+async function _builtinYieldsToCustomCommand(channelName, command, handler, args) {
+    if (typeof handler.yieldsToCustomCommand !== 'function') return false;
+    try {
+        return await handler.yieldsToCustomCommand(channelName, args);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command }, 'Error checking whether a built-in yields to a custom command');
+        return false;
+    }
+}
+
+/**
+ * Resolves a channel's command alias and runs its target (built-in or custom).
+ * @param {string} channelName - Channel name (without '#').
+ * @param {object} tags - tmi.js message tags.
+ * @param {string[]} candidates - Command name(s) to try (without !), most literal first.
+ * @param {string[]} args - Command arguments.
+ * @param {string} message - Raw message content.
+ * @returns {Promise<boolean>} True if an alias was found and its target ran.
+ */
+async function _tryCommandAlias(channelName, tags, candidates, args, message) {
+    let alias = null;
+    try {
+        for (const candidate of candidates) {
+            alias = await getCommandAlias(channelName, candidate);
+            if (alias) break;
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, candidates }, 'Error resolving command alias');
+        return false;
+    }
+    if (!alias) {
+        return false;
     }
 
+    logger.debug({ alias: alias.alias, target: alias.target, channel: channelName }, 'Resolved command alias');
+    const handler = commandHandlers[alias.target];
+    if (handler && typeof handler.execute === 'function') {
+        return await _runBuiltinCommand(channelName, tags, alias.target, handler, args, message);
+    }
+    return await _tryCustomCommand(channelName, tags, [alias.target], args);
+}
+
+/**
+ * Runs a built-in command handler after the disabled, permission and budget checks.
+ * @param {string} channelName - Channel name (without '#').
+ * @param {object} tags - tmi.js message tags.
+ * @param {string} command - The built-in command name.
+ * @param {object} handler - Its handler from handlers/index.js.
+ * @param {string[]} args - Command arguments.
+ * @param {string} message - Raw message content.
+ * @returns {Promise<boolean>} True if the command ran (or was attempted).
+ */
+async function _runBuiltinCommand(channelName, tags, command, handler, args, message) {
     // --- Command Disabled Check ---
     logger.debug(`Checking if command !${command} is disabled in #${channelName}`);
     const commandDisabled = isCommandDisabled(channelName, command);
@@ -215,6 +343,17 @@ async function processMessage(channelName, tags, message) {
         return false;
     }
 
+    // --- LLM Budget Check ---
+    // AI-backed commands pause once the channel's monthly LLM budget is spent.
+    // usesLlm is either a flag or, for commands where only some subcommands use
+    // the LLM, a function of the args.
+    const usageSource = builtinCommandSource(handler.name || command);
+    const usesLlm = typeof handler.usesLlm === 'function' ? handler.usesLlm(args) : handler.usesLlm;
+    if (usesLlm && !(await isLlmSourceAllowed(channelName, usageSource))) {
+        await enqueueMessage(`#${channelName}`, LLM_BUDGET_PAUSED_MESSAGE, { replyToId: tags['id'] || null });
+        return true;
+    }
+
     // --- Execute Command ---
     logger.info(`Executing command !${command} for user ${tags.username} in #${channelName}`);
     try {
@@ -235,8 +374,9 @@ async function processMessage(channelName, tags, message) {
             contextManager: getContextManager(), // Provide access to state if needed
             logger: logger                   // Provide logger instance
         };
-        // Execute the command's handler function
-        await handler.execute(context);
+        // Execute the command's handler function. LLM calls it makes (including
+        // from game rounds it schedules) are attributed to this command.
+        await withLlmUsageContext({ channel: channelName, source: usageSource }, () => handler.execute(context));
         logCommand(channelName, command, 'builtin');
         return true; // Command was successfully executed
 
@@ -253,6 +393,56 @@ async function processMessage(channelName, tags, message) {
     }
 }
 
+/**
+ * Sends a custom command's resolved lines the way its type asks for:
+ * announcements get the command's colour, actions go out as /me, and
+ * reply=on threads the first line under the triggering message. The first
+ * line is sent before this resolves; later ones follow in the background,
+ * lineDelayMs apart, so a long sequence doesn't hold up chat processing.
+ * @param {string} channelName - Channel name (without '#').
+ * @param {object} customCmd - The stored command.
+ * @param {string[]} lines - Resolved response lines.
+ * @param {object} tags - Tags of the triggering message.
+ * @param {boolean} skipTranslation
+ */
+async function _sendCustomResponse(channelName, customCmd, lines, tags, skipTranslation) {
+    const channel = `#${channelName}`;
+    const sendLine = (text, isFirst) => {
+        if (customCmd.type === 'announcement') {
+            return enqueueAnnouncement(channel, text, customCmd.color || 'primary', { skipTranslation });
+        }
+        return enqueueMessage(channel, customCmd.type === 'action' ? `/me ${text}` : text, {
+            skipTranslation,
+            replyToId: customCmd.reply && isFirst ? tags['id'] || null : null,
+        });
+    };
+
+    if (lines.length === 0) return;
+    await sendLine(lines[0], true);
+    if (lines.length === 1) return;
+
+    const delayMs = customCmd.lineDelayMs ?? DEFAULT_LINE_DELAY_MS;
+    (async () => {
+        for (const line of lines.slice(1)) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            await sendLine(line, false);
+        }
+    })().catch(error => logger.error({ err: error, channel: channelName },
+        '[CommandProcessor] Error sending multi-line custom command response'));
+}
+
+/**
+ * Looks up the channel a shoutout command's first argument names.
+ * @param {string|undefined} arg - e.g. "@streamer" or "streamer".
+ * @returns {Promise<object|null>} The Helix user, or null if there isn't one.
+ */
+async function _resolveShoutoutTarget(arg) {
+    const login = arg?.replace(/^@/, '').toLowerCase();
+    if (!login) return null;
+    const users = await getUsersByLogin([login]);
+    return users?.[0] || null;
+}
+
 /**
  * Tries to execute a custom command for the given channel.
  * @param {string} channelName - Channel name (without '#').
@@ -285,12 +475,49 @@ async function _tryCustomCommand(channelName, tags, commandCandidates, args) {
             return false;
         }
 
-        // Cooldown check
-        if (await _isCustomCommandOnCooldown(channelName, command, customCmd.cooldownMs || 0)) {
-            logger.debug(`Custom command !${command} is on cooldown in ${channelName}`);
+        // Stream state, active hours and game restrictions
+        if (hasAvailabilityRules(customCmd)) {
+            const reason = getUnavailableReason(customCmd, {
+                isLive: isStreamLive(channelName),
+                game: getContextManager().getStreamContextSnapshot(channelName)?.game || null,
+                timezone: customCmd.activeHours ? (await getCommandTimezone(channelName)) || undefined : undefined,
+            });
+            if (reason) {
+                logger.debug(`Custom command !${command} is unavailable in ${channelName} (${reason})`);
+                return true; // Consumed the command, just not responding
+            }
+        }
+
+        // Shoutout commands need a real channel to shout out. Checked before the
+        // limits so a typo doesn't use up the cooldown or the per-stream cap.
+        let shoutoutTarget = null;
+        if (customCmd.type === 'shoutout') {
+            shoutoutTarget = await _resolveShoutoutTarget(args[0]);
+            if (!shoutoutTarget) {
+                await enqueueMessage(`#${channelName}`,
+                    args[0] ? `Couldn't find a Twitch channel named ${args[0].replace(/^@/, '')}.` : `Usage: !${command} <channel>`,
+                    { replyToId: tags['id'] || null });
+                return true;
+            }
+        }
+
+        // Cooldowns and per-stream cap
+        const limitReason = await _checkCustomCommandLimits(channelName, command, customCmd, tags);
+        if (limitReason) {
+            logger.debug(`Custom command !${command} blocked for ${tags.username} in ${channelName} (${limitReason})`);
             return true; // Consumed the command, just not responding
         }
 
+        const isPromptCommand = customCmd.type === 'prompt';
+
+        // AI commands pause once the channel's LLM budget is spent. Checked before
+        // the use count and variables, so $(counter) and $(uservar) don't change for a paused reply.
+        const source = customCommandSource(command);
+        if (isPromptCommand && !(await isLlmSourceAllowed(channelName, source))) {
+            await enqueueMessage(`#${channelName}`, LLM_BUDGET_PAUSED_MESSAGE, { replyToId: tags['id'] || null });
+            return true;
+        }
+
         // Increment use count (non-blocking)
         const useCountPromise = incrementUseCount(channelName, command);
 
@@ -298,8 +525,6 @@ async function _tryCustomCommand(channelName, tags, commandCandidates, args) {
         const contextManager = getContextManager();
         const streamContext = contextManager.getStreamContextSnapshot(channelName);
 
-        const isPromptCommand = customCmd.type === 'prompt';
-
         // Fetch user pronouns for variable parsing
         const userLogin = tags.username?.toLowerCase() || '';
         const { pronounService } = await import('../../lib/pronounService.js');
@@ -311,20 +536,23 @@ async function _tryCustomCommand(channelName, tags, commandCandidates, args) {
 
         // Parse variables in the response
         const displayName = tags['display-name'] || tags.username;
-        const resolvedText = await parseVariables(customCmd.response, {
+        const variableContext = {
             user: displayName,
+            username: userLogin,
+            userId: tags['user-id'] || null,
             channel: channelName,
             args,
             useCount,
             streamContext,
             getFollowage: _createFollowageResolver(channelName),
             userPronouns,
-        });
+        };
 
-        // Determine final output string based on command type
-        let finalOutput = resolvedText;
+        // Determine the lines to send based on command type
+        let lines;
         let skipTranslation = false;
         if (isPromptCommand) {
+            const resolvedText = await parseVariables(customCmd.response, variableContext);
             // For AI commands, generate directly in the target language if botlang is set
             const botLanguage = contextManager.getBotLanguage(channelName);
             if (botLanguage) {
@@ -347,25 +575,35 @@ async function _tryCustomCommand(channelName, tags, commandCandidates, args) {
 
             // resolvePrompt encapsulates the full dedup lifecycle:
             // fetch history → inject into prompt → generate → log response
-            finalOutput = await resolvePrompt(resolvedText, botLanguage || null, null, false, {
+            const finalOutput = await resolvePrompt(resolvedText, botLanguage || null, null, false, {
                 channel: channelName,
-                source: customCommandSource(command),
+                source,
                 chatContext,
             });
 
-            if (!finalOutput) {
-                // AI generation failed — send a user-friendly fallback
-                finalOutput = "Sorry, I couldn't come up with a response for that right now.";
-            }
+            // AI generation failed — send a user-friendly fallback
+            lines = [finalOutput || "Sorry, I couldn't come up with a response for that right now."];
 
             // Skip redundant translation if the LLM already generated in the target language
             if (botLanguage) {
                 skipTranslation = true;
             }
+        } else if (customCmd.multiline) {
+            lines = await parseResponseLines(customCmd.response, variableContext);
+        } else {
+            // Without multiline=on a "||" is ordinary text, as it was before multi-line responses existed
+            lines = [await parseVariables(customCmd.response, variableContext)];
         }
 
         // Send the response
-        await enqueueMessage(`#${channelName}`, finalOutput, { skipTranslation });
+        await _sendCustomResponse(channelName, customCmd, lines, tags, skipTranslation);
+
+        if (shoutoutTarget && shoutoutTarget.login !== channelName.toLowerCase()) {
+            const sent = await sendShoutout(channelName, shoutoutTarget.id);
+            if (!sent) {
+                logger.debug(`Twitch shoutout for ${shoutoutTarget.login} from !${command} in ${channelName} was not sent`);
+            }
+        }
 
         logCommand(channelName, command, 'custom');
         return true;
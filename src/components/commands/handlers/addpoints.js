@@ -0,0 +1,54 @@
+// src/components/commands/handlers/addpoints.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import {
+    getPointsSettings,
+    addPoints,
+    formatPoints,
+    VIEWER_LOGIN_REGEX,
+    MAX_POINTS_AMOUNT,
+} from '../../points/pointsStorage.js';
+
+const USAGE = 'Usage: !addpoints <user> <amount> (a negative amount takes points away)';
+
+/**
+ * Handler for the !addpoints command.
+ * Lets moderators add or take away a viewer's loyalty points, e.g. for
+ * giveaways or to undo a mistake. Works while points are off, so balances
+ * can be set up before launch.
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const target = (args[0] || '').toLowerCase().replace(/^@/, '');
+    const amount = Number((args[1] || '').replace(/,/g, ''));
+    if (!VIEWER_LOGIN_REGEX.test(target) || !Number.isInteger(amount) || amount === 0
+        || Math.abs(amount) > MAX_POINTS_AMOUNT) {
+        await enqueueMessage(channel, USAGE, { replyToId });
+        return;
+    }
+
+    const settings = await getPointsSettings(channelName);
+    try {
+        const balance = await addPoints(channelName, { login: target }, amount);
+        const change = amount > 0
+            ? `Added ${formatPoints(amount, settings)} to ${target}`
+            : `Took ${formatPoints(-amount, settings)} from ${target}`;
+        await enqueueMessage(channel, `${change}. They now have ${formatPoints(balance, settings)}.`, { replyToId });
+        logger.info({ channel: channelName, moderator: user.username, target, amount, balance }, '[AddPointsCommand] Points changed');
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, target, amount }, '[AddPointsCommand] Error changing points');
+        await enqueueMessage(channel, `Couldn't change ${target}'s ${settings.currency} right now. Please try again later.`, { replyToId });
+    }
+}
+
+export default {
+    name: 'addpoints',
+    description: "Adds to (or takes from) a viewer's loyalty points.",
+    usage: '!addpoints <user> <amount>',
+    permission: 'moderator',
+    // Leaves the name to a custom command while points are off
+    yieldsToCustomCommand: async (channelName) => !(await getPointsSettings(channelName)).enabled,
+    execute,
+};
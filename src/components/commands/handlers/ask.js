@@ -118,6 +118,7 @@ const askHandler = {
     description: 'Ask ChatSage a question. Uses search intelligently and can fetch time for locations.',
     usage: '!ask <your question>',
     permission: 'everyone',
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const { channel, user, args } = context;
         const userQuery = args.join(' ').trim();
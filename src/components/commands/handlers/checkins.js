@@ -0,0 +1,165 @@
+// src/components/commands/handlers/checkins.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { isPrivilegedUser } from '../../../lib/permissions.js';
+import { validateTemplate } from '../../customCommands/variableParser.js';
+import {
+    getCheckinConfig,
+    saveCheckinConfig,
+    getCheckinStats,
+    getCheckinLeaderboard,
+    CHECKIN_STREAK_MODES,
+    SUGGESTED_CHECKIN_MILESTONES,
+} from '../../customCommands/checkinStorage.js';
+
+const LEADERBOARD_SIZE = 5;
+const MAX_MILESTONES = 20;
+const MAX_MILESTONE_TEMPLATE_LENGTH = 300;
+
+// Settings moderators can change, and what "!checkins <setting>" expects
+const SETTINGS_USAGE = {
+    streak: `!checkins streak ${CHECKIN_STREAK_MODES.join('|')}`,
+    milestones: '!checkins milestones <10,25,50...|on|off>',
+    milestonemsg: '!checkins milestonemsg <message|default>',
+};
+
+function _plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Handler for the !checkins command.
+ * Shows Daily Check-In totals, streaks and the leaderboard, and lets
+ * moderators choose how streaks are counted and which counts get a
+ * milestone message.
+ *
+ * Usage:
+ *   !checkins                           → Your check-ins, streak and rank
+ *   !checkins top                       → The viewers with the most check-ins
+ *   !checkins streak day|stream         → Count streaks in days or streams (mods)
+ *   !checkins milestones 10,25,50|on|off → Counts that get a milestone message (mods, off by default)
+ *   !checkins milestonemsg <message>    → The milestone message template (mods)
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const subCommand = (args[0] || '').toLowerCase();
+
+    if (Object.hasOwn(SETTINGS_USAGE, subCommand)) {
+        if (!isPrivilegedUser(user, channelName)) {
+            await enqueueMessage(channel, `Only mods/broadcaster can change check-in settings.`, { replyToId });
+            return;
+        }
+        await _handleSetting(channel, channelName, subCommand, args.slice(1).join(' ').trim(), replyToId, logger);
+        return;
+    }
+
+    const config = await getCheckinConfig(channelName);
+    if (!config?.enabled) {
+        await enqueueMessage(channel, `Daily check-ins aren't set up in this channel.`, { replyToId });
+        return;
+    }
+
+    if (subCommand === 'top') {
+        const leaders = await getCheckinLeaderboard(channelName, LEADERBOARD_SIZE);
+        if (leaders.length === 0) {
+            await enqueueMessage(channel, `Nobody has checked in yet. Be the first!`, { replyToId });
+            return;
+        }
+        const list = leaders
+            .map((entry, i) => `${i + 1}. ${entry.displayName} (${entry.count}${entry.streak > 1 ? `, ${entry.streak} streak` : ''})`)
+            .join(', ');
+        await enqueueMessage(channel, `Top check-ins: ${list}`, { replyToId });
+        return;
+    }
+
+    const userId = user['user-id'];
+    const stats = userId ? await getCheckinStats(channelName, userId) : null;
+    const displayName = user['display-name'] || user.username;
+    if (!stats) {
+        await enqueueMessage(channel, `${displayName}, you haven't checked in yet. Redeem the check-in reward to start a streak!`, { replyToId });
+        return;
+    }
+
+    const unit = config.streakMode === 'stream' ? 'stream' : 'day';
+    const streakInfo = stats.streak > 0
+        ? `a ${stats.streak}-${unit} streak (best ${stats.bestStreak})`
+        : `no current streak (best ${stats.bestStreak})`;
+    const rankInfo = stats.rank ? `, rank #${stats.rank}` : '';
+    await enqueueMessage(channel,
+        `${displayName} has checked in ${_plural(stats.count, 'time')}${rankInfo}, with ${streakInfo}.`, { replyToId });
+}
+
+function _parseMilestones(value) {
+    if (value === 'off') return [];
+    if (value === 'on') return SUGGESTED_CHECKIN_MILESTONES;
+    const parts = value.split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0 || parts.length > MAX_MILESTONES || !parts.every(part => /^[1-9]\d{0,5}$/.test(part))) {
+        return null;
+    }
+    return [...new Set(parts.map(Number))].sort((a, b) => a - b);
+}
+
+async function _handleSetting(channel, channelName, setting, value, replyToId, logger) {
+    let changes;
+    let confirmation;
+    const lowerValue = value.toLowerCase();
+
+    switch (setting) {
+        case 'streak':
+            if (!CHECKIN_STREAK_MODES.includes(lowerValue)) break;
+            changes = { streakMode: lowerValue };
+            confirmation = lowerValue === 'stream'
+                ? 'Check-in streaks now count streams in a row.'
+                : `Check-in streaks now count days in a row, in the channel's timezone (see !command timezone).`;
+            break;
+        case 'milestones': {
+            const milestones = _parseMilestones(lowerValue);
+            if (!milestones) break;
+            changes = { milestones };
+            confirmation = milestones.length > 0
+                ? `Check-in milestones: ${milestones.join(', ')}.`
+                : 'Check-in milestone messages are off.';
+            break;
+        }
+        case 'milestonemsg': {
+            if (!value) break;
+            if (lowerValue === 'default') {
+                changes = { milestoneTemplate: null };
+                confirmation = 'Check-in milestones use the default message again.';
+                break;
+            }
+            const error = value.length > MAX_MILESTONE_TEMPLATE_LENGTH
+                ? `messages must be ${MAX_MILESTONE_TEMPLATE_LENGTH} characters or fewer`
+                : validateTemplate(value);
+            if (error) {
+                await enqueueMessage(channel, `Milestone message was not saved: ${error}.`, { replyToId });
+                return;
+            }
+            changes = { milestoneTemplate: value };
+            confirmation = 'Check-in milestone message updated.';
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (!changes) {
+        await enqueueMessage(channel, `Usage: ${SETTINGS_USAGE[setting]}`, { replyToId });
+        return;
+    }
+
+    const saved = await saveCheckinConfig(channelName, changes);
+    await enqueueMessage(channel, saved ? confirmation : `Couldn't save that setting. Please try again later.`, { replyToId });
+    if (saved) {
+        logger.info({ channel: channelName, changes }, '[CheckinsCommand] Updated check-in settings');
+    }
+}
+
+export default {
+    name: 'checkins',
+    description: 'Shows your Daily Check-In count, streak and rank, or the check-in leaderboard.',
+    usage: '!checkins [top]',
+    permission: 'everyone',
+    execute,
+};
@@ -5,9 +5,37 @@ import {
     removeCustomCommand,
     getCustomCommand,
     updateCustomCommandOptions,
+    getUrlFetchHosts,
+    setUrlFetchHostAllowed,
+    getCommandAlias,
+    getAliasesForCommand,
+    addCommandAlias,
+    removeCommandAlias,
+    removeAliasesForCommand,
+    getCommandTimezone,
+    setCommandTimezone,
+    getCommandRevisions,
+    getCommandRevision,
+    restoreCustomCommand,
+    MAX_REVISIONS_PER_COMMAND,
+    COMMAND_TYPES,
 } from '../../customCommands/customCommandsStorage.js';
+import {
+    parseActiveHours,
+    formatActiveHours,
+    isValidTimezone,
+    DEFAULT_TIMEZONE,
+} from '../../customCommands/commandAvailability.js';
+import commandHandlers from './index.js';
+import { normalizeDomain } from '../../moderation/moderationStorage.js';
+import { validateTemplate, formatDuration } from '../../customCommands/variableParser.js';
 import { enqueueMessage } from '../../../lib/ircSender.js';
 
+// Highlight colours Twitch offers for announcements
+const ANNOUNCEMENT_COLORS = ['primary', 'blue', 'green', 'orange', 'purple'];
+// Longest pause allowed between the lines of a multi-line response
+const MAX_LINE_DELAY_SECONDS = 10;
+
 /**
  * Handler for the !command meta-command.
  * Allows moderators/broadcasters to manage custom commands via chat.
@@ -16,9 +44,17 @@ import { enqueueMessage } from '../../../lib/ircSender.js';
  *   !command add <name> <response>       → Add a new custom command
  *   !command addai <name> <prompt>       → Add a new LLM-powered custom command
  *   !command edit <name> <response>      → Edit an existing command's response
- *   !command remove <name>               → Remove a custom command
+ *   !command alias <alias> <target>      → Make !alias run !target (built-in or custom)
+ *   !command remove <name>               → Remove a custom command (and its aliases) or an alias
  *   !command show <name>                 → Show the raw response template
- *   !command options <name> <key>=<val>  → Change command options (permission, cooldown, type)
+ *   !command options <name> <key>=<val>  → Change command options (permission, cooldown, usercooldown,
+ *                                          limit, modbypass, type, color, reply, multiline, delay, liveonly,
+ *                                          offlineonly, hours, game)
+ *   !command history <name>              → List recent revisions (works for removed commands)
+ *   !command undo <name>                 → Revert the latest change (running it again redoes it)
+ *   !command restore <name> <rev>        → Roll back to a revision, restoring removed commands
+ *   !command timezone [zone]             → Show or set the timezone used for hours=
+ *   !command urlhosts [add|remove <host>] → Manage the hosts $(urlfetch) may contact
  */
 async function execute(context) {
     const { channel, user, args, logger } = context;
@@ -27,7 +63,7 @@ async function execute(context) {
 
     if (args.length === 0) {
         await enqueueMessage(channel,
-            `Usage: !command add/addai/edit/remove/show/options <name> [response/options]`);
+            `Usage: !command add/addai/edit/alias/remove/show/options/history/undo/restore/timezone/urlhosts <name> [response/options]`);
         return;
     }
 
@@ -42,21 +78,39 @@ async function execute(context) {
             await _handleAdd(channel, channelName, commandName, args.slice(2), username, 'prompt', logger);
             break;
         case 'edit':
-            await _handleEdit(channel, channelName, commandName, args.slice(2), logger);
+            await _handleEdit(channel, channelName, commandName, args.slice(2), username, logger);
+            break;
+        case 'alias':
+            await _handleAlias(channel, channelName, commandName, args[2], username, logger);
             break;
         case 'remove':
         case 'delete':
-            await _handleRemove(channel, channelName, commandName, logger);
+            await _handleRemove(channel, channelName, commandName, username, logger);
             break;
         case 'show':
             await _handleShow(channel, channelName, commandName, logger);
             break;
         case 'options':
-            await _handleOptions(channel, channelName, commandName, args.slice(2), logger);
+            await _handleOptions(channel, channelName, commandName, args.slice(2), username, logger);
+            break;
+        case 'history':
+            await _handleHistory(channel, channelName, commandName, logger);
+            break;
+        case 'undo':
+            await _handleUndo(channel, channelName, commandName, username, logger);
+            break;
+        case 'restore':
+            await _handleRestore(channel, channelName, commandName, args[2], username, logger);
+            break;
+        case 'timezone':
+            await _handleTimezone(channel, channelName, args[1], logger);
+            break;
+        case 'urlhosts':
+            await _handleUrlHosts(channel, channelName, args.slice(1), logger);
             break;
         default:
             await enqueueMessage(channel,
-                `Unknown subcommand "${subCommand}". Use add, addai, edit, remove, show, or options.`);
+                `Unknown subcommand "${subCommand}". Use add, addai, edit, alias, remove, show, options, history, undo, restore, timezone, or urlhosts.`);
     }
 }
 
@@ -71,8 +125,19 @@ async function _handleAdd(channel, channelName, commandName, responseArgs, usern
     }
 
     const response = responseArgs.join(' ');
+    const templateError = validateTemplate(response);
+    if (templateError) {
+        await enqueueMessage(channel, `Command !${commandName} was not saved: ${templateError}.`);
+        return;
+    }
 
     try {
+        const alias = await getCommandAlias(channelName, commandName);
+        if (alias) {
+            await enqueueMessage(channel, `!${commandName} is already an alias for !${alias.target}. Remove it first with "!command remove ${commandName}".`);
+            return;
+        }
+
         const created = await addCustomCommand(channelName, commandName, response, username, type);
         if (created) {
             await enqueueMessage(channel, `Command !${commandName} has been added ${type === 'prompt' ? '(AI Mode)' : ''}.`);
@@ -87,7 +152,7 @@ async function _handleAdd(channel, channelName, commandName, responseArgs, usern
     }
 }
 
-async function _handleEdit(channel, channelName, commandName, responseArgs, logger) {
+async function _handleEdit(channel, channelName, commandName, responseArgs, username, logger) {
     if (!commandName) {
         await enqueueMessage(channel, `Please specify a command name. Usage: !command edit <name> <response>`);
         return;
@@ -98,9 +163,14 @@ async function _handleEdit(channel, channelName, commandName, responseArgs, logg
     }
 
     const response = responseArgs.join(' ');
+    const templateError = validateTemplate(response);
+    if (templateError) {
+        await enqueueMessage(channel, `Command !${commandName} was not updated: ${templateError}.`);
+        return;
+    }
 
     try {
-        const updated = await updateCustomCommand(channelName, commandName, response);
+        const updated = await updateCustomCommand(channelName, commandName, response, username);
         if (updated) {
             await enqueueMessage(channel, `Command !${commandName} has been updated.`);
             logger.info(`[CommandHandler] Updated !${commandName} in ${channelName}`);
@@ -114,17 +184,76 @@ async function _handleEdit(channel, channelName, commandName, responseArgs, logg
     }
 }
 
-async function _handleRemove(channel, channelName, commandName, logger) {
+function _isBuiltinCommand(name) {
+    return typeof commandHandlers[name]?.execute === 'function';
+}
+
+async function _handleAlias(channel, channelName, aliasName, targetArg, username, logger) {
+    const targetName = targetArg?.toLowerCase()?.replace(/^!/, '');
+    if (!aliasName || !targetName) {
+        await enqueueMessage(channel, `Usage: !command alias <alias> <command>, e.g. !command alias twitter socials`);
+        return;
+    }
+    if (aliasName === targetName) {
+        await enqueueMessage(channel, `An alias can't point to itself.`);
+        return;
+    }
+    // Built-ins that step aside while their feature is off (!join, !points) can share a name with an alias
+    if (_isBuiltinCommand(aliasName) && typeof commandHandlers[aliasName].yieldsToCustomCommand !== 'function') {
+        await enqueueMessage(channel, `!${aliasName} is a built-in command and can't be used as an alias.`);
+        return;
+    }
+
+    try {
+        if (await getCustomCommand(channelName, aliasName)) {
+            await enqueueMessage(channel, `!${aliasName} is already a custom command.`);
+            return;
+        }
+
+        // Point at the real command so aliases never chain
+        let resolvedTarget = targetName;
+        if (!_isBuiltinCommand(targetName) && !(await getCustomCommand(channelName, targetName))) {
+            const targetAlias = await getCommandAlias(channelName, targetName);
+            if (!targetAlias) {
+                await enqueueMessage(channel, `Command !${targetName} not found.`);
+                return;
+            }
+            resolvedTarget = targetAlias.target;
+        }
+
+        const created = await addCommandAlias(channelName, aliasName, resolvedTarget, username);
+        if (created) {
+            await enqueueMessage(channel, `!${aliasName} now runs !${resolvedTarget}.`);
+            logger.info(`[CommandHandler] ${username} aliased !${aliasName} -> !${resolvedTarget} in ${channelName}`);
+        } else {
+            const existing = await getCommandAlias(channelName, aliasName);
+            await enqueueMessage(channel, `Alias !${aliasName} already exists${existing ? ` (runs !${existing.target})` : ''}. Remove it first with "!command remove ${aliasName}".`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, alias: aliasName },
+            '[CommandHandler] Error adding alias');
+        await enqueueMessage(channel, `Error adding alias. Please try again later.`);
+    }
+}
+
+async function _handleRemove(channel, channelName, commandName, username, logger) {
     if (!commandName) {
         await enqueueMessage(channel, `Please specify a command name. Usage: !command remove <name>`);
         return;
     }
 
     try {
-        const removed = await removeCustomCommand(channelName, commandName);
+        // Recorded with the removal so undo can bring the aliases back
+        const currentAliases = await getAliasesForCommand(channelName, commandName);
+        const removed = await removeCustomCommand(channelName, commandName, username, { aliases: currentAliases });
         if (removed) {
-            await enqueueMessage(channel, `Command !${commandName} has been removed.`);
+            const aliases = await removeAliasesForCommand(channelName, commandName);
+            const aliasInfo = aliases.length > 0 ? ` Its aliases were removed too: ${aliases.map(a => `!${a}`).join(', ')}.` : '';
+            await enqueueMessage(channel, `Command !${commandName} has been removed.${aliasInfo} Use "!command undo ${commandName}" to bring it back.`);
             logger.info(`[CommandHandler] Removed !${commandName} from ${channelName}`);
+        } else if (await removeCommandAlias(channelName, commandName)) {
+            await enqueueMessage(channel, `Alias !${commandName} has been removed.`);
+            logger.info(`[CommandHandler] Removed alias !${commandName} from ${channelName}`);
         } else {
             await enqueueMessage(channel, `Command !${commandName} not found.`);
         }
@@ -135,6 +264,29 @@ async function _handleRemove(channel, channelName, commandName, logger) {
     }
 }
 
+async function _describeAvailability(channelName, cmd) {
+    const parts = [];
+    if (cmd.liveOnly) parts.push(' [live only]');
+    if (cmd.offlineOnly) parts.push(' [offline only]');
+    if (cmd.activeHours) {
+        const timezone = (await getCommandTimezone(channelName)) || DEFAULT_TIMEZONE;
+        parts.push(` [hours ${formatActiveHours(cmd.activeHours)} ${timezone}]`);
+    }
+    if (Array.isArray(cmd.games) && cmd.games.length > 0) parts.push(` [game: ${cmd.games.join(' | ')}]`);
+    return parts.join('');
+}
+
+function _describeType(cmd) {
+    const parts = [];
+    if (cmd.type === 'prompt') parts.push(' [AI]');
+    else if (cmd.type === 'announcement') parts.push(` [announcement${cmd.color && cmd.color !== 'primary' ? ` ${cmd.color}` : ''}]`);
+    else if (cmd.type && cmd.type !== 'text') parts.push(` [${cmd.type}]`);
+    if (cmd.reply) parts.push(' [reply]');
+    if (cmd.multiline) parts.push(' [multi-line]');
+    if (cmd.lineDelayMs !== undefined) parts.push(` [${cmd.lineDelayMs / 1000}s between lines]`);
+    return parts.join('');
+}
+
 async function _handleShow(channel, channelName, commandName, logger) {
     if (!commandName) {
         await enqueueMessage(channel, `Please specify a command name. Usage: !command show <name>`);
@@ -146,9 +298,25 @@ async function _handleShow(channel, channelName, commandName, logger) {
         if (cmd) {
             const permInfo = cmd.permission !== 'everyone' ? ` [${cmd.permission}]` : '';
             const cooldownInfo = cmd.cooldownMs > 0 ? ` [${cmd.cooldownMs / 1000}s cd]` : '';
-            const typeInfo = cmd.type === 'prompt' ? ` [AI]` : '';
+            const userCooldownInfo = cmd.userCooldownMs > 0 ? ` [${cmd.userCooldownMs / 1000}s user cd]` : '';
+            const limitInfo = cmd.perStreamLimit > 0 ? ` [${cmd.perStreamLimit}/stream per viewer]` : '';
+            const bypassInfo = cmd.modBypass ? ' [mod bypass]' : '';
+            const typeInfo = _describeType(cmd);
+            const availabilityInfo = await _describeAvailability(channelName, cmd);
+            const aliases = await getAliasesForCommand(channelName, commandName);
+            const aliasInfo = aliases.length > 0 ? ` [aliases: ${aliases.map(a => `!${a}`).join(', ')}]` : '';
             await enqueueMessage(channel,
-                `!${commandName}${permInfo}${cooldownInfo}${typeInfo}: ${cmd.response}`);
+                `!${commandName}${permInfo}${cooldownInfo}${userCooldownInfo}${limitInfo}${bypassInfo}${typeInfo}${availabilityInfo}${aliasInfo}: ${cmd.response}`);
+            return;
+        }
+
+        const alias = await getCommandAlias(channelName, commandName);
+        if (alias) {
+            await enqueueMessage(channel, `!${commandName} is an alias for !${alias.target}.`);
+        } else if (_isBuiltinCommand(commandName)) {
+            const aliases = await getAliasesForCommand(channelName, commandName);
+            const aliasInfo = aliases.length > 0 ? ` Aliases: ${aliases.map(a => `!${a}`).join(', ')}.` : '';
+            await enqueueMessage(channel, `!${commandName} is a built-in command.${aliasInfo}`);
         } else {
             await enqueueMessage(channel, `Command !${commandName} not found.`);
         }
@@ -159,7 +327,33 @@ async function _handleShow(channel, channelName, commandName, logger) {
     }
 }
 
-async function _handleOptions(channel, channelName, commandName, optionArgs, logger) {
+/**
+ * Splits "key=value key2=\"two words\"" into [key, value] pairs. Values
+ * with spaces (game names) can be wrapped in double quotes.
+ */
+function _parseOptionPairs(text) {
+    return [...text.matchAll(/([^\s=]+)=(?:"([^"]*)"|(\S+))/g)]
+        .map(match => [match[1], match[2] ?? match[3]])
+        .filter(([, value]) => value);
+}
+
+function _parseToggle(value) {
+    const lower = value.toLowerCase();
+    if (['on', 'true', 'yes'].includes(lower)) return true;
+    if (['off', 'false', 'no', 'none'].includes(lower)) return false;
+    return null;
+}
+
+function _formatOptionValue(key, value) {
+    if (key === 'cooldownMs' || key === 'userCooldownMs' || key === 'lineDelayMs') return `${value / 1000}s`;
+    if (key === 'perStreamLimit') return value > 0 ? `${value}/stream` : 'off';
+    if (key === 'activeHours') return value ? formatActiveHours(value) : 'off';
+    if (key === 'games') return value.length > 0 ? value.join('|') : 'any';
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    return value;
+}
+
+async function _handleOptions(channel, channelName, commandName, optionArgs, username, logger) {
     if (!commandName) {
         await enqueueMessage(channel, `Usage: !command options <name> <key>=<value>`);
         return;
@@ -173,10 +367,7 @@ async function _handleOptions(channel, channelName, commandName, optionArgs, log
     const options = {};
     const validPermissions = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
 
-    for (const arg of optionArgs) {
-        const [key, value] = arg.split('=');
-        if (!key || !value) continue;
-
+    for (const [key, value] of _parseOptionPairs(optionArgs.join(' '))) {
         switch (key.toLowerCase()) {
             case 'permission':
             case 'perm':
@@ -198,16 +389,115 @@ async function _handleOptions(channel, channelName, commandName, optionArgs, log
                 options.cooldownMs = seconds * 1000;
                 break;
             }
+            case 'usercooldown':
+            case 'ucd': {
+                const seconds = parseInt(value, 10);
+                if (isNaN(seconds) || seconds < 0) {
+                    await enqueueMessage(channel, `User cooldown must be a non-negative number (in seconds).`);
+                    return;
+                }
+                options.userCooldownMs = seconds * 1000;
+                break;
+            }
+            case 'limit':
+            case 'perstream': {
+                const uses = _parseToggle(value) === false ? 0 : parseInt(value, 10);
+                if (isNaN(uses) || uses < 0) {
+                    await enqueueMessage(channel, `Limit must be the number of uses per viewer per stream (0 or "off" for no limit).`);
+                    return;
+                }
+                options.perStreamLimit = uses;
+                break;
+            }
+            case 'modbypass': {
+                const enabled = _parseToggle(value);
+                if (enabled === null) {
+                    await enqueueMessage(channel, `modbypass must be on or off.`);
+                    return;
+                }
+                options.modBypass = enabled;
+                break;
+            }
             case 'type':
-                if (value.toLowerCase() === 'prompt' || value.toLowerCase() === 'text') {
+                if (COMMAND_TYPES.includes(value.toLowerCase())) {
                     options.type = value.toLowerCase();
                 } else {
-                    await enqueueMessage(channel, `Invalid type. Valid options: text, prompt`);
+                    await enqueueMessage(channel, `Invalid type. Valid options: ${COMMAND_TYPES.join(', ')}`);
+                    return;
+                }
+                break;
+            case 'color':
+            case 'colour':
+                if (ANNOUNCEMENT_COLORS.includes(value.toLowerCase())) {
+                    options.color = value.toLowerCase();
+                } else {
+                    await enqueueMessage(channel, `Invalid color. Valid options: ${ANNOUNCEMENT_COLORS.join(', ')}`);
+                    return;
+                }
+                break;
+            case 'reply': {
+                const enabled = _parseToggle(value);
+                if (enabled === null) {
+                    await enqueueMessage(channel, `reply must be on or off.`);
+                    return;
+                }
+                options.reply = enabled;
+                break;
+            }
+            case 'multiline': {
+                const enabled = _parseToggle(value);
+                if (enabled === null) {
+                    await enqueueMessage(channel, `multiline must be on or off.`);
+                    return;
+                }
+                options.multiline = enabled;
+                break;
+            }
+            case 'delay': {
+                const seconds = Number(value);
+                if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_LINE_DELAY_SECONDS) {
+                    await enqueueMessage(channel,
+                        `Delay must be 0-${MAX_LINE_DELAY_SECONDS} seconds between the lines of a response (with multiline=on, lines are separated by ||).`);
                     return;
                 }
+                options.lineDelayMs = Math.round(seconds * 1000);
+                break;
+            }
+            case 'liveonly':
+            case 'offlineonly': {
+                const enabled = _parseToggle(value);
+                if (enabled === null) {
+                    await enqueueMessage(channel, `${key} must be on or off.`);
+                    return;
+                }
+                const field = key.toLowerCase() === 'liveonly' ? 'liveOnly' : 'offlineOnly';
+                options[field] = enabled;
+                // The two are mutually exclusive; turning one on turns the other off.
+                if (enabled) options[field === 'liveOnly' ? 'offlineOnly' : 'liveOnly'] = false;
+                break;
+            }
+            case 'hours':
+                if (_parseToggle(value) === false) {
+                    options.activeHours = null;
+                } else {
+                    const activeHours = parseActiveHours(value);
+                    if (!activeHours) {
+                        await enqueueMessage(channel,
+                            `Hours must be a range like 18-23 or 20:30-02:00 (or "off"), in the channel's timezone (see !command timezone).`);
+                        return;
+                    }
+                    options.activeHours = activeHours;
+                }
+                break;
+            case 'game':
+            case 'games':
+                options.games = _parseToggle(value) === false
+                    ? []
+                    : [...new Set(value.split('|').map(g => g.trim()).filter(Boolean))];
                 break;
             default:
-                await enqueueMessage(channel, `Unknown option "${key}". Available: permission, cooldown, type`);
+                await enqueueMessage(channel,
+                    `Unknown option "${key}". Available: permission, cooldown, usercooldown, limit, modbypass, type, color, reply, multiline, delay, liveonly, offlineonly, hours, game`);
                 return;
         }
     }
@@ -218,10 +508,10 @@ async function _handleOptions(channel, channelName, commandName, optionArgs, log
     }
 
     try {
-        const updated = await updateCustomCommandOptions(channelName, commandName, options);
+        const updated = await updateCustomCommandOptions(channelName, commandName, options, username);
         if (updated) {
             const changes = Object.entries(options)
-                .map(([k, v]) => `${k}=${k === 'cooldownMs' ? `${v / 1000}s` : v}`)
+                .map(([k, v]) => `${k}=${_formatOptionValue(k, v)}`)
                 .join(', ');
             await enqueueMessage(channel, `Options for !${commandName} updated: ${changes}`);
             logger.info(`[CommandHandler] Updated options for !${commandName} in ${channelName}: ${changes}`);
@@ -235,8 +525,202 @@ async function _handleOptions(channel, channelName, commandName, optionArgs, log
     }
 }
 
+const HISTORY_SHOWN = 5;
+
+function _describeRevision(revision, now) {
+    const editor = revision.editor ? ` by ${revision.editor}` : '';
+    const age = revision.createdAt ? ` ${formatDuration(now - revision.createdAt.getTime())} ago` : '';
+    return `#${revision.revision} ${revision.action}${editor}${age}`;
+}
+
+async function _handleHistory(channel, channelName, commandName, logger) {
+    if (!commandName) {
+        await enqueueMessage(channel, `Please specify a command name. Usage: !command history <name>`);
+        return;
+    }
+
+    try {
+        const revisions = await getCommandRevisions(channelName, commandName, HISTORY_SHOWN);
+        if (revisions.length === 0) {
+            await enqueueMessage(channel, `No history recorded for !${commandName}.`);
+            return;
+        }
+        const now = Date.now();
+        await enqueueMessage(channel,
+            `History of !${commandName}: ${revisions.map(r => _describeRevision(r, now)).join(', ')}. `
+            + `Roll back with "!command undo ${commandName}" or "!command restore ${commandName} <#>".`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: commandName },
+            '[CommandHandler] Error loading command history');
+        await enqueueMessage(channel, `Error loading command history. Please try again later.`);
+    }
+}
+
+/**
+ * Re-adds aliases a removal took with it, skipping names that have since been
+ * taken by another alias or a custom command.
+ * @returns {Promise<string[]>} The aliases that were re-added.
+ */
+async function _restoreAliases(channelName, commandName, aliases, username) {
+    const restored = [];
+    for (const alias of aliases) {
+        if (await getCustomCommand(channelName, alias)) continue;
+        if (await addCommandAlias(channelName, alias, commandName, username)) {
+            restored.push(alias);
+        }
+    }
+    return restored;
+}
+
+/**
+ * Puts a command back to a revision snapshot (null removes it) and reports the result.
+ * @param {object} [options]
+ * @param {number|null} [options.undoes=null] - Revision being undone, recorded on the restore.
+ * @param {string[]} [options.aliases=[]] - Aliases to bring back along with the command.
+ */
+async function _applyRevisionState(channel, channelName, commandName, state, username, summary, logger, { undoes = null, aliases = [] } = {}) {
+    if (state) {
+        const alias = await getCommandAlias(channelName, commandName);
+        if (alias) {
+            await enqueueMessage(channel, `!${commandName} is now an alias for !${alias.target}. Remove it first with "!command remove ${commandName}".`);
+            return;
+        }
+    }
+
+    if (state) {
+        await restoreCustomCommand(channelName, commandName, state, username, { undoes });
+        const restoredAliases = await _restoreAliases(channelName, commandName, aliases, username);
+        const aliasInfo = restoredAliases.length > 0 ? ` Its aliases are back too: ${restoredAliases.map(a => `!${a}`).join(', ')}.` : '';
+        await enqueueMessage(channel, `${summary}: ${state.response}${aliasInfo}`);
+    } else {
+        const currentAliases = await getAliasesForCommand(channelName, commandName);
+        await restoreCustomCommand(channelName, commandName, null, username, { undoes, aliases: currentAliases });
+        const aliases = await removeAliasesForCommand(channelName, commandName);
+        const aliasInfo = aliases.length > 0 ? ` Its aliases were removed too: ${aliases.map(a => `!${a}`).join(', ')}.` : '';
+        await enqueueMessage(channel, `${summary}, so !${commandName} no longer exists.${aliasInfo}`);
+    }
+    logger.info(`[CommandHandler] ${username} rolled back !${commandName} in ${channelName}: ${summary}`);
+}
+
+async function _handleUndo(channel, channelName, commandName, username, logger) {
+    if (!commandName) {
+        await enqueueMessage(channel, `Please specify a command name. Usage: !command undo <name>`);
+        return;
+    }
+
+    try {
+        // Skip restores and the changes earlier undos already rolled back, so
+        // repeated undos keep stepping back through the history
+        const revisions = await getCommandRevisions(channelName, commandName, MAX_REVISIONS_PER_COMMAND);
+        const undone = new Set();
+        let target = null;
+        for (const revision of revisions) {
+            if (revision.action === 'restore') {
+                if (revision.undoes) undone.add(revision.undoes);
+            } else if (!undone.has(revision.revision)) {
+                target = revision;
+                break;
+            }
+        }
+        if (!target) {
+            await enqueueMessage(channel, `Nothing to undo for !${commandName}.`);
+            return;
+        }
+        await _applyRevisionState(channel, channelName, commandName, target.before, username,
+            `Undid ${target.action} #${target.revision} of !${commandName}`, logger,
+            { undoes: target.revision, aliases: target.action === 'remove' ? target.aliases || [] : [] });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: commandName },
+            '[CommandHandler] Error undoing command change');
+        await enqueueMessage(channel, `Error undoing the change. Please try again later.`);
+    }
+}
+
+async function _handleRestore(channel, channelName, commandName, revisionArg, username, logger) {
+    const revisionNumber = Number((revisionArg || '').replace(/^#/, ''));
+    if (!commandName || !Number.isInteger(revisionNumber) || revisionNumber < 1) {
+        await enqueueMessage(channel, `Usage: !command restore <name> <revision>. See "!command history <name>" for revision numbers.`);
+        return;
+    }
+
+    try {
+        const revision = await getCommandRevision(channelName, commandName, revisionNumber);
+        if (!revision) {
+            await enqueueMessage(channel, `Revision #${revisionNumber} of !${commandName} not found. See "!command history ${commandName}".`);
+            return;
+        }
+        // A removal leaves nothing behind, so restoring it brings back what was removed
+        const state = revision.after ?? revision.before;
+        await _applyRevisionState(channel, channelName, commandName, state, username,
+            `!${commandName} restored to revision #${revisionNumber}`, logger,
+            { aliases: revision.after ? [] : revision.aliases || [] });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: commandName },
+            '[CommandHandler] Error restoring command revision');
+        await enqueueMessage(channel, `Error restoring the command. Please try again later.`);
+    }
+}
+
+async function _handleTimezone(channel, channelName, timezoneArg, logger) {
+    try {
+        if (!timezoneArg) {
+            const timezone = await getCommandTimezone(channelName);
+            await enqueueMessage(channel, timezone
+                ? `Command hours use ${timezone}.`
+                : `Command hours use ${DEFAULT_TIMEZONE}. Set a timezone with !command timezone <zone>, e.g. America/Chicago`);
+            return;
+        }
+
+        if (!isValidTimezone(timezoneArg)) {
+            await enqueueMessage(channel, `Unknown timezone "${timezoneArg}". Use an IANA name like America/Chicago or Europe/Berlin.`);
+            return;
+        }
+        // Store the canonical spelling ("america/chicago" -> "America/Chicago")
+        const timezone = new Intl.DateTimeFormat('en-US', { timeZone: timezoneArg }).resolvedOptions().timeZone;
+        await setCommandTimezone(channelName, timezone);
+        await enqueueMessage(channel, `Command hours now use ${timezone}.`);
+        logger.info(`[CommandHandler] Set command timezone for ${channelName} to ${timezone}`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[CommandHandler] Error managing command timezone');
+        await enqueueMessage(channel, `Error updating the command timezone. Please try again later.`);
+    }
+}
+
+async function _handleUrlHosts(channel, channelName, hostArgs, logger) {
+    const action = hostArgs[0]?.toLowerCase() || 'list';
+
+    try {
+        if (action === 'list') {
+            const hosts = await getUrlFetchHosts(channelName);
+            await enqueueMessage(channel, hosts.length > 0
+                ? `$(urlfetch) may contact: ${hosts.join(', ')}`
+                : `No hosts allowed for $(urlfetch) yet. Usage: !command urlhosts add <host>`);
+            return;
+        }
+
+        if (action !== 'add' && action !== 'remove') {
+            await enqueueMessage(channel, `Usage: !command urlhosts [add|remove] <host>`);
+            return;
+        }
+
+        const host = normalizeDomain(hostArgs[1] || '');
+        if (!host) {
+            await enqueueMessage(channel, `Please specify a host, e.g. !command urlhosts ${action} api.example.com`);
+            return;
+        }
+
+        await setUrlFetchHostAllowed(channelName, host, action === 'add');
+        await enqueueMessage(channel, action === 'add'
+            ? `$(urlfetch) may now contact ${host} and its subdomains.`
+            : `${host} removed from the $(urlfetch) allow-list.`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[CommandHandler] Error managing urlfetch hosts');
+        await enqueueMessage(channel, `Error updating urlfetch hosts. Please try again later.`);
+    }
+}
+
 export default {
     execute,
     permission: 'moderator', // Only moderators and broadcasters can manage commands
-    description: 'Manage custom commands (add/edit/remove/show/options)',
+    description: 'Manage custom commands (add/edit/alias/remove/show/options/history/undo/restore)',
 };
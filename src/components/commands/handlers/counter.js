@@ -0,0 +1,95 @@
+// src/components/commands/handlers/counter.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import {
+    getCounter,
+    getAllCounters,
+    setCounter,
+    normalizeVariableName,
+} from '../../customCommands/customCommandsStorage.js';
+
+const USAGE = 'Usage: !counter show/set/reset <name> [value]';
+const MAX_LISTED_COUNTERS = 15;
+
+/**
+ * Handler for the !counter command.
+ * Manages the named counters that custom commands read and change with
+ * $(counter name) and $(counter name +1).
+ *
+ * Usage:
+ *   !counter                   → List the channel's counters
+ *   !counter show <name>       → Show a counter's value
+ *   !counter set <name> <n>    → Set a counter
+ *   !counter reset <name>      → Set a counter back to 0
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const subCommand = (args[0] || 'list').toLowerCase();
+    if (subCommand === 'list') {
+        await _handleList(channel, channelName, replyToId, logger);
+        return;
+    }
+
+    if (!['show', 'set', 'reset'].includes(subCommand)) {
+        await enqueueMessage(channel, USAGE, { replyToId });
+        return;
+    }
+
+    const name = normalizeVariableName(args[1]);
+    if (!name) {
+        await enqueueMessage(channel, `${USAGE}. Names use letters, numbers and underscores.`, { replyToId });
+        return;
+    }
+
+    try {
+        if (subCommand === 'show') {
+            const value = await getCounter(channelName, name);
+            await enqueueMessage(channel, `Counter "${name}" is ${value}.`, { replyToId });
+            return;
+        }
+
+        let value = 0;
+        if (subCommand === 'set') {
+            if (!/^-?\d+$/.test(args[2] || '')) {
+                await enqueueMessage(channel, `Please give a whole number. Usage: !counter set ${name} <value>`, { replyToId });
+                return;
+            }
+            value = parseInt(args[2], 10);
+        }
+
+        const stored = await setCounter(channelName, name, value);
+        logger.info(`[CounterCommand] ${user.username} set counter ${name} to ${stored} in ${channelName}`);
+        await enqueueMessage(channel, subCommand === 'reset'
+            ? `Counter "${name}" has been reset to 0.`
+            : `Counter "${name}" is now ${stored}.`, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, counter: name }, '[CounterCommand] Error updating counter');
+        await enqueueMessage(channel, 'Error updating counter. Please try again later.', { replyToId });
+    }
+}
+
+async function _handleList(channel, channelName, replyToId, logger) {
+    try {
+        const counters = await getAllCounters(channelName);
+        if (counters.length === 0) {
+            await enqueueMessage(channel, `No counters yet. Use $(counter name +1) in a command or "!counter set <name> <value>".`, { replyToId });
+            return;
+        }
+        const listed = counters.slice(0, MAX_LISTED_COUNTERS).map(c => `${c.name}: ${c.value}`).join(', ');
+        const more = counters.length > MAX_LISTED_COUNTERS ? ` (+${counters.length - MAX_LISTED_COUNTERS} more)` : '';
+        await enqueueMessage(channel, `Counters: ${listed}${more}`, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[CounterCommand] Error listing counters');
+        await enqueueMessage(channel, 'Error loading counters. Please try again later.', { replyToId });
+    }
+}
+
+export default {
+    name: 'counter',
+    description: 'Shows, sets or resets named counters used by custom commands.',
+    usage: '!counter [show|set|reset] <name> [value]',
+    permission: 'moderator',
+    execute,
+};
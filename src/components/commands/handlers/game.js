@@ -29,6 +29,7 @@ const gameHandler = {
     description: 'Provides information about the game currently being played. Add "analyze" to use AI image recognition on the stream.',
     usage: '!game [analyze] [your question]',
     permission: 'everyone',
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const { channel, user, args } = context;
         const channelName = channel.substring(1);
@@ -163,7 +163,7 @@ export async function handleReport(gameCtx, manager, gameName, commandName) {
 
 /**
  * Handles 'config' subcommand with a game-specific schema.
- * Parses key-value pairs from args according to the schema definition.
+ * Parses key-value pairs ("key value" or "key=value") from args according to the schema definition.
  *
  * Schema entry format:
  *   { keys: string[], type: 'int'|'bool'|'list'|'enum', optionName: string, enumValues?: string[] }
@@ -183,10 +183,15 @@ export async function handleConfig(gameCtx, manager, schema, usageMessage, gameN
     }
 
     const options = {};
+    // Accept "key=value" as well as "key value"
+    const pairs = args.slice(1).flatMap(arg => {
+        const eq = arg.indexOf('=');
+        return eq > 0 ? [arg.slice(0, eq), arg.slice(eq + 1)] : [arg];
+    });
 
-    for (let i = 1; i < args.length; i += 2) {
-        const key = args[i]?.toLowerCase();
-        const value = args[i + 1];
+    for (let i = 0; i < pairs.length; i += 2) {
+        const key = pairs[i]?.toLowerCase();
+        const value = pairs[i + 1];
         if (!key || !value) continue;
 
         const entry = schema.find(s => s.keys.includes(key));
@@ -61,9 +61,10 @@ const GEO_CONFIG_SCHEMA = [
     { keys: ['points', 'basepoints'], type: 'int', optionName: 'pointsBase' },
     { keys: ['timebonus'], type: 'bool', optionName: 'pointsTimeBonus' },
     { keys: ['difficultymultiplier'], type: 'bool', optionName: 'pointsDifficultyMultiplier' },
+    { keys: ['distance', 'distancescoring'], type: 'bool', optionName: 'pointsDistance' },
 ];
 
-const GEO_CONFIG_USAGE = `Usage: !geo config difficulty <easy|normal|hard> interval <secs> duration <mins> region <list> game <list> scoring <bool> points <num> timebonus <bool> difficultymultiplier <bool>`;
+const GEO_CONFIG_USAGE = `Usage: !geo config difficulty <easy|normal|hard> interval <secs> duration <mins> region <list> game <list> scoring <bool> points <num> timebonus <bool> difficultymultiplier <bool> distance <bool>`;
 
 /**
  * Handler for the !geo command and its subcommands.
@@ -73,6 +74,7 @@ const geoHandler = {
     description: 'Starts or manages the Geo-Game (!geo help for details).',
     usage: '!geo [<rounds>] | stop | config <options...> | resetconfig | leaderboard | clearleaderboard | report <reason...> | help',
     permission: 'everyone', // Subcommand permissions handled inside
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const gameCtx = extractGameContext(context);
         const { channel, channelName, username, displayName, replyToId, args } = gameCtx;
@@ -0,0 +1,76 @@
+// src/components/commands/handlers/give.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import {
+    getPointsSettings,
+    transferPoints,
+    formatPoints,
+    PointsStorageError,
+    InsufficientPointsError,
+    VIEWER_LOGIN_REGEX,
+    MAX_POINTS_AMOUNT,
+} from '../../points/pointsStorage.js';
+
+const USAGE = 'Usage: !give <user> <amount|all>';
+
+/**
+ * Handler for the !give command.
+ * Moves some of the sender's loyalty points to another viewer.
+ *
+ * Usage:
+ *   !give <user> <amount>   → Give that many points
+ *   !give <user> all        → Give your whole balance
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const settings = await getPointsSettings(channelName);
+    if (!settings.enabled) {
+        await enqueueMessage(channel, `Points aren't turned on in this channel.`, { replyToId });
+        return;
+    }
+
+    const target = (args[0] || '').toLowerCase().replace(/^@/, '');
+    const amountArg = (args[1] || '').toLowerCase().replace(/,/g, '');
+    const amount = amountArg === 'all' ? 'all' : Number(amountArg);
+    if (!VIEWER_LOGIN_REGEX.test(target)
+        || (amount !== 'all' && (!Number.isInteger(amount) || amount <= 0 || amount > MAX_POINTS_AMOUNT))) {
+        await enqueueMessage(channel, USAGE, { replyToId });
+        return;
+    }
+    if (target === user.username.toLowerCase()) {
+        await enqueueMessage(channel, `You can't give ${settings.currency} to yourself.`, { replyToId });
+        return;
+    }
+
+    try {
+        const result = await transferPoints(channelName, user.username, target, amount);
+        const giver = user['display-name'] || user.username;
+        await enqueueMessage(channel,
+            `${giver} gave ${formatPoints(result.amount, settings)} to ${result.toDisplayName}. `
+            + `${giver} now has ${formatPoints(result.fromPoints, settings)}.`, { replyToId });
+        logger.info({ channel: channelName, from: user.username, to: target, amount: result.amount }, '[GiveCommand] Points given');
+    } catch (error) {
+        if (error instanceof InsufficientPointsError) {
+            await enqueueMessage(channel, `You only have ${formatPoints(error.available, settings)} to give.`, { replyToId });
+            return;
+        }
+        if (error instanceof PointsStorageError && !error.cause) {
+            await enqueueMessage(channel, error.message, { replyToId });
+            return;
+        }
+        logger.error({ err: error, channel: channelName, from: user.username, to: target }, '[GiveCommand] Error giving points');
+        await enqueueMessage(channel, `Couldn't give ${settings.currency} right now. Please try again later.`, { replyToId });
+    }
+}
+
+export default {
+    name: 'give',
+    description: 'Gives some of your loyalty points to another viewer.',
+    usage: '!give <user> <amount|all>',
+    permission: 'everyone',
+    // Leaves the name to a custom command while points are off
+    yieldsToCustomCommand: async (channelName) => !(await getPointsSettings(channelName)).enabled,
+    execute,
+};
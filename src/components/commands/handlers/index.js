@@ -20,6 +20,10 @@ import search from './search.js';
 import translate from './translate.js';
 import geo from './geo.js';
 import trivia from './trivia.js';
+import profile from './profile.js';
+import leaderboard from './leaderboard.js';
+import join from './join.js';
+import teams from './teams.js';
 import botLang from './botlang.js';
 import lurk from './lurk.js';
 import auto from './auto.js';
@@ -37,11 +41,21 @@ import enable from './enable.js';
 import disable from './disable.js';
 import command from './command.js';
 import timer from './timer.js';
+import permit from './permit.js';
+import counter from './counter.js';
+import trigger from './trigger.js';
+import shoutout from './shoutout.js';
+import reward from './reward.js';
+import addpoints from './addpoints.js';
 // import cooldown from './cooldown.js';
 // import setthreshold from './setthreshold.js';
 
 // Custom/Social Commands
 import followage from './followage.js';
+import checkins from './checkins.js';
+import points from './points.js';
+import give from './give.js';
+import top from './top.js';
 
 
 logger.debug('Loading command handlers...');
@@ -70,6 +84,10 @@ const commandHandlers = {
     geo: geo,
     trivia: trivia,
     riddle: riddle,
+    profile: profile,
+    leaderboard: leaderboard,
+    join: join,
+    teams: teams,
     botlang: botLang,
     lurk: lurk,
     auto: auto,
@@ -89,11 +107,24 @@ const commandHandlers = {
     command: command,
     timer: timer,
     timers: timer, // Alias
+    permit: permit,
+    counter: counter,
+    counters: counter, // Alias
+    trigger: trigger,
+    triggers: trigger, // Alias
+    shoutout: shoutout,
+    reward: reward,
+    rewards: reward, // Alias
+    addpoints: addpoints,
     // cooldown: cooldown,
     // setthreshold: setthreshold,
 
     // --- Custom/Social Commands ---
     followage: followage,
+    checkins: checkins,
+    points: points,
+    give: give,
+    top: top,
 };
 
 // Log loaded commands dynamically
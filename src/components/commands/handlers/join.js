@@ -0,0 +1,43 @@
+// src/components/commands/handlers/join.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { joinTeam, formatTeamName, isTeamModeActive } from '../../teams/teamManager.js';
+
+/**
+ * Handler for the !join command.
+ * Puts the sender on a team while team mode is on, or on the smallest team
+ * when no team is named.
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const displayName = user['display-name'] || user.username;
+
+    const result = joinTeam(channelName, user.username, args[0] || null);
+    if (!result.success) {
+        await enqueueMessage(channel, result.error, { replyToId });
+        return;
+    }
+
+    const team = `Team ${formatTeamName(result.team)}`;
+    let message;
+    if (result.previousTeam === result.team) {
+        message = `${displayName}, you're already on ${team}.`;
+    } else if (result.previousTeam) {
+        message = `${displayName} switched to ${team}!`;
+    } else {
+        message = `${displayName} joined ${team}!`;
+    }
+    logger.debug(`[JoinCommand][${channelName}] ${user.username} -> ${result.team}`);
+    await enqueueMessage(channel, message, { replyToId });
+}
+
+export default {
+    name: 'join',
+    description: 'Joins a team while team mode is on. Leave the team out to be put on the smallest one.',
+    usage: '!join [team]',
+    permission: 'everyone',
+    // Leaves the name to a custom command (queues, viewer games) while team mode is off
+    yieldsToCustomCommand: (channelName) => !isTeamModeActive(channelName),
+    execute,
+};
@@ -0,0 +1,90 @@
+// src/components/commands/handlers/leaderboard.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { isPrivilegedUser } from '../../../lib/permissions.js';
+import {
+    getGameLeaderboard,
+    getSeasonArchive,
+    getCurrentSeason,
+    startNewSeason,
+} from '../../gameProfiles/gameProfileStorage.js';
+
+const LEADERBOARD_SIZE = 5;
+const WINDOW_ALIASES = { week: 'week', weekly: 'week', month: 'month', monthly: 'month', all: 'all', season: 'all' };
+const WINDOW_LABELS = { week: 'this week', month: 'this month', all: 'this season' };
+const USAGE = 'Usage: !leaderboard [week|month|all] | !leaderboard season <number> | !leaderboard newseason';
+
+function _formatStandings(standings) {
+    return standings
+        .slice(0, LEADERBOARD_SIZE)
+        .map((player, i) => `${i + 1}. ${player.displayName} (${player.points.toLocaleString('en-US')})`)
+        .join(', ');
+}
+
+/**
+ * Handler for the !leaderboard command.
+ * Ranks players across all games for this week, this month or the season,
+ * shows archived seasons, and lets moderators start a new season.
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const subCommand = (args[0] || 'all').toLowerCase();
+
+    try {
+        if (subCommand === 'newseason') {
+            if (!isPrivilegedUser(user, channelName)) {
+                await enqueueMessage(channel, 'Only mods/broadcaster can start a new season.', { replyToId });
+                return;
+            }
+            const { season, standings } = await startNewSeason(channelName, user.username);
+            const podium = standings.length > 0 ? ` Final standings: ${_formatStandings(standings)}.` : '';
+            await enqueueMessage(channel, `Season ${season} is over!${podium} Season ${season + 1} starts now.`, { replyToId });
+            return;
+        }
+
+        if (subCommand === 'season' && args[1]) {
+            const season = parseInt(args[1], 10);
+            if (!Number.isInteger(season) || season < 1) {
+                await enqueueMessage(channel, USAGE, { replyToId });
+                return;
+            }
+            const archive = await getSeasonArchive(channelName, season);
+            if (!archive) {
+                const current = await getCurrentSeason(channelName);
+                const message = season === current
+                    ? `Season ${season} is still going. Use !leaderboard to see it.`
+                    : `There's no season ${season} on record.`;
+                await enqueueMessage(channel, message, { replyToId });
+                return;
+            }
+            const message = archive.standings.length > 0
+                ? `Season ${season} final standings: ${_formatStandings(archive.standings)}`
+                : `Nobody won a round in season ${season}.`;
+            await enqueueMessage(channel, message, { replyToId });
+            return;
+        }
+
+        const window = WINDOW_ALIASES[subCommand];
+        if (!window) {
+            await enqueueMessage(channel, USAGE, { replyToId });
+            return;
+        }
+        const leaders = await getGameLeaderboard(channelName, window, LEADERBOARD_SIZE);
+        const message = leaders.length > 0
+            ? `Top players ${WINDOW_LABELS[window]}: ${_formatStandings(leaders)}`
+            : `Nobody has won a game round ${WINDOW_LABELS[window]} yet.`;
+        await enqueueMessage(channel, message, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, subCommand }, '[LeaderboardCommand] Error handling leaderboard command');
+        await enqueueMessage(channel, `Couldn't load the leaderboard right now. Please try again later.`, { replyToId });
+    }
+}
+
+export default {
+    name: 'leaderboard',
+    description: 'Ranks players across trivia, geo and riddle for this week, this month or the season. Mods can start a new season.',
+    usage: '!leaderboard [week|month|all] | !leaderboard season <number> | !leaderboard newseason',
+    permission: 'everyone',
+    execute,
+};
@@ -16,6 +16,7 @@ const lurkHandler = {
     description: 'Let the chat know you are lurking. Provide an optional reason for a custom send-off.',
     usage: '!lurk [your reason for lurking]',
     permission: 'everyone',
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const { channel, user, args } = context;
         const displayName = user['display-name'] || user.username;
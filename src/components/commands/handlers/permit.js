@@ -0,0 +1,51 @@
+// src/components/commands/handlers/permit.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { grantLinkPermit, DEFAULT_PERMIT_SECONDS, MAX_PERMIT_SECONDS } from '../../moderation/linkPermits.js';
+import { getModerationConfig } from '../../moderation/moderationManager.js';
+
+/**
+ * Handler for the !permit command.
+ * Lets a viewer post links that the channel's link filter would otherwise
+ * remove, for a limited time.
+ *
+ * Usage: !permit <username> [seconds]
+ * Example: !permit someviewer 120
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const target = (args[0] || '').replace(/^@/, '').toLowerCase();
+    if (!/^[a-z0-9_]{2,25}$/.test(target)) {
+        await enqueueMessage(channel, `Usage: !permit <username> [seconds]. Default is ${DEFAULT_PERMIT_SECONDS}s, max ${MAX_PERMIT_SECONDS}s.`, { replyToId });
+        return;
+    }
+
+    let seconds = DEFAULT_PERMIT_SECONDS;
+    if (args[1] !== undefined) {
+        seconds = parseInt(args[1], 10);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            await enqueueMessage(channel, `Seconds must be a positive number (max ${MAX_PERMIT_SECONDS}).`, { replyToId });
+            return;
+        }
+    }
+
+    const { enabled, rules } = getModerationConfig(channelName);
+    if (!enabled || !rules.links.enabled) {
+        await enqueueMessage(channel, `Links aren't filtered in this channel, so @${target} doesn't need a permit.`, { replyToId });
+        return;
+    }
+
+    const applied = await grantLinkPermit(channelName, target, seconds);
+    logger.info({ channel: channelName, moderator: user.username, target, seconds: applied }, '[PermitCommand] Granted link permit');
+    await enqueueMessage(channel, `@${target} can post links for the next ${applied} seconds.`, { replyToId });
+}
+
+export default {
+    name: 'permit',
+    description: 'Temporarily allows a viewer to post links.',
+    usage: '!permit <username> [seconds]',
+    permission: 'moderator',
+    execute,
+};
@@ -0,0 +1,153 @@
+// src/components/commands/handlers/points.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { isPrivilegedUser } from '../../../lib/permissions.js';
+import {
+    getPointsSettings,
+    updatePointsSettings,
+    getViewerPoints,
+    getPointsRank,
+    formatPoints,
+    VIEWER_LOGIN_REGEX,
+    MAX_POINTS_AMOUNT,
+} from '../../points/pointsStorage.js';
+
+const MAX_CURRENCY_LENGTH = 20;
+
+// What mods type for each earning source in "!points rate <source> <amount>"
+const RATE_SOURCES = {
+    chat: 'chat',
+    watch: 'watch',
+    follow: 'follow',
+    sub: 'sub',
+    giftsub: 'giftSub',
+    raid: 'raid',
+    game: 'gameWin',
+};
+
+const SETTINGS_USAGE = {
+    on: '!points on',
+    off: '!points off',
+    name: '!points name <currency name>',
+    rate: `!points rate ${Object.keys(RATE_SOURCES).join('|')} <amount>`,
+    settings: '!points settings',
+};
+
+/**
+ * Handler for the !points command.
+ * Shows loyalty point balances, and lets moderators turn points on and
+ * choose how many each earning source gives.
+ *
+ * Usage:
+ *   !points                         → Your balance and rank
+ *   !points <user>                  → Someone else's balance
+ *   !points on|off                  → Turn points on or off (mods)
+ *   !points name <currency>         → Rename the currency (mods)
+ *   !points rate <source> <amount>  → Points per chat tick, follow, sub, etc. (mods)
+ *   !points settings                → Show the current rates (mods)
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const first = (args[0] || '').toLowerCase();
+
+    if (Object.hasOwn(SETTINGS_USAGE, first)) {
+        if (!isPrivilegedUser(user, channelName)) {
+            await enqueueMessage(channel, `Only mods/broadcaster can change points settings.`, { replyToId });
+            return;
+        }
+        await _handleSetting(channel, channelName, first, args.slice(1), replyToId, logger);
+        return;
+    }
+
+    const settings = await getPointsSettings(channelName);
+    if (!settings.enabled) {
+        await enqueueMessage(channel, `Points aren't turned on in this channel.`, { replyToId });
+        return;
+    }
+
+    const target = first.replace(/^@/, '');
+    const login = target || user.username;
+    if (!VIEWER_LOGIN_REGEX.test(login)) {
+        await enqueueMessage(channel, `Usage: !points [user]`, { replyToId });
+        return;
+    }
+
+    try {
+        const viewer = await getViewerPoints(channelName, login);
+        const name = viewer?.displayName || (target ? target : user['display-name'] || user.username);
+        if (!viewer || viewer.points === 0) {
+            await enqueueMessage(channel, `${name} has 0 ${settings.currency}.`, { replyToId });
+            return;
+        }
+        const rank = await getPointsRank(channelName, viewer.points);
+        await enqueueMessage(channel,
+            `${name} has ${formatPoints(viewer.points, settings)}${rank ? ` (rank #${rank})` : ''}.`, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, login }, '[PointsCommand] Error getting points');
+        await enqueueMessage(channel, `Couldn't look up ${settings.currency} right now. Please try again later.`, { replyToId });
+    }
+}
+
+async function _handleSetting(channel, channelName, setting, values, replyToId, logger) {
+    if (setting === 'settings') {
+        const settings = await getPointsSettings(channelName);
+        const rates = Object.entries(RATE_SOURCES).map(([label, key]) => `${label} ${settings[key]}`).join(', ');
+        await enqueueMessage(channel,
+            `Points are ${settings.enabled ? 'on' : 'off'}. Currency: ${settings.currency}. Rates: ${rates}.`, { replyToId });
+        return;
+    }
+
+    let changes;
+    let confirmation;
+    switch (setting) {
+        case 'on':
+        case 'off':
+            changes = { enabled: setting === 'on' };
+            confirmation = setting === 'on'
+                ? 'Points are on. Viewers earn them by chatting, watching, following, subbing, raiding and winning games.'
+                : 'Points are off. Balances are kept for when they come back.';
+            break;
+        case 'name': {
+            const currency = values.join(' ').trim();
+            if (!currency || currency.length > MAX_CURRENCY_LENGTH || !/^[\p{L}\p{N} ]+$/u.test(currency)) break;
+            changes = { currency };
+            confirmation = `Points are now called ${currency}.`;
+            break;
+        }
+        case 'rate': {
+            const source = RATE_SOURCES[(values[0] || '').toLowerCase()];
+            const amount = Number(values[1]);
+            if (!source || !Number.isInteger(amount) || amount < 0 || amount > MAX_POINTS_AMOUNT) break;
+            changes = { [source]: amount };
+            confirmation = amount > 0
+                ? `The ${values[0].toLowerCase()} rate is now ${amount.toLocaleString('en-US')}.`
+                : `The ${values[0].toLowerCase()} rate is now 0, so it no longer earns anything.`;
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (!changes) {
+        await enqueueMessage(channel, `Usage: ${SETTINGS_USAGE[setting]}`, { replyToId });
+        return;
+    }
+
+    const saved = await updatePointsSettings(channelName, changes);
+    await enqueueMessage(channel, saved ? confirmation : `Couldn't save that setting. Please try again later.`, { replyToId });
+    if (saved) {
+        logger.info({ channel: channelName, changes }, '[PointsCommand] Updated points settings');
+    }
+}
+
+export default {
+    name: 'points',
+    description: 'Shows your loyalty points, or changes how points are earned (mods).',
+    usage: '!points [user]',
+    permission: 'everyone',
+    // Leaves the name to a custom command while points are off, except for the settings mods use to turn them on
+    yieldsToCustomCommand: async (channelName, args) => !Object.hasOwn(SETTINGS_USAGE, (args[0] || '').toLowerCase())
+        && !(await getPointsSettings(channelName)).enabled,
+    execute,
+};
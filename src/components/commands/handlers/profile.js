@@ -0,0 +1,51 @@
+// src/components/commands/handlers/profile.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { getPlayerProfile } from '../../gameProfiles/gameProfileStorage.js';
+
+const GAME_LABELS = { trivia: 'Trivia', geo: 'Geo', riddle: 'Riddle' };
+
+/**
+ * Handler for the !profile command.
+ * Shows a player's standing across trivia, geo and riddle.
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const login = (args[0] || user.username).replace(/^@/, '').toLowerCase();
+
+    try {
+        const profile = await getPlayerProfile(channelName, login);
+        if (!profile) {
+            await enqueueMessage(channel, `${login} hasn't won a game round here yet.`, { replyToId });
+            return;
+        }
+
+        const parts = [
+            `${profile.displayName}: ${profile.points.toLocaleString('en-US')} points from ${profile.wins} ${profile.wins === 1 ? 'win' : 'wins'} this season` +
+                (profile.rank ? ` (rank #${profile.rank})` : ''),
+        ];
+        const games = Object.entries(profile.games)
+            .filter(([, stats]) => stats.wins > 0)
+            .map(([game, stats]) => `${GAME_LABELS[game]} ${stats.wins}`);
+        if (games.length > 0) parts.push(`Wins: ${games.join(', ')}`);
+        if (profile.careerWins > profile.wins) {
+            parts.push(`All-time: ${profile.careerPoints.toLocaleString('en-US')} points, ${profile.careerWins} wins`);
+        }
+        if (profile.bestStreak > 1) parts.push(`Best streak: ${profile.bestStreak}`);
+        if (profile.favouriteTopics.length > 0) parts.push(`Favourite topics: ${profile.favouriteTopics.join(', ')}`);
+
+        await enqueueMessage(channel, parts.join(' | '), { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, login }, '[ProfileCommand] Error loading player profile');
+        await enqueueMessage(channel, `Couldn't load that profile right now. Please try again later.`, { replyToId });
+    }
+}
+
+export default {
+    name: 'profile',
+    description: "Shows a player's points, wins, best streak and favourite topics across trivia, geo and riddle.",
+    usage: '!profile [user]',
+    permission: 'everyone',
+    execute,
+};
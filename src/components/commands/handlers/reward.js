@@ -0,0 +1,476 @@
+// src/components/commands/handlers/reward.js
+import {
+    addReward,
+    updateReward,
+    removeReward,
+    getReward,
+    getRewardsForChannel,
+    RewardStorageError,
+    REWARD_NAME_REGEX,
+} from '../../rewards/rewardStorage.js';
+import {
+    parseRewardAction,
+    describeRewardAction,
+    actionNeedsInput,
+    getRewardActionUsages,
+} from '../../rewards/rewardActions.js';
+import {
+    listChannelRewards,
+    createChannelReward,
+    updateChannelReward,
+    deleteChannelReward,
+} from '../../twitch/channelPoints.js';
+import { enqueueMessage } from '../../../lib/ircSender.js';
+
+const MAX_TITLE_LENGTH = 45; // Twitch's limit
+const MAX_COST = 10_000_000;
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60; // Twitch's limit
+
+/**
+ * Handler for the !reward meta-command.
+ * Maps Channel Points rewards to actions the bot runs when they're redeemed.
+ * Rewards made with "create" belong to the bot, so their redemptions are
+ * fulfilled when the action works and refunded when it doesn't; rewards made
+ * in the Twitch dashboard can be attached with "link" but not refunded.
+ *
+ * Usage:
+ *   !reward create <name> <cost> ["Title"] <action>  → Create a reward on Twitch
+ *   !reward link <name> "<Title>" <action>           → Attach an existing reward
+ *   !reward action <name> <action>                   → Change what a reward does
+ *   !reward options <name> <key>=<val>               → cost, cooldown, input, paused (created rewards)
+ *   !reward enable <name> / disable <name>           → Toggle a reward
+ *   !reward remove <name>                            → Delete the action (and a created reward)
+ *   !reward show <name> / list                       → Show rewards
+ *
+ * Actions: text <response>, prompt <AI prompt>, counter <counter> [amount]
+ * [response], announce [color] <message>, game <trivia|riddle|geo> [topic],
+ * quote. The viewer's text is available as $(args).
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1); // Remove '#'
+    const username = user.username;
+
+    if (args.length === 0) {
+        await enqueueMessage(channel,
+            `Usage: !reward create/link/action/options/enable/disable/remove/show/list <name> [...]`);
+        return;
+    }
+
+    const subCommand = args[0].toLowerCase();
+    const rewardName = args[1]?.toLowerCase();
+
+    switch (subCommand) {
+        case 'create':
+            await _handleCreate(channel, channelName, rewardName, args.slice(2), username, logger);
+            break;
+        case 'link':
+            await _handleLink(channel, channelName, rewardName, args.slice(2), username, logger);
+            break;
+        case 'action':
+            await _handleAction(channel, channelName, rewardName, args.slice(2), logger);
+            break;
+        case 'options':
+            await _handleOptions(channel, channelName, rewardName, args.slice(2), logger);
+            break;
+        case 'enable':
+        case 'disable':
+            await _handleToggle(channel, channelName, rewardName, subCommand === 'enable', logger);
+            break;
+        case 'remove':
+        case 'delete':
+            await _handleRemove(channel, channelName, rewardName, logger);
+            break;
+        case 'show':
+            await _handleShow(channel, channelName, rewardName, logger);
+            break;
+        case 'list':
+            await _handleList(channel, channelName, logger);
+            break;
+        default:
+            await enqueueMessage(channel,
+                `Unknown subcommand "${subCommand}". Use create, link, action, options, enable, disable, remove, show, or list.`);
+    }
+}
+
+/**
+ * Reads a "quoted title" off the front of the arguments.
+ * @param {string[]} words
+ * @returns {{title: string|null, rest: string[]}} title is null when the
+ *   arguments don't start with a closed quote.
+ */
+function _takeQuoted(words) {
+    const text = words.join(' ').trim();
+    if (!text.startsWith('"')) return { title: null, rest: words };
+    const end = text.indexOf('"', 1);
+    if (end === -1) return { title: null, rest: words };
+    const rest = text.slice(end + 1).trim();
+    return { title: text.slice(1, end).trim(), rest: rest ? rest.split(/\s+/) : [] };
+}
+
+/**
+ * Turns a failed Channel Points call into a chat-ready reason.
+ */
+function _twitchError(result) {
+    if (result.noToken) {
+        return `The broadcaster needs to connect their Twitch account to the bot before it can manage channel points.`;
+    }
+    if (result.status === 401 || result.status === 403) {
+        return `Twitch refused: the broadcaster needs to re-authorize the bot with the channel:manage:redemptions permission, and the reward must have been created by the bot.`;
+    }
+    if (result.status === 400) {
+        return `Twitch rejected the reward settings. Titles must be unique and costs at least 1.`;
+    }
+    return `Couldn't reach Twitch. Please try again later.`;
+}
+
+function _actionHelp() {
+    return `Actions: ${getRewardActionUsages().join(', ')}.`;
+}
+
+async function _requireNewName(channel, channelName, rewardName, usage) {
+    if (!rewardName) {
+        await enqueueMessage(channel, `Please specify a reward name. ${usage}`);
+        return false;
+    }
+    if (!REWARD_NAME_REGEX.test(rewardName)) {
+        await enqueueMessage(channel, `Reward names use up to 25 letters, numbers and underscores.`);
+        return false;
+    }
+    if (await getReward(channelName, rewardName)) {
+        await enqueueMessage(channel, `Reward "${rewardName}" already exists. Use "!reward action" to change it.`);
+        return false;
+    }
+    return true;
+}
+
+async function _saveNewReward(channel, channelName, rewardName, definition, username, logger) {
+    try {
+        const created = await addReward(channelName, rewardName, definition, username);
+        if (!created) {
+            await enqueueMessage(channel, `Reward "${rewardName}" already exists. Use "!reward action" to change it.`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardHandler] Error adding reward');
+        const message = error instanceof RewardStorageError && !error.cause
+            ? error.message
+            : 'Error saving reward. Please try again later.';
+        await enqueueMessage(channel, message);
+        return false;
+    }
+}
+
+async function _handleCreate(channel, channelName, rewardName, restArgs, username, logger) {
+    const usage = `Usage: !reward create <name> <cost> ["Title"] <action>`;
+    try {
+        if (!(await _requireNewName(channel, channelName, rewardName, usage))) return;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName }, '[RewardHandler] Error checking reward');
+        await enqueueMessage(channel, 'Error saving reward. Please try again later.');
+        return;
+    }
+
+    const cost = parseInt(restArgs[0], 10);
+    if (!/^\d+$/.test(restArgs[0] || '') || cost < 1 || cost > MAX_COST) {
+        await enqueueMessage(channel, `Please give a cost between 1 and ${MAX_COST}. ${usage}`);
+        return;
+    }
+    const quoted = _takeQuoted(restArgs.slice(1));
+    const title = quoted.title || rewardName;
+    if (title.length > MAX_TITLE_LENGTH) {
+        await enqueueMessage(channel, `Reward titles must be ${MAX_TITLE_LENGTH} characters or fewer.`);
+        return;
+    }
+    const { action, error } = parseRewardAction(quoted.rest);
+    if (error) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not created: ${error} ${_actionHelp()}`);
+        return;
+    }
+
+    const result = await createChannelReward(channelName, {
+        title,
+        cost,
+        is_user_input_required: actionNeedsInput(action),
+        // Redemptions must wait in the queue for the bot to fulfil or refund them
+        should_redemptions_skip_request_queue: false,
+    });
+    if (!result.success || !result.reward?.id) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not created. ${_twitchError(result)}`);
+        return;
+    }
+
+    const saved = await _saveNewReward(channel, channelName, rewardName,
+        { rewardId: result.reward.id, title, cost, action, managed: true }, username, logger);
+    if (!saved) {
+        // Don't leave a reward on Twitch that nothing answers
+        await deleteChannelReward(channelName, result.reward.id);
+        return;
+    }
+    await enqueueMessage(channel,
+        `Created channel points reward "${title}" (${cost} points), which ${describeRewardAction(action)}.`);
+    logger.info(`[RewardHandler] ${username} created reward ${rewardName} (${action.type}) in ${channelName}`);
+}
+
+async function _handleLink(channel, channelName, rewardName, restArgs, username, logger) {
+    const usage = `Usage: !reward link <name> "<Title>" <action>`;
+    try {
+        if (!(await _requireNewName(channel, channelName, rewardName, usage))) return;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName }, '[RewardHandler] Error checking reward');
+        await enqueueMessage(channel, 'Error saving reward. Please try again later.');
+        return;
+    }
+
+    const quoted = _takeQuoted(restArgs);
+    if (!quoted.title) {
+        await enqueueMessage(channel, `Please give the reward's title in quotes. ${usage}`);
+        return;
+    }
+    const { action, error } = parseRewardAction(quoted.rest);
+    if (error) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not linked: ${error} ${_actionHelp()}`);
+        return;
+    }
+
+    const result = await listChannelRewards(channelName);
+    if (!result.success) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not linked. ${_twitchError(result)}`);
+        return;
+    }
+    const twitchReward = result.rewards.find(r => r.title?.toLowerCase() === quoted.title.toLowerCase());
+    if (!twitchReward) {
+        await enqueueMessage(channel, `No channel points reward is titled "${quoted.title}".`);
+        return;
+    }
+
+    const saved = await _saveNewReward(channel, channelName, rewardName,
+        { rewardId: twitchReward.id, title: twitchReward.title, cost: twitchReward.cost ?? null, action, managed: false },
+        username, logger);
+    if (!saved) return;
+    await enqueueMessage(channel,
+        `Linked "${twitchReward.title}", which now ${describeRewardAction(action)}. Redemptions of rewards made on Twitch can't be refunded automatically.`);
+    logger.info(`[RewardHandler] ${username} linked reward ${rewardName} (${action.type}) in ${channelName}`);
+}
+
+async function _handleAction(channel, channelName, rewardName, actionArgs, logger) {
+    if (!rewardName || actionArgs.length === 0) {
+        await enqueueMessage(channel, `Usage: !reward action <name> <action>. ${_actionHelp()}`);
+        return;
+    }
+    const { action, error } = parseRewardAction(actionArgs);
+    if (error) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not updated: ${error}`);
+        return;
+    }
+
+    const reward = await _loadReward(channel, channelName, rewardName, logger);
+    if (!reward) return;
+    // A bot-made reward asks for the viewer's text only when its action uses it, as on create
+    const needsInput = actionNeedsInput(action);
+    if (reward.managed && needsInput !== actionNeedsInput(reward.action)) {
+        const result = await updateChannelReward(channelName, reward.rewardId, { is_user_input_required: needsInput });
+        if (!result.success) {
+            await enqueueMessage(channel, `Reward "${rewardName}" was not updated. ${_twitchError(result)}`);
+            return;
+        }
+    }
+    await _applyUpdate(channel, channelName, rewardName, { action },
+        `Reward "${rewardName}" now ${describeRewardAction(action)}.`, logger);
+}
+
+async function _loadReward(channel, channelName, rewardName, logger) {
+    try {
+        const reward = await getReward(channelName, rewardName);
+        if (!reward) {
+            await enqueueMessage(channel, `Reward "${rewardName}" not found.`);
+        }
+        return reward;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardHandler] Error loading reward');
+        await enqueueMessage(channel, `Error fetching reward. Please try again later.`);
+        return null;
+    }
+}
+
+async function _handleOptions(channel, channelName, rewardName, optionArgs, logger) {
+    if (!rewardName || optionArgs.length === 0) {
+        await enqueueMessage(channel,
+            `Usage: !reward options <name> cost=500, cooldown=60 (seconds, 0 for none), input=on|off or paused=on|off`);
+        return;
+    }
+
+    const fields = {};
+    for (const arg of optionArgs) {
+        const [key, value] = arg.split('=');
+        if (!key || !value) continue;
+        const lowerValue = value.toLowerCase();
+
+        switch (key.toLowerCase()) {
+            case 'cost': {
+                const cost = parseInt(value, 10);
+                if (!/^\d+$/.test(value) || cost < 1 || cost > MAX_COST) {
+                    await enqueueMessage(channel, `Cost must be between 1 and ${MAX_COST}.`);
+                    return;
+                }
+                fields.cost = cost;
+                break;
+            }
+            case 'cooldown':
+            case 'cd': {
+                const seconds = parseInt(value, 10);
+                if (!/^\d+$/.test(value) || seconds > MAX_COOLDOWN_SECONDS) {
+                    await enqueueMessage(channel, `Cooldown must be between 0 and ${MAX_COOLDOWN_SECONDS} seconds.`);
+                    return;
+                }
+                fields.is_global_cooldown_enabled = seconds > 0;
+                if (seconds > 0) fields.global_cooldown_seconds = seconds;
+                break;
+            }
+            case 'input':
+            case 'paused':
+                if (lowerValue !== 'on' && lowerValue !== 'off') {
+                    await enqueueMessage(channel, `${key} must be on or off.`);
+                    return;
+                }
+                fields[key.toLowerCase() === 'input' ? 'is_user_input_required' : 'is_paused'] = lowerValue === 'on';
+                break;
+            default:
+                await enqueueMessage(channel, `Unknown option "${key}". Available: cost, cooldown, input, paused`);
+                return;
+        }
+    }
+
+    if (Object.keys(fields).length === 0) {
+        await enqueueMessage(channel, `No valid options provided. Use key=value format.`);
+        return;
+    }
+
+    const reward = await _loadReward(channel, channelName, rewardName, logger);
+    if (!reward) return;
+    if (!reward.managed) {
+        await enqueueMessage(channel, `"${reward.title}" was made on Twitch, so change its settings in the Twitch dashboard.`);
+        return;
+    }
+
+    const result = await updateChannelReward(channelName, reward.rewardId, fields);
+    if (!result.success) {
+        await enqueueMessage(channel, `Reward "${rewardName}" was not updated. ${_twitchError(result)}`);
+        return;
+    }
+    const summary = optionArgs.filter(arg => arg.includes('=')).join(', ');
+    if (fields.cost !== undefined) {
+        await _applyUpdate(channel, channelName, rewardName, { cost: fields.cost },
+            `Reward "${rewardName}" updated: ${summary}`, logger);
+    } else {
+        await enqueueMessage(channel, `Reward "${rewardName}" updated: ${summary}`);
+    }
+}
+
+async function _handleToggle(channel, channelName, rewardName, enabled, logger) {
+    if (!rewardName) {
+        await enqueueMessage(channel, `Please specify a reward name. Usage: !reward ${enabled ? 'enable' : 'disable'} <name>`);
+        return;
+    }
+    const reward = await _loadReward(channel, channelName, rewardName, logger);
+    if (!reward) return;
+
+    // Hide a bot-made reward on Twitch too, so nobody redeems it for nothing
+    if (reward.managed) {
+        const result = await updateChannelReward(channelName, reward.rewardId, { is_enabled: enabled });
+        if (!result.success) {
+            await enqueueMessage(channel, `Reward "${rewardName}" was not ${enabled ? 'enabled' : 'disabled'}. ${_twitchError(result)}`);
+            return;
+        }
+    }
+    await _applyUpdate(channel, channelName, rewardName, { enabled },
+        `Reward "${rewardName}" has been ${enabled ? 'enabled' : 'disabled'}.`, logger);
+}
+
+async function _applyUpdate(channel, channelName, rewardName, updates, successMessage, logger) {
+    try {
+        const updated = await updateReward(channelName, rewardName, updates);
+        if (updated) {
+            await enqueueMessage(channel, successMessage);
+            logger.info(`[RewardHandler] Updated reward ${rewardName} in ${channelName}: ${Object.keys(updates).join(', ')}`);
+        } else {
+            await enqueueMessage(channel, `Reward "${rewardName}" not found. Use "!reward create" or "!reward link" to set it up.`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardHandler] Error updating reward');
+        await enqueueMessage(channel, `Error updating reward. Please try again later.`);
+    }
+}
+
+async function _handleRemove(channel, channelName, rewardName, logger) {
+    if (!rewardName) {
+        await enqueueMessage(channel, `Please specify a reward name. Usage: !reward remove <name>`);
+        return;
+    }
+    const reward = await _loadReward(channel, channelName, rewardName, logger);
+    if (!reward) return;
+
+    if (reward.managed) {
+        const result = await deleteChannelReward(channelName, reward.rewardId);
+        // 404: already deleted in the dashboard
+        if (!result.success && result.status !== 404) {
+            await enqueueMessage(channel, `Reward "${rewardName}" was not removed. ${_twitchError(result)}`);
+            return;
+        }
+    }
+
+    try {
+        await removeReward(channelName, rewardName);
+        await enqueueMessage(channel, reward.managed
+            ? `Reward "${rewardName}" has been deleted from Twitch and removed.`
+            : `Reward "${rewardName}" has been removed. "${reward.title}" is still on Twitch.`);
+        logger.info(`[RewardHandler] Removed reward ${rewardName} from ${channelName}`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardHandler] Error removing reward');
+        await enqueueMessage(channel, `Error removing reward. Please try again later.`);
+    }
+}
+
+async function _handleShow(channel, channelName, rewardName, logger) {
+    if (!rewardName) {
+        await enqueueMessage(channel, `Please specify a reward name. Usage: !reward show <name>`);
+        return;
+    }
+    const reward = await _loadReward(channel, channelName, rewardName, logger);
+    if (!reward) return;
+
+    const costInfo = reward.cost ? `, ${reward.cost} points` : '';
+    const statusInfo = reward.enabled === false ? ' [disabled]' : '';
+    const refundInfo = reward.managed ? 'refunded if it fails' : 'made on Twitch, no refunds';
+    await enqueueMessage(channel,
+        `Reward "${rewardName}"${statusInfo} — "${reward.title}"${costInfo}, ${refundInfo}, redeemed ${reward.useCount || 0} times: ${describeRewardAction(reward.action)}`);
+}
+
+async function _handleList(channel, channelName, logger) {
+    try {
+        const rewards = await getRewardsForChannel(channelName);
+        if (rewards.length === 0) {
+            await enqueueMessage(channel, `No reward actions set up. Use "!reward create <name> <cost> <action>" to create one.`);
+            return;
+        }
+        const summary = rewards
+            .map(r => `${r.name} (${r.action?.type || '?'}${r.enabled === false ? ', off' : ''})`)
+            .join(', ');
+        await enqueueMessage(channel, `Rewards (${rewards.length}): ${summary}`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[RewardHandler] Error listing rewards');
+        await enqueueMessage(channel, `Error listing rewards. Please try again later.`);
+    }
+}
+
+export default {
+    execute,
+    permission: 'moderator', // Only moderators and broadcasters can manage rewards
+    description: 'Manage channel points reward actions (create/link/action/options/enable/disable/remove/show/list)',
+};
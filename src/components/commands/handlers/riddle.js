@@ -23,6 +23,7 @@ const riddleHandler = {
     description: 'Starts or manages a Riddle game. Use !riddle help for more info.',
     usage: '!riddle [<subject>] [<rounds>] | stop | leaderboard | clearleaderboard | report <reason...> | help',
     permission: 'everyone', // Subcommand permissions are handled internally
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const gameCtx = extractGameContext(context);
         const { channel, channelName, username, displayName, replyToId, isMod, args } = gameCtx;
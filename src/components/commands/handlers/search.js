@@ -23,6 +23,7 @@ const searchHandler = {
     description: 'Searches the web for information on a topic.',
     usage: '!search <your query>',
     permission: 'everyone', // Or restrict if desired (e.g., 'subscriber')
+    usesLlm: true, // Paused when the channel's monthly LLM budget is spent
     execute: async (context) => {
         const { channel, user, args } = context;
         const userQuery = args.join(' ').trim();
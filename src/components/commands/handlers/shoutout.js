@@ -0,0 +1,70 @@
+// src/components/commands/handlers/shoutout.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { giveShoutout, SHOUTOUT_COOLDOWN_MS } from '../../shoutouts/shoutoutManager.js';
+import { updateShoutoutSettings } from '../../shoutouts/shoutoutStorage.js';
+
+const USAGE = 'Usage: !shoutout <channel>, or !shoutout native|raids on|off';
+
+// Settings changed with "!shoutout <setting> on|off"
+const SETTINGS = {
+    native: 'Twitch shoutouts alongside the announcement',
+    raids: 'automatic shoutouts for raiders',
+};
+
+/**
+ * Handler for the !shoutout command.
+ * Posts an AI-written blurb about another streamer as an announcement and,
+ * while live, sends Twitch's own shoutout for them.
+ *
+ * Usage:
+ *   !shoutout <channel>          → Shout out a channel
+ *   !shoutout native on|off      → Also send Twitch's native shoutout (default on)
+ *   !shoutout raids on|off       → Shout out raiders automatically (default on)
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const first = (args[0] || '').toLowerCase();
+    const toggle = (args[1] || '').toLowerCase();
+    if (Object.hasOwn(SETTINGS, first) && ['on', 'off'].includes(toggle)) {
+        const enabled = toggle === 'on';
+        const saved = await updateShoutoutSettings(channelName, { [first]: enabled });
+        await enqueueMessage(channel, saved
+            ? `${enabled ? 'Enabled' : 'Disabled'} ${SETTINGS[first]}.`
+            : `Couldn't save that setting. Please try again later.`, { replyToId });
+        return;
+    }
+
+    const target = first.replace(/^@/, '');
+    if (!/^[a-z0-9_]{2,25}$/.test(target)) {
+        await enqueueMessage(channel, USAGE, { replyToId });
+        return;
+    }
+
+    const result = await giveShoutout(channelName, { login: target });
+    logger.info({ channel: channelName, moderator: user.username, target, status: result.status }, '[ShoutoutCommand] Processed shoutout');
+    switch (result.status) {
+        case 'not_found':
+            await enqueueMessage(channel, `Couldn't find a Twitch channel named ${target}.`, { replyToId });
+            break;
+        case 'self':
+            await enqueueMessage(channel, `This channel can't shout itself out.`, { replyToId });
+            break;
+        case 'cooldown':
+            await enqueueMessage(channel,
+                `${result.displayName} was shouted out less than ${SHOUTOUT_COOLDOWN_MS / 60000} minutes ago.`, { replyToId });
+            break;
+        default:
+            break;
+    }
+}
+
+export default {
+    name: 'shoutout',
+    description: 'Shouts out another streamer with an AI-written blurb and a Twitch shoutout.',
+    usage: '!shoutout <channel>',
+    permission: 'moderator',
+    execute,
+};
@@ -0,0 +1,80 @@
+// src/components/commands/handlers/teams.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { isPrivilegedUser } from '../../../lib/permissions.js';
+import {
+    enableTeamMode,
+    disableTeamMode,
+    isTeamModeActive,
+    getTeamStandings,
+    resetTeamScores,
+    formatTeamName,
+} from '../../teams/teamManager.js';
+import { formatTeamResultMessage } from '../../teams/teamMessageFormatter.js';
+
+const USAGE = 'Usage: !teams | !teams on [team names...] | !teams off | !teams reset';
+
+function _formatStandings(standings) {
+    return standings
+        .map(team => `Team ${formatTeamName(team.name)} ${team.score} pts (${team.members.size} ${team.members.size === 1 ? 'player' : 'players'})`)
+        .join(', ');
+}
+
+/**
+ * Handler for the !teams command.
+ * Shows team scores. Moderators turn team mode on and off and reset scores.
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+    const subCommand = args[0]?.toLowerCase();
+
+    if (!subCommand) {
+        const message = isTeamModeActive(channelName)
+            ? _formatStandings(getTeamStandings(channelName))
+            : "Team mode isn't on right now.";
+        await enqueueMessage(channel, message, { replyToId });
+        return;
+    }
+
+    if (!['on', 'off', 'reset'].includes(subCommand)) {
+        await enqueueMessage(channel, USAGE, { replyToId });
+        return;
+    }
+    if (!isPrivilegedUser(user, channelName)) {
+        await enqueueMessage(channel, 'Only mods/broadcaster can change team mode.', { replyToId });
+        return;
+    }
+
+    if (subCommand === 'on') {
+        const result = args.length > 1 ? enableTeamMode(channelName, args.slice(1)) : enableTeamMode(channelName);
+        if (!result.success) {
+            await enqueueMessage(channel, result.error, { replyToId });
+            return;
+        }
+        const names = result.teams.map(formatTeamName).join(' vs ');
+        logger.info(`[TeamsCommand][${channelName}] Team mode turned on by ${user.username}`);
+        await enqueueMessage(channel, `Team mode is on: ${names}! Pick a side with !join ${result.teams.join('|')}, or type !join to be placed on a team. Trivia, geo and riddle wins now score for your team.`, { replyToId });
+    } else if (subCommand === 'off') {
+        const standings = disableTeamMode(channelName);
+        if (!standings) {
+            await enqueueMessage(channel, "Team mode isn't on right now.", { replyToId });
+            return;
+        }
+        logger.info(`[TeamsCommand][${channelName}] Team mode turned off by ${user.username}`);
+        await enqueueMessage(channel, `Team mode is off. ${formatTeamResultMessage(standings, 'night')}`, { replyToId });
+    } else {
+        const message = resetTeamScores(channelName)
+            ? 'Team scores are back to zero. Everyone stays on their team.'
+            : "Team mode isn't on right now.";
+        await enqueueMessage(channel, message, { replyToId });
+    }
+}
+
+export default {
+    name: 'teams',
+    description: 'Shows team scores. Mods turn team mode on and off for trivia, geo and riddle.',
+    usage: '!teams | !teams on [team names...] | !teams off | !teams reset',
+    permission: 'everyone',
+    execute,
+};
@@ -0,0 +1,46 @@
+// src/components/commands/handlers/top.js
+import { enqueueMessage } from '../../../lib/ircSender.js';
+import { getPointsSettings, getPointsLeaderboard } from '../../points/pointsStorage.js';
+
+const LEADERBOARD_SIZE = 5;
+
+/**
+ * Handler for the !top command.
+ * Lists the viewers with the most loyalty points.
+ */
+async function execute(context) {
+    const { channel, user, logger } = context;
+    const channelName = channel.substring(1);
+    const replyToId = user?.id || user?.['message-id'] || null;
+
+    const settings = await getPointsSettings(channelName);
+    if (!settings.enabled) {
+        await enqueueMessage(channel, `Points aren't turned on in this channel.`, { replyToId });
+        return;
+    }
+
+    try {
+        const leaders = (await getPointsLeaderboard(channelName, LEADERBOARD_SIZE)).filter(viewer => viewer.points > 0);
+        if (leaders.length === 0) {
+            await enqueueMessage(channel, `Nobody has any ${settings.currency} yet.`, { replyToId });
+            return;
+        }
+        const list = leaders
+            .map((viewer, i) => `${i + 1}. ${viewer.displayName} (${viewer.points.toLocaleString('en-US')})`)
+            .join(', ');
+        await enqueueMessage(channel, `Most ${settings.currency}: ${list}`, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[TopCommand] Error loading points leaderboard');
+        await enqueueMessage(channel, `Couldn't load the leaderboard right now. Please try again later.`, { replyToId });
+    }
+}
+
+export default {
+    name: 'top',
+    description: 'Lists the viewers with the most loyalty points.',
+    usage: '!top',
+    permission: 'everyone',
+    // Leaves the name to a custom command while points are off
+    yieldsToCustomCommand: async (channelName) => !(await getPointsSettings(channelName)).enabled,
+    execute,
+};
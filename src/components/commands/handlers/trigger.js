@@ -0,0 +1,388 @@
+// src/components/commands/handlers/trigger.js
+import {
+    addTrigger,
+    updateTrigger,
+    removeTrigger,
+    getTrigger,
+    getTriggersForChannel,
+    validateTriggerPattern,
+    TriggersStorageError,
+    TRIGGER_NAME_REGEX,
+    VALID_PERMISSIONS,
+    MAX_RESPONSE_LENGTH,
+    MIN_COOLDOWN_SECONDS,
+    MAX_COOLDOWN_SECONDS,
+} from '../../triggers/triggersStorage.js';
+import { validateTemplate } from '../../customCommands/variableParser.js';
+import { enqueueMessage } from '../../../lib/ircSender.js';
+
+const PATTERN_HELP = 'Patterns are a single word, a "quoted phrase" or a /regex/ with optional i, m, s or u flags.';
+
+/**
+ * Handler for the !trigger meta-command.
+ * Allows moderators/broadcasters to manage keyword triggers: responses that
+ * fire when a word, phrase or regex appears anywhere in a chat message.
+ *
+ * Usage:
+ *   !trigger add <name> <pattern> <response>    → Add a text trigger
+ *   !trigger addai <name> <pattern> <prompt>    → Add an AI-generated trigger
+ *   !trigger edit <name> <response>             → Edit a trigger's response/prompt
+ *   !trigger pattern <name> <pattern>           → Change what a trigger matches
+ *   !trigger options <name> <key>=<val>         → Change permission, cooldown or type
+ *   !trigger enable <name> / disable <name>     → Toggle a trigger
+ *   !trigger remove <name>                      → Delete a trigger
+ *   !trigger show <name>                        → Show a trigger's settings
+ *   !trigger list                               → List all triggers
+ *
+ * Patterns: gg (one word), "good game" (phrase), /^f+$/i (regex).
+ * Regex capture groups can be used in the response as $(1), $(2), ...
+ */
+async function execute(context) {
+    const { channel, user, args, logger } = context;
+    const channelName = channel.substring(1); // Remove '#'
+    const username = user.username;
+
+    if (args.length === 0) {
+        await enqueueMessage(channel,
+            `Usage: !trigger add/addai/edit/pattern/options/enable/disable/remove/show/list <name> [...]`);
+        return;
+    }
+
+    const subCommand = args[0].toLowerCase();
+    const triggerName = args[1]?.toLowerCase();
+
+    switch (subCommand) {
+        case 'add':
+            await _handleAdd(channel, channelName, triggerName, args.slice(2), username, 'text', logger);
+            break;
+        case 'addai':
+            await _handleAdd(channel, channelName, triggerName, args.slice(2), username, 'prompt', logger);
+            break;
+        case 'edit':
+            await _handleEdit(channel, channelName, triggerName, args.slice(2), logger);
+            break;
+        case 'pattern':
+            await _handlePattern(channel, channelName, triggerName, args.slice(2), logger);
+            break;
+        case 'options':
+            await _handleOptions(channel, channelName, triggerName, args.slice(2), logger);
+            break;
+        case 'enable':
+        case 'disable':
+            await _handleToggle(channel, channelName, triggerName, subCommand === 'enable', logger);
+            break;
+        case 'remove':
+        case 'delete':
+            await _handleRemove(channel, channelName, triggerName, logger);
+            break;
+        case 'show':
+            await _handleShow(channel, channelName, triggerName, logger);
+            break;
+        case 'list':
+            await _handleList(channel, channelName, logger);
+            break;
+        default:
+            await enqueueMessage(channel,
+                `Unknown subcommand "${subCommand}". Use add, addai, edit, pattern, options, enable, disable, remove, show, or list.`);
+    }
+}
+
+/**
+ * Reads a pattern off the front of the argument text.
+ * @param {string} text - Everything after the trigger name.
+ * @returns {{pattern: string, matchType: 'phrase'|'regex', flags: string, rest: string}|null}
+ *   null if the text doesn't start with a pattern.
+ */
+function _parsePattern(text) {
+    const input = text.trim();
+    if (!input) return null;
+
+    if (input.startsWith('"')) {
+        const end = input.indexOf('"', 1);
+        if (end === -1) return null;
+        return { pattern: input.slice(1, end).trim(), matchType: 'phrase', flags: '', rest: input.slice(end + 1).trim() };
+    }
+
+    if (input.startsWith('/')) {
+        // Same rule as a JS regex literal: the first "/" that isn't escaped or
+        // inside a [...] class closes it.
+        let inClass = false;
+        for (let i = 1; i < input.length; i++) {
+            const c = input[i];
+            if (c === '\\') {
+                i++;
+            } else if (c === '[') {
+                inClass = true;
+            } else if (c === ']') {
+                inClass = false;
+            } else if (c === '/' && !inClass) {
+                const flags = /^[a-z]*/.exec(input.slice(i + 1))[0];
+                const after = input.slice(i + 1 + flags.length);
+                if (after && !/^\s/.test(after)) return null;
+                return { pattern: input.slice(1, i), matchType: 'regex', flags, rest: after.trim() };
+            }
+        }
+        return null;
+    }
+
+    const [word] = input.split(/\s+/, 1);
+    return { pattern: word, matchType: 'phrase', flags: '', rest: input.slice(word.length).trim() };
+}
+
+function _describePattern(trigger) {
+    return trigger.matchType === 'regex' ? `/${trigger.pattern}/${trigger.flags || ''}` : `"${trigger.pattern}"`;
+}
+
+function _checkResponse(response) {
+    if (response.length > MAX_RESPONSE_LENGTH) {
+        return `responses must be ${MAX_RESPONSE_LENGTH} characters or fewer`;
+    }
+    return validateTemplate(response);
+}
+
+async function _handleAdd(channel, channelName, triggerName, restArgs, username, type, logger) {
+    const usage = `Usage: !trigger ${type === 'prompt' ? 'addai' : 'add'} <name> <pattern> <${type === 'prompt' ? 'prompt' : 'response'}>`;
+    if (!triggerName) {
+        await enqueueMessage(channel, `Please specify a trigger name. ${usage}`);
+        return;
+    }
+    if (!TRIGGER_NAME_REGEX.test(triggerName)) {
+        await enqueueMessage(channel, `Trigger names use up to 25 letters, numbers and underscores.`);
+        return;
+    }
+
+    const parsed = _parsePattern(restArgs.join(' '));
+    if (!parsed || !parsed.rest) {
+        await enqueueMessage(channel, `Please specify a pattern and a ${type === 'prompt' ? 'prompt' : 'response'}. ${usage}. ${PATTERN_HELP}`);
+        return;
+    }
+
+    const patternError = validateTriggerPattern(parsed.pattern, parsed.matchType, parsed.flags);
+    if (patternError) {
+        await enqueueMessage(channel, `Trigger "${triggerName}" was not saved: ${patternError}.`);
+        return;
+    }
+    const responseError = _checkResponse(parsed.rest);
+    if (responseError) {
+        await enqueueMessage(channel, `Trigger "${triggerName}" was not saved: ${responseError}.`);
+        return;
+    }
+
+    try {
+        const created = await addTrigger(channelName, triggerName, {
+            pattern: parsed.pattern,
+            matchType: parsed.matchType,
+            flags: parsed.flags,
+            response: parsed.rest,
+            type,
+        }, username);
+        if (created) {
+            await enqueueMessage(channel,
+                `Trigger "${triggerName}" has been added${type === 'prompt' ? ' (AI Mode)' : ''} and fires on ${_describePattern(parsed)}.`);
+            logger.info(`[TriggerHandler] ${username} added trigger ${triggerName} (type: ${type}) in ${channelName}`);
+        } else {
+            await enqueueMessage(channel, `Trigger "${triggerName}" already exists. Use "!trigger edit" to update it.`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggerHandler] Error adding trigger');
+        const message = error instanceof TriggersStorageError && !error.cause
+            ? error.message
+            : 'Error adding trigger. Please try again later.';
+        await enqueueMessage(channel, message);
+    }
+}
+
+async function _handleEdit(channel, channelName, triggerName, responseArgs, logger) {
+    if (!triggerName) {
+        await enqueueMessage(channel, `Please specify a trigger name. Usage: !trigger edit <name> <response>`);
+        return;
+    }
+    const response = responseArgs.join(' ');
+    if (!response) {
+        await enqueueMessage(channel, `Please specify a new response. Usage: !trigger edit ${triggerName} <response>`);
+        return;
+    }
+    const responseError = _checkResponse(response);
+    if (responseError) {
+        await enqueueMessage(channel, `Trigger "${triggerName}" was not updated: ${responseError}.`);
+        return;
+    }
+
+    await _applyUpdate(channel, channelName, triggerName, { response }, `Trigger "${triggerName}" has been updated.`, logger);
+}
+
+async function _handlePattern(channel, channelName, triggerName, patternArgs, logger) {
+    const parsed = _parsePattern(patternArgs.join(' '));
+    if (!triggerName || !parsed || parsed.rest) {
+        await enqueueMessage(channel, `Usage: !trigger pattern <name> <pattern>. ${PATTERN_HELP}`);
+        return;
+    }
+    const patternError = validateTriggerPattern(parsed.pattern, parsed.matchType, parsed.flags);
+    if (patternError) {
+        await enqueueMessage(channel, `Trigger "${triggerName}" was not updated: ${patternError}.`);
+        return;
+    }
+
+    await _applyUpdate(channel, channelName, triggerName,
+        { pattern: parsed.pattern, matchType: parsed.matchType, flags: parsed.flags },
+        `Trigger "${triggerName}" now fires on ${_describePattern(parsed)}.`, logger);
+}
+
+async function _handleOptions(channel, channelName, triggerName, optionArgs, logger) {
+    if (!triggerName) {
+        await enqueueMessage(channel, `Usage: !trigger options <name> <key>=<value>`);
+        return;
+    }
+    if (optionArgs.length === 0) {
+        await enqueueMessage(channel,
+            `Usage: !trigger options ${triggerName} permission=subscriber or cooldown=60`);
+        return;
+    }
+
+    const options = {};
+    for (const arg of optionArgs) {
+        const [key, value] = arg.split('=');
+        if (!key || !value) continue;
+
+        switch (key.toLowerCase()) {
+            case 'permission':
+            case 'perm':
+                if (VALID_PERMISSIONS.includes(value.toLowerCase())) {
+                    options.permission = value.toLowerCase();
+                } else {
+                    await enqueueMessage(channel,
+                        `Invalid permission. Valid options: ${VALID_PERMISSIONS.join(', ')}`);
+                    return;
+                }
+                break;
+            case 'cooldown':
+            case 'cd': {
+                const seconds = parseInt(value, 10);
+                if (isNaN(seconds) || seconds < MIN_COOLDOWN_SECONDS || seconds > MAX_COOLDOWN_SECONDS) {
+                    await enqueueMessage(channel,
+                        `Cooldown must be between ${MIN_COOLDOWN_SECONDS} and ${MAX_COOLDOWN_SECONDS} seconds.`);
+                    return;
+                }
+                options.cooldownMs = seconds * 1000;
+                break;
+            }
+            case 'type':
+                if (value.toLowerCase() === 'prompt' || value.toLowerCase() === 'text') {
+                    options.type = value.toLowerCase();
+                } else {
+                    await enqueueMessage(channel, `Invalid type. Valid options: text, prompt`);
+                    return;
+                }
+                break;
+            default:
+                await enqueueMessage(channel, `Unknown option "${key}". Available: permission, cooldown, type`);
+                return;
+        }
+    }
+
+    if (Object.keys(options).length === 0) {
+        await enqueueMessage(channel, `No valid options provided. Use key=value format.`);
+        return;
+    }
+
+    const summary = Object.entries(options)
+        .map(([k, v]) => (k === 'cooldownMs' ? `cooldown=${v / 1000}s` : `${k}=${v}`))
+        .join(', ');
+    await _applyUpdate(channel, channelName, triggerName, options,
+        `Trigger "${triggerName}" updated: ${summary}`, logger);
+}
+
+async function _handleToggle(channel, channelName, triggerName, enabled, logger) {
+    if (!triggerName) {
+        await enqueueMessage(channel, `Please specify a trigger name. Usage: !trigger ${enabled ? 'enable' : 'disable'} <name>`);
+        return;
+    }
+    await _applyUpdate(channel, channelName, triggerName, { enabled },
+        `Trigger "${triggerName}" has been ${enabled ? 'enabled' : 'disabled'}.`, logger);
+}
+
+async function _applyUpdate(channel, channelName, triggerName, updates, successMessage, logger) {
+    try {
+        const updated = await updateTrigger(channelName, triggerName, updates);
+        if (updated) {
+            await enqueueMessage(channel, successMessage);
+            logger.info(`[TriggerHandler] Updated trigger ${triggerName} in ${channelName}: ${Object.keys(updates).join(', ')}`);
+        } else {
+            await enqueueMessage(channel, `Trigger "${triggerName}" not found. Use "!trigger add" to create it.`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggerHandler] Error updating trigger');
+        await enqueueMessage(channel, `Error updating trigger. Please try again later.`);
+    }
+}
+
+async function _handleRemove(channel, channelName, triggerName, logger) {
+    if (!triggerName) {
+        await enqueueMessage(channel, `Please specify a trigger name. Usage: !trigger remove <name>`);
+        return;
+    }
+
+    try {
+        const removed = await removeTrigger(channelName, triggerName);
+        if (removed) {
+            await enqueueMessage(channel, `Trigger "${triggerName}" has been removed.`);
+            logger.info(`[TriggerHandler] Removed trigger ${triggerName} from ${channelName}`);
+        } else {
+            await enqueueMessage(channel, `Trigger "${triggerName}" not found.`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggerHandler] Error removing trigger');
+        await enqueueMessage(channel, `Error removing trigger. Please try again later.`);
+    }
+}
+
+async function _handleShow(channel, channelName, triggerName, logger) {
+    if (!triggerName) {
+        await enqueueMessage(channel, `Please specify a trigger name. Usage: !trigger show <name>`);
+        return;
+    }
+
+    try {
+        const trigger = await getTrigger(channelName, triggerName);
+        if (trigger) {
+            const typeInfo = trigger.type === 'prompt' ? ' [AI]' : '';
+            const statusInfo = trigger.enabled === false ? ' [disabled]' : '';
+            const permInfo = trigger.permission && trigger.permission !== 'everyone' ? `, ${trigger.permission}+` : '';
+            await enqueueMessage(channel,
+                `Trigger "${triggerName}"${typeInfo}${statusInfo} — ${_describePattern(trigger)}, cooldown ${(trigger.cooldownMs || 0) / 1000}s${permInfo}: ${trigger.response}`);
+        } else {
+            await enqueueMessage(channel, `Trigger "${triggerName}" not found.`);
+        }
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggerHandler] Error showing trigger');
+        await enqueueMessage(channel, `Error fetching trigger. Please try again later.`);
+    }
+}
+
+async function _handleList(channel, channelName, logger) {
+    try {
+        const triggers = await getTriggersForChannel(channelName);
+        if (triggers.length === 0) {
+            await enqueueMessage(channel, `No triggers configured. Use "!trigger add <name> <pattern> <response>" to create one.`);
+            return;
+        }
+        const summary = triggers
+            .map(t => `${t.name}${t.type === 'prompt' ? ' [AI]' : ''} (${_describePattern(t)}${t.enabled === false ? ', off' : ''})`)
+            .join(', ');
+        await enqueueMessage(channel, `Triggers (${triggers.length}): ${summary}`);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[TriggerHandler] Error listing triggers');
+        await enqueueMessage(channel, `Error listing triggers. Please try again later.`);
+    }
+}
+
+export default {
+    execute,
+    permission: 'moderator', // Only moderators and broadcasters can manage triggers
+    description: 'Manage keyword triggers (add/addai/edit/pattern/options/enable/disable/remove/show/list)',
+};
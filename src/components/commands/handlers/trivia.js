@@ -2,7 +2,7 @@
 import logger from '../../../lib/logger.js';
 import { enqueueMessage } from '../../../lib/ircSender.js';
 import { getTriviaGameManager } from '../../trivia/triviaGameManager.js';
-import { getLeaderboard } from '../../trivia/triviaStorage.js';
+import { getLeaderboard, listTriviaPacks, deleteTriviaPack } from '../../trivia/triviaStorage.js';
 import { formatHelpMessage } from '../../trivia/triviaMessageFormatter.js';
 import {
     extractGameContext,
@@ -47,12 +47,48 @@ function formatLeaderboardMessage(leaderboardData, channelName) {
     return `🏆 Trivia Champions in #${channelName}: ${listItems.join(', ')}`;
 }
 
+/**
+ * Handles '!trivia packs': lists the channel's question packs, or deletes one
+ * with '!trivia packs delete <name>' (mods).
+ * @param {object} gameCtx - from extractGameContext.
+ */
+async function handlePacks(gameCtx) {
+    const { channel, channelName, replyToId, isMod, args } = gameCtx;
+
+    try {
+        if (args[1]?.toLowerCase() === 'delete') {
+            if (!isMod) {
+                await enqueueMessage(channel, `Only mods or the broadcaster can delete question packs.`, { replyToId });
+                return;
+            }
+            const name = args[2]?.toLowerCase();
+            if (!name) {
+                await enqueueMessage(channel, `Usage: !trivia packs delete <name>`, { replyToId });
+                return;
+            }
+            const deleted = await deleteTriviaPack(channelName, name);
+            await enqueueMessage(channel, deleted ? `Deleted the ${name} question pack.` : `There's no question pack called "${name}".`, { replyToId });
+            return;
+        }
+
+        const packs = await listTriviaPacks(channelName);
+        const message = packs.length > 0
+            ? `📚 Question packs: ${packs.map(pack => `${pack.name} (${pack.questionCount})`).join(', ')}. Play one with !trivia pack <name> [rounds] [mix].`
+            : `This channel has no question packs yet.`;
+        await enqueueMessage(channel, message, { replyToId });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, `[${GAME_NAME}] Error handling question packs.`);
+        await enqueueMessage(channel, `Couldn't load the question packs right now. Please try again.`, { replyToId });
+    }
+}
+
 /**
  * Config schema for trivia game options.
  * Used by handleConfig to parse key-value pairs from args.
  */
 const TRIVIA_CONFIG_SCHEMA = [
     { keys: ['difficulty'], type: 'enum', optionName: 'difficulty', enumValues: ['easy', 'normal', 'hard'] },
+    { keys: ['format'], type: 'enum', optionName: 'format', enumValues: ['open', 'free', 'choice', 'mc', 'multiplechoice', 'truefalse', 'tf', 'number', 'numeric', 'closest'] },
     { keys: ['time', 'questiontime', 'questiontimeseconds'], type: 'int', optionName: 'questionTimeSeconds' },
     { keys: ['duration', 'roundduration', 'rounddurationminutes'], type: 'int', optionName: 'roundDurationMinutes' },
     { keys: ['topic', 'topics'], type: 'list', optionName: 'topicPreferences' },
@@ -62,7 +98,7 @@ const TRIVIA_CONFIG_SCHEMA = [
     { keys: ['difficultymultiplier'], type: 'bool', optionName: 'pointsDifficultyMultiplier' },
 ];
 
-const TRIVIA_CONFIG_USAGE = `Usage: !trivia config difficulty <easy|normal|hard> time <seconds> duration <minutes> topic <list> scoring <true|false> points <value> timebonus <true|false> difficultymultiplier <true|false>`;
+const TRIVIA_CONFIG_USAGE = `Usage: !trivia config difficulty <easy|normal|hard> format <open|choice|truefalse|number> time <seconds> duration <minutes> topic <list> scoring <true|false> points <value> timebonus <true|false> difficultymultiplier <true|false>`;
 
 /**
  * Handler for the !trivia command and its subcommands.
@@ -70,8 +106,16 @@ const TRIVIA_CONFIG_USAGE = `Usage: !trivia config difficulty <easy|normal|hard>
 const trivia = {
     name: 'trivia',
     description: 'Starts or manages a Trivia game (!trivia help for details).',
-    usage: '!trivia [<rounds>] | [topic] [rounds] | [rounds] [topic] | game [rounds] | stop | config <options...> | resetconfig | leaderboard | clearleaderboard | help',
+    usage: '!trivia [<rounds>] | [topic] [rounds] | [rounds] [topic] | game [rounds] | pack <name> [rounds] [mix] | packs | stop | config <options...> | resetconfig | leaderboard | clearleaderboard | help',
     permission: 'everyone', // Subcommand permissions handled inside
+    // Paused when the channel's monthly LLM budget is spent, except for listing
+    // question packs and playing a pack without generated questions mixed in
+    usesLlm: (args) => {
+        const subCommand = args[0]?.toLowerCase();
+        if (subCommand === 'packs') return false;
+        if (subCommand === 'pack') return args.slice(2).some(arg => arg.toLowerCase() === 'mix');
+        return true;
+    },
     execute: async (context) => {
         const gameCtx = extractGameContext(context);
         const { channel, channelName, username, replyToId, isMod, args } = gameCtx;
@@ -80,6 +124,7 @@ const trivia = {
         let subCommand = args[0]?.toLowerCase();
         let topic;
         let numberOfRounds = 1;
+        let packOptions = null;
 
         // --- Subcommand Routing ---
         if (!subCommand) {
@@ -105,6 +150,25 @@ const trivia = {
             }
             // Proceed to start game below
 
+        } else if (subCommand === 'pack') {
+            // !trivia pack <name> [rounds] [mix] -> Ask questions from one of the channel's packs
+            if (!args[1]) {
+                await enqueueMessage(channel, `Usage: !trivia pack <name> [rounds] [mix]. See the packs with !trivia packs.`, { replyToId });
+                return;
+            }
+            topic = null;
+            const rest = args.slice(2).map(arg => arg.toLowerCase());
+            const roundsArg = rest.find(isPositiveInteger);
+            if (roundsArg) {
+                numberOfRounds = parseInt(roundsArg, 10);
+            }
+            packOptions = { pack: args[1].toLowerCase(), mixPack: rest.includes('mix') };
+            // Proceed to start game below
+
+        } else if (subCommand === 'packs') {
+            await handlePacks(gameCtx);
+            return;
+
         } else if (subCommand === 'stop') {
             await handleStop(gameCtx, triviaManager, GAME_NAME);
             return;
@@ -163,9 +227,11 @@ const trivia = {
         numberOfRounds = await validateRounds(gameCtx, numberOfRounds, 10);
 
         // Start the game
-        logger.info(`Attempting to start Trivia game. Topic: ${topic || 'General'}, Rounds: ${numberOfRounds}, Initiator: ${username}`);
+        logger.info(`Attempting to start Trivia game. Topic: ${topic || 'General'}, ${packOptions ? `Pack: ${packOptions.pack}, ` : ''}Rounds: ${numberOfRounds}, Initiator: ${username}`);
         await startGameWithErrorHandling(gameCtx,
-            () => triviaManager.startGame(channelName, topic, username, numberOfRounds),
+            () => (packOptions
+                ? triviaManager.startGame(channelName, topic, username, numberOfRounds, packOptions)
+                : triviaManager.startGame(channelName, topic, username, numberOfRounds)),
             GAME_NAME
         );
     }
@@ -0,0 +1,17 @@
+// src/components/commands/reservedCommandNames.js
+// Names that built-in commands (handlers/index.js) keep for themselves, as plain
+// data so the command importer can check collisions without loading every
+// handler and the bot config they pull in. Built-ins that step aside for a
+// custom command of the same name while their feature is off (!join, !points,
+// !give, !top, !addpoints) are left out. A unit test keeps this list in step
+// with the handler registry.
+
+export const RESERVED_COMMAND_NAMES = new Set([
+    'help', 'commands', 'ping',
+    'game',
+    'ask', 'sage', 'search', 'translate', 'geo', 'trivia', 'riddle', 'profile', 'leaderboard',
+    'teams', 'botlang', 'lurk', 'auto', 'quote', 'quotes',
+    'enable', 'disable', 'command', 'timer', 'timers', 'permit', 'counter', 'counters',
+    'trigger', 'triggers', 'shoutout', 'reward', 'rewards',
+    'followage', 'checkins',
+]);
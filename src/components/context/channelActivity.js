@@ -1,14 +1,19 @@
 // src/components/context/channelActivity.js
 // Shared per-channel chat activity tracker. Single source of truth for
-// "when did chat last speak" (used by auto-chat lull detection) and
-// "how many messages have been seen" (used by timer min-chat-lines gating).
+// "when did chat last speak" (used by auto-chat lull detection), "how many
+// messages have been seen" (used by timer min-chat-lines gating) and "who has
+// been chatting lately" (used by loyalty points).
 
-const activity = new Map(); // channelName -> { lastMessageAtMs, messageCount }
+// Chatters not seen for this long are forgotten
+const CHATTER_RETENTION_MS = 60 * 60 * 1000;
+
+const activity = new Map(); // channelName -> { lastMessageAtMs, messageCount, chatters }
 
 function getState(channelName) {
     const key = channelName.toLowerCase();
     if (!activity.has(key)) {
-        activity.set(key, { lastMessageAtMs: 0, messageCount: 0 });
+        // chatters: login -> { login, userId, displayName, lastMessageAtMs }, least recent first
+        activity.set(key, { lastMessageAtMs: 0, messageCount: 0, chatters: new Map() });
     }
     return activity.get(key);
 }
@@ -17,11 +22,48 @@ function getState(channelName) {
  * Records a user chat message for a channel.
  * @param {string} channelName - Channel name (without #).
  * @param {number} [timestampMs] - Message timestamp, defaults to now.
+ * @param {{login: string, userId?: string, displayName?: string}|null} [chatter=null] - Who sent it.
  */
-export function recordChatMessage(channelName, timestampMs = Date.now()) {
+export function recordChatMessage(channelName, timestampMs = Date.now(), chatter = null) {
     const state = getState(channelName);
-    state.lastMessageAtMs = Math.max(state.lastMessageAtMs, timestampMs || Date.now());
+    const atMs = timestampMs || Date.now();
+    state.lastMessageAtMs = Math.max(state.lastMessageAtMs, atMs);
     state.messageCount += 1;
+
+    const login = chatter?.login?.toLowerCase();
+    if (!login) return;
+    const previous = state.chatters.get(login);
+    // Re-insert so the map stays ordered by last message
+    state.chatters.delete(login);
+    state.chatters.set(login, {
+        login,
+        userId: chatter.userId || previous?.userId || null,
+        displayName: chatter.displayName || previous?.displayName || login,
+        lastMessageAtMs: Math.max(previous?.lastMessageAtMs || 0, atMs),
+    });
+    for (const [oldLogin, entry] of state.chatters) {
+        if (atMs - entry.lastMessageAtMs <= CHATTER_RETENTION_MS) break;
+        state.chatters.delete(oldLogin);
+    }
+}
+
+/**
+ * @returns {string[]} Channels (without #) that have seen chat since process start.
+ */
+export function getChatChannels() {
+    return [...activity.keys()];
+}
+
+/**
+ * Viewers who have chatted in a channel since a given time.
+ * @param {string} channelName - Channel name (without #).
+ * @param {number} sinceMs - Only include chatters whose last message is after this timestamp.
+ * @returns {Array<{login: string, userId: string|null, displayName: string, lastMessageAtMs: number}>}
+ */
+export function getRecentChatters(channelName, sinceMs) {
+    const chatters = activity.get(channelName.toLowerCase())?.chatters;
+    if (!chatters) return [];
+    return [...chatters.values()].filter(entry => entry.lastMessageAtMs > sinceMs);
 }
 
 /**
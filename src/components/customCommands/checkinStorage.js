@@ -1,11 +1,26 @@
 // src/components/customCommands/checkinStorage.js
 import { FieldValue } from '@google-cloud/firestore';
 import logger from '../../lib/logger.js';
-import { _getDb } from './customCommandsStorage.js';
+import { getStreamSession } from '../../lib/distributedCache.js';
+import { _getDb, getChannelTimezone } from './customCommandsStorage.js';
+import { getDateInTimezone } from './commandAvailability.js';
 
 // Collection name for storing per-channel custom commands
 const CUSTOM_COMMANDS_COLLECTION = 'customCommands';
 
+/**
+ * What counts as "in a row" for streaks (config.streakMode).
+ *   day    - Calendar days in the channel's timezone (!command timezone).
+ *   stream - Streams, as started by stream.online.
+ */
+export const CHECKIN_STREAK_MODES = ['day', 'stream'];
+
+/** Check-in counts announced when config.milestones isn't set: none, until a moderator turns them on. */
+export const DEFAULT_CHECKIN_MILESTONES = [];
+
+/** Check-in counts "!checkins milestones on" picks. */
+export const SUGGESTED_CHECKIN_MILESTONES = [10, 25, 50, 100, 250, 500, 1000];
+
 /**
  * Gets the checkin config document reference for a channel.
  * Path: customCommands/{channelName}/checkinConfig/settings
@@ -51,7 +66,8 @@ export async function getCheckinConfig(channelName) {
 /**
  * Saves or updates the check-in configuration for a channel.
  * @param {string} channelName - Channel name.
- * @param {object} config - Configuration fields (rewardId, responseTemplate, useAi, aiPrompt, enabled).
+ * @param {object} config - Configuration fields (rewardId, responseTemplate, useAi, aiPrompt, enabled,
+ *   streakMode, milestones, milestoneTemplate).
  * @returns {Promise<boolean>} True if saved successfully.
  */
 export async function saveCheckinConfig(channelName, config) {
@@ -69,45 +85,116 @@ export async function saveCheckinConfig(channelName, config) {
     }
 }
 
+// ─── Streak Periods ─────────────────────────────────────────────────────────
+
+function _previousDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day - 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Works out the streak period a check-in made now belongs to, and the one
+ * before it. A streak continues when a viewer's last check-in was in the
+ * previous period. Stream mode falls back to days until the channel has
+ * gone live with the bot watching.
+ *
+ * @param {string} channelName - Channel name.
+ * @param {string} [streakMode='day'] - One of CHECKIN_STREAK_MODES.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{current: string, previous: string|null}>} Period keys,
+ *   e.g. "day:2026-10-18" or "stream:lq3x9a".
+ */
+export async function getCheckinPeriod(channelName, streakMode = 'day', now = new Date()) {
+    if (streakMode === 'stream') {
+        try {
+            const session = await getStreamSession(channelName.toLowerCase());
+            if (session) {
+                return {
+                    current: `stream:${session.sessionId}`,
+                    previous: session.previousSessionId ? `stream:${session.previousSessionId}` : null,
+                };
+            }
+        } catch (error) {
+            logger.warn({ err: error, channel: channelName },
+                '[CheckinStorage] Could not read stream session, counting streaks by day');
+        }
+    }
+
+    const today = getDateInTimezone(now, await getChannelTimezone(channelName));
+    return { current: `day:${today}`, previous: `day:${_previousDateKey(today)}` };
+}
+
+/**
+ * A viewer's streak as of a period: the stored streak if their last check-in
+ * was in this period or the one before, otherwise 0 (the streak is broken).
+ */
+function _liveStreak(data, period) {
+    if (!period || !data.streakPeriod) return 0;
+    return data.streakPeriod === period.current || data.streakPeriod === period.previous
+        ? data.streak || 0
+        : 0;
+}
+
 // ─── Counter Operations ─────────────────────────────────────────────────────
 
 /**
- * Records a check-in for a user. Atomically increments their counter.
+ * Records a check-in for a user: adds one to their count and, when a period
+ * is given, extends or restarts their streak. Checking in twice in the same
+ * period counts twice but doesn't lengthen the streak.
  * @param {string} channelName - Channel name.
  * @param {string} userId - Twitch user ID.
  * @param {string} displayName - User's display name (for readability in Firestore).
- * @returns {Promise<{count: number, isNew: boolean}>} The new count and whether this was first check-in.
+ * @param {{current: string, previous: string|null}|null} [period=null] - From getCheckinPeriod().
+ * @returns {Promise<{count: number, isNew: boolean, streak: number, bestStreak: number}>}
+ *   The new totals, and whether this was the user's first check-in.
  */
-export async function recordCheckin(channelName, userId, displayName) {
+export async function recordCheckin(channelName, userId, displayName, period = null) {
     try {
+        const db = _getDb();
         const docRef = _getUserCountersRef(channelName).doc(userId);
-        const docSnap = await docRef.get();
-        const isNew = !docSnap.exists;
 
-        await docRef.set({
-            count: FieldValue.increment(1),
-            lastCheckin: FieldValue.serverTimestamp(),
-            displayName: displayName || userId,
-        }, { merge: true });
+        const result = await db.runTransaction(async (t) => {
+            const docSnap = await t.get(docRef);
+            const data = docSnap.exists ? docSnap.data() : {};
+            const count = (data.count || 0) + 1;
 
-        // Read back the new count
-        const updated = await docRef.get();
-        const newCount = updated.data()?.count || 1;
+            let streak = data.streak || 0;
+            if (period) {
+                if (data.streakPeriod === period.current) {
+                    streak = Math.max(streak, 1);
+                } else if (period.previous && data.streakPeriod === period.previous) {
+                    streak += 1;
+                } else {
+                    streak = 1;
+                }
+            }
+            const bestStreak = Math.max(data.bestStreak || 0, streak);
+
+            t.set(docRef, {
+                count,
+                streak,
+                bestStreak,
+                ...(period ? { streakPeriod: period.current } : {}),
+                lastCheckin: FieldValue.serverTimestamp(),
+                displayName: displayName || userId,
+            }, { merge: true });
+
+            return { count, isNew: !docSnap.exists, streak, bestStreak };
+        });
 
         logger.debug({
             channel: channelName,
             userId,
             displayName,
-            count: newCount,
-            isNew,
+            ...result,
         }, '[CheckinStorage] Recorded check-in');
 
-        return { count: newCount, isNew };
+        return result;
     } catch (error) {
         logger.error({ err: error, channel: channelName, userId },
             '[CheckinStorage] Error recording check-in');
         // Return a fallback so the command can still produce a response
-        return { count: 0, isNew: true };
+        return { count: 0, isNew: true, streak: 0, bestStreak: 0 };
     }
 }
 
@@ -130,3 +217,73 @@ export async function getCheckinCount(channelName, userId) {
         return 0;
     }
 }
+
+/**
+ * Ranks a check-in count within the channel. Viewers with the same count
+ * share a rank.
+ * @param {string} channelName - Channel name.
+ * @param {number} count - The count to rank.
+ * @returns {Promise<number|null>} 1 for the most check-ins, or null on error.
+ */
+export async function getCheckinRank(channelName, count) {
+    try {
+        const snapshot = await _getUserCountersRef(channelName).where('count', '>', count).count().get();
+        return snapshot.data().count + 1;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[CheckinStorage] Error ranking check-in count');
+        return null;
+    }
+}
+
+/**
+ * Gets a user's check-in totals, with their streak as it stands now.
+ * @param {string} channelName - Channel name.
+ * @param {string} userId - Twitch user ID.
+ * @returns {Promise<{count: number, streak: number, bestStreak: number, rank: number|null}|null>}
+ *   null if the user has never checked in or the data can't be read.
+ */
+export async function getCheckinStats(channelName, userId) {
+    try {
+        const docSnap = await _getUserCountersRef(channelName).doc(userId).get();
+        if (!docSnap.exists) return null;
+        const data = docSnap.data();
+        const config = await getCheckinConfig(channelName);
+        const period = await getCheckinPeriod(channelName, config?.streakMode);
+        return {
+            count: data.count || 0,
+            streak: _liveStreak(data, period),
+            bestStreak: data.bestStreak || 0,
+            rank: await getCheckinRank(channelName, data.count || 0),
+        };
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, userId },
+            '[CheckinStorage] Error getting check-in stats');
+        return null;
+    }
+}
+
+/**
+ * Gets the viewers with the most check-ins.
+ * @param {string} channelName - Channel name.
+ * @param {number} [limit=5]
+ * @returns {Promise<Array<{userId: string, displayName: string, count: number, streak: number}>>}
+ *   Empty on error. streak is the viewer's current streak.
+ */
+export async function getCheckinLeaderboard(channelName, limit = 5) {
+    try {
+        const snapshot = await _getUserCountersRef(channelName).orderBy('count', 'desc').limit(limit).get();
+        const config = await getCheckinConfig(channelName);
+        const period = await getCheckinPeriod(channelName, config?.streakMode);
+        return snapshot.docs.map(doc => ({
+            userId: doc.id,
+            displayName: doc.data().displayName || doc.id,
+            count: doc.data().count || 0,
+            streak: _liveStreak(doc.data(), period),
+        }));
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[CheckinStorage] Error loading check-in leaderboard');
+        return [];
+    }
+}
@@ -0,0 +1,137 @@
+// src/components/customCommands/commandAvailability.js
+// Decides whether a custom command may respond right now, based on its
+// liveOnly/offlineOnly flags, its active hours (in the channel's timezone)
+// and the games it is restricted to.
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?$/;
+
+/**
+ * @param {string} timezone - IANA name, e.g. "America/Chicago".
+ * @returns {boolean} True if the runtime knows the timezone.
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function _parseTime(text) {
+    const match = TIME_PATTERN.exec(text.trim());
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parses an active-hours range such as "18-23" or "20:30-02:00". Ranges that
+ * end before they start run past midnight.
+ * @param {string} text
+ * @returns {{start: string, end: string}|null} Times as "HH:MM", or null if invalid.
+ */
+export function parseActiveHours(text) {
+    const parts = String(text || '').split('-');
+    if (parts.length !== 2) return null;
+    const start = _parseTime(parts[0]);
+    const end = _parseTime(parts[1]);
+    if (!start || !end || start === end) return null;
+    return { start, end };
+}
+
+/**
+ * @param {{start: string, end: string}} activeHours
+ * @returns {string} e.g. "18:00-23:00"
+ */
+export function formatActiveHours(activeHours) {
+    return `${activeHours.start}-${activeHours.end}`;
+}
+
+function _toMinutes(hhmm) {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone.
+ * @returns {number} Minutes since local midnight in that timezone.
+ */
+export function getMinutesInTimezone(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+    const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+    return hour * 60 + minute;
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone.
+ * @returns {string} The calendar date in that timezone, as "YYYY-MM-DD".
+ */
+export function getDateInTimezone(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * @param {{start: string, end: string}} activeHours
+ * @param {string} timezone - IANA timezone the hours are in.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} True if `now` falls inside the range (start inclusive, end exclusive).
+ */
+export function isWithinActiveHours(activeHours, timezone, now = new Date()) {
+    const current = getMinutesInTimezone(now, isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+    const start = _toMinutes(activeHours.start);
+    const end = _toMinutes(activeHours.end);
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * @param {object} command - Custom command doc.
+ * @returns {boolean} True if the command has any stream-state or schedule restriction.
+ */
+export function hasAvailabilityRules(command) {
+    return !!(command.liveOnly || command.offlineOnly || command.activeHours
+        || (Array.isArray(command.games) && command.games.length > 0));
+}
+
+/**
+ * Works out why a command can't respond right now.
+ * @param {object} command - Custom command doc.
+ * @param {object} state
+ * @param {boolean} state.isLive - Whether the channel is live.
+ * @param {string|null} state.game - Current game/category, if live.
+ * @param {string} [state.timezone] - Channel timezone for active hours.
+ * @param {Date} [state.now]
+ * @returns {'offline'|'live'|'hours'|'game'|null} null if the command may respond.
+ */
+export function getUnavailableReason(command, { isLive, game, timezone = DEFAULT_TIMEZONE, now = new Date() }) {
+    if (command.liveOnly && !isLive) return 'offline';
+    if (command.offlineOnly && isLive) return 'live';
+    if (command.activeHours && !isWithinActiveHours(command.activeHours, timezone, now)) return 'hours';
+    if (Array.isArray(command.games) && command.games.length > 0) {
+        const current = (game || '').toLowerCase();
+        if (!isLive || !command.games.some(g => g.toLowerCase() === current)) return 'game';
+    }
+    return null;
+}
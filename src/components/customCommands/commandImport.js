@@ -0,0 +1,537 @@
+// src/components/customCommands/commandImport.js
+// Bulk import and export of a channel's custom commands.
+//
+// parseImportFile() reads a Nightbot, StreamElements, Fossabot or Streamlabs
+// Chatbot export (or one of our own backups), translates each response into
+// the $(...) variables that variableParser.js supports and lists whatever it
+// couldn't translate. importCustomCommands() then writes the result through
+// customCommandsStorage, and exportCustomCommands() produces the backup format
+// that importCustomCommands() restores.
+import logger from '../../lib/logger.js';
+import { parseCsv } from '../../lib/csvUtils.js';
+import {
+    getCustomCommand,
+    getAllCustomCommands,
+    addCustomCommand,
+    updateCustomCommand,
+    updateCustomCommandOptions,
+    getCommandAlias,
+    getAliasesForCommand,
+    addCommandAlias,
+    getUrlFetchHosts,
+    setUrlFetchHostAllowed,
+    getCommandTimezone,
+    setCommandTimezone,
+    COMMAND_OPTION_KEYS,
+    COMMAND_TYPES,
+} from './customCommandsStorage.js';
+import { isValidTimezone } from './commandAvailability.js';
+import { findUnknownVariables, validateTemplate } from './variableParser.js';
+import { MAX_NESTING_DEPTH } from './templateParser.js';
+import { normalizeDomain } from '../moderation/moderationStorage.js';
+import { RESERVED_COMMAND_NAMES } from '../commands/reservedCommandNames.js';
+
+/** Format name written into our own backups. */
+export const BACKUP_FORMAT = 'wildcatsage';
+export const BACKUP_VERSION = 1;
+
+export const IMPORT_FORMATS = [BACKUP_FORMAT, 'nightbot', 'streamelements', 'fossabot', 'streamlabs'];
+
+const COMMAND_NAME_PATTERN = /^[\p{L}\p{N}_-]{1,40}$/u;
+
+/**
+ * Raised when an import file can't be read or its format can't be determined.
+ */
+export class CommandImportError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'CommandImportError';
+        this.cause = cause;
+    }
+}
+
+// --- Permissions ---
+
+// Roles from the other bots, mapped onto our hierarchy. Roles we don't have
+// map to the next stricter one so an import never opens a command up.
+const ROLE_MAP = {
+    everyone: 'everyone',
+    subscriber: 'subscriber',
+    vip: 'vip',
+    twitch_vip: 'vip',
+    moderator: 'moderator',
+    broadcaster: 'broadcaster',
+    owner: 'broadcaster',
+    caster: 'broadcaster',
+    // No exact equivalent
+    follower: 'subscriber',
+    regular: 'vip',
+    editor: 'moderator',
+    admin: 'broadcaster',
+};
+const APPROXIMATE_ROLES = new Set(['follower', 'regular', 'editor', 'admin']);
+
+function _mapRole(role, warnings) {
+    const key = String(role ?? 'everyone').trim().toLowerCase().replace(/\s+/g, '_');
+    if (!Object.hasOwn(ROLE_MAP, key)) {
+        warnings.push(`permission "${role}" is not supported, so the command was limited to moderators`);
+        return 'moderator';
+    }
+    if (APPROXIMATE_ROLES.has(key)) {
+        warnings.push(`permission "${role}" became "${ROLE_MAP[key]}"`);
+    }
+    return ROLE_MAP[key];
+}
+
+// StreamElements uses numeric access levels
+function _mapStreamElementsLevel(level, warnings) {
+    const value = Number(level) || 100;
+    if (value >= 1500) return 'broadcaster';
+    if (value >= 500) return 'moderator';
+    if (value >= 400) return 'vip';
+    if (value >= 300) return _mapRole('regular', warnings);
+    if (value >= 250) return 'subscriber';
+    return 'everyone';
+}
+
+function _secondsToMs(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 0;
+}
+
+// --- Variable translation ---
+
+// Nightbot and Fossabot already use $(...); only some names differ
+const DOLLAR_PAREN_RENAMES = {
+    query: 'args',
+    customapi: 'urlfetch',
+};
+
+// StreamElements ${...} variables with a direct equivalent
+const STREAMELEMENTS_VARIABLES = {
+    sender: 'user',
+    source: 'user',
+    user: 'touser', // the mentioned user, else the sender
+    'user.name': 'touser',
+    touser: 'touser',
+    channel: 'channel',
+    count: 'count',
+    game: 'game',
+    uptime: 'uptime',
+    '1:': 'args',
+};
+
+// Streamlabs Chatbot $name variables with a direct equivalent
+const STREAMLABS_VARIABLES = {
+    user: 'user',
+    username: 'user',
+    touser: 'touser',
+    target: 'touser',
+    msg: 'args',
+    count: 'count',
+    mychannel: 'channel',
+    uptime: 'uptime',
+    game: 'game',
+};
+
+function _translateDollarParen(text) {
+    const response = text.replace(/\$\(\s*([A-Za-z0-9_]+)/g, (match, name) => {
+        const renamed = DOLLAR_PAREN_RENAMES[name.toLowerCase()];
+        return renamed ? `$(${renamed}` : match;
+    });
+    return { response, unsupported: [] };
+}
+
+function _translateStreamElementsVariable(body) {
+    const lower = body.toLowerCase();
+    if (Object.hasOwn(STREAMELEMENTS_VARIABLES, lower)) return `$(${STREAMELEMENTS_VARIABLES[lower]})`;
+    if (/^[1-9]$/.test(body)) return `$(${body})`;
+
+    let match = body.match(/^random\.(\d+)-(\d+)$/i);
+    if (match) return `$(random ${match[1]}-${match[2]})`;
+
+    match = body.match(/^random\.pick\s+(.+)$/i);
+    if (match) {
+        const options = [...match[1].matchAll(/'([^']*)'|"([^"]*)"|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+        return options.some(option => option.includes('|')) ? null : `$(pick ${options.join('|')})`;
+    }
+
+    match = body.match(/^customapi\.(\S+)$/i);
+    if (match) return `$(urlfetch ${match[1]})`;
+
+    // Named counters: ${count name} adds one, ${getcount name} reads
+    match = body.match(/^(count|getcount)\s+([a-z0-9_]{1,32})$/i);
+    if (match) {
+        const name = match[2].toLowerCase();
+        return match[1].toLowerCase() === 'count' ? `$(counter ${name} +1)` : `$(counter ${name})`;
+    }
+    return null;
+}
+
+function _translateStreamElements(text) {
+    // Innermost ${...} first, so nested variables translate inside out
+    const pattern = /\$\{([^{}]*)\}/g;
+    let response = text;
+    for (let pass = 0; pass < MAX_NESTING_DEPTH; pass++) {
+        const next = response.replace(pattern, (match, body) => _translateStreamElementsVariable(body.trim()) ?? match);
+        if (next === response) break;
+        response = next;
+    }
+    const unsupported = [...response.matchAll(pattern)].map(m => `\${${m[1].trim().split(/\s+/)[0]}}`);
+    return { response, unsupported };
+}
+
+function _translateStreamlabs(text) {
+    const unsupported = [];
+    const response = text.replace(/\$([a-z][a-z0-9_]*)(?:\(([^()]*)\))?/g, (match, name, args) => {
+        if (args === undefined && Object.hasOwn(STREAMLABS_VARIABLES, name)) {
+            return `$(${STREAMLABS_VARIABLES[name]})`;
+        }
+        if (name === 'readapi' && args?.trim()) {
+            return `$(urlfetch ${args.trim()})`;
+        }
+        const range = name === 'randnum' && args?.match(/^\s*(\d+)\s*,\s*(\d+)\s*$/);
+        if (range) {
+            return `$(random ${range[1]}-${range[2]})`;
+        }
+        unsupported.push(`$${name}`);
+        return match;
+    });
+    return { response, unsupported };
+}
+
+const TRANSLATORS = {
+    [BACKUP_FORMAT]: (text) => ({ response: text, unsupported: [] }),
+    nightbot: _translateDollarParen,
+    fossabot: _translateDollarParen,
+    streamelements: _translateStreamElements,
+    streamlabs: _translateStreamlabs,
+};
+
+/**
+ * Translates a response from another bot's variable syntax into ours.
+ * @param {string} text - The response as exported.
+ * @param {string} format - One of IMPORT_FORMATS.
+ * @returns {{response: string, unsupported: string[]}} The translated response and
+ *   every variable it still contains that we can't resolve, as written.
+ */
+export function translateResponse(text, format) {
+    const translator = TRANSLATORS[format];
+    if (!translator) {
+        throw new CommandImportError(`Unknown import format "${format}". Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+    const { response, unsupported } = translator(String(text ?? ''));
+    const unknown = findUnknownVariables(response).map(name => `$(${name})`);
+    return { response, unsupported: [...new Set([...unsupported, ...unknown])] };
+}
+
+// --- Parsing ---
+
+function _extractItems(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.commands)) return data.commands;
+    return [];
+}
+
+/**
+ * Works out which bot an export came from.
+ * @param {object|object[]} data - Parsed JSON, or CSV rows keyed by header.
+ * @returns {string} One of IMPORT_FORMATS.
+ * @throws {CommandImportError} If the shape isn't recognized.
+ */
+export function detectImportFormat(data) {
+    if (data && !Array.isArray(data) && data.format === BACKUP_FORMAT) return BACKUP_FORMAT;
+
+    const first = _extractItems(data).find(item => item && typeof item === 'object');
+    if (first) {
+        if ('message' in first && 'name' in first) return 'nightbot';
+        if ('reply' in first && 'command' in first) return 'streamelements';
+        if ('response' in first && 'command' in first) return 'streamlabs';
+        if ('response' in first && 'name' in first) return 'fossabot';
+    }
+    throw new CommandImportError(`Could not tell which bot this export came from. Pass the format explicitly (${IMPORT_FORMATS.join(', ')}).`);
+}
+
+function _normalizeName(name) {
+    return String(name ?? '').trim().toLowerCase().replace(/^!/, '');
+}
+
+function _normalizeAliases(aliases) {
+    return Array.isArray(aliases) ? aliases.map(_normalizeName).filter(Boolean) : [];
+}
+
+function _readItem(item, format, warnings) {
+    switch (format) {
+        case BACKUP_FORMAT: {
+            const options = {};
+            for (const key of COMMAND_OPTION_KEYS) {
+                if (item[key] !== undefined) options[key] = item[key];
+            }
+            return {
+                name: item.name,
+                response: item.response,
+                type: COMMAND_TYPES.includes(item.type) ? item.type : 'text',
+                options,
+                aliases: item.aliases,
+                enabled: true,
+            };
+        }
+        case 'nightbot':
+            return {
+                name: item.name,
+                response: item.message,
+                options: { permission: _mapRole(item.userLevel, warnings), cooldownMs: _secondsToMs(item.coolDown) },
+                enabled: item.enabled !== false,
+            };
+        case 'streamelements':
+            if (Array.isArray(item.keywords) && item.keywords.length > 0) {
+                warnings.push('keywords were not imported; recreate them with !trigger');
+            }
+            return {
+                name: item.command,
+                response: item.reply,
+                options: {
+                    permission: _mapStreamElementsLevel(item.accessLevel, warnings),
+                    cooldownMs: _secondsToMs(item.cooldown?.global),
+                    userCooldownMs: _secondsToMs(item.cooldown?.user),
+                },
+                aliases: item.aliases,
+                enabled: item.enabled !== false,
+            };
+        case 'fossabot':
+            return {
+                name: item.name,
+                response: item.response,
+                options: {
+                    permission: _mapRole(item.minimum_role ?? item.permission ?? item.role, warnings),
+                    cooldownMs: _secondsToMs(item.global_cooldown ?? item.cooldown),
+                    userCooldownMs: _secondsToMs(item.user_cooldown),
+                },
+                aliases: item.aliases,
+                enabled: item.enabled !== false,
+            };
+        case 'streamlabs':
+            return {
+                name: item.command,
+                response: item.response,
+                options: {
+                    permission: _mapRole(item.permission, warnings),
+                    cooldownMs: _secondsToMs(item.cooldown),
+                    userCooldownMs: _secondsToMs(item.usercooldown),
+                },
+                enabled: String(item.enabled ?? '').toLowerCase() !== 'false',
+            };
+        default:
+            throw new CommandImportError(`Unknown import format "${format}". Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * Parses an export file into commands ready for importCustomCommands().
+ * JSON files may be a bare array or an object with a `commands` array; anything
+ * else is read as a Streamlabs Chatbot CSV.
+ * @param {string} text - File contents.
+ * @param {string|null} [format=null] - One of IMPORT_FORMATS; detected when omitted.
+ * @returns {{format: string, entries: object[], settings: object}} Each entry has name,
+ *   response, type, options, aliases, enabled, unsupported and warnings. settings holds
+ *   the timezone and urlfetch hosts of a backup.
+ * @throws {CommandImportError} If the file can't be parsed or its format is unknown.
+ */
+export function parseImportFile(text, format = null) {
+    const trimmed = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    let data;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new CommandImportError(`The file is not valid JSON: ${error.message}`, error);
+        }
+    } else {
+        data = parseCsv(trimmed); // Streamlabs Chatbot spreadsheets
+    }
+
+    const resolvedFormat = format ? format.toLowerCase() : detectImportFormat(data);
+    if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+        throw new CommandImportError(`Unknown import format "${format}". Expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const entries = _extractItems(data)
+        .filter(item => item && typeof item === 'object')
+        .map(item => {
+            const warnings = [];
+            const read = _readItem(item, resolvedFormat, warnings);
+            const { response, unsupported } = read.type === 'prompt'
+                ? { response: String(read.response ?? ''), unsupported: [] }
+                : translateResponse(read.response, resolvedFormat);
+            return {
+                name: _normalizeName(read.name),
+                response: response.trim(),
+                type: read.type || 'text',
+                options: read.options,
+                aliases: _normalizeAliases(read.aliases),
+                enabled: read.enabled,
+                unsupported,
+                warnings,
+            };
+        });
+
+    const settings = {};
+    if (resolvedFormat === BACKUP_FORMAT) {
+        if (typeof data.timezone === 'string') settings.timezone = data.timezone;
+        if (Array.isArray(data.urlFetchHosts)) settings.urlFetchHosts = data.urlFetchHosts;
+    }
+    return { format: resolvedFormat, entries, settings };
+}
+
+// --- Import ---
+
+// Built-ins that step aside for a custom command of the same name while
+// their feature is off (!join, !points) don't reserve the name
+function _isBuiltinCommand(name) {
+    return RESERVED_COMMAND_NAMES.has(name);
+}
+
+function _findUrlFetchHosts(response) {
+    return [...response.matchAll(/\$\(urlfetch\s+([^\s)]+)/gi)]
+        .map(match => normalizeDomain(match[1]))
+        .filter(Boolean);
+}
+
+async function _checkEntry(channelName, entry, seen, overwrite) {
+    if (!COMMAND_NAME_PATTERN.test(entry.name)) return 'invalid command name';
+    if (seen.has(entry.name)) return 'listed more than once';
+    if (!entry.response) return 'empty response';
+    if (!entry.enabled) return 'disabled in the export';
+    if (_isBuiltinCommand(entry.name)) return 'name is taken by a built-in command';
+    if (entry.unsupported.length > 0) return `unsupported variables: ${entry.unsupported.join(', ')}`;
+
+    const templateError = validateTemplate(entry.response);
+    if (templateError) return templateError;
+
+    const alias = await getCommandAlias(channelName, entry.name);
+    if (alias) return `already an alias for !${alias.target}`;
+    if (!overwrite && await getCustomCommand(channelName, entry.name)) return 'already exists';
+    return null;
+}
+
+async function _importAliases(channelName, entry, createdBy, dryRun, result) {
+    for (const aliasName of entry.aliases) {
+        if (aliasName === entry.name || !COMMAND_NAME_PATTERN.test(aliasName) || _isBuiltinCommand(aliasName)) {
+            result.warnings.push({ name: entry.name, message: `alias !${aliasName} was skipped` });
+            continue;
+        }
+        if (await getCustomCommand(channelName, aliasName) || await getCommandAlias(channelName, aliasName)) {
+            result.warnings.push({ name: entry.name, message: `alias !${aliasName} is already in use` });
+            continue;
+        }
+        if (dryRun || await addCommandAlias(channelName, aliasName, entry.name, createdBy)) {
+            result.aliases.push(`${aliasName} -> ${entry.name}`);
+        }
+    }
+}
+
+async function _restoreSettings(channelName, settings, dryRun, result) {
+    if (settings.timezone && isValidTimezone(settings.timezone)) {
+        if (!dryRun) await setCommandTimezone(channelName, settings.timezone);
+        result.settings.push(`timezone ${settings.timezone}`);
+    }
+    for (const host of (settings.urlFetchHosts || []).map(normalizeDomain).filter(Boolean)) {
+        if (!dryRun) await setUrlFetchHostAllowed(channelName, host, true);
+        result.settings.push(`urlfetch host ${host}`);
+    }
+}
+
+/**
+ * Writes parsed commands to a channel. Commands that can't be imported as-is
+ * (unsupported variables, name clashes, disabled in the source bot) are
+ * skipped and reported rather than half-imported.
+ * @param {string} channelName - The channel name.
+ * @param {{format: string, entries: object[], settings?: object}} parsed - From parseImportFile().
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite=false] - Replace commands that already exist.
+ * @param {boolean} [options.dryRun=false] - Check everything but write nothing.
+ * @param {string} [options.createdBy='import'] - Recorded as the creator.
+ * @returns {Promise<{added: string[], updated: string[], skipped: {name: string, reason: string}[],
+ *   aliases: string[], settings: string[], warnings: {name: string, message: string}[], hostsToAllow: string[]}>}
+ * @throws {CustomCommandsStorageError} If storage fails part-way; earlier commands stay imported.
+ */
+export async function importCustomCommands(channelName, parsed, { overwrite = false, dryRun = false, createdBy = 'import' } = {}) {
+    const lowerChannel = channelName.toLowerCase();
+    const result = { added: [], updated: [], skipped: [], aliases: [], settings: [], warnings: [], hostsToAllow: [] };
+    const seen = new Set();
+    const hosts = new Set();
+
+    for (const entry of parsed.entries) {
+        const reason = await _checkEntry(lowerChannel, entry, seen, overwrite);
+        seen.add(entry.name);
+        if (reason) {
+            result.skipped.push({ name: entry.name || '(unnamed)', reason });
+            continue;
+        }
+        for (const message of entry.warnings) {
+            result.warnings.push({ name: entry.name, message });
+        }
+
+        if (!dryRun) {
+            const created = await addCustomCommand(lowerChannel, entry.name, entry.response, createdBy, entry.type);
+            if (!created) {
+                await updateCustomCommand(lowerChannel, entry.name, entry.response, createdBy);
+            }
+            await updateCustomCommandOptions(lowerChannel, entry.name, { ...entry.options, type: entry.type }, createdBy);
+            (created ? result.added : result.updated).push(entry.name);
+        } else {
+            ((await getCustomCommand(lowerChannel, entry.name)) ? result.updated : result.added).push(entry.name);
+        }
+
+        await _importAliases(lowerChannel, entry, createdBy, dryRun, result);
+        _findUrlFetchHosts(entry.response).forEach(host => hosts.add(host));
+    }
+
+    if (parsed.format === BACKUP_FORMAT) {
+        await _restoreSettings(lowerChannel, parsed.settings || {}, dryRun, result);
+    }
+
+    // Hosts from another bot's export are reported, never allowed automatically
+    const allowed = await getUrlFetchHosts(lowerChannel);
+    const restored = new Set((parsed.settings?.urlFetchHosts || []).map(normalizeDomain));
+    result.hostsToAllow = [...hosts].filter(host => !restored.has(host)
+        && !allowed.some(allowedHost => host === allowedHost || host.endsWith(`.${allowedHost}`)));
+
+    logger.info(`[CommandImport] ${dryRun ? 'Checked' : 'Imported'} ${parsed.format} commands for ${lowerChannel}: `
+        + `${result.added.length} added, ${result.updated.length} updated, ${result.skipped.length} skipped`);
+    return result;
+}
+
+// --- Export ---
+
+/**
+ * Dumps a channel's custom commands, their aliases and command settings as a
+ * backup that importCustomCommands() restores.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<object>} JSON-serializable backup.
+ */
+export async function exportCustomCommands(channelName) {
+    const lowerChannel = channelName.toLowerCase();
+    const commands = await getAllCustomCommands(lowerChannel);
+    commands.sort((a, b) => a.name.localeCompare(b.name));
+
+    const exported = [];
+    for (const command of commands) {
+        const entry = { name: command.name, response: command.response, type: command.type || 'text' };
+        for (const key of COMMAND_OPTION_KEYS) {
+            if (command[key] !== undefined) entry[key] = command[key];
+        }
+        entry.aliases = await getAliasesForCommand(lowerChannel, command.name);
+        exported.push(entry);
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        channel: lowerChannel,
+        exportedAt: new Date().toISOString(),
+        timezone: await getCommandTimezone(lowerChannel),
+        urlFetchHosts: await getUrlFetchHosts(lowerChannel),
+        commands: exported,
+    };
+}
@@ -1,6 +1,7 @@
 // src/components/customCommands/customCommandsStorage.js
 import { getFirestore, FieldValue } from '../../lib/firestore.js';
 import logger from '../../lib/logger.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from './commandAvailability.js';
 
 // Collection name for storing per-channel custom commands
 const CUSTOM_COMMANDS_COLLECTION = 'customCommands';
@@ -80,13 +81,36 @@ export async function getAllCustomCommands(channelName) {
     }
 }
 
+/**
+ * How a command's response is delivered: 'text' sends it as chat messages,
+ * 'prompt' sends it to the LLM first, 'announcement' posts it highlighted,
+ * 'action' sends it as /me and 'shoutout' also gives $(1) a Twitch shoutout.
+ */
+export const COMMAND_TYPES = ['text', 'prompt', 'announcement', 'action', 'shoutout'];
+
+/**
+ * Command fields that updateCustomCommandOptions accepts and that revisions
+ * and backups carry alongside the response and type.
+ */
+export const COMMAND_OPTION_KEYS = [
+    'permission', 'cooldownMs', 'userCooldownMs', 'perStreamLimit', 'modBypass',
+    'liveOnly', 'offlineOnly', 'activeHours', 'games', 'color', 'reply', 'multiline', 'lineDelayMs',
+];
+
+function _commandDocRef(db, channelName, commandName) {
+    return db.collection(CUSTOM_COMMANDS_COLLECTION)
+        .doc(channelName)
+        .collection('commands')
+        .doc(commandName);
+}
+
 /**
  * Adds a new custom command for a channel.
  * @param {string} channelName - The channel name (lowercase).
  * @param {string} commandName - The command name (lowercase, without !).
  * @param {string} response - The command response template.
  * @param {string} createdBy - Username of the creator.
- * @param {string} [type='text'] - The type of command ('text' or 'prompt').
+ * @param {string} [type='text'] - One of COMMAND_TYPES.
  * @returns {Promise<boolean>} True if created, false if command already exists.
  */
 export async function addCustomCommand(channelName, commandName, response, createdBy, type = 'text') {
@@ -94,30 +118,27 @@ export async function addCustomCommand(channelName, commandName, response, creat
     const lowerChannel = channelName.toLowerCase();
     const lowerCommand = commandName.toLowerCase();
 
-    const docRef = db.collection(CUSTOM_COMMANDS_COLLECTION)
-        .doc(lowerChannel)
-        .collection('commands')
-        .doc(lowerCommand);
-
     try {
-        // Check if command already exists
-        const existing = await docRef.get();
-        if (existing.exists) {
+        const created = await _changeCommand(db, lowerChannel, lowerCommand, 'add', createdBy, (current) => {
+            if (current) return null;
+            return {
+                set: {
+                    response,
+                    type,
+                    permission: 'everyone',
+                    cooldownMs: 0,
+                    useCount: 0,
+                    createdBy: createdBy.toLowerCase(),
+                    createdAt: FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp(),
+                },
+            };
+        });
+        if (!created) {
             logger.debug(`[CustomCommandsStorage] Command ${lowerCommand} already exists in channel ${lowerChannel}`);
             return false;
         }
 
-        await docRef.set({
-            response,
-            type,
-            permission: 'everyone',
-            cooldownMs: 0,
-            useCount: 0,
-            createdBy: createdBy.toLowerCase(),
-            createdAt: FieldValue.serverTimestamp(),
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
         // Also set the parent doc to ensure it exists for queries
         await db.collection(CUSTOM_COMMANDS_COLLECTION)
             .doc(lowerChannel)
@@ -137,29 +158,22 @@ export async function addCustomCommand(channelName, commandName, response, creat
  * @param {string} channelName - The channel name (lowercase).
  * @param {string} commandName - The command name (lowercase, without !).
  * @param {string} response - The new response template.
+ * @param {string|null} [editedBy=null] - Username recorded in the revision history.
  * @returns {Promise<boolean>} True if updated, false if command doesn't exist.
  */
-export async function updateCustomCommand(channelName, commandName, response) {
+export async function updateCustomCommand(channelName, commandName, response, editedBy = null) {
     const db = _getDb();
     const lowerChannel = channelName.toLowerCase();
     const lowerCommand = commandName.toLowerCase();
 
-    const docRef = db.collection(CUSTOM_COMMANDS_COLLECTION)
-        .doc(lowerChannel)
-        .collection('commands')
-        .doc(lowerCommand);
-
     try {
-        const existing = await docRef.get();
-        if (!existing.exists) {
+        const updated = await _changeCommand(db, lowerChannel, lowerCommand, 'edit', editedBy, (current) => (
+            current ? { update: { response, updatedAt: FieldValue.serverTimestamp() } } : null
+        ));
+        if (!updated) {
             return false;
         }
 
-        await docRef.update({
-            response,
-            updatedAt: FieldValue.serverTimestamp(),
-        });
-
         logger.info(`[CustomCommandsStorage] Updated custom command !${lowerCommand} for channel ${lowerChannel}`);
         return true;
     } catch (error) {
@@ -170,43 +184,46 @@ export async function updateCustomCommand(channelName, commandName, response) {
 }
 
 /**
- * Updates options (permission, cooldown) for a custom command.
+ * Updates options (permission, cooldowns, usage caps, availability) for a custom command.
  * @param {string} channelName - The channel name.
  * @param {string} commandName - The command name.
  * @param {object} options - Options to update.
  * @param {string} [options.permission] - Permission level.
- * @param {number} [options.cooldownMs] - Cooldown in milliseconds.
- * @param {string} [options.type] - Command type ('text' or 'prompt').
+ * @param {number} [options.cooldownMs] - Channel-wide cooldown in milliseconds.
+ * @param {number} [options.userCooldownMs] - Per-viewer cooldown in milliseconds.
+ * @param {number} [options.perStreamLimit] - Uses allowed per viewer per stream, 0 for no cap.
+ * @param {boolean} [options.modBypass] - Moderators and the broadcaster skip cooldowns and caps.
+ * @param {string} [options.type] - One of COMMAND_TYPES.
+ * @param {boolean} [options.liveOnly] - Only respond while the stream is live.
+ * @param {boolean} [options.offlineOnly] - Only respond while the stream is offline.
+ * @param {{start: string, end: string}|null} [options.activeHours] - Local "HH:MM" range, null to clear.
+ * @param {string[]} [options.games] - Games the command is limited to, empty to clear.
+ * @param {string} [options.color] - Highlight colour of announcement responses.
+ * @param {boolean} [options.reply] - Send the response as a reply to the triggering message.
+ * @param {boolean} [options.multiline] - Send the parts of the response separated by "||" as separate messages.
+ * @param {number} [options.lineDelayMs] - Pause between the messages of a multi-line response.
+ * @param {string|null} [editedBy=null] - Username recorded in the revision history.
  * @returns {Promise<boolean>} True if updated, false if command doesn't exist.
  */
-export async function updateCustomCommandOptions(channelName, commandName, options) {
+export async function updateCustomCommandOptions(channelName, commandName, options, editedBy = null) {
     const db = _getDb();
     const lowerChannel = channelName.toLowerCase();
     const lowerCommand = commandName.toLowerCase();
 
-    const docRef = db.collection(CUSTOM_COMMANDS_COLLECTION)
-        .doc(lowerChannel)
-        .collection('commands')
-        .doc(lowerCommand);
-
     try {
-        const existing = await docRef.get();
-        if (!existing.exists) {
-            return false;
-        }
-
         const updateData = { updatedAt: FieldValue.serverTimestamp() };
-        if (options.permission !== undefined) {
-            updateData.permission = options.permission;
-        }
-        if (options.cooldownMs !== undefined) {
-            updateData.cooldownMs = options.cooldownMs;
-        }
-        if (options.type !== undefined) {
-            updateData.type = options.type;
+        for (const key of ['type', ...COMMAND_OPTION_KEYS]) {
+            if (options[key] !== undefined) {
+                updateData[key] = options[key];
+            }
         }
 
-        await docRef.update(updateData);
+        const updated = await _changeCommand(db, lowerChannel, lowerCommand, 'options', editedBy, (current) => (
+            current ? { update: updateData } : null
+        ));
+        if (!updated) {
+            return false;
+        }
 
         logger.info(`[CustomCommandsStorage] Updated options for !${lowerCommand} in ${lowerChannel}: ${JSON.stringify(options)}`);
         return true;
@@ -218,29 +235,28 @@ export async function updateCustomCommandOptions(channelName, commandName, optio
 }
 
 /**
- * Removes a custom command from a channel.
+ * Removes a custom command from a channel. Its revision history is kept so
+ * the command can be restored.
  * @param {string} channelName - The channel name (lowercase).
  * @param {string} commandName - The command name (lowercase, without !).
+ * @param {string|null} [removedBy=null] - Username recorded in the revision history.
+ * @param {object} [options]
+ * @param {string[]} [options.aliases=[]] - Aliases removed along with it, recorded so undo can bring them back.
  * @returns {Promise<boolean>} True if removed, false if command didn't exist.
  */
-export async function removeCustomCommand(channelName, commandName) {
+export async function removeCustomCommand(channelName, commandName, removedBy = null, { aliases = [] } = {}) {
     const db = _getDb();
     const lowerChannel = channelName.toLowerCase();
     const lowerCommand = commandName.toLowerCase();
 
-    const docRef = db.collection(CUSTOM_COMMANDS_COLLECTION)
-        .doc(lowerChannel)
-        .collection('commands')
-        .doc(lowerCommand);
-
     try {
-        const existing = await docRef.get();
-        if (!existing.exists) {
+        const removed = await _changeCommand(db, lowerChannel, lowerCommand, 'remove', removedBy, (current) => (
+            current ? { delete: true } : null
+        ), { aliases });
+        if (!removed) {
             return false;
         }
 
-        await docRef.delete();
-
         logger.info(`[CustomCommandsStorage] Removed custom command !${lowerCommand} from channel ${lowerChannel}`);
         return true;
     } catch (error) {
@@ -313,3 +329,634 @@ export async function loadAllCustomCommands() {
         throw new CustomCommandsStorageError('Failed to load all custom commands', error);
     }
 }
+
+// --- Revision history ---
+//
+//   customCommands/{channel}/history/{command}                 { command, nextRevision }
+//   customCommands/{channel}/history/{command}/revisions/{n}   { revision, action, editor, before, after, createdAt }
+// Every add, edit, options change, removal and restore writes a revision in
+// the same transaction as the change. before/after hold the response, type and
+// options (null when the command didn't exist), so a removed command can be
+// brought back and commands created before history existed can still be undone.
+// Use counts are not part of a revision and survive a restore.
+
+const HISTORY_SUBCOLLECTION = 'history';
+const REVISIONS_SUBCOLLECTION = 'revisions';
+
+/** Revisions kept per command; older ones are pruned as new ones are written. */
+export const MAX_REVISIONS_PER_COMMAND = 25;
+
+function _historyDocRef(db, channelName, commandName) {
+    return db.collection(CUSTOM_COMMANDS_COLLECTION)
+        .doc(channelName)
+        .collection(HISTORY_SUBCOLLECTION)
+        .doc(commandName);
+}
+
+/** The parts of a command doc a revision restores. */
+function _commandSnapshot(data) {
+    if (!data) return null;
+    const snapshot = { response: data.response, type: data.type || 'text' };
+    for (const key of COMMAND_OPTION_KEYS) {
+        if (data[key] !== undefined) snapshot[key] = data[key];
+    }
+    return snapshot;
+}
+
+/**
+ * Applies a change to a command and records it as a revision in one transaction.
+ * @param {object} db
+ * @param {string} lowerChannel
+ * @param {string} lowerCommand
+ * @param {'add'|'edit'|'options'|'remove'|'restore'} action
+ * @param {string|null} editor - Username of whoever made the change.
+ * @param {Function} mutate - Gets the current command data (or null) and returns
+ *   { set }, { update } or { delete: true }, or null to leave the command alone.
+ * @param {object} [details={}] - Extra fields stored on the revision (e.g. aliases, undoes).
+ * @returns {Promise<boolean>} False if mutate() declined the change.
+ */
+async function _changeCommand(db, lowerChannel, lowerCommand, action, editor, mutate, details = {}) {
+    const docRef = _commandDocRef(db, lowerChannel, lowerCommand);
+    const historyRef = _historyDocRef(db, lowerChannel, lowerCommand);
+
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(docRef);
+        const historySnap = await tx.get(historyRef);
+        const current = snap.exists ? snap.data() : null;
+
+        const change = mutate(current);
+        if (!change) return false;
+
+        let after = null;
+        if (change.delete) {
+            tx.delete(docRef);
+        } else if (change.set) {
+            tx.set(docRef, change.set);
+            after = change.set;
+        } else {
+            tx.update(docRef, change.update);
+            after = { ...current, ...change.update };
+        }
+
+        const revision = historySnap.exists && Number.isFinite(historySnap.data().nextRevision)
+            ? historySnap.data().nextRevision
+            : 1;
+        const revisionsRef = historyRef.collection(REVISIONS_SUBCOLLECTION);
+        tx.set(revisionsRef.doc(String(revision)), {
+            revision,
+            action,
+            editor: editor ? editor.toLowerCase() : null,
+            before: _commandSnapshot(current),
+            after: _commandSnapshot(after),
+            ...details,
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        if (revision > MAX_REVISIONS_PER_COMMAND) {
+            tx.delete(revisionsRef.doc(String(revision - MAX_REVISIONS_PER_COMMAND)));
+        }
+        tx.set(historyRef, { command: lowerCommand, nextRevision: revision + 1 }, { merge: true });
+        return true;
+    });
+}
+
+function _revisionFromDoc(doc) {
+    const data = doc.data();
+    return {
+        ...data,
+        createdAt: data.createdAt && typeof data.createdAt.toDate === 'function' ? data.createdAt.toDate() : null,
+    };
+}
+
+/**
+ * Lists a command's most recent revisions, newest first. Works for removed commands too.
+ * @param {string} channelName - The channel name.
+ * @param {string} commandName - The command name.
+ * @param {number} [limit=5] - How many revisions to return.
+ * @returns {Promise<object[]>} Revisions ({revision, action, editor, before, after, createdAt: Date|null},
+ *   plus aliases on removals and undoes on restores made by undo).
+ */
+export async function getCommandRevisions(channelName, commandName, limit = 5) {
+    try {
+        const snapshot = await _historyDocRef(_getDb(), channelName.toLowerCase(), commandName.toLowerCase())
+            .collection(REVISIONS_SUBCOLLECTION)
+            .orderBy('revision', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(_revisionFromDoc);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: commandName },
+            '[CustomCommandsStorage] Error loading command history');
+        throw new CustomCommandsStorageError(`Failed to load history of ${commandName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets one revision of a command.
+ * @param {string} channelName - The channel name.
+ * @param {string} commandName - The command name.
+ * @param {number} revision - Revision number.
+ * @returns {Promise<object|null>} The revision, or null if it doesn't exist (or was pruned).
+ */
+export async function getCommandRevision(channelName, commandName, revision) {
+    try {
+        const snap = await _historyDocRef(_getDb(), channelName.toLowerCase(), commandName.toLowerCase())
+            .collection(REVISIONS_SUBCOLLECTION)
+            .doc(String(revision))
+            .get();
+        return snap.exists ? _revisionFromDoc(snap) : null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: commandName, revision },
+            '[CustomCommandsStorage] Error loading command revision');
+        throw new CustomCommandsStorageError(`Failed to load revision ${revision} of ${commandName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Puts a command back to a recorded state, recreating it if it was removed.
+ * The restore is itself recorded, so it can be undone in turn.
+ * @param {string} channelName - The channel name.
+ * @param {string} commandName - The command name.
+ * @param {object|null} state - A revision's before/after snapshot; null removes the command.
+ * @param {string|null} restoredBy - Username recorded in the revision history.
+ * @param {object} [options]
+ * @param {number|null} [options.undoes=null] - The revision this restore undoes, so later undos step past it.
+ * @param {string[]} [options.aliases=[]] - Aliases removed along with the command when state is null.
+ * @returns {Promise<boolean>} False if nothing changed (removing a command that doesn't exist).
+ */
+export async function restoreCustomCommand(channelName, commandName, state, restoredBy, { undoes = null, aliases = [] } = {}) {
+    const db = _getDb();
+    const lowerChannel = channelName.toLowerCase();
+    const lowerCommand = commandName.toLowerCase();
+
+    try {
+        const restored = await _changeCommand(db, lowerChannel, lowerCommand, 'restore', restoredBy, (current) => {
+            if (!state) return current ? { delete: true } : null;
+            return {
+                set: {
+                    ...state,
+                    useCount: current?.useCount ?? 0,
+                    createdBy: current?.createdBy ?? (restoredBy ? restoredBy.toLowerCase() : 'restore'),
+                    createdAt: current?.createdAt ?? FieldValue.serverTimestamp(),
+                    updatedAt: FieldValue.serverTimestamp(),
+                },
+            };
+        }, { undoes, aliases });
+        if (restored && state) {
+            await db.collection(CUSTOM_COMMANDS_COLLECTION)
+                .doc(lowerChannel)
+                .set({ channelName: lowerChannel, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+        }
+
+        logger.info(`[CustomCommandsStorage] Restored !${lowerCommand} in ${lowerChannel}${state ? '' : ' (removed)'}`);
+        return restored;
+    } catch (error) {
+        logger.error({ err: error, channel: lowerChannel, command: lowerCommand },
+            '[CustomCommandsStorage] Error restoring custom command');
+        throw new CustomCommandsStorageError(`Failed to restore ${lowerCommand} for ${lowerChannel}`, error);
+    }
+}
+
+// --- Command aliases ---
+//
+//   customCommands/{channel}/aliases/{alias}   { target, createdBy }
+// The target is a built-in or custom command name; aliases never point at
+// other aliases.
+
+const ALIASES_SUBCOLLECTION = 'aliases';
+
+function _aliasDocRef(db, channelName, aliasName) {
+    return db.collection(CUSTOM_COMMANDS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(ALIASES_SUBCOLLECTION)
+        .doc(aliasName.toLowerCase());
+}
+
+/**
+ * Gets a command alias.
+ * @param {string} channelName - The channel name.
+ * @param {string} aliasName - The alias (lowercase, without !).
+ * @returns {Promise<{alias: string, target: string, createdBy?: string}|null>} The alias, or null if not found.
+ */
+export async function getCommandAlias(channelName, aliasName) {
+    try {
+        const snap = await _aliasDocRef(_getDb(), channelName, aliasName).get();
+        return snap.exists ? { alias: aliasName.toLowerCase(), ...snap.data() } : null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, alias: aliasName },
+            '[CustomCommandsStorage] Error getting command alias');
+        throw new CustomCommandsStorageError(`Failed to get alias ${aliasName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Lists the aliases that point at a command.
+ * @param {string} channelName - The channel name.
+ * @param {string} targetName - The target command name.
+ * @returns {Promise<string[]>} Alias names, sorted.
+ */
+export async function getAliasesForCommand(channelName, targetName) {
+    try {
+        const snapshot = await _getDb().collection(CUSTOM_COMMANDS_COLLECTION)
+            .doc(channelName.toLowerCase())
+            .collection(ALIASES_SUBCOLLECTION)
+            .where('target', '==', targetName.toLowerCase())
+            .get();
+        return snapshot.docs.map(doc => doc.id).sort();
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, command: targetName },
+            '[CustomCommandsStorage] Error listing command aliases');
+        throw new CustomCommandsStorageError(`Failed to list aliases of ${targetName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds an alias for a command. Callers check collisions with built-in and
+ * custom commands first.
+ * @param {string} channelName - The channel name.
+ * @param {string} aliasName - The alias (lowercase, without !).
+ * @param {string} targetName - The command it runs (lowercase, without !).
+ * @param {string} createdBy - Username of the creator.
+ * @returns {Promise<boolean>} True if created, false if the alias already exists.
+ */
+export async function addCommandAlias(channelName, aliasName, targetName, createdBy) {
+    const db = _getDb();
+    const lowerChannel = channelName.toLowerCase();
+    const docRef = _aliasDocRef(db, lowerChannel, aliasName);
+    try {
+        const existing = await docRef.get();
+        if (existing.exists) {
+            return false;
+        }
+        await docRef.set({
+            target: targetName.toLowerCase(),
+            createdBy: createdBy.toLowerCase(),
+            createdAt: FieldValue.serverTimestamp(),
+        });
+        await db.collection(CUSTOM_COMMANDS_COLLECTION)
+            .doc(lowerChannel)
+            .set({ channelName: lowerChannel, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+
+        logger.info(`[CustomCommandsStorage] Added alias !${aliasName.toLowerCase()} -> !${targetName.toLowerCase()} for channel ${lowerChannel}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: lowerChannel, alias: aliasName },
+            '[CustomCommandsStorage] Error adding command alias');
+        throw new CustomCommandsStorageError(`Failed to add alias ${aliasName} for ${lowerChannel}`, error);
+    }
+}
+
+/**
+ * Removes a command alias.
+ * @param {string} channelName - The channel name.
+ * @param {string} aliasName - The alias (lowercase, without !).
+ * @returns {Promise<boolean>} True if removed, false if it didn't exist.
+ */
+export async function removeCommandAlias(channelName, aliasName) {
+    const docRef = _aliasDocRef(_getDb(), channelName, aliasName);
+    try {
+        const existing = await docRef.get();
+        if (!existing.exists) {
+            return false;
+        }
+        await docRef.delete();
+        logger.info(`[CustomCommandsStorage] Removed alias !${aliasName.toLowerCase()} from channel ${channelName.toLowerCase()}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, alias: aliasName },
+            '[CustomCommandsStorage] Error removing command alias');
+        throw new CustomCommandsStorageError(`Failed to remove alias ${aliasName} from ${channelName}`, error);
+    }
+}
+
+/**
+ * Removes every alias that points at a command (used when the command is removed).
+ * @param {string} channelName - The channel name.
+ * @param {string} targetName - The target command name.
+ * @returns {Promise<string[]>} The aliases that were removed.
+ */
+export async function removeAliasesForCommand(channelName, targetName) {
+    const aliases = await getAliasesForCommand(channelName, targetName);
+    for (const alias of aliases) {
+        await removeCommandAlias(channelName, alias);
+    }
+    return aliases;
+}
+
+// --- Named counters and per-user variables ---
+//
+// Stored under the channel's customCommands doc:
+//   customCommands/{channel}/counters/{name}          { value }
+//   customCommands/{channel}/userVariables/{username} { values: { key: value } }
+
+const COUNTERS_SUBCOLLECTION = 'counters';
+const USER_VARIABLES_SUBCOLLECTION = 'userVariables';
+
+/** Longest string a per-user variable may hold. */
+export const MAX_USER_VARIABLE_LENGTH = 200;
+
+/**
+ * Normalizes a counter or variable name.
+ * @param {string} name
+ * @returns {string|null} Lowercase name, or null if it isn't 1-32 letters, digits or underscores.
+ */
+export function normalizeVariableName(name) {
+    const lower = String(name || '').trim().toLowerCase();
+    return /^[a-z0-9_]{1,32}$/.test(lower) ? lower : null;
+}
+
+function _requireName(name) {
+    const normalized = normalizeVariableName(name);
+    if (!normalized) {
+        throw new CustomCommandsStorageError(`Invalid variable name "${name}"`);
+    }
+    return normalized;
+}
+
+function _counterDocRef(db, channelName, counterName) {
+    return db.collection(CUSTOM_COMMANDS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(COUNTERS_SUBCOLLECTION)
+        .doc(counterName);
+}
+
+function _userVariablesDocRef(db, channelName, username) {
+    return db.collection(CUSTOM_COMMANDS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(USER_VARIABLES_SUBCOLLECTION)
+        .doc(username.toLowerCase().replace(/^@/, ''));
+}
+
+/**
+ * Gets the value of a named counter.
+ * @param {string} channelName - The channel name.
+ * @param {string} counterName - The counter name.
+ * @returns {Promise<number>} The counter value (0 if it was never set).
+ */
+export async function getCounter(channelName, counterName) {
+    const name = _requireName(counterName);
+    try {
+        const snap = await _counterDocRef(_getDb(), channelName, name).get();
+        return snap.exists ? Number(snap.data()?.value) || 0 : 0;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, counter: name },
+            '[CustomCommandsStorage] Error getting counter');
+        throw new CustomCommandsStorageError(`Failed to get counter ${name} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets all named counters for a channel.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<Array<{name: string, value: number}>>} Counters sorted by name.
+ */
+export async function getAllCounters(channelName) {
+    try {
+        const snapshot = await _getDb().collection(CUSTOM_COMMANDS_COLLECTION)
+            .doc(channelName.toLowerCase())
+            .collection(COUNTERS_SUBCOLLECTION)
+            .get();
+        const counters = [];
+        snapshot.forEach(doc => {
+            counters.push({ name: doc.id, value: Number(doc.data()?.value) || 0 });
+        });
+        return counters.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[CustomCommandsStorage] Error loading counters');
+        throw new CustomCommandsStorageError(`Failed to load counters for ${channelName}`, error);
+    }
+}
+
+/**
+ * Sets a named counter, creating it if needed.
+ * @param {string} channelName - The channel name.
+ * @param {string} counterName - The counter name.
+ * @param {number} value - The new value (rounded to an integer).
+ * @returns {Promise<number>} The stored value.
+ */
+export async function setCounter(channelName, counterName, value) {
+    const name = _requireName(counterName);
+    const stored = Math.round(Number(value)) || 0;
+    try {
+        await _counterDocRef(_getDb(), channelName, name).set({
+            value: stored,
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        return stored;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, counter: name },
+            '[CustomCommandsStorage] Error setting counter');
+        throw new CustomCommandsStorageError(`Failed to set counter ${name} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds to a named counter, creating it at 0 if needed.
+ * @param {string} channelName - The channel name.
+ * @param {string} counterName - The counter name.
+ * @param {number} delta - Amount to add (may be negative).
+ * @returns {Promise<number>} The new value.
+ */
+export async function incrementCounter(channelName, counterName, delta) {
+    const name = _requireName(counterName);
+    const db = _getDb();
+    const docRef = _counterDocRef(db, channelName, name);
+    try {
+        return await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const next = (snap.exists ? Number(snap.data()?.value) || 0 : 0) + Math.round(delta);
+            tx.set(docRef, { value: next, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+            return next;
+        });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, counter: name },
+            '[CustomCommandsStorage] Error incrementing counter');
+        throw new CustomCommandsStorageError(`Failed to increment counter ${name} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets all per-user variables for a viewer.
+ * @param {string} channelName - The channel name.
+ * @param {string} username - The viewer's login name.
+ * @returns {Promise<object>} Map of key -> value (empty if none set).
+ */
+export async function getUserVariables(channelName, username) {
+    try {
+        const snap = await _userVariablesDocRef(_getDb(), channelName, username).get();
+        return (snap.exists && snap.data()?.values) || {};
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, user: username },
+            '[CustomCommandsStorage] Error getting user variables');
+        throw new CustomCommandsStorageError(`Failed to get variables for ${username} in ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets a single per-user variable.
+ * @param {string} channelName - The channel name.
+ * @param {string} username - The viewer's login name.
+ * @param {string} key - The variable name.
+ * @returns {Promise<string|number|null>} The value, or null if unset.
+ */
+export async function getUserVariable(channelName, username, key) {
+    const name = _requireName(key);
+    const values = await getUserVariables(channelName, username);
+    return values[name] ?? null;
+}
+
+/**
+ * Sets a per-user variable. Numeric strings are stored as numbers so they can
+ * be incremented later.
+ * @param {string} channelName - The channel name.
+ * @param {string} username - The viewer's login name.
+ * @param {string} key - The variable name.
+ * @param {string|number} value - The new value (strings are cut to MAX_USER_VARIABLE_LENGTH).
+ * @returns {Promise<string|number>} The stored value.
+ */
+export async function setUserVariable(channelName, username, key, value) {
+    const name = _requireName(key);
+    const text = String(value ?? '').trim().slice(0, MAX_USER_VARIABLE_LENGTH);
+    const stored = text !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+    try {
+        await _userVariablesDocRef(_getDb(), channelName, username).set({
+            username: username.toLowerCase().replace(/^@/, ''),
+            values: { [name]: stored },
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        return stored;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, user: username, key: name },
+            '[CustomCommandsStorage] Error setting user variable');
+        throw new CustomCommandsStorageError(`Failed to set ${name} for ${username} in ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds to a numeric per-user variable. Unset or non-numeric values count as 0.
+ * @param {string} channelName - The channel name.
+ * @param {string} username - The viewer's login name.
+ * @param {string} key - The variable name.
+ * @param {number} delta - Amount to add (may be negative).
+ * @returns {Promise<number>} The new value.
+ */
+export async function incrementUserVariable(channelName, username, key, delta) {
+    const name = _requireName(key);
+    const db = _getDb();
+    const docRef = _userVariablesDocRef(db, channelName, username);
+    try {
+        return await db.runTransaction(async (tx) => {
+            const snap = await tx.get(docRef);
+            const current = Number(snap.exists ? snap.data()?.values?.[name] : 0);
+            const next = (Number.isFinite(current) ? current : 0) + Math.round(delta);
+            tx.set(docRef, {
+                username: username.toLowerCase().replace(/^@/, ''),
+                values: { [name]: next },
+                updatedAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            return next;
+        });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, user: username, key: name },
+            '[CustomCommandsStorage] Error incrementing user variable');
+        throw new CustomCommandsStorageError(`Failed to increment ${name} for ${username} in ${channelName}`, error);
+    }
+}
+
+// --- $(urlfetch) host allow-list ---
+// Stored on the channel's customCommands doc as `urlFetchHosts`.
+
+/**
+ * Gets the hosts $(urlfetch) may contact for a channel.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<string[]>} Allowed hosts (subdomains of each are allowed too).
+ */
+export async function getUrlFetchHosts(channelName) {
+    try {
+        const snap = await _getDb().collection(CUSTOM_COMMANDS_COLLECTION).doc(channelName.toLowerCase()).get();
+        const hosts = snap.exists ? snap.data()?.urlFetchHosts : null;
+        return Array.isArray(hosts) ? hosts : [];
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[CustomCommandsStorage] Error loading urlfetch hosts');
+        throw new CustomCommandsStorageError(`Failed to load urlfetch hosts for ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds or removes a host on the channel's $(urlfetch) allow-list.
+ * @param {string} channelName - The channel name.
+ * @param {string} host - Normalized host (see normalizeDomain in moderationStorage.js).
+ * @param {boolean} allowed - True to add, false to remove.
+ * @returns {Promise<void>}
+ */
+export async function setUrlFetchHostAllowed(channelName, host, allowed) {
+    const lowerChannel = channelName.toLowerCase();
+    try {
+        await _getDb().collection(CUSTOM_COMMANDS_COLLECTION).doc(lowerChannel).set({
+            channelName: lowerChannel,
+            urlFetchHosts: allowed ? FieldValue.arrayUnion(host) : FieldValue.arrayRemove(host),
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        logger.info(`[CustomCommandsStorage] ${allowed ? 'Allowed' : 'Removed'} urlfetch host ${host} for channel ${lowerChannel}`);
+    } catch (error) {
+        logger.error({ err: error, channel: lowerChannel, host },
+            '[CustomCommandsStorage] Error updating urlfetch hosts');
+        throw new CustomCommandsStorageError(`Failed to update urlfetch hosts for ${lowerChannel}`, error);
+    }
+}
+
+/**
+ * Gets the timezone a channel's command active hours are written in.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<string|null>} IANA timezone, or null if none is set.
+ */
+export async function getCommandTimezone(channelName) {
+    try {
+        const snap = await _getDb().collection(CUSTOM_COMMANDS_COLLECTION).doc(channelName.toLowerCase()).get();
+        return (snap.exists && snap.data()?.timezone) || null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[CustomCommandsStorage] Error loading command timezone');
+        throw new CustomCommandsStorageError(`Failed to load command timezone for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets the timezone for a channel's calendar days: its command timezone if
+ * one is set and valid, otherwise UTC. Never throws.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<string>} IANA timezone.
+ */
+export async function getChannelTimezone(channelName) {
+    try {
+        const configured = await getCommandTimezone(channelName);
+        if (isValidTimezone(configured)) return configured;
+    } catch (error) {
+        logger.warn({ err: error, channel: channelName },
+            '[CustomCommandsStorage] Could not read channel timezone, using UTC');
+    }
+    return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Sets the timezone a channel's command active hours are written in.
+ * @param {string} channelName - The channel name.
+ * @param {string} timezone - IANA timezone (validate with isValidTimezone first).
+ * @returns {Promise<void>}
+ */
+export async function setCommandTimezone(channelName, timezone) {
+    const lowerChannel = channelName.toLowerCase();
+    try {
+        await _getDb().collection(CUSTOM_COMMANDS_COLLECTION).doc(lowerChannel).set({
+            channelName: lowerChannel,
+            timezone,
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        logger.info(`[CustomCommandsStorage] Set command timezone for channel ${lowerChannel} to ${timezone}`);
+    } catch (error) {
+        logger.error({ err: error, channel: lowerChannel, timezone },
+            '[CustomCommandsStorage] Error setting command timezone');
+        throw new CustomCommandsStorageError(`Failed to set command timezone for ${lowerChannel}`, error);
+    }
+}
@@ -4,6 +4,7 @@ import { generateLiteContent } from '../llm/llmClient.js';
 import { smartTruncate, removeMarkdownAsterisks } from '../llm/llmUtils.js';
 import { buildSystemInstruction } from '../llm/gemini/prompts.js';
 import { getRecentInferences, logInference } from '../llm/inferenceHistoryStorage.js';
+import { withLlmUsageContext, isLlmSourceAllowed } from '../llm/llmUsage.js';
 
 // Extra context added only for check-in commands to prevent the LLM from
 // misinterpreting a user's personal check-in count as being first to stream.
@@ -59,6 +60,8 @@ function buildResolverSystemInstruction(language, isCheckin = false, channel = n
  * When `channel` and `source` are provided, this function encapsulates the
  * full dedup lifecycle: fetch recent inferences → inject into prompt → generate
  * → log the new response. Callers don't need to touch inferenceHistoryStorage.
+ * The same pair tags the call for usage accounting, and a channel over its
+ * monthly LLM budget gets null back without a request being made.
  *
  * @param {string} prompt - The prompt with variables already resolved.
  * @param {string|null} [language=null] - Optional target language for the response.
@@ -76,6 +79,10 @@ export async function resolvePrompt(prompt, language = null, streamContext = nul
     }
 
     try {
+        if (channel && source && !(await isLlmSourceAllowed(channel, source))) {
+            return null;
+        }
+
         // Start Firestore read immediately if dedup is enabled — runs in parallel
         // with the synchronous prompt construction below (finding 5).
         const historyPromise = (channel && source)
@@ -116,12 +123,15 @@ export async function resolvePrompt(prompt, language = null, streamContext = nul
         // Google Search grounding is attached but dynamic: the model only searches
         // when the prompt asks for current info (e.g. "look up...", "search for...").
         // Ad-lib prompts skip the search entirely, so latency/cost is unaffected.
-        const responseText = await generateLiteContent(fullPrompt, {
+        const generate = () => generateLiteContent(fullPrompt, {
             systemInstruction: systemInstruction,
             tools: [{ googleSearch: {} }],
             model: 'main',
             ...(serviceTier ? { serviceTier } : {})
         });
+        const responseText = await (channel && source
+            ? withLlmUsageContext({ channel, source }, generate)
+            : generate());
 
         if (!responseText) {
             logger.warn({ prompt: fullPrompt }, '[PromptResolver] LLM returned empty response');
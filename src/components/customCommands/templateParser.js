@@ -0,0 +1,296 @@
+// src/components/customCommands/templateParser.js
+// Parser for the custom command template language. Turns a response template
+// into a small AST that variableParser.js evaluates.
+//
+// Syntax:
+//   $(name)                      variable without arguments
+//   $(name some args)            arguments may contain further $(...) calls
+//   $(if cond) ... $(else) ... $(endif)   conditional block ($(else) optional)
+//
+// Node shapes:
+//   { type: 'text', value }
+//   { type: 'var', name, args: Node[], raw, position }
+//   { type: 'if', cond: Node[], then: Node[], else: Node[], position }
+//
+// Parsing is lenient by default so templates saved before the parser existed
+// keep rendering: anything malformed is kept as literal text. Strict mode
+// (used when a template is saved) throws a TemplateSyntaxError instead.
+
+/** Maximum depth of nested $(...) calls. */
+export const MAX_NESTING_DEPTH = 10;
+
+const NAME_PATTERN = /\s*([A-Za-z0-9_]+)/y;
+
+/**
+ * Raised in strict mode when a template can't be parsed.
+ */
+export class TemplateSyntaxError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} position - 1-based character position in the template.
+     */
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'TemplateSyntaxError';
+        this.position = position;
+    }
+}
+
+class Parser {
+    constructor(source, strict) {
+        this.source = source;
+        this.strict = strict;
+        this.pos = 0;
+    }
+
+    fail(message, index) {
+        if (this.strict) {
+            throw new TemplateSyntaxError(message, index + 1);
+        }
+        return null;
+    }
+
+    /**
+     * Parses text and $(...) calls until the end of input or, inside
+     * arguments, the ')' that closes the enclosing call.
+     */
+    parseSequence(depth, inArgs) {
+        const nodes = [];
+        let text = '';
+        let parenDepth = 0;
+        const flush = () => {
+            if (text) nodes.push({ type: 'text', value: text });
+            text = '';
+        };
+
+        while (this.pos < this.source.length) {
+            if (this.source.startsWith('$(', this.pos)) {
+                const start = this.pos;
+                const node = this.parseVariable(depth + 1);
+                if (node) {
+                    flush();
+                    nodes.push(node);
+                } else {
+                    text += '$(';
+                    this.pos = start + 2;
+                }
+                continue;
+            }
+
+            const c = this.source[this.pos];
+            if (inArgs && c === '(') parenDepth++;
+            if (inArgs && c === ')') {
+                if (parenDepth === 0) break;
+                parenDepth--;
+            }
+            text += c;
+            this.pos++;
+        }
+
+        flush();
+        return this.structureBlocks(nodes);
+    }
+
+    /** Parses one $(...) call starting at the current position. */
+    parseVariable(depth) {
+        const start = this.pos;
+        if (depth > MAX_NESTING_DEPTH) {
+            return this.fail(`Variables are nested too deeply (max ${MAX_NESTING_DEPTH})`, start);
+        }
+
+        NAME_PATTERN.lastIndex = start + 2;
+        const match = NAME_PATTERN.exec(this.source);
+        if (!match) {
+            return this.fail('Expected a variable name after "$("', start);
+        }
+        const name = match[1].toLowerCase();
+        this.pos = NAME_PATTERN.lastIndex;
+
+        let args = [];
+        const next = this.source[this.pos];
+        if (next === undefined) {
+            this.pos = start;
+            return this.fail(`$(${name}) is missing its closing ")"`, start);
+        }
+        if (/\s/.test(next)) {
+            while (/\s/.test(this.source[this.pos] || '')) this.pos++;
+            args = this.parseSequence(depth, true);
+        } else if (next !== ')') {
+            this.pos = start;
+            return this.fail(`Invalid character "${next}" in variable name`, start + (match[0].length + 2));
+        }
+
+        if (this.source[this.pos] !== ')') {
+            this.pos = start;
+            return this.fail(`$(${name}) is missing its closing ")"`, start);
+        }
+        this.pos++;
+
+        return { type: 'var', name, args, raw: this.source.slice(start, this.pos), position: start + 1 };
+    }
+
+    /** Folds $(if)/$(else)/$(endif) markers in a flat node list into 'if' nodes. */
+    structureBlocks(flat) {
+        const root = [];
+        const stack = [];
+        const current = () => (stack.length ? stack[stack.length - 1].node[stack[stack.length - 1].branch] : root);
+
+        for (const node of flat) {
+            if (node.type !== 'var' || !['if', 'else', 'endif'].includes(node.name)) {
+                current().push(node);
+                continue;
+            }
+
+            if (node.name === 'if') {
+                if (node.args.length === 0) {
+                    this.fail('$(if) needs a condition', node.position - 1);
+                }
+                const block = { type: 'if', cond: node.args, then: [], else: [], position: node.position };
+                current().push(block);
+                stack.push({ node: block, branch: 'then' });
+            } else if (node.name === 'else') {
+                const top = stack[stack.length - 1];
+                if (!top || top.branch === 'else') {
+                    this.fail(top ? 'Duplicate $(else)' : '$(else) without a matching $(if)', node.position - 1);
+                    current().push(node);
+                } else {
+                    top.branch = 'else';
+                }
+            } else if (stack.length === 0) {
+                this.fail('$(endif) without a matching $(if)', node.position - 1);
+                root.push(node);
+            } else {
+                stack.pop();
+            }
+        }
+
+        if (stack.length > 0) {
+            // Lenient mode closes unterminated blocks at the end of the sequence.
+            this.fail('$(if) is missing its $(endif)', stack[stack.length - 1].node.position - 1);
+        }
+        return root;
+    }
+}
+
+/**
+ * Parses a template into an AST.
+ * @param {string} template
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Throw on malformed input instead of keeping it as text.
+ * @returns {object[]} Top-level nodes.
+ * @throws {TemplateSyntaxError} In strict mode.
+ */
+export function parseTemplate(template, { strict = false } = {}) {
+    if (!template || typeof template !== 'string') return [];
+    return new Parser(template, strict).parseSequence(0, false);
+}
+
+/**
+ * Splits a node list at every occurrence of a separator in its top-level text
+ * nodes. Separators inside nested $(...) calls are left alone.
+ * @param {object[]} nodes
+ * @param {string} separator
+ * @returns {object[][]}
+ */
+export function splitNodes(nodes, separator) {
+    const parts = [[]];
+    for (const node of nodes) {
+        if (node.type !== 'text') {
+            parts[parts.length - 1].push(node);
+            continue;
+        }
+        const pieces = node.value.split(separator);
+        pieces.forEach((piece, i) => {
+            if (i > 0) parts.push([]);
+            if (piece) parts[parts.length - 1].push({ type: 'text', value: piece });
+        });
+    }
+    return parts;
+}
+
+const COMPARISON_PATTERN = /==|!=|>=|<=|>|</;
+
+/**
+ * Splits a condition at its first top-level comparison operator.
+ * @param {object[]} nodes - The condition's nodes.
+ * @returns {{left: object[], operator: string|null, right: object[]}}
+ *   operator is null when the condition is a plain truthiness test.
+ */
+export function splitCondition(nodes) {
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.type !== 'text') continue;
+        const match = COMPARISON_PATTERN.exec(node.value);
+        if (!match) continue;
+
+        const before = node.value.slice(0, match.index);
+        const after = node.value.slice(match.index + match[0].length);
+        return {
+            left: [...nodes.slice(0, i), ...(before ? [{ type: 'text', value: before }] : [])],
+            operator: match[0],
+            right: [...(after ? [{ type: 'text', value: after }] : []), ...nodes.slice(i + 1)],
+        };
+    }
+    return { left: nodes, operator: null, right: [] };
+}
+
+/**
+ * Evaluates an arithmetic expression with + - * / %, parentheses and unary
+ * minus. No identifiers or function calls, so user input can't run code.
+ * @param {string} expression
+ * @returns {number}
+ * @throws {Error} On malformed input or division by zero.
+ */
+export function evaluateArithmetic(expression) {
+    const tokens = String(expression).match(/\d+(?:\.\d+)?|\.\d+|[-+*/%()]|\S/g) || [];
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const take = () => tokens[index++];
+
+    function parseExpression() {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            const op = take();
+            const rhs = parseTerm();
+            value = op === '+' ? value + rhs : value - rhs;
+        }
+        return value;
+    }
+
+    function parseTerm() {
+        let value = parseFactor();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const op = take();
+            const rhs = parseFactor();
+            if ((op === '/' || op === '%') && rhs === 0) {
+                throw new Error('Division by zero');
+            }
+            if (op === '*') value *= rhs;
+            else if (op === '/') value /= rhs;
+            else value %= rhs;
+        }
+        return value;
+    }
+
+    function parseFactor() {
+        const token = take();
+        if (token === '-') return -parseFactor();
+        if (token === '+') return parseFactor();
+        if (token === '(') {
+            const value = parseExpression();
+            if (take() !== ')') throw new Error('Missing ")" in expression');
+            return value;
+        }
+        if (token !== undefined && /^(\d+(\.\d+)?|\.\d+)$/.test(token)) {
+            return parseFloat(token);
+        }
+        throw new Error(token === undefined ? 'Unexpected end of expression' : `Unexpected "${token}" in expression`);
+    }
+
+    const result = parseExpression();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[index]}" in expression`);
+    }
+    return result;
+}
@@ -0,0 +1,205 @@
+// src/components/customCommands/urlFetcher.js
+// Backs $(urlfetch URL [json.path]) in custom command templates.
+//
+// Safety rules:
+//   - http/https only, no credentials in the URL, redirects are not followed
+//   - the host must be on the channel's allow-list (!command urlhosts add <host>)
+//   - every address the host resolves to must be public; the check runs inside
+//     the socket's DNS lookup, so a host can't pass validation and then rebind
+//     to an internal address
+//   - bodies over MAX_RESPONSE_BYTES and requests over FETCH_TIMEOUT_MS fail
+// Responses are cached per URL for CACHE_TTL_MS.
+
+import axios from 'axios';
+import dns from 'node:dns';
+import net from 'node:net';
+import logger from '../../lib/logger.js';
+import { MAX_IRC_MESSAGE_LENGTH, truncateMessage } from '../../lib/messageTruncation.js';
+import { isDomainAllowed } from '../moderation/moderationRules.js';
+import { getUrlFetchHosts } from './customCommandsStorage.js';
+
+const FETCH_TIMEOUT_MS = 3000;
+export const MAX_RESPONSE_BYTES = 16 * 1024;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+
+/**
+ * A fetch that was refused or failed. The message is safe to show in chat.
+ */
+export class UrlFetchError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'UrlFetchError';
+        this.cause = cause;
+    }
+}
+
+// Loopback, private, link-local, CGNAT, benchmarking, multicast and reserved
+// ranges. IPv4 rules also match IPv4-mapped IPv6 addresses.
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Map<url, {body: string, expiresAtMs: number}>, oldest first
+const responseCache = new Map();
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} True unless the address is publicly routable.
+ */
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement handed to the HTTP agent. Rejects the connection if
+ * any resolved address is private.
+ */
+function _publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+            return callback(new UrlFetchError(`${hostname} resolves to a private address`));
+        }
+        callback(null, addresses);
+    });
+}
+
+function _cacheGet(url) {
+    const entry = responseCache.get(url);
+    if (!entry) return null;
+    if (entry.expiresAtMs <= Date.now()) {
+        responseCache.delete(url);
+        return null;
+    }
+    return entry.body;
+}
+
+function _cacheSet(url, body) {
+    responseCache.delete(url);
+    responseCache.set(url, { body, expiresAtMs: Date.now() + CACHE_TTL_MS });
+    if (responseCache.size > MAX_CACHE_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+}
+
+function _describeAxiosError(error, hostname) {
+    if (error instanceof UrlFetchError) return error.message;
+    if (error.cause instanceof UrlFetchError) return error.cause.message;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return `${hostname} timed out`;
+    if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) return 'response is too large';
+    if (error.response) return `${hostname} returned HTTP ${error.response.status}`;
+    if (error.code === 'ENOTFOUND') return `${hostname} not found`;
+    return `could not reach ${hostname}`;
+}
+
+async function _fetchBody(url, hostname) {
+    const cached = _cacheGet(url);
+    if (cached !== null) return cached;
+
+    try {
+        const response = await axios.get(url, {
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: MAX_RESPONSE_BYTES,
+            maxRedirects: 0,
+            proxy: false,
+            lookup: _publicOnlyLookup,
+            responseType: 'text',
+            transformResponse: [data => data],
+            headers: { Accept: 'application/json, text/plain;q=0.9, */*;q=0.1' },
+            validateStatus: status => status >= 200 && status < 300,
+        });
+        const body = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+        _cacheSet(url, body);
+        return body;
+    } catch (error) {
+        const reason = _describeAxiosError(error, hostname);
+        logger.warn({ url, reason, code: error.code }, '[UrlFetcher] Fetch failed');
+        throw new UrlFetchError(reason, error);
+    }
+}
+
+/**
+ * Reads a value out of parsed JSON with a path like "data.players[0].name".
+ * @param {*} data
+ * @param {string} path
+ * @returns {string}
+ */
+export function extractJsonPath(data, path) {
+    const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = data;
+    for (const key of keys) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+            throw new UrlFetchError(`no value at "${path}"`);
+        }
+        value = value[key];
+    }
+    if (value === null || value === undefined) {
+        throw new UrlFetchError(`no value at "${path}"`);
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Fetches a URL for a channel's template and returns chat-ready text.
+ *
+ * @param {string} channelName - Channel whose allow-list applies.
+ * @param {string} rawUrl - Absolute http(s) URL.
+ * @param {string|null} [jsonPath=null] - If set, the body is parsed as JSON and this path is returned.
+ * @returns {Promise<string>} Single-line text no longer than MAX_IRC_MESSAGE_LENGTH.
+ * @throws {UrlFetchError} When the URL is refused or the fetch fails.
+ */
+export async function fetchUrlText(channelName, rawUrl, jsonPath = null) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        throw new UrlFetchError('invalid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new UrlFetchError('only http and https URLs are allowed');
+    }
+    if (url.username || url.password) {
+        throw new UrlFetchError('URLs with credentials are not allowed');
+    }
+
+    const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    // IP literals skip DNS, so the lookup hook never sees them.
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new UrlFetchError(`${hostname} is a private address`);
+    }
+    const allowedHosts = await getUrlFetchHosts(channelName);
+    if (!isDomainAllowed(hostname, allowedHosts)) {
+        throw new UrlFetchError(`${hostname} is not on this channel's urlfetch allow-list`);
+    }
+
+    const body = await _fetchBody(url.href, hostname);
+
+    let text = body;
+    if (jsonPath) {
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            throw new UrlFetchError('response is not JSON');
+        }
+        text = extractJsonPath(data, jsonPath);
+    }
+
+    return truncateMessage(text.replace(/\s+/g, ' ').trim(), MAX_IRC_MESSAGE_LENGTH);
+}
+
+// Exported for testing only
+export function _clearUrlFetchCache() {
+    responseCache.clear();
+}
@@ -1,18 +1,48 @@
 // src/components/customCommands/variableParser.js
 import logger from '../../lib/logger.js';
+import {
+    parseTemplate,
+    splitNodes,
+    splitCondition,
+    evaluateArithmetic,
+    TemplateSyntaxError,
+} from './templateParser.js';
+import {
+    getCounter,
+    setCounter,
+    incrementCounter,
+    getUserVariable,
+    setUserVariable,
+    incrementUserVariable,
+} from './customCommandsStorage.js';
+import { fetchUrlText, UrlFetchError } from './urlFetcher.js';
+import { getCheckinStats } from './checkinStorage.js';
 
 /**
  * Parses and resolves variables in a custom command response template.
- * Variables use the $(variableName) syntax.
+ * Variables use the $(variableName) syntax and can be nested, e.g.
+ * $(upper $(1)) or $(math $(count) * 2). See templateParser.js for the grammar.
  * 
  * Supported variables:
  *   $(user)          - Display name of the user who triggered the command
+ *   $(touser [fallback]) - First argument without '@', else the fallback, else the user
  *   $(channel)       - Channel name
  *   $(args)          - All arguments as a single string
  *   $(1), $(2), ...  - Individual arguments by position
  *   $(count)         - Command use count (auto-incremented)
- *   $(checkin_count) - Per-user check-in count (for counter commands)
+ *   $(checkin_count) - The user's Daily Check-In count
+ *   $(checkin_streak) - The user's current check-in streak (days or streams in a row)
+ *   $(checkin_rank)  - The user's place on the channel's check-in leaderboard
+ *   $(counter name)  - Value of a named channel counter; $(counter name +1),
+ *                      $(counter name -1) and $(counter name =0) change it first
+ *   $(uservar key)   - The triggering user's own variable; $(uservar key +1) adds
+ *                      to it, $(uservar key = text) sets it
  *   $(random X-Y)    - Random integer between X and Y (inclusive)
+ *   $(pick a|b|c)    - One of the options at random
+ *   $(math expr)     - Arithmetic with + - * / % and parentheses
+ *   $(upper text), $(lower text) - Change case
+ *   $(truncate N text) - Text cut to N characters ("..." appended when shortened)
+ *   $(urlfetch URL [json.path]) - Text from an allow-listed URL, or one value from its JSON
  *   $(uptime)        - Stream uptime (if live)
  *   $(game)          - Current game title
  *   $(followage)     - How long the user has followed the channel
@@ -20,14 +50,24 @@ import logger from '../../lib/logger.js';
  *   $(pronoun_subject)- e.g., "he", "she", "they"
  *   $(pronoun_object) - e.g., "him", "her", "them"
  *   $(pronoun_possessive) - e.g., "his", "her", "their"
+ *
+ * Conditionals:
+ *   $(if cond) ... $(else) ... $(endif)
+ *   cond is either a single value (true unless empty, "0" or "false") or a
+ *   comparison with ==, !=, >, <, >= or <=. Numbers compare numerically,
+ *   anything else compares case-insensitively.
  * 
  * @param {string} template - The response template with variables.
  * @param {object} context - Context for variable resolution.
  * @param {string} context.user - Display name of the triggering user.
+ * @param {string} [context.username] - Login of the triggering user (keys $(uservar)); falls back to user.
  * @param {string} context.channel - Channel name (without #).
  * @param {string[]} context.args - Command arguments.
  * @param {number} [context.useCount] - Current use count of the command.
- * @param {number} [context.checkinCount] - Per-user check-in count (counter commands).
+ * @param {string} [context.userId] - Twitch ID of the triggering user (looks up check-in stats).
+ * @param {number} [context.checkinCount] - Per-user check-in count, when already known.
+ * @param {number} [context.checkinStreak] - Per-user check-in streak, when already known.
+ * @param {number} [context.checkinRank] - Per-user check-in rank, when already known.
  * @param {object} [context.streamContext] - Stream context from contextManager.
  * @param {Function} [context.getFollowage] - Async function to get followage info.
  * @param {object} [context.userPronouns] - The user's pronouns object from contextManager.
@@ -38,158 +78,343 @@ export async function parseVariables(template, context) {
         return '';
     }
 
-    const { user = '', channel = '', args = [], useCount = 0, checkinCount = null, streamContext = null, getFollowage = null, userPronouns = null } = context;
+    if (!template.includes('$(')) {
+        return template; // No variables to resolve
+    }
+
+    return _evaluateNodes(parseTemplate(template), _normalizeContext(context));
+}
+
+/** Separates the chat messages of a multi-line response. */
+export const RESPONSE_LINE_SEPARATOR = '||';
 
-    // Match all $(variableName) patterns, including those with spaces and arguments
-    const variablePattern = /\$\(([^)]+)\)/g;
+/** Most messages a single multi-line response may send. */
+export const MAX_RESPONSE_LINES = 5;
 
-    // Collect all matches and resolve them
-    const matches = [];
-    let match;
-    while ((match = variablePattern.exec(template)) !== null) {
-        matches.push({
-            fullMatch: match[0],
-            variableContent: match[1].trim(),
-            index: match.index,
-        });
+/**
+ * Resolves a response that may hold several chat messages separated by "||".
+ * The template is split before variables are resolved, so a "||" inside a
+ * viewer's arguments or a fetched value can't add messages. Separators inside
+ * $(...) calls and $(if) blocks stay part of their line. Empty lines are
+ * dropped and anything past MAX_RESPONSE_LINES is ignored.
+ * @param {string} template - The response template.
+ * @param {object} context - Same as parseVariables.
+ * @returns {Promise<string[]>} The resolved, trimmed lines.
+ */
+export async function parseResponseLines(template, context) {
+    if (!template || typeof template !== 'string') {
+        return [];
     }
 
-    if (matches.length === 0) {
-        return template; // No variables to resolve
+    const normalized = _normalizeContext(context);
+    const lines = [];
+    for (const nodes of splitNodes(parseTemplate(template), RESPONSE_LINE_SEPARATOR)) {
+        if (lines.length >= MAX_RESPONSE_LINES) break;
+        const line = (await _evaluateNodes(nodes, normalized)).trim();
+        if (line) lines.push(line);
     }
+    return lines;
+}
 
-    // Resolve all variables (some may be async)
-    let result = template;
+function _normalizeContext(context) {
+    const {
+        user = '', username = '', userId = null, channel = '', args = [], useCount = 0,
+        checkinCount = null, checkinStreak = null, checkinRank = null,
+        streamContext = null, getFollowage = null, userPronouns = null,
+    } = context;
+    return {
+        user,
+        username,
+        userId,
+        channel,
+        args,
+        useCount,
+        checkinCount,
+        checkinStreak,
+        checkinRank,
+        checkinStats: null, // Looked up once, on first use
+        streamContext,
+        getFollowage,
+        userPronouns,
+    };
+}
 
-    // Process in reverse order to maintain correct indices during replacement
-    for (let i = matches.length - 1; i >= 0; i--) {
-        const { fullMatch, variableContent } = matches[i];
-        let resolved;
+/**
+ * Checks a template for syntax errors and unknown variables before it is saved.
+ * @param {string} template
+ * @returns {string|null} A human-readable error, or null if the template is valid.
+ */
+export function validateTemplate(template) {
+    let nodes;
+    try {
+        nodes = parseTemplate(template, { strict: true });
+    } catch (error) {
+        if (error instanceof TemplateSyntaxError) return error.message;
+        throw error;
+    }
+    return _findUnknownVariable(nodes);
+}
 
-        try {
-            resolved = await _resolveVariable(variableContent, {
-                user,
-                channel,
-                args,
-                useCount,
-                checkinCount,
-                streamContext,
-                getFollowage,
-                userPronouns,
-            });
-        } catch (error) {
-            logger.warn({ variable: variableContent, error: error.message },
-                '[VariableParser] Error resolving variable, using empty string');
-            resolved = '';
+function _findUnknownVariable(nodes) {
+    for (const node of nodes) {
+        if (node.type === 'var') {
+            if (!_isKnownVariable(node.name)) {
+                return `Unknown variable $(${node.name}) at position ${node.position}`;
+            }
+            const nested = _findUnknownVariable(node.args);
+            if (nested) return nested;
+        } else if (node.type === 'if') {
+            const nested = _findUnknownVariable(node.cond)
+                || _findUnknownVariable(node.then)
+                || _findUnknownVariable(node.else);
+            if (nested) return nested;
         }
-
-        result = result.replace(fullMatch, resolved);
     }
+    return null;
+}
+
+/**
+ * Lists every variable in a template that this parser doesn't support.
+ * Unlike validateTemplate this keeps going past the first problem, so an
+ * importer can report everything a command would need changed.
+ * @param {string} template
+ * @returns {string[]} Unknown variable names, deduplicated, in order of appearance.
+ */
+export function findUnknownVariables(template) {
+    const unknown = new Set();
+    const visit = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'var') {
+                if (!_isKnownVariable(node.name)) unknown.add(node.name);
+                visit(node.args);
+            } else if (node.type === 'if') {
+                visit(node.cond);
+                visit(node.then);
+                visit(node.else);
+            }
+        }
+    };
+    visit(parseTemplate(template || ''));
+    return [...unknown];
+}
+
+function _isKnownVariable(name) {
+    return /^\d+$/.test(name) || Object.hasOwn(VARIABLES, name);
+}
 
+async function _evaluateNodes(nodes, context) {
+    let result = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            result += node.value;
+        } else if (node.type === 'if') {
+            const branch = await _evaluateCondition(node.cond, context) ? node.then : node.else;
+            result += await _evaluateNodes(branch, context);
+        } else {
+            result += await _evaluateVariable(node, context);
+        }
+    }
     return result;
 }
 
 /**
- * Resolves a single variable to its value.
- * @param {string} variableContent - The content inside $(), e.g., "user", "random 1-100".
+ * Resolves a single $(...) call.
+ * @param {object} node - A 'var' node from the template AST.
  * @param {object} context - Resolution context.
  * @returns {Promise<string>} Resolved value.
  */
-async function _resolveVariable(variableContent, context) {
-    const { user, channel, args, useCount, checkinCount, streamContext, getFollowage, userPronouns } = context;
-    const lowerContent = variableContent.toLowerCase();
+async function _evaluateVariable(node, context) {
+    const evaluate = async (nodes) => (await _evaluateNodes(nodes, context)).trim();
+    try {
+        let resolved;
+        if (/^\d+$/.test(node.name)) {
+            // $(1), $(2), ... — positional arguments, 1-indexed
+            resolved = context.args[parseInt(node.name, 10) - 1] || '';
+        } else if (Object.hasOwn(VARIABLES, node.name)) {
+            resolved = await VARIABLES[node.name](context, node.args, evaluate);
+        }
 
-    // $(user)
-    if (lowerContent === 'user') {
-        return user || 'unknown';
+        if (resolved === undefined || resolved === null) {
+            // Unknown variable (or unusable arguments) — return it as-is so the user can see the mistake
+            logger.debug({ variable: node.raw }, '[VariableParser] Unknown variable, returning as-is');
+            return node.raw;
+        }
+        return String(resolved);
+    } catch (error) {
+        logger.warn({ variable: node.raw, error: error.message },
+            '[VariableParser] Error resolving variable, using empty string');
+        return '';
     }
+}
 
-    // $(channel)
-    if (lowerContent === 'channel') {
-        return channel || 'unknown';
-    }
+function _isTruthy(value) {
+    const lower = value.toLowerCase();
+    return lower !== '' && lower !== '0' && lower !== 'false';
+}
 
-    // $(args)
-    if (lowerContent === 'args') {
-        return args.join(' ') || '';
+async function _evaluateCondition(condNodes, context) {
+    const { left, operator, right } = splitCondition(condNodes);
+    const lhs = (await _evaluateNodes(left, context)).trim();
+    if (!operator) return _isTruthy(lhs);
+
+    const rhs = (await _evaluateNodes(right, context)).trim();
+    const numeric = lhs !== '' && rhs !== '' && !isNaN(Number(lhs)) && !isNaN(Number(rhs));
+    const a = numeric ? Number(lhs) : lhs.toLowerCase();
+    const b = numeric ? Number(rhs) : rhs.toLowerCase();
+
+    switch (operator) {
+        case '==': return a === b;
+        case '!=': return a !== b;
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        default: return false;
     }
+}
 
-    // $(1), $(2), ... — positional arguments
-    const argMatch = variableContent.match(/^(\d+)$/);
-    if (argMatch) {
-        const argIndex = parseInt(argMatch[1], 10) - 1; // 1-indexed to 0-indexed
-        return args[argIndex] || '';
-    }
+/**
+ * Splits "name", "name +N", "name -N" or "name = value" for $(counter) and $(uservar).
+ * @returns {{name: string, op: string|null, operand: string}|null}
+ */
+function _parseStoreArgs(text) {
+    const match = text.match(/^([a-z0-9_]{1,32})(?:\s*([+\-=])\s*([\s\S]*))?$/i);
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), op: match[2] || null, operand: (match[3] || '').trim() };
+}
 
-    // $(count)
-    if (lowerContent === 'count') {
-        return String(useCount || 0);
-    }
+function _formatNumber(value) {
+    if (!Number.isFinite(value)) throw new Error('Result is not a finite number');
+    return String(Number.isInteger(value) ? value : Number(value.toFixed(2)));
+}
 
-    // $(checkin_count)
-    if (lowerContent === 'checkin_count') {
-        return checkinCount !== null ? String(checkinCount) : '0';
-    }
+// Resolvers keyed by lowercase variable name. Each receives the resolution
+// context, the unevaluated argument nodes, and an evaluate(nodes) helper, so
+// functions like $(pick) only evaluate the branch they use. Returning null
+// leaves the variable in the output as written.
+const VARIABLES = {
+    user: (ctx) => ctx.user || 'unknown',
+
+    touser: async (ctx, argNodes, evaluate) => {
+        const target = (ctx.args[0] || '').replace(/^@/, '');
+        if (target) return target;
+        return (await evaluate(argNodes)) || ctx.user || 'unknown';
+    },
+
+    channel: (ctx) => ctx.channel || 'unknown',
+
+    args: (ctx) => ctx.args.join(' ') || '',
+
+    count: (ctx) => String(ctx.useCount || 0),
 
-    // $(random X-Y)
-    const randomMatch = variableContent.match(/^random\s+(\d+)-(\d+)$/i);
-    if (randomMatch) {
-        const min = parseInt(randomMatch[1], 10);
-        const max = parseInt(randomMatch[2], 10);
+    checkin_count: async (ctx) => String(ctx.checkinCount ?? (await _checkinStats(ctx))?.count ?? 0),
+
+    checkin_streak: async (ctx) => String(ctx.checkinStreak ?? (await _checkinStats(ctx))?.streak ?? 0),
+
+    checkin_rank: async (ctx) => {
+        const rank = ctx.checkinRank ?? (await _checkinStats(ctx))?.rank;
+        return rank ? `#${rank}` : 'unranked';
+    },
+
+    random: async (ctx, argNodes, evaluate) => {
+        const match = (await evaluate(argNodes)).match(/^(\d+)\s*-\s*(\d+)$/);
+        if (!match) return null;
+        const min = parseInt(match[1], 10);
+        const max = parseInt(match[2], 10);
         if (min <= max) {
             return String(Math.floor(Math.random() * (max - min + 1)) + min);
         }
         return String(min); // Fallback if min > max
-    }
+    },
+
+    pick: async (ctx, argNodes, evaluate) => {
+        const options = splitNodes(argNodes, '|');
+        return evaluate(options[Math.floor(Math.random() * options.length)]);
+    },
+
+    math: async (ctx, argNodes, evaluate) => _formatNumber(evaluateArithmetic(await evaluate(argNodes))),
+
+    upper: async (ctx, argNodes, evaluate) => (await evaluate(argNodes)).toUpperCase(),
+
+    lower: async (ctx, argNodes, evaluate) => (await evaluate(argNodes)).toLowerCase(),
+
+    truncate: async (ctx, argNodes, evaluate) => {
+        const match = (await evaluate(argNodes)).match(/^(\d+)\s*([\s\S]*)$/);
+        if (!match) return null;
+        const limit = parseInt(match[1], 10);
+        const text = match[2];
+        return text.length > limit ? `${text.slice(0, limit).trimEnd()}...` : text;
+    },
+
+    counter: async (ctx, argNodes, evaluate) => {
+        const parsed = _parseStoreArgs(await evaluate(argNodes));
+        if (!parsed || !ctx.channel) return null;
+        const { name, op, operand } = parsed;
+        if (op === null) return getCounter(ctx.channel, name);
+        if (!/^-?\d+$/.test(operand)) return null;
+        return op === '='
+            ? setCounter(ctx.channel, name, parseInt(operand, 10))
+            : incrementCounter(ctx.channel, name, parseInt(`${op}${operand}`, 10));
+    },
+
+    uservar: async (ctx, argNodes, evaluate) => {
+        const parsed = _parseStoreArgs(await evaluate(argNodes));
+        const username = (ctx.username || ctx.user || '').toLowerCase();
+        if (!parsed || !ctx.channel || !username) return null;
+        const { name, op, operand } = parsed;
+        if (op === null) return (await getUserVariable(ctx.channel, username, name)) ?? '';
+        if (op === '=') return setUserVariable(ctx.channel, username, name, operand);
+        if (!/^\d+$/.test(operand)) return null;
+        return incrementUserVariable(ctx.channel, username, name, parseInt(`${op}${operand}`, 10));
+    },
+
+    urlfetch: async (ctx, argNodes, evaluate) => {
+        const match = (await evaluate(argNodes)).match(/^(\S+)(?:\s+(\S+))?$/);
+        if (!match || !ctx.channel) return null;
+        try {
+            return await fetchUrlText(ctx.channel, match[1], match[2] || null);
+        } catch (error) {
+            // Show refusals and fetch failures so the command owner can see what went wrong
+            if (error instanceof UrlFetchError) return `(urlfetch: ${error.message})`;
+            throw error;
+        }
+    },
 
-    // $(pronouns)
-    if (lowerContent === 'pronouns') {
-        return userPronouns && userPronouns.display ? userPronouns.display : 'They/Them';
-    }
+    pronouns: (ctx) => (ctx.userPronouns && ctx.userPronouns.display ? ctx.userPronouns.display : 'They/Them'),
 
-    // $(pronoun_subject)
-    if (lowerContent === 'pronoun_subject') {
-        return userPronouns && userPronouns.grammar ? userPronouns.grammar.subject : 'they';
-    }
+    pronoun_subject: (ctx) => (ctx.userPronouns && ctx.userPronouns.grammar ? ctx.userPronouns.grammar.subject : 'they'),
 
-    // $(pronoun_object)
-    if (lowerContent === 'pronoun_object') {
-        return userPronouns && userPronouns.grammar ? userPronouns.grammar.object : 'them';
-    }
+    pronoun_object: (ctx) => (ctx.userPronouns && ctx.userPronouns.grammar ? ctx.userPronouns.grammar.object : 'them'),
 
-    // $(pronoun_possessive)
-    if (lowerContent === 'pronoun_possessive') {
-        return userPronouns && userPronouns.grammar ? userPronouns.grammar.possessive : 'their';
-    }
+    pronoun_possessive: (ctx) => (ctx.userPronouns && ctx.userPronouns.grammar ? ctx.userPronouns.grammar.possessive : 'their'),
 
-    // $(uptime)
-    if (lowerContent === 'uptime') {
-        return _resolveUptime(streamContext);
-    }
+    uptime: (ctx) => _resolveUptime(ctx.streamContext),
 
-    // $(game)
-    if (lowerContent === 'game') {
-        return streamContext?.game && streamContext.game !== 'N/A'
-            ? streamContext.game
-            : 'Unknown';
-    }
+    game: (ctx) => (ctx.streamContext?.game && ctx.streamContext.game !== 'N/A'
+        ? ctx.streamContext.game
+        : 'Unknown'),
 
-    // $(followage)
-    if (lowerContent === 'followage') {
-        if (typeof getFollowage === 'function') {
+    followage: async (ctx) => {
+        if (typeof ctx.getFollowage === 'function') {
             try {
-                return await getFollowage(user, channel);
+                return await ctx.getFollowage(ctx.user, ctx.channel);
             } catch (error) {
                 logger.warn({ error: error.message }, '[VariableParser] Failed to resolve $(followage)');
                 return 'unable to check followage';
             }
         }
         return 'followage unavailable';
-    }
+    },
+};
 
-    // Unknown variable — return it as-is so the user can see the mistake
-    logger.debug({ variable: variableContent }, '[VariableParser] Unknown variable, returning as-is');
-    return `$(${variableContent})`;
+/**
+ * The triggering user's check-in stats, fetched at most once per template.
+ * @returns {Promise<object|null>} null without a user ID or check-ins.
+ */
+function _checkinStats(ctx) {
+    if (!ctx.userId || !ctx.channel) return Promise.resolve(null);
+    ctx.checkinStats ??= getCheckinStats(ctx.channel, ctx.userId);
+    return ctx.checkinStats;
 }
 
 /**
@@ -0,0 +1,304 @@
+// src/components/gameProfiles/gameProfileStorage.js
+// Cross-game player profiles and leaderboards for trivia, geo and riddle.
+// The per-game stats collections (BaseGameStorage) stay as they are; this
+// module keeps one profile per player per channel that adds up every win.
+//
+// Layout: gameProfiles/{channelLogin}                                  - { season, seasonStartedAt }
+//         gameProfiles/{channelLogin}/players/{login}                  - profile and season standing
+//         gameProfiles/{channelLogin}/periods/{periodId}/players/{login} - weekly and monthly standings
+//         gameProfiles/{channelLogin}/seasons/{season}                 - archived final standings
+//
+// points/wins on a profile count the current season and are reset by
+// startNewSeason(); careerPoints/careerWins, per-game totals, topics and the
+// best streak are never reset. Weeks (Monday to Sunday) and months follow the
+// channel's timezone (!command timezone).
+
+import { getFirestore, FieldValue } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+import { getChannelTimezone } from '../customCommands/customCommandsStorage.js';
+import { getDateInTimezone } from '../customCommands/commandAvailability.js';
+
+const GAME_PROFILES_COLLECTION = 'gameProfiles';
+const PLAYERS_SUBCOLLECTION = 'players';
+const PERIODS_SUBCOLLECTION = 'periods';
+const SEASONS_SUBCOLLECTION = 'seasons';
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+const MAX_TOPIC_LENGTH = 40;
+
+export const PROFILE_GAMES = ['trivia', 'geo', 'riddle'];
+export const LEADERBOARD_WINDOWS = ['week', 'month', 'all'];
+// How many players a season archive keeps
+export const SEASON_ARCHIVE_SIZE = 25;
+
+/**
+ * Custom error class for game profile storage operations.
+ */
+export class GameProfileStorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'GameProfileStorageError';
+        this.cause = cause;
+    }
+}
+
+function _getDb() {
+    return getFirestore();
+}
+
+function _channelDocRef(db, channelName) {
+    return db.collection(GAME_PROFILES_COLLECTION).doc(channelName.toLowerCase());
+}
+
+function _playersColRef(db, channelName) {
+    return _channelDocRef(db, channelName).collection(PLAYERS_SUBCOLLECTION);
+}
+
+function _periodPlayersColRef(db, channelName, periodId) {
+    return _channelDocRef(db, channelName).collection(PERIODS_SUBCOLLECTION).doc(periodId).collection(PLAYERS_SUBCOLLECTION);
+}
+
+/**
+ * Topics become map keys, so keep them short and free of field-path characters.
+ */
+function _topicKey(topic) {
+    const key = String(topic || '').toLowerCase().replace(/[^\p{L}\p{N} ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+    return key.slice(0, MAX_TOPIC_LENGTH) || null;
+}
+
+function _isoWeekId(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // ISO weeks belong to the year of their Thursday
+    const dayOfWeek = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+    const weekYear = date.getUTCFullYear();
+    const week = Math.ceil(((date - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+    return `week-${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Works out which week and month a moment falls in for a channel.
+ * @param {string} channelName
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{week: string, month: string}>} Period IDs, e.g.
+ *   { week: 'week-2026-W42', month: 'month-2026-10' }.
+ */
+export async function getLeaderboardPeriods(channelName, now = new Date()) {
+    const dateKey = getDateInTimezone(now, await getChannelTimezone(channelName));
+    return { week: _isoWeekId(dateKey), month: `month-${dateKey.slice(0, 7)}` };
+}
+
+// ─── Recording ──────────────────────────────────────────────────────────────
+
+/**
+ * Adds a round win to the player's profile and to this week's, this month's
+ * and this season's standings.
+ * @param {string} channelName
+ * @param {object} win
+ * @param {string} win.game - One of PROFILE_GAMES.
+ * @param {string} win.login - Winner's login.
+ * @param {string} [win.displayName]
+ * @param {number} win.points - Points the game awarded for the round.
+ * @param {number} [win.streak] - The winner's current streak of round wins, if the game tracks one.
+ * @param {string} [win.topic] - Topic, region or game title of the round.
+ * @returns {Promise<void>}
+ */
+export async function recordGameWin(channelName, { game, login, displayName, points, streak = 0, topic = null }) {
+    if (!PROFILE_GAMES.includes(game)) {
+        throw new GameProfileStorageError(`Unknown game "${game}"`);
+    }
+    const db = _getDb();
+    const lowerLogin = login.toLowerCase();
+    const profileRef = _playersColRef(db, channelName).doc(lowerLogin);
+    const periods = await getLeaderboardPeriods(channelName);
+    const topicKey = _topicKey(topic);
+    const name = displayName || lowerLogin;
+
+    try {
+        await db.runTransaction(async (t) => {
+            const snap = await t.get(profileRef);
+            const bestStreak = Math.max(snap.exists ? snap.data().bestStreak || 0 : 0, streak || 0);
+
+            t.set(profileRef, {
+                displayName: name,
+                points: FieldValue.increment(points),
+                wins: FieldValue.increment(1),
+                careerPoints: FieldValue.increment(points),
+                careerWins: FieldValue.increment(1),
+                games: { [game]: { wins: FieldValue.increment(1), points: FieldValue.increment(points) } },
+                ...(topicKey ? { topics: { [topicKey]: FieldValue.increment(1) } } : {}),
+                bestStreak,
+                lastWinAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+
+            for (const periodId of [periods.week, periods.month]) {
+                t.set(_periodPlayersColRef(db, channelName, periodId).doc(lowerLogin), {
+                    displayName: name,
+                    points: FieldValue.increment(points),
+                    wins: FieldValue.increment(1),
+                }, { merge: true });
+            }
+        });
+        logger.debug({ channel: channelName, game, login: lowerLogin, points }, '[GameProfileStorage] Recorded game win');
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, game, login: lowerLogin }, '[GameProfileStorage] Error recording game win');
+        throw new GameProfileStorageError(`Failed to record ${game} win for ${lowerLogin} in ${channelName}`, error);
+    }
+}
+
+// ─── Reading ────────────────────────────────────────────────────────────────
+
+/**
+ * Gets a player's cross-game profile.
+ * @param {string} channelName
+ * @param {string} login
+ * @returns {Promise<object|null>} { login, displayName, points, wins, rank, careerPoints,
+ *   careerWins, games: { trivia: {wins, points}, ... }, bestStreak, favouriteTopics: string[] },
+ *   or null if the player has never won a round here.
+ */
+export async function getPlayerProfile(channelName, login) {
+    const db = _getDb();
+    const lowerLogin = login.toLowerCase();
+    try {
+        const snap = await _playersColRef(db, channelName).doc(lowerLogin).get();
+        if (!snap.exists) return null;
+        const data = snap.data();
+        const points = data.points || 0;
+        const higher = await _playersColRef(db, channelName).where('points', '>', points).count().get();
+
+        const games = {};
+        for (const game of PROFILE_GAMES) {
+            games[game] = { wins: data.games?.[game]?.wins || 0, points: data.games?.[game]?.points || 0 };
+        }
+        const favouriteTopics = Object.entries(data.topics || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([topic]) => topic);
+
+        return {
+            login: lowerLogin,
+            displayName: data.displayName || lowerLogin,
+            points,
+            wins: data.wins || 0,
+            rank: points > 0 ? higher.data().count + 1 : null,
+            careerPoints: data.careerPoints || 0,
+            careerWins: data.careerWins || 0,
+            games,
+            bestStreak: data.bestStreak || 0,
+            favouriteTopics,
+        };
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, login: lowerLogin }, '[GameProfileStorage] Error getting player profile');
+        throw new GameProfileStorageError(`Failed to get the profile for ${lowerLogin} in ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets the top players across all games.
+ * @param {string} channelName
+ * @param {'week'|'month'|'all'} [window='all'] - This week, this month, or the whole season.
+ * @param {number} [limit=5]
+ * @returns {Promise<Array<{login: string, displayName: string, points: number, wins: number}>>}
+ */
+export async function getGameLeaderboard(channelName, window = 'all', limit = 5) {
+    const db = _getDb();
+    try {
+        let colRef = _playersColRef(db, channelName);
+        if (window !== 'all') {
+            const periods = await getLeaderboardPeriods(channelName);
+            colRef = _periodPlayersColRef(db, channelName, periods[window]);
+        }
+        const snapshot = await colRef.orderBy('points', 'desc').limit(limit).get();
+        return snapshot.docs
+            .map(doc => ({
+                login: doc.id,
+                displayName: doc.data().displayName || doc.id,
+                points: doc.data().points || 0,
+                wins: doc.data().wins || 0,
+            }))
+            .filter(player => player.points > 0);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, window }, '[GameProfileStorage] Error loading leaderboard');
+        throw new GameProfileStorageError(`Failed to load the ${window} leaderboard for ${channelName}`, error);
+    }
+}
+
+// ─── Seasons ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} channelName
+ * @returns {Promise<number>} The current season number (1 until the first reset).
+ */
+export async function getCurrentSeason(channelName) {
+    try {
+        const snap = await _channelDocRef(_getDb(), channelName).get();
+        return (snap.exists && snap.data().season) || 1;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[GameProfileStorage] Error getting current season');
+        throw new GameProfileStorageError(`Failed to get the current season for ${channelName}`, error);
+    }
+}
+
+/**
+ * Ends the current season: archives its top standings, then sets every
+ * player's season points and wins back to zero. Career totals are kept.
+ * @param {string} channelName
+ * @param {string} endedBy - Login of the moderator who ended it.
+ * @returns {Promise<{season: number, standings: Array<object>}>} The archived
+ *   season and its standings.
+ */
+export async function startNewSeason(channelName, endedBy) {
+    const db = _getDb();
+    const channelRef = _channelDocRef(db, channelName);
+    const playersCol = _playersColRef(db, channelName);
+    try {
+        const season = await getCurrentSeason(channelName);
+        const standings = (await getGameLeaderboard(channelName, 'all', SEASON_ARCHIVE_SIZE))
+            .map((player, i) => ({ ...player, rank: i + 1 }));
+
+        await channelRef.collection(SEASONS_SUBCOLLECTION).doc(String(season)).set({
+            season,
+            standings,
+            endedBy: endedBy.toLowerCase(),
+            endedAt: FieldValue.serverTimestamp(),
+        });
+
+        let reset = 0;
+        let snapshot = await playersCol.where('wins', '>', 0).limit(MAX_BATCH_WRITES).get();
+        while (!snapshot.empty) {
+            const batch = db.batch();
+            snapshot.docs.forEach(doc => batch.update(doc.ref, { points: 0, wins: 0 }));
+            await batch.commit();
+            reset += snapshot.size;
+            if (snapshot.size < MAX_BATCH_WRITES) break;
+            snapshot = await playersCol.where('wins', '>', 0).limit(MAX_BATCH_WRITES).get();
+        }
+
+        await channelRef.set({ season: season + 1, seasonStartedAt: FieldValue.serverTimestamp() }, { merge: true });
+        logger.info({ channel: channelName, season, players: reset, endedBy }, '[GameProfileStorage] Started a new season');
+        return { season, standings };
+    } catch (error) {
+        if (error instanceof GameProfileStorageError) throw error;
+        logger.error({ err: error, channel: channelName }, '[GameProfileStorage] Error starting a new season');
+        throw new GameProfileStorageError(`Failed to start a new season for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets the archived standings of a past season.
+ * @param {string} channelName
+ * @param {number} season
+ * @returns {Promise<{season: number, standings: Array<object>}|null>} null if there is no such season.
+ */
+export async function getSeasonArchive(channelName, season) {
+    try {
+        const snap = await _channelDocRef(_getDb(), channelName).collection(SEASONS_SUBCOLLECTION).doc(String(season)).get();
+        if (!snap.exists) return null;
+        return { season, standings: snap.data().standings || [] };
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, season }, '[GameProfileStorage] Error getting season archive');
+        throw new GameProfileStorageError(`Failed to get season ${season} for ${channelName}`, error);
+    }
+}
@@ -4,11 +4,16 @@ import { defaultPrefetchCache } from '../../lib/prefetchCache.js';
 import { getContextManager } from '../context/contextManager.js';
 import { translateText } from '../../lib/translationUtils.js';
 import { selectLocation, validateGuess } from './geoLocationService.js';
+import { findPlace, distanceKm } from './geoGazetteer.js';
 import { isTextTooSimilar as _isLocationTooSimilar } from '../../lib/stringUtils.js';
 import { generateInitialClue, generateFollowUpClue, generateFinalReveal } from './geoClueService.js';
-import { formatStartMessage, formatClueMessage, formatCorrectGuessMessage, formatTimeoutMessage, formatStopMessage, formatStartNextRoundMessage, formatGameSessionScoresMessage } from './geoMessageFormatter.js';
+import { formatStartMessage, formatClueMessage, formatCorrectGuessMessage, formatTimeoutMessage, formatStopMessage, formatStartNextRoundMessage, formatGameSessionScoresMessage, formatDistanceHint, formatNearMissInfo } from './geoMessageFormatter.js';
 import { loadChannelConfig, saveChannelConfig, recordGameResult, updatePlayerScore, getRecentLocations, getLeaderboard, clearChannelLeaderboardData, reportProblemLocation, getLatestCompletedSessionInfo as getLatestGeoSession, flagGeoLocationByDocId } from './geoStorage.js';
 import { summarizeText } from '../llm/geminiClient.js';
+import { awardEventPoints } from '../points/pointsManager.js';
+import { recordGameWin } from '../gameProfiles/gameProfileStorage.js';
+import { scoreForTeam, getTeamStandings, getTeamNames } from '../teams/teamManager.js';
+import { formatTeamRoundInfo, formatTeamSessionScoresMessage } from '../teams/teamMessageFormatter.js';
 import crypto from 'crypto';
 
 // --- Game State & Config Interfaces (Conceptual) ---
@@ -22,6 +27,7 @@ interface GameConfig {
     pointsBase?: number; // Base points for a correct guess
     pointsTimeBonus?: boolean; // Whether to give bonus points for fast answers
     pointsDifficultyMultiplier?: boolean; // Whether to multiply points by difficulty
+    pointsDistance?: boolean; // Whether near misses earn partial points (real-world mode)
     // --- End Scoring Additions ---
     // Real World Mode specific
     regionRestrictions?: string[]; // Continents, countries
@@ -61,12 +67,18 @@ interface GameState {
     // --- Multi-Round Fields ---
     totalRounds: number; // Total number of rounds requested
     currentRound: number; // Current round number (1-based)
-    gameSessionScores: Map<string, { displayName: string; score: number }>; // username -> { displayName, score } for the current multi-round game
+    gameSessionScores: Map<string, { displayName: string; score: number; nearestMissKm?: number }>; // username -> { displayName, score, nearestMissKm } for the current multi-round game
+    gameSessionTeamScores: Map<string, number>; // team -> points this game (team mode)
     gameSessionExcludedLocations: Set<string>; // Locations used in the current multi-round session
 
     // --- NEW FIELDS ---
     streakMap: Map<string, number>; // username -> consecutive correct guesses
-    guessCache: Map<string, {result: Object, timestamp: number}>; // Cache for incorrect guesses this round
+    guessCache: Map<string, {result: Object, timestamp: number, verifiedAs: string}>; // Cache for incorrect guesses this round
+
+    // --- Distance scoring (real-world mode, places in geoGazetteer) ---
+    closestGuesses: Map<string, { displayName: string; guess: string; distanceKm: number; clueIndex: number }>; // username -> closest counted wrong guess this round
+    closestGuessKm: number | null; // Closest wrong guess this round, up to the last clue
+    closestGuessKmSinceClue: number | null; // Closest wrong guess since the last clue
 
     // --- PHASE 1 ---
     gameSessionId: string | null; // Add this field
@@ -83,6 +95,7 @@ const DEFAULT_CONFIG = {
     pointsBase: 15,
     pointsTimeBonus: true,
     pointsDifficultyMultiplier: true,
+    pointsDistance: true,
     // --- End Scoring defaults ---
     regionRestrictions: [],
     gameTitlePreferences: [],
@@ -91,6 +104,8 @@ const DEFAULT_CONFIG = {
 const MAX_IRC_MESSAGE_LENGTH = 450; // Should match ircSender.js
 const SUMMARY_TARGET_LENGTH = 400; // Slightly less than max to allow for prefixes
 const MULTI_ROUND_DELAY_MS = 12000; // Delay between rounds (reading time for answer/explanation)
+const NEAR_MISS_MAX_KM = 2000; // Wrong guesses further away than this earn no points
+const NEAR_MISS_POINTS_SHARE = 0.5; // A near miss earns up to this share of the base points
 
 // --- In-Memory Storage for Active Games ---
 /** @type {Map<string, GameState>} */
@@ -131,22 +146,33 @@ async function _getOrCreateGameState(channelName) {
             lastPlayedLocation: null,
             streakMap: new Map(),
             guessCache: new Map(),
+            closestGuesses: new Map(),
+            closestGuessKm: null,
+            closestGuessKmSinceClue: null,
             gameSessionId: null,
             totalRounds: 1,
             currentRound: 1,
             gameSessionScores: new Map(),
+            gameSessionTeamScores: new Map(),
             gameSessionExcludedLocations: new Set(),
         });
     } else {
         const state = activeGames.get(channelName);
         if (!state.streakMap) state.streakMap = new Map();
         if (!state.guessCache) state.guessCache = new Map();
+        if (!state.closestGuesses) _resetGuessDistances(state);
         if (state.lastPlayedLocation === undefined) state.lastPlayedLocation = null;
         state.config = { ...DEFAULT_CONFIG, ...state.config };
     }
     return activeGames.get(channelName);
 }
 
+function _resetGuessDistances(gameState) {
+    gameState.closestGuesses = new Map();
+    gameState.closestGuessKm = null;
+    gameState.closestGuessKmSinceClue = null;
+}
+
 function _clearTimers(gameState) {
     if (gameState.nextClueTimer) clearTimeout(gameState.nextClueTimer);
     if (gameState.roundEndTimer) clearTimeout(gameState.roundEndTimer);
@@ -176,14 +202,52 @@ async function _resetGameToIdle(gameState) {
     newState.initiatorUsername = null;
     newState.streakMap = new Map();
     newState.guessCache = new Map();
+    _resetGuessDistances(newState);
     // Reset multi-round fields
     defaultPrefetchCache.clearPrefix(`geo:${gameState.channelName}:`);
     newState.totalRounds = 1;
     newState.currentRound = 1;
     newState.gameSessionScores = new Map();
+    newState.gameSessionTeamScores = new Map();
     newState.gameSessionExcludedLocations = new Set();
 }
 
+/**
+ * Gives partial points to players whose closest wrong guess this round was
+ * within NEAR_MISS_MAX_KM of the target. The round winner is left out.
+ * @returns {Promise<object|null>} The nearest miss with its points, or null if no wrong guess could be placed.
+ */
+async function _scoreNearMisses(gameState) {
+    const isMultiRound = gameState.totalRounds > 1;
+    const nearMisses = [...gameState.closestGuesses.entries()]
+        .filter(([username]) => username !== gameState.winner?.username)
+        .map(([username, miss]) => ({ username, ...miss, points: _calculateNearMissPoints(gameState, miss.distanceKm) }))
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    for (const miss of nearMisses) {
+        const sessionEntry = gameState.gameSessionScores.get(miss.username);
+        if (isMultiRound && (miss.points > 0 || sessionEntry)) {
+            const previousKm = sessionEntry?.nearestMissKm;
+            gameState.gameSessionScores.set(miss.username, {
+                displayName: miss.displayName,
+                score: (sessionEntry?.score || 0) + miss.points,
+                nearestMissKm: typeof previousKm === 'number' ? Math.min(previousKm, miss.distanceKm) : miss.distanceKm,
+            });
+        }
+        if (miss.points > 0 && gameState.config.scoreTracking) {
+            try {
+                await updatePlayerScore(miss.username, gameState.channelName, miss.points, miss.displayName, { success: false });
+            } catch (scoreError) {
+                logger.error({ err: scoreError }, `[GeoGame][${gameState.channelName}] Error saving near-miss points for ${miss.username}.`);
+            }
+        }
+    }
+    if (nearMisses.length > 0) {
+        logger.info(`[GeoGame][${gameState.channelName}] Near misses for round ${gameState.currentRound}: ${nearMisses.map(m => `${m.username} ${Math.round(m.distanceKm)}km +${m.points}`).join(', ')}`);
+    }
+    return nearMisses[0] || null;
+}
+
 async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs = null) {
     if (gameState.targetLocation?.name) {
         gameState.lastPlayedLocation = gameState.targetLocation.name;
@@ -199,6 +263,7 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
     const isMultiRound = gameState.totalRounds > 1;
     const isLastRound = gameState.currentRound === gameState.totalRounds;
     let points = 0;
+    let winningTeam = null;
     if (reason === "guessed" && gameState.winner?.username) {
         const winnerUsername = gameState.winner.username;
         const winnerDisplayName = gameState.winner.displayName;
@@ -207,14 +272,30 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
         const currentStreak = gameState.streakMap.get(winnerUsername) || 0;
         gameState.streakMap.set(winnerUsername, currentStreak + 1);
         logger.debug(`[GeoGame][${gameState.channelName}] Updated streak for ${winnerUsername} to ${currentStreak + 1}`);
+        awardEventPoints(gameState.channelName, 'gameWin', { login: winnerUsername, displayName: winnerDisplayName });
+        if (gameState.config.scoreTracking) {
+            recordGameWin(gameState.channelName, {
+                game: 'geo',
+                login: winnerUsername,
+                displayName: winnerDisplayName,
+                points,
+                streak: currentStreak + 1,
+                topic: gameState.mode === 'game' ? gameState.gameTitleScope : (gameState.sessionRegionScope || 'world'),
+            }).catch(err => logger.error({ err }, `[GeoGame][${gameState.channelName}] Failed to record win in player profile.`));
+        }
         if (isMultiRound) {
             const currentSessionScore = gameState.gameSessionScores.get(winnerUsername)?.score || 0;
             gameState.gameSessionScores.set(winnerUsername, {
+                ...gameState.gameSessionScores.get(winnerUsername),
                 displayName: winnerDisplayName,
                 score: currentSessionScore + points
             });
             logger.debug(`[GeoGame][${gameState.channelName}] Updated session score for ${winnerUsername}: ${currentSessionScore + points}`);
         }
+        winningTeam = scoreForTeam(gameState.channelName, winnerUsername, points);
+        if (winningTeam) {
+            gameState.gameSessionTeamScores.set(winningTeam, (gameState.gameSessionTeamScores.get(winningTeam) || 0) + points);
+        }
         if (gameState.config.scoreTracking) {
             try {
                 logger.debug(`[GeoGame][${gameState.channelName}] Calling updatePlayerScore for ${winnerUsername} with ${points} points.`);
@@ -230,6 +311,8 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             gameState.streakMap.clear();
         }
     }
+    const nearMiss = (reason === "guessed" || reason === "timeout") ? await _scoreNearMisses(gameState) : null;
+    const nearMissInfo = formatNearMissInfo(nearMiss);
     let revealText;
     let roundEndMessage;
     if (!gameState.targetLocation?.name) {
@@ -244,16 +327,19 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
                 const currentStreak = gameState.streakMap.get(gameState.winner.username) || 1;
                 const streakInfo = currentStreak > 1 ? ` 🔥x${currentStreak}` : '';
                 const pointsInfo = points > 0 ? ` (+${points} pts)` : '';
+                const teamInfo = winningTeam ? formatTeamRoundInfo(winningTeam, getTeamStandings(gameState.channelName)) : '';
                 baseMessageContent = formatCorrectGuessMessage(
                     gameState.winner.displayName,
                     gameState.targetLocation.name,
                     timeTakenMs,
                     streakInfo,
-                    pointsInfo
+                    pointsInfo,
+                    teamInfo,
+                    nearMissInfo
                 );
                 baseMessageContent = `${roundPrefix}${baseMessageContent} ${revealText || '(Summary unavailable)'}`;
             } else if (reason === "timeout") {
-                baseMessageContent = `${roundPrefix}${formatTimeoutMessage(gameState.targetLocation.name)} ${revealText || '(Summary unavailable)'}`;
+                baseMessageContent = `${roundPrefix}${formatTimeoutMessage(gameState.targetLocation.name, nearMissInfo)} ${revealText || '(Summary unavailable)'}`;
             } else if (reason === "stopped") {
                 baseMessageContent = `${roundPrefix}${formatStopMessage(gameState.targetLocation.name)} ${revealText || '(Summary unavailable)'}`;
             } else {
@@ -269,9 +355,10 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
                     const currentStreak = gameState.streakMap.get(gameState.winner.username) || 1;
                     const streakInfo = currentStreak > 1 ? ` 🔥x${currentStreak}` : '';
                     const pointsInfo = points > 0 ? ` (+${points} pts)` : '';
-                    prefix = `${roundPrefix}✅ @${gameState.winner.displayName} guessed: ${gameState.targetLocation.name}${timeString}${streakInfo}${pointsInfo}! `;
+                    const teamInfo = winningTeam ? formatTeamRoundInfo(winningTeam, getTeamStandings(gameState.channelName)) : '';
+                    prefix = `${roundPrefix}✅ @${gameState.winner.displayName} guessed: ${gameState.targetLocation.name}${timeString}${streakInfo}${pointsInfo}${teamInfo}!${nearMissInfo} `;
                 } else if (reason === "timeout") {
-                    prefix = `${roundPrefix}⏱️ Time's up! The location was ${gameState.targetLocation.name}. `;
+                    prefix = `${roundPrefix}⏱️ Time's up! The location was ${gameState.targetLocation.name}.${nearMissInfo} `;
                 } else if (reason === "stopped") {
                     prefix = `${roundPrefix}🛑 Game stopped. The location was ${gameState.targetLocation.name}. `;
                 } else {
@@ -317,6 +404,12 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
                 roundNumber: gameState.currentRound,
                 totalRounds: gameState.totalRounds,
                 pointsAwarded: points,
+                nearestMiss: nearMiss ? {
+                    username: nearMiss.username,
+                    guess: nearMiss.guess,
+                    distanceKm: Math.round(nearMiss.distanceKm),
+                    points: nearMiss.points,
+                } : null,
             };
             await recordGameResult(gameDetails);
         } catch (storageError) {
@@ -331,6 +424,9 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             const sessionScoresMessage = formatGameSessionScoresMessage(gameState.gameSessionScores);
             enqueueMessage(`#${gameState.channelName}`, `🏁 Game ended. Final Session Scores: ${sessionScoresMessage}`);
         }
+        if (isMultiRound && gameState.gameSessionTeamScores.size > 0) {
+            enqueueMessage(`#${gameState.channelName}`, formatTeamSessionScoresMessage(gameState.gameSessionTeamScores, getTeamNames(gameState.channelName)));
+        }
         gameState.transitionTimer = setTimeout(() => {
             _resetGameToIdle(gameState).catch(err => {
                 logger.error({ err, channel: gameState.channelName }, `[GeoGame][${gameState.channelName}] Error resetting game state to idle.`);
@@ -346,6 +442,7 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
         gameState.guesses = [];
         gameState.winner = null;
         gameState.incorrectGuessReasons = [];
+        _resetGuessDistances(gameState);
         gameState.transitionTimer = setTimeout(() => {
             _startNextRound(gameState).catch(err => {
                 logger.error({ err, channel: gameState.channelName }, `[GeoGame][${gameState.channelName}] Error starting next round.`);
@@ -361,6 +458,9 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             enqueueMessage(`#${gameState.channelName}`, `🏁 Game finished. No scores recorded in this session.`);
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
+        if (isMultiRound && gameState.gameSessionTeamScores.size > 0) {
+            enqueueMessage(`#${gameState.channelName}`, formatTeamSessionScoresMessage(gameState.gameSessionTeamScores, getTeamNames(gameState.channelName)));
+        }
         if (gameState.config.scoreTracking) {
             try {
                 const leaderboardData = await getLeaderboard(gameState.channelName, 5);
@@ -649,7 +749,7 @@ async function _scheduleNextClue(gameState) {
                 gameState.clues.push(nextClue);
                 gameState.currentClueIndex++;
                 // Use currentClueIndex + 1 for the user-facing clue number
-                const clueMessage = formatClueMessage(gameState.currentClueIndex + 1, nextClue);
+                const clueMessage = formatClueMessage(gameState.currentClueIndex + 1, nextClue, _takeDistanceHint(gameState));
                 // Skip translation if clue was generated natively in the target language
                 enqueueMessage(`#${gameState.channelName}`, clueMessage, { skipTranslation: !!gameState.botLanguage });
 
@@ -706,7 +806,9 @@ async function _startGameProcess(channelName, mode, scope = null, initiatorUsern
     gameState.currentRound = 1;
     gameState.streakMap = new Map();
     gameState.gameSessionScores = new Map();
+    gameState.gameSessionTeamScores = new Map();
     gameState.guessCache = new Map();
+    _resetGuessDistances(gameState);
     gameState.gameSessionExcludedLocations = new Set(); // Reset for the new game session
     _clearTimers(gameState); // Ensure no stray timers
 
@@ -854,6 +956,56 @@ async function _startGameProcess(channelName, mode, scope = null, initiatorUsern
 }
 
 
+function _findTargetPlace(targetLocation) {
+    if (!targetLocation?.name) return null;
+    return [targetLocation.name, ...(targetLocation.alternateNames || [])]
+        .map(name => findPlace(name))
+        .find(Boolean) || null;
+}
+
+/**
+ * Works out how far a wrong guess was from the target and keeps the player's
+ * closest one for this round. Only real-world rounds whose target and guess
+ * are both in the gazetteer have a distance, and only a player's first placed
+ * guess after each clue counts, so spamming guesses doesn't pay.
+ * @returns {number|null} Distance in km, or null if it isn't measured or doesn't count.
+ */
+function _recordGuessDistance(gameState, username, displayName, guess) {
+    if (gameState.mode !== 'real' || !gameState.config.pointsDistance) return null;
+    const target = _findTargetPlace(gameState.targetLocation);
+    const guessed = findPlace(guess);
+    // Same gazetteer entry means the guess was a nearby spot the validator rejected; no distance to report.
+    // Country and region guesses are too broad to place, so they don't count either.
+    if (!target || !guessed || guessed.area || guessed.name === target.name) return null;
+
+    const closest = gameState.closestGuesses.get(username);
+    if (closest?.clueIndex === gameState.currentClueIndex) return null;
+
+    const km = distanceKm(target, guessed);
+    if (!closest || km < closest.distanceKm) {
+        gameState.closestGuesses.set(username, { displayName, guess: guessed.name, distanceKm: km, clueIndex: gameState.currentClueIndex });
+    } else {
+        closest.clueIndex = gameState.currentClueIndex;
+    }
+    if (gameState.closestGuessKmSinceClue === null || km < gameState.closestGuessKmSinceClue) {
+        gameState.closestGuessKmSinceClue = km;
+    }
+    logger.debug(`[GeoGame][${gameState.channelName}] Guess "${guess}" from ${username} is ${Math.round(km)} km from the target.`);
+    return km;
+}
+
+// Builds the warmer/colder hint for the next clue and starts a new comparison window
+function _takeDistanceHint(gameState) {
+    const latestKm = gameState.closestGuessKmSinceClue;
+    const previousKm = gameState.closestGuessKm;
+    const hint = formatDistanceHint(latestKm, previousKm);
+    if (latestKm !== null && (previousKm === null || latestKm < previousKm)) {
+        gameState.closestGuessKm = latestKm;
+    }
+    gameState.closestGuessKmSinceClue = null;
+    return hint;
+}
+
 async function _handleGuess(channelName, username, displayName, guess) {
     const gameState = activeGames.get(channelName);
 
@@ -872,8 +1024,10 @@ async function _handleGuess(channelName, username, displayName, guess) {
 
     // Check the cache for this normalized guess first
     const normalizedGuess = trimmedGuess.toLowerCase().trim();
-    if (gameState.guessCache.has(normalizedGuess)) {
+    const cachedGuess = gameState.guessCache.get(normalizedGuess);
+    if (cachedGuess) {
         logger.debug(`[GeoGame][${channelName}] Guess "${trimmedGuess}" found in incorrect guess cache. Skipping LLM verification.`);
+        _recordGuessDistance(gameState, username, displayName, cachedGuess.verifiedAs); // Still counts as this player's near miss
         return; // It's a known wrong guess for this round, do nothing.
     }
 
@@ -920,9 +1074,11 @@ async function _handleGuess(channelName, username, displayName, guess) {
             // Cache the incorrect guess to prevent re-verification
             gameState.guessCache.set(normalizedGuess, {
                 result: validationResult,
-                timestamp: Date.now()
+                timestamp: Date.now(),
+                verifiedAs: guessToVerify,
             });
             logger.debug(`[GeoGame][${channelName}] Caching incorrect guess: "${trimmedGuess}"`);
+            _recordGuessDistance(gameState, username, displayName, guessToVerify);
 
             const reason = validationResult?.reasoning?.trim();
             if (reason) {
@@ -1118,6 +1274,14 @@ async function configureGame(channelName, options) {
             configChanged = true;
         }
     }
+    if (options.pointsDistance !== undefined) {
+        const enableDistance = options.pointsDistance === 'true' || options.pointsDistance === true;
+        if (gameState.config.pointsDistance !== enableDistance) {
+            gameState.config.pointsDistance = enableDistance;
+            changesMade.push(`Near-miss distance scoring ${enableDistance ? 'enabled' : 'disabled'}`);
+            configChanged = true;
+        }
+    }
 
     if (configChanged) {
         try {
@@ -1370,4 +1534,17 @@ function _calculatePoints(gameState, timeElapsedMs) {
         }
     }
     return Math.max(1, Math.floor(points));
-}
\ No newline at end of file
+}
+
+/**
+ * Points for a wrong guess, scaled down linearly with distance to zero at
+ * NEAR_MISS_MAX_KM.
+ * @param {GameState} gameState - Game state object.
+ * @param {number} km - Distance from the target.
+ * @returns {number} Points earned.
+ */
+function _calculateNearMissPoints(gameState, km) {
+    if (!gameState.config.scoreTracking || km >= NEAR_MISS_MAX_KM) return 0;
+    const maxPoints = (gameState.config.pointsBase ?? DEFAULT_CONFIG.pointsBase) * NEAR_MISS_POINTS_SHARE;
+    return Math.round(maxPoints * (1 - km / NEAR_MISS_MAX_KM));
+}
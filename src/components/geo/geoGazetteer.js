@@ -0,0 +1,867 @@
+// src/components/geo/geoGazetteer.js
+// Offline gazetteer for distance scoring: well-known cities, landmarks and
+// natural sites with their coordinates, plus countries and regions at their
+// approximate centre. findPlace() resolves a location name or a chat guess to
+// one of these entries without calling the LLM.
+
+// [name, latitude, longitude, area code(s), aliases]. Area codes are ISO 3166
+// country or subdivision codes (plus a few made-up ones for regions that cross
+// borders, like PATAGONIA); a place lies within an area when one of its codes
+// equals the area's code or starts with it, so 'US-OR' lies within 'US'.
+const PLACES = [
+    // --- Europe: cities ---
+    ['London', 51.51, -0.13, 'GB-ENG'],
+    ['Paris', 48.86, 2.35, 'FR'],
+    ['Berlin', 52.52, 13.40, 'DE'],
+    ['Madrid', 40.42, -3.70, 'ES'],
+    ['Barcelona', 41.39, 2.17, 'ES-CT'],
+    ['Seville', 37.39, -5.98, 'ES-AN', ['sevilla']],
+    ['Valencia', 39.47, -0.38, 'ES'],
+    ['Granada', 37.18, -3.60, 'ES-AN'],
+    ['Malaga', 36.72, -4.42, 'ES-AN'],
+    ['Ibiza', 38.91, 1.43, 'ES-IB'],
+    ['Rome', 41.90, 12.50, 'IT', ['roma']],
+    ['Milan', 45.46, 9.19, 'IT', ['milano']],
+    ['Venice', 45.44, 12.33, 'IT', ['venezia']],
+    ['Florence', 43.77, 11.26, 'IT-52', ['firenze']],
+    ['Naples', 40.85, 14.27, 'IT', ['napoli']],
+    ['Turin', 45.07, 7.69, 'IT', ['torino']],
+    ['Bologna', 44.49, 11.34, 'IT'],
+    ['Verona', 45.44, 10.99, 'IT'],
+    ['Pisa', 43.72, 10.40, 'IT-52'],
+    ['Palermo', 38.12, 13.36, 'IT-82'],
+    ['Capri', 40.55, 14.24, 'IT'],
+    ['Lisbon', 38.72, -9.14, 'PT', ['lisboa']],
+    ['Porto', 41.15, -8.61, 'PT', ['oporto']],
+    ['Amsterdam', 52.37, 4.90, 'NL'],
+    ['Rotterdam', 51.92, 4.48, 'NL'],
+    ['Brussels', 50.85, 4.35, 'BE', ['bruxelles']],
+    ['Bruges', 51.21, 3.22, 'BE', ['brugge']],
+    ['Antwerp', 51.22, 4.40, 'BE', ['antwerpen']],
+    ['Luxembourg', 49.61, 6.13, 'LU', ['luxembourg city']],
+    ['Vienna', 48.21, 16.37, 'AT', ['wien']],
+    ['Salzburg', 47.81, 13.04, 'AT'],
+    ['Innsbruck', 47.27, 11.39, 'AT'],
+    ['Zurich', 47.38, 8.54, 'CH'],
+    ['Geneva', 46.20, 6.14, 'CH', ['geneve']],
+    ['Bern', 46.95, 7.45, 'CH', ['berne']],
+    ['Munich', 48.14, 11.58, 'DE-BY', ['munchen', 'muenchen']],
+    ['Hamburg', 53.55, 9.99, 'DE'],
+    ['Frankfurt', 50.11, 8.68, 'DE'],
+    ['Cologne', 50.94, 6.96, 'DE', ['koln', 'koeln']],
+    ['Dusseldorf', 51.23, 6.78, 'DE', ['duesseldorf']],
+    ['Stuttgart', 48.78, 9.18, 'DE'],
+    ['Dresden', 51.05, 13.74, 'DE'],
+    ['Heidelberg', 49.40, 8.69, 'DE'],
+    ['Prague', 50.08, 14.44, 'CZ', ['praha']],
+    ['Budapest', 47.50, 19.04, 'HU'],
+    ['Bratislava', 48.15, 17.11, 'SK'],
+    ['Warsaw', 52.23, 21.01, 'PL', ['warszawa']],
+    ['Krakow', 50.06, 19.94, 'PL', ['cracow']],
+    ['Gdansk', 54.35, 18.65, 'PL'],
+    ['Copenhagen', 55.68, 12.57, 'DK', ['kobenhavn']],
+    ['Stockholm', 59.33, 18.07, 'SE'],
+    ['Gothenburg', 57.71, 11.97, 'SE', ['goteborg']],
+    ['Oslo', 59.91, 10.75, 'NO'],
+    ['Bergen', 60.39, 5.32, 'NO'],
+    ['Tromso', 69.65, 18.96, 'NO'],
+    ['Helsinki', 60.17, 24.94, 'FI'],
+    ['Reykjavik', 64.15, -21.94, 'IS'],
+    ['Dublin', 53.35, -6.26, 'IE'],
+    ['Belfast', 54.60, -5.93, 'GB-NIR'],
+    ['Edinburgh', 55.95, -3.19, 'GB-SCT'],
+    ['Glasgow', 55.86, -4.25, 'GB-SCT'],
+    ['Cardiff', 51.48, -3.18, 'GB-WLS'],
+    ['Manchester', 53.48, -2.24, 'GB-ENG'],
+    ['Liverpool', 53.41, -2.98, 'GB-ENG'],
+    ['Oxford', 51.75, -1.26, 'GB-ENG'],
+    ['Cambridge', 52.21, 0.12, 'GB-ENG'],
+    ['Bath', 51.38, -2.36, 'GB-ENG'],
+    ['Marseille', 43.30, 5.37, 'FR-PAC', ['marseilles']],
+    ['Nice', 43.70, 7.27, 'FR-PAC'],
+    ['Cannes', 43.55, 7.02, 'FR-PAC'],
+    ['Monaco', 43.74, 7.42, 'MC', ['monte carlo']],
+    ['Lyon', 45.76, 4.84, 'FR'],
+    ['Bordeaux', 44.84, -0.58, 'FR'],
+    ['Toulouse', 43.60, 1.44, 'FR'],
+    ['Strasbourg', 48.57, 7.75, 'FR'],
+    ['Nantes', 47.22, -1.55, 'FR'],
+    ['Lille', 50.63, 3.06, 'FR'],
+    ['Athens', 37.98, 23.73, 'GR', ['athina']],
+    ['Thessaloniki', 40.64, 22.94, 'GR'],
+    ['Santorini', 36.39, 25.46, 'GR', ['thira']],
+    ['Mykonos', 37.45, 25.33, 'GR'],
+    ['Valletta', 35.90, 14.51, 'MT'],
+    ['Istanbul', 41.01, 28.98, 'TR', ['constantinople']],
+    ['Ankara', 39.93, 32.86, 'TR'],
+    ['Moscow', 55.76, 37.62, 'RU', ['moskva']],
+    ['Saint Petersburg', 59.93, 30.34, 'RU', ['st petersburg', 'leningrad']],
+    ['Kazan', 55.79, 49.12, 'RU'],
+    ['Volgograd', 48.71, 44.51, 'RU', ['stalingrad']],
+    ['Murmansk', 68.97, 33.09, 'RU'],
+    ['Yekaterinburg', 56.84, 60.61, 'RU'],
+    ['Novosibirsk', 55.01, 82.93, 'RU-SIB'],
+    ['Vladivostok', 43.12, 131.89, 'RU'],
+    ['Kyiv', 50.45, 30.52, 'UA', ['kiev']],
+    ['Lviv', 49.84, 24.03, 'UA'],
+    ['Odesa', 46.48, 30.72, 'UA', ['odessa']],
+    ['Chernobyl', 51.27, 30.22, 'UA', ['pripyat']],
+    ['Minsk', 53.90, 27.56, 'BY'],
+    ['Tallinn', 59.44, 24.75, 'EE'],
+    ['Riga', 56.95, 24.11, 'LV'],
+    ['Vilnius', 54.69, 25.28, 'LT'],
+    ['Bucharest', 44.43, 26.10, 'RO'],
+    ['Chisinau', 47.01, 28.86, 'MD'],
+    ['Sofia', 42.70, 23.32, 'BG'],
+    ['Belgrade', 44.79, 20.45, 'RS'],
+    ['Zagreb', 45.81, 15.98, 'HR'],
+    ['Split', 43.51, 16.44, 'HR'],
+    ['Dubrovnik', 42.65, 18.09, 'HR'],
+    ['Ljubljana', 46.06, 14.51, 'SI'],
+    ['Sarajevo', 43.86, 18.41, 'BA'],
+    ['Tirana', 41.33, 19.82, 'AL'],
+    ['Skopje', 42.00, 21.43, 'MK'],
+
+    // --- Europe: landmarks and natural sites ---
+    ['Eiffel Tower', 48.858, 2.294, 'FR', ['tour eiffel']],
+    ['Louvre', 48.861, 2.336, 'FR', ['louvre museum', 'musee du louvre']],
+    ['Notre-Dame de Paris', 48.853, 2.350, 'FR', ['notre dame', 'notre dame cathedral']],
+    ['Arc de Triomphe', 48.874, 2.295, 'FR'],
+    ['Palace of Versailles', 48.805, 2.120, 'FR', ['versailles', 'chateau de versailles']],
+    ['Mont Saint-Michel', 48.636, -1.511, 'FR-NOR'],
+    ['Big Ben', 51.501, -0.125, 'GB-ENG', ['elizabeth tower', 'palace of westminster', 'houses of parliament']],
+    ['Tower of London', 51.508, -0.076, 'GB-ENG'],
+    ['Tower Bridge', 51.506, -0.075, 'GB-ENG'],
+    ['Buckingham Palace', 51.501, -0.142, 'GB-ENG'],
+    ['Stonehenge', 51.179, -1.826, 'GB-ENG'],
+    ['Loch Ness', 57.32, -4.44, 'GB-SCT'],
+    ['Giant\'s Causeway', 55.241, -6.512, 'GB-NIR'],
+    ['Cliffs of Moher', 52.972, -9.426, 'IE'],
+    ['Colosseum', 41.890, 12.492, 'IT', ['coliseum', 'colosseo']],
+    ['Vatican City', 41.902, 12.453, ['VA', 'IT'], ['vatican', 'st peters basilica', 'sistine chapel']],
+    ['Leaning Tower of Pisa', 43.723, 10.397, 'IT-52', ['tower of pisa']],
+    ['Pompeii', 40.749, 14.485, 'IT'],
+    ['Mount Vesuvius', 40.821, 14.426, 'IT', ['vesuvius']],
+    ['Sagrada Familia', 41.404, 2.174, 'ES-CT'],
+    ['Alhambra', 37.176, -3.588, 'ES-AN'],
+    ['Acropolis', 37.972, 23.726, 'GR', ['parthenon', 'acropolis of athens']],
+    ['Meteora', 39.72, 21.63, 'GR'],
+    ['Neuschwanstein Castle', 47.558, 10.750, 'DE-BY', ['neuschwanstein']],
+    ['Brandenburg Gate', 52.516, 13.378, 'DE'],
+    ['Charles Bridge', 50.086, 14.411, 'CZ'],
+    ['Matterhorn', 45.976, 7.658, ['CH', 'IT']],
+    ['Mont Blanc', 45.833, 6.865, ['FR', 'IT']],
+    ['Hagia Sophia', 41.009, 28.980, 'TR', ['ayasofya']],
+    ['Cappadocia', 38.64, 34.83, 'TR'],
+    ['Red Square', 55.754, 37.621, 'RU', ['kremlin', 'st basils cathedral']],
+    ['Plitvice Lakes', 44.88, 15.62, 'HR'],
+    ['Blue Lagoon', 63.880, -22.449, 'IS'],
+
+    // --- North and Central America: cities ---
+    ['New York City', 40.71, -74.01, 'US-NY', ['new york', 'nyc', 'manhattan', 'brooklyn']],
+    ['Los Angeles', 34.05, -118.24, 'US-CA', ['hollywood']],
+    ['Chicago', 41.88, -87.63, 'US-IL'],
+    ['Houston', 29.76, -95.37, 'US-TX'],
+    ['Phoenix', 33.45, -112.07, 'US-AZ'],
+    ['Philadelphia', 39.95, -75.17, 'US-PA'],
+    ['San Antonio', 29.42, -98.49, 'US-TX'],
+    ['San Diego', 32.72, -117.16, 'US-CA'],
+    ['Dallas', 32.78, -96.80, 'US-TX'],
+    ['Austin', 30.27, -97.74, 'US-TX'],
+    ['San Francisco', 37.77, -122.42, 'US-CA'],
+    ['Sacramento', 38.58, -121.49, 'US-CA'],
+    ['Seattle', 47.61, -122.33, 'US-WA'],
+    ['Portland', 45.52, -122.68, 'US-OR'],
+    ['Denver', 39.74, -104.99, 'US-CO'],
+    ['Las Vegas', 36.17, -115.14, 'US-NV', ['vegas']],
+    ['Salt Lake City', 40.76, -111.89, 'US-UT'],
+    ['Boston', 42.36, -71.06, 'US-MA'],
+    ['Washington, D.C.', 38.91, -77.04, 'US-DC', ['washington dc', 'washington d c', 'dc']],
+    ['Baltimore', 39.29, -76.61, 'US-MD'],
+    ['Pittsburgh', 40.44, -80.00, 'US-PA'],
+    ['Cleveland', 41.50, -81.69, 'US-OH'],
+    ['Detroit', 42.33, -83.05, 'US-MI'],
+    ['Minneapolis', 44.98, -93.27, 'US-MN'],
+    ['St. Louis', 38.63, -90.20, 'US-MO', ['saint louis', 'st louis']],
+    ['Kansas City', 39.10, -94.58, ['US-MO', 'US-KS']],
+    ['Nashville', 36.16, -86.78, 'US-TN'],
+    ['Memphis', 35.15, -90.05, 'US-TN'],
+    ['New Orleans', 29.95, -90.07, 'US-LA', ['nola']],
+    ['Atlanta', 33.75, -84.39, 'US-GA'],
+    ['Miami', 25.76, -80.19, 'US-FL'],
+    ['Orlando', 28.54, -81.38, 'US-FL'],
+    ['Key West', 24.56, -81.78, 'US-FL'],
+    ['Charleston', 32.78, -79.93, 'US-SC'],
+    ['Savannah', 32.08, -81.09, 'US-GA'],
+    ['Santa Fe', 35.69, -105.94, 'US-NM'],
+    ['Albuquerque', 35.08, -106.65, 'US-NM'],
+    ['Roswell', 33.39, -104.52, 'US-NM'],
+    ['Tucson', 32.22, -110.97, 'US-AZ'],
+    ['Honolulu', 21.31, -157.86, 'US-HI', ['waikiki']],
+    ['Maui', 20.80, -156.33, 'US-HI'],
+    ['Anchorage', 61.22, -149.90, 'US-AK'],
+    ['Juneau', 58.30, -134.42, 'US-AK'],
+    ['Toronto', 43.65, -79.38, 'CA-ON'],
+    ['Montreal', 45.50, -73.57, 'CA-QC'],
+    ['Quebec City', 46.81, -71.21, 'CA-QC'],
+    ['Ottawa', 45.42, -75.70, 'CA-ON'],
+    ['Halifax', 44.65, -63.57, 'CA-NS'],
+    ['Winnipeg', 49.90, -97.14, 'CA-MB'],
+    ['Calgary', 51.05, -114.07, 'CA-AB'],
+    ['Edmonton', 53.55, -113.49, 'CA-AB'],
+    ['Vancouver', 49.28, -123.12, 'CA-BC'],
+    ['Banff', 51.18, -115.57, 'CA-AB', ['banff national park', 'lake louise']],
+    ['Mexico City', 19.43, -99.13, 'MX', ['ciudad de mexico', 'cdmx']],
+    ['Guadalajara', 20.67, -103.35, 'MX'],
+    ['Monterrey', 25.69, -100.32, 'MX'],
+    ['Tijuana', 32.51, -117.04, 'MX'],
+    ['Oaxaca', 17.07, -96.73, 'MX'],
+    ['Cancun', 21.16, -86.85, 'MX-YUC'],
+    ['Guatemala City', 14.63, -90.51, 'GT'],
+    ['Panama City', 8.98, -79.52, 'PA'],
+    ['Havana', 23.11, -82.37, 'CU', ['la habana']],
+    ['Kingston', 18.02, -76.80, 'JM'],
+    ['Port-au-Prince', 18.54, -72.34, 'HT'],
+    ['Santo Domingo', 18.49, -69.93, 'DO'],
+    ['San Juan', 18.47, -66.11, 'PR'],
+
+    // --- North and Central America: landmarks and natural sites ---
+    ['Statue of Liberty', 40.689, -74.045, 'US-NY', ['lady liberty', 'liberty island']],
+    ['Empire State Building', 40.748, -73.986, 'US-NY'],
+    ['Times Square', 40.758, -73.986, 'US-NY'],
+    ['Central Park', 40.783, -73.965, 'US-NY'],
+    ['White House', 38.898, -77.037, 'US-DC'],
+    ['Golden Gate Bridge', 37.820, -122.478, 'US-CA'],
+    ['Alcatraz', 37.827, -122.423, 'US-CA', ['alcatraz island']],
+    ['Hollywood Sign', 34.134, -118.322, 'US-CA'],
+    ['Space Needle', 47.620, -122.349, 'US-WA'],
+    ['Grand Canyon', 36.107, -112.113, 'US-AZ'],
+    ['Monument Valley', 36.998, -110.098, ['US-AZ', 'US-UT']],
+    ['Death Valley', 36.51, -117.08, 'US-CA'],
+    ['Yosemite', 37.87, -119.54, 'US-CA', ['yosemite national park', 'half dome', 'el capitan']],
+    ['Yellowstone', 44.43, -110.59, ['US-WY', 'US-MT', 'US-ID'], ['yellowstone national park', 'old faithful']],
+    ['Mount Rushmore', 43.879, -103.459, 'US-SD'],
+    ['Mount Rainier', 46.853, -121.760, 'US-WA'],
+    ['Denali', 63.069, -151.007, 'US-AK', ['mount mckinley']],
+    ['Niagara Falls', 43.08, -79.07, ['US-NY', 'CA-ON']],
+    ['CN Tower', 43.643, -79.387, 'CA-ON'],
+    ['Chichen Itza', 20.684, -88.568, 'MX-YUC'],
+    ['Teotihuacan', 19.692, -98.844, 'MX'],
+    ['Panama Canal', 9.08, -79.68, 'PA'],
+
+    // --- South America ---
+    ['Bogota', 4.71, -74.07, 'CO'],
+    ['Medellin', 6.24, -75.58, 'CO'],
+    ['Cartagena', 10.39, -75.48, 'CO'],
+    ['Caracas', 10.48, -66.90, 'VE'],
+    ['Quito', -0.18, -78.47, 'EC'],
+    ['Lima', -12.05, -77.04, 'PE'],
+    ['Cusco', -13.53, -71.97, 'PE', ['cuzco']],
+    ['La Paz', -16.50, -68.15, 'BO'],
+    ['Santiago', -33.45, -70.67, 'CL', ['santiago de chile']],
+    ['Valparaiso', -33.05, -71.62, 'CL'],
+    ['Punta Arenas', -53.16, -70.91, ['CL', 'PATAGONIA']],
+    ['Buenos Aires', -34.60, -58.38, 'AR'],
+    ['Ushuaia', -54.80, -68.30, ['AR', 'PATAGONIA']],
+    ['Montevideo', -34.90, -56.16, 'UY'],
+    ['Asuncion', -25.26, -57.58, 'PY'],
+    ['Sao Paulo', -23.55, -46.63, 'BR'],
+    ['Rio de Janeiro', -22.91, -43.17, 'BR', ['rio', 'copacabana']],
+    ['Brasilia', -15.79, -47.88, 'BR'],
+    ['Salvador', -12.97, -38.50, 'BR'],
+    ['Manaus', -3.12, -60.02, 'BR'],
+    ['Machu Picchu', -13.163, -72.545, 'PE'],
+    ['Christ the Redeemer', -22.952, -43.211, 'BR', ['cristo redentor']],
+    ['Sugarloaf Mountain', -22.949, -43.157, 'BR', ['sugarloaf', 'pao de acucar']],
+    ['Iguazu Falls', -25.695, -54.437, ['AR', 'BR'], ['iguacu falls', 'iguazu']],
+    ['Angel Falls', 5.967, -62.535, 'VE'],
+    ['Galapagos Islands', -0.95, -90.97, 'EC', ['galapagos']],
+    ['Easter Island', -27.11, -109.35, 'CL', ['rapa nui', 'moai']],
+    ['Salar de Uyuni', -20.13, -67.49, 'BO', ['uyuni', 'uyuni salt flat']],
+    ['Lake Titicaca', -15.84, -69.34, ['PE', 'BO'], ['titicaca']],
+    ['Atacama Desert', -24.50, -69.25, 'CL', ['atacama']],
+    ['Torres del Paine', -50.94, -73.41, ['CL', 'PATAGONIA']],
+    ['Perito Moreno Glacier', -50.50, -73.05, ['AR', 'PATAGONIA'], ['perito moreno']],
+
+    // --- Asia: cities ---
+    ['Tokyo', 35.68, 139.69, 'JP', ['shibuya', 'shinjuku']],
+    ['Yokohama', 35.44, 139.64, 'JP'],
+    ['Kyoto', 35.01, 135.77, 'JP'],
+    ['Osaka', 34.69, 135.50, 'JP'],
+    ['Nara', 34.69, 135.80, 'JP'],
+    ['Hiroshima', 34.39, 132.46, 'JP'],
+    ['Nagasaki', 32.75, 129.88, 'JP'],
+    ['Sapporo', 43.06, 141.35, 'JP-01'],
+    ['Seoul', 37.57, 126.98, 'KR'],
+    ['Busan', 35.18, 129.08, 'KR'],
+    ['Pyongyang', 39.04, 125.76, 'KP'],
+    ['Beijing', 39.90, 116.41, 'CN', ['peking']],
+    ['Shanghai', 31.23, 121.47, 'CN'],
+    ['Hong Kong', 22.32, 114.17, 'CN-HK'],
+    ['Macau', 22.20, 113.54, 'CN-MO', ['macao']],
+    ['Guangzhou', 23.13, 113.26, 'CN', ['canton']],
+    ['Shenzhen', 22.54, 114.06, 'CN'],
+    ['Chengdu', 30.57, 104.07, 'CN'],
+    ['Chongqing', 29.56, 106.55, 'CN'],
+    ['Xi\'an', 34.34, 108.94, 'CN', ['xian']],
+    ['Harbin', 45.80, 126.53, 'CN'],
+    ['Lhasa', 29.65, 91.17, 'CN-XZ'],
+    ['Taipei', 25.03, 121.57, 'TW'],
+    ['Ulaanbaatar', 47.89, 106.91, 'MN', ['ulan bator']],
+    ['Bangkok', 13.76, 100.50, 'TH'],
+    ['Chiang Mai', 18.79, 98.98, 'TH'],
+    ['Phuket', 7.88, 98.39, 'TH'],
+    ['Hanoi', 21.03, 105.85, 'VN'],
+    ['Ho Chi Minh City', 10.82, 106.63, 'VN', ['saigon']],
+    ['Phnom Penh', 11.56, 104.93, 'KH'],
+    ['Siem Reap', 13.36, 103.86, 'KH'],
+    ['Vientiane', 17.97, 102.63, 'LA'],
+    ['Yangon', 16.87, 96.20, 'MM', ['rangoon']],
+    ['Kuala Lumpur', 3.14, 101.69, 'MY'],
+    ['Singapore', 1.35, 103.82, 'SG'],
+    ['Jakarta', -6.21, 106.85, 'ID-JW'],
+    ['Bali', -8.34, 115.09, 'ID-BA', ['denpasar', 'ubud']],
+    ['Manila', 14.60, 120.98, 'PH'],
+    ['Cebu', 10.32, 123.89, 'PH'],
+    ['New Delhi', 28.61, 77.21, 'IN', ['delhi']],
+    ['Mumbai', 19.08, 72.88, 'IN', ['bombay']],
+    ['Kolkata', 22.57, 88.36, 'IN', ['calcutta']],
+    ['Chennai', 13.08, 80.27, 'IN', ['madras']],
+    ['Bangalore', 12.97, 77.59, 'IN', ['bengaluru']],
+    ['Hyderabad', 17.39, 78.49, 'IN'],
+    ['Jaipur', 26.91, 75.79, 'IN'],
+    ['Agra', 27.18, 78.01, 'IN'],
+    ['Varanasi', 25.32, 82.97, 'IN', ['benares']],
+    ['Amritsar', 31.63, 74.87, 'IN'],
+    ['Goa', 15.30, 74.12, 'IN'],
+    ['Kathmandu', 27.72, 85.32, 'NP'],
+    ['Dhaka', 23.81, 90.41, 'BD'],
+    ['Colombo', 6.93, 79.86, 'LK'],
+    ['Male', 4.18, 73.51, 'MV'],
+    ['Karachi', 24.86, 67.01, 'PK'],
+    ['Lahore', 31.55, 74.34, 'PK'],
+    ['Islamabad', 33.68, 73.05, 'PK'],
+    ['Kabul', 34.56, 69.21, 'AF'],
+    ['Tehran', 35.69, 51.39, 'IR'],
+    ['Isfahan', 32.65, 51.67, 'IR'],
+    ['Baghdad', 33.31, 44.36, 'IQ'],
+    ['Damascus', 33.51, 36.28, 'SY'],
+    ['Beirut', 33.89, 35.50, 'LB'],
+    ['Amman', 31.95, 35.93, 'JO'],
+    ['Jerusalem', 31.77, 35.21, ['IL', 'PS']],
+    ['Tel Aviv', 32.09, 34.78, 'IL'],
+    ['Riyadh', 24.71, 46.68, 'SA'],
+    ['Jeddah', 21.49, 39.19, 'SA'],
+    ['Mecca', 21.42, 39.83, 'SA', ['makkah', 'kaaba']],
+    ['Medina', 24.47, 39.61, 'SA'],
+    ['Dubai', 25.20, 55.27, 'AE'],
+    ['Abu Dhabi', 24.45, 54.38, 'AE'],
+    ['Doha', 25.29, 51.53, 'QA'],
+    ['Manama', 26.23, 50.59, 'BH'],
+    ['Kuwait City', 29.38, 47.99, 'KW'],
+    ['Muscat', 23.59, 58.41, 'OM'],
+    ['Sanaa', 15.37, 44.19, 'YE'],
+    ['Tashkent', 41.30, 69.24, 'UZ'],
+    ['Samarkand', 39.65, 66.96, 'UZ'],
+    ['Almaty', 43.24, 76.95, 'KZ'],
+    ['Astana', 51.17, 71.45, 'KZ', ['nur sultan']],
+    ['Bishkek', 42.87, 74.59, 'KG'],
+    ['Baku', 40.41, 49.87, 'AZ'],
+    ['Tbilisi', 41.72, 44.79, 'GE'],
+    ['Yerevan', 40.18, 44.51, 'AM'],
+
+    // --- Asia: landmarks and natural sites ---
+    ['Great Wall of China', 40.43, 116.57, 'CN', ['great wall', 'mutianyu', 'badaling']],
+    ['Forbidden City', 39.916, 116.397, 'CN', ['tiananmen square']],
+    ['Terracotta Army', 34.385, 109.273, 'CN', ['terracotta warriors']],
+    ['Mount Fuji', 35.361, 138.727, 'JP', ['fuji', 'fujisan']],
+    ['Taj Mahal', 27.175, 78.042, 'IN'],
+    ['Golden Temple', 31.620, 74.877, 'IN', ['harmandir sahib']],
+    ['Mount Everest', 27.988, 86.925, ['NP', 'CN-XZ'], ['everest', 'sagarmatha', 'chomolungma']],
+    ['Angkor Wat', 13.412, 103.867, 'KH', ['angkor']],
+    ['Ha Long Bay', 20.91, 107.18, 'VN', ['halong bay']],
+    ['Bagan', 21.17, 94.86, 'MM'],
+    ['Borobudur', -7.608, 110.204, 'ID-JW'],
+    ['Petronas Towers', 3.158, 101.712, 'MY'],
+    ['Marina Bay Sands', 1.284, 103.861, 'SG'],
+    ['Burj Khalifa', 25.197, 55.274, 'AE'],
+    ['Petra', 30.329, 35.444, 'JO'],
+    ['Dead Sea', 31.56, 35.47, ['IL', 'JO', 'PS']],
+    ['Western Wall', 31.777, 35.234, ['IL', 'PS'], ['wailing wall']],
+
+    // --- Africa ---
+    ['Cairo', 30.04, 31.24, 'EG'],
+    ['Alexandria', 31.20, 29.92, 'EG'],
+    ['Luxor', 25.69, 32.64, 'EG'],
+    ['Aswan', 24.09, 32.90, 'EG'],
+    ['Marrakesh', 31.63, -8.00, 'MA', ['marrakech']],
+    ['Casablanca', 33.57, -7.59, 'MA'],
+    ['Fez', 34.03, -5.00, 'MA', ['fes']],
+    ['Rabat', 34.02, -6.83, 'MA'],
+    ['Tangier', 35.76, -5.83, 'MA', ['tangiers']],
+    ['Tunis', 36.81, 10.18, 'TN'],
+    ['Algiers', 36.75, 3.06, 'DZ'],
+    ['Tripoli', 32.89, 13.19, 'LY'],
+    ['Khartoum', 15.50, 32.56, 'SD'],
+    ['Addis Ababa', 9.03, 38.74, 'ET'],
+    ['Djibouti', 11.59, 43.15, 'DJ'],
+    ['Mogadishu', 2.05, 45.32, 'SO'],
+    ['Nairobi', -1.29, 36.82, 'KE'],
+    ['Mombasa', -4.04, 39.67, 'KE'],
+    ['Kampala', 0.35, 32.58, 'UG'],
+    ['Kigali', -1.94, 30.06, 'RW'],
+    ['Dar es Salaam', -6.79, 39.21, 'TZ'],
+    ['Zanzibar', -6.16, 39.19, 'TZ', ['stone town']],
+    ['Lagos', 6.52, 3.38, 'NG'],
+    ['Abuja', 9.08, 7.40, 'NG'],
+    ['Accra', 5.60, -0.19, 'GH'],
+    ['Abidjan', 5.36, -4.01, 'CI'],
+    ['Dakar', 14.72, -17.47, 'SN'],
+    ['Timbuktu', 16.77, -3.01, 'ML'],
+    ['Kinshasa', -4.44, 15.27, 'CD'],
+    ['Luanda', -8.84, 13.23, 'AO'],
+    ['Windhoek', -22.56, 17.08, 'NA'],
+    ['Gaborone', -24.63, 25.92, 'BW'],
+    ['Johannesburg', -26.20, 28.05, 'ZA', ['joburg']],
+    ['Pretoria', -25.75, 28.19, 'ZA'],
+    ['Durban', -29.86, 31.02, 'ZA'],
+    ['Cape Town', -33.92, 18.42, 'ZA'],
+    ['Harare', -17.83, 31.05, 'ZW'],
+    ['Lusaka', -15.39, 28.32, 'ZM'],
+    ['Maputo', -25.97, 32.57, 'MZ'],
+    ['Antananarivo', -18.88, 47.51, 'MG'],
+    ['Port Louis', -20.16, 57.50, 'MU'],
+    ['Pyramids of Giza', 29.979, 31.134, 'EG', ['giza', 'great pyramid', 'great pyramid of giza', 'sphinx', 'great sphinx']],
+    ['Valley of the Kings', 25.741, 32.602, 'EG'],
+    ['Abu Simbel', 22.337, 31.626, 'EG'],
+    ['Mount Kilimanjaro', -3.068, 37.356, 'TZ', ['kilimanjaro']],
+    ['Serengeti', -2.33, 34.83, 'TZ', ['serengeti national park']],
+    ['Victoria Falls', -17.925, 25.857, ['ZM', 'ZW'], ['mosi oa tunya']],
+    ['Okavango Delta', -19.30, 22.90, 'BW'],
+    ['Table Mountain', -33.963, 18.409, 'ZA'],
+
+    // --- Oceania ---
+    ['Sydney', -33.87, 151.21, 'AU-NSW'],
+    ['Melbourne', -37.81, 144.96, 'AU-VIC'],
+    ['Brisbane', -27.47, 153.03, 'AU-QLD'],
+    ['Gold Coast', -28.02, 153.40, 'AU-QLD'],
+    ['Perth', -31.95, 115.86, 'AU-WA'],
+    ['Adelaide', -34.93, 138.60, 'AU-SA'],
+    ['Canberra', -35.28, 149.13, 'AU-ACT'],
+    ['Darwin', -12.46, 130.84, 'AU-NT'],
+    ['Hobart', -42.88, 147.33, 'AU-TAS'],
+    ['Cairns', -16.92, 145.77, 'AU-QLD'],
+    ['Alice Springs', -23.70, 133.88, 'AU-NT'],
+    ['Auckland', -36.85, 174.76, 'NZ'],
+    ['Wellington', -41.29, 174.78, 'NZ'],
+    ['Christchurch', -43.53, 172.64, 'NZ'],
+    ['Queenstown', -45.03, 168.66, 'NZ'],
+    ['Suva', -18.14, 178.44, 'FJ'],
+    ['Port Moresby', -9.44, 147.18, 'PG'],
+    ['Noumea', -22.28, 166.46, 'NC'],
+    ['Papeete', -17.54, -149.57, 'PF', ['tahiti']],
+    ['Bora Bora', -16.50, -151.74, 'PF'],
+    ['Sydney Opera House', -33.857, 151.215, 'AU-NSW', ['opera house']],
+    ['Sydney Harbour Bridge', -33.852, 151.211, 'AU-NSW', ['harbour bridge']],
+    ['Uluru', -25.344, 131.036, 'AU-NT', ['ayers rock']],
+    ['Great Barrier Reef', -18.29, 147.70, 'AU-QLD'],
+    ['Milford Sound', -44.67, 167.93, 'NZ'],
+    ['Hobbiton', -37.872, 175.683, 'NZ', ['matamata']],
+    ['Aoraki / Mount Cook', -43.595, 170.142, 'NZ', ['mount cook', 'aoraki']],
+];
+
+// Countries and well-known regions, each placed at its approximate centre.
+// They let round targets like "a village in Norway" resolve to a point, but
+// guesses that resolve to them don't count as near misses: they are too broad,
+// and a big country's centre can be far from any given spot in it.
+// [name, latitude, longitude, area code, aliases]
+const AREAS = [
+    // --- Europe ---
+    ['Albania', 41.15, 20.17, 'AL'],
+    ['Andorra', 42.55, 1.58, 'AD'],
+    ['Austria', 47.59, 14.14, 'AT', ['osterreich']],
+    ['Belarus', 53.71, 27.95, 'BY'],
+    ['Belgium', 50.64, 4.67, 'BE'],
+    ['Bosnia and Herzegovina', 44.17, 17.79, 'BA', ['bosnia']],
+    ['Bulgaria', 42.77, 25.23, 'BG'],
+    ['Croatia', 45.10, 15.20, 'HR', ['hrvatska']],
+    ['Cyprus', 35.05, 33.20, 'CY'],
+    ['Czech Republic', 49.82, 15.47, 'CZ', ['czechia']],
+    ['Denmark', 56.00, 9.50, 'DK'],
+    ['Estonia', 58.60, 25.01, 'EE'],
+    ['Finland', 64.50, 26.27, 'FI', ['suomi']],
+    ['France', 46.60, 2.45, 'FR'],
+    ['Germany', 51.10, 10.40, 'DE', ['deutschland']],
+    ['Greece', 39.07, 22.96, 'GR', ['hellas']],
+    ['Hungary', 47.16, 19.40, 'HU'],
+    ['Iceland', 64.96, -18.60, 'IS'],
+    ['Ireland', 53.18, -8.24, 'IE', ['republic of ireland', 'eire']],
+    ['Italy', 42.80, 12.60, 'IT', ['italia']],
+    ['Kosovo', 42.57, 20.87, 'XK'],
+    ['Latvia', 56.88, 24.60, 'LV'],
+    ['Liechtenstein', 47.14, 9.55, 'LI'],
+    ['Lithuania', 55.17, 23.88, 'LT'],
+    ['Malta', 35.90, 14.45, 'MT'],
+    ['Moldova', 47.41, 28.37, 'MD'],
+    ['Montenegro', 42.71, 19.37, 'ME'],
+    ['Netherlands', 52.13, 5.29, 'NL', ['holland']],
+    ['North Macedonia', 41.61, 21.75, 'MK', ['macedonia']],
+    ['Norway', 62.50, 9.50, 'NO', ['norge']],
+    ['Poland', 51.92, 19.15, 'PL', ['polska']],
+    ['Portugal', 39.56, -8.00, 'PT'],
+    ['Romania', 45.94, 24.97, 'RO'],
+    ['Russia', 61.52, 105.32, 'RU', ['russian federation']],
+    ['Serbia', 44.02, 21.01, 'RS'],
+    ['Slovakia', 48.67, 19.70, 'SK'],
+    ['Slovenia', 46.15, 14.99, 'SI'],
+    ['Spain', 40.46, -3.75, 'ES', ['espana']],
+    ['Sweden', 62.00, 15.00, 'SE', ['sverige']],
+    ['Switzerland', 46.82, 8.23, 'CH', ['schweiz', 'suisse']],
+    ['Ukraine', 48.38, 31.17, 'UA'],
+    ['United Kingdom', 54.00, -2.50, 'GB', ['uk', 'great britain', 'britain']],
+    ['England', 52.36, -1.17, 'GB-ENG'],
+    ['Scotland', 56.49, -4.20, 'GB-SCT'],
+    ['Wales', 52.13, -3.78, 'GB-WLS'],
+    ['Northern Ireland', 54.61, -6.63, 'GB-NIR'],
+    ['Catalonia', 41.80, 1.50, 'ES-CT', ['catalunya']],
+    ['Andalusia', 37.50, -4.70, 'ES-AN', ['andalucia']],
+    ['Basque Country', 43.00, -2.60, 'ES-PV'],
+    ['Canary Islands', 28.30, -16.00, 'ES-CN', ['canaries']],
+    ['Balearic Islands', 39.60, 2.90, 'ES-IB', ['balearics']],
+    ['Madeira', 32.75, -16.96, 'PT-30'],
+    ['Azores', 38.50, -28.00, 'PT-20'],
+    ['Normandy', 49.10, 0.20, 'FR-NOR', ['normandie']],
+    ['Brittany', 48.20, -2.90, 'FR-BRE', ['bretagne']],
+    ['Provence', 43.90, 6.00, 'FR-PAC'],
+    ['Corsica', 42.00, 9.00, 'FR-COR', ['corse']],
+    ['Bavaria', 48.80, 11.50, 'DE-BY', ['bayern']],
+    ['Tuscany', 43.40, 11.00, 'IT-52', ['toscana']],
+    ['Sicily', 37.60, 14.00, 'IT-82', ['sicilia']],
+    ['Sardinia', 40.10, 9.00, 'IT-88', ['sardegna']],
+    ['Crete', 35.20, 24.90, 'GR-M'],
+    ['Lapland', 67.90, 26.00, 'FI-10'],
+    ['Siberia', 60.00, 105.00, 'RU-SIB'],
+    ['Greenland', 71.71, -42.60, 'GL'],
+
+    // --- Asia and the Middle East ---
+    ['Afghanistan', 33.94, 67.71, 'AF'],
+    ['Armenia', 40.07, 45.04, 'AM'],
+    ['Azerbaijan', 40.14, 47.58, 'AZ'],
+    ['Bahrain', 26.07, 50.56, 'BH'],
+    ['Bangladesh', 23.68, 90.36, 'BD'],
+    ['Bhutan', 27.51, 90.43, 'BT'],
+    ['Brunei', 4.54, 114.73, 'BN'],
+    ['Cambodia', 12.57, 104.99, 'KH'],
+    ['China', 35.86, 104.20, 'CN', ['prc']],
+    ['Georgia', 42.32, 43.36, 'GE'],
+    ['India', 20.59, 78.96, 'IN'],
+    ['Indonesia', -0.79, 113.92, 'ID'],
+    ['Iran', 32.43, 53.69, 'IR', ['persia']],
+    ['Iraq', 33.22, 43.68, 'IQ'],
+    ['Israel', 31.05, 34.85, 'IL'],
+    ['Japan', 36.20, 138.25, 'JP', ['nippon']],
+    ['Jordan', 30.59, 36.24, 'JO'],
+    ['Kazakhstan', 48.02, 66.92, 'KZ'],
+    ['Kuwait', 29.31, 47.48, 'KW'],
+    ['Kyrgyzstan', 41.20, 74.77, 'KG'],
+    ['Laos', 19.86, 102.50, 'LA'],
+    ['Lebanon', 33.85, 35.86, 'LB'],
+    ['Malaysia', 4.21, 101.98, 'MY'],
+    ['Maldives', 3.20, 73.22, 'MV'],
+    ['Mongolia', 46.86, 103.85, 'MN'],
+    ['Myanmar', 21.91, 95.96, 'MM', ['burma']],
+    ['Nepal', 28.39, 84.12, 'NP'],
+    ['North Korea', 40.34, 127.51, 'KP'],
+    ['Oman', 21.51, 55.92, 'OM'],
+    ['Pakistan', 30.38, 69.35, 'PK'],
+    ['Palestine', 31.95, 35.23, 'PS'],
+    ['Philippines', 12.88, 121.77, 'PH'],
+    ['Qatar', 25.35, 51.18, 'QA'],
+    ['Saudi Arabia', 23.89, 45.08, 'SA'],
+    ['South Korea', 35.91, 127.77, 'KR', ['korea']],
+    ['Sri Lanka', 7.87, 80.77, 'LK', ['ceylon']],
+    ['Syria', 34.80, 39.00, 'SY'],
+    ['Taiwan', 23.70, 120.96, 'TW'],
+    ['Tajikistan', 38.86, 71.28, 'TJ'],
+    ['Thailand', 15.87, 100.99, 'TH', ['siam']],
+    ['Timor-Leste', -8.87, 125.73, 'TL', ['east timor']],
+    ['Turkey', 38.96, 35.24, 'TR', ['turkiye']],
+    ['Turkmenistan', 38.97, 59.56, 'TM'],
+    ['United Arab Emirates', 23.42, 53.85, 'AE', ['uae']],
+    ['Uzbekistan', 41.38, 64.59, 'UZ'],
+    ['Vietnam', 14.06, 108.28, 'VN', ['viet nam']],
+    ['Yemen', 15.55, 48.52, 'YE'],
+    ['Hokkaido', 43.20, 142.90, 'JP-01'],
+    ['Okinawa', 26.50, 127.90, 'JP-47'],
+    ['Java', -7.50, 110.00, 'ID-JW'],
+    ['Sumatra', 0.00, 102.00, 'ID-SM'],
+    ['Borneo', 1.00, 114.00, 'BORNEO'],
+    ['Tibet', 31.70, 88.00, 'CN-XZ'],
+    ['Kashmir', 34.00, 76.00, 'KASHMIR'],
+
+    // --- Africa ---
+    ['Algeria', 28.03, 1.66, 'DZ'],
+    ['Angola', -11.20, 17.87, 'AO'],
+    ['Benin', 9.31, 2.32, 'BJ'],
+    ['Botswana', -22.33, 24.68, 'BW'],
+    ['Burkina Faso', 12.24, -1.56, 'BF'],
+    ['Burundi', -3.37, 29.92, 'BI'],
+    ['Cameroon', 7.37, 12.35, 'CM'],
+    ['Cape Verde', 16.00, -24.01, 'CV', ['cabo verde']],
+    ['Central African Republic', 6.61, 20.94, 'CF'],
+    ['Chad', 15.45, 18.73, 'TD'],
+    ['Comoros', -11.88, 43.87, 'KM'],
+    ['Democratic Republic of the Congo', -4.04, 21.76, 'CD', ['dr congo', 'drc', 'congo kinshasa']],
+    ['Republic of the Congo', -0.23, 15.83, 'CG', ['congo', 'congo brazzaville']],
+    ['Egypt', 26.82, 30.80, 'EG'],
+    ['Equatorial Guinea', 1.65, 10.27, 'GQ'],
+    ['Eritrea', 15.18, 39.78, 'ER'],
+    ['Eswatini', -26.52, 31.47, 'SZ', ['swaziland']],
+    ['Ethiopia', 9.15, 40.49, 'ET'],
+    ['Gabon', -0.80, 11.61, 'GA'],
+    ['Gambia', 13.44, -15.31, 'GM'],
+    ['Ghana', 7.95, -1.02, 'GH'],
+    ['Guinea', 9.95, -9.70, 'GN'],
+    ['Guinea-Bissau', 11.80, -15.18, 'GW'],
+    ['Ivory Coast', 7.54, -5.55, 'CI', ['cote divoire']],
+    ['Kenya', -0.02, 37.91, 'KE'],
+    ['Lesotho', -29.61, 28.23, 'LS'],
+    ['Liberia', 6.43, -9.43, 'LR'],
+    ['Libya', 26.34, 17.23, 'LY'],
+    ['Madagascar', -18.77, 46.87, 'MG'],
+    ['Malawi', -13.25, 34.30, 'MW'],
+    ['Mali', 17.57, -4.00, 'ML'],
+    ['Mauritania', 21.01, -10.94, 'MR'],
+    ['Mauritius', -20.35, 57.55, 'MU'],
+    ['Morocco', 31.79, -7.09, 'MA'],
+    ['Mozambique', -18.67, 35.53, 'MZ'],
+    ['Namibia', -22.96, 18.49, 'NA'],
+    ['Niger', 17.61, 8.08, 'NE'],
+    ['Nigeria', 9.08, 8.68, 'NG'],
+    ['Rwanda', -1.94, 29.87, 'RW'],
+    ['Sao Tome and Principe', 0.19, 6.61, 'ST'],
+    ['Senegal', 14.50, -14.45, 'SN'],
+    ['Seychelles', -4.68, 55.49, 'SC'],
+    ['Sierra Leone', 8.46, -11.78, 'SL'],
+    ['Somalia', 5.15, 46.20, 'SO'],
+    ['South Africa', -30.56, 22.94, 'ZA'],
+    ['South Sudan', 6.88, 31.31, 'SS'],
+    ['Sudan', 12.86, 30.22, 'SD'],
+    ['Tanzania', -6.37, 34.89, 'TZ'],
+    ['Togo', 8.62, 0.82, 'TG'],
+    ['Tunisia', 33.89, 9.54, 'TN'],
+    ['Uganda', 1.37, 32.29, 'UG'],
+    ['Zambia', -13.13, 27.85, 'ZM'],
+    ['Zimbabwe', -19.02, 29.15, 'ZW'],
+
+    // --- The Americas ---
+    ['Argentina', -38.42, -63.62, 'AR'],
+    ['Bahamas', 25.03, -77.40, 'BS'],
+    ['Barbados', 13.19, -59.54, 'BB'],
+    ['Belize', 17.19, -88.50, 'BZ'],
+    ['Bolivia', -16.29, -63.59, 'BO'],
+    ['Brazil', -14.24, -51.93, 'BR', ['brasil']],
+    ['Canada', 56.13, -106.35, 'CA'],
+    ['Chile', -35.68, -71.54, 'CL'],
+    ['Colombia', 4.57, -74.30, 'CO'],
+    ['Costa Rica', 9.75, -83.75, 'CR'],
+    ['Cuba', 21.52, -77.78, 'CU'],
+    ['Dominican Republic', 18.74, -70.16, 'DO'],
+    ['Ecuador', -1.83, -78.18, 'EC'],
+    ['El Salvador', 13.79, -88.90, 'SV'],
+    ['Guatemala', 15.78, -90.23, 'GT'],
+    ['Guyana', 4.86, -58.93, 'GY'],
+    ['Haiti', 18.97, -72.29, 'HT'],
+    ['Honduras', 15.20, -86.24, 'HN'],
+    ['Jamaica', 18.11, -77.30, 'JM'],
+    ['Mexico', 23.63, -102.55, 'MX'],
+    ['Nicaragua', 12.87, -85.21, 'NI'],
+    ['Panama', 8.54, -80.78, 'PA'],
+    ['Paraguay', -23.44, -58.44, 'PY'],
+    ['Peru', -9.19, -75.02, 'PE'],
+    ['Puerto Rico', 18.22, -66.59, 'PR'],
+    ['Suriname', 3.92, -56.03, 'SR'],
+    ['Trinidad and Tobago', 10.69, -61.22, 'TT'],
+    ['United States', 39.83, -98.58, 'US', ['usa', 'us', 'united states of america', 'america']],
+    ['Uruguay', -32.52, -55.77, 'UY'],
+    ['Venezuela', 6.42, -66.59, 'VE'],
+    ['Patagonia', -45.00, -69.00, 'PATAGONIA'],
+    ['Yucatan', 20.70, -89.00, 'MX-YUC', ['yucatan peninsula']],
+    // US states. A city or the country of the same name comes first, so these
+    // only win where a qualifier picks them ("Atlanta, Georgia").
+    ['Alabama', 32.80, -86.80, 'US-AL'],
+    ['Alaska', 64.00, -152.00, 'US-AK'],
+    ['Arizona', 34.30, -111.70, 'US-AZ'],
+    ['Arkansas', 34.90, -92.40, 'US-AR'],
+    ['California', 37.20, -119.50, 'US-CA'],
+    ['Colorado', 39.00, -105.50, 'US-CO'],
+    ['Connecticut', 41.60, -72.70, 'US-CT'],
+    ['Delaware', 39.00, -75.50, 'US-DE'],
+    ['Florida', 28.60, -82.40, 'US-FL'],
+    ['Georgia (US state)', 32.70, -83.40, 'US-GA', ['georgia']],
+    ['Hawaii', 20.80, -156.30, 'US-HI'],
+    ['Idaho', 44.40, -114.60, 'US-ID'],
+    ['Illinois', 40.00, -89.20, 'US-IL'],
+    ['Indiana', 39.90, -86.30, 'US-IN'],
+    ['Iowa', 42.10, -93.50, 'US-IA'],
+    ['Kansas', 38.50, -98.40, 'US-KS'],
+    ['Kentucky', 37.50, -85.30, 'US-KY'],
+    ['Louisiana', 31.10, -92.00, 'US-LA'],
+    ['Maine', 45.40, -69.20, 'US-ME'],
+    ['Maryland', 39.00, -76.80, 'US-MD'],
+    ['Massachusetts', 42.30, -71.80, 'US-MA'],
+    ['Michigan', 44.30, -85.40, 'US-MI'],
+    ['Minnesota', 46.30, -94.30, 'US-MN'],
+    ['Mississippi', 32.70, -89.70, 'US-MS'],
+    ['Missouri', 38.40, -92.50, 'US-MO'],
+    ['Montana', 47.00, -109.60, 'US-MT'],
+    ['Nebraska', 41.50, -99.80, 'US-NE'],
+    ['Nevada', 39.30, -116.60, 'US-NV'],
+    ['New Hampshire', 43.70, -71.60, 'US-NH'],
+    ['New Jersey', 40.20, -74.70, 'US-NJ'],
+    ['New Mexico', 34.40, -106.10, 'US-NM'],
+    ['New York State', 42.90, -75.50, 'US-NY', ['new york']],
+    ['North Carolina', 35.60, -79.40, 'US-NC'],
+    ['North Dakota', 47.50, -100.50, 'US-ND'],
+    ['Ohio', 40.30, -82.80, 'US-OH'],
+    ['Oklahoma', 35.60, -97.50, 'US-OK'],
+    ['Oregon', 43.90, -120.60, 'US-OR'],
+    ['Pennsylvania', 40.90, -77.80, 'US-PA'],
+    ['Rhode Island', 41.70, -71.50, 'US-RI'],
+    ['South Carolina', 33.90, -80.90, 'US-SC'],
+    ['South Dakota', 44.40, -100.20, 'US-SD'],
+    ['Tennessee', 35.90, -86.40, 'US-TN'],
+    ['Texas', 31.50, -99.30, 'US-TX'],
+    ['Utah', 39.30, -111.70, 'US-UT'],
+    ['Vermont', 44.10, -72.70, 'US-VT'],
+    ['Virginia', 37.50, -78.90, 'US-VA'],
+    ['Washington State', 47.40, -120.50, 'US-WA', ['washington']],
+    ['West Virginia', 38.60, -80.60, 'US-WV'],
+    ['Wisconsin', 44.60, -90.00, 'US-WI'],
+    ['Wyoming', 43.00, -107.60, 'US-WY'],
+    // Canadian provinces and territories
+    ['Alberta', 55.00, -115.00, 'CA-AB'],
+    ['British Columbia', 53.70, -127.60, 'CA-BC'],
+    ['Manitoba', 55.00, -97.00, 'CA-MB'],
+    ['New Brunswick', 46.50, -66.20, 'CA-NB'],
+    ['Newfoundland and Labrador', 53.10, -57.70, 'CA-NL', ['newfoundland', 'labrador']],
+    ['Nova Scotia', 45.00, -63.00, 'CA-NS'],
+    ['Ontario', 50.00, -85.00, 'CA-ON'],
+    ['Prince Edward Island', 46.40, -63.20, 'CA-PE'],
+    ['Quebec', 52.90, -73.50, 'CA-QC', ['province of quebec']],
+    ['Saskatchewan', 54.00, -106.00, 'CA-SK'],
+    ['Yukon', 64.30, -135.00, 'CA-YT'],
+    ['Northwest Territories', 64.80, -124.80, 'CA-NT'],
+    ['Nunavut', 70.30, -83.10, 'CA-NU'],
+
+    // --- Oceania ---
+    ['Australia', -25.27, 133.78, 'AU'],
+    ['Fiji', -17.71, 178.07, 'FJ'],
+    ['New Zealand', -40.90, 174.89, 'NZ', ['aotearoa']],
+    ['Papua New Guinea', -6.31, 143.96, 'PG', ['png']],
+    ['Samoa', -13.76, -172.10, 'WS'],
+    ['Solomon Islands', -9.65, 160.16, 'SB'],
+    ['Tonga', -21.18, -175.20, 'TO'],
+    ['Vanuatu', -15.38, 166.96, 'VU'],
+    ['New South Wales', -32.00, 147.00, 'AU-NSW', ['nsw']],
+    ['Victoria (Australia)', -37.00, 144.30, 'AU-VIC', ['victoria']],
+    ['Queensland', -22.00, 144.00, 'AU-QLD'],
+    ['Western Australia', -26.00, 121.00, 'AU-WA'],
+    ['South Australia', -30.00, 135.00, 'AU-SA'],
+    ['Tasmania', -42.00, 146.60, 'AU-TAS'],
+    ['Northern Territory', -19.50, 133.00, 'AU-NT'],
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lowercases, strips accents and punctuation, and drops a leading "the".
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizePlaceName(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^the /, '');
+}
+
+// normalized name or alias -> every place it could mean. PLACES come first, so
+// a city wins over an area with the same name (Singapore, New York) unless a
+// qualifier says otherwise.
+const PLACE_INDEX = new Map();
+function indexEntries(entries, area) {
+    for (const [name, lat, lon, codes, aliases = []] of entries) {
+        const place = { name, lat, lon, area, codes: [].concat(codes) };
+        for (const key of new Set([name, ...aliases].map(normalizePlaceName))) {
+            if (!PLACE_INDEX.has(key)) PLACE_INDEX.set(key, []);
+            PLACE_INDEX.get(key).push(place);
+        }
+    }
+}
+indexEntries(PLACES, false);
+indexEntries(AREAS, true);
+
+function lookupPlaces(text) {
+    return PLACE_INDEX.get(normalizePlaceName(text)) || [];
+}
+
+function liesWithin(place, area) {
+    const areaCode = area.codes[0];
+    return place.codes.some(code => code === areaCode || code.startsWith(`${areaCode}-`));
+}
+
+// First candidate that lies within one of the areas of every qualifier
+function pickWithin(candidates, qualifiers) {
+    return candidates.find(place => qualifiers.every(areas => areas.some(area => liesWithin(place, area)))) || null;
+}
+
+/**
+ * Resolves a location name or guess to a gazetteer entry. Tries the whole
+ * text first, then the first comma-separated part it knows, so "Shibuya
+ * Crossing, Tokyo, Japan" resolves to Tokyo. Countries and regions in later
+ * parts or in brackets qualify that match: "Portland, Maine" isn't the
+ * Portland in the gazetteer, so it resolves to Maine instead.
+ * @param {string} text
+ * @returns {{name: string, lat: number, lon: number, area: boolean, codes: string[]}|null}
+ *   null if the place isn't known. area is true for countries and regions.
+ */
+export function findPlace(text) {
+    const raw = String(text || '');
+    const [exact] = lookupPlaces(raw);
+    if (exact) return exact;
+
+    const bracketed = [...raw.matchAll(/\(([^)]*)\)/g)].map(match => match[1]);
+    const parts = [...raw.replace(/\([^)]*\)/g, '').split(','), ...bracketed];
+    for (let i = 0; i < parts.length; i++) {
+        const candidates = lookupPlaces(parts[i]);
+        if (candidates.length === 0) continue;
+        const qualifiers = parts.slice(i + 1)
+            .map(part => lookupPlaces(part).filter(place => place.area))
+            .filter(areas => areas.length > 0);
+        if (qualifiers.length === 0) return candidates[0];
+        // Not in the named area: the area itself is the best guess at where it is
+        return pickWithin(candidates, qualifiers)
+            || pickWithin(qualifiers[0], qualifiers.slice(1))
+            || qualifiers[0][0];
+    }
+    return null;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number} Distance in kilometres.
+ */
+export function distanceKm(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
@@ -36,10 +36,49 @@ export function formatStartNextRoundMessage(currentRound, totalRounds) {
  * Formats a clue message.
  * @param {number} clueNumber
  * @param {string} clueText
+ * @param {string} [distanceHint=''] - Formatted warmer/colder hint (see formatDistanceHint)
  * @returns {string}
  */
-export function formatClueMessage(clueNumber, clueText) {
-    return `❓ Clue ${clueNumber}: ${clueText}`;
+export function formatClueMessage(clueNumber, clueText, distanceHint = '') {
+    return `❓ Clue ${clueNumber}: ${clueText}${distanceHint}`;
+}
+
+/**
+ * Formats a distance for chat.
+ * @param {number} km
+ * @returns {string} e.g. "392 km", "1,204 km" or "under 1 km"
+ */
+export function formatDistance(km) {
+    if (km < 1) return 'under 1 km';
+    return `${Math.round(km).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Formats the warmer/colder hint sent with a follow-up clue.
+ * @param {number|null} latestKm - Closest guess since the previous clue, or null if none could be placed.
+ * @param {number|null} previousKm - Closest guess before that, or null if none.
+ * @returns {string} e.g. " 🔥 Warmer! The closest guess is now 392 km away.", or '' when there's nothing to say.
+ */
+export function formatDistanceHint(latestKm, previousKm) {
+    if (latestKm === null || latestKm === undefined) return '';
+    if (previousKm === null || previousKm === undefined) {
+        return ` 📍 The closest guess so far is ${formatDistance(latestKm)} away.`;
+    }
+    if (latestKm < previousKm) {
+        return ` 🔥 Warmer! The closest guess is now ${formatDistance(latestKm)} away.`;
+    }
+    return ` 🧊 Colder! Nobody has beaten ${formatDistance(previousKm)} away.`;
+}
+
+/**
+ * Formats the nearest wrong guess of a round.
+ * @param {{displayName: string, guess: string, distanceKm: number, points: number}|null} nearMiss
+ * @returns {string} e.g. " 📍 Nearest miss: @User (Lyon, 392 km away, +6 pts).", or '' if there was none.
+ */
+export function formatNearMissInfo(nearMiss) {
+    if (!nearMiss) return '';
+    const pointsInfo = nearMiss.points > 0 ? `, +${nearMiss.points} pts` : '';
+    return ` 📍 Nearest miss: @${nearMiss.displayName} (${nearMiss.guess}, ${formatDistance(nearMiss.distanceKm)} away${pointsInfo}).`;
 }
 
 /**
@@ -49,25 +88,28 @@ export function formatClueMessage(clueNumber, clueText) {
  * @param {number|null} [timeTakenMs]
  * @param {string} [streakInfo=''] - Formatted streak info (e.g., " 🔥x3")
  * @param {string} [pointsInfo=''] - Formatted points info (e.g., " (+25 pts)")
+ * @param {string} [teamInfo=''] - Formatted team info in team mode (e.g., " for Team Red (Red 30, Blue 20)")
+ * @param {string} [distanceInfo=''] - Formatted nearest miss (see formatNearMissInfo)
  * @returns {string}
  */
-export function formatCorrectGuessMessage(displayName, locationName, timeTakenMs = null, streakInfo = '', pointsInfo = '') {
+export function formatCorrectGuessMessage(displayName, locationName, timeTakenMs = null, streakInfo = '', pointsInfo = '', teamInfo = '', distanceInfo = '') {
     let timeMsg = '';
     if (typeof timeTakenMs === 'number' && timeTakenMs > 0) {
         const seconds = Math.round(timeTakenMs / 1000);
         timeMsg = ` in ${seconds}s`;
     }
-    // Include streak and points info
-    return `✅ Congrats @${displayName}! You guessed: ${locationName}${timeMsg}${streakInfo}${pointsInfo}!`;
+    // Include streak, points and team info
+    return `✅ Congrats @${displayName}! You guessed: ${locationName}${timeMsg}${streakInfo}${pointsInfo}${teamInfo}!${distanceInfo}`;
 }
 
 /**
  * Formats the timeout message when the round ends without a correct guess.
  * @param {string} locationName
+ * @param {string} [distanceInfo=''] - Formatted nearest miss (see formatNearMissInfo)
  * @returns {string}
  */
-export function formatTimeoutMessage(locationName) {
-    return `⏱️ Time's up! The correct answer was: ${locationName}`;
+export function formatTimeoutMessage(locationName, distanceInfo = '') {
+    return `⏱️ Time's up! The correct answer was: ${locationName}${distanceInfo ? `.${distanceInfo}` : ''}`;
 }
 
 /**
@@ -95,7 +137,7 @@ export function formatRevealMessage(locationName, revealText) {
 
 /**
  * Formats the game session scores message.
- * @param {Map<string, { displayName: string; score: number }>} gameSessionScores - Map of username -> { displayName, score (points) }.
+ * @param {Map<string, { displayName: string; score: number; nearestMissKm?: number }>} gameSessionScores - Map of username -> { displayName, score (points), nearestMissKm (closest wrong guess this game) }.
  * @returns {string} Formatted score message, or empty string if no scores.
  */
 export function formatGameSessionScoresMessage(gameSessionScores) {
@@ -112,7 +154,8 @@ export function formatGameSessionScoresMessage(gameSessionScores) {
         const rank = index + 1;
         const name = data.displayName || username;
         const score = data.score; // score now represents points
-        return `${rank}. ${name} (${score} pts)`; // Label as 'pts'
+        const missInfo = typeof data.nearestMissKm === 'number' ? `, closest miss ${formatDistance(data.nearestMissKm)}` : '';
+        return `${rank}. ${name} (${score} pts${missInfo})`; // Label as 'pts'
     });
 
     if (listItems.length === 0) {
@@ -182,7 +182,7 @@ const initializeStorage = () => geoStorage.initializeStorage();
 const loadChannelConfig = (channelName) => geoStorage.loadChannelConfig(channelName);
 const saveChannelConfig = (channelName, config) => geoStorage.saveChannelConfig(channelName, config);
 const recordGameResult = (gameDetails) => geoStorage.recordGameResult(gameDetails);
-const updatePlayerScore = (username, channelName, points, displayName) => geoStorage.updatePlayerScore(username, channelName, points, displayName);
+const updatePlayerScore = (username, channelName, points, displayName, options) => geoStorage.updatePlayerScore(username, channelName, points, displayName, options);
 const getPlayerStats = (username, channelName) => geoStorage.getPlayerStats(username, channelName);
 const getLeaderboard = (channelName, limit) => geoStorage.getLeaderboard(channelName, limit);
 const getRecentLocations = (channelName, limit) => geoStorage.getRecentLocations(channelName, limit);
@@ -0,0 +1,72 @@
+import config from '../../../config/loader.js';
+import * as geminiCore from './core.js';
+import * as geminiChat from './chat.js';
+import * as geminiGen from './generation.js';
+import { safeParseJsonResponse } from './utils.js';
+import { toGeminiSchema } from '../schemaUtils.js';
+
+/**
+ * Gemini implementation of the LLM provider interface (see providerRegistry.js).
+ * Default for the 'lite' and 'vision' tasks.
+ * @type {import('../providerRegistry.js').LlmProvider}
+ */
+export const geminiProvider = {
+    name: 'gemini',
+
+    initialize(appConfig) {
+        if (!appConfig.gemini?.apiKey) {
+            throw new Error('GEMINI_API_KEY is required when an LLM task uses the "gemini" provider. Set it in environment variables.');
+        }
+        geminiCore.initializeGeminiClient(appConfig.gemini);
+    },
+
+    generateText(prompt, { tier = 'lite', webSearch = false, ...options } = {}) {
+        const modelId = options.modelId || (tier === 'main' ? config.gemini.modelId : undefined);
+        return geminiCore.generateLiteContent(prompt, {
+            ...options,
+            ...(modelId ? { modelId } : {}),
+            ...(webSearch ? { tools: [{ googleSearch: {} }] } : {})
+        });
+    },
+
+    async generateStructuredJson({ tier = 'lite', prompt, schema, schemaName, systemInstruction, temperature, tools, multimodalParts }) {
+        const parts = [{ text: prompt }, ...(multimodalParts || [])];
+        const genConfig = {
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(schema)
+        };
+        if (temperature !== undefined) genConfig.temperature = temperature;
+
+        const result = await geminiCore.getGeminiClient().generateContent({
+            model: tier === 'main' ? config.gemini.modelId : config.gemini.liteModelId,
+            contents: [{ role: 'user', parts }],
+            ...(systemInstruction ? { systemInstruction } : {}),
+            ...(tools ? { tools } : {}),
+            generationConfig: genConfig
+        });
+
+        return {
+            parsed: safeParseJsonResponse(result, `[StructuredJson:${schemaName}]`),
+            searchUsed: !!(result?.candidates?.[0]?.groundingMetadata?.webSearchQueries?.length)
+        };
+    },
+
+    describeImages({ parts, prompt, systemInstruction, modelId, maxOutputTokens, thinkingLevel }) {
+        return geminiCore.generateLiteContent(prompt, {
+            systemInstruction,
+            multimodalParts: parts,
+            modelId: modelId || config.gemini.liteModelId,
+            maxOutputTokens,
+            ...(thinkingLevel ? { thinkingLevel } : {})
+        });
+    },
+
+    getOrCreateChatSession: geminiChat.getOrCreateChatSession,
+    resetChatSession: geminiChat.resetChatSession,
+    clearChatSession: geminiChat.clearChatSession,
+    generateStandardResponse: geminiGen.generateStandardResponse,
+    generateSearchResponse: geminiGen.generateSearchResponse,
+    generateUnifiedResponse: geminiGen.generateUnifiedResponse,
+    fetchIanaTimezoneForLocation: geminiGen.fetchIanaTimezoneForLocation,
+    summarizeText: geminiGen.summarizeText,
+};
@@ -26,6 +26,30 @@ const DEFAULT_LIMIT = 5;
 /** Source key for daily check-in responses. */
 export const CHECKIN_SOURCE = 'checkin';
 
+/** Source key for replies to @mentions and replies-to-bot. */
+export const MENTION_SOURCE = 'mention';
+
+/** Source key for auto-chat (greetings, lulls, celebrations, ad notices). */
+export const AUTOCHAT_SOURCE = 'autochat';
+
+/** Source key for chat translation. */
+export const TRANSLATION_SOURCE = 'translation';
+
+/** Source key for checking chat guesses in running trivia/geo/riddle games. */
+export const GAME_GUESS_SOURCE = 'game-guess';
+
+/** Source key for the AI chat moderation classifier. */
+export const MODERATION_SOURCE = 'moderation';
+
+/**
+ * Returns the source key for a built-in command by name.
+ * @param {string} commandName - The command name (without '!').
+ * @returns {string} Source key, e.g. "command:ask".
+ */
+export function builtinCommandSource(commandName) {
+    return `command:${commandName}`;
+}
+
 /**
  * Returns the source key for a custom command by name.
  * @param {string} commandName - The command name (without '!').
@@ -44,6 +68,24 @@ export function timerSource(timerName) {
     return `timer:${timerName}`;
 }
 
+/**
+ * Returns the source key for a keyword trigger by trigger name.
+ * @param {string} triggerName - The trigger name.
+ * @returns {string} Source key, e.g. "trigger:gg".
+ */
+export function triggerSource(triggerName) {
+    return `trigger:${triggerName}`;
+}
+
+/**
+ * Returns the source key for a Channel Points reward action by reward name.
+ * @param {string} rewardName - The reward name.
+ * @returns {string} Source key, e.g. "reward:hydrate".
+ */
+export function rewardSource(rewardName) {
+    return `reward:${rewardName}`;
+}
+
 // ─── Firestore I/O ──────────────────────────────────────────────────────────
 
 /**
@@ -2,42 +2,31 @@ import config from '../../config/loader.js';
 import logger from '../../lib/logger.js';
 
 import * as geminiCore from './gemini/core.js';
-import * as geminiGen from './gemini/generation.js';
 import * as geminiUtils from './gemini/utils.js';
 
-import * as openAiCore from './openai/core.js';
-import * as openAiChat from './openai/chat.js';
-import * as openAiGen from './openai/generation.js';
-import * as openAiDec from './openai/decision.js';
-
-import { toGeminiSchema } from './schemaUtils.js';
+import { getLlmProvider, getProviderForTask, getConfiguredProviderNames } from './providerRegistry.js';
+import { inferSearchNeedByHeuristic } from './searchHeuristic.js';
 
 export { buildContextPrompt } from './gemini/prompts.js';
+export { registerLlmProvider, getLlmProvider, listLlmProviders, LLM_TASKS } from './providerRegistry.js';
 
 /**
- * Initializes BOTH LLM clients for the 2-model routing architecture.
- * Both providers are required — missing either key is a fatal startup error.
+ * Initializes every provider referenced by a task (config.llm.tasks).
+ * With the default mapping that is both clients:
+ *
+ * - Gemini Flash Lite (lite, vision): Translation, summarization, botlang detection, emote description
+ * - OpenAI Luna (main): All other functionalities (ask, search, games, check-ins, commands)
  *
- * - Gemini Flash Lite: Translation, summarization, botlang detection, emote description
- * - OpenAI Luna: All other functionalities (ask, search, games, check-ins, commands)
+ * A provider that is referenced but misconfigured is a fatal startup error.
  */
 export function initializeLlmClient(appConfig = config) {
-    const openaiConfig = appConfig.openai || config.openai;
-    const geminiConfig = appConfig.gemini || appConfig;
+    // initializeGeminiClient() callers pass the bare Gemini section.
+    const resolvedConfig = appConfig.gemini || appConfig.openai ? appConfig : { ...config, gemini: appConfig };
 
-    // Fail-fast: both providers are required for the 2-model architecture.
-    if (!openaiConfig?.apiKey) {
-        throw new Error('OPENAI_API_KEY is required for 2-model routing (Primary tier). Set it in environment variables.');
-    }
-    if (!geminiConfig?.apiKey) {
-        throw new Error('GEMINI_API_KEY is required for 2-model routing (Speed tier). Set it in environment variables.');
+    for (const name of getConfiguredProviderNames(resolvedConfig)) {
+        logger.info(`Initializing LLM provider: ${name}`);
+        getLlmProvider(name).initialize(resolvedConfig);
     }
-
-    logger.info('Initializing OpenAI client (Primary tier: gpt-5.6-luna)');
-    openAiCore.initializeOpenAiClient(openaiConfig);
-
-    logger.info('Initializing Gemini client (Speed tier: gemini-flash-lite-latest)');
-    geminiCore.initializeGeminiClient(geminiConfig);
 }
 
 export function initializeGeminiClient(configOrGeminiConfig) {
@@ -52,57 +41,69 @@ export function getGeminiClient() {
     return geminiCore.getGeminiClient();
 }
 
+/**
+ * Returns the method a task's provider implements for an optional capability.
+ * @throws {Error} If the provider does not support it.
+ */
+function requireCapability(task, method) {
+    const provider = getProviderForTask(task);
+    if (typeof provider[method] !== 'function') {
+        throw new Error(`LLM provider "${provider.name}" (task: ${task}) does not support ${method}().`);
+    }
+    return provider[method];
+}
+
 /**
  * One-shot generation helper.
- * By default (no model option or model='lite'), routes to Gemini Flash Lite for speed (~360ms).
- * If model='main', routes to OpenAI Luna for personality & quality (~1s),
- * explicitly setting modelId and reasoningEffort to main-tier values.
+ * By default (no model option or model='lite'), routes to the lite provider (Gemini Flash Lite, ~360ms).
+ * If model='main', routes to the main provider (OpenAI Luna) for personality & quality (~1s),
+ * using its main-tier model settings. options.provider names a provider explicitly (main tier).
  */
 export function generateLiteContent(prompt, options = {}) {
-    if (options.model === 'main' || options.provider === 'openai') {
-        return openAiCore.generateLiteContent(prompt, {
-            ...options,
-            modelId: options.modelId || config.openai.modelId,
-            reasoningEffort: options.reasoningEffort || config.openai.reasoningEffort,
-        });
-    }
-    return geminiCore.generateLiteContent(prompt, options);
+    const { model, provider: providerName, ...rest } = options;
+    const tier = model === 'main' || providerName ? 'main' : 'lite';
+    const provider = providerName ? getLlmProvider(providerName) : getProviderForTask(tier);
+    return provider.generateText(prompt, { ...rest, tier });
 }
 
 export function getOrCreateChatSession(sessionKey, initialContext = null, chatHistory = null, botLanguage = null, personaScope = {}) {
-    return openAiChat.getOrCreateChatSession(sessionKey, initialContext, chatHistory, botLanguage, personaScope);
+    return requireCapability('main', 'getOrCreateChatSession')(sessionKey, initialContext, chatHistory, botLanguage, personaScope);
 }
 
 export function resetChatSession(channelName) {
-    return openAiChat.resetChatSession(channelName);
+    return requireCapability('main', 'resetChatSession')(channelName);
 }
 
 export function clearChatSession(channelOrSessionId) {
-    return openAiChat.clearChatSession(channelOrSessionId);
+    return requireCapability('main', 'clearChatSession')(channelOrSessionId);
 }
 
 export function generateStandardResponse(contextPrompt, userQuery, options = {}) {
-    return openAiGen.generateStandardResponse(contextPrompt, userQuery, options);
+    return requireCapability('main', 'generateStandardResponse')(contextPrompt, userQuery, options);
 }
 
 export function generateSearchResponse(contextPrompt, userQuery, options = {}) {
-    return openAiGen.generateSearchResponse(contextPrompt, userQuery, options);
+    return requireCapability('main', 'generateSearchResponse')(contextPrompt, userQuery, options);
 }
 
 export function generateUnifiedResponse(contextPrompt, userQuery, options = {}) {
-    return openAiGen.generateUnifiedResponse(contextPrompt, userQuery, options);
+    return requireCapability('main', 'generateUnifiedResponse')(contextPrompt, userQuery, options);
 }
 
 export function summarizeText(textToSummarize, targetCharLength = 400, options = {}) {
-    return geminiGen.summarizeText(textToSummarize, targetCharLength, options);
+    return requireCapability('lite', 'summarizeText')(textToSummarize, targetCharLength, options);
 }
 
 export function fetchIanaTimezoneForLocation(locationName) {
-    return openAiGen.fetchIanaTimezoneForLocation(locationName);
+    return requireCapability('main', 'fetchIanaTimezoneForLocation')(locationName);
 }
 
 export function decideSearchWithStructuredOutput(contextPrompt, userQuery) {
-    return openAiDec.decideSearchWithStructuredOutput(contextPrompt, userQuery);
+    const provider = getProviderForTask('main');
+    if (typeof provider.decideSearchWithStructuredOutput !== 'function') {
+        return Promise.resolve(inferSearchNeedByHeuristic(userQuery));
+    }
+    return provider.decideSearchWithStructuredOutput(contextPrompt, userQuery);
 }
 
 // safeExtractText / safeParseJsonResponse are re-exported for backward compatibility
@@ -122,7 +123,8 @@ export function safeParseJsonResponse(result, logContext = 'llm') {
 
 /**
  * Generates structured JSON output using standard JSON schemas.
- * Main model defaults to OpenAI Luna; lite model routes to Gemini Flash Lite.
+ * model='main' (default) routes to the main provider (OpenAI Luna); model='lite'
+ * routes to the lite provider (Gemini Flash Lite).
  */
 export async function generateStructuredJson({
     prompt,
@@ -135,61 +137,23 @@ export async function generateStructuredJson({
     multimodalParts,
     returnMeta = false
 }) {
-    if (model === 'lite') {
-        const geminiModel = geminiCore.getGeminiClient();
-        const geminiSchema = toGeminiSchema(schema);
-        const parts = [{ text: prompt }, ...(multimodalParts || [])];
-        const genConfig = {
-            responseMimeType: 'application/json',
-            responseSchema: geminiSchema
-        };
-        if (temperature !== undefined) genConfig.temperature = temperature;
-
-        const result = await geminiModel.generateContent({
-            model: config.gemini.liteModelId,
-            contents: [{ role: 'user', parts }],
-            ...(systemInstruction ? { systemInstruction } : {}),
-            ...(tools ? { tools } : {}),
-            generationConfig: genConfig
-        });
-
-        const parsed = geminiUtils.safeParseJsonResponse(result, `[StructuredJson:${schemaName}]`);
-        if (returnMeta) {
-            const searchUsed = !!(result?.candidates?.[0]?.groundingMetadata?.webSearchQueries?.length);
-            return { parsed, searchUsed };
-        }
-        return parsed;
-    } else {
-        const { text, response } = await openAiCore.generateLiteContentWithResponse(prompt, {
-            systemInstruction,
-            responseSchema: schema,
-            schemaName,
-            temperature,
-            modelId: config.openai.modelId,
-            reasoningEffort: config.openai.reasoningEffort,
-            tools,
-            multimodalParts
-        });
-        let parsed = null;
-        if (text) {
-            try {
-                parsed = JSON.parse(text);
-            } catch (e) {
-                logger.warn({ err: e, text }, 'Failed to parse structured JSON response in facade');
-            }
-        }
-        if (returnMeta) {
-            const searchUsed = !!response?.output?.some(item => item.type === 'web_search_call');
-            return { parsed, searchUsed };
-        }
-        return parsed;
-    }
+    const { parsed, searchUsed } = await getProviderForTask(model).generateStructuredJson({
+        tier: model,
+        prompt,
+        schema,
+        schemaName,
+        systemInstruction,
+        temperature,
+        tools,
+        multimodalParts
+    });
+    return returnMeta ? { parsed, searchUsed } : parsed;
 }
 
 /**
  * Plain-text generation helper.
- * options.model === 'lite' -> Gemini Flash Lite
- * options.model === 'main' (default) -> OpenAI Luna
+ * options.model === 'lite' -> lite provider (Gemini Flash Lite)
+ * options.model === 'main' (default) -> main provider (OpenAI Luna)
  */
 export async function generateText(prompt, {
     systemInstruction,
@@ -199,36 +163,19 @@ export async function generateText(prompt, {
     model = 'main',
     multimodalParts
 } = {}) {
-    if (model === 'lite') {
-        return geminiCore.generateLiteContent(prompt, {
-            systemInstruction,
-            temperature,
-            maxOutputTokens,
-            multimodalParts,
-            ...(webSearch ? { tools: [{ googleSearch: {} }] } : {})
-        });
-    }
-
-    return openAiCore.generateLiteContent(prompt, {
+    return getProviderForTask(model).generateText(prompt, {
+        tier: model,
         systemInstruction,
+        temperature,
         maxOutputTokens,
-        multimodalParts,
-        modelId: config.openai.modelId,
-        reasoningEffort: config.openai.reasoningEffort,
-        ...(webSearch ? { tools: [{ type: 'web_search' }] } : {})
+        webSearch,
+        multimodalParts
     });
 }
 
 /**
- * Image description via Gemini Flash Lite (gemini-flash-lite-latest).
+ * Image description via the vision provider (Gemini Flash Lite by default).
  */
 export async function describeImages({ parts, prompt, systemInstruction, modelId, maxOutputTokens, thinkingLevel }) {
-    const responseText = await geminiCore.generateLiteContent(prompt, {
-        systemInstruction,
-        multimodalParts: parts,
-        modelId: modelId || config.gemini.liteModelId,
-        maxOutputTokens,
-        ...(thinkingLevel ? { thinkingLevel } : {})
-    });
-    return responseText;
+    return getProviderForTask('vision').describeImages({ parts, prompt, systemInstruction, modelId, maxOutputTokens, thinkingLevel });
 }
@@ -0,0 +1,205 @@
+// src/components/llm/llmUsage.js
+// Per-channel LLM token and cost accounting, and the monthly budget gate.
+//
+// Attribution: callers wrap work in withLlmUsageContext({ channel, source }).
+// The context rides AsyncLocalStorage, so every LLM request made underneath —
+// including from timers a command schedules — is tagged without threading
+// channel/source through the provider modules. retryUtils.js reports each
+// successful API response via recordLlmResponse().
+//
+// Budgets: config.llmUsage.monthlyBudgetUsd is the default allowance, and
+// llmUsage/{channel}.monthlyBudgetUsd overrides it. Once a channel's estimated
+// spend for the UTC month reaches its budget, auto-chat and AI commands are
+// switched off; mentions and translation keep working.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import config from '../../config/index.js';
+import logger from '../../lib/logger.js';
+import { recordDailyUsage, getMonthlyUsage, getChannelMonthlyBudget, getUsageMonthKey } from './llmUsageStorage.js';
+import { MENTION_SOURCE, TRANSLATION_SOURCE } from './inferenceHistoryStorage.js';
+
+const usageContext = new AsyncLocalStorage();
+
+/** Reply sent instead of an AI command's output while the budget is spent. */
+export const LLM_BUDGET_PAUSED_MESSAGE = "AI features are paused in this channel until next month (LLM usage budget reached).";
+
+// Calls made outside any channel context (startup, background maintenance).
+export const UNATTRIBUTED_CHANNEL = '_global';
+
+// Sources that keep working after a channel exceeds its budget.
+const ESSENTIAL_SOURCES = new Set([MENTION_SOURCE, TRANSLATION_SOURCE]);
+
+// USD per million tokens, matched by longest model-id prefix. Override or
+// extend with LLM_PRICING_JSON; unknown models (e.g. self-hosted) cost 0.
+const DEFAULT_PRICING = {
+    'gpt-': { input: 1.25, output: 10 },
+    'gemini-flash-lite': { input: 0.1, output: 0.4 },
+    'gemini-': { input: 0.5, output: 3 },
+};
+
+const BUDGET_CACHE_TTL_MS = 5 * 60 * 1000;
+/** @type {Map<string, {month: string, spentUsd: number, budgetUsd: number|null, loadedAtMs: number}>} */
+const budgetCache = new Map();
+
+/**
+ * Runs fn with LLM calls attributed to the given channel and source.
+ * Nested contexts override outer ones.
+ *
+ * @template T
+ * @param {{channel: string, source: string}} context - Channel without '#';
+ *   source key from inferenceHistoryStorage.js.
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLlmUsageContext({ channel, source }, fn) {
+    return usageContext.run({ channel: channel?.replace(/^#/, '').toLowerCase() || null, source: source || null }, fn);
+}
+
+/**
+ * @returns {{channel: string|null, source: string|null}|undefined}
+ */
+export function getLlmUsageContext() {
+    return usageContext.getStore();
+}
+
+/**
+ * Reads token counts from a raw provider response: OpenAI Responses
+ * (usage.input_tokens), Chat Completions (usage.prompt_tokens) or Gemini
+ * (usageMetadata.promptTokenCount).
+ *
+ * @param {object} response
+ * @returns {{model: string|null, inputTokens: number, outputTokens: number}|null}
+ */
+export function extractTokenUsage(response) {
+    if (!response || typeof response !== 'object') return null;
+
+    const usage = response.usage;
+    if (usage && (usage.input_tokens !== undefined || usage.prompt_tokens !== undefined)) {
+        return {
+            model: response.model || null,
+            inputTokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+            outputTokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+        };
+    }
+
+    const meta = response.usageMetadata;
+    if (meta && meta.promptTokenCount !== undefined) {
+        return {
+            model: response.modelVersion || null,
+            inputTokens: meta.promptTokenCount || 0,
+            // Thinking tokens are billed as output.
+            outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Estimates the USD cost of a call from the pricing table.
+ * @param {string|null} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number}
+ */
+export function estimateCostUsd(model, inputTokens, outputTokens) {
+    const pricing = { ...DEFAULT_PRICING, ...(config.llmUsage?.pricing || {}) };
+    const id = (model || '').toLowerCase().replace(/^models\//, '');
+    const key = Object.keys(pricing)
+        .filter(prefix => id.startsWith(prefix.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!key) return 0;
+    const { input = 0, output = 0 } = pricing[key];
+    return (inputTokens * input + outputTokens * output) / 1_000_000;
+}
+
+/**
+ * Records the usage carried by a successful provider response against the
+ * current context. Never throws; responses without usage data are ignored.
+ *
+ * @param {object} response - Raw provider response.
+ */
+export function recordLlmResponse(response) {
+    const usage = extractTokenUsage(response);
+    if (!usage) return;
+
+    const ctx = getLlmUsageContext();
+    const channel = ctx?.channel || UNATTRIBUTED_CHANNEL;
+    const source = ctx?.source || 'unknown';
+    const costUsd = estimateCostUsd(usage.model, usage.inputTokens, usage.outputTokens);
+
+    // Keep the cached month total current between refreshes.
+    const cached = budgetCache.get(channel);
+    if (cached && cached.month === getUsageMonthKey()) {
+        cached.spentUsd += costUsd;
+    }
+
+    logger.debug({ channel, source, ...usage, costUsd }, '[LlmUsage] Recorded LLM call.');
+    recordDailyUsage(channel, source, {
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        costUsd,
+    }).catch(() => { /* logged in storage */ });
+}
+
+/**
+ * Returns the channel's budget and month-to-date spend. Cached for a few
+ * minutes; a storage failure reports the channel as within budget.
+ *
+ * @param {string} channelName
+ * @returns {Promise<{budgetUsd: number|null, spentUsd: number, exceeded: boolean}>}
+ */
+export async function getBudgetStatus(channelName) {
+    const channel = channelName.replace(/^#/, '').toLowerCase();
+    const month = getUsageMonthKey();
+    let entry = budgetCache.get(channel);
+
+    if (!entry || entry.month !== month || Date.now() - entry.loadedAtMs > BUDGET_CACHE_TTL_MS) {
+        try {
+            const [override, usage] = await Promise.all([
+                getChannelMonthlyBudget(channel),
+                getMonthlyUsage(channel, month),
+            ]);
+            entry = {
+                month,
+                spentUsd: usage.costUsd,
+                budgetUsd: override ?? config.llmUsage?.monthlyBudgetUsd ?? null,
+                loadedAtMs: Date.now(),
+            };
+            budgetCache.set(channel, entry);
+        } catch (err) {
+            logger.warn({ err, channel }, '[LlmUsage] Could not load budget status; treating channel as within budget.');
+            return { budgetUsd: null, spentUsd: 0, exceeded: false };
+        }
+    }
+
+    const exceeded = entry.budgetUsd !== null && entry.spentUsd >= entry.budgetUsd;
+    return { budgetUsd: entry.budgetUsd, spentUsd: entry.spentUsd, exceeded };
+}
+
+/**
+ * Whether an LLM feature may run in a channel under its budget. Mentions and
+ * translation are always allowed; everything else stops once the monthly
+ * budget is spent.
+ *
+ * @param {string} channelName
+ * @param {string} source - Source key of the feature about to run.
+ * @returns {Promise<boolean>}
+ */
+export async function isLlmSourceAllowed(channelName, source) {
+    if (ESSENTIAL_SOURCES.has(source)) return true;
+    const { exceeded, budgetUsd, spentUsd } = await getBudgetStatus(channelName);
+    if (exceeded) {
+        logger.info({ channel: channelName, source, budgetUsd, spentUsd }, '[LlmUsage] Monthly LLM budget reached; feature disabled.');
+    }
+    return !exceeded;
+}
+
+/** Clears cached budget state. Exposed for tests and budget edits. */
+export function clearBudgetCache(channelName = null) {
+    if (channelName) {
+        budgetCache.delete(channelName.toLowerCase());
+    } else {
+        budgetCache.clear();
+    }
+}
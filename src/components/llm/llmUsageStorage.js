@@ -0,0 +1,137 @@
+// src/components/llm/llmUsageStorage.js
+// Daily per-channel LLM token/cost totals, plus the per-channel monthly budget.
+//
+// Layout:
+//   llmUsage/{channel}                 { channelName, monthlyBudgetUsd? }
+//   llmUsage/{channel}/daily/{YYYY-MM-DD}
+//       { date, month, calls, inputTokens, outputTokens, costUsd,
+//         sources: { [sourceKey]: { calls, inputTokens, outputTokens, costUsd } } }
+//
+// Days are UTC. Counters are FieldValue.increment()s so concurrent instances
+// can record into the same day without a transaction.
+
+import { getFirestore, FieldValue } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const LLM_USAGE_COLLECTION = 'llmUsage';
+const DAILY_SUBCOLLECTION = 'daily';
+
+/**
+ * @param {Date} [date]
+ * @returns {string} UTC day key, e.g. "2026-10-18".
+ */
+export function getUsageDayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Date} [date]
+ * @returns {string} UTC month key, e.g. "2026-10".
+ */
+export function getUsageMonthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function _channelDoc(channelName) {
+    return getFirestore().collection(LLM_USAGE_COLLECTION).doc(channelName.toLowerCase());
+}
+
+/**
+ * Adds one call's usage to the channel's daily totals.
+ * Fire-and-forget — errors are logged but never thrown.
+ *
+ * @param {string} channelName - Channel name (without '#').
+ * @param {string} source - Source key (see inferenceHistoryStorage.js).
+ * @param {{inputTokens: number, outputTokens: number, costUsd: number}} usage
+ * @param {Date} [date]
+ */
+export async function recordDailyUsage(channelName, source, usage, date = new Date()) {
+    const { inputTokens = 0, outputTokens = 0, costUsd = 0 } = usage;
+    const increments = {
+        calls: FieldValue.increment(1),
+        inputTokens: FieldValue.increment(inputTokens),
+        outputTokens: FieldValue.increment(outputTokens),
+        costUsd: FieldValue.increment(costUsd),
+    };
+    try {
+        await _channelDoc(channelName).collection(DAILY_SUBCOLLECTION).doc(getUsageDayKey(date)).set({
+            date: getUsageDayKey(date),
+            month: getUsageMonthKey(date),
+            ...increments,
+            sources: { [source]: { ...increments } },
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+    } catch (err) {
+        logger.warn({ err, channelName, source }, '[LlmUsageStorage] Failed to record usage.');
+    }
+}
+
+/**
+ * Returns daily usage documents for a channel, newest first.
+ * @param {string} channelName
+ * @param {number} [limit=31]
+ * @returns {Promise<object[]>}
+ */
+export async function getDailyUsage(channelName, limit = 31) {
+    try {
+        const snapshot = await _channelDoc(channelName).collection(DAILY_SUBCOLLECTION)
+            .orderBy('date', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    } catch (err) {
+        logger.error({ err, channelName }, '[LlmUsageStorage] Error loading daily usage');
+        return [];
+    }
+}
+
+/**
+ * Sums a channel's daily documents for one month.
+ * @param {string} channelName
+ * @param {string} [monthKey] - "YYYY-MM"; defaults to the current UTC month.
+ * @returns {Promise<{calls: number, inputTokens: number, outputTokens: number, costUsd: number}>}
+ */
+export async function getMonthlyUsage(channelName, monthKey = getUsageMonthKey()) {
+    const totals = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    const snapshot = await _channelDoc(channelName).collection(DAILY_SUBCOLLECTION)
+        .where('month', '==', monthKey)
+        .get();
+    snapshot.forEach(doc => {
+        const data = doc.data() || {};
+        for (const key of Object.keys(totals)) {
+            totals[key] += Number(data[key]) || 0;
+        }
+    });
+    return totals;
+}
+
+/**
+ * Returns the channel's own monthly budget, or null when it uses the default.
+ * @param {string} channelName
+ * @returns {Promise<number|null>}
+ */
+export async function getChannelMonthlyBudget(channelName) {
+    const snap = await _channelDoc(channelName).get();
+    const budget = snap.exists ? snap.data()?.monthlyBudgetUsd : null;
+    return typeof budget === 'number' && budget >= 0 ? budget : null;
+}
+
+/**
+ * Sets (or clears, with null) the channel's monthly budget in USD.
+ * @param {string} channelName
+ * @param {number|null} budgetUsd
+ * @returns {Promise<boolean>}
+ */
+export async function setChannelMonthlyBudget(channelName, budgetUsd) {
+    try {
+        await _channelDoc(channelName).set({
+            channelName: channelName.toLowerCase(),
+            monthlyBudgetUsd: budgetUsd === null ? FieldValue.delete() : budgetUsd,
+        }, { merge: true });
+        logger.info({ channelName, budgetUsd }, '[LlmUsageStorage] Saved monthly budget');
+        return true;
+    } catch (err) {
+        logger.error({ err, channelName }, '[LlmUsageStorage] Error saving monthly budget');
+        return false;
+    }
+}
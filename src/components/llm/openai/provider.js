@@ -0,0 +1,85 @@
+import config from '../../../config/loader.js';
+import logger from '../../../lib/logger.js';
+import * as openAiCore from './core.js';
+import * as openAiChat from './chat.js';
+import * as openAiGen from './generation.js';
+import * as openAiDec from './decision.js';
+
+// Main-tier calls pin the main model and effort; lite-tier calls leave both
+// unset so core.js falls back to the configured lite values.
+function tierOverrides(tier, options) {
+    if (tier !== 'main') return {};
+    return {
+        modelId: options.modelId || config.openai.modelId,
+        reasoningEffort: options.reasoningEffort || config.openai.reasoningEffort,
+    };
+}
+
+/**
+ * OpenAI (Responses API) implementation of the LLM provider interface
+ * (see providerRegistry.js). Default for the 'main' task.
+ * @type {import('../providerRegistry.js').LlmProvider}
+ */
+export const openAiProvider = {
+    name: 'openai',
+
+    initialize(appConfig) {
+        if (!appConfig.openai?.apiKey) {
+            throw new Error('OPENAI_API_KEY is required when an LLM task uses the "openai" provider. Set it in environment variables.');
+        }
+        openAiCore.initializeOpenAiClient(appConfig.openai);
+    },
+
+    generateText(prompt, { tier = 'lite', webSearch = false, ...options } = {}) {
+        return openAiCore.generateLiteContent(prompt, {
+            ...options,
+            ...tierOverrides(tier, options),
+            ...(webSearch ? { tools: [{ type: 'web_search' }] } : {})
+        });
+    },
+
+    async generateStructuredJson({ tier = 'lite', prompt, schema, schemaName, systemInstruction, temperature, tools, multimodalParts }) {
+        const { text, response } = await openAiCore.generateLiteContentWithResponse(prompt, {
+            systemInstruction,
+            responseSchema: schema,
+            schemaName,
+            temperature,
+            tools,
+            multimodalParts,
+            ...tierOverrides(tier, {})
+        });
+        let parsed = null;
+        if (text) {
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                logger.warn({ err: e, text }, 'Failed to parse structured JSON response in facade');
+            }
+        }
+        return {
+            parsed,
+            searchUsed: !!response?.output?.some(item => item.type === 'web_search_call')
+        };
+    },
+
+    // modelId is not forwarded: the only caller passes a Gemini model name
+    // (EMOTE_GEMINI_MODEL), so vision runs on the configured lite model.
+    describeImages({ parts, prompt, systemInstruction, maxOutputTokens, thinkingLevel }) {
+        return openAiCore.generateLiteContent(prompt, {
+            systemInstruction,
+            multimodalParts: parts,
+            maxOutputTokens,
+            ...(thinkingLevel ? { reasoningEffort: thinkingLevel } : {})
+        });
+    },
+
+    getOrCreateChatSession: openAiChat.getOrCreateChatSession,
+    resetChatSession: openAiChat.resetChatSession,
+    clearChatSession: openAiChat.clearChatSession,
+    generateStandardResponse: openAiGen.generateStandardResponse,
+    generateSearchResponse: openAiGen.generateSearchResponse,
+    generateUnifiedResponse: openAiGen.generateUnifiedResponse,
+    fetchIanaTimezoneForLocation: openAiGen.fetchIanaTimezoneForLocation,
+    summarizeText: openAiGen.summarizeText,
+    decideSearchWithStructuredOutput: openAiDec.decideSearchWithStructuredOutput,
+};
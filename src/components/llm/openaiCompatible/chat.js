@@ -0,0 +1,118 @@
+import logger from '../../../lib/logger.js';
+import { getOpenAiCompatibleInstance, getConfiguredModelId, formatChatContent } from './core.js';
+import { buildSystemInstruction, buildSharedSystemInstruction } from '../gemini/prompts.js';
+import { retryWithBackoff } from '../retryUtils.js';
+
+const channelChatSessions = new Map();
+const MAX_HISTORY_MESSAGES = 30;
+
+function _convertChatHistoryToMessages(chatHistory, maxMessages = 15) {
+    if (!Array.isArray(chatHistory) || chatHistory.length === 0) return [];
+    return chatHistory.slice(-maxMessages).map(msg => ({
+        role: 'user',
+        content: `${msg.username}: ${msg.message}`
+    }));
+}
+
+export class OpenAiCompatibleChatSession {
+    constructor(sessionKey, systemInstruction, initialHistory = []) {
+        this.sessionKey = sessionKey;
+        this.systemInstruction = systemInstruction;
+        this.history = [...initialHistory];
+    }
+
+    async sendMessage(messageText) {
+        const client = getOpenAiCompatibleInstance();
+
+        // Same input conventions as the OpenAI session: a string, a parts
+        // array, or { message: string|parts }.
+        let content;
+        if (typeof messageText === 'string') {
+            content = messageText;
+        } else if (typeof messageText?.message === 'string') {
+            content = messageText.message;
+        } else {
+            const parts = Array.isArray(messageText) ? messageText
+                : Array.isArray(messageText?.message) ? messageText.message
+                    : [messageText];
+            content = formatChatContent(null, parts);
+        }
+
+        this.history.push({ role: 'user', content });
+        if (this.history.length > MAX_HISTORY_MESSAGES) {
+            this.history = this.history.slice(-MAX_HISTORY_MESSAGES);
+        }
+
+        try {
+            const messages = [{ role: 'system', content: this.systemInstruction }, ...this.history];
+            const completion = await retryWithBackoff(
+                () => client.chat.completions.create({ model: getConfiguredModelId('main'), messages }),
+                `openaiCompatible.chat.sendMessage[${this.sessionKey}]`
+            );
+            const responseText = completion?.choices?.[0]?.message?.content?.trim() || '';
+
+            if (responseText) {
+                this.history.push({ role: 'assistant', content: responseText });
+            }
+
+            // Gemini-compatible wrapper, matching the other providers' sessions.
+            return {
+                text: () => responseText,
+                candidates: [{ content: { parts: [{ text: responseText }] }, groundingMetadata: null }]
+            };
+        } catch (error) {
+            logger.error({ err: error, sessionKey: this.sessionKey }, 'Error sending chat message in OpenAI-compatible session');
+            throw error;
+        }
+    }
+}
+
+/**
+ * Same contract as openai/chat.js getOrCreateChatSession.
+ */
+export function getOrCreateChatSession(sessionKey, initialContext = null, chatHistory = null, botLanguage = null, personaScope = {}) {
+    if (!sessionKey || typeof sessionKey !== 'string') {
+        throw new Error('getOrCreateChatSession requires a valid sessionKey');
+    }
+    if (channelChatSessions.has(sessionKey)) {
+        return channelChatSessions.get(sessionKey);
+    }
+
+    const { channelName = null, hostChannelId = null, participants = null } = personaScope || {};
+    let finalSystemInstruction = participants
+        ? buildSharedSystemInstruction(hostChannelId, participants)
+        : buildSystemInstruction(channelName);
+
+    if (botLanguage) {
+        finalSystemInstruction += `\n\nCRITICAL LANGUAGE REQUIREMENT: You MUST write every response entirely in ${botLanguage}, even though the stream context and chat history are in another language.`;
+    }
+    if (initialContext) {
+        finalSystemInstruction += `\n\n--- IMPORTANT SESSION CONTEXT ---\n${initialContext}`;
+    }
+
+    const initialHistory = _convertChatHistoryToMessages(chatHistory, 15);
+    const session = new OpenAiCompatibleChatSession(sessionKey, finalSystemInstruction, initialHistory);
+    channelChatSessions.set(sessionKey, session);
+
+    logger.info({
+        sessionKey,
+        channelName,
+        isShared: !!participants,
+        hasInitialContext: !!initialContext,
+        historyMessageCount: initialHistory.length,
+        botLanguage: botLanguage || 'English (default)'
+    }, 'Created new OpenAI-compatible chat session');
+
+    return session;
+}
+
+export function resetChatSession(channelName) {
+    if (!channelName || typeof channelName !== 'string') return;
+    if (channelChatSessions.delete(channelName)) {
+        logger.info({ channelName }, 'Reset OpenAI-compatible chat session for channel');
+    }
+}
+
+export function clearChatSession(channelOrSessionId) {
+    resetChatSession(channelOrSessionId);
+}
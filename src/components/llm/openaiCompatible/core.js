@@ -0,0 +1,175 @@
+import OpenAI from 'openai';
+import logger from '../../../lib/logger.js';
+import { retryWithBackoff } from '../retryUtils.js';
+import { toOpenAiStrictSchema } from '../schemaUtils.js';
+
+// Client for any server that speaks the OpenAI Chat Completions API
+// (llama.cpp server, Ollama, vLLM, LM Studio, OpenRouter...). Only the
+// Chat Completions surface is assumed: no Responses API, no hosted tools.
+let compatClient = null;
+let configuredModelId = null;
+let configuredLiteModelId = null;
+let configuredVisionModelId = null;
+
+/**
+ * Initializes the OpenAI-compatible client.
+ * @param {object} compatConfig - config.openaiCompatible
+ * @param {string} compatConfig.baseUrl - e.g. http://localhost:11434/v1
+ * @param {string} [compatConfig.apiKey] - Most local servers ignore it.
+ * @param {string} compatConfig.modelId - Main-tier model.
+ * @param {string} [compatConfig.liteModelId] - Defaults to modelId.
+ * @param {string} [compatConfig.visionModelId] - Defaults to modelId.
+ */
+export function initializeOpenAiCompatibleClient(compatConfig) {
+    if (compatClient) {
+        logger.warn('OpenAI-compatible client already initialized.');
+        return;
+    }
+
+    if (!compatConfig?.baseUrl || !compatConfig?.modelId) {
+        throw new Error('Missing required OpenAI-compatible configuration (baseUrl, modelId).');
+    }
+
+    configuredModelId = compatConfig.modelId;
+    configuredLiteModelId = compatConfig.liteModelId || compatConfig.modelId;
+    configuredVisionModelId = compatConfig.visionModelId || compatConfig.modelId;
+
+    logger.info(`Initializing OpenAI-compatible client at ${compatConfig.baseUrl} with model: ${configuredModelId} (Lite: ${configuredLiteModelId}, Vision: ${configuredVisionModelId})`);
+    compatClient = new OpenAI({
+        baseURL: compatConfig.baseUrl,
+        // The SDK refuses to construct without a key; local servers accept any value.
+        apiKey: compatConfig.apiKey || 'not-needed',
+    });
+}
+
+export function getOpenAiCompatibleInstance() {
+    if (!compatClient) {
+        throw new Error('OpenAI-compatible client has not been initialized. Call initializeOpenAiCompatibleClient first.');
+    }
+    return compatClient;
+}
+
+/**
+ * @param {'main'|'lite'|'vision'} [tier='main']
+ * @returns {string|null}
+ */
+export function getConfiguredModelId(tier = 'main') {
+    if (tier === 'lite') return configuredLiteModelId;
+    if (tier === 'vision') return configuredVisionModelId;
+    return configuredModelId;
+}
+
+/**
+ * Converts a prompt plus Gemini-style parts ({text} / {inlineData}) into a
+ * Chat Completions user message content value.
+ */
+export function formatChatContent(promptText, multimodalParts = []) {
+    const content = [];
+    if (promptText) {
+        content.push({ type: 'text', text: promptText });
+    }
+    for (const part of Array.isArray(multimodalParts) ? multimodalParts : []) {
+        if (part?.text) {
+            content.push({ type: 'text', text: part.text });
+        } else if (part?.inlineData) {
+            const { mimeType = 'image/png', data } = part.inlineData;
+            content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+        }
+    }
+    // Plain strings are the most widely supported form; only send an array
+    // when there is actually an image in it.
+    if (content.every(part => part.type === 'text')) {
+        return content.map(part => part.text).join('\n');
+    }
+    return content;
+}
+
+/**
+ * Parses a JSON reply. Local models sometimes wrap JSON in a markdown fence
+ * or add a sentence around it, so fall back to the outermost {...} block.
+ * @returns {object|null}
+ */
+export function parseJsonText(text, logContext = 'openai-compatible') {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            try {
+                return JSON.parse(text.slice(start, end + 1));
+            } catch (_err) {
+                // fall through to the warning below
+            }
+        }
+        logger.warn({ logContext, text }, 'Failed to parse JSON response from OpenAI-compatible endpoint');
+        return null;
+    }
+}
+
+/**
+ * One-shot Chat Completions call.
+ *
+ * @param {string} prompt
+ * @param {object} [options={}]
+ * @param {'main'|'lite'|'vision'} [options.tier='lite'] - Picks the configured model.
+ * @param {string} [options.modelId] - Explicit model override.
+ * @param {string} [options.systemInstruction]
+ * @param {object} [options.responseSchema] - Plain JSON schema for structured output.
+ * @param {string} [options.schemaName]
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxOutputTokens]
+ * @param {Array} [options.multimodalParts]
+ * @returns {Promise<string|null>} Extracted text, or null on failure.
+ */
+export async function generateContent(prompt, options = {}) {
+    const client = getOpenAiCompatibleInstance();
+    const messages = [];
+    if (options.systemInstruction) {
+        messages.push({ role: 'system', content: options.systemInstruction });
+    }
+    messages.push({ role: 'user', content: formatChatContent(prompt, options.multimodalParts) });
+
+    const request = {
+        model: options.modelId || getConfiguredModelId(options.tier || 'lite'),
+        messages,
+    };
+    if (options.temperature !== undefined) {
+        request.temperature = options.temperature;
+    }
+    if (options.maxOutputTokens) {
+        request.max_tokens = options.maxOutputTokens;
+    }
+    if (options.responseSchema) {
+        request.response_format = {
+            type: 'json_schema',
+            json_schema: {
+                name: options.schemaName || 'structured_output',
+                // Normalizes `nullable` into type unions, which grammar-based
+                // servers (llama.cpp) understand.
+                schema: toOpenAiStrictSchema(options.responseSchema),
+            },
+        };
+    }
+    if (options.tools) {
+        // Hosted search tools (googleSearch / web_search) have no Chat Completions
+        // equivalent on local servers; the prompt is answered from the model alone.
+        logger.debug({ tools: options.tools }, '[OpenAICompat] Ignoring unsupported tools.');
+    }
+
+    try {
+        const completion = await retryWithBackoff(
+            () => client.chat.completions.create(request),
+            'openaiCompatible.generateContent'
+        );
+        const text = completion?.choices?.[0]?.message?.content?.trim() || null;
+        if (!text) {
+            logger.warn({ finishReason: completion?.choices?.[0]?.finish_reason }, '[OpenAICompat] Empty completion.');
+        }
+        return text;
+    } catch (error) {
+        logger.error({ err: error }, '[OpenAICompat] generateContent failed');
+        return null;
+    }
+}
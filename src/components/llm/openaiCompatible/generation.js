@@ -0,0 +1,111 @@
+import logger from '../../../lib/logger.js';
+import { generateContent, parseJsonText } from './core.js';
+import { buildSystemInstruction } from '../gemini/prompts.js';
+import { TimezoneSchema, SummarySchema, SearchDecisionSchema } from '../schemaUtils.js';
+import { inferSearchNeedByHeuristic } from '../searchHeuristic.js';
+
+// OpenAI-compatible endpoints have no hosted search or function calling we
+// can rely on, so the !ask/!search variants below answer from the model
+// alone and search decisions are structured-output calls like the OpenAI path.
+
+function withLanguage(systemInstruction, botLanguage) {
+    if (!botLanguage) return systemInstruction;
+    return `${systemInstruction}\n\nCRITICAL LANGUAGE REQUIREMENT: You MUST write every response entirely in ${botLanguage}, even though the stream context and chat history are in another language.`;
+}
+
+export async function fetchIanaTimezoneForLocation(locationName) {
+    if (!locationName || typeof locationName !== 'string' || locationName.trim().length === 0) {
+        logger.error('fetchIanaTimezoneForLocation called with invalid locationName.');
+        return null;
+    }
+
+    const prompt = `What is the IANA timezone for "${locationName}"?
+Examples: "New York" -> "America/New_York", "Tokyo" -> "Asia/Tokyo".
+If unknown or ambiguous, return "UNKNOWN".
+Return STRICT JSON.`;
+
+    const text = await generateContent(prompt, {
+        tier: 'main',
+        temperature: 0,
+        responseSchema: TimezoneSchema,
+        schemaName: 'timezone_response'
+    });
+    const tz = parseJsonText(text, '[Timezone]')?.iana_timezone;
+    return tz && tz !== 'UNKNOWN' ? tz : null;
+}
+
+export async function generateStandardResponse(contextPrompt, userQuery, options = {}) {
+    const systemInstruction = withLanguage(buildSystemInstruction(options.channelName), options.botLanguage);
+    const text = await generateContent(`${contextPrompt}\n\nUSER: ${userQuery}\nREPLY: ≤300 chars. Answer directly.`, {
+        tier: 'main',
+        systemInstruction,
+        multimodalParts: options.emoteImageParts
+    });
+    return text || null;
+}
+
+export async function generateSearchResponse(contextPrompt, userQuery, options = {}) {
+    if (!userQuery?.trim()) return null;
+    logger.info({ usedGoogleSearch: false }, '[SearchResponse] OpenAI-compatible provider has no web search; answering from model knowledge.');
+    const systemInstruction = withLanguage(buildSystemInstruction(options.channelName), options.botLanguage);
+    const text = await generateContent(`${contextPrompt}\n\nUSER: ${userQuery}\nYou cannot browse the web. If the answer depends on recent events, say your information may be out of date. Response ≤ 420 chars.`, {
+        tier: 'main',
+        systemInstruction,
+        multimodalParts: options.emoteImageParts
+    });
+    return text || null;
+}
+
+export async function generateUnifiedResponse(contextPrompt, userQuery, options = {}) {
+    if (!userQuery?.trim()) return null;
+    const systemInstruction = withLanguage(buildSystemInstruction(options.channelName), options.botLanguage);
+    const text = await generateContent(`${contextPrompt}\n\nUSER: ${userQuery}\nREPLY: ≤320 chars, direct.`, {
+        tier: 'main',
+        systemInstruction
+    });
+    return text || null;
+}
+
+export async function decideSearchWithStructuredOutput(contextPrompt, userQuery) {
+    if (!userQuery?.trim()) return { searchNeeded: false, reasoning: 'Empty query' };
+
+    const prompt = `${contextPrompt}
+
+User request: "${userQuery}"
+
+Task: Decide if a web search is REQUIRED to answer accurately and up-to-date.
+Return STRICT JSON ONLY.`;
+
+    const parsed = parseJsonText(await generateContent(prompt, {
+        tier: 'lite',
+        temperature: 0,
+        responseSchema: SearchDecisionSchema,
+        schemaName: 'search_decision'
+    }), '[Decision - SearchNeeded]');
+    if (parsed && typeof parsed.searchNeeded === 'boolean') {
+        return { searchNeeded: parsed.searchNeeded, reasoning: parsed.reasoning || 'No reasoning provided.' };
+    }
+    return inferSearchNeedByHeuristic(userQuery);
+}
+
+export async function summarizeText(textToSummarize, targetCharLength = 400, options = {}) {
+    if (!textToSummarize || typeof textToSummarize !== 'string' || !textToSummarize.trim()) return null;
+
+    const prompt = `Summarize the following text in under ${targetCharLength} characters.
+Text: ${textToSummarize}`;
+
+    const parsed = parseJsonText(await generateContent(prompt, {
+        ...options,
+        tier: 'lite',
+        responseSchema: SummarySchema,
+        schemaName: 'summary'
+    }), '[Summary]');
+    const summary = parsed?.summary;
+    if (!summary) return null;
+    if (summary.length > targetCharLength) {
+        // Dynamic import: llmUtils.js imports the LLM facade.
+        const { smartTruncate } = await import('../llmUtils.js');
+        return smartTruncate(summary, targetCharLength);
+    }
+    return summary;
+}
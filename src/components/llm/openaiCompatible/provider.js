@@ -0,0 +1,55 @@
+import * as compatCore from './core.js';
+import * as compatChat from './chat.js';
+import * as compatGen from './generation.js';
+
+/**
+ * Provider for self-hosted or third-party servers exposing the OpenAI Chat
+ * Completions API (llama.cpp, Ollama, vLLM, LM Studio...). Web search is not
+ * available, so webSearch / search tools are ignored.
+ * @type {import('../providerRegistry.js').LlmProvider}
+ */
+export const openAiCompatibleProvider = {
+    name: 'openai-compatible',
+
+    initialize(appConfig) {
+        compatCore.initializeOpenAiCompatibleClient(appConfig.openaiCompatible);
+    },
+
+    generateText(prompt, { tier = 'lite', webSearch, ...options } = {}) {
+        return compatCore.generateContent(prompt, { ...options, tier });
+    },
+
+    async generateStructuredJson({ tier = 'lite', prompt, schema, schemaName, systemInstruction, temperature, multimodalParts }) {
+        const text = await compatCore.generateContent(prompt, {
+            tier,
+            systemInstruction,
+            temperature,
+            multimodalParts,
+            responseSchema: schema,
+            schemaName
+        });
+        return {
+            parsed: compatCore.parseJsonText(text, `[StructuredJson:${schemaName}]`),
+            searchUsed: false
+        };
+    },
+
+    describeImages({ parts, prompt, systemInstruction, maxOutputTokens }) {
+        return compatCore.generateContent(prompt, {
+            tier: 'vision',
+            systemInstruction,
+            multimodalParts: parts,
+            maxOutputTokens
+        });
+    },
+
+    getOrCreateChatSession: compatChat.getOrCreateChatSession,
+    resetChatSession: compatChat.resetChatSession,
+    clearChatSession: compatChat.clearChatSession,
+    generateStandardResponse: compatGen.generateStandardResponse,
+    generateSearchResponse: compatGen.generateSearchResponse,
+    generateUnifiedResponse: compatGen.generateUnifiedResponse,
+    fetchIanaTimezoneForLocation: compatGen.fetchIanaTimezoneForLocation,
+    summarizeText: compatGen.summarizeText,
+    decideSearchWithStructuredOutput: compatGen.decideSearchWithStructuredOutput,
+};
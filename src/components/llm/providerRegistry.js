@@ -0,0 +1,115 @@
+// src/components/llm/providerRegistry.js
+// Maps LLM tasks to providers. llmClient.js asks the registry which provider
+// serves a task instead of importing Gemini/OpenAI modules directly, so a new
+// backend only needs a provider object and a registerLlmProvider() call.
+import config from '../../config/loader.js';
+import { geminiProvider } from './gemini/provider.js';
+import { openAiProvider } from './openai/provider.js';
+import { openAiCompatibleProvider } from './openaiCompatible/provider.js';
+
+/**
+ * Task tiers callers can route to.
+ *   main   - persona replies, !ask/!search, games, custom command prompts
+ *   lite   - translation, summaries, classification
+ *   vision - image / emote description
+ */
+export const LLM_TASKS = ['main', 'lite', 'vision'];
+
+const DEFAULT_TASK_PROVIDERS = { main: 'openai', lite: 'gemini', vision: 'gemini' };
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {string} name - Registry key, referenced by LLM_*_PROVIDER env vars.
+ * @property {(appConfig: object) => void} initialize - Creates clients; throws on missing configuration.
+ * @property {(prompt: string, options?: object) => Promise<string|null>} generateText
+ *   Options: tier ('main'|'lite'), systemInstruction, temperature, maxOutputTokens,
+ *   webSearch, multimodalParts, responseSchema, tools, modelId.
+ * @property {(options: object) => Promise<{parsed: object|null, searchUsed: boolean}>} generateStructuredJson
+ *   Options: tier, prompt, schema (plain JSON schema), schemaName, systemInstruction,
+ *   temperature, tools, multimodalParts.
+ * @property {(options: object) => Promise<string|null>} describeImages
+ *   Options: parts, prompt, systemInstruction, modelId, maxOutputTokens, thinkingLevel.
+ * @property {Function} [getOrCreateChatSession] - Sessions expose sendMessage() returning { text(), candidates }.
+ * @property {Function} [resetChatSession]
+ * @property {Function} [clearChatSession]
+ * @property {Function} [generateStandardResponse]
+ * @property {Function} [generateSearchResponse]
+ * @property {Function} [generateUnifiedResponse]
+ * @property {Function} [fetchIanaTimezoneForLocation]
+ * @property {Function} [summarizeText]
+ * @property {Function} [decideSearchWithStructuredOutput]
+ */
+
+const REQUIRED_METHODS = ['initialize', 'generateText', 'generateStructuredJson', 'describeImages'];
+
+/** @type {Map<string, LlmProvider>} */
+const providers = new Map(
+    [geminiProvider, openAiProvider, openAiCompatibleProvider].map(provider => [provider.name, provider])
+);
+
+/**
+ * Registers (or replaces) a provider.
+ * @param {LlmProvider} provider
+ * @throws {Error} If the provider is missing a name or a required method.
+ */
+export function registerLlmProvider(provider) {
+    if (!provider?.name || typeof provider.name !== 'string') {
+        throw new Error('LLM provider must have a string name.');
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`LLM provider "${provider.name}" is missing required methods: ${missing.join(', ')}`);
+    }
+    providers.set(provider.name, provider);
+}
+
+/**
+ * @param {string} name
+ * @returns {LlmProvider}
+ * @throws {Error} If no provider is registered under that name.
+ */
+export function getLlmProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}". Registered providers: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * @returns {string[]} Names of all registered providers.
+ */
+export function listLlmProviders() {
+    return [...providers.keys()];
+}
+
+/**
+ * Returns the provider name configured for a task (config.llm.tasks), falling
+ * back to the historical split: OpenAI for main, Gemini for lite and vision.
+ * @param {string} task - One of LLM_TASKS.
+ * @param {object} [appConfig=config]
+ * @returns {string}
+ */
+export function getProviderNameForTask(task, appConfig = config) {
+    if (!LLM_TASKS.includes(task)) {
+        throw new Error(`Unknown LLM task "${task}". Expected one of: ${LLM_TASKS.join(', ')}`);
+    }
+    return appConfig.llm?.tasks?.[task] || DEFAULT_TASK_PROVIDERS[task];
+}
+
+/**
+ * @param {string} task - One of LLM_TASKS.
+ * @returns {LlmProvider}
+ */
+export function getProviderForTask(task) {
+    return getLlmProvider(getProviderNameForTask(task));
+}
+
+/**
+ * Distinct provider names referenced by any task, in LLM_TASKS order.
+ * @param {object} [appConfig=config]
+ * @returns {string[]}
+ */
+export function getConfiguredProviderNames(appConfig = config) {
+    return [...new Set(LLM_TASKS.map(task => getProviderNameForTask(task, appConfig)))];
+}
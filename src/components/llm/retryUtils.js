@@ -1,4 +1,5 @@
 import logger from '../../lib/logger.js';
+import { recordLlmResponse } from './llmUsage.js';
 
 export const MAX_RETRIES = 3;
 export const BASE_RETRY_DELAY_MS = 500;
@@ -42,7 +43,11 @@ export async function retryWithBackoff(fn, operationName = 'LLM API call') {
 
     for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
         try {
-            return await fn();
+            const result = await fn();
+            // Every provider request funnels through here, so this is where
+            // token usage gets attributed to the current channel/source.
+            recordLlmResponse(result);
+            return result;
         } catch (error) {
             lastError = error;
             const attemptNum = attempt + 1;
@@ -130,6 +130,51 @@ export const LocalizedTriviaQuestionSchema = {
     required: [...TriviaQuestionSchema.required, 'correct_answer_english']
 };
 
+export const TriviaChoiceQuestionSchema = {
+    type: 'object',
+    properties: {
+        question: { type: 'string', description: 'The multiple-choice question to ask.' },
+        choices: {
+            type: 'array',
+            description: 'Exactly four concise answer choices: one correct, three plausible but wrong.',
+            items: { type: 'string' }
+        },
+        correct_choice: { type: 'string', description: 'The correct choice, exactly as written in choices.' },
+        explanation: { type: 'string', description: 'Brief explanation of why the answer is correct.' },
+        difficulty: { type: 'string', description: 'Difficulty level', enum: ['easy', 'normal', 'hard'] },
+        search_used: { type: 'boolean', description: 'Whether external search was required.' },
+        category: { type: 'string', description: 'Specific category for the answer.' }
+    },
+    required: ['question', 'choices', 'correct_choice', 'explanation', 'difficulty', 'search_used', 'category']
+};
+
+export const TriviaTrueFalseSchema = {
+    type: 'object',
+    properties: {
+        statement: { type: 'string', description: 'A statement that is either true or false.' },
+        is_true: { type: 'boolean', description: 'Whether the statement is true.' },
+        explanation: { type: 'string', description: 'Brief explanation of why the statement is true or false.' },
+        difficulty: { type: 'string', description: 'Difficulty level', enum: ['easy', 'normal', 'hard'] },
+        search_used: { type: 'boolean', description: 'Whether external search was required.' },
+        category: { type: 'string', description: 'Specific category for the statement.' }
+    },
+    required: ['statement', 'is_true', 'explanation', 'difficulty', 'search_used', 'category']
+};
+
+export const TriviaNumberQuestionSchema = {
+    type: 'object',
+    properties: {
+        question: { type: 'string', description: 'A question whose answer is a single number.' },
+        numeric_answer: { type: 'number', description: 'The exact numeric answer.' },
+        unit: { type: 'string', description: 'Unit of the answer (e.g. "metres", "years"), or empty if none.' },
+        explanation: { type: 'string', description: 'Brief explanation of the answer.' },
+        difficulty: { type: 'string', description: 'Difficulty level', enum: ['easy', 'normal', 'hard'] },
+        search_used: { type: 'boolean', description: 'Whether external search was required.' },
+        category: { type: 'string', description: 'Specific category for the answer.' }
+    },
+    required: ['question', 'numeric_answer', 'unit', 'explanation', 'difficulty', 'search_used', 'category']
+};
+
 export const TriviaVerificationSchema = {
     type: 'object',
     properties: {
@@ -248,3 +293,13 @@ export const TranslationResponseSchema = {
     },
     required: ['same_language', 'translated_text']
 };
+
+export const ModerationClassificationSchema = {
+    type: 'object',
+    properties: {
+        flagged: { type: 'boolean', description: 'True if the message breaks the chat rules' },
+        category: { type: 'string', description: "One of: 'harassment', 'hate', 'sexual', 'violence', 'self-harm', 'spam', 'none'" },
+        reason: { type: 'string', description: 'Short, neutral explanation suitable to show the user' }
+    },
+    required: ['flagged', 'category', 'reason']
+};
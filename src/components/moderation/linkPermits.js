@@ -0,0 +1,79 @@
+// src/components/moderation/linkPermits.js
+// Temporary link permits granted by !permit. A permitted viewer may post links
+// the channel's allow-list would otherwise block until the permit expires.
+//
+// Permits are written to Firestore so every instance honours them, and cached
+// locally so the granting instance doesn't need a read. Lookups only happen for
+// messages that contain a blocked link.
+
+import { getFirestore, Timestamp } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const LINK_PERMITS_COLLECTION = 'linkPermits';
+
+export const DEFAULT_PERMIT_SECONDS = 60;
+export const MAX_PERMIT_SECONDS = 3600;
+
+// Map<"channel:username", expiresAtMs>
+const localPermits = new Map();
+
+function _key(channelName, username) {
+    return `${channelName.toLowerCase()}:${username.toLowerCase().replace(/^@/, '')}`;
+}
+
+function _docRef(channelName, username) {
+    return getFirestore().collection(LINK_PERMITS_COLLECTION).doc(_key(channelName, username).replace(':', '_'));
+}
+
+/**
+ * Allows a user to post links for the given number of seconds.
+ * @param {string} channelName
+ * @param {string} username - Login name, with or without '@'.
+ * @param {number} [seconds=DEFAULT_PERMIT_SECONDS]
+ * @returns {Promise<number>} The permit length actually applied, in seconds.
+ */
+export async function grantLinkPermit(channelName, username, seconds = DEFAULT_PERMIT_SECONDS) {
+    const duration = Math.min(MAX_PERMIT_SECONDS, Math.max(1, Math.round(seconds)));
+    const expiresAtMs = Date.now() + duration * 1000;
+    localPermits.set(_key(channelName, username), expiresAtMs);
+    try {
+        await _docRef(channelName, username).set({
+            channelName: channelName.toLowerCase(),
+            username: username.toLowerCase().replace(/^@/, ''),
+            expiresAt: Timestamp.fromMillis(expiresAtMs),
+        });
+    } catch (err) {
+        // The local permit still applies on this instance.
+        logger.warn({ err, channelName, username }, '[LinkPermits] Failed to persist link permit.');
+    }
+    return duration;
+}
+
+/**
+ * @param {string} channelName
+ * @param {string} username
+ * @returns {Promise<boolean>} True while the user holds an unexpired permit.
+ */
+export async function hasLinkPermit(channelName, username) {
+    const key = _key(channelName, username);
+    const localExpiry = localPermits.get(key);
+    if (localExpiry && localExpiry > Date.now()) return true;
+    if (localExpiry) localPermits.delete(key);
+
+    try {
+        const snap = await _docRef(channelName, username).get();
+        const expiresAtMs = snap.exists ? snap.data()?.expiresAt?.toMillis?.() : null;
+        if (expiresAtMs && expiresAtMs > Date.now()) {
+            localPermits.set(key, expiresAtMs);
+            return true;
+        }
+    } catch (err) {
+        logger.warn({ err, channelName, username }, '[LinkPermits] Failed to read link permit.');
+    }
+    return false;
+}
+
+// Exported for testing only
+export function _clearLocalPermits() {
+    localPermits.clear();
+}
@@ -0,0 +1,43 @@
+// src/components/moderation/moderationClassifier.js
+// Optional LLM pass that flags messages the keyword rules can't catch
+// (harassment, hate, sexual content, threats). Runs on the lite model.
+
+import logger from '../../lib/logger.js';
+import { generateStructuredJson } from '../llm/llmClient.js';
+import { ModerationClassificationSchema } from '../llm/schemaUtils.js';
+
+const SYSTEM_INSTRUCTION = `You are a Twitch chat moderator. Classify a single chat message.
+Flag it only if it clearly contains harassment or insults aimed at a person, hate speech, sexual content, threats or glorified violence, encouragement of self-harm, or spam/scams.
+Banter, swearing that isn't aimed at anyone, game talk, and jokes are fine. When unsure, do not flag.
+Return STRICT JSON.`;
+
+/**
+ * Classifies a chat message. Returns null when the model gives no usable answer;
+ * callers treat that as "not flagged".
+ *
+ * @param {string} message
+ * @param {object} [options]
+ * @param {string} [options.channelName]
+ * @returns {Promise<{flagged: boolean, category: string, reason: string}|null>}
+ */
+export async function classifyChatMessage(message, { channelName } = {}) {
+    try {
+        const parsed = await generateStructuredJson({
+            prompt: `Chat message: ${JSON.stringify(message.slice(0, 500))}`,
+            schema: ModerationClassificationSchema,
+            schemaName: 'moderation_classification',
+            systemInstruction: SYSTEM_INSTRUCTION,
+            temperature: 0,
+            model: 'lite',
+        });
+        if (!parsed || typeof parsed.flagged !== 'boolean') return null;
+        return {
+            flagged: parsed.flagged && parsed.category !== 'none',
+            category: parsed.category || 'none',
+            reason: parsed.reason || '',
+        };
+    } catch (err) {
+        logger.warn({ err, channelName }, '[ModerationClassifier] Classification failed; allowing message.');
+        return null;
+    }
+}
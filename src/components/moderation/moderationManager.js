@@ -0,0 +1,216 @@
+// src/components/moderation/moderationManager.js
+// Chat moderation pipeline. chatMessageHandler calls moderateMessage() for every
+// viewer message before anything else sees it; when a rule (or the optional AI
+// classifier) flags the message, the configured Helix action is taken, the
+// action is written to the audit log, and the message is dropped from further
+// processing (no context, commands, games or AI replies).
+
+import logger from '../../lib/logger.js';
+import { hasPermissionLevel, isPrivilegedUser } from '../../lib/permissions.js';
+import { enqueueMessage } from '../../lib/ircSender.js';
+import { deleteMessage, timeoutUser, banUser, warnUser } from '../twitch/chatClient.js';
+import { withLlmUsageContext, isLlmSourceAllowed } from '../llm/llmUsage.js';
+import { MODERATION_SOURCE } from '../llm/inferenceHistoryStorage.js';
+import {
+    loadAllModerationConfigs,
+    listenForModerationConfigChanges,
+    normalizeModerationConfig,
+    logModerationAction,
+} from './moderationStorage.js';
+import { findRuleViolation, findBlockedLinks } from './moderationRules.js';
+import { hasLinkPermit } from './linkPermits.js';
+import { classifyChatMessage } from './moderationClassifier.js';
+
+// In-memory cache of moderation configs per channel
+// Map<channelName, config>
+let channelConfigs = new Map();
+let firestoreListener = null;
+
+// Recent messages per user for the repeats rule.
+// Map<"channel:userId", Array<{text: string, atMs: number}>>
+const recentMessages = new Map();
+const MAX_TRACKED_USERS = 5000;
+const MAX_MESSAGES_PER_USER = 20;
+
+// Messages shorter than this are not worth an LLM call.
+const MIN_CLASSIFIER_LENGTH = 4;
+
+/**
+ * Loads all channel moderation configs and listens for edits.
+ */
+export async function initializeModerationManager() {
+    channelConfigs = await loadAllModerationConfigs();
+    firestoreListener = listenForModerationConfigChanges((channelName, config) => {
+        if (config) {
+            channelConfigs.set(channelName, config);
+        } else {
+            channelConfigs.delete(channelName);
+        }
+        logger.debug({ channelName }, '[ModerationManager] Updated cached moderation config');
+    });
+    logger.info(`[ModerationManager] Initialized with ${channelConfigs.size} channel configs`);
+}
+
+export function shutdownModerationManager() {
+    if (firestoreListener) {
+        firestoreListener();
+        firestoreListener = null;
+    }
+    channelConfigs.clear();
+    recentMessages.clear();
+}
+
+/**
+ * @param {string} channelName
+ * @returns {object} The channel's moderation config, or the (disabled) default.
+ */
+export function getModerationConfig(channelName) {
+    return channelConfigs.get(channelName.toLowerCase()) || normalizeModerationConfig(null);
+}
+
+/**
+ * Replaces the cached config for a channel. Used after local edits so the
+ * change applies before the Firestore listener fires, and by tests.
+ * @param {string} channelName
+ * @param {object} config
+ */
+export function setModerationConfig(channelName, config) {
+    channelConfigs.set(channelName.toLowerCase(), normalizeModerationConfig(config));
+}
+
+function _normalizeForRepeat(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Records the message and returns how many times the user sent the same text
+ * within the window (including this one).
+ */
+function _trackRepeat(channelName, userId, message, windowSeconds) {
+    const key = `${channelName}:${userId}`;
+    const nowMs = Date.now();
+    const text = _normalizeForRepeat(message);
+    const history = (recentMessages.get(key) || []).filter(m => nowMs - m.atMs < windowSeconds * 1000);
+    history.push({ text, atMs: nowMs });
+    if (history.length > MAX_MESSAGES_PER_USER) history.shift();
+
+    recentMessages.delete(key); // Re-insert to keep Map order as LRU
+    recentMessages.set(key, history);
+    if (recentMessages.size > MAX_TRACKED_USERS) {
+        recentMessages.delete(recentMessages.keys().next().value);
+    }
+    return history.filter(m => m.text === text).length;
+}
+
+function _textWithoutEmotes(tags, message) {
+    if (!Array.isArray(tags.fragments)) return message;
+    return tags.fragments.filter(f => f.type !== 'emote').map(f => f.text || '').join('');
+}
+
+/**
+ * Carries out a moderation action via Helix.
+ * @returns {Promise<boolean>} Whether Twitch accepted the action.
+ */
+async function _executeAction(channelName, tags, action, durationSeconds, reason) {
+    const userId = tags['user-id'];
+    switch (action) {
+        case 'timeout':
+            return timeoutUser(channelName, userId, durationSeconds, reason);
+        case 'ban':
+            return banUser(channelName, userId, reason);
+        case 'warn': {
+            await deleteMessage(channelName, tags.id);
+            return warnUser(channelName, userId, reason);
+        }
+        case 'delete':
+        default:
+            return deleteMessage(channelName, tags.id);
+    }
+}
+
+/**
+ * Runs the channel's moderation rules against a viewer message and acts on
+ * the first violation.
+ *
+ * @param {string} channelName - Channel name without '#'.
+ * @param {object} tags - IRC-style tags (needs username, user-id and id).
+ * @param {string} message
+ * @returns {Promise<boolean>} True if the message was moderated and should not be processed further.
+ */
+export async function moderateMessage(channelName, tags, message) {
+    const config = getModerationConfig(channelName);
+    if (!config.enabled) return false;
+    if (!tags['user-id']) return false;
+
+    // Twitch rejects actions against mods and the broadcaster anyway.
+    if (isPrivilegedUser(tags, channelName) || hasPermissionLevel(config.exemptLevel, tags, channelName)) {
+        return false;
+    }
+
+    const { rules } = config;
+    const repeatCount = rules.repeats.enabled
+        ? _trackRepeat(channelName, tags['user-id'], message, rules.repeats.windowSeconds)
+        : 1;
+
+    // Only look up a !permit when the message actually contains a blocked link.
+    const linkPermitted = rules.links.enabled
+        && findBlockedLinks(message, rules.links.allowedDomains).length > 0
+        && await hasLinkPermit(channelName, tags.username);
+
+    let violation = findRuleViolation({
+        message,
+        textWithoutEmotes: _textWithoutEmotes(tags, message),
+        repeatCount,
+        linkPermitted,
+    }, rules);
+
+    if (!violation && rules.aiClassifier.enabled && message.trim().length >= MIN_CLASSIFIER_LENGTH
+        && await isLlmSourceAllowed(channelName, MODERATION_SOURCE)) {
+        const result = await withLlmUsageContext({ channel: channelName, source: MODERATION_SOURCE },
+            () => classifyChatMessage(message, { channelName }));
+        if (result?.flagged) {
+            violation = { rule: 'aiClassifier', reason: result.reason || `Flagged as ${result.category}`, category: result.category };
+        }
+    }
+
+    if (!violation) return false;
+
+    const { action, durationSeconds } = rules[violation.rule];
+    const success = await _executeAction(channelName, tags, action, durationSeconds, violation.reason);
+
+    logger.info({
+        channel: channelName,
+        user: tags.username,
+        rule: violation.rule,
+        action,
+        success,
+    }, '[ModerationManager] Moderated chat message');
+
+    logModerationAction(channelName, {
+        rule: violation.rule,
+        category: violation.category || null,
+        action,
+        durationSeconds: action === 'timeout' ? durationSeconds : null,
+        userId: tags['user-id'],
+        username: tags.username,
+        message,
+        reason: violation.reason,
+        success,
+        moderator: 'auto',
+    });
+
+    if (config.notifyChat) {
+        const displayName = tags['display-name'] || tags.username;
+        const suffix = action === 'timeout' ? ` (timed out ${durationSeconds}s)` : '';
+        enqueueMessage(`#${channelName}`, `@${displayName} ${violation.reason}${suffix}.`, { skipLengthProcessing: true })
+            .catch(err => logger.warn({ err, channel: channelName }, '[ModerationManager] Failed to send moderation notice'));
+    }
+
+    return true;
+}
+
+// Exported for testing only
+export function _resetModerationState() {
+    channelConfigs.clear();
+    recentMessages.clear();
+}
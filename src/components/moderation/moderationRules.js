@@ -0,0 +1,163 @@
+// src/components/moderation/moderationRules.js
+// Pure checks for the moderation pipeline. Each takes the message text and the
+// rule's settings and returns a human-readable reason when the rule is broken,
+// or null.
+
+import logger from '../../lib/logger.js';
+import { escapeRegExp } from '../../lib/regexUtils.js';
+
+// Bare domains are only treated as links for common TLDs, so "e.g." or
+// "lol.ok" don't trip the filter. Anything with a scheme or "www." counts.
+const LINK_TLDS = 'com|net|org|tv|gg|io|co|me|ly|be|us|uk|de|fr|ru|jp|xyz|app|dev|info|biz|link|live|shop|site|online|club|top|fun|store|ca|au|nl|es|it|pl|br|in|to|sh|am|fm';
+const LINK_REGEX = new RegExp(
+    `(?:https?:\\/\\/|www\\.)[^\\s/$.?#][^\\s]*|\\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${LINK_TLDS})\\b(?:\\/[^\\s]*)?`,
+    'gi'
+);
+
+// Compiled banned-phrase patterns, keyed by the raw phrase string.
+const phraseCache = new Map();
+
+/**
+ * Finds links in a message.
+ * @param {string} message
+ * @returns {Array<{url: string, hostname: string}>} hostname is lowercase without "www.".
+ */
+export function extractLinks(message) {
+    if (!message) return [];
+    const links = [];
+    for (const match of message.matchAll(LINK_REGEX)) {
+        const url = match[0].replace(/[.,!?;:)'"]+$/, '');
+        let hostname = url.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].toLowerCase();
+        hostname = hostname.replace(/^www\./, '');
+        if (hostname) links.push({ url, hostname });
+    }
+    return links;
+}
+
+/**
+ * True when the hostname is an allow-listed domain or a subdomain of one.
+ * @param {string} hostname
+ * @param {string[]} allowedDomains
+ * @returns {boolean}
+ */
+export function isDomainAllowed(hostname, allowedDomains = []) {
+    return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Links in the message whose domain is not on the allow-list.
+ * @param {string} message
+ * @param {string[]} [allowedDomains]
+ * @returns {Array<{url: string, hostname: string}>}
+ */
+export function findBlockedLinks(message, allowedDomains = []) {
+    return extractLinks(message).filter(link => !isDomainAllowed(link.hostname, allowedDomains));
+}
+
+/**
+ * @param {string} message
+ * @param {{allowedDomains?: string[]}} rule
+ * @param {boolean} [permitted=false] - The user holds a !permit.
+ * @returns {string|null}
+ */
+export function checkLinks(message, { allowedDomains } = {}, permitted = false) {
+    if (permitted) return null;
+    return findBlockedLinks(message, allowedDomains).length > 0 ? 'Links are not allowed' : null;
+}
+
+/**
+ * @param {string} message
+ * @param {{minLength: number, maxPercent: number}} rule
+ * @returns {string|null}
+ */
+export function checkCaps(message, { minLength, maxPercent }) {
+    const letters = message.match(/\p{L}/gu) || [];
+    if (letters.length < minLength) return null;
+    const upper = letters.filter(ch => ch !== ch.toLowerCase() && ch === ch.toUpperCase()).length;
+    return (upper / letters.length) * 100 >= maxPercent ? 'Too many capital letters' : null;
+}
+
+/**
+ * @param {string} message
+ * @param {{minLength: number, maxPercent: number}} rule
+ * @returns {string|null}
+ */
+export function checkSymbols(message, { minLength, maxPercent }) {
+    const chars = [...message.replace(/\s/g, '')];
+    if (chars.length < minLength) return null;
+    const symbols = chars.filter(ch => !/[\p{L}\p{N}]/u.test(ch)).length;
+    return (symbols / chars.length) * 100 >= maxPercent ? 'Too many symbols' : null;
+}
+
+/**
+ * @param {number} repeatCount - How many times the user has sent this message within the window, including now.
+ * @param {{maxRepeats: number}} rule
+ * @returns {string|null}
+ */
+export function checkRepeats(repeatCount, { maxRepeats }) {
+    return repeatCount >= maxRepeats ? 'Repeated message' : null;
+}
+
+/**
+ * Compiles a banned phrase. "/pattern/flags" is a regular expression; anything
+ * else matches case-insensitively as whole words.
+ * @param {string} phrase
+ * @returns {RegExp|null} null when the pattern is invalid.
+ */
+export function compileBannedPhrase(phrase) {
+    if (phraseCache.has(phrase)) return phraseCache.get(phrase);
+    let regex = null;
+    const literal = phrase.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        regex = literal
+            ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '') || 'i')
+            : new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}(?:$|[^\\p{L}\\p{N}])`, 'iu');
+    } catch (err) {
+        logger.warn({ phrase, err: err.message }, '[ModerationRules] Ignoring invalid banned phrase pattern');
+    }
+    if (phraseCache.size > 1000) phraseCache.clear();
+    phraseCache.set(phrase, regex);
+    return regex;
+}
+
+/**
+ * @param {string} message
+ * @param {{phrases: string[]}} rule
+ * @returns {string|null}
+ */
+export function checkBannedPhrases(message, { phrases }) {
+    for (const phrase of phrases || []) {
+        const regex = compileBannedPhrase(phrase);
+        if (regex && regex.test(message)) return 'Message contains a banned phrase';
+    }
+    return null;
+}
+
+/**
+ * Runs the enabled rules in order of severity and returns the first hit.
+ * The AI classifier is not run here; see moderationClassifier.js.
+ *
+ * @param {object} input
+ * @param {string} input.message - Full message text (links and phrases are checked against this).
+ * @param {string} [input.textWithoutEmotes] - Message text with emotes removed (used for caps/symbols).
+ * @param {number} [input.repeatCount=1]
+ * @param {boolean} [input.linkPermitted=false] - The user holds a !permit.
+ * @param {object} rules - Normalized rules from the channel's moderation config.
+ * @returns {{rule: string, reason: string}|null}
+ */
+export function findRuleViolation({ message, textWithoutEmotes, repeatCount = 1, linkPermitted = false }, rules) {
+    const plain = textWithoutEmotes ?? message;
+    const checks = [
+        ['bannedPhrases', () => checkBannedPhrases(message, rules.bannedPhrases)],
+        ['links', () => checkLinks(message, rules.links, linkPermitted)],
+        ['repeats', () => checkRepeats(repeatCount, rules.repeats)],
+        ['caps', () => checkCaps(plain, rules.caps)],
+        ['symbols', () => checkSymbols(plain, rules.symbols)],
+    ];
+    for (const [rule, check] of checks) {
+        if (!rules[rule]?.enabled) continue;
+        const reason = check();
+        if (reason) return { rule, reason };
+    }
+    return null;
+}
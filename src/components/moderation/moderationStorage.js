@@ -0,0 +1,219 @@
+// src/components/moderation/moderationStorage.js
+// Per-channel chat moderation settings and the moderation audit log.
+//
+// Layout:
+//   moderationConfigs/{channel}                  normalized config (see DEFAULT_MODERATION_CONFIG)
+//   moderationLog/{channel}/actions/{autoId}     one entry per action taken
+//
+// Audit entries auto-delete after 30 days via Firestore TTL on `expiresAt`.
+
+import { getFirestore, Timestamp, createExpiresAt } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const MODERATION_CONFIG_COLLECTION = 'moderationConfigs';
+const MODERATION_LOG_COLLECTION = 'moderationLog';
+const LOG_TTL_DAYS = 30;
+
+/** Actions a rule can take. 'warn' deletes the message and issues a Twitch warning. */
+export const MODERATION_ACTIONS = ['delete', 'warn', 'timeout', 'ban'];
+
+/** Roles that can be exempted; users at or above the level are never moderated. */
+const EXEMPT_LEVELS = ['subscriber', 'vip', 'moderator', 'broadcaster'];
+
+const MAX_TIMEOUT_SECONDS = 1209600; // Helix limit (2 weeks)
+
+// Default config when none stored. Everything is opt-in.
+export const DEFAULT_MODERATION_CONFIG = Object.freeze({
+    enabled: false,
+    exemptLevel: 'vip',
+    notifyChat: false,
+    rules: Object.freeze({
+        links: Object.freeze({ enabled: false, action: 'delete', durationSeconds: 10, allowedDomains: Object.freeze(['clips.twitch.tv', 'youtube.com', 'youtu.be']) }),
+        caps: Object.freeze({ enabled: false, action: 'delete', durationSeconds: 10, minLength: 15, maxPercent: 70 }),
+        symbols: Object.freeze({ enabled: false, action: 'delete', durationSeconds: 10, minLength: 10, maxPercent: 50 }),
+        repeats: Object.freeze({ enabled: false, action: 'timeout', durationSeconds: 60, maxRepeats: 3, windowSeconds: 60 }),
+        bannedPhrases: Object.freeze({ enabled: false, action: 'timeout', durationSeconds: 300, phrases: Object.freeze([]) }),
+        aiClassifier: Object.freeze({ enabled: false, action: 'delete', durationSeconds: 60 }),
+    }),
+});
+
+/** @returns {import('@google-cloud/firestore').Firestore} */
+function _getDb() {
+    return getFirestore();
+}
+
+function _clampInt(value, fallback, min, max) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+function _normalizeRule(input, defaults) {
+    const rule = input && typeof input === 'object' ? input : {};
+    const out = {
+        enabled: rule.enabled === true,
+        action: MODERATION_ACTIONS.includes(rule.action) ? rule.action : defaults.action,
+        durationSeconds: _clampInt(rule.durationSeconds, defaults.durationSeconds, 1, MAX_TIMEOUT_SECONDS),
+    };
+    if ('minLength' in defaults) out.minLength = _clampInt(rule.minLength, defaults.minLength, 1, 500);
+    if ('maxPercent' in defaults) out.maxPercent = _clampInt(rule.maxPercent, defaults.maxPercent, 1, 100);
+    if ('maxRepeats' in defaults) out.maxRepeats = _clampInt(rule.maxRepeats, defaults.maxRepeats, 2, 50);
+    if ('windowSeconds' in defaults) out.windowSeconds = _clampInt(rule.windowSeconds, defaults.windowSeconds, 5, 3600);
+    if ('allowedDomains' in defaults) {
+        out.allowedDomains = Array.isArray(rule.allowedDomains)
+            ? [...new Set(rule.allowedDomains.map(normalizeDomain).filter(Boolean))].slice(0, 100)
+            : [...defaults.allowedDomains];
+    }
+    if ('phrases' in defaults) {
+        out.phrases = Array.isArray(rule.phrases)
+            ? rule.phrases.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim()).slice(0, 200)
+            : [];
+    }
+    return out;
+}
+
+/**
+ * Reduces "https://www.YouTube.com/watch" style input to "youtube.com".
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function normalizeDomain(input) {
+    if (typeof input !== 'string') return null;
+    const host = input.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/?#:]/)[0]
+        .replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+/**
+ * Fills in defaults and drops unknown or invalid values.
+ * @param {object} input - Raw config (e.g. from Firestore).
+ * @returns {object} A complete moderation config.
+ */
+export function normalizeModerationConfig(input) {
+    const cfg = input && typeof input === 'object' ? input : {};
+    const exemptLevel = EXEMPT_LEVELS.includes(cfg.exemptLevel) ? cfg.exemptLevel : DEFAULT_MODERATION_CONFIG.exemptLevel;
+    const rules = {};
+    for (const [name, defaults] of Object.entries(DEFAULT_MODERATION_CONFIG.rules)) {
+        rules[name] = _normalizeRule(cfg.rules?.[name], defaults);
+    }
+    return {
+        enabled: cfg.enabled === true,
+        exemptLevel,
+        notifyChat: cfg.notifyChat === true,
+        rules,
+    };
+}
+
+export async function getChannelModerationConfig(channelName) {
+    const docRef = _getDb().collection(MODERATION_CONFIG_COLLECTION).doc(channelName.toLowerCase());
+    try {
+        const snap = await docRef.get();
+        if (!snap.exists) return normalizeModerationConfig(null);
+        return normalizeModerationConfig(snap.data());
+    } catch (err) {
+        logger.error({ err, channelName }, '[ModerationStorage] Error loading moderation config');
+        return normalizeModerationConfig(null);
+    }
+}
+
+export async function saveChannelModerationConfig(channelName, config) {
+    const clean = normalizeModerationConfig(config);
+    try {
+        await _getDb().collection(MODERATION_CONFIG_COLLECTION).doc(channelName.toLowerCase()).set({
+            channelName: channelName.toLowerCase(),
+            ...clean,
+            updatedAt: new Date(),
+        }, { merge: true });
+        logger.info({ channelName }, '[ModerationStorage] Saved moderation config');
+        return true;
+    } catch (err) {
+        logger.error({ err, channelName }, '[ModerationStorage] Error saving moderation config');
+        return false;
+    }
+}
+
+/**
+ * @returns {Promise<Map<string, object>>} channelName -> normalized config
+ */
+export async function loadAllModerationConfigs() {
+    const map = new Map();
+    try {
+        const snapshot = await _getDb().collection(MODERATION_CONFIG_COLLECTION).get();
+        snapshot.forEach(doc => {
+            const data = doc.data() || {};
+            const name = (data.channelName || doc.id || '').toLowerCase();
+            if (name) map.set(name, normalizeModerationConfig(data));
+        });
+        logger.info(`[ModerationStorage] Loaded ${map.size} moderation configs`);
+    } catch (err) {
+        logger.error({ err }, '[ModerationStorage] Error loading all moderation configs');
+    }
+    return map;
+}
+
+/**
+ * Listens for config edits (e.g. from the dashboard).
+ * @param {(channelName: string, config: object|null) => void} callback - config is null when the doc was removed.
+ * @returns {Function} Unsubscribe function.
+ */
+export function listenForModerationConfigChanges(callback) {
+    return _getDb().collection(MODERATION_CONFIG_COLLECTION).onSnapshot(snapshot => {
+        snapshot.docChanges().forEach(change => {
+            const raw = change.doc.data() || {};
+            const channelName = (raw.channelName || change.doc.id || '').toLowerCase();
+            if (!channelName) return;
+            try {
+                callback(channelName, change.type === 'removed' ? null : normalizeModerationConfig(raw));
+            } catch (e) { /* ignore */ }
+        });
+    }, err => {
+        logger.error({ err }, '[ModerationStorage] Error in moderation config listener.');
+    });
+}
+
+/**
+ * Appends an entry to the channel's moderation audit log.
+ * Fire-and-forget — errors are logged but never thrown.
+ *
+ * @param {string} channelName
+ * @param {{rule: string, action: string, userId?: string, username?: string,
+ *   message?: string, reason?: string, success: boolean, moderator?: string}} entry
+ */
+export async function logModerationAction(channelName, entry) {
+    try {
+        await _getDb().collection(MODERATION_LOG_COLLECTION)
+            .doc(channelName.toLowerCase())
+            .collection('actions')
+            .add({
+                ...entry,
+                message: typeof entry.message === 'string' ? entry.message.slice(0, 500) : null,
+                createdAt: Timestamp.fromDate(new Date()),
+                expiresAt: Timestamp.fromDate(createExpiresAt(LOG_TTL_DAYS)),
+            });
+    } catch (err) {
+        logger.warn({ err, channelName, rule: entry.rule }, '[ModerationStorage] Failed to write audit log entry.');
+    }
+}
+
+/**
+ * Returns the channel's most recent audit log entries, newest first.
+ * @param {string} channelName
+ * @param {number} [limit=25]
+ * @returns {Promise<object[]>}
+ */
+export async function getRecentModerationActions(channelName, limit = 25) {
+    try {
+        const snapshot = await _getDb().collection(MODERATION_LOG_COLLECTION)
+            .doc(channelName.toLowerCase())
+            .collection('actions')
+            .orderBy('createdAt', 'desc')
+            .limit(limit)
+            .get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (err) {
+        logger.error({ err, channelName }, '[ModerationStorage] Error loading moderation log');
+        return [];
+    }
+}
@@ -0,0 +1,148 @@
+// src/components/points/pointsManager.js
+// Earns loyalty points. A tick every few minutes pays chat points to viewers
+// who chatted during the last tick (channelActivity.js tracks them) and, while
+// the stream is live, watch points to everyone in Twitch's chatter list.
+// Follows, subs, raids and game wins pay out as they happen.
+//
+// With several instances, each chat message reaches only one of them, so every
+// instance pays chat points to the chatters it saw. Twitch's chatter list is
+// the same everywhere, so only the first instance to claim a tick pays watch
+// points from it.
+
+import config from '../../config/index.js';
+import logger from '../../lib/logger.js';
+import { isDuplicateEvent } from '../../lib/distributedCache.js';
+import { getChatChannels, getRecentChatters } from '../context/channelActivity.js';
+import { getContextManager } from '../context/contextManager.js';
+import { isStreamLive } from '../context/liveStatus.js';
+import { getChannelChatters } from '../twitch/chatClient.js';
+import { getPointsSettings, addPoints, awardPoints } from './pointsStorage.js';
+
+export const POINTS_TICK_MS = 5 * 60 * 1000;
+// When Twitch's chatter list is unavailable (no broadcaster token or no
+// moderator:read:chatters scope), viewers count as watching for this long
+// after their last message instead
+export const WATCH_WINDOW_MS = 30 * 60 * 1000;
+// A viewer can earn follow points once per channel in this window, so
+// unfollowing and following again doesn't farm points
+const FOLLOW_DEDUP_MS = 30 * 24 * 60 * 60 * 1000;
+
+const EVENT_SOURCES = ['follow', 'sub', 'giftSub', 'raid', 'gameWin'];
+
+let intervalId = null;
+let tickInProgress = false;
+
+async function _getWatchers(channelName, nowMs) {
+    const chatters = await getChannelChatters(channelName);
+    if (!chatters) {
+        // Like chat points, each instance pays the viewers it saw chatting
+        logger.debug({ channel: channelName }, '[PointsManager] No chatter list from Twitch, using recent chatters');
+        return getRecentChatters(channelName, nowMs - WATCH_WINDOW_MS);
+    }
+
+    // Every instance runs this tick; only the first to claim a tick slot pays the chatter list
+    const tickSlot = Math.floor(nowMs / POINTS_TICK_MS);
+    if (await isDuplicateEvent(`points-tick:${channelName}:${tickSlot}`, null, POINTS_TICK_MS)) {
+        logger.debug({ channel: channelName, tickSlot }, '[PointsManager] Watch points already paid by another instance');
+        return [];
+    }
+    const botLogin = config.twitch.username?.toLowerCase();
+    return chatters.filter(viewer => viewer.login !== botLogin);
+}
+
+async function _payChannel(channelName, nowMs) {
+    const chatters = getRecentChatters(channelName, nowMs - POINTS_TICK_MS);
+    const live = isStreamLive(channelName);
+    if (chatters.length === 0 && !live) return;
+
+    const settings = await getPointsSettings(channelName);
+    if (!settings.enabled) return;
+
+    if (settings.chat > 0 && chatters.length > 0) {
+        await awardPoints(channelName, chatters, settings.chat);
+    }
+    let watchers = [];
+    if (settings.watch > 0 && live) {
+        watchers = await _getWatchers(channelName, nowMs);
+        if (watchers.length > 0) await awardPoints(channelName, watchers, settings.watch);
+    }
+    logger.debug({ channel: channelName, chatters: chatters.length, watchers: watchers.length },
+        '[PointsManager] Paid chat and watch points');
+}
+
+async function tick() {
+    if (tickInProgress) {
+        logger.warn('[PointsManager] Tick skipped due to previous tick still running');
+        return;
+    }
+    tickInProgress = true;
+    try {
+        const nowMs = Date.now();
+        // Channels with recent chat, plus the rest so live channels with only lurkers still pay watch points
+        const channels = new Set([
+            ...getChatChannels(),
+            ...[...getContextManager().getAllChannelStates().keys()].map(name => name.toLowerCase()),
+        ]);
+        for (const channelName of channels) {
+            try {
+                await _payChannel(channelName, nowMs);
+            } catch (err) {
+                logger.error({ err, channel: channelName }, '[PointsManager] Error paying points during tick');
+            }
+        }
+    } finally {
+        tickInProgress = false;
+    }
+}
+
+/**
+ * Pays a channel's points for a one-off event. Never throws: points are a
+ * side effect and must not break the event that earned them.
+ * @param {string} channelName
+ * @param {'follow'|'sub'|'giftSub'|'raid'|'gameWin'} source
+ * @param {{login: string, userId?: string|null, displayName?: string}} viewer
+ * @param {number} [count=1] - Multiplier, e.g. the number of gifted subs.
+ * @returns {Promise<number>} Points awarded (0 if none).
+ */
+export async function awardEventPoints(channelName, source, viewer, count = 1) {
+    if (!EVENT_SOURCES.includes(source) || !viewer?.login) return 0;
+    const channel = channelName.toLowerCase();
+    try {
+        const settings = await getPointsSettings(channel);
+        const amount = settings[source] * Math.max(1, Math.floor(count));
+        if (!settings.enabled || amount <= 0) return 0;
+
+        if (source === 'follow'
+            && await isDuplicateEvent(`points-follow:${channel}:${viewer.userId || viewer.login.toLowerCase()}`, null, FOLLOW_DEDUP_MS)) {
+            logger.debug({ channel, viewer: viewer.login }, '[PointsManager] Follow points already paid');
+            return 0;
+        }
+
+        await addPoints(channel, viewer, amount);
+        logger.info({ channel, source, viewer: viewer.login, amount }, '[PointsManager] Paid event points');
+        return amount;
+    } catch (err) {
+        logger.error({ err, channel, source, viewer: viewer.login }, '[PointsManager] Error paying event points');
+        return 0;
+    }
+}
+
+export function startPointsManager() {
+    if (intervalId) {
+        logger.warn('[PointsManager] Already running');
+        return;
+    }
+    intervalId = setInterval(tick, POINTS_TICK_MS);
+    logger.info('[PointsManager] Started');
+}
+
+export function stopPointsManager() {
+    if (intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+    }
+    logger.info('[PointsManager] Stopped');
+}
+
+// Exported for testing only
+export { tick as _tick };
@@ -0,0 +1,327 @@
+// src/components/points/pointsStorage.js
+// Firestore persistence for the loyalty points economy: each channel's
+// settings and its viewers' balances.
+//
+// Layout: loyaltyPoints/{channelLogin}                  - settings
+//         loyaltyPoints/{channelLogin}/viewers/{login}  - one balance per viewer
+// Viewers are keyed by login, like the game leaderboards, so chat, EventSub
+// and game wins all land on the same document. Changes to one viewer go
+// through a transaction; bulk awards use batched increments so a busy chat
+// costs one write per viewer per tick.
+
+import { getFirestore, FieldValue } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const LOYALTY_POINTS_COLLECTION = 'loyaltyPoints';
+const VIEWERS_SUBCOLLECTION = 'viewers';
+
+// Firestore allows 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+export const VIEWER_LOGIN_REGEX = /^[a-z0-9_]{1,25}$/;
+export const MAX_POINTS_AMOUNT = 1000000;
+
+/**
+ * Settings used when a channel has never changed them. Each earning source is
+ * the number of points it gives; 0 turns that source off.
+ *   chat    - Per tick, for viewers who chatted since the last one.
+ *   watch   - Per tick while live, for viewers seen in chat recently.
+ *   follow  - Once, for following the channel.
+ *   sub     - For a subscription (not gifted).
+ *   giftSub - For each sub a viewer gifts.
+ *   raid    - For the streamer who raids the channel.
+ *   gameWin - For winning a trivia, riddle or geo round.
+ */
+export const DEFAULT_POINTS_SETTINGS = Object.freeze({
+    enabled: false,
+    currency: 'points',
+    chat: 5,
+    watch: 10,
+    follow: 50,
+    sub: 250,
+    giftSub: 100,
+    raid: 100,
+    gameWin: 25,
+});
+
+export const POINTS_EARNING_SOURCES = ['chat', 'watch', 'follow', 'sub', 'giftSub', 'raid', 'gameWin'];
+
+/**
+ * Custom error class for points storage operations.
+ */
+export class PointsStorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'PointsStorageError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Thrown by transferPoints when the giver can't cover the amount. Callers
+ * word the reply themselves, formatting `available` with the channel's currency.
+ */
+export class InsufficientPointsError extends PointsStorageError {
+    constructor(available) {
+        super(`Only ${available} available to give.`);
+        this.name = 'InsufficientPointsError';
+        this.available = available;
+    }
+}
+
+function _getDb() {
+    return getFirestore();
+}
+
+function _settingsDocRef(db, channelName) {
+    return db.collection(LOYALTY_POINTS_COLLECTION).doc(channelName.toLowerCase());
+}
+
+function _viewersColRef(db, channelName) {
+    return _settingsDocRef(db, channelName).collection(VIEWERS_SUBCOLLECTION);
+}
+
+function _normalizeSettings(data) {
+    const settings = { ...DEFAULT_POINTS_SETTINGS };
+    if (!data || typeof data !== 'object') return settings;
+    if (typeof data.enabled === 'boolean') settings.enabled = data.enabled;
+    if (typeof data.currency === 'string' && data.currency.trim()) settings.currency = data.currency.trim();
+    for (const source of POINTS_EARNING_SOURCES) {
+        if (Number.isInteger(data[source]) && data[source] >= 0) settings[source] = data[source];
+    }
+    return settings;
+}
+
+function _viewerFromDoc(doc) {
+    const data = doc.data();
+    return {
+        login: doc.id,
+        userId: data.userId || null,
+        displayName: data.displayName || doc.id,
+        points: data.points || 0,
+        earned: data.earned || 0,
+    };
+}
+
+/**
+ * Formats a points amount with the channel's currency name, e.g. "1,250 gems".
+ * @param {number} amount
+ * @param {{currency: string}} settings - From getPointsSettings().
+ * @returns {string}
+ */
+export function formatPoints(amount, settings) {
+    return `${amount.toLocaleString('en-US')} ${settings.currency}`;
+}
+
+// ─── Settings ───────────────────────────────────────────────────────────────
+
+/**
+ * Loads a channel's points settings. Falls back to the defaults (points off)
+ * when the channel has none or Firestore can't be read.
+ * @param {string} channelName
+ * @returns {Promise<object>} See DEFAULT_POINTS_SETTINGS.
+ */
+export async function getPointsSettings(channelName) {
+    try {
+        const snap = await _settingsDocRef(_getDb(), channelName).get();
+        return _normalizeSettings(snap.exists ? snap.data() : null);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[PointsStorage] Error loading points settings');
+        return { ...DEFAULT_POINTS_SETTINGS };
+    }
+}
+
+/**
+ * Changes some of a channel's points settings. Unknown keys and invalid
+ * values are ignored.
+ * @param {string} channelName
+ * @param {object} changes - enabled, currency and/or earning source amounts.
+ * @returns {Promise<boolean>} True if saved.
+ */
+export async function updatePointsSettings(channelName, changes) {
+    const update = {};
+    if (typeof changes.enabled === 'boolean') update.enabled = changes.enabled;
+    if (typeof changes.currency === 'string' && changes.currency.trim()) update.currency = changes.currency.trim();
+    for (const source of POINTS_EARNING_SOURCES) {
+        const amount = changes[source];
+        if (Number.isInteger(amount) && amount >= 0 && amount <= MAX_POINTS_AMOUNT) update[source] = amount;
+    }
+    try {
+        await _settingsDocRef(_getDb(), channelName).set({
+            channelName: channelName.toLowerCase(),
+            ...update,
+            updatedAt: FieldValue.serverTimestamp(),
+        }, { merge: true });
+        logger.info({ channel: channelName, changes: update }, '[PointsStorage] Saved points settings');
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[PointsStorage] Error saving points settings');
+        return false;
+    }
+}
+
+// ─── Balances ───────────────────────────────────────────────────────────────
+
+/**
+ * Gets a viewer's balance.
+ * @param {string} channelName
+ * @param {string} login - Viewer login.
+ * @returns {Promise<{login: string, userId: string|null, displayName: string, points: number, earned: number}|null>}
+ *   null if the viewer has never had points here.
+ */
+export async function getViewerPoints(channelName, login) {
+    try {
+        const snap = await _viewersColRef(_getDb(), channelName).doc(login.toLowerCase()).get();
+        return snap.exists ? _viewerFromDoc(snap) : null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, login }, '[PointsStorage] Error getting viewer points');
+        throw new PointsStorageError(`Failed to get points for ${login} in ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds points to (or, with a negative amount, takes points from) one viewer.
+ * Balances never go below zero. Positive amounts also count towards the
+ * viewer's lifetime "earned" total.
+ * @param {string} channelName
+ * @param {{login: string, userId?: string|null, displayName?: string}} viewer
+ * @param {number} amount - Whole number of points.
+ * @returns {Promise<number>} The viewer's new balance.
+ */
+export async function addPoints(channelName, viewer, amount) {
+    const db = _getDb();
+    const login = viewer.login.toLowerCase();
+    const docRef = _viewersColRef(db, channelName).doc(login);
+    try {
+        return await db.runTransaction(async (t) => {
+            const snap = await t.get(docRef);
+            const data = snap.exists ? snap.data() : {};
+            const points = Math.max(0, (data.points || 0) + amount);
+            t.set(docRef, {
+                points,
+                earned: (data.earned || 0) + Math.max(0, amount),
+                displayName: viewer.displayName || data.displayName || login,
+                ...(viewer.userId ? { userId: viewer.userId } : {}),
+                updatedAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            return points;
+        });
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, login, amount }, '[PointsStorage] Error adding points');
+        throw new PointsStorageError(`Failed to add points for ${login} in ${channelName}`, error);
+    }
+}
+
+/**
+ * Gives the same number of points to many viewers with batched increments,
+ * which never contend with each other the way transactions would.
+ * @param {string} channelName
+ * @param {Array<{login: string, userId?: string|null, displayName?: string}>} viewers
+ * @param {number} amount - Positive whole number of points.
+ * @returns {Promise<number>} How many viewers were awarded.
+ */
+export async function awardPoints(channelName, viewers, amount) {
+    if (!viewers.length || amount <= 0) return 0;
+    const db = _getDb();
+    const colRef = _viewersColRef(db, channelName);
+    try {
+        for (let i = 0; i < viewers.length; i += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            for (const viewer of viewers.slice(i, i + MAX_BATCH_WRITES)) {
+                const login = viewer.login.toLowerCase();
+                batch.set(colRef.doc(login), {
+                    points: FieldValue.increment(amount),
+                    earned: FieldValue.increment(amount),
+                    displayName: viewer.displayName || login,
+                    ...(viewer.userId ? { userId: viewer.userId } : {}),
+                    updatedAt: FieldValue.serverTimestamp(),
+                }, { merge: true });
+            }
+            await batch.commit();
+        }
+        return viewers.length;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, viewers: viewers.length, amount },
+            '[PointsStorage] Error awarding points');
+        throw new PointsStorageError(`Failed to award points in ${channelName}`, error);
+    }
+}
+
+/**
+ * Moves points from one viewer to another in a single transaction.
+ * @param {string} channelName
+ * @param {string} fromLogin - Viewer giving the points.
+ * @param {string} toLogin - Viewer receiving them. Must already have a balance.
+ * @param {number|'all'} amount - Positive whole number, or 'all' for the giver's whole balance.
+ * @returns {Promise<{amount: number, fromPoints: number, toPoints: number, toDisplayName: string}>}
+ * @throws {InsufficientPointsError} When the giver's balance doesn't cover the amount.
+ * @throws {PointsStorageError} With a chat-ready message (and no cause) when the
+ *   receiver has no balance yet.
+ */
+export async function transferPoints(channelName, fromLogin, toLogin, amount) {
+    const db = _getDb();
+    const fromRef = _viewersColRef(db, channelName).doc(fromLogin.toLowerCase());
+    const toRef = _viewersColRef(db, channelName).doc(toLogin.toLowerCase());
+    try {
+        return await db.runTransaction(async (t) => {
+            const fromSnap = await t.get(fromRef);
+            const toSnap = await t.get(toRef);
+            const fromPoints = fromSnap.exists ? fromSnap.data().points || 0 : 0;
+            const giving = amount === 'all' ? fromPoints : amount;
+
+            if (!toSnap.exists) {
+                throw new PointsStorageError(`${toLogin} hasn't earned anything here yet.`);
+            }
+            if (giving <= 0 || giving > fromPoints) {
+                throw new InsufficientPointsError(fromPoints);
+            }
+
+            const toPoints = (toSnap.data().points || 0) + giving;
+            t.update(fromRef, { points: fromPoints - giving, updatedAt: FieldValue.serverTimestamp() });
+            t.update(toRef, { points: toPoints, updatedAt: FieldValue.serverTimestamp() });
+            return {
+                amount: giving,
+                fromPoints: fromPoints - giving,
+                toPoints,
+                toDisplayName: toSnap.data().displayName || toSnap.id,
+            };
+        });
+    } catch (error) {
+        if (error instanceof PointsStorageError) throw error;
+        logger.error({ err: error, channel: channelName, fromLogin, toLogin, amount },
+            '[PointsStorage] Error transferring points');
+        throw new PointsStorageError(`Failed to transfer points in ${channelName}`, error);
+    }
+}
+
+/**
+ * Ranks a balance within the channel. Viewers with the same balance share a rank.
+ * @param {string} channelName
+ * @param {number} points
+ * @returns {Promise<number|null>} 1 for the most points, or null on error.
+ */
+export async function getPointsRank(channelName, points) {
+    try {
+        const snapshot = await _viewersColRef(_getDb(), channelName).where('points', '>', points).count().get();
+        return snapshot.data().count + 1;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[PointsStorage] Error ranking points');
+        return null;
+    }
+}
+
+/**
+ * Gets the viewers with the most points.
+ * @param {string} channelName
+ * @param {number} [limit=5]
+ * @returns {Promise<Array<{login: string, userId: string|null, displayName: string, points: number, earned: number}>>}
+ */
+export async function getPointsLeaderboard(channelName, limit = 5) {
+    try {
+        const snapshot = await _viewersColRef(_getDb(), channelName).orderBy('points', 'desc').limit(limit).get();
+        return snapshot.docs.map(_viewerFromDoc);
+    } catch (error) {
+        logger.error({ err: error, channel: channelName }, '[PointsStorage] Error loading points leaderboard');
+        throw new PointsStorageError(`Failed to load the points leaderboard for ${channelName}`, error);
+    }
+}
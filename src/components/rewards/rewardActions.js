@@ -0,0 +1,302 @@
+// src/components/rewards/rewardActions.js
+// What a Channel Points reward can do when redeemed. Each action type knows
+// how to read itself from chat ("!reward action <name> <type> ..."), describe
+// itself, and run against a redemption. run() resolves to { success, error? };
+// a failed action gets its redemption refunded when the bot manages the
+// reward. New types only need a registerRewardAction() call.
+import logger from '../../lib/logger.js';
+import { enqueueMessage, enqueueAnnouncement } from '../../lib/ircSender.js';
+import { parseVariables, validateTemplate } from '../customCommands/variableParser.js';
+import { resolvePrompt } from '../customCommands/promptResolver.js';
+import { incrementCounter, normalizeVariableName } from '../customCommands/customCommandsStorage.js';
+import { addQuote } from '../quotes/quoteStorage.js';
+import { getContextManager } from '../context/contextManager.js';
+import { isLlmSourceAllowed } from '../llm/llmUsage.js';
+import { rewardSource } from '../llm/inferenceHistoryStorage.js';
+import { getTriviaGameManager } from '../trivia/triviaGameManager.js';
+import { getRiddleGameManager } from '../riddle/riddleGameManager.js';
+import { getGeoGameManager } from '../geo/geoGameManager.js';
+
+export const MAX_ACTION_TEXT_LENGTH = 400;
+export const ANNOUNCEMENT_COLORS = ['primary', 'blue', 'green', 'orange', 'purple'];
+const MAX_COUNTER_STEP = 1000;
+
+/**
+ * @typedef {object} Redemption
+ * @property {string} channelName - Channel without '#'.
+ * @property {string} rewardName - Name of the reward action.
+ * @property {string} userLogin - Redeeming viewer's login.
+ * @property {string} userName - Redeeming viewer's display name.
+ * @property {string} input - Text the viewer typed, or ''.
+ * @property {number} useCount - Redemptions so far, including this one.
+ */
+
+/**
+ * @typedef {object} RewardActionType
+ * @property {string} type - Key stored in the action's "type" field.
+ * @property {string} usage - Arguments shown in help, e.g. "text <response>".
+ * @property {boolean} [needsInput] - Managed rewards of this type ask viewers for text.
+ * @property {(args: string[]) => {action?: object, error?: string}} parse
+ *   Reads the words after the type name; error is chat-ready.
+ * @property {(action: object) => string} describe
+ * @property {(redemption: Redemption, action: object) => Promise<{success: boolean, error?: string}>} run
+ */
+
+function _variables(redemption) {
+    return {
+        user: redemption.userName,
+        username: redemption.userLogin,
+        channel: redemption.channelName,
+        // The viewer's text is $(args) as a whole, $(1), $(2), ... by word
+        args: redemption.input ? redemption.input.split(/\s+/) : [],
+        useCount: redemption.useCount,
+    };
+}
+
+function _checkText(text, what) {
+    if (!text) return `Please give the ${what}.`;
+    if (text.length > MAX_ACTION_TEXT_LENGTH) return `The ${what} must be ${MAX_ACTION_TEXT_LENGTH} characters or fewer.`;
+    const templateError = validateTemplate(text);
+    return templateError ? `The ${what} has an error: ${templateError}.` : null;
+}
+
+function _truncate(text, length = 60) {
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+const textAction = {
+    type: 'text',
+    usage: 'text <response>',
+    parse(args) {
+        const response = args.join(' ').trim();
+        const error = _checkText(response, 'response');
+        return error ? { error } : { action: { type: 'text', response } };
+    },
+    describe: action => `says "${_truncate(action.response)}"`,
+    async run(redemption, action) {
+        const text = await parseVariables(action.response, _variables(redemption));
+        if (!text?.trim()) return { success: false };
+        await enqueueMessage(`#${redemption.channelName}`, text);
+        return { success: true };
+    },
+};
+
+const promptAction = {
+    type: 'prompt',
+    usage: 'prompt <AI prompt>',
+    parse(args) {
+        const prompt = args.join(' ').trim();
+        const error = _checkText(prompt, 'prompt');
+        return error ? { error } : { action: { type: 'prompt', prompt } };
+    },
+    describe: action => `AI prompt "${_truncate(action.prompt)}"`,
+    async run(redemption, action) {
+        const { channelName } = redemption;
+        const source = rewardSource(redemption.rewardName);
+        if (!(await isLlmSourceAllowed(channelName, source))) {
+            return { success: false, error: 'AI responses are paused for this channel right now.' };
+        }
+
+        const contextManager = getContextManager();
+        const botLanguage = contextManager.getBotLanguage(channelName);
+        let chatContext = null;
+        try {
+            chatContext = contextManager.getContextForLLM(channelName, redemption.userName, '')?.recentChatHistory || null;
+        } catch (ctxError) {
+            logger.debug({ err: ctxError, channel: channelName },
+                '[RewardActions] Could not gather chat context, proceeding without it');
+        }
+
+        const resolvedPrompt = await parseVariables(action.prompt, _variables(redemption));
+        const text = await resolvePrompt(resolvedPrompt, botLanguage || null, null, false, {
+            channel: channelName,
+            source,
+            chatContext,
+        });
+        if (!text) return { success: false, error: `Couldn't come up with a response.` };
+        await enqueueMessage(`#${channelName}`, text, { skipTranslation: !!botLanguage });
+        return { success: true };
+    },
+};
+
+const counterAction = {
+    type: 'counter',
+    usage: 'counter <counter> [amount] [response]',
+    parse(args) {
+        const counter = normalizeVariableName(args[0]);
+        if (!counter) return { error: 'Please give a counter name of up to 32 letters, numbers and underscores.' };
+
+        let rest = args.slice(1);
+        let amount = 1;
+        if (/^[+-]?\d+$/.test(rest[0] || '')) {
+            amount = parseInt(rest[0], 10);
+            if (amount === 0 || Math.abs(amount) > MAX_COUNTER_STEP) {
+                return { error: `The amount must be between -${MAX_COUNTER_STEP} and ${MAX_COUNTER_STEP}, and not 0.` };
+            }
+            rest = rest.slice(1);
+        }
+
+        const response = rest.join(' ').trim();
+        const error = response ? _checkText(response, 'response') : null;
+        if (error) return { error };
+        return { action: { type: 'counter', counter, amount, response: response || null } };
+    },
+    describe: action => `adds ${action.amount} to counter "${action.counter}"`,
+    async run(redemption, action) {
+        const value = await incrementCounter(redemption.channelName, action.counter, action.amount);
+        const text = action.response
+            ? await parseVariables(action.response, _variables(redemption))
+            : `${action.counter} is now ${value}.`;
+        if (text?.trim()) await enqueueMessage(`#${redemption.channelName}`, text);
+        return { success: true };
+    },
+};
+
+const announceAction = {
+    type: 'announce',
+    usage: `announce [${ANNOUNCEMENT_COLORS.join('|')}] <message>`,
+    parse(args) {
+        let color = 'primary';
+        let words = args;
+        if (ANNOUNCEMENT_COLORS.includes((args[0] || '').toLowerCase())) {
+            color = args[0].toLowerCase();
+            words = args.slice(1);
+        }
+        const message = words.join(' ').trim();
+        const error = _checkText(message, 'announcement');
+        return error ? { error } : { action: { type: 'announce', message, color } };
+    },
+    describe: action => `announces "${_truncate(action.message)}"${action.color !== 'primary' ? ` in ${action.color}` : ''}`,
+    async run(redemption, action) {
+        const text = await parseVariables(action.message, _variables(redemption));
+        if (!text?.trim()) return { success: false };
+        await enqueueAnnouncement(`#${redemption.channelName}`, text, action.color || 'primary');
+        return { success: true };
+    },
+};
+
+// Starts one round; the viewer's text, if any, picks the topic.
+const GAMES = {
+    trivia: (channelName, topic, initiator) => getTriviaGameManager().startGame(channelName, topic, initiator, 1),
+    riddle: (channelName, topic, initiator) => getRiddleGameManager().startGame(channelName, topic, initiator, 1),
+    geo: (channelName, topic, initiator) => getGeoGameManager().startGame(channelName, 'real', topic, initiator, 1),
+};
+
+const gameAction = {
+    type: 'game',
+    usage: `game <${Object.keys(GAMES).join('|')}> [topic]`,
+    parse(args) {
+        const game = (args[0] || '').toLowerCase();
+        if (!Object.hasOwn(GAMES, game)) {
+            return { error: `Please name a game: ${Object.keys(GAMES).join(', ')}.` };
+        }
+        const topic = args.slice(1).join(' ').trim();
+        if (topic.length > 100) return { error: 'The topic must be 100 characters or fewer.' };
+        return { action: { type: 'game', game, topic: topic || null } };
+    },
+    describe: action => `starts ${action.game}${action.topic ? ` (${action.topic})` : ''}`,
+    async run(redemption, action) {
+        const topic = action.topic || redemption.input.slice(0, 100) || null;
+        const result = await GAMES[action.game](redemption.channelName, topic, redemption.userLogin);
+        return result?.success ? { success: true } : { success: false, error: result?.error };
+    },
+};
+
+const quoteAction = {
+    type: 'quote',
+    usage: 'quote',
+    needsInput: true,
+    parse: () => ({ action: { type: 'quote' } }),
+    describe: () => `adds the viewer's text as a quote`,
+    async run(redemption) {
+        const text = redemption.input.trim();
+        if (!text) return { success: false, error: `Type the quote in the reward's text box.` };
+        const { quoteId } = await addQuote(redemption.channelName, text, redemption.channelName, redemption.userLogin);
+        await enqueueMessage(`#${redemption.channelName}`, `Quote #${quoteId} added, thanks @${redemption.userName}!`);
+        return { success: true };
+    },
+};
+
+/** @type {Map<string, RewardActionType>} */
+const actionTypes = new Map(
+    [textAction, promptAction, counterAction, announceAction, gameAction, quoteAction].map(def => [def.type, def])
+);
+
+// Typed in place of the type name
+const TYPE_ALIASES = { ai: 'prompt', announcement: 'announce', tts: 'announce' };
+
+/**
+ * Registers (or replaces) a reward action type.
+ * @param {RewardActionType} definition
+ * @throws {Error} If the definition is missing a type or a required method.
+ */
+export function registerRewardAction(definition) {
+    if (!definition?.type || typeof definition.type !== 'string') {
+        throw new Error('Reward action must have a string type.');
+    }
+    const missing = ['parse', 'describe', 'run'].filter(method => typeof definition[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Reward action "${definition.type}" is missing: ${missing.join(', ')}`);
+    }
+    actionTypes.set(definition.type, definition);
+}
+
+/**
+ * @returns {string[]} Usage strings of every registered action type.
+ */
+export function getRewardActionUsages() {
+    return [...actionTypes.values()].map(def => def.usage);
+}
+
+/**
+ * Reads an action from chat arguments: the type name, then its parameters.
+ * @param {string[]} args - e.g. ['counter', 'hydrate', '2'].
+ * @returns {{action?: object, error?: string}} error is chat-ready.
+ */
+export function parseRewardAction(args) {
+    const typed = (args[0] || '').toLowerCase();
+    const definition = actionTypes.get(TYPE_ALIASES[typed] || typed);
+    if (!definition) {
+        return { error: `Unknown action. Available: ${[...actionTypes.keys()].join(', ')}.` };
+    }
+    return definition.parse(args.slice(1));
+}
+
+/**
+ * @param {object} action
+ * @returns {boolean} True if managed rewards with this action should ask viewers for text.
+ */
+export function actionNeedsInput(action) {
+    return !!actionTypes.get(action?.type)?.needsInput;
+}
+
+/**
+ * @param {object} action
+ * @returns {string} Short description for chat.
+ */
+export function describeRewardAction(action) {
+    const definition = actionTypes.get(action?.type);
+    return definition ? definition.describe(action) : `unknown action "${action?.type}"`;
+}
+
+/**
+ * Runs a reward's action for one redemption. Never throws.
+ * @param {Redemption} redemption
+ * @param {object} action
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function runRewardAction(redemption, action) {
+    const definition = actionTypes.get(action?.type);
+    if (!definition) {
+        logger.warn({ channel: redemption.channelName, reward: redemption.rewardName, type: action?.type },
+            '[RewardActions] Reward has an unknown action type');
+        return { success: false };
+    }
+    try {
+        return await definition.run(redemption, action);
+    } catch (error) {
+        logger.error({ err: error, channel: redemption.channelName, reward: redemption.rewardName, type: action.type },
+            '[RewardActions] Reward action failed');
+        return { success: false };
+    }
+}
@@ -0,0 +1,253 @@
+// src/components/rewards/rewardStorage.js
+// Firestore persistence for Channel Points reward actions: what the bot does
+// when a viewer redeems a given custom reward.
+//
+// Layout: channelRewards/{channelLogin}/rewards/{rewardName}
+// Each document maps one Twitch reward ID to an action ({ type, ...params },
+// see rewardActions.js). "managed" rewards were created by the bot through
+// Helix, which is what lets it fulfil or refund their redemptions.
+
+import { getFirestore, FieldValue } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const CHANNEL_REWARDS_COLLECTION = 'channelRewards';
+const REWARDS_SUBCOLLECTION = 'rewards';
+
+// Twitch allows 50 custom rewards per channel; half is plenty for bot actions.
+export const MAX_REWARDS_PER_CHANNEL = 25;
+export const REWARD_NAME_REGEX = /^[a-z0-9_]{1,25}$/;
+
+/**
+ * Custom error class for reward storage operations.
+ */
+export class RewardStorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'RewardStorageError';
+        this.cause = cause;
+    }
+}
+
+function _getDb() {
+    return getFirestore();
+}
+
+function _rewardsColRef(db, channelName) {
+    return db.collection(CHANNEL_REWARDS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(REWARDS_SUBCOLLECTION);
+}
+
+function _rewardDocRef(db, channelName, rewardName) {
+    return _rewardsColRef(db, channelName).doc(rewardName.toLowerCase());
+}
+
+/**
+ * Gets a reward action by its name.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardName - The reward name (lowercase).
+ * @returns {Promise<object|null>} Reward data or null if not found.
+ */
+export async function getReward(channelName, rewardName) {
+    const db = _getDb();
+    try {
+        const docSnap = await _rewardDocRef(db, channelName, rewardName).get();
+        return docSnap.exists ? { name: rewardName.toLowerCase(), ...docSnap.data() } : null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardStorage] Error getting reward');
+        throw new RewardStorageError(`Failed to get reward ${rewardName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Finds the reward action mapped to a Twitch reward ID.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardId - The Twitch custom reward ID.
+ * @returns {Promise<object|null>} Reward data or null if the reward isn't mapped.
+ */
+export async function getRewardByTwitchId(channelName, rewardId) {
+    const db = _getDb();
+    try {
+        const snapshot = await _rewardsColRef(db, channelName).where('rewardId', '==', rewardId).limit(1).get();
+        if (snapshot.empty) return null;
+        const doc = snapshot.docs[0];
+        return { name: doc.id, ...doc.data() };
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, rewardId },
+            '[RewardStorage] Error looking up reward by ID');
+        throw new RewardStorageError(`Failed to look up reward ${rewardId} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets all reward actions for a channel, sorted by name.
+ * @param {string} channelName - The channel name.
+ * @returns {Promise<object[]>}
+ */
+export async function getRewardsForChannel(channelName) {
+    const db = _getDb();
+    try {
+        const snapshot = await _rewardsColRef(db, channelName).get();
+        const rewards = [];
+        snapshot.forEach(doc => {
+            rewards.push({ name: doc.id, ...doc.data() });
+        });
+        return rewards.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[RewardStorage] Error loading rewards');
+        throw new RewardStorageError(`Failed to load rewards for ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds a reward action.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardName - The reward name (lowercase).
+ * @param {object} definition
+ * @param {string} definition.rewardId - The Twitch custom reward ID.
+ * @param {string} definition.title - The reward's title on Twitch.
+ * @param {number} [definition.cost] - Point cost (managed rewards).
+ * @param {object} definition.action - The action to run, see rewardActions.js.
+ * @param {boolean} definition.managed - True if the bot created the reward on Twitch.
+ * @param {string} createdBy - Username of the creator.
+ * @returns {Promise<boolean>} True if created, false if the name is taken.
+ * @throws {RewardStorageError} Without a cause when the channel is full or
+ *   the Twitch reward is already mapped; the message is chat-ready.
+ */
+export async function addReward(channelName, rewardName, definition, createdBy) {
+    const db = _getDb();
+    const lowerChannel = channelName.toLowerCase();
+    const lowerName = rewardName.toLowerCase();
+    const docRef = _rewardDocRef(db, lowerChannel, lowerName);
+    const { rewardId, title, cost = null, action, managed } = definition;
+
+    try {
+        const result = await db.runTransaction(async (t) => {
+            const existing = await t.get(docRef);
+            if (existing.exists) {
+                return false;
+            }
+
+            const allRewards = await t.get(_rewardsColRef(db, lowerChannel));
+            if (allRewards.size >= MAX_REWARDS_PER_CHANNEL) {
+                throw new RewardStorageError(`This channel already has the maximum of ${MAX_REWARDS_PER_CHANNEL} reward actions.`);
+            }
+            const linked = allRewards.docs.find(doc => doc.data().rewardId === rewardId);
+            if (linked) {
+                throw new RewardStorageError(`That Twitch reward is already set up as "${linked.id}".`);
+            }
+
+            t.create(docRef, {
+                rewardId,
+                title,
+                cost,
+                action,
+                managed: !!managed,
+                enabled: true,
+                useCount: 0,
+                createdBy: createdBy.toLowerCase(),
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            t.set(
+                db.collection(CHANNEL_REWARDS_COLLECTION).doc(lowerChannel),
+                { channelName: lowerChannel, updatedAt: FieldValue.serverTimestamp() },
+                { merge: true }
+            );
+
+            return true;
+        });
+
+        if (result) {
+            logger.info(`[RewardStorage] Added reward ${lowerName} for channel ${lowerChannel} (action: ${action?.type}, managed: ${!!managed})`);
+        }
+        return result;
+    } catch (error) {
+        if (error instanceof RewardStorageError) throw error;
+        logger.error({ err: error, channel: lowerChannel, reward: lowerName },
+            '[RewardStorage] Error adding reward');
+        throw new RewardStorageError(`Failed to add reward ${lowerName} for ${lowerChannel}`, error);
+    }
+}
+
+/**
+ * Updates fields of an existing reward action.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardName - The reward name.
+ * @param {object} updates - Any of title, cost, action, enabled.
+ * @returns {Promise<boolean>} True if updated, false if the reward doesn't exist.
+ */
+export async function updateReward(channelName, rewardName, updates) {
+    const db = _getDb();
+    const docRef = _rewardDocRef(db, channelName, rewardName);
+    const allowedKeys = ['title', 'cost', 'action', 'enabled'];
+
+    try {
+        const existing = await docRef.get();
+        if (!existing.exists) {
+            return false;
+        }
+
+        const updateData = { updatedAt: FieldValue.serverTimestamp() };
+        for (const key of allowedKeys) {
+            if (updates[key] !== undefined) updateData[key] = updates[key];
+        }
+        await docRef.update(updateData);
+
+        logger.info(`[RewardStorage] Updated reward ${rewardName.toLowerCase()} in ${channelName.toLowerCase()}: ${Object.keys(updates).join(', ')}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardStorage] Error updating reward');
+        throw new RewardStorageError(`Failed to update reward ${rewardName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Removes a reward action. The reward itself stays on Twitch.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardName - The reward name.
+ * @returns {Promise<boolean>} True if removed, false if it didn't exist.
+ */
+export async function removeReward(channelName, rewardName) {
+    const db = _getDb();
+    const docRef = _rewardDocRef(db, channelName, rewardName);
+
+    try {
+        const existing = await docRef.get();
+        if (!existing.exists) {
+            return false;
+        }
+        await docRef.delete();
+
+        logger.info(`[RewardStorage] Removed reward ${rewardName.toLowerCase()} from channel ${channelName.toLowerCase()}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, reward: rewardName },
+            '[RewardStorage] Error removing reward');
+        throw new RewardStorageError(`Failed to remove reward ${rewardName} from ${channelName}`, error);
+    }
+}
+
+/**
+ * Records a redemption. Fire-and-forget — errors are logged, never thrown.
+ * @param {string} channelName - The channel name.
+ * @param {string} rewardName - The reward name.
+ * @param {boolean} succeeded - Whether the action succeeded.
+ */
+export async function recordRewardUse(channelName, rewardName, succeeded) {
+    const db = _getDb();
+    try {
+        await _rewardDocRef(db, channelName, rewardName).update({
+            lastRedeemedAt: FieldValue.serverTimestamp(),
+            useCount: FieldValue.increment(1),
+            ...(succeeded ? {} : { failCount: FieldValue.increment(1) }),
+        });
+    } catch (error) {
+        logger.warn({ err: error, channel: channelName, reward: rewardName },
+            '[RewardStorage] Error recording reward use');
+    }
+}
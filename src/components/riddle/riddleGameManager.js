@@ -30,6 +30,10 @@ import {
     saveRecentAnswer,
     getRecentAnswers
 } from './riddleStorage.js';
+import { awardEventPoints } from '../points/pointsManager.js';
+import { recordGameWin } from '../gameProfiles/gameProfileStorage.js';
+import { scoreForTeam, getTeamStandings, getTeamNames } from '../teams/teamManager.js';
+import { formatTeamRoundInfo, formatTeamSessionScoresMessage } from '../teams/teamMessageFormatter.js';
 import crypto from 'crypto';
 
 // --- Default Configuration ---
@@ -77,6 +81,7 @@ GameState structure:
     totalRounds: number,
     currentRound: number,
     gameSessionScores: Map<string, { displayName: string, score: number }>, 
+    gameSessionTeamScores: Map<string, number>, // team -> points this game (team mode)
     // Stores SETS of keywords from riddles already used in THIS multi-round session
     gameSessionExcludedKeywordSets: Array<string[]>,
     gameSessionId: string,
@@ -109,6 +114,7 @@ async function _getOrCreateGameState(channelName) {
             totalRounds: 1,
             currentRound: 1,
             gameSessionScores: new Map(),
+            gameSessionTeamScores: new Map(),
             gameSessionExcludedKeywordSets: [],
             gameSessionExcludedAnswers: [],
             guessCache: new Map(),
@@ -124,6 +130,9 @@ async function _getOrCreateGameState(channelName) {
         if (!state.gameSessionScores) {
             state.gameSessionScores = new Map();
         }
+        if (!state.gameSessionTeamScores) {
+            state.gameSessionTeamScores = new Map();
+        }
     }
     return activeGames.get(channelName);
 }
@@ -155,6 +164,7 @@ async function _resetGameToIdle(gameState) {
     newState.totalRounds = 1;
     newState.currentRound = 1;
     newState.gameSessionScores = new Map();
+    newState.gameSessionTeamScores = new Map();
     newState.gameSessionExcludedKeywordSets = [];
     newState.gameSessionExcludedAnswers = [];
     newState.guessCache = new Map();
@@ -197,6 +207,7 @@ async function _transitionToEnding(gameState, reason = "answered", timeTakenMs =
 
     const { channelName, currentRiddle, winner, topic, config, currentRound, totalRounds } = gameState;
     let pointsAwarded = 0;
+    let winningTeam = null;
 
     if (currentRiddle && currentRiddle.question) {
         // Add keywords of the just-finished riddle to the session exclusion list
@@ -227,7 +238,16 @@ async function _transitionToEnding(gameState, reason = "answered", timeTakenMs =
         // Scoring
         if (reason === "answered" && winner?.username) {
             pointsAwarded = _calculatePoints(gameState, timeTakenMs || 0);
+            // Loyalty points (never throws)
+            awardEventPoints(channelName, 'gameWin', { login: winner.username, displayName: winner.displayName });
             if (config.scoreTracking) {
+                recordGameWin(channelName, {
+                    game: 'riddle',
+                    login: winner.username,
+                    displayName: winner.displayName,
+                    points: pointsAwarded,
+                    topic: currentRiddle.topic || topic || 'general',
+                }).catch(err => logger.error({ err }, `[RiddleGameManager][${channelName}] Failed to record win in player profile.`));
                 try {
                     await updatePlayerScore(winner.username, channelName, pointsAwarded, winner.displayName);
                 } catch (scoreError) {
@@ -242,6 +262,11 @@ async function _transitionToEnding(gameState, reason = "answered", timeTakenMs =
                     score: currentSessionScore + pointsAwarded
                 });
             }
+            // Team mode: the round also scores for the winner's team
+            winningTeam = scoreForTeam(channelName, winner.username, pointsAwarded);
+            if (winningTeam) {
+                gameState.gameSessionTeamScores.set(winningTeam, (gameState.gameSessionTeamScores.get(winningTeam) || 0) + pointsAwarded);
+            }
         }
 
         // Send end message
@@ -251,7 +276,8 @@ async function _transitionToEnding(gameState, reason = "answered", timeTakenMs =
             const seconds = timeTakenMs ? Math.round(timeTakenMs / 1000) : null;
             const timeString = seconds !== null ? ` in ${seconds}s` : "";
             const pointsInfo = pointsAwarded > 0 ? ` (+${pointsAwarded} pts)` : "";
-            endMessage = formatRiddleCorrectAnswerMessage(roundPrefix, winner.displayName, currentRiddle.answer, currentRiddle.explanation, timeString, pointsInfo);
+            const teamInfo = winningTeam ? formatTeamRoundInfo(winningTeam, getTeamStandings(channelName)) : "";
+            endMessage = formatRiddleCorrectAnswerMessage(roundPrefix, winner.displayName, currentRiddle.answer, currentRiddle.explanation, timeString, pointsInfo, teamInfo);
         } else if (reason === "timeout") {
             endMessage = formatRiddleTimeoutMessage(roundPrefix, currentRiddle.answer, currentRiddle.explanation);
         } else if (reason === "stopped") {
@@ -300,6 +326,9 @@ async function _transitionToEnding(gameState, reason = "answered", timeTakenMs =
             const scoresMsg = formatRiddleSessionScoresMessage(gameState.gameSessionScores);
             enqueueMessage(`#${channelName}`, scoresMsg);
         }
+        if (totalRounds > 1 && gameState.gameSessionTeamScores.size > 0) {
+            enqueueMessage(`#${channelName}`, formatTeamSessionScoresMessage(gameState.gameSessionTeamScores, getTeamNames(channelName)));
+        }
         if (config.scoreTracking && (reason !== "riddle_error" || totalRounds > 1)) { // Show leaderboard unless it was a single round riddle error
             try {
                 const leaderboardData = await getLeaderboard(channelName, 5);
@@ -643,6 +672,7 @@ export async function startGame(channelName, topic = null, initiatorUsername = n
     gameState.totalRounds = Math.min(Math.max(1, Number(numberOfRounds) || 1), gameState.config.maxRounds || DEFAULT_RIDDLE_CONFIG.maxRounds);
     gameState.currentRound = 1;
     gameState.gameSessionScores = new Map();
+    gameState.gameSessionTeamScores = new Map();
     gameState.gameSessionExcludedKeywordSets = []; // Fresh set for new game
     gameState.gameSessionExcludedAnswers = [];
     gameState.guessCache = new Map();
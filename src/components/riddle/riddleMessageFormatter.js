@@ -16,10 +16,10 @@ export function formatRiddleQuestionMessage(roundNumber, totalRounds, question,
     return `${roundPrefix}❓ RIDDLE: ${cleanQuestion} (${timeSeconds}s)`;
 }
 
-export function formatRiddleCorrectAnswerMessage(roundPrefix, displayName, answer, explanation, timeString, pointsInfo) {
+export function formatRiddleCorrectAnswerMessage(roundPrefix, displayName, answer, explanation, timeString, pointsInfo, teamInfo = '') {
     const cleanExplanation = removeMarkdownAsterisks(explanation || '');
     const explanationText = cleanExplanation ? ` ${cleanExplanation}` : '';
-    return `${roundPrefix}✅ @${displayName} solved it${timeString}${pointsInfo}! The answer is: ${answer}.${explanationText}`;
+    return `${roundPrefix}✅ @${displayName} solved it${timeString}${pointsInfo}${teamInfo}! The answer is: ${answer}.${explanationText}`;
 }
 
 export function formatRiddleTimeoutMessage(roundPrefix, answer, explanation) {
@@ -0,0 +1,71 @@
+// src/components/shoutouts/shoutoutStorage.js
+import { getFirestore } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+// One document per channel holding its shoutout settings
+const SHOUTOUT_SETTINGS_COLLECTION = 'shoutoutSettings';
+
+/**
+ * Settings used when a channel has never changed them.
+ *   native - Also send Twitch's own shoutout (follow card) when the stream is live.
+ *   raids  - Shout out raiders automatically when a raid arrives.
+ */
+export const DEFAULT_SHOUTOUT_SETTINGS = Object.freeze({
+    native: true,
+    raids: true,
+});
+
+/** @returns {import('@google-cloud/firestore').Firestore} */
+function _getDb() {
+    return getFirestore();
+}
+
+function _normalizeSettings(data) {
+    const settings = data && typeof data === 'object' ? data : {};
+    return {
+        native: settings.native !== false,
+        raids: settings.raids !== false,
+    };
+}
+
+/**
+ * Loads a channel's shoutout settings. Falls back to the defaults when the
+ * channel has none or Firestore can't be read, so shoutouts keep working.
+ * @param {string} channelName
+ * @returns {Promise<{native: boolean, raids: boolean}>}
+ */
+export async function getShoutoutSettings(channelName) {
+    const docRef = _getDb().collection(SHOUTOUT_SETTINGS_COLLECTION).doc(channelName.toLowerCase());
+    try {
+        const snap = await docRef.get();
+        return snap.exists ? _normalizeSettings(snap.data()) : { ...DEFAULT_SHOUTOUT_SETTINGS };
+    } catch (err) {
+        logger.error({ err, channelName }, '[ShoutoutStorage] Error loading shoutout settings');
+        return { ...DEFAULT_SHOUTOUT_SETTINGS };
+    }
+}
+
+/**
+ * Changes some of a channel's shoutout settings.
+ * @param {string} channelName
+ * @param {{native?: boolean, raids?: boolean}} changes
+ * @returns {Promise<boolean>} True if saved.
+ */
+export async function updateShoutoutSettings(channelName, changes) {
+    const update = {};
+    for (const key of Object.keys(DEFAULT_SHOUTOUT_SETTINGS)) {
+        if (typeof changes[key] === 'boolean') update[key] = changes[key];
+    }
+    try {
+        await _getDb().collection(SHOUTOUT_SETTINGS_COLLECTION).doc(channelName.toLowerCase()).set({
+            channelName: channelName.toLowerCase(),
+            ...update,
+            updatedAt: new Date(),
+        }, { merge: true });
+        logger.info({ channelName, changes: update }, '[ShoutoutStorage] Saved shoutout settings');
+        return true;
+    } catch (err) {
+        logger.error({ err, channelName }, '[ShoutoutStorage] Error saving shoutout settings');
+        return false;
+    }
+}
@@ -0,0 +1,178 @@
+// src/components/teams/teamManager.js
+// Team mode for trivia, geo and riddle. While a channel has team mode on,
+// every round a player wins also scores for their team. Teams last until a
+// moderator turns team mode off, so scores carry across games (a whole
+// community night), and are kept in memory like the games' own state.
+import logger from '../../lib/logger.js';
+
+export const DEFAULT_TEAM_NAMES = ['red', 'blue'];
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 4;
+export const TEAM_NAME_REGEX = /^[a-z0-9]{1,15}$/;
+
+/**
+ * @typedef {object} Team
+ * @property {string} name
+ * @property {number} score
+ * @property {Set<string>} members - Player logins.
+ */
+
+/** @type {Map<string, {teams: Map<string, Team>, playerTeams: Map<string, string>}>} */
+const channelTeams = new Map(); // channelName -> team mode state
+
+/**
+ * Title-cases a team name for chat, e.g. 'red' -> 'Red'.
+ * @param {string} name
+ * @returns {string}
+ */
+export function formatTeamName(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Turns team mode on with fresh, empty teams. Turning it on again starts over.
+ * @param {string} channelName
+ * @param {string[]} [teamNames=DEFAULT_TEAM_NAMES]
+ * @returns {{success: boolean, teams?: string[], error?: string}}
+ */
+export function enableTeamMode(channelName, teamNames = DEFAULT_TEAM_NAMES) {
+    const names = [...new Set(teamNames.map(name => name.toLowerCase()))];
+    if (names.length < MIN_TEAMS || names.length > MAX_TEAMS) {
+        return { success: false, error: `Pick between ${MIN_TEAMS} and ${MAX_TEAMS} different team names.` };
+    }
+    const invalid = names.find(name => !TEAM_NAME_REGEX.test(name));
+    if (invalid) {
+        return { success: false, error: `Team names can only use letters and numbers (up to 15): "${invalid}" won't work.` };
+    }
+
+    channelTeams.set(channelName, {
+        teams: new Map(names.map(name => [name, { name, score: 0, members: new Set() }])),
+        playerTeams: new Map(),
+    });
+    logger.info(`[TeamManager][${channelName}] Team mode on with teams: ${names.join(', ')}`);
+    return { success: true, teams: names };
+}
+
+/**
+ * Turns team mode off.
+ * @param {string} channelName
+ * @returns {Team[]|null} The final standings, or null if team mode wasn't on.
+ */
+export function disableTeamMode(channelName) {
+    if (!channelTeams.has(channelName)) return null;
+    const standings = getTeamStandings(channelName);
+    channelTeams.delete(channelName);
+    logger.info(`[TeamManager][${channelName}] Team mode off.`);
+    return standings;
+}
+
+/**
+ * @param {string} channelName
+ * @returns {boolean}
+ */
+export function isTeamModeActive(channelName) {
+    return channelTeams.has(channelName);
+}
+
+/**
+ * @param {string} channelName
+ * @returns {string[]} Team names in the order they were set up.
+ */
+export function getTeamNames(channelName) {
+    const state = channelTeams.get(channelName);
+    return state ? [...state.teams.keys()] : [];
+}
+
+/**
+ * @param {string} channelName
+ * @param {string} login
+ * @returns {string|null} The player's team, or null if they haven't joined one.
+ */
+export function getPlayerTeam(channelName, login) {
+    return channelTeams.get(channelName)?.playerTeams.get(login.toLowerCase()) || null;
+}
+
+/**
+ * Picks the team with the fewest players, breaking ties by the lower score.
+ */
+function _smallestTeam(state) {
+    return [...state.teams.values()]
+        .reduce((best, team) => {
+            if (!best) return team;
+            if (team.members.size !== best.members.size) return team.members.size < best.members.size ? team : best;
+            return team.score < best.score ? team : best;
+        }, null).name;
+}
+
+/**
+ * Puts a player on a team, moving them if they were on another one.
+ * @param {string} channelName
+ * @param {string} login
+ * @param {string|null} [teamName=null] - Leave out to be put on the smallest team.
+ * @returns {{success: boolean, team?: string, previousTeam?: string|null, error?: string}}
+ */
+export function joinTeam(channelName, login, teamName = null) {
+    const state = channelTeams.get(channelName);
+    if (!state) {
+        return { success: false, error: "Team mode isn't on right now." };
+    }
+    const lowerLogin = login.toLowerCase();
+    const previousTeam = state.playerTeams.get(lowerLogin) || null;
+
+    let team = teamName?.toLowerCase() || null;
+    if (team && !state.teams.has(team)) {
+        return { success: false, error: `There's no team "${teamName}". Teams: ${getTeamNames(channelName).join(', ')}.` };
+    }
+    if (!team) {
+        // Auto-assignment leaves players who already have a team where they are
+        if (previousTeam) return { success: true, team: previousTeam, previousTeam };
+        team = _smallestTeam(state);
+    }
+
+    if (previousTeam) state.teams.get(previousTeam).members.delete(lowerLogin);
+    state.teams.get(team).members.add(lowerLogin);
+    state.playerTeams.set(lowerLogin, team);
+    logger.debug(`[TeamManager][${channelName}] ${lowerLogin} joined team ${team}${previousTeam && previousTeam !== team ? ` (was ${previousTeam})` : ''}.`);
+    return { success: true, team, previousTeam };
+}
+
+/**
+ * Adds a round win's points to the winner's team. Players who win without
+ * having joined a team are put on the smallest one first.
+ * @param {string} channelName
+ * @param {string} login
+ * @param {number} points
+ * @returns {string|null} The team that scored, or null if team mode is off.
+ */
+export function scoreForTeam(channelName, login, points) {
+    const state = channelTeams.get(channelName);
+    if (!state) return null;
+    const { team } = joinTeam(channelName, login);
+    state.teams.get(team).score += points;
+    return team;
+}
+
+/**
+ * @param {string} channelName
+ * @returns {Team[]} Teams sorted by score, highest first.
+ */
+export function getTeamStandings(channelName) {
+    const state = channelTeams.get(channelName);
+    if (!state) return [];
+    return [...state.teams.values()]
+        .map(team => ({ name: team.name, score: team.score, members: new Set(team.members) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Sets every team's score back to zero and keeps the players where they are.
+ * @param {string} channelName
+ * @returns {boolean} False if team mode isn't on.
+ */
+export function resetTeamScores(channelName) {
+    const state = channelTeams.get(channelName);
+    if (!state) return false;
+    state.teams.forEach(team => { team.score = 0; });
+    logger.info(`[TeamManager][${channelName}] Team scores reset.`);
+    return true;
+}
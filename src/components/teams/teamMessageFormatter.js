@@ -0,0 +1,56 @@
+// src/components/teams/teamMessageFormatter.js
+// Chat messages for team mode, shared by the trivia, geo and riddle games.
+import { formatTeamName } from './teamManager.js';
+
+/**
+ * Formats team scores as a list, highest first.
+ * @param {Array<{name: string, score: number}>} standings
+ * @returns {string} e.g. "Red 30, Blue 20"
+ */
+export function formatTeamTotals(standings) {
+    return [...standings]
+        .sort((a, b) => b.score - a.score)
+        .map(team => `${formatTeamName(team.name)} ${team.score}`)
+        .join(', ');
+}
+
+/**
+ * Formats the team part of a correct-answer message.
+ * @param {string} team - The team that scored.
+ * @param {Array<{name: string, score: number}>} standings - Team totals after the round.
+ * @returns {string} e.g. " for Team Red (Red 30, Blue 20)"
+ */
+export function formatTeamRoundInfo(team, standings) {
+    return ` for Team ${formatTeamName(team)} (${formatTeamTotals(standings)})`;
+}
+
+/**
+ * Announces the winning team, or a tie.
+ * @param {Array<{name: string, score: number}>} standings
+ * @param {string} [scope='game'] - What was won, e.g. 'game' or 'night'.
+ * @returns {string}
+ */
+export function formatTeamResultMessage(standings, scope = 'game') {
+    const sorted = [...standings].sort((a, b) => b.score - a.score);
+    if (sorted.length === 0 || sorted[0].score === 0) {
+        return `No team scored this ${scope}.`;
+    }
+    const leaders = sorted.filter(team => team.score === sorted[0].score);
+    if (leaders.length > 1) {
+        const names = leaders.map(team => `Team ${formatTeamName(team.name)}`).join(' and ');
+        return `🤝 It's a tie between ${names} at ${sorted[0].score} pts! (${formatTeamTotals(sorted)})`;
+    }
+    return `🏆 Team ${formatTeamName(sorted[0].name)} wins the ${scope} with ${sorted[0].score} pts! (${formatTeamTotals(sorted)})`;
+}
+
+/**
+ * Formats the end-of-game team result for a multi-round game.
+ * @param {Map<string, number>} sessionTeamScores - team -> points scored this game.
+ * @param {string[]} [teamNames=[]] - Every team, so teams that didn't score are listed too.
+ * @returns {string}
+ */
+export function formatTeamSessionScoresMessage(sessionTeamScores, teamNames = []) {
+    const standings = [...new Set([...teamNames, ...sessionTeamScores.keys()])]
+        .map(name => ({ name, score: sessionTeamScores.get(name) || 0 }));
+    return formatTeamResultMessage(standings, 'game');
+}
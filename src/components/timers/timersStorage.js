@@ -48,12 +48,14 @@ export const RESERVED_TIMER_NAMES = [
 // when a timer fires on its own. Rejected at save time (chat handler + web UI).
 const UNSUPPORTED_TIMER_VARIABLES = [
     /\$\(\s*user\s*\)/i,
+    /\$\(\s*touser\b/i,
+    /\$\(\s*uservar\b/i,
     /\$\(\s*args\s*\)/i,
     /\$\(\s*\d+\s*\)/,
     /\$\(\s*followage\s*\)/i,
     /\$\(\s*pronouns?\s*\)/i,
     /\$\(\s*pronoun_[a-z]+\s*\)/i,
-    /\$\(\s*checkin_count\s*\)/i,
+    /\$\(\s*checkin_[a-z]+\s*\)/i,
 ];
 
 /**
@@ -0,0 +1,222 @@
+// src/components/triggers/triggerManager.js
+// Fires keyword triggers. chatMessageHandler calls handleTriggers() for every
+// viewer message that isn't a command; the first enabled trigger whose pattern
+// appears in the message responds, subject to its permission level, its own
+// cooldown (shared across instances via distributedCache) and a per-channel
+// cap on how many trigger responses may be sent per minute.
+
+import logger from '../../lib/logger.js';
+import { enqueueMessage } from '../../lib/ircSender.js';
+import { hasPermissionLevel } from '../../lib/permissions.js';
+import { isDuplicateEvent } from '../../lib/distributedCache.js';
+import { getContextManager } from '../context/contextManager.js';
+import { parseVariables } from '../customCommands/variableParser.js';
+import { resolvePrompt } from '../customCommands/promptResolver.js';
+import { isLlmSourceAllowed } from '../llm/llmUsage.js';
+import { triggerSource } from '../llm/inferenceHistoryStorage.js';
+import {
+    loadAllTriggers,
+    listenForTriggerChanges,
+    recordTriggerUse,
+    compileTriggerPattern,
+} from './triggersStorage.js';
+
+// At most this many trigger responses per channel per window, however many
+// triggers match.
+export const CHANNEL_RATE_LIMIT = 4;
+export const CHANNEL_RATE_WINDOW_MS = 60 * 1000;
+
+// Trigger definitions with their compiled patterns, written only by
+// initializeTriggerManager() and the snapshot listener.
+const triggerCache = new Map(); // channelName -> Map<triggerName, { trigger, regex }>
+const recentFires = new Map(); // channelName -> number[] (fire times, oldest first)
+let unsubscribeListener = null;
+
+function _cacheTrigger(channelName, trigger) {
+    let regex;
+    try {
+        regex = compileTriggerPattern(trigger);
+    } catch (error) {
+        // Saved through the web UI or by hand with a pattern that doesn't compile.
+        logger.warn({ err: error, channel: channelName, trigger: trigger.name },
+            '[TriggerManager] Skipping trigger with an invalid pattern');
+        triggerCache.get(channelName)?.delete(trigger.name);
+        return;
+    }
+    if (!triggerCache.has(channelName)) triggerCache.set(channelName, new Map());
+    triggerCache.get(channelName).set(trigger.name, { trigger, regex });
+}
+
+function handleTriggerChange({ type, channelName, triggerName, trigger }) {
+    if (type === 'removed') {
+        triggerCache.get(channelName)?.delete(triggerName);
+        logger.debug(`[TriggerManager] Trigger ${triggerName} removed for ${channelName}`);
+        return;
+    }
+    _cacheTrigger(channelName, trigger);
+    logger.debug(`[TriggerManager] Trigger ${triggerName} ${type} for ${channelName}`);
+}
+
+/**
+ * Loads all channel triggers and listens for edits.
+ */
+export async function initializeTriggerManager() {
+    const allTriggers = await loadAllTriggers();
+    for (const [channelName, triggers] of allTriggers) {
+        for (const trigger of triggers.values()) {
+            _cacheTrigger(channelName, trigger);
+        }
+    }
+    unsubscribeListener = listenForTriggerChanges(handleTriggerChange);
+    logger.info(`[TriggerManager] Initialized with triggers for ${triggerCache.size} channels`);
+}
+
+export function shutdownTriggerManager() {
+    if (unsubscribeListener) {
+        unsubscribeListener();
+        unsubscribeListener = null;
+    }
+    triggerCache.clear();
+    recentFires.clear();
+}
+
+/**
+ * Finds every enabled trigger a message matches, ignoring permissions and cooldowns.
+ * Triggers are listed in name order so the outcome doesn't depend on load order.
+ * @param {string} channelName
+ * @param {string} message
+ * @returns {Array<{trigger: object, match: RegExpExecArray}>}
+ */
+export function findMatchingTriggers(channelName, message) {
+    const triggers = triggerCache.get(channelName);
+    if (!triggers || triggers.size === 0) return [];
+
+    const found = [];
+    const names = [...triggers.keys()].sort();
+    for (const name of names) {
+        const { trigger, regex } = triggers.get(name);
+        if (trigger.enabled === false) continue;
+        const match = regex.exec(message);
+        if (match) found.push({ trigger, match });
+    }
+    return found;
+}
+
+/**
+ * Finds the trigger a message would fire, ignoring permissions and cooldowns.
+ * @param {string} channelName
+ * @param {string} message
+ * @returns {{trigger: object, match: RegExpExecArray}|null}
+ */
+export function findMatchingTrigger(channelName, message) {
+    return findMatchingTriggers(channelName, message)[0] || null;
+}
+
+function _isChannelRateLimited(channelName, nowMs) {
+    const fires = (recentFires.get(channelName) || []).filter(t => nowMs - t < CHANNEL_RATE_WINDOW_MS);
+    recentFires.set(channelName, fires);
+    return fires.length >= CHANNEL_RATE_LIMIT;
+}
+
+async function _isTriggerOnCooldown(channelName, triggerName, cooldownMs) {
+    if (!cooldownMs || cooldownMs <= 0) return false;
+    // Fail closed: if the cache is unreachable, stay quiet rather than risk a flood.
+    return await isDuplicateEvent(`trigger-cooldown:${channelName}:${triggerName}`, null, cooldownMs, false);
+}
+
+async function _buildResponse(channelName, tags, trigger, match) {
+    const contextManager = getContextManager();
+    const displayName = tags['display-name'] || tags.username;
+    const resolvedText = await parseVariables(trigger.response, {
+        user: displayName,
+        username: tags.username?.toLowerCase() || '',
+        userId: tags['user-id'] || null,
+        channel: channelName,
+        // Regex capture groups are available as $(1), $(2), ...
+        args: match.slice(1).map(group => group ?? ''),
+        useCount: (trigger.useCount || 0) + 1,
+        streamContext: contextManager.getStreamContextSnapshot(channelName),
+    });
+
+    if (trigger.type !== 'prompt') {
+        return { text: resolvedText, skipTranslation: false };
+    }
+
+    const source = triggerSource(trigger.name);
+    if (!(await isLlmSourceAllowed(channelName, source))) {
+        logger.debug({ channel: channelName, trigger: trigger.name }, '[TriggerManager] LLM budget paused, skipping AI trigger');
+        return null;
+    }
+
+    const botLanguage = contextManager.getBotLanguage(channelName);
+    let chatContext = null;
+    try {
+        chatContext = contextManager.getContextForLLM(channelName, displayName, '')?.recentChatHistory || null;
+    } catch (ctxError) {
+        logger.debug({ err: ctxError, channel: channelName },
+            '[TriggerManager] Could not gather chat context, proceeding without it');
+    }
+
+    const text = await resolvePrompt(resolvedText, botLanguage || null, null, false, {
+        channel: channelName,
+        source,
+        chatContext,
+    });
+    // Nobody asked the bot anything, so a failed generation is skipped silently.
+    return text ? { text, skipTranslation: !!botLanguage } : null;
+}
+
+/**
+ * Fires the first trigger matching a chat message that the sender may use and
+ * that is not on cooldown, if any.
+ * @param {string} channelName - Channel name without '#'.
+ * @param {object} tags - Message tags (for permission checks and $(user)).
+ * @param {string} message - The chat message.
+ * @returns {Promise<boolean>} True if a trigger responded.
+ */
+export async function handleTriggers(channelName, tags, message) {
+    if (!message || message.trimStart().startsWith('!')) return false;
+
+    const allowed = findMatchingTriggers(channelName, message).filter(({ trigger }) => {
+        if (hasPermissionLevel(trigger.permission, tags, channelName)) return true;
+        logger.debug(`[TriggerManager] ${tags.username} lacks permission for trigger ${trigger.name} in ${channelName}`);
+        return false;
+    });
+    if (allowed.length === 0) return false;
+
+    let trigger = allowed[0].trigger;
+    try {
+        if (_isChannelRateLimited(channelName, Date.now())) {
+            logger.debug(`[TriggerManager] Trigger rate cap reached in ${channelName}, not firing ${trigger.name}`);
+            return false;
+        }
+        let match = null;
+        for (const candidate of allowed) {
+            if (await _isTriggerOnCooldown(channelName, candidate.trigger.name, candidate.trigger.cooldownMs)) {
+                logger.debug(`[TriggerManager] Trigger ${candidate.trigger.name} is on cooldown in ${channelName}`);
+                continue;
+            }
+            ({ trigger, match } = candidate);
+            break;
+        }
+        if (!match) return false;
+
+        // Count the fire before any slow work so concurrent matches see it.
+        recentFires.get(channelName).push(Date.now());
+
+        const response = await _buildResponse(channelName, tags, trigger, match);
+        if (!response || !response.text.trim()) return false;
+
+        await enqueueMessage(`#${channelName}`, response.text, { skipTranslation: response.skipTranslation });
+        recordTriggerUse(channelName, trigger.name);
+        logger.info(`[TriggerManager] Fired trigger ${trigger.name} in ${channelName} (type: ${trigger.type || 'text'})`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: trigger.name },
+            '[TriggerManager] Error firing trigger');
+        return false;
+    }
+}
+
+// Exported for testing only
+export { handleTriggerChange as _handleTriggerChange };
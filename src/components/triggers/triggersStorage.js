@@ -0,0 +1,362 @@
+// src/components/triggers/triggersStorage.js
+// Firestore persistence for per-channel keyword triggers: patterns that fire a
+// text or AI response when they appear anywhere in a chat message.
+//
+// Layout: channelTriggers/{channelLogin}/triggers/{triggerName}
+// The top-level collection is named 'channelTriggers' (not 'triggers') so the
+// collectionGroup('triggers') listener below only matches the subcollections.
+
+import { getFirestore, FieldValue } from '../../lib/firestore.js';
+import logger from '../../lib/logger.js';
+
+const CHANNEL_TRIGGERS_COLLECTION = 'channelTriggers';
+const TRIGGERS_SUBCOLLECTION = 'triggers';
+
+// ─── Shared limits ──────────────────────────────────────────────────────────
+export const MAX_TRIGGERS_PER_CHANNEL = 25;
+export const MAX_PATTERN_LENGTH = 100;
+export const MAX_RESPONSE_LENGTH = 500;
+export const DEFAULT_COOLDOWN_SECONDS = 30;
+export const MIN_COOLDOWN_SECONDS = 5;
+export const MAX_COOLDOWN_SECONDS = 24 * 60 * 60;
+export const TRIGGER_NAME_REGEX = /^[a-z0-9_]{1,25}$/;
+export const VALID_PERMISSIONS = ['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster'];
+
+// Quantified groups that are themselves quantified, e.g. (a+)+ or (\w*)*,
+// backtrack exponentially on near-misses.
+const NESTED_QUANTIFIER_PATTERN = /\([^()]*[+*}][^()]*\)\s*[+*{]/;
+
+/**
+ * Custom error class for triggers storage operations.
+ */
+export class TriggersStorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'TriggersStorageError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Checks a trigger pattern before it is saved.
+ * @param {string} pattern - The phrase, or the regex source.
+ * @param {'phrase'|'regex'} matchType
+ * @param {string} [flags=''] - Regex flags (regex triggers only).
+ * @returns {string|null} A chat-ready reason the pattern is refused, or null if it is fine.
+ */
+export function validateTriggerPattern(pattern, matchType, flags = '') {
+    if (!pattern || !pattern.trim()) {
+        return 'the pattern is empty';
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        return `patterns must be ${MAX_PATTERN_LENGTH} characters or fewer`;
+    }
+    if (matchType !== 'regex') {
+        return null;
+    }
+    if (!/^[imsu]*$/.test(flags)) {
+        return 'only the i, m, s and u regex flags are allowed';
+    }
+    if (NESTED_QUANTIFIER_PATTERN.test(pattern) || /\\\d/.test(pattern)) {
+        return 'nested repeats and backreferences are not allowed';
+    }
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (error) {
+        return `invalid regex (${error.message.replace(/^Invalid regular expression: /, '')})`;
+    }
+    if (regex.test('')) {
+        return 'the regex matches every message';
+    }
+    return null;
+}
+
+/**
+ * Builds the RegExp a trigger is matched with. Phrases match whole words,
+ * case-insensitively, with any run of whitespace between words.
+ * @param {object} trigger - Trigger doc with pattern, matchType and flags.
+ * @returns {RegExp}
+ */
+export function compileTriggerPattern(trigger) {
+    if (trigger.matchType === 'regex') {
+        return new RegExp(trigger.pattern, trigger.flags || '');
+    }
+    const words = trigger.pattern.trim().split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${words.join('\\s+')}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+function _getDb() {
+    return getFirestore();
+}
+
+function _triggerDocRef(db, channelName, triggerName) {
+    return db.collection(CHANNEL_TRIGGERS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(TRIGGERS_SUBCOLLECTION)
+        .doc(triggerName.toLowerCase());
+}
+
+/**
+ * Gets a single trigger for a channel.
+ * @param {string} channelName - The channel name (lowercase).
+ * @param {string} triggerName - The trigger name (lowercase).
+ * @returns {Promise<object|null>} Trigger data or null if not found.
+ */
+export async function getTrigger(channelName, triggerName) {
+    const db = _getDb();
+    try {
+        const docSnap = await _triggerDocRef(db, channelName, triggerName).get();
+        if (docSnap.exists) {
+            return { name: triggerName.toLowerCase(), ...docSnap.data() };
+        }
+        return null;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggersStorage] Error getting trigger');
+        throw new TriggersStorageError(`Failed to get trigger ${triggerName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Gets all triggers for a channel, sorted by name.
+ * @param {string} channelName - The channel name (lowercase).
+ * @returns {Promise<object[]>} Array of trigger objects.
+ */
+export async function getTriggersForChannel(channelName) {
+    const db = _getDb();
+    const colRef = db.collection(CHANNEL_TRIGGERS_COLLECTION)
+        .doc(channelName.toLowerCase())
+        .collection(TRIGGERS_SUBCOLLECTION);
+
+    try {
+        const snapshot = await colRef.get();
+        const triggers = [];
+        snapshot.forEach(doc => {
+            triggers.push({ name: doc.id, ...doc.data() });
+        });
+        return triggers.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+        logger.error({ err: error, channel: channelName },
+            '[TriggersStorage] Error loading triggers');
+        throw new TriggersStorageError(`Failed to load triggers for ${channelName}`, error);
+    }
+}
+
+/**
+ * Adds a new trigger for a channel.
+ * @param {string} channelName - The channel name (lowercase).
+ * @param {string} triggerName - The trigger name (lowercase).
+ * @param {object} definition
+ * @param {string} definition.pattern - Phrase or regex source (validate with validateTriggerPattern first).
+ * @param {'phrase'|'regex'} definition.matchType
+ * @param {string} [definition.flags=''] - Regex flags.
+ * @param {string} definition.response - Response template or AI prompt.
+ * @param {string} [definition.type='text'] - 'text' or 'prompt'.
+ * @param {string} createdBy - Username of the creator.
+ * @returns {Promise<boolean>} True if created, false if the trigger already exists.
+ */
+export async function addTrigger(channelName, triggerName, definition, createdBy) {
+    const db = _getDb();
+    const lowerChannel = channelName.toLowerCase();
+    const lowerTrigger = triggerName.toLowerCase();
+    const docRef = _triggerDocRef(db, lowerChannel, lowerTrigger);
+    const { pattern, matchType, flags = '', response, type = 'text' } = definition;
+
+    try {
+        const result = await db.runTransaction(async (t) => {
+            const existing = await t.get(docRef);
+            if (existing.exists) {
+                return false;
+            }
+
+            const colRef = db.collection(CHANNEL_TRIGGERS_COLLECTION)
+                .doc(lowerChannel)
+                .collection(TRIGGERS_SUBCOLLECTION);
+            const allTriggers = await t.get(colRef);
+            if (allTriggers.size >= MAX_TRIGGERS_PER_CHANNEL) {
+                throw new TriggersStorageError(`Channel ${lowerChannel} already has the maximum of ${MAX_TRIGGERS_PER_CHANNEL} triggers`);
+            }
+
+            t.create(docRef, {
+                pattern,
+                matchType,
+                flags: matchType === 'regex' ? flags : '',
+                response,
+                type,
+                permission: 'everyone',
+                cooldownMs: DEFAULT_COOLDOWN_SECONDS * 1000,
+                enabled: true,
+                useCount: 0,
+                createdBy: createdBy.toLowerCase(),
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+
+            // Also set the parent doc to ensure it exists for queries
+            t.set(
+                db.collection(CHANNEL_TRIGGERS_COLLECTION).doc(lowerChannel),
+                { channelName: lowerChannel, updatedAt: FieldValue.serverTimestamp() },
+                { merge: true }
+            );
+
+            return true;
+        });
+
+        if (result) {
+            logger.info(`[TriggersStorage] Added trigger ${lowerTrigger} for channel ${lowerChannel} (${matchType}, type: ${type})`);
+        } else {
+            logger.debug(`[TriggersStorage] Trigger ${lowerTrigger} already exists in channel ${lowerChannel}`);
+        }
+        return result;
+    } catch (error) {
+        if (error instanceof TriggersStorageError) throw error;
+        logger.error({ err: error, channel: lowerChannel, trigger: lowerTrigger },
+            '[TriggersStorage] Error adding trigger');
+        throw new TriggersStorageError(`Failed to add trigger ${lowerTrigger} for ${lowerChannel}`, error);
+    }
+}
+
+/**
+ * Updates fields of an existing trigger.
+ * @param {string} channelName - The channel name.
+ * @param {string} triggerName - The trigger name.
+ * @param {object} updates - Any of pattern, matchType, flags, response, type,
+ *        permission, cooldownMs, enabled. Values are stored as given.
+ * @returns {Promise<boolean>} True if updated, false if the trigger doesn't exist.
+ */
+export async function updateTrigger(channelName, triggerName, updates) {
+    const db = _getDb();
+    const docRef = _triggerDocRef(db, channelName, triggerName);
+    const allowedKeys = ['pattern', 'matchType', 'flags', 'response', 'type', 'permission', 'cooldownMs', 'enabled'];
+
+    try {
+        const existing = await docRef.get();
+        if (!existing.exists) {
+            return false;
+        }
+
+        const updateData = { updatedAt: FieldValue.serverTimestamp() };
+        for (const key of allowedKeys) {
+            if (updates[key] !== undefined) updateData[key] = updates[key];
+        }
+        await docRef.update(updateData);
+
+        logger.info(`[TriggersStorage] Updated trigger ${triggerName.toLowerCase()} in ${channelName.toLowerCase()}: ${Object.keys(updates).join(', ')}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggersStorage] Error updating trigger');
+        throw new TriggersStorageError(`Failed to update trigger ${triggerName} for ${channelName}`, error);
+    }
+}
+
+/**
+ * Removes a trigger from a channel.
+ * @param {string} channelName - The channel name (lowercase).
+ * @param {string} triggerName - The trigger name (lowercase).
+ * @returns {Promise<boolean>} True if removed, false if the trigger didn't exist.
+ */
+export async function removeTrigger(channelName, triggerName) {
+    const db = _getDb();
+    const docRef = _triggerDocRef(db, channelName, triggerName);
+
+    try {
+        const existing = await docRef.get();
+        if (!existing.exists) {
+            return false;
+        }
+
+        await docRef.delete();
+
+        logger.info(`[TriggersStorage] Removed trigger ${triggerName.toLowerCase()} from channel ${channelName.toLowerCase()}`);
+        return true;
+    } catch (error) {
+        logger.error({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggersStorage] Error removing trigger');
+        throw new TriggersStorageError(`Failed to remove trigger ${triggerName} from ${channelName}`, error);
+    }
+}
+
+/**
+ * Records a trigger firing. Fire-and-forget — errors are logged, never thrown.
+ * @param {string} channelName - The channel name.
+ * @param {string} triggerName - The trigger name.
+ */
+export async function recordTriggerUse(channelName, triggerName) {
+    const db = _getDb();
+    try {
+        await _triggerDocRef(db, channelName, triggerName).update({
+            lastFiredAt: FieldValue.serverTimestamp(),
+            useCount: FieldValue.increment(1),
+        });
+    } catch (error) {
+        logger.warn({ err: error, channel: channelName, trigger: triggerName },
+            '[TriggersStorage] Error recording trigger use');
+    }
+}
+
+/**
+ * Loads all triggers for all channels. Used for in-memory cache initialization.
+ * @returns {Promise<Map<string, Map<string, object>>>} Map of channelName -> Map of triggerName -> trigger data.
+ */
+export async function loadAllTriggers() {
+    const db = _getDb();
+
+    try {
+        const snapshot = await db.collectionGroup(TRIGGERS_SUBCOLLECTION).get();
+        const allTriggers = new Map();
+
+        snapshot.forEach(doc => {
+            const channelName = doc.ref.parent.parent?.id;
+            if (!channelName) return;
+            if (!allTriggers.has(channelName)) {
+                allTriggers.set(channelName, new Map());
+            }
+            allTriggers.get(channelName).set(doc.id, { name: doc.id, ...doc.data() });
+        });
+
+        logger.info(`[TriggersStorage] Loaded triggers for ${allTriggers.size} channels`);
+        return allTriggers;
+    } catch (error) {
+        logger.error({ err: error }, '[TriggersStorage] Error loading all triggers');
+        throw new TriggersStorageError('Failed to load all triggers', error);
+    }
+}
+
+/**
+ * Sets up a real-time listener for trigger changes across all channels.
+ * @param {Function} onChangeCallback - Called per change with
+ *        ({ type: 'added'|'modified'|'removed', channelName, triggerName, trigger }).
+ * @returns {Function} Unsubscribe function to stop listening for changes.
+ */
+export function listenForTriggerChanges(onChangeCallback) {
+    const db = _getDb();
+
+    logger.info('[TriggersStorage] Setting up listener for trigger changes...');
+
+    const unsubscribe = db.collectionGroup(TRIGGERS_SUBCOLLECTION)
+        .onSnapshot(snapshot => {
+            snapshot.docChanges().forEach(change => {
+                const channelName = change.doc.ref.parent.parent?.id;
+                if (!channelName) {
+                    logger.warn({ docId: change.doc.id },
+                        '[TriggersStorage] Listener detected trigger doc without a parent channel. Skipping.');
+                    return;
+                }
+                onChangeCallback({
+                    type: change.type,
+                    channelName,
+                    triggerName: change.doc.id,
+                    trigger: { name: change.doc.id, ...change.doc.data() },
+                });
+            });
+        }, error => {
+            logger.error({ err: error }, '[TriggersStorage] Error in trigger changes listener.');
+        });
+
+    logger.info('[TriggersStorage] Trigger changes listener set up successfully.');
+
+    return unsubscribe;
+}
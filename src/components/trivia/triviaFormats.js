@@ -0,0 +1,123 @@
+// src/components/trivia/triviaFormats.js
+// Question formats other than free answers. Free answers ('open') go through
+// verifyAnswer's matching; the other formats are checked here without the LLM,
+// and each player gets one guess per question.
+
+export const TRIVIA_FORMATS = ['open', 'choice', 'truefalse', 'number'];
+export const DEFAULT_TRIVIA_FORMAT = 'open';
+
+const FORMAT_ALIASES = {
+    open: 'open',
+    free: 'open',
+    choice: 'choice',
+    multiplechoice: 'choice',
+    mc: 'choice',
+    truefalse: 'truefalse',
+    tf: 'truefalse',
+    number: 'number',
+    numeric: 'number',
+    closest: 'number',
+};
+
+// Easier-to-guess formats are worth less
+export const FORMAT_POINTS_MULTIPLIERS = { open: 1, choice: 0.5, truefalse: 0.3, number: 1 };
+
+export const CHOICE_LETTERS = ['A', 'B', 'C', 'D'];
+
+const TRUE_WORDS = new Set(['true', 't']);
+const FALSE_WORDS = new Set(['false', 'f']);
+const NUMBER_REGEX = /^-?\d{1,3}(,\d{3})+(\.\d+)?$|^-?\d+(\.\d+)?$/;
+
+/**
+ * @param {string} value - A format name or alias, e.g. 'mc' or 'closest'.
+ * @returns {string|null} The format, or null if it isn't one.
+ */
+export function normalizeTriviaFormat(value) {
+    return FORMAT_ALIASES[String(value || '').toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+/**
+ * Reads a chat message as a guess for a non-open format.
+ * @param {string} format
+ * @param {string} message
+ * @returns {string|boolean|number|null} A choice letter, true/false or a number;
+ *   null if the message isn't a guess (ordinary chat).
+ */
+export function parseGuess(format, message) {
+    const text = String(message || '').trim().replace(/[.!)]+$/, '');
+    switch (format) {
+        case 'choice': {
+            const letter = text.toUpperCase();
+            return CHOICE_LETTERS.includes(letter) ? letter : null;
+        }
+        case 'truefalse': {
+            const word = text.toLowerCase();
+            if (TRUE_WORDS.has(word)) return true;
+            if (FALSE_WORDS.has(word)) return false;
+            return null;
+        }
+        case 'number':
+            return NUMBER_REGEX.test(text) ? Number(text.replace(/,/g, '')) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param {object} question - currentQuestion, with its format fields.
+ * @param {string|boolean|number} guess - From parseGuess().
+ * @returns {boolean} Whether the guess is exactly right.
+ */
+export function isCorrectGuess(question, guess) {
+    switch (question.format) {
+        case 'choice':
+            return guess === question.answerLetter;
+        case 'truefalse':
+            return guess === question.isTrue;
+        case 'number':
+            return guess === question.numericAnswer;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Picks the closest guess to a number question's answer. Ties go to whoever
+ * guessed first.
+ * @param {number} answer
+ * @param {Array<{guess: number}>} guesses - In the order they arrived.
+ * @returns {object|null} The winning guess entry, or null if nobody guessed.
+ */
+export function findClosestGuess(answer, guesses) {
+    return guesses.reduce((best, entry) => {
+        if (typeof entry.guess !== 'number') return best;
+        if (!best || Math.abs(entry.guess - answer) < Math.abs(best.guess - answer)) return entry;
+        return best;
+    }, null);
+}
+
+/**
+ * @param {number} value
+ * @param {string} [unit='']
+ * @returns {string} e.g. "8,849 metres"
+ */
+export function formatNumber(value, unit = '') {
+    const text = value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * How the answer is shown in chat for each format.
+ * @param {object} question - currentQuestion.
+ * @returns {string}
+ */
+export function formatAnswerForDisplay(question) {
+    switch (question?.format) {
+        case 'choice':
+            return `${question.answerLetter}) ${question.answer}`;
+        case 'number':
+            return formatNumber(question.numericAnswer, question.unit);
+        default:
+            return question?.answer || 'N/A';
+    }
+}
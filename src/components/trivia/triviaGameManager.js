@@ -8,12 +8,22 @@ import { generateQuestion, verifyAnswer } from './triviaQuestionService.js';
 import { isTextTooSimilar as _isAnswerTooSimilar } from '../../lib/stringUtils.js';
 import {
     formatStartMessage, formatQuestionMessage, formatCorrectAnswerMessage,
-    formatTimeoutMessage, formatStopMessage, formatGameSessionScoresMessage
+    formatTimeoutMessage, formatStopMessage, formatGameSessionScoresMessage,
+    formatClosestAnswerMessage
 } from './triviaMessageFormatter.js';
 import {
-    loadChannelConfig, saveChannelConfig, recordGameResult,
+    loadChannelConfig, saveChannelConfig, recordGameResult, getTriviaPack,
     updatePlayerScore, getRecentQuestions, getRecentAnswers, getLeaderboard, clearChannelLeaderboardData, getLatestCompletedSessionInfo as getLatestTriviaSession, reportProblemQuestion as flagTriviaQuestionProblem, flagTriviaQuestionByDocId
 } from './triviaStorage.js';
+import { awardEventPoints } from '../points/pointsManager.js';
+import { recordGameWin } from '../gameProfiles/gameProfileStorage.js';
+import { scoreForTeam, getTeamStandings, getTeamNames } from '../teams/teamManager.js';
+import { formatTeamRoundInfo, formatTeamSessionScoresMessage } from '../teams/teamMessageFormatter.js';
+import {
+    DEFAULT_TRIVIA_FORMAT, FORMAT_POINTS_MULTIPLIERS, normalizeTriviaFormat,
+    parseGuess, isCorrectGuess, findClosestGuess, formatNumber, formatAnswerForDisplay
+} from './triviaFormats.js';
+import { shufflePackQuestions, toPackQuestion } from './triviaPacks.js';
 import crypto from 'crypto';
 
 // --- Default Configuration ---
@@ -23,6 +33,7 @@ const DEFAULT_CONFIG = {
     roundDurationMinutes: 2,
     scoreTracking: true,
     topicPreferences: [],
+    format: DEFAULT_TRIVIA_FORMAT, // 'open', 'choice', 'truefalse' or 'number' (see triviaFormats.js)
     pointsBase: 10, // Base points for a correct answer
     pointsTimeBonus: true, // Whether to give bonus points for fast answers
     pointsDifficultyMultiplier: true // Whether to multiply points by difficulty
@@ -63,6 +74,33 @@ function _buildQuestionSignature(text) {
     return uniqueSorted.join('|');
 }
 
+// True/false answers repeat by nature, so only other formats are checked
+function _hasRepeatAnswer(question, excludedAnswers) {
+    return question.format !== 'truefalse' && _isAnswerTooSimilar(question.answer, excludedAnswers);
+}
+
+// Pack games ask pack questions every round; mixed pack games alternate them
+// with generated ones (pack first) and carry on with generated questions once
+// the pack runs out.
+function _isPackRound(gameState, roundNumber) {
+    const pack = gameState.pack;
+    if (!pack || pack.questions.length === 0) return false;
+    return !pack.mix || roundNumber % 2 === 1;
+}
+
+/**
+ * Takes the next question from the game's pack if the current round uses one.
+ * @param {Object} gameState - Game state object.
+ * @returns {Object|null} The question, or null if this round's question is generated.
+ */
+function _takePackQuestion(gameState) {
+    if (!_isPackRound(gameState, gameState.currentRound)) return null;
+    const question = toPackQuestion(gameState.pack.questions.shift(), gameState.pack.name);
+    gameState.questionSignatureSet.add(_buildQuestionSignature(question.question));
+    logger.info(`[TriviaGame][${gameState.channelName}] Using a question from pack "${gameState.pack.name}" for round ${gameState.currentRound} (${gameState.pack.questions.length} left).`);
+    return question;
+}
+
 /*
 GameState structure:
 {
@@ -89,10 +127,12 @@ GameState structure:
     totalRounds: number,
     currentRound: number,
     gameSessionScores: Map<string, {displayName: string, score: number}>,
+    gameSessionTeamScores: Map<string, number>, // team -> points this game (team mode)
     gameSessionExcludedQuestions: Set<string>,
     gameSessionExcludedAnswers: Set<string>,
     streakMap: Map<string, number>,
-    gameSessionId: string | null
+    gameSessionId: string | null,
+    pack: {name: string, questions: Object[], mix: boolean} | null // Question pack being played, questions still to ask
 }
 */
 
@@ -142,9 +182,11 @@ async function _getOrCreateGameState(channelName) {
             totalRounds: 1,
             currentRound: 1,
             gameSessionScores: new Map(),
+            gameSessionTeamScores: new Map(),
             gameSessionExcludedQuestions: new Set(),
             gameSessionExcludedAnswers: new Set(),
             streakMap: new Map(),
+            pack: null,
             guessCache: new Map(), // Cache for incorrect guesses this round
             questionSignatureSet: new Set(), // Track normalized signatures to avoid paraphrased duplicates
             prefetchedQuestion: null, // Prefetched next question for faster round transitions
@@ -221,9 +263,11 @@ async function _resetGameToIdle(gameState) {
     newState.totalRounds = 1;
     newState.currentRound = 1;
     newState.gameSessionScores = new Map();
+    newState.gameSessionTeamScores = new Map();
     newState.gameSessionExcludedQuestions = new Set();
     newState.gameSessionExcludedAnswers = new Set();
     newState.streakMap = new Map();
+    newState.pack = null;
     newState.guessCache = new Map();
     newState.prefetchedQuestion = null;
     newState.prefetchPromise = null;
@@ -239,7 +283,8 @@ async function _resetGameToIdle(gameState) {
  * @returns {number} Points earned.
  */
 function _calculatePoints(gameState, timeElapsedMs) {
-    let points = gameState.config.pointsBase;
+    const format = gameState.currentQuestion?.format || DEFAULT_TRIVIA_FORMAT;
+    let points = gameState.config.pointsBase * (FORMAT_POINTS_MULTIPLIERS[format] ?? 1);
 
     // Apply difficulty multiplier if enabled
     if (gameState.config.pointsDifficultyMultiplier && gameState.currentQuestion?.difficulty) {
@@ -256,8 +301,13 @@ function _calculatePoints(gameState, timeElapsedMs) {
         }
     }
 
-    // Apply time bonus if enabled
-    if (gameState.config.pointsTimeBonus) {
+    // Closest-number rounds are decided when time runs out, so speed doesn't
+    // count there; hitting the number exactly doubles the points instead.
+    if (format === 'number') {
+        if (gameState.winner?.guess === gameState.currentQuestion.numericAnswer) {
+            points *= 2;
+        }
+    } else if (gameState.config.pointsTimeBonus) {
         const totalTimeMs = gameState.config.questionTimeSeconds * 1000;
         const timeRemainingRatio = Math.max(0, (totalTimeMs - timeElapsedMs) / totalTimeMs);
         const timeBonus = Math.floor(points * 0.5 * timeRemainingRatio); // Up to 50% bonus for speed
@@ -278,10 +328,30 @@ function _calculatePoints(gameState, timeElapsedMs) {
     return Math.floor(points);
 }
 
+/**
+ * Ends a round whose time ran out. In closest-number rounds the closest
+ * guess wins; otherwise nobody does.
+ * @param {Object} gameState - Game state object.
+ * @returns {Promise<void>}
+ */
+async function _endRoundOnTimeout(gameState) {
+    if (gameState.currentQuestion?.format === 'number') {
+        const closest = findClosestGuess(gameState.currentQuestion.numericAnswer, gameState.answers);
+        if (closest) {
+            gameState.winner = { username: closest.username, displayName: closest.displayName, guess: closest.guess };
+            gameState.state = 'guessed';
+            await _transitionToEnding(gameState, "closest", closest.timestamp.getTime() - gameState.startTime);
+            return;
+        }
+    }
+    gameState.state = 'timeout';
+    await _transitionToEnding(gameState, "timeout");
+}
+
 /**
  * Transitions a game to the ending state.
  * @param {Object} gameState - Game state object.
- * @param {string} reason - Reason for ending ('guessed', 'timeout', 'stopped', etc.).
+ * @param {string} reason - Reason for ending ('guessed', 'closest', 'timeout', 'stopped', etc.).
  * @param {number} [timeTakenMs] - Time taken to answer in milliseconds.
  * @returns {Promise<void>}
  */
@@ -304,7 +374,7 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
     if (gameState.currentQuestion?.question) {
         gameState.gameSessionExcludedQuestions.add(gameState.currentQuestion.question);
         // NEW: Add current answer and alternates to session excluded answers
-        if (gameState.currentQuestion.answer) {
+        if (gameState.currentQuestion.answer && gameState.currentQuestion.format !== 'truefalse') {
             gameState.gameSessionExcludedAnswers.add(gameState.currentQuestion.answer.toLowerCase());
             if (gameState.currentQuestion.alternateAnswers && gameState.currentQuestion.alternateAnswers.length > 0) {
                 gameState.currentQuestion.alternateAnswers.forEach(alt => gameState.gameSessionExcludedAnswers.add(alt.toLowerCase()));
@@ -316,7 +386,9 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
 
     // --- 1. Handle Scoring ---
     let points = 0;
-    if (reason === "guessed" && gameState.winner?.username) {
+    let winningTeam = null;
+    const hasWinner = reason === "guessed" || reason === "closest";
+    if (hasWinner && gameState.winner?.username) {
         const winnerUsername = gameState.winner.username;
         const winnerDisplayName = gameState.winner.displayName;
 
@@ -327,6 +399,19 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
         const currentStreak = gameState.streakMap.get(winnerUsername) || 0;
         gameState.streakMap.set(winnerUsername, currentStreak + 1);
 
+        // Loyalty points (never throws)
+        awardEventPoints(gameState.channelName, 'gameWin', { login: winnerUsername, displayName: winnerDisplayName });
+        if (gameState.config.scoreTracking) {
+            recordGameWin(gameState.channelName, {
+                game: 'trivia',
+                login: winnerUsername,
+                displayName: winnerDisplayName,
+                points,
+                streak: currentStreak + 1,
+                topic: gameState.topic || 'general',
+            }).catch(err => logger.error({ err }, `[TriviaGame][${gameState.channelName}] Failed to record win in player profile.`));
+        }
+
         // a) Update session score
         if (isMultiRound) {
             const currentSessionScore = gameState.gameSessionScores.get(winnerUsername)?.score || 0;
@@ -337,6 +422,12 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             logger.debug(`[TriviaGame][${gameState.channelName}] Updated session score for ${winnerUsername}: ${currentSessionScore + points}`);
         }
 
+        // Team mode: the round also scores for the winner's team
+        winningTeam = scoreForTeam(gameState.channelName, winnerUsername, points);
+        if (winningTeam) {
+            gameState.gameSessionTeamScores.set(winningTeam, (gameState.gameSessionTeamScores.get(winningTeam) || 0) + points);
+        }
+
         // b) Update persistent score
         if (gameState.config.scoreTracking) {
             try {
@@ -359,36 +450,52 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
     } else {
         try {
             const roundPrefix = isMultiRound ? `(Round ${gameState.currentRound}/${gameState.totalRounds}) ` : "";
+            const displayAnswer = formatAnswerForDisplay(gameState.currentQuestion);
 
-            if (reason === "guessed" && gameState.winner) {
+            if (reason === "closest" && gameState.winner) {
+                const pointsInfo = points > 0 ? ` (+${points} pts)` : '';
+                const teamInfo = winningTeam ? formatTeamRoundInfo(winningTeam, getTeamStandings(gameState.channelName)) : '';
+                endMessage = formatClosestAnswerMessage(
+                    roundPrefix,
+                    gameState.winner.displayName,
+                    formatNumber(gameState.winner.guess),
+                    formatNumber(Math.abs(gameState.winner.guess - gameState.currentQuestion.numericAnswer)),
+                    displayAnswer,
+                    gameState.currentQuestion.explanation,
+                    pointsInfo,
+                    teamInfo
+                );
+            } else if (reason === "guessed" && gameState.winner) {
                 const seconds = typeof timeTakenMs === 'number' ? Math.round(timeTakenMs / 1000) : null;
                 const timeString = seconds !== null ? ` in ${seconds}s` : '';
                 const streakInfo = gameState.streakMap.get(gameState.winner.username) > 1 ?
                     ` 🔥x${gameState.streakMap.get(gameState.winner.username)}` : '';
                 const pointsInfo = points > 0 ? ` (+${points} pts)` : '';
+                const teamInfo = winningTeam ? formatTeamRoundInfo(winningTeam, getTeamStandings(gameState.channelName)) : '';
 
                 endMessage = formatCorrectAnswerMessage(
                     roundPrefix,
                     gameState.winner.displayName,
-                    gameState.currentQuestion.answer,
+                    displayAnswer,
                     gameState.currentQuestion.explanation,
                     timeString,
                     streakInfo,
-                    pointsInfo
+                    pointsInfo,
+                    teamInfo
                 );
             } else if (reason === "timeout") {
                 endMessage = formatTimeoutMessage(
                     roundPrefix,
-                    gameState.currentQuestion.answer,
+                    displayAnswer,
                     gameState.currentQuestion.explanation
                 );
             } else if (reason === "stopped") {
                 endMessage = formatStopMessage(
                     roundPrefix,
-                    gameState.currentQuestion.answer
+                    displayAnswer
                 );
             } else {
-                endMessage = `${roundPrefix}The answer was: ${gameState.currentQuestion.answer}`;
+                endMessage = `${roundPrefix}The answer was: ${displayAnswer}`;
             }
 
             // Ensure message doesn't exceed max length
@@ -397,7 +504,7 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             }
         } catch (error) {
             logger.error({ err: error }, `[TriviaGame][${gameState.channelName}] Error formatting round end message.`);
-            endMessage = `${reason === "guessed" ? `@${gameState.winner.displayName} got it right!` : ''} The answer was: ${gameState.currentQuestion?.answer || "N/A"}`;
+            endMessage = `${hasWinner ? `@${gameState.winner.displayName} got it right!` : ''} The answer was: ${gameState.currentQuestion?.answer || "N/A"}`;
         }
     }
 
@@ -418,6 +525,7 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
                 durationMs: gameState.startTime ? (Date.now() - gameState.startTime) : null,
                 reasonEnded: reason,
                 difficulty: gameState.currentQuestion.difficulty,
+                format: gameState.currentQuestion.format || DEFAULT_TRIVIA_FORMAT,
                 pointsAwarded: points,
                 searchUsed: gameState.currentQuestion.searchUsed || false,
                 verified: typeof gameState.currentQuestion.verified === 'boolean' ? gameState.currentQuestion.verified : undefined,
@@ -443,6 +551,9 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             const sessionScoresMessage = formatGameSessionScoresMessage(gameState.gameSessionScores);
             enqueueMessage(`#${gameState.channelName}`, `🏁 Game stopped. Final Scores: ${sessionScoresMessage}`);
         }
+        if (isMultiRound && gameState.gameSessionTeamScores.size > 0) {
+            enqueueMessage(`#${gameState.channelName}`, formatTeamSessionScoresMessage(gameState.gameSessionTeamScores, getTeamNames(gameState.channelName)));
+        }
 
         // Reset after delay
         setTimeout(() => _resetGameToIdle(gameState), MULTI_ROUND_DELAY_MS);
@@ -471,6 +582,9 @@ async function _transitionToEnding(gameState, reason = "guessed", timeTakenMs =
             enqueueMessage(`#${gameState.channelName}`, `🏁 Final Scores: ${sessionScoresMessage}`);
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
+        if (isMultiRound && gameState.gameSessionTeamScores.size > 0) {
+            enqueueMessage(`#${gameState.channelName}`, formatTeamSessionScoresMessage(gameState.gameSessionTeamScores, getTeamNames(gameState.channelName)));
+        }
 
         // Show overall leaderboard
         if (gameState.config.scoreTracking) {
@@ -534,7 +648,9 @@ async function _startNextRound(gameState) {
                 gameState.totalRounds,
                 gameState.currentQuestion.question,
                 gameState.currentQuestion.difficulty,
-                gameState.config.questionTimeSeconds
+                gameState.config.questionTimeSeconds,
+                gameState.currentQuestion.format,
+                gameState.currentQuestion.choices
             );
             // Skip translation if question was generated natively in the target language
             enqueueMessage(`#${gameState.channelName}`, questionMessage, { skipTranslation: !!gameState.currentQuestion.language });
@@ -544,8 +660,7 @@ async function _startNextRound(gameState) {
                 try {
                     if (gameState.state === 'inProgress') {
                         logger.info(`[TriviaGame][${gameState.channelName}] Round ${gameState.currentRound} timed out.`);
-                        gameState.state = 'timeout';
-                        await _transitionToEnding(gameState, "timeout");
+                        await _endRoundOnTimeout(gameState);
                     }
                 } catch (error) {
                     logger.error({ err: error }, `[TriviaGame][${gameState.channelName}] Error in question timeout handler.`);
@@ -567,22 +682,28 @@ async function _startNextRound(gameState) {
         }
     }
 
-    // 2. Generate Question (fallback if no prefetch or prefetch was invalid)
-    let questionGenerated = false;
+    // 2. Take a pack question, or generate one (fallback if no prefetch or prefetch was invalid)
+    const packQuestion = _takePackQuestion(gameState);
+    if (packQuestion) {
+        gameState.currentQuestion = packQuestion;
+    }
+    let questionGenerated = !!packQuestion;
     let retries = 0;
     let recentChannelQuestions = [];
     let recentChannelAnswers = [];
     // Fetch recent questions in parallel (globally for the channel, beyond the current session)
-    try {
-        [recentChannelQuestions, recentChannelAnswers] = await Promise.all([
-            getRecentQuestions(gameState.channelName, gameState.topic, RECENT_QUESTION_FETCH_LIMIT)
-                .catch(err => { logger.error({ err }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel questions for exclusion.`); return []; }),
-            getRecentAnswers(gameState.channelName, null, RECENT_QUESTION_FETCH_LIMIT)
-                .catch(err => { logger.error({ err }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel answers for exclusion.`); return []; })
-        ]);
-        logger.debug(`[TriviaGame][${gameState.channelName}] Retrieved ${recentChannelQuestions.length} recent channel questions to potentially exclude.`);
-    } catch (error) {
-        logger.error({ err: error }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel data for exclusion.`);
+    if (!questionGenerated) {
+        try {
+            [recentChannelQuestions, recentChannelAnswers] = await Promise.all([
+                getRecentQuestions(gameState.channelName, gameState.topic, RECENT_QUESTION_FETCH_LIMIT)
+                    .catch(err => { logger.error({ err }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel questions for exclusion.`); return []; }),
+                getRecentAnswers(gameState.channelName, null, RECENT_QUESTION_FETCH_LIMIT)
+                    .catch(err => { logger.error({ err }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel answers for exclusion.`); return []; })
+            ]);
+            logger.debug(`[TriviaGame][${gameState.channelName}] Retrieved ${recentChannelQuestions.length} recent channel questions to potentially exclude.`);
+        } catch (error) {
+            logger.error({ err: error }, `[TriviaGame][${gameState.channelName}] Error fetching recent channel data for exclusion.`);
+        }
     }
     // Combine session exclusions with recent channel exclusions
     const combinedExcludedQuestions = new Set([...gameState.gameSessionExcludedQuestions, ...recentChannelQuestions]);
@@ -605,7 +726,8 @@ async function _startNextRound(gameState) {
                 finalExcludedQuestionsArray, // Pass the combined list
                 gameState.channelName,
                 finalExcludedAnswersArray, // Pass excluded answers
-                gameState.botLanguage || null // Native language generation
+                gameState.botLanguage || null, // Native language generation
+                gameState.config.format || DEFAULT_TRIVIA_FORMAT
             );
             // --- End modification ---
             if (
@@ -622,7 +744,7 @@ async function _startNextRound(gameState) {
                     logger.warn(`[TriviaGame][${gameState.channelName}] LLM generated an excluded question (attempt ${retries + 1}). Retrying.`);
                     retries++;
                     await new Promise(resolve => setTimeout(resolve, 500));
-                } else if (_isAnswerTooSimilar(question.answer, finalExcludedAnswersArray)) {
+                } else if (_hasRepeatAnswer(question, finalExcludedAnswersArray)) {
                     logger.warn(`[TriviaGame][${gameState.channelName}] LLM generated a question with a repeat answer "${question.answer}" (attempt ${retries + 1}). Retrying.`);
                     retries++;
                     await new Promise(resolve => setTimeout(resolve, 500));
@@ -676,7 +798,9 @@ async function _startNextRound(gameState) {
         gameState.totalRounds,
         gameState.currentQuestion.question,
         gameState.currentQuestion.difficulty,
-        gameState.config.questionTimeSeconds
+        gameState.config.questionTimeSeconds,
+        gameState.currentQuestion.format,
+        gameState.currentQuestion.choices
     );
 
     // Skip translation if question was generated natively in the target language
@@ -689,8 +813,7 @@ async function _startNextRound(gameState) {
         try {
             if (gameState.state === 'inProgress') {
                 logger.info(`[TriviaGame][${gameState.channelName}] Round ${gameState.currentRound} timed out (on-demand).`);
-                gameState.state = 'timeout';
-                await _transitionToEnding(gameState, "timeout");
+                await _endRoundOnTimeout(gameState);
             }
         } catch (error) {
             logger.error({ err: error }, `[TriviaGame][${gameState.channelName}] Error in question timeout handler.`);
@@ -715,6 +838,9 @@ async function _startNextRound(gameState) {
  */
 async function _prefetchNextQuestion(gameState) {
     const channelName = gameState.channelName;
+    if (_isPackRound(gameState, gameState.currentRound + 1)) {
+        return; // Pack questions don't need generating ahead of time
+    }
     logger.info(`[TriviaGame][${channelName}] Prefetching next question in background...`);
     const key = `trivia:${channelName}`;
 
@@ -749,7 +875,8 @@ async function _prefetchNextQuestion(gameState) {
                 excludedQuestions,
                 channelName,
                 excludedAnswers,
-                gameState.botLanguage || null // Native language generation
+                gameState.botLanguage || null, // Native language generation
+                gameState.config.format || DEFAULT_TRIVIA_FORMAT
             );
 
             // Validate before storing
@@ -762,7 +889,7 @@ async function _prefetchNextQuestion(gameState) {
                 String(question.answer).trim().length > 0
             ) {
                 // Check for answer-too-similar
-                if (_isAnswerTooSimilar(question.answer, excludedAnswers)) {
+                if (_hasRepeatAnswer(question, excludedAnswers)) {
                     logger.warn(`[TriviaGame][${channelName}] Prefetched question has repeat answer "${question.answer}". Discarding.`);
                     return null;
                 }
@@ -838,8 +965,12 @@ async function _processAnswerAttempt(gameState, attempt) {
         // Otherwise, fall back to translating user answer to English
         let verifyAgainstAnswer = gameState.currentQuestion.answer;
         let verifyAgainstAlternates = gameState.currentQuestion.alternateAnswers || [];
+        // Pack questions are checked by string and alternate matches only, so a pack round never calls the LLM
+        const fromPack = !!gameState.currentQuestion.pack;
 
-        if (gameState.currentQuestion.answerEnglish) {
+        if (fromPack) {
+            logger.debug(`[TriviaGame][${channelName}] Pack question: matching "${attempt.answer}" without translation or LLM verification.`);
+        } else if (gameState.currentQuestion.answerEnglish) {
             // Native generation path: verify against English answers, translate user answer to English
             verifyAgainstAnswer = gameState.currentQuestion.answerEnglish;
             verifyAgainstAlternates = gameState.currentQuestion.alternateAnswersEnglish || gameState.currentQuestion.alternateAnswers || [];
@@ -885,7 +1016,8 @@ async function _processAnswerAttempt(gameState, attempt) {
             attempt.answerToVerify, // Use the potentially translated answer
             verifyAgainstAlternates,
             gameState.currentQuestion.question,
-            gameState.topic || 'general'
+            gameState.topic || 'general',
+            { matchOnly: fromPack }
         );
 
         attempt.result = verificationResult;
@@ -912,6 +1044,38 @@ async function _processAnswerAttempt(gameState, attempt) {
     }
 }
 
+/**
+ * Handles a guess for a choice, true/false or number question. Each player
+ * gets one guess per question; messages that aren't guesses are ignored.
+ * A right choice or true/false guess wins at once, as does an exact number;
+ * otherwise number rounds go to the closest guess when time runs out.
+ * @param {Object} gameState - Game state object.
+ * @param {string} username - User's lowercase username.
+ * @param {string} displayName - User's display name.
+ * @param {string} message - The chat message.
+ * @param {number} now - When the message arrived.
+ */
+function _handleFormattedGuess(gameState, username, displayName, message, now) {
+    const question = gameState.currentQuestion;
+    const guess = parseGuess(question.format, message);
+    if (guess === null) return;
+
+    if (gameState.answers.some(entry => entry.username === username)) {
+        logger.debug(`[TriviaGame][${gameState.channelName}] Ignoring second guess "${message}" from ${username}.`);
+        return;
+    }
+    gameState.answers.push({ username, displayName, answer: String(guess), guess, timestamp: new Date(now) });
+
+    if (isCorrectGuess(question, guess)) {
+        logger.info(`[TriviaGame][${gameState.channelName}] Correct ${question.format} guess "${guess}" by ${username}.`);
+        gameState.winner = { username, displayName, guess };
+        gameState.state = 'guessed';
+        _transitionToEnding(gameState, "guessed", now - gameState.startTime).catch(err => {
+            logger.error({ err }, `[TriviaGame][${gameState.channelName}] Error ending round after correct guess.`);
+        });
+    }
+}
+
 /**
  * Processes a potential answer from a user.
  * @param {string} channelName - Channel name without #.
@@ -930,6 +1094,12 @@ async function _handleAnswer(channelName, username, displayName, message) {
 
     const now = Date.now();
 
+    // Multiple-choice, true/false and number questions are checked right here
+    if (gameState.currentQuestion.format && gameState.currentQuestion.format !== 'open') {
+        _handleFormattedGuess(gameState, username, displayName, message, now);
+        return;
+    }
+
     // Initialize rate limit maps if missing
     if (!gameState.userLastMessageTimestamps) gameState.userLastMessageTimestamps = new Map();
     if (!gameState.userLastAnswers) gameState.userLastAnswers = new Map();
@@ -983,9 +1153,12 @@ async function _handleAnswer(channelName, username, displayName, message) {
  * @param {string} topic - Topic for questions (null for general).
  * @param {string} initiatorUsername - Username of the user who started the game.
  * @param {number} numberOfRounds - Number of rounds (default 1).
+ * @param {Object} [options]
+ * @param {string} [options.pack] - Play the channel's question pack with this name instead of generating questions.
+ * @param {boolean} [options.mixPack=false] - Alternate pack questions with generated ones.
  * @returns {Promise<{success: boolean, message?: string, error?: string}>}
  */
-async function startGame(channelName, topic = null, initiatorUsername = null, numberOfRounds = 1) {
+async function startGame(channelName, topic = null, initiatorUsername = null, numberOfRounds = 1, { pack: packName = null, mixPack = false } = {}) {
     const gameState = await _getOrCreateGameState(channelName);
 
     if (gameState.state !== 'idle') {
@@ -1004,6 +1177,25 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
         };
     }
 
+    let pack = null;
+    if (packName) {
+        let storedPack;
+        try {
+            storedPack = await getTriviaPack(channelName, packName);
+        } catch (error) {
+            logger.error({ err: error }, `[TriviaGame][${channelName}] Failed to load question pack "${packName}".`);
+            return { success: false, error: `Couldn't load the question pack right now. Please try again.` };
+        }
+        if (!storedPack?.questions?.length) {
+            return { success: false, error: `There's no question pack called "${packName}". Use !trivia packs to see this channel's packs.` };
+        }
+        pack = { name: storedPack.name, questions: storedPack.questions, mix: mixPack };
+        if (!mixPack && numberOfRounds > pack.questions.length) {
+            enqueueMessage(`#${channelName}`, `The ${pack.name} pack only has ${pack.questions.length} question${pack.questions.length === 1 ? '' : 's'}, so this game has ${pack.questions.length} round${pack.questions.length === 1 ? '' : 's'}.`);
+            numberOfRounds = pack.questions.length;
+        }
+    }
+
     // Initialize game state (ensure new fields are reset)
     gameState.gameSessionId = crypto.randomUUID();
     gameState.initiatorUsername = initiatorUsername?.toLowerCase() || null;
@@ -1017,13 +1209,15 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
     gameState.totalRounds = Math.max(1, numberOfRounds);
     gameState.currentRound = 1;
     gameState.gameSessionScores = new Map();
+    gameState.gameSessionTeamScores = new Map();
     gameState.gameSessionExcludedQuestions = new Set();
     gameState.gameSessionExcludedAnswers = new Set();
     gameState.streakMap = new Map();
     gameState.guessCache = new Map();
+    gameState.pack = pack;
     _clearTimers(gameState);
 
-    logger.info(`[TriviaGame][${channelName}] Starting new game. Topic: ${topic || 'General'}, Rounds: ${gameState.totalRounds}, Initiator: ${gameState.initiatorUsername}`);
+    logger.info(`[TriviaGame][${channelName}] Starting new game. Topic: ${topic || 'General'}, ${pack ? `Pack: ${pack.name}${pack.mix ? ' (mixed)' : ''}, ` : ''}Rounds: ${gameState.totalRounds}, Initiator: ${gameState.initiatorUsername}`);
 
     // Look up botLanguage for native generation
     const contextManager = getContextManager();
@@ -1033,10 +1227,11 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
         logger.info(`[TriviaGame][${channelName}] Bot language is ${botLanguage}. Questions will be generated natively in ${botLanguage}.`);
     }
 
-    // Only send preamble if user specified rounds > 1 or a specific topic
-    if (gameState.totalRounds > 1 || topic !== null) {
+    // Only send preamble if user specified rounds > 1, a specific topic or a pack
+    if (gameState.totalRounds > 1 || topic !== null || pack) {
+        const packLabel = pack ? `${pack.name} question pack${pack.mix ? ' mixed with generated questions' : ''}` : null;
         const startMessage = formatStartMessage(
-            topic || 'General Knowledge',
+            packLabel || topic || 'General Knowledge',
             gameState.config.questionTimeSeconds,
             gameState.totalRounds
         );
@@ -1075,6 +1270,12 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
                 finalExcludedAnswersArray.push(t.toLowerCase());
             }
         }
+        // Pack games start with a pack question, asking recent ones last
+        if (pack) {
+            pack.questions = shufflePackQuestions(pack.questions, recentChannelQuestions);
+            gameState.currentQuestion = _takePackQuestion(gameState);
+            questionGenerated = true;
+        }
         while (!questionGenerated && retries < MAX_QUESTION_RETRIES) {
             try {
                 const question = await generateQuestion(
@@ -1083,7 +1284,8 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
                     finalExcludedQuestionsArray, // Pass current exclusion set
                     channelName,
                     finalExcludedAnswersArray, // Pass excluded answers
-                    gameState.botLanguage || null // Native language generation
+                    gameState.botLanguage || null, // Native language generation
+                    gameState.config.format || DEFAULT_TRIVIA_FORMAT
                 );
                 // --- End modification ---
                 if (
@@ -1100,7 +1302,7 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
                         logger.warn(`[TriviaGame][${channelName}] LLM generated an excluded question for Round 1 (attempt ${retries + 1}). Retrying.`);
                         retries++;
                         await new Promise(resolve => setTimeout(resolve, 500));
-                    } else if (_isAnswerTooSimilar(question.answer, finalExcludedAnswersArray)) {
+                    } else if (_hasRepeatAnswer(question, finalExcludedAnswersArray)) {
                         logger.warn(`[TriviaGame][${channelName}] LLM generated a question with a repeat answer "${question.answer}" for Round 1 (attempt ${retries + 1}). Retrying.`);
                         retries++;
                         await new Promise(resolve => setTimeout(resolve, 500));
@@ -1146,7 +1348,9 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
             gameState.totalRounds,
             gameState.currentQuestion.question,
             gameState.currentQuestion.difficulty,
-            gameState.config.questionTimeSeconds
+            gameState.config.questionTimeSeconds,
+            gameState.currentQuestion.format,
+            gameState.currentQuestion.choices
         );
 
         // Skip translation if question was generated natively in the target language
@@ -1159,8 +1363,7 @@ async function startGame(channelName, topic = null, initiatorUsername = null, nu
             try {
                 if (gameState.state === 'inProgress') {
                     logger.info(`[TriviaGame][${channelName}] Round ${gameState.currentRound} timed out.`);
-                    gameState.state = 'timeout';
-                    await _transitionToEnding(gameState, "timeout");
+                    await _endRoundOnTimeout(gameState);
                 }
             } catch (error) {
                 logger.error({ err: error }, `[TriviaGame][${channelName}] Error in question timeout handler.`);
@@ -1254,6 +1457,20 @@ async function configureGame(channelName, options) {
         }
     }
 
+    // Update question format
+    if (options.format) {
+        const format = normalizeTriviaFormat(options.format);
+        if (format) {
+            if (gameState.config.format !== format) {
+                gameState.config.format = format;
+                changesMade.push(`Question format set to ${format}`);
+                configChanged = true;
+            }
+        } else {
+            changesMade.push(`Invalid format "${options.format}". Use open, choice, truefalse or number.`);
+        }
+    }
+
     // Update question time
     if (options.questionTimeSeconds) {
         const time = parseInt(options.questionTimeSeconds, 10);
@@ -1,6 +1,7 @@
 // src/components/trivia/triviaMessageFormatter.js
 import logger from '../../lib/logger.js';
 import { removeMarkdownAsterisks } from '../llm/llmUtils.js';
+import { CHOICE_LETTERS } from './triviaFormats.js';
 
 /**
  * Formats the game start announcement message.
@@ -21,9 +22,11 @@ export function formatStartMessage(topic, questionTimeSeconds, totalRounds) {
  * @param {string} question - The question text.
  * @param {string} difficulty - Question difficulty.
  * @param {number} timeSeconds - Time allowed for the question.
+ * @param {string} [format='open'] - Question format (see triviaFormats.js).
+ * @param {string[]} [choices=[]] - Answer choices for multiple-choice questions, in A-D order.
  * @returns {string} Formatted message.
  */
-export function formatQuestionMessage(roundNumber, totalRounds, question, difficulty, timeSeconds) {
+export function formatQuestionMessage(roundNumber, totalRounds, question, difficulty, timeSeconds, format = 'open', choices = []) {
     const roundPrefix = totalRounds > 1 ? `[Round ${roundNumber}/${totalRounds}] ` : '';
     const difficultyEmoji = getDifficultyEmoji(difficulty);
     
@@ -31,7 +34,18 @@ export function formatQuestionMessage(roundNumber, totalRounds, question, diffic
     const cleanQuestion = removeMarkdownAsterisks(question);
     logger.debug(`[TriviaFormatter] Question after removeMarkdownAsterisks: "${cleanQuestion}"`);
 
-    return `${roundPrefix}${difficultyEmoji} TRIVIA: ${cleanQuestion} (${timeSeconds}s)`;
+    switch (format) {
+        case 'choice': {
+            const choiceList = choices.map((choice, i) => `${CHOICE_LETTERS[i]}) ${removeMarkdownAsterisks(choice)}`).join(' ');
+            return `${roundPrefix}${difficultyEmoji} TRIVIA: ${cleanQuestion} ${choiceList} (${timeSeconds}s, answer with a letter, one guess each)`;
+        }
+        case 'truefalse':
+            return `${roundPrefix}${difficultyEmoji} TRUE OR FALSE: ${cleanQuestion} (${timeSeconds}s, type true or false, one guess each)`;
+        case 'number':
+            return `${roundPrefix}${difficultyEmoji} TRIVIA: ${cleanQuestion} (${timeSeconds}s, closest number wins, one guess each)`;
+        default:
+            return `${roundPrefix}${difficultyEmoji} TRIVIA: ${cleanQuestion} (${timeSeconds}s)`;
+    }
 }
 
 /**
@@ -43,11 +57,29 @@ export function formatQuestionMessage(roundNumber, totalRounds, question, diffic
  * @param {string} timeString - Time taken string.
  * @param {string} streakInfo - Streak information.
  * @param {string} pointsInfo - Points information.
+ * @param {string} [teamInfo=''] - Team information in team mode.
+ * @returns {string} Formatted message.
+ */
+export function formatCorrectAnswerMessage(roundPrefix, displayName, answer, explanation, timeString, streakInfo, pointsInfo, teamInfo = '') {
+    const cleanExplanation = removeMarkdownAsterisks(explanation);
+    return `${roundPrefix}✅ @${displayName} got it right${timeString}${streakInfo}${pointsInfo}${teamInfo}! The answer is: ${answer}. ${cleanExplanation}`;
+}
+
+/**
+ * Formats the end of a closest-number round nobody got exactly.
+ * @param {string} roundPrefix - Round prefix (for multi-round games).
+ * @param {string} displayName - Display name of the winner.
+ * @param {string} guess - The winning guess, formatted.
+ * @param {string} difference - How far off the guess was, formatted.
+ * @param {string} answer - The correct answer, formatted.
+ * @param {string} explanation - Explanation of the answer.
+ * @param {string} pointsInfo - Points information.
+ * @param {string} [teamInfo=''] - Team information in team mode.
  * @returns {string} Formatted message.
  */
-export function formatCorrectAnswerMessage(roundPrefix, displayName, answer, explanation, timeString, streakInfo, pointsInfo) {
+export function formatClosestAnswerMessage(roundPrefix, displayName, guess, difference, answer, explanation, pointsInfo, teamInfo = '') {
     const cleanExplanation = removeMarkdownAsterisks(explanation);
-    return `${roundPrefix}✅ @${displayName} got it right${timeString}${streakInfo}${pointsInfo}! The answer is: ${answer}. ${cleanExplanation}`;
+    return `${roundPrefix}🎯 @${displayName} was closest with ${guess} (off by ${difference})${pointsInfo}${teamInfo}! The answer is: ${answer}. ${cleanExplanation}`;
 }
 
 /**
@@ -115,10 +147,10 @@ export function formatGameSessionScoresMessage(scoresMap) {
  * @returns {string} Formatted help message.
  */
 export function formatHelpMessage(isModOrBroadcaster) {
-    let helpText = `🎮 Trivia Commands: !trivia (starts a general knowledge game), !trivia [topic] [rounds] (specific topic), !trivia game [rounds] (based on current stream game), !trivia leaderboard`;
+    let helpText = `🎮 Trivia Commands: !trivia (starts a general knowledge game), !trivia [topic] [rounds] (specific topic), !trivia game [rounds] (based on current stream game), !trivia pack <name> [rounds] [mix] (questions from a channel pack), !trivia packs, !trivia leaderboard`;
     
     if (isModOrBroadcaster) {
-        helpText += `, !trivia stop, !trivia config <options...>, !trivia resetconfig, !trivia clearleaderboard`;
+        helpText += `, !trivia stop, !trivia config <options...>, !trivia resetconfig, !trivia clearleaderboard, !trivia packs delete <name>`;
     } else {
         helpText += `. Mods can use additional commands.`;
     }
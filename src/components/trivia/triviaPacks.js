@@ -0,0 +1,181 @@
+// src/components/trivia/triviaPacks.js
+// Channel-owned question packs. parsePackFile() reads a pack written as JSON
+// or CSV, importTriviaPack() saves it through triviaStorage, and
+// toPackQuestion() turns a stored entry into the question object the game
+// manager plays, so pack rounds never ask the LLM for a question.
+import { parseCsv } from '../../lib/csvUtils.js';
+import { getTriviaPack, saveTriviaPack } from './triviaStorage.js';
+
+export const PACK_NAME_REGEX = /^[a-z0-9_-]{1,30}$/;
+export const MAX_PACK_QUESTIONS = 500; // Keeps a pack well inside one Firestore document
+
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+const DIFFICULTY_ALIASES = { medium: 'normal' };
+const MIN_QUESTION_LENGTH = 10; // Same floor the game applies to generated questions
+
+export class TriviaPackError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'TriviaPackError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * @param {string} name
+ * @returns {string|null} The lowercased name, or null if it isn't a valid pack name.
+ */
+export function normalizePackName(name) {
+    const lower = String(name || '').trim().toLowerCase();
+    return PACK_NAME_REGEX.test(lower) ? lower : null;
+}
+
+// JSON packs list alternates as an array; CSV cells separate them with | or ;
+function _readAlternates(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[|;]/);
+    return list.map(alt => String(alt).trim()).filter(Boolean);
+}
+
+/**
+ * @returns {{entry?: object, reason?: string}}
+ */
+function _readEntry(item) {
+    const question = String(item.question ?? item.q ?? '').trim();
+    const answer = String(item.answer ?? item.a ?? '').trim();
+    if (question.length < MIN_QUESTION_LENGTH) return { reason: 'question missing or too short' };
+    if (!answer) return { reason: 'answer missing' };
+
+    const rawDifficulty = String(item.difficulty || 'normal').trim().toLowerCase();
+    const difficulty = DIFFICULTY_ALIASES[rawDifficulty] || rawDifficulty;
+    if (!DIFFICULTIES.includes(difficulty)) return { reason: `unknown difficulty "${item.difficulty}"` };
+
+    const alternateAnswers = _readAlternates(item.alternates ?? item.alternateAnswers ?? item.alternateanswers ?? item.alternate_answers)
+        .filter(alt => alt.toLowerCase() !== answer.toLowerCase());
+    return {
+        entry: {
+            question,
+            answer,
+            alternateAnswers,
+            difficulty,
+            topic: String(item.topic || item.category || '').trim() || 'general',
+            explanation: String(item.explanation || '').trim(),
+        },
+    };
+}
+
+/**
+ * Reads a question pack. JSON packs are an array of questions or
+ * `{ name, questions: [...] }`; CSV packs have a header row. Each question has
+ * `question` and `answer`, and optionally `alternates`, `difficulty`
+ * (easy, normal or hard), `topic` and `explanation`.
+ * @param {string} text - File contents.
+ * @returns {{name: string|null, questions: object[], skipped: Array<{index: number, reason: string}>}}
+ *   `index` counts questions from 1, in file order.
+ * @throws {TriviaPackError} If the file can't be read or has no usable questions.
+ */
+export function parsePackFile(text) {
+    const trimmed = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    let data;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new TriviaPackError(`The file is not valid JSON: ${error.message}`, error);
+        }
+    } else {
+        data = parseCsv(trimmed);
+    }
+
+    const items = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(items)) {
+        throw new TriviaPackError('Expected a list of questions, or an object with a "questions" list.');
+    }
+
+    const questions = [];
+    const skipped = [];
+    const seen = new Set();
+    items.forEach((item, i) => {
+        const { entry, reason } = item && typeof item === 'object' ? _readEntry(item) : { reason: 'not a question' };
+        const key = entry?.question.toLowerCase();
+        if (entry && seen.has(key)) {
+            skipped.push({ index: i + 1, reason: 'duplicate question' });
+        } else if (entry) {
+            seen.add(key);
+            questions.push(entry);
+        } else {
+            skipped.push({ index: i + 1, reason });
+        }
+    });
+
+    if (questions.length === 0) {
+        throw new TriviaPackError('The file has no usable questions.');
+    }
+    if (questions.length > MAX_PACK_QUESTIONS) {
+        throw new TriviaPackError(`A pack can hold up to ${MAX_PACK_QUESTIONS} questions; this file has ${questions.length}. Split it into smaller packs.`);
+    }
+    return { name: typeof data?.name === 'string' ? data.name : null, questions, skipped };
+}
+
+/**
+ * Saves parsed questions as one of a channel's packs.
+ * @param {string} channelName
+ * @param {string} packName
+ * @param {{questions: object[]}} parsed - From parsePackFile().
+ * @param {{overwrite?: boolean, dryRun?: boolean, importedBy?: string}} [options]
+ * @returns {Promise<{name: string, questionCount: number, replaced: boolean}>}
+ * @throws {TriviaPackError} If the name is invalid, or the pack exists and overwrite is off.
+ */
+export async function importTriviaPack(channelName, packName, parsed, { overwrite = false, dryRun = false, importedBy = 'import' } = {}) {
+    const name = normalizePackName(packName);
+    if (!name) {
+        throw new TriviaPackError(`"${packName}" isn't a valid pack name. Use up to 30 letters, numbers, - or _.`);
+    }
+    const existing = await getTriviaPack(channelName, name);
+    if (existing && !overwrite) {
+        throw new TriviaPackError(`${channelName} already has a pack named "${name}". Use --overwrite to replace it.`);
+    }
+    if (!dryRun) {
+        await saveTriviaPack(channelName, { name, questions: parsed.questions, importedBy });
+    }
+    return { name, questionCount: parsed.questions.length, replaced: !!existing };
+}
+
+/**
+ * Puts a pack's questions in a random order, with questions the channel was
+ * asked recently moved to the back.
+ * @param {object[]} questions - Pack entries.
+ * @param {string[]} [recentQuestions=[]] - Question texts asked recently.
+ * @returns {object[]} A new array.
+ */
+export function shufflePackQuestions(questions, recentQuestions = []) {
+    const recent = new Set(recentQuestions);
+    const shuffled = [...questions];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return [...shuffled.filter(q => !recent.has(q.question)), ...shuffled.filter(q => recent.has(q.question))];
+}
+
+/**
+ * Builds the game's question object from a pack entry.
+ * @param {object} entry - A pack entry.
+ * @param {string} packName
+ * @returns {object} Same shape as triviaQuestionService.generateQuestion()'s result.
+ */
+export function toPackQuestion(entry, packName) {
+    return {
+        question: entry.question,
+        answer: entry.answer,
+        alternateAnswers: entry.alternateAnswers || [],
+        explanation: entry.explanation || '',
+        difficulty: entry.difficulty || 'normal',
+        searchUsed: false,
+        verified: true,
+        topic: entry.topic || 'general',
+        category: '',
+        language: null,
+        format: 'open',
+        pack: packName,
+    };
+}
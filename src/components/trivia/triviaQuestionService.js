@@ -2,8 +2,73 @@
 import logger from '../../lib/logger.js';
 import { getContextManager } from '../context/contextManager.js';
 import { generateStructuredJson } from '../llm/geminiClient.js';
-import { TriviaQuestionSchema, LocalizedTriviaQuestionSchema, TriviaVerificationSchema } from '../llm/schemaUtils.js';
+import {
+    TriviaQuestionSchema, LocalizedTriviaQuestionSchema, TriviaVerificationSchema,
+    TriviaChoiceQuestionSchema, TriviaTrueFalseSchema, TriviaNumberQuestionSchema
+} from '../llm/schemaUtils.js';
 import { calculateStringSimilarity } from '../../lib/stringUtils.js';
+import { CHOICE_LETTERS } from './triviaFormats.js';
+
+// Prompt instructions and schema for each question format
+const FORMAT_SPECS = {
+    choice: {
+        instructions: `Write a multiple-choice question with exactly four answer choices in 'choices': one correct and three plausible but clearly wrong. Keep each choice concise (1-5 words) and don't use "all/none of the above". Set 'correct_choice' to the correct choice exactly as written in 'choices'.`,
+        schema: TriviaChoiceQuestionSchema,
+    },
+    truefalse: {
+        instructions: `Write a single statement (not a question) in 'statement' that is either true or false, and set 'is_true'. Make false statements plausible rather than obviously wrong; true and false should be about equally likely.`,
+        schema: TriviaTrueFalseSchema,
+    },
+    number: {
+        instructions: `Write a question whose answer is a single, well-established number (a year, count, height, distance, etc.) in 'numeric_answer', with its unit in 'unit' (empty if none). Players guess the number and the closest guess wins, so avoid answers that are trivially round or widely memorised.`,
+        schema: TriviaNumberQuestionSchema,
+    },
+};
+
+function _shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Maps a structured response for a non-open format onto question fields.
+ * @returns {object|null} null if the response doesn't fit the format.
+ */
+function _toFormatFields(format, parsed) {
+    switch (format) {
+        case 'choice': {
+            const choices = Array.isArray(parsed.choices) ? parsed.choices.map(c => String(c).trim()).filter(Boolean) : [];
+            const correct = String(parsed.correct_choice || '').trim().toLowerCase();
+            if (choices.length !== CHOICE_LETTERS.length || new Set(choices.map(c => c.toLowerCase())).size !== choices.length) return null;
+            const shuffled = _shuffle(choices);
+            const correctIndex = shuffled.findIndex(c => c.toLowerCase() === correct);
+            if (correctIndex === -1) return null;
+            return {
+                question: parsed.question,
+                answer: shuffled[correctIndex],
+                choices: shuffled,
+                answerLetter: CHOICE_LETTERS[correctIndex],
+            };
+        }
+        case 'truefalse':
+            if (typeof parsed.is_true !== 'boolean') return null;
+            return { question: parsed.statement, answer: parsed.is_true ? 'True' : 'False', isTrue: parsed.is_true };
+        case 'number':
+            if (typeof parsed.numeric_answer !== 'number' || !Number.isFinite(parsed.numeric_answer)) return null;
+            return {
+                question: parsed.question,
+                answer: String(parsed.numeric_answer),
+                numericAnswer: parsed.numeric_answer,
+                unit: (parsed.unit || '').trim(),
+            };
+        default:
+            return null;
+    }
+}
 
 // --- Helper: Extract current game from context ---
 function getGameFromContext(channelName) {
@@ -30,9 +95,10 @@ function getGameFromContext(channelName) {
  * @param {string|null} channelName
  * @param {string[]} excludedAnswers - Array of answer strings to avoid regenerating.
  * @param {string|null} [language=null] - Optional target language for native generation.
+ * @param {string} [format='open'] - 'open', 'choice', 'truefalse' or 'number' (see triviaFormats.js).
  * @returns {Promise<object|null>}
  */
-export async function generateQuestion(topic, difficulty, excludedQuestions = [], channelName = null, excludedAnswers = [], language = null) {
+export async function generateQuestion(topic, difficulty, excludedQuestions = [], channelName = null, excludedAnswers = [], language = null, format = 'open') {
     let specificTopic = topic;
     if (topic && topic.toLowerCase() === 'game' && channelName) {
         specificTopic = getGameFromContext(channelName);
@@ -42,6 +108,9 @@ export async function generateQuestion(topic, difficulty, excludedQuestions = []
     // Determine topic type for prompt context
     const isGeneralTopic = !specificTopic || specificTopic.toLowerCase() === 'general' || specificTopic.toLowerCase() === 'general knowledge';
 
+    // True/false answers are always "True" or "False", so past answers say nothing
+    if (format === 'truefalse') excludedAnswers = [];
+
     // Build Prompt
     const exclusionInstructions = [];
     if (excludedQuestions.length > 0) {
@@ -62,22 +131,29 @@ export async function generateQuestion(topic, difficulty, excludedQuestions = []
         ? `Topic: "${specificTopic}".`
         : `Topic: General Knowledge.`;
 
-    // Add language directive if generating in a non-English language
-    const languageDirective = language
-        ? `\nLANGUAGE: Generate the question, correct_answer, alternate_answers, and explanation entirely in ${language}. Also provide correct_answer_english and alternate_answers_english with the English translations of the answers for verification purposes.`
-        : '';
+    const formatSpec = FORMAT_SPECS[format] || null;
+
+    // Add language directive if generating in a non-English language.
+    // Only free answers need English copies for verification.
+    let languageDirective = '';
+    if (language) {
+        languageDirective = formatSpec
+            ? `\nLANGUAGE: Generate all text (including any choices and the explanation) entirely in ${language}.`
+            : `\nLANGUAGE: Generate the question, correct_answer, alternate_answers, and explanation entirely in ${language}. Also provide correct_answer_english and alternate_answers_english with the English translations of the answers for verification purposes.`;
+    }
 
     const prompt = `Generate an engaging trivia question.
 ${contextPrompt}
 Difficulty: ${difficulty}.
 ${exclusionInstructionText}
 Be precise about entity types and relationships. Do not reveal the correct answer (or any alias) in the question text.
-Keep 'correct_answer' concise (1-3 words).
+${formatSpec ? formatSpec.instructions : `Keep 'correct_answer' concise (1-3 words).`}
 Also set a generic 'category' describing the answer type (e.g., Person, Location, Event, Work Title, Scientific Term).
 Only use web search if the question requires very recent or obscure facts that may be beyond general knowledge.${languageDirective}`;
 
-    // Select schema based on whether we need the English answer fields
-    const activeSchema = language ? LocalizedTriviaQuestionSchema : TriviaQuestionSchema;
+    // Select schema based on the format and whether we need the English answer fields
+    let activeSchema = language ? LocalizedTriviaQuestionSchema : TriviaQuestionSchema;
+    if (formatSpec) activeSchema = formatSpec.schema;
 
     try {
         logger.debug({ topic: specificTopic, language }, `[TriviaService] Generating question via Structured Output.`);
@@ -95,7 +171,18 @@ Only use web search if the question requires very recent or obscure facts that m
             return null;
         }
 
-        const { question, correct_answer, alternate_answers, explanation, difficulty: actualDiff, search_used, category } = parsed;
+        const { explanation, difficulty: actualDiff, search_used, category } = parsed;
+        let { question, correct_answer, alternate_answers } = parsed;
+        let formatFields = null;
+        if (formatSpec) {
+            formatFields = _toFormatFields(format, parsed);
+            if (!formatFields || !formatFields.question) {
+                logger.warn(`[TriviaService] Response doesn't fit the ${format} format. Rejecting.`);
+                return null;
+            }
+            ({ question, answer: correct_answer } = formatFields);
+            alternate_answers = [];
+        }
 
         // Guard: prevent answer leakage in question text
         const normalize = (s) => (s || "").toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
@@ -108,7 +195,8 @@ Only use web search if the question requires very recent or obscure facts that m
             return re.test(qNorm);
         };
 
-        if (checkLeak(correct_answer)) leakMatches.push(correct_answer);
+        // A true/false statement makes its claim in the text, so it can't leak
+        if (format !== 'truefalse' && checkLeak(correct_answer)) leakMatches.push(correct_answer);
         if (Array.isArray(alternate_answers)) {
             for (const alt of alternate_answers) {
                 if (checkLeak(alt)) { leakMatches.push(alt); break; }
@@ -138,7 +226,15 @@ Only use web search if the question requires very recent or obscure facts that m
             verified: true, // Structured output = implicitly verified
             topic: isGeneralTopic ? 'general' : specificTopic,
             category: category || "",
-            language: language || null
+            language: language || null,
+            format: formatSpec ? format : 'open',
+            ...(formatFields ? {
+                choices: formatFields.choices,
+                answerLetter: formatFields.answerLetter,
+                isTrue: formatFields.isTrue,
+                numericAnswer: formatFields.numericAnswer,
+                unit: formatFields.unit,
+            } : {}),
         };
 
         // When generating in a non-English language, store English answers for verification
@@ -148,7 +244,7 @@ Only use web search if the question requires very recent or obscure facts that m
             logger.debug(`[TriviaService] Localized answer: "${correct_answer}" (English: "${parsed.correct_answer_english}")`);
         }
 
-        logger.info(`[TriviaService] Successfully generated question (search=${!!search_used}, lang=${language || 'en'}). Q: "${question}", A: "${correct_answer}"`);
+        logger.info(`[TriviaService] Successfully generated question (format=${questionObject.format}, search=${!!search_used}, lang=${language || 'en'}). Q: "${question}", A: "${correct_answer}"`);
         return questionObject;
 
     } catch (error) {
@@ -165,9 +261,11 @@ Only use web search if the question requires very recent or obscure facts that m
  * @param {string[]} alternateAnswers
  * @param {string} question
  * @param {string} topic
+ * @param {object} [options]
+ * @param {boolean} [options.matchOnly=false] Only check the exact and alternate matches, never the LLM (pack questions).
  * @returns {Promise<object>}
  */
-export async function verifyAnswer(correctAnswer, userAnswer, alternateAnswers = [], question = "", topic = "") {
+export async function verifyAnswer(correctAnswer, userAnswer, alternateAnswers = [], question = "", topic = "", { matchOnly = false } = {}) {
     if (!correctAnswer || !userAnswer) {
         return { is_correct: false, confidence: 1.0, reasoning: "Missing answer to verify", search_used: false };
     }
@@ -213,6 +311,9 @@ export async function verifyAnswer(correctAnswer, userAnswer, alternateAnswers =
         logger.debug(`[TriviaService] Spaceless alternate match: User "${lowerUser}"`);
         return { is_correct: true, confidence: 1.0, reasoning: "Exact match with an alternate answer (ignoring spaces).", search_used: false };
     }
+    if (matchOnly) {
+        return { is_correct: false, confidence: 1.0, reasoning: "No exact or alternate match.", search_used: false };
+    }
 
     // 2. Structured Verification via LLM
     const prompt = `Topic: ${topic || 'general'}
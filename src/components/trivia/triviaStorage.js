@@ -8,6 +8,7 @@ const CONFIG_COLLECTION = 'triviaGameConfigs';
 const STATS_COLLECTION = 'triviaPlayerStats';
 const HISTORY_COLLECTION = 'triviaGameHistory';
 const QUESTIONS_COLLECTION = 'triviaQuestions';
+const PACKS_COLLECTION = 'triviaPacks'; // triviaPacks/{channel}/packs/{packName}
 
 // ── Trivia-specific storage that extends the shared base ──────────
 
@@ -295,6 +296,78 @@ class TriviaStorage extends BaseGameStorage {
             throw new StorageError(`Failed to get recent answers for ${lowerChannelName}`, error);
         }
     }
+
+    // --- Question Packs ---
+
+    _packsRef(channelName) {
+        return this._getDb().collection(PACKS_COLLECTION).doc(channelName.toLowerCase()).collection('packs');
+    }
+
+    /**
+     * Saves a channel's question pack, replacing any pack with the same name.
+     * @param {string} channelName
+     * @param {{name: string, questions: object[], importedBy?: string}} pack - Questions from triviaPacks.parsePackFile().
+     */
+    async saveTriviaPack(channelName, { name, questions, importedBy = 'import' }) {
+        try {
+            await this._packsRef(channelName).doc(name).set({
+                name,
+                questions,
+                questionCount: questions.length,
+                importedBy,
+                importedAt: FieldValue.serverTimestamp(),
+            });
+            logger.info(`[TriviaStorage] Saved pack "${name}" with ${questions.length} questions for channel ${channelName}.`);
+        } catch (error) {
+            logger.error({ err: error, channel: channelName, pack: name }, `[TriviaStorage] Error saving question pack`);
+            throw new StorageError(`Failed to save question pack ${name} for ${channelName}`, error);
+        }
+    }
+
+    /**
+     * @returns {Promise<{name: string, questions: object[], questionCount: number}|null>}
+     */
+    async getTriviaPack(channelName, packName) {
+        try {
+            const docSnap = await this._packsRef(channelName).doc(packName.toLowerCase()).get();
+            return docSnap.exists ? docSnap.data() : null;
+        } catch (error) {
+            logger.error({ err: error, channel: channelName, pack: packName }, `[TriviaStorage] Error loading question pack`);
+            throw new StorageError(`Failed to load question pack ${packName} for ${channelName}`, error);
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<{name: string, questionCount: number}>>} The channel's packs by name.
+     */
+    async listTriviaPacks(channelName) {
+        try {
+            const snapshot = await this._packsRef(channelName).get();
+            return snapshot.docs
+                .map(doc => ({ name: doc.id, questionCount: doc.data().questionCount || 0 }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            logger.error({ err: error, channel: channelName }, `[TriviaStorage] Error listing question packs`);
+            throw new StorageError(`Failed to list question packs for ${channelName}`, error);
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} False if there was no such pack.
+     */
+    async deleteTriviaPack(channelName, packName) {
+        const docRef = this._packsRef(channelName).doc(packName.toLowerCase());
+        try {
+            const docSnap = await docRef.get();
+            if (!docSnap.exists) return false;
+            await docRef.delete();
+            logger.info(`[TriviaStorage] Deleted pack "${packName}" for channel ${channelName}.`);
+            return true;
+        } catch (error) {
+            logger.error({ err: error, channel: channelName, pack: packName }, `[TriviaStorage] Error deleting question pack`);
+            throw new StorageError(`Failed to delete question pack ${packName} for ${channelName}`, error);
+        }
+    }
 }
 
 // ── Singleton instance ─────────────────────────────────────────────
@@ -316,6 +389,10 @@ const getRecentAnswers = (channelName, topic, limit) => triviaStorage.getRecentA
 const clearChannelLeaderboardData = (channelName) => triviaStorage.clearChannelLeaderboardData(channelName);
 const getLatestCompletedSessionInfo = (channelName) => triviaStorage.getLatestCompletedSessionInfo(channelName);
 const flagTriviaQuestionByDocId = (docId, reason, reportedByUsername) => triviaStorage.flagHistoryEntryByDocId(docId, reason, reportedByUsername);
+const saveTriviaPack = (channelName, pack) => triviaStorage.saveTriviaPack(channelName, pack);
+const getTriviaPack = (channelName, packName) => triviaStorage.getTriviaPack(channelName, packName);
+const listTriviaPacks = (channelName) => triviaStorage.listTriviaPacks(channelName);
+const deleteTriviaPack = (channelName, packName) => triviaStorage.deleteTriviaPack(channelName, packName);
 
 export {
     initializeStorage,
@@ -331,5 +408,9 @@ export {
     getRecentAnswers,
     clearChannelLeaderboardData,
     getLatestCompletedSessionInfo,
-    flagTriviaQuestionByDocId
+    flagTriviaQuestionByDocId,
+    saveTriviaPack,
+    getTriviaPack,
+    listTriviaPacks,
+    deleteTriviaPack
 };
\ No newline at end of file
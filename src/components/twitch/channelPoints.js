@@ -0,0 +1,100 @@
+// src/components/twitch/channelPoints.js
+// Channel Points calls made as the broadcaster. Rewards and redemptions can
+// only be managed with the broadcaster's own user token (the
+// channel:manage:redemptions scope), so unlike chat messages there is no
+// app-token fallback.
+import logger from '../../lib/logger.js';
+import { getBroadcasterAccessToken, clearCachedBroadcasterToken } from './broadcasterTokenHelper.js';
+import {
+    getCustomRewards,
+    createCustomReward,
+    updateCustomReward,
+    deleteCustomReward,
+    updateRedemptionStatus,
+} from './helixClient.js';
+
+/**
+ * Runs a Helix call with the broadcaster's token.
+ * @param {string} channelName
+ * @param {string} action - Name used in log messages.
+ * @param {(broadcasterId: string, accessToken: string) => Promise<{success: boolean, status?: number}>} call
+ * @returns {Promise<{success: boolean, status?: number, noToken?: boolean}>}
+ *   noToken is true when the broadcaster hasn't connected their account.
+ */
+async function _asBroadcaster(channelName, action, call) {
+    const cleanChannelName = channelName.replace(/^#/, '').toLowerCase();
+    try {
+        const broadcasterAuth = await getBroadcasterAccessToken(cleanChannelName);
+        if (!broadcasterAuth) {
+            logger.warn({ channel: cleanChannelName, action }, '[ChannelPoints] No broadcaster token available');
+            return { success: false, noToken: true };
+        }
+        const result = await call(broadcasterAuth.twitchUserId, broadcasterAuth.accessToken);
+        if (result.status === 401) {
+            clearCachedBroadcasterToken(cleanChannelName);
+        }
+        return result;
+    } catch (error) {
+        logger.error({ err: error.message, channel: cleanChannelName, action }, '[ChannelPoints] Error calling Helix');
+        return { success: false };
+    }
+}
+
+/**
+ * Lists the channel's custom rewards.
+ * @param {string} channelName
+ * @returns {Promise<{success: boolean, rewards?: object[], status?: number, noToken?: boolean}>}
+ */
+export async function listChannelRewards(channelName) {
+    return _asBroadcaster(channelName, 'list',
+        (broadcasterId, token) => getCustomRewards(broadcasterId, token));
+}
+
+/**
+ * Creates a reward owned by this app.
+ * @param {string} channelName
+ * @param {object} fields - Helix request body fields (title, cost, prompt, ...).
+ * @returns {Promise<{success: boolean, reward?: object, status?: number, noToken?: boolean}>}
+ */
+export async function createChannelReward(channelName, fields) {
+    return _asBroadcaster(channelName, 'create',
+        (broadcasterId, token) => createCustomReward(broadcasterId, token, fields));
+}
+
+/**
+ * Changes a reward this app created.
+ * @param {string} channelName
+ * @param {string} rewardId
+ * @param {object} fields - Helix request body fields to change.
+ * @returns {Promise<{success: boolean, reward?: object, status?: number, noToken?: boolean}>}
+ */
+export async function updateChannelReward(channelName, rewardId, fields) {
+    return _asBroadcaster(channelName, 'update',
+        (broadcasterId, token) => updateCustomReward(broadcasterId, rewardId, token, fields));
+}
+
+/**
+ * Deletes a reward this app created.
+ * @param {string} channelName
+ * @param {string} rewardId
+ * @returns {Promise<{success: boolean, status?: number, noToken?: boolean}>}
+ */
+export async function deleteChannelReward(channelName, rewardId) {
+    return _asBroadcaster(channelName, 'delete',
+        (broadcasterId, token) => deleteCustomReward(broadcasterId, rewardId, token));
+}
+
+/**
+ * Fulfils a redemption, or cancels it so Twitch refunds the viewer's points.
+ * @param {string} channelName
+ * @param {string} rewardId
+ * @param {string} redemptionId
+ * @param {boolean} fulfilled - False to refund.
+ * @returns {Promise<boolean>} True if Twitch accepted the change.
+ */
+export async function completeRedemption(channelName, rewardId, redemptionId, fulfilled) {
+    const result = await _asBroadcaster(channelName, fulfilled ? 'fulfil' : 'refund',
+        (broadcasterId, token) => updateRedemptionStatus(broadcasterId, rewardId, redemptionId,
+            fulfilled ? 'FULFILLED' : 'CANCELED', token));
+    return result.success;
+}
@@ -5,7 +5,15 @@
 import axios from 'axios';
 import config from '../../config/index.js';
 import logger from '../../lib/logger.js';
-import { getUsersByLogin, sendAnnouncement as helixSendAnnouncement } from './helixClient.js';
+import {
+    getUsersByLogin,
+    sendAnnouncement as helixSendAnnouncement,
+    deleteChatMessage,
+    banChatUser,
+    warnChatUser,
+    sendShoutout as helixSendShoutout,
+    getChatters,
+} from './helixClient.js';
 import { getAppAccessToken } from './auth.js';
 import { getBroadcasterAccessToken, clearCachedBroadcasterToken, clearAllCachedBroadcasterTokens } from './broadcasterTokenHelper.js';
 
@@ -15,6 +23,23 @@ let cachedBotUserId = null;
 // Cache for broadcaster IDs keyed by channel name (used by app-token fallback)
 const broadcasterIdCache = new Map();
 
+// When set, outbound chat is handed to this sink instead of Helix. The local
+// chat simulator (scripts/chat-simulator.js) uses it to capture bot output.
+let outboundSink = null;
+
+/**
+ * Routes every outbound message, announcement and moderation action to `sink`
+ * instead of Helix. The sink receives ({ type: 'message'|'announcement', channel,
+ * message, replyToId?, color? }) or ({ type: 'moderation', channel, action,
+ * userId?, messageId?, durationSeconds?, reason? }), and its return value
+ * (truthy = sent) is reported back to the caller. Shoutouts arrive as
+ * moderation entries with action 'shoutout'. Pass null to restore normal Helix delivery.
+ * @param {Function|null} sink
+ */
+export function setOutboundChatSink(sink) {
+    outboundSink = typeof sink === 'function' ? sink : null;
+}
+
 export function _resetCache() {
     cachedBotUserId = null;
     broadcasterIdCache.clear();
@@ -59,6 +84,10 @@ export async function sendMessage(channelName, message, options = {}) {
     // Clean channel name (remove # if present)
     const cleanChannelName = channelName.replace(/^#/, '').toLowerCase();
 
+    if (outboundSink) {
+        return !!(await outboundSink({ type: 'message', channel: cleanChannelName, message, replyToId: options.replyToId || null }));
+    }
+
     try {
         // Get App Access Token
         const appAccessToken = await getAppAccessToken();
@@ -180,6 +209,10 @@ export async function sendAnnouncement(channelName, message, color = 'primary')
 
     const cleanChannelName = channelName.replace(/^#/, '').toLowerCase();
 
+    if (outboundSink) {
+        return !!(await outboundSink({ type: 'announcement', channel: cleanChannelName, message, color }));
+    }
+
     try {
         // Primary path: broadcaster's own user access token
         const broadcasterAuth = await getBroadcasterAccessToken(cleanChannelName);
@@ -237,3 +270,128 @@ export async function sendAnnouncement(channelName, message, color = 'primary')
     }
 }
 
+/**
+ * Runs a Helix moderation call as the broadcaster. Moderation endpoints need a
+ * user token whose owner moderates the channel; unlike announcements there is
+ * no app-token fallback, so channels whose broadcaster has not granted the
+ * moderator:manage:* scopes cannot be moderated.
+ *
+ * @param {string} channelName
+ * @param {object} entry - Sink payload describing the action.
+ * @param {(broadcasterId: string, accessToken: string) => Promise<{success: boolean, status?: number}>} call
+ * @returns {Promise<boolean>}
+ */
+async function _runModerationAction(channelName, entry, call) {
+    const cleanChannelName = channelName.replace(/^#/, '').toLowerCase();
+
+    if (outboundSink) {
+        return !!(await outboundSink({ type: 'moderation', channel: cleanChannelName, ...entry }));
+    }
+
+    try {
+        const broadcasterAuth = await getBroadcasterAccessToken(cleanChannelName);
+        if (!broadcasterAuth) {
+            logger.warn({ channel: cleanChannelName, action: entry.action },
+                'No broadcaster token available; cannot perform moderation action');
+            return false;
+        }
+        const result = await call(broadcasterAuth.twitchUserId, broadcasterAuth.accessToken);
+        if (result.status === 401 || result.status === 403) {
+            clearCachedBroadcasterToken(cleanChannelName);
+        }
+        return result.success;
+    } catch (error) {
+        logger.error({ err: error.message, channel: cleanChannelName, action: entry.action },
+            'Error performing moderation action via Helix');
+        return false;
+    }
+}
+
+/**
+ * Deletes a chat message. Requires moderator:manage:chat_messages.
+ * @param {string} channelName
+ * @param {string} messageId
+ * @returns {Promise<boolean>}
+ */
+export async function deleteMessage(channelName, messageId) {
+    return _runModerationAction(channelName, { action: 'delete', messageId },
+        (broadcasterId, token) => deleteChatMessage(broadcasterId, broadcasterId, messageId, token));
+}
+
+/**
+ * Times a user out. Requires moderator:manage:banned_users.
+ * @param {string} channelName
+ * @param {string} userId
+ * @param {number} durationSeconds
+ * @param {string} [reason]
+ * @returns {Promise<boolean>}
+ */
+export async function timeoutUser(channelName, userId, durationSeconds, reason) {
+    return _runModerationAction(channelName, { action: 'timeout', userId, durationSeconds, reason },
+        (broadcasterId, token) => banChatUser(broadcasterId, broadcasterId, userId, token, { durationSeconds, reason }));
+}
+
+/**
+ * Permanently bans a user. Requires moderator:manage:banned_users.
+ * @param {string} channelName
+ * @param {string} userId
+ * @param {string} [reason]
+ * @returns {Promise<boolean>}
+ */
+export async function banUser(channelName, userId, reason) {
+    return _runModerationAction(channelName, { action: 'ban', userId, reason },
+        (broadcasterId, token) => banChatUser(broadcasterId, broadcasterId, userId, token, { reason }));
+}
+
+/**
+ * Issues a Twitch chat warning. Requires moderator:manage:warnings.
+ * @param {string} channelName
+ * @param {string} userId
+ * @param {string} reason
+ * @returns {Promise<boolean>}
+ */
+export async function warnUser(channelName, userId, reason) {
+    return _runModerationAction(channelName, { action: 'warn', userId, reason },
+        (broadcasterId, token) => warnChatUser(broadcasterId, broadcasterId, userId, reason, token));
+}
+
+/**
+ * Gives another channel a native Twitch shoutout. Requires
+ * moderator:manage:shoutouts; Twitch rejects it while the channel is offline
+ * or the shoutout is on cooldown.
+ * @param {string} channelName
+ * @param {string} targetUserId - Broadcaster ID of the channel being shouted out.
+ * @returns {Promise<boolean>}
+ */
+export async function sendShoutout(channelName, targetUserId) {
+    return _runModerationAction(channelName, { action: 'shoutout', userId: targetUserId },
+        (broadcasterId, token) => helixSendShoutout(broadcasterId, targetUserId, broadcasterId, token));
+}
+
+/**
+ * Lists the viewers connected to a channel's chat, lurkers included, using
+ * the broadcaster's token. Requires moderator:read:chatters.
+ * @param {string} channelName
+ * @returns {Promise<Array<{login: string, userId: string, displayName: string}>|null>}
+ *   null when the list couldn't be fetched (no token, missing scope, Helix error).
+ */
+export async function getChannelChatters(channelName) {
+    const cleanChannelName = channelName.replace(/^#/, '').toLowerCase();
+    try {
+        const broadcasterAuth = await getBroadcasterAccessToken(cleanChannelName);
+        if (!broadcasterAuth) return null;
+        const result = await getChatters(broadcasterAuth.twitchUserId, broadcasterAuth.twitchUserId, broadcasterAuth.accessToken);
+        if (result.status === 401 || result.status === 403) {
+            clearCachedBroadcasterToken(cleanChannelName);
+        }
+        if (!result.success) return null;
+        return result.chatters.map(chatter => ({
+            login: chatter.user_login,
+            userId: chatter.user_id,
+            displayName: chatter.user_name,
+        }));
+    } catch (error) {
+        logger.error({ err: error.message, channel: cleanChannelName }, 'Error fetching chatters via Helix');
+        return null;
+    }
+}
@@ -11,6 +11,9 @@ import LifecycleManager from '../../services/LifecycleManager.js';
 import { convertEventSubToTags } from './eventSubToTags.js';
 import { handleChatMessage } from '../../handlers/chatMessageHandler.js';
 import { handleCheckinRedemption } from '../../handlers/checkinHandler.js';
+import { handleRewardRedemption } from '../../handlers/rewardHandler.js';
+import { awardEventPoints } from '../points/pointsManager.js';
+import { lookupChannel, shoutOutRaider } from '../shoutouts/shoutoutManager.js';
 
 // --- Initialization Gate ---
 // During cold start, EventSub webhooks can arrive before components are initialized.
@@ -227,6 +230,10 @@ export async function eventSubHandler(req, res, rawBody) {
                 // Notify Lifecycle Manager for stream tracking and autochat
                 await lifecycle.onStreamStatusChange(login, true);
 
+                // Start a new stream session so per-stream command caps reset
+                const { startStreamSession } = await import('../../lib/distributedCache.js');
+                await startStreamSession(login);
+
                 // Inform AutoChatManager so it can greet once
                 try { notifyStreamOnline(login); } catch (e) { /* ignore */ }
             } catch (error) {
@@ -303,7 +310,7 @@ export async function eventSubHandler(req, res, rawBody) {
             }
         }
 
-        // --- Channel Points Redemption Handler (Daily Check-In) ---
+        // --- Channel Points Redemption Handler (reward actions, Daily Check-In) ---
         if (subscription.type === 'channel.channel_points_custom_reward_redemption.add') {
             try {
                 const channelLogin = event?.broadcaster_user_login?.toLowerCase();
@@ -319,9 +326,12 @@ export async function eventSubHandler(req, res, rawBody) {
                     return;
                 }
 
-                handleCheckinRedemption(event).catch(error => {
-                    logger.error({ err: error, event }, '[EventSub] Error handling Channel Points redemption');
-                });
+                // Rewards set up with !reward take precedence over the check-in reward
+                handleRewardRedemption(event)
+                    .then(handled => (handled ? undefined : handleCheckinRedemption(event)))
+                    .catch(error => {
+                        logger.error({ err: error, event }, '[EventSub] Error handling Channel Points redemption');
+                    });
             } catch (error) {
                 logger.error({ err: error, event }, '[EventSub] Error setting up Channel Points redemption handler');
             }
@@ -338,6 +348,10 @@ export async function eventSubHandler(req, res, rawBody) {
                 const broadcasterId = event?.broadcaster_user_id;
                 const allowed = await isEventAllowed(broadcasterId, channelName?.toLowerCase());
                 if (!allowed) return;
+                if (event?.user_login) {
+                    // Loyalty points never throw, so they don't hold up the celebration
+                    awardEventPoints(channelName, 'follow', { login: event.user_login, userId: event.user_id, displayName: event.user_name });
+                }
                 await notifyFollow(channelName.toLowerCase());
             } catch (error) {
                 logger.error({ err: error }, '[EventSub] Error handling channel.follow');
@@ -358,6 +372,9 @@ export async function eventSubHandler(req, res, rawBody) {
                     const broadcasterId = event?.broadcaster_user_id;
                     const allowed = await isEventAllowed(broadcasterId, channelName?.toLowerCase());
                     if (!allowed) return;
+                    if (event?.user_login) {
+                        awardEventPoints(channelName, 'sub', { login: event.user_login, userId: event.user_id, displayName: event.user_name });
+                    }
                     await notifySubscription(channelName.toLowerCase());
                 }
             } catch (error) {
@@ -385,6 +402,9 @@ export async function eventSubHandler(req, res, rawBody) {
                     gifterName: gifterName || 'Anonymous',
                     cumulativeTotal
                 }, '[EventSub] Gift sub bomb received');
+                if (!isAnonymous && event?.user_login) {
+                    awardEventPoints(channelName, 'giftSub', { login: event.user_login, userId: event.user_id, displayName: event.user_name }, total);
+                }
                 await notifyGiftSubs(channelName.toLowerCase(), total, gifterName, cumulativeTotal);
             } catch (error) {
                 logger.error({ err: error }, '[EventSub] Error handling channel.subscription.gift');
@@ -404,7 +424,13 @@ export async function eventSubHandler(req, res, rawBody) {
                 const toBroadcasterId = event?.to_broadcaster_user_id;
                 const allowed = await isEventAllowed(toBroadcasterId, toName?.toLowerCase());
                 if (!allowed) return;
-                await notifyRaid(toName.toLowerCase(), fromName, viewers, fromId);
+                if (event?.from_broadcaster_user_login) {
+                    awardEventPoints(toName, 'raid', { login: event.from_broadcaster_user_login, userId: fromId, displayName: fromName });
+                }
+                // One Helix lookup of the raider feeds both the welcome and the shoutout
+                const raider = await lookupChannel(fromId);
+                await notifyRaid(toName.toLowerCase(), fromName, viewers, fromId, raider);
+                await shoutOutRaider(toName.toLowerCase(), { userId: fromId, login: event?.from_broadcaster_user_login, ...raider });
             } catch (error) {
                 logger.error({ err: error }, '[EventSub] Error handling channel.raid');
             }
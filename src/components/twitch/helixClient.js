@@ -529,6 +529,358 @@ async function getModerators(broadcasterId, userAccessToken, clientId) {
     return allModerators;
 }
 
+/**
+ * Lists everyone connected to a channel's chat, including viewers who never
+ * talk. Requires the moderator:read:chatters scope. Paginates to collect the
+ * whole list.
+ *
+ * @param {string} broadcasterId - The channel whose chatters to list.
+ * @param {string} moderatorId - The ID of the user whose token is provided (mod or broadcaster).
+ * @param {string} accessToken - User access token of the moderator.
+ * @returns {Promise<{success: boolean, status?: number, chatters?: Array<{user_id: string, user_login: string, user_name: string}>}>}
+ */
+async function getChatters(broadcasterId, moderatorId, accessToken) {
+    if (!broadcasterId || !moderatorId || !accessToken) {
+        logger.warn({ broadcasterId, moderatorId, hasToken: !!accessToken }, 'getChatters called with missing params');
+        return { success: false };
+    }
+
+    const chatters = [];
+    let cursor = null;
+    try {
+        do {
+            const params = { broadcaster_id: broadcasterId, moderator_id: moderatorId, first: '1000' };
+            if (cursor) params.after = cursor;
+
+            const response = await retryWithBackoff(async () => {
+                return await axios.get(`${TWITCH_HELIX_URL}/chat/chatters`, {
+                    params,
+                    headers: {
+                        Authorization: `Bearer ${accessToken}`,
+                        'Client-ID': config.twitch.clientId,
+                    },
+                    timeout: 15000,
+                });
+            }, 2, 1000);
+
+            const data = response.data?.data || [];
+            if (data.length === 0) break;
+            chatters.push(...data);
+            cursor = response.data?.pagination?.cursor ?? null;
+        } while (cursor);
+    } catch (error) {
+        const status = error.response?.status;
+        logger.error({
+            err: { message: error.message, code: error.code, status, details: error.response?.data?.message },
+            broadcasterId,
+        }, 'Failed to get chatters');
+        return { success: false, status };
+    }
+
+    logger.debug({ broadcasterId, chatterCount: chatters.length }, 'Fetched chatter list');
+    return { success: true, chatters };
+}
+
+
+/**
+ * Shared request path for the moderation endpoints. They all take
+ * broadcaster_id/moderator_id as query params and a user access token whose
+ * owner is the moderator, and report failures as { success: false, status }.
+ */
+async function _moderationRequest(method, path, { broadcasterId, moderatorId, accessToken, params = {}, body }, logContext) {
+    try {
+        await retryWithBackoff(async () => {
+            return await axios.request({
+                method,
+                url: `${TWITCH_HELIX_URL}${path}`,
+                params: { broadcaster_id: broadcasterId, moderator_id: moderatorId, ...params },
+                data: body,
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Client-ID': config.twitch.clientId,
+                    'Content-Type': 'application/json',
+                },
+                timeout: 15000,
+            });
+        }, 2, 1000);
+        logger.info({ broadcasterId, moderatorId, ...logContext }, `Helix moderation request succeeded: ${method.toUpperCase()} ${path}`);
+        return { success: true };
+    } catch (error) {
+        const status = error.response?.status;
+        logger.error({
+            err: { message: error.message, code: error.code, status, details: error.response?.data?.message },
+            broadcasterId,
+            moderatorId,
+            ...logContext,
+        }, `Helix moderation request failed: ${method.toUpperCase()} ${path}`);
+        return { success: false, status };
+    }
+}
+
+/**
+ * Deletes a single chat message.
+ * Requires the moderator:manage:chat_messages scope.
+ *
+ * @param {string} broadcasterId - The broadcaster's user ID.
+ * @param {string} moderatorId - The ID of the user whose token is provided (mod or broadcaster).
+ * @param {string} messageId - ID of the message to delete.
+ * @param {string} accessToken - User access token of the moderator.
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function deleteChatMessage(broadcasterId, moderatorId, messageId, accessToken) {
+    if (!broadcasterId || !moderatorId || !messageId || !accessToken) {
+        logger.warn({ broadcasterId, moderatorId, messageId, hasToken: !!accessToken }, 'deleteChatMessage called with missing params');
+        return { success: false };
+    }
+    return _moderationRequest('delete', '/moderation/chat', {
+        broadcasterId, moderatorId, accessToken, params: { message_id: messageId },
+    }, { messageId });
+}
+
+/**
+ * Bans a user, or times them out when durationSeconds is given (1–1209600).
+ * Requires the moderator:manage:banned_users scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} moderatorId
+ * @param {string} userId - The user to ban or time out.
+ * @param {string} accessToken
+ * @param {object} [options]
+ * @param {number} [options.durationSeconds] - Omit for a permanent ban.
+ * @param {string} [options.reason]
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function banChatUser(broadcasterId, moderatorId, userId, accessToken, { durationSeconds, reason } = {}) {
+    if (!broadcasterId || !moderatorId || !userId || !accessToken) {
+        logger.warn({ broadcasterId, moderatorId, userId, hasToken: !!accessToken }, 'banChatUser called with missing params');
+        return { success: false };
+    }
+    const data = { user_id: userId };
+    if (durationSeconds) data.duration = Math.min(1209600, Math.max(1, Math.round(durationSeconds)));
+    if (reason) data.reason = reason.slice(0, 500);
+    return _moderationRequest('post', '/moderation/bans', {
+        broadcasterId, moderatorId, accessToken, body: { data },
+    }, { userId, durationSeconds: data.duration || null });
+}
+
+/**
+ * Sends a user a warning they must acknowledge before chatting again.
+ * Requires the moderator:manage:warnings scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} moderatorId
+ * @param {string} userId - The user to warn.
+ * @param {string} reason - Shown to the user (max 500 characters).
+ * @param {string} accessToken
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function warnChatUser(broadcasterId, moderatorId, userId, reason, accessToken) {
+    if (!broadcasterId || !moderatorId || !userId || !reason || !accessToken) {
+        logger.warn({ broadcasterId, moderatorId, userId, hasToken: !!accessToken }, 'warnChatUser called with missing params');
+        return { success: false };
+    }
+    return _moderationRequest('post', '/moderation/warnings', {
+        broadcasterId, moderatorId, accessToken, body: { data: { user_id: userId, reason: reason.slice(0, 500) } },
+    }, { userId });
+}
+
+/**
+ * Sends a native Twitch shoutout, which shows a follow card for the target
+ * channel in chat. Requires the moderator:manage:shoutouts scope.
+ *
+ * Twitch only accepts shoutouts while the broadcaster is live, at most one
+ * every 2 minutes per channel and one per target every 60 minutes; it answers
+ * 400 or 429 otherwise. These aren't retried.
+ *
+ * @param {string} fromBroadcasterId - The channel giving the shoutout.
+ * @param {string} toBroadcasterId - The channel being shouted out.
+ * @param {string} moderatorId - The ID of the user whose token is provided (mod or broadcaster).
+ * @param {string} accessToken - User access token of the moderator.
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function sendShoutout(fromBroadcasterId, toBroadcasterId, moderatorId, accessToken) {
+    if (!fromBroadcasterId || !toBroadcasterId || !moderatorId || !accessToken) {
+        logger.warn({ fromBroadcasterId, toBroadcasterId, moderatorId, hasToken: !!accessToken }, 'sendShoutout called with missing params');
+        return { success: false };
+    }
+
+    try {
+        await retryWithBackoff(async () => {
+            return await axios.post(`${TWITCH_HELIX_URL}/chat/shoutouts`, null, {
+                params: {
+                    from_broadcaster_id: fromBroadcasterId,
+                    to_broadcaster_id: toBroadcasterId,
+                    moderator_id: moderatorId,
+                },
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Client-ID': config.twitch.clientId,
+                },
+                timeout: 15000,
+            });
+        }, 2, 1000);
+        logger.info({ fromBroadcasterId, toBroadcasterId }, 'Successfully sent shoutout');
+        return { success: true };
+    } catch (error) {
+        const status = error.response?.status;
+        const logData = {
+            err: { message: error.message, code: error.code, status, details: error.response?.data?.message },
+            fromBroadcasterId,
+            toBroadcasterId,
+        };
+        if (status === 400 || status === 429) {
+            logger.warn(logData, 'Shoutout rejected by Twitch (offline or on cooldown)');
+        } else {
+            logger.error(logData, 'Failed to send shoutout');
+        }
+        return { success: false, status };
+    }
+}
+
+/**
+ * Shared request path for the Channel Points endpoints, called with the
+ * broadcaster's user token. Creating a reward is not retried: a timed-out
+ * POST may still have created it, and a retry would add a duplicate.
+ *
+ * @returns {Promise<{success: boolean, status?: number, data?: object[]}>}
+ */
+async function _channelPointsRequest(method, path, { broadcasterId, accessToken, params = {}, body }, logContext) {
+    try {
+        const response = await retryWithBackoff(async () => {
+            return await axios.request({
+                method,
+                url: `${TWITCH_HELIX_URL}${path}`,
+                params: { broadcaster_id: broadcasterId, ...params },
+                data: body,
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Client-ID': config.twitch.clientId,
+                    'Content-Type': 'application/json',
+                },
+                timeout: 15000,
+            });
+        }, method === 'post' ? 0 : 2, 1000);
+        logger.info({ broadcasterId, ...logContext }, `Helix channel points request succeeded: ${method.toUpperCase()} ${path}`);
+        return { success: true, data: response?.data?.data || [] };
+    } catch (error) {
+        const status = error.response?.status;
+        logger.error({
+            err: { message: error.message, code: error.code, status, details: error.response?.data?.message },
+            broadcasterId,
+            ...logContext,
+        }, `Helix channel points request failed: ${method.toUpperCase()} ${path}`);
+        return { success: false, status };
+    }
+}
+
+/**
+ * Lists a channel's custom Channel Points rewards.
+ * Requires the channel:read:redemptions or channel:manage:redemptions scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} accessToken - The broadcaster's user access token.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyManageable=false] - Only rewards created by this app's client ID.
+ * @returns {Promise<{success: boolean, status?: number, rewards?: object[]}>}
+ */
+async function getCustomRewards(broadcasterId, accessToken, { onlyManageable = false } = {}) {
+    if (!broadcasterId || !accessToken) {
+        logger.warn({ broadcasterId, hasToken: !!accessToken }, 'getCustomRewards called with missing params');
+        return { success: false };
+    }
+    const result = await _channelPointsRequest('get', '/channel_points/custom_rewards', {
+        broadcasterId, accessToken, params: onlyManageable ? { only_manageable_rewards: true } : {},
+    }, { onlyManageable });
+    return result.success ? { success: true, rewards: result.data } : result;
+}
+
+/**
+ * Creates a custom Channel Points reward owned by this app, so its
+ * redemptions can later be fulfilled or refunded.
+ * Requires the channel:manage:redemptions scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} accessToken - The broadcaster's user access token.
+ * @param {object} fields - Request body fields as Twitch names them: title,
+ *   cost, prompt, is_user_input_required, is_global_cooldown_enabled,
+ *   global_cooldown_seconds, should_redemptions_skip_request_queue, ...
+ * @returns {Promise<{success: boolean, status?: number, reward?: object}>}
+ */
+async function createCustomReward(broadcasterId, accessToken, fields) {
+    if (!broadcasterId || !accessToken || !fields?.title || !fields?.cost) {
+        logger.warn({ broadcasterId, hasToken: !!accessToken, title: fields?.title }, 'createCustomReward called with missing params');
+        return { success: false };
+    }
+    const result = await _channelPointsRequest('post', '/channel_points/custom_rewards', {
+        broadcasterId, accessToken, body: fields,
+    }, { title: fields.title });
+    return result.success ? { success: true, reward: result.data[0] || null } : result;
+}
+
+/**
+ * Changes a custom reward this app created. Only the given fields change.
+ * Requires the channel:manage:redemptions scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} rewardId
+ * @param {string} accessToken - The broadcaster's user access token.
+ * @param {object} fields - Request body fields as Twitch names them (is_enabled, is_paused, cost, ...).
+ * @returns {Promise<{success: boolean, status?: number, reward?: object}>}
+ */
+async function updateCustomReward(broadcasterId, rewardId, accessToken, fields) {
+    if (!broadcasterId || !rewardId || !accessToken) {
+        logger.warn({ broadcasterId, rewardId, hasToken: !!accessToken }, 'updateCustomReward called with missing params');
+        return { success: false };
+    }
+    const result = await _channelPointsRequest('patch', '/channel_points/custom_rewards', {
+        broadcasterId, accessToken, params: { id: rewardId }, body: fields,
+    }, { rewardId, fields: Object.keys(fields || {}) });
+    return result.success ? { success: true, reward: result.data[0] || null } : result;
+}
+
+/**
+ * Deletes a custom reward this app created. Twitch refunds any of its
+ * redemptions still waiting in the request queue.
+ * Requires the channel:manage:redemptions scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} rewardId
+ * @param {string} accessToken - The broadcaster's user access token.
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function deleteCustomReward(broadcasterId, rewardId, accessToken) {
+    if (!broadcasterId || !rewardId || !accessToken) {
+        logger.warn({ broadcasterId, rewardId, hasToken: !!accessToken }, 'deleteCustomReward called with missing params');
+        return { success: false };
+    }
+    const { success, status } = await _channelPointsRequest('delete', '/channel_points/custom_rewards', {
+        broadcasterId, accessToken, params: { id: rewardId },
+    }, { rewardId });
+    return { success, status };
+}
+
+/**
+ * Marks a redemption fulfilled, or cancels it to refund the viewer's points.
+ * Only works for rewards this app created, and only while the redemption is
+ * still unfulfilled. Requires the channel:manage:redemptions scope.
+ *
+ * @param {string} broadcasterId
+ * @param {string} rewardId
+ * @param {string} redemptionId
+ * @param {'FULFILLED'|'CANCELED'} status
+ * @param {string} accessToken - The broadcaster's user access token.
+ * @returns {Promise<{success: boolean, status?: number}>}
+ */
+async function updateRedemptionStatus(broadcasterId, rewardId, redemptionId, status, accessToken) {
+    if (!broadcasterId || !rewardId || !redemptionId || !accessToken || !['FULFILLED', 'CANCELED'].includes(status)) {
+        logger.warn({ broadcasterId, rewardId, redemptionId, status, hasToken: !!accessToken }, 'updateRedemptionStatus called with missing params');
+        return { success: false };
+    }
+    const result = await _channelPointsRequest('patch', '/channel_points/custom_rewards/redemptions', {
+        broadcasterId, accessToken, params: { reward_id: rewardId, id: redemptionId }, body: { status },
+    }, { rewardId, redemptionId, redemptionStatus: status });
+    return { success: result.success, status: result.status };
+}
 
 // Export initializer, getter, and specific API call functions
 export {
@@ -541,6 +893,16 @@ export {
     getSharedChatSession,
     sendAnnouncement,
     getModerators,
+    getChatters,
+    deleteChatMessage,
+    banChatUser,
+    warnChatUser,
+    sendShoutout,
+    getCustomRewards,
+    createCustomReward,
+    updateCustomReward,
+    deleteCustomReward,
+    updateRedemptionStatus,
 };
 
 // Helper: get follower relationship with broadcaster user token
@@ -0,0 +1,48 @@
+// src/config/base.js
+
+/**
+ * Loads .env and reads the settings that need no credentials: logging and
+ * the storage backend. loader.js builds the full config on top of these.
+ * The logger and the Firestore client read them from here, so storage-only
+ * tools (scripts/import-commands.js, scripts/export-commands.js) run without
+ * the Twitch and LLM keys that loader.js requires.
+ */
+import dotenv from 'dotenv';
+import path from 'path';
+import fs from 'fs'; // Import fs to check if file exists
+
+// Assume the process runs from the project root (where package.json is)
+const projectRoot = process.cwd();
+const envPath = path.resolve(projectRoot, '.env');
+
+// Check if the .env file actually exists at that path before trying to load it
+// Absent (CI, Cloud Run), the process relies on system environment variables.
+if (fs.existsSync(envPath)) {
+    console.log(`[ConfigLoader] Loading .env file from: ${envPath}`); // Optional: for debugging
+    dotenv.config({ path: envPath });
+}
+
+/**
+ * Logging settings (config.app.logLevel, prettyLog and nodeEnv).
+ * @returns {{logLevel: string, prettyLog: boolean, nodeEnv: string}}
+ */
+export function loadLoggingConfig() {
+    return {
+        logLevel: process.env.LOG_LEVEL || 'info',
+        prettyLog: process.env.PINO_PRETTY_LOGGING === 'true',
+        nodeEnv: process.env.NODE_ENV || 'development',
+    };
+}
+
+/**
+ * Storage backend settings (config.storage). 'firestore' in production;
+ * 'local' (JSON file) or 'memory' run the bot and end-to-end tests without
+ * a GCP project.
+ * @returns {{backend: string, localPath: string}}
+ */
+export function loadStorageConfig() {
+    return {
+        backend: (process.env.STORAGE_BACKEND || 'firestore').toLowerCase(),
+        localPath: process.env.LOCAL_STORAGE_PATH || path.resolve(projectRoot, '.data', 'local-firestore.json'),
+    };
+}
@@ -1,16 +1,22 @@
-import dotenv from 'dotenv';
-import path from 'path';
-import fs from 'fs'; // Import fs to check if file exists
-
-// Assume the process runs from the project root (where package.json is)
-const projectRoot = process.cwd();
-const envPath = path.resolve(projectRoot, '.env');
-
-// Check if the .env file actually exists at that path before trying to load it
-// Absent (CI, Cloud Run), the process relies on system environment variables.
-if (fs.existsSync(envPath)) {
-    console.log(`[ConfigLoader] Loading .env file from: ${envPath}`); // Optional: for debugging
-    dotenv.config({ path: envPath });
+import fs from 'fs';
+// Loads .env before anything below reads process.env
+import { loadLoggingConfig, loadStorageConfig } from './base.js';
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseJsonEnv(name, fallback) {
+    const raw = process.env[name];
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (_) {
+        console.warn(`Invalid JSON in ${name}. Ignoring it.`);
+        return fallback;
+    }
 }
 
 /**
@@ -19,13 +25,23 @@ if (fs.existsSync(envPath)) {
 function loadConfig() {
     const provider = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
 
+    // Which registered LLM provider serves each task (see providerRegistry.js).
+    const llmTasks = {
+        main: (process.env.LLM_MAIN_PROVIDER || 'openai').toLowerCase(),
+        lite: (process.env.LLM_LITE_PROVIDER || 'gemini').toLowerCase(),
+        vision: (process.env.LLM_VISION_PROVIDER || 'gemini').toLowerCase(),
+    };
+    const usedLlmProviders = new Set(Object.values(llmTasks));
+
     const requiredEnvVars = [
         'TWITCH_BOT_USERNAME',
         'TWITCH_CLIENT_ID',
         'TWITCH_CLIENT_SECRET',
-        'GEMINI_API_KEY',
-        'OPENAI_API_KEY',
     ];
+    // API keys are only required for providers a task actually uses.
+    if (usedLlmProviders.has('gemini')) requiredEnvVars.push('GEMINI_API_KEY');
+    if (usedLlmProviders.has('openai')) requiredEnvVars.push('OPENAI_API_KEY');
+    if (usedLlmProviders.has('openai-compatible')) requiredEnvVars.push('OPENAI_COMPAT_BASE_URL', 'OPENAI_COMPAT_MODEL_ID');
 
 
     const missingEnvVars = requiredEnvVars.filter(key => !(key in process.env) || process.env[key] === '');
@@ -43,6 +59,7 @@ function loadConfig() {
         // LLM Engine Selection
         llm: {
             provider,
+            tasks: llmTasks,
         },
 
         // OpenAI API
@@ -54,6 +71,23 @@ function loadConfig() {
             liteReasoningEffort: process.env.OPENAI_LITE_REASONING_EFFORT || 'minimal',
         },
 
+        // Any OpenAI Chat Completions-compatible server (llama.cpp, Ollama, vLLM...)
+        openaiCompatible: {
+            baseUrl: process.env.OPENAI_COMPAT_BASE_URL || null,
+            apiKey: process.env.OPENAI_COMPAT_API_KEY || null,
+            modelId: process.env.OPENAI_COMPAT_MODEL_ID || null,
+            liteModelId: process.env.OPENAI_COMPAT_LITE_MODEL_ID || null,
+            visionModelId: process.env.OPENAI_COMPAT_VISION_MODEL_ID || null,
+        },
+
+        // LLM usage accounting. monthlyBudgetUsd is the default per-channel
+        // allowance (null = unlimited); pricing maps model-id prefixes to USD
+        // per million tokens, e.g. {"gpt-5":{"input":1.25,"output":10}}.
+        llmUsage: {
+            monthlyBudgetUsd: parseOptionalNumber(process.env.LLM_MONTHLY_BUDGET_USD),
+            pricing: parseJsonEnv('LLM_PRICING_JSON', {}),
+        },
+
         // Twitch Bot Account
         twitch: {
             username: process.env.TWITCH_BOT_USERNAME,
@@ -76,12 +110,14 @@ function loadConfig() {
         // Application Behavior
         app: {
             streamInfoFetchIntervalMs: (parseInt(process.env.STREAM_INFO_FETCH_INTERVAL_SECONDS, 10) || 120) * 1000,
-            logLevel: process.env.LOG_LEVEL || 'info',
-            prettyLog: process.env.PINO_PRETTY_LOGGING === 'true',
-            nodeEnv: process.env.NODE_ENV || 'development',
+            ...loadLoggingConfig(),
         },
 
 
+        // Storage backend. 'firestore' in production; 'local' (JSON file) or
+        // 'memory' run the bot and end-to-end tests without a GCP project.
+        storage: loadStorageConfig(),
+
         // Web UI Configuration (for ad schedule polling)
         webui: {
             baseUrl: process.env.WEBUI_BASE_URL || 'https://us-central1-streamsage-bot.cloudfunctions.net',
@@ -20,6 +20,10 @@ import {
     processGameGuesses
 } from './messageHandlers.js';
 import { isPrivilegedUser } from '../lib/permissions.js';
+import { moderateMessage } from '../components/moderation/moderationManager.js';
+import { handleTriggers } from '../components/triggers/triggerManager.js';
+import { withLlmUsageContext } from '../components/llm/llmUsage.js';
+import { MENTION_SOURCE, TRANSLATION_SOURCE, GAME_GUESS_SOURCE } from '../components/llm/inferenceHistoryStorage.js';
 
 /**
  * Handle a chat message from any source (EventSub or IRC).
@@ -59,6 +63,15 @@ export async function handleChatMessage(channel, tags, message) {
         return;
     }
 
+    // Moderation runs first: a removed message must not reach context, commands or the AI.
+    try {
+        if (await moderateMessage(cleanChannel, tags, message)) {
+            return;
+        }
+    } catch (modErr) {
+        logger.error({ err: modErr, channel: cleanChannel }, '[ChatHandler] Error during moderation. Continuing with message.');
+    }
+
     const contextManager = getContextManager();
     const geoManager = getGeoGameManager();
     const triviaManager = getTriviaGameManager();
@@ -107,8 +120,10 @@ export async function handleChatMessage(channel, tags, message) {
         logger.error({ err, channel: cleanChannel, user: lowerUsername }, 'Error adding message to context');
     });
 
-    // Record chat activity (feeds auto-chat lull detection and timer gating)
-    try { recordChatMessage(cleanChannel, Date.now()); } catch (e) { /* ignore */ }
+    // Record chat activity (feeds auto-chat lull detection, timer gating and loyalty points)
+    try {
+        recordChatMessage(cleanChannel, Date.now(), { login: lowerUsername, userId: tags['user-id'], displayName });
+    } catch (e) { /* ignore */ }
 
     // 2. Process commands
     let wasTranslateCommand = message.trim().toLowerCase().startsWith('!translate ');
@@ -135,9 +150,16 @@ export async function handleChatMessage(channel, tags, message) {
         }, 'Error caught directly from processCommand call');
     });
 
+    // --- Keyword Triggers ---
+    if (!message.startsWith('!')) {
+        handleTriggers(cleanChannel, tags, message).catch(err => {
+            logger.error({ err, channel: cleanChannel, user: lowerUsername }, 'Error handling keyword triggers');
+        });
+    }
+
     // --- Check for Game Guesses/Answers ---
     if (!message.startsWith('!') && !wasStopRequest) {
-        processGameGuesses({
+        withLlmUsageContext({ channel: cleanChannel, source: GAME_GUESS_SOURCE }, () => processGameGuesses({
             message,
             cleanChannel,
             lowerUsername,
@@ -145,7 +167,7 @@ export async function handleChatMessage(channel, tags, message) {
             geoManager,
             triviaManager,
             riddleManager
-        });
+        }));
     }
 
     // --- Automatic Translation Logic ---
@@ -153,7 +175,7 @@ export async function handleChatMessage(channel, tags, message) {
     // The result is deliberately discarded: the mention/reply check below does not
     // gate on whether the message was translated, so @mentions and replies to the
     // bot still get an AI response while translation is active.
-    await handleAutoTranslation({
+    await withLlmUsageContext({ channel: cleanChannel, source: TRANSLATION_SOURCE }, () => handleAutoTranslation({
         message,
         cleanChannel,
         lowerUsername,
@@ -161,17 +183,17 @@ export async function handleChatMessage(channel, tags, message) {
         tags,
         userState,
         wasTranslateCommand
-    });
+    }));
 
     // --- Mention or Reply-to-Bot Check ---
     if (!wasTranslateCommand && !wasGeoCommand && !wasTriviaCommand && !wasRiddleCommand && !wasStopRequest) {
-        await handleBotMention({
+        await withLlmUsageContext({ channel: cleanChannel, source: MENTION_SOURCE }, () => handleBotMention({
             message,
             cleanChannel,
             lowerUsername,
             displayName,
             channel,
             tags
-        });
+        }));
     }
 }
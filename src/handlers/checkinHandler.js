@@ -3,7 +3,13 @@
 
 import logger from '../lib/logger.js';
 import { enqueueMessage } from '../lib/ircSender.js';
-import { getCheckinConfig, recordCheckin } from '../components/customCommands/checkinStorage.js';
+import {
+    getCheckinConfig,
+    getCheckinPeriod,
+    getCheckinRank,
+    recordCheckin,
+    DEFAULT_CHECKIN_MILESTONES,
+} from '../components/customCommands/checkinStorage.js';
 import { parseVariables } from '../components/customCommands/variableParser.js';
 import { resolvePrompt } from '../components/customCommands/promptResolver.js';
 import { getContextManager } from '../components/context/contextManager.js';
@@ -11,6 +17,8 @@ import { buildContextPrompt } from '../components/llm/gemini/prompts.js';
 import { CHECKIN_SOURCE } from '../components/llm/inferenceHistoryStorage.js';
 import { pronounService } from '../lib/pronounService.js';
 
+const DEFAULT_MILESTONE_TEMPLATE = '$(user) just reached $(checkin_count) check-ins! PogChamp';
+
 /**
  * Handle a Channel Points redemption event for the Daily Check-In feature.
  * Called from eventsub.js when a channel.channel_points_custom_reward_redemption.add event fires.
@@ -43,8 +51,10 @@ export async function handleCheckinRedemption(event) {
         return;
     }
 
-    // Record the check-in
-    const { count, isNew } = await recordCheckin(channelLogin, userId, userName);
+    // Record the check-in and extend the viewer's streak
+    const period = await getCheckinPeriod(channelLogin, config.streakMode);
+    const { count, isNew, streak } = await recordCheckin(channelLogin, userId, userName, period);
+    const rank = count > 0 ? await getCheckinRank(channelLogin, count) : null;
 
     logger.info({
         channel: channelLogin,
@@ -52,6 +62,8 @@ export async function handleCheckinRedemption(event) {
         userId,
         count,
         isNew,
+        streak,
+        rank,
     }, '[CheckinHandler] Check-in recorded');
 
     // Fetch user pronouns (fire and forget / non-blocking if slow)
@@ -64,10 +76,13 @@ export async function handleCheckinRedemption(event) {
     const channel = `#${channelLogin}`;
     const context = {
         user: userName,
+        username: userLogin,
         channel: channelLogin,
         args: [],
         useCount: count,
         checkinCount: count,
+        checkinStreak: streak,
+        checkinRank: rank,
         userPronouns,
     };
 
@@ -136,4 +151,14 @@ export async function handleCheckinRedemption(event) {
 
     // Send the message
     await enqueueMessage(channel, responseMessage);
+
+    // Celebrate milestone counts after the regular response
+    const milestones = Array.isArray(config.milestones) ? config.milestones : DEFAULT_CHECKIN_MILESTONES;
+    if (milestones.includes(count)) {
+        const milestoneMessage = await parseVariables(config.milestoneTemplate || DEFAULT_MILESTONE_TEMPLATE, context);
+        if (milestoneMessage) {
+            await enqueueMessage(channel, milestoneMessage);
+            logger.info({ channel: channelLogin, user: userName, count }, '[CheckinHandler] Check-in milestone reached');
+        }
+    }
 }
@@ -0,0 +1,83 @@
+// src/handlers/rewardHandler.js
+// Runs the action mapped to a redeemed Channel Points reward, then fulfils the
+// redemption or refunds it depending on whether the action worked.
+
+import logger from '../lib/logger.js';
+import { enqueueMessage } from '../lib/ircSender.js';
+import { getRewardByTwitchId, recordRewardUse } from '../components/rewards/rewardStorage.js';
+import { runRewardAction } from '../components/rewards/rewardActions.js';
+import { completeRedemption } from '../components/twitch/channelPoints.js';
+import { withLlmUsageContext } from '../components/llm/llmUsage.js';
+import { rewardSource } from '../components/llm/inferenceHistoryStorage.js';
+
+/**
+ * Handle a Channel Points redemption for a reward set up with !reward.
+ * Called from eventsub.js before the Daily Check-In handler.
+ *
+ * Only rewards the bot created ("managed") can have their redemptions
+ * fulfilled or refunded; Twitch rejects status changes for any other reward,
+ * and for redemptions that skipped the request queue.
+ *
+ * @param {object} event - The EventSub redemption event payload.
+ * @returns {Promise<boolean>} True if the reward has an action here (whether
+ *   or not it succeeded), false to let other handlers look at it.
+ */
+export async function handleRewardRedemption(event) {
+    const channelLogin = (event?.broadcaster_user_login || event?.broadcaster_user_name)?.toLowerCase();
+    const rewardId = event?.reward?.id;
+    const userLogin = (event?.user_login || event?.user_name || '').toLowerCase();
+    const userName = event?.user_name || event?.user_login || 'Viewer';
+
+    if (!channelLogin || !rewardId || !event?.user_id) {
+        logger.debug({ channelLogin, rewardId, userId: event?.user_id },
+            '[RewardHandler] Missing required fields in redemption event');
+        return false;
+    }
+
+    let reward;
+    try {
+        reward = await getRewardByTwitchId(channelLogin, rewardId);
+    } catch (error) {
+        logger.error({ err: error, channel: channelLogin, rewardId }, '[RewardHandler] Could not look up reward');
+        return false;
+    }
+    if (!reward) return false;
+
+    if (reward.enabled === false) {
+        logger.debug({ channel: channelLogin, reward: reward.name }, '[RewardHandler] Reward action is disabled');
+        return true;
+    }
+
+    const redemption = {
+        channelName: channelLogin,
+        rewardName: reward.name,
+        userLogin,
+        userName,
+        input: (event.user_input || '').trim(),
+        useCount: (reward.useCount || 0) + 1,
+    };
+    const result = await withLlmUsageContext({ channel: channelLogin, source: rewardSource(reward.name) },
+        () => runRewardAction(redemption, reward.action));
+    recordRewardUse(channelLogin, reward.name, result.success);
+
+    let settled = false;
+    if (reward.managed && event.status === 'unfulfilled' && event.id) {
+        settled = await completeRedemption(channelLogin, rewardId, event.id, result.success);
+    }
+
+    logger.info({
+        channel: channelLogin,
+        reward: reward.name,
+        type: reward.action?.type,
+        user: userLogin,
+        success: result.success,
+        settled,
+    }, '[RewardHandler] Handled reward redemption');
+
+    if (!result.success) {
+        const reason = result.error || `"${reward.title}" didn't work this time.`;
+        const refund = settled ? ' Your points have been refunded.' : '';
+        await enqueueMessage(`#${channelLogin}`, `@${userName} ${reason}${refund}`);
+    }
+    return true;
+}
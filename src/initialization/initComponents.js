@@ -8,6 +8,8 @@ import { initializeAutoChatStorage } from '../components/context/autoChatStorage
 import { initializePersonaStorage, loadAllChannelPersonas, publishBotDefaults } from '../components/context/personaStorage.js';
 import { BOT_CORE_INSTRUCTION, DEFAULT_BOT_PERSONA } from '../components/llm/gemini/prompts.js';
 import { initializeCommandStateManager } from '../components/context/commandStateManager.js';
+import { initializeModerationManager } from '../components/moderation/moderationManager.js';
+import { initializeTriggerManager } from '../components/triggers/triggerManager.js';
 import { initializeCustomCommandsStorage } from '../components/customCommands/customCommandsStorage.js';
 import { initializeConversationStorage } from '../components/llm/conversationStorage.js';
 import { initializeLlmClient } from '../components/llm/geminiClient.js';
@@ -101,6 +103,12 @@ export async function initializeStorageComponents() {
     logger.info('Initializing Command State Manager...');
     await initializeCommandStateManager();
 
+    logger.info('Initializing Moderation Manager...');
+    await initializeModerationManager();
+
+    logger.info('Initializing Trigger Manager...');
+    await initializeTriggerManager();
+
     logger.info('Initializing Custom Commands Storage...');
     await initializeCustomCommandsStorage();
 
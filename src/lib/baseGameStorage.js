@@ -97,24 +97,26 @@ export class BaseGameStorage {
      * Atomically increments a player's score using canonical field names:
      *   globalSuccesses, globalPoints, globalParticipation, lastSuccessTimestamp
      *   channels.<ch>.successes, .points, .participation, .lastSuccessTimestamp
+     * Any points count as a success unless `options.success` is false, e.g.
+     * for partial credit.
      */
-    async updatePlayerScore(username, channelName, points = 1, displayName = null) {
+    async updatePlayerScore(username, channelName, points = 1, displayName = null, { success = points > 0 } = {}) {
         const lowerUsername = username.toLowerCase();
         const lowerChannel = channelName.toLowerCase();
         const docRef = this._getDb().collection(this.statsCollection).doc(lowerUsername);
 
         try {
             const updateData = {
-                globalSuccesses: FieldValue.increment(points > 0 ? 1 : 0),
+                globalSuccesses: FieldValue.increment(success ? 1 : 0),
                 globalPoints: FieldValue.increment(points),
                 globalParticipation: FieldValue.increment(1),
-                ...(points > 0 && { lastSuccessTimestamp: FieldValue.serverTimestamp() }),
+                ...(success && { lastSuccessTimestamp: FieldValue.serverTimestamp() }),
                 channels: {
                     [lowerChannel]: {
-                        successes: FieldValue.increment(points > 0 ? 1 : 0),
+                        successes: FieldValue.increment(success ? 1 : 0),
                         points: FieldValue.increment(points),
                         participation: FieldValue.increment(1),
-                        ...(points > 0 && { lastSuccessTimestamp: FieldValue.serverTimestamp() })
+                        ...(success && { lastSuccessTimestamp: FieldValue.serverTimestamp() })
                     }
                 }
             };
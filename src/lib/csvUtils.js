@@ -0,0 +1,50 @@
+// src/lib/csvUtils.js
+
+/**
+ * Minimal RFC 4180 reader for spreadsheets saved as CSV. The first non-empty
+ * row is the header; header names are lowercased with spaces and punctuation
+ * removed.
+ * @param {string} text
+ * @returns {Array<Object<string, string>>} One object per row, keyed by header.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+    if (!header) return [];
+    const keys = header.map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
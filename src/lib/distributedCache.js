@@ -67,3 +67,114 @@ export async function isDuplicateEvent(key, timestamp, ttlMs = TEN_MINUTES_MS, f
         return !failOpen;
     }
 }
+
+// ─── Per-stream usage quotas ────────────────────────────────────────────────
+// Usage counters remember which stream session they were counted in. A new
+// session starts on stream.online, so counters from the previous stream are
+// treated as zero without having to find and delete them.
+
+const STREAM_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const STREAM_QUOTA_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+function _docRef(db, key) {
+    return db.collection(DEDUP_COLLECTION).doc(String(key).replace(/\//g, '_'));
+}
+
+function _sessionRef(db, channelName) {
+    return _docRef(db, `streamSession:${channelName.toLowerCase()}`);
+}
+
+/**
+ * Starts a new stream session for a channel, resetting every per-stream quota.
+ * Called on stream.online. Errors are logged, never thrown.
+ * @param {string} channelName - Channel login.
+ * @returns {Promise<void>}
+ */
+export async function startStreamSession(channelName) {
+    try {
+        const now = Date.now();
+        const sessionRef = _sessionRef(getFirestore(), channelName);
+        const previous = await sessionRef.get();
+        await sessionRef.set({
+            sessionId: now.toString(36),
+            // Lets check-in streaks tell whether a viewer was at the last stream
+            previousSessionId: previous.exists ? previous.get('sessionId') || null : null,
+            createdAt: FieldValue.serverTimestamp(),
+            expiresAt: new Date(now + STREAM_SESSION_TTL_MS),
+        });
+        logger.info({ channelName }, '[DistributedCache] Started new stream session');
+    } catch (error) {
+        logger.error({ err: error, channelName }, '[DistributedCache] Error starting stream session');
+    }
+}
+
+/**
+ * Reads a channel's current stream session.
+ * @param {string} channelName - Channel login.
+ * @returns {Promise<{sessionId: string, previousSessionId: string|null}|null>}
+ *   null if no stream has started in the last 30 days.
+ * @throws On Firestore errors.
+ */
+export async function getStreamSession(channelName) {
+    const snap = await _sessionRef(getFirestore(), channelName).get();
+    if (!snap.exists || !snap.get('sessionId')) return null;
+    return { sessionId: snap.get('sessionId'), previousSessionId: snap.get('previousSessionId') || null };
+}
+
+function _countInSession(usageSnap, sessionId) {
+    if (!usageSnap.exists || usageSnap.get('sessionId') !== sessionId) return 0;
+    return Number(usageSnap.get('count')) || 0;
+}
+
+/**
+ * Reads how often a quota key has been used in the channel's current stream.
+ * @param {string} key - Quota key, e.g. "usage:channel:hug:viewer".
+ * @param {string} channelName - Channel whose stream session applies.
+ * @returns {Promise<number>}
+ * @throws On Firestore errors.
+ */
+export async function getStreamQuotaUsage(key, channelName) {
+    const db = getFirestore();
+    const [sessionSnap, usageSnap] = await Promise.all([
+        _sessionRef(db, channelName).get(),
+        _docRef(db, key).get(),
+    ]);
+    const sessionId = sessionSnap.exists ? sessionSnap.get('sessionId') : null;
+    return _countInSession(usageSnap, sessionId);
+}
+
+/**
+ * Uses one unit of a per-stream quota if any is left.
+ * @param {string} key - Quota key, e.g. "usage:channel:hug:viewer".
+ * @param {string} channelName - Channel whose stream session applies.
+ * @param {number} limit - Uses allowed per stream.
+ * @param {boolean} failOpen - If true, allows the use on Firestore errors. If false, fails closed.
+ * @returns {Promise<boolean>} True if the use was counted, false if the quota is used up.
+ */
+export async function consumeStreamQuota(key, channelName, limit, failOpen = false) {
+    try {
+        const db = getFirestore();
+        const sessionRef = _sessionRef(db, channelName);
+        const usageRef = _docRef(db, key);
+
+        return await db.runTransaction(async (tx) => {
+            const sessionSnap = await tx.get(sessionRef);
+            const usageSnap = await tx.get(usageRef);
+            const sessionId = sessionSnap.exists ? sessionSnap.get('sessionId') : null;
+            const count = _countInSession(usageSnap, sessionId);
+            if (count >= limit) {
+                return false;
+            }
+            tx.set(usageRef, {
+                sessionId,
+                count: count + 1,
+                updatedAt: FieldValue.serverTimestamp(),
+                expiresAt: new Date(Date.now() + STREAM_QUOTA_TTL_MS),
+            });
+            return true;
+        });
+    } catch (error) {
+        logger.error({ err: error, key }, '[DistributedCache] Error consuming stream quota');
+        return failOpen;
+    }
+}
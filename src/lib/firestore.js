@@ -1,12 +1,50 @@
 // src/lib/firestore.js
 // Centralized Firestore client. All storage modules import from here
 // instead of each creating their own `new Firestore()` instance.
+//
+// config.storage.backend (read via config/base.js, so storage-only scripts need
+// no bot credentials) picks what getFirestore() hands out:
+//   'firestore' (default) - the real Cloud Firestore client
+//   'local'               - LocalFirestore persisted to config.storage.localPath
+//   'memory'              - LocalFirestore with nothing written to disk
 import { Firestore, FieldValue, Timestamp } from '@google-cloud/firestore';
+import { loadStorageConfig } from '../config/base.js';
 import logger from './logger.js';
+import { LocalFirestore } from './localFirestore.js';
 
-/** @type {Firestore|null} */
+export const STORAGE_BACKENDS = ['firestore', 'local', 'memory'];
+
+const storageConfig = loadStorageConfig();
+
+/** @type {Firestore|LocalFirestore|null} */
 let _db = null;
 
+/**
+ * Builds the client for the configured storage backend.
+ * @param {string} backend - One of STORAGE_BACKENDS.
+ * @returns {Firestore|LocalFirestore}
+ */
+function createClient(backend) {
+    switch (backend) {
+        case 'local':
+            return new LocalFirestore({ filePath: storageConfig.localPath });
+        case 'memory':
+            return new LocalFirestore();
+        case 'firestore':
+            return new Firestore();
+        default:
+            throw new Error(`[Firestore] Unknown storage backend "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}.`);
+    }
+}
+
+/**
+ * Returns the configured storage backend name.
+ * @returns {string}
+ */
+export function getStorageBackend() {
+    return storageConfig.backend;
+}
+
 /**
  * Initializes the shared Firestore client and verifies connectivity.
  * Call this once during app startup (from initComponents.js) before any
@@ -21,10 +59,11 @@ export async function initializeFirestore() {
         return;
     }
 
-    logger.info('[Firestore] Initializing shared Firestore client...');
+    const backend = getStorageBackend();
+    logger.info(`[Firestore] Initializing shared Firestore client (backend: ${backend})...`);
     try {
         logger.debug('[Firestore] Creating Firestore client instance...');
-        _db = new Firestore();
+        _db = createClient(backend);
 
         logger.debug('[Firestore] Running connectivity test...');
         // A lightweight test query confirms credentials and network are reachable.
@@ -51,11 +90,23 @@ export async function initializeFirestore() {
     }
 }
 
+/**
+ * Releases the shared client. For the local backend this flushes pending
+ * writes to disk, so call it during graceful shutdown.
+ * @returns {Promise<void>}
+ */
+export async function closeFirestore() {
+    if (!_db) return;
+    const db = _db;
+    _db = null;
+    await db.terminate();
+}
+
 /**
  * Returns the initialized Firestore instance.
  * Throws immediately if `initializeFirestore()` has not been called yet.
  *
- * @returns {Firestore}
+ * @returns {Firestore|LocalFirestore}
  * @throws {Error} If Firestore has not been initialized.
  */
 export function getFirestore() {
@@ -3,6 +3,7 @@ import { sendMessage as helixSendMessage, sendAnnouncement as helixSendAnnouncem
 import { translateText, SAME_LANGUAGE } from './translationUtils.js';
 import { getContextManager } from '../components/context/contextManager.js';
 import { summarizeText } from '../components/llm/geminiClient.js';
+import { MAX_IRC_MESSAGE_LENGTH, truncateMessage } from './messageTruncation.js';
 
 // --- Module State ---
 const messageQueue = [];
@@ -11,8 +12,6 @@ let queueIntervalId = null;
 
 // Minimum delay between sending messages (in milliseconds)
 const SEND_INTERVAL_MS = 300; // Helix API has higher rate limits than IRC
-// Twitch IRC message limit is 500 characters
-const MAX_IRC_MESSAGE_LENGTH = 500;
 // Target length for summaries (should be less than MAX_IRC_MESSAGE_LENGTH)
 const SUMMARY_TARGET_LENGTH = 400;
 
@@ -24,96 +23,6 @@ const SUMMARY_TARGET_LENGTH = 400;
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-/**
- * Intelligently truncates text to fit within the specified length,
- * preserving word boundaries and handling UTF-8 characters properly.
- * @param {string} text The text to truncate
- * @param {number} maxLength Maximum length including ellipsis
- * @returns {string} Truncated text with ellipsis if needed
- */
-function _intelligentTruncate(text, maxLength) {
-    if (!text || typeof text !== 'string') {
-        return '';
-    }
-
-    if (text.length <= maxLength) {
-        return text;
-    }
-
-    const ellipsis = '...';
-    const availableLength = maxLength - ellipsis.length;
-
-    if (availableLength <= 0) {
-        return ellipsis;
-    }
-
-    // First, ensure we don't cut in the middle of a UTF-8 character
-    let truncated = text.substring(0, availableLength);
-
-    // Check if we cut in the middle of a multi-byte UTF-8 character
-    // by trying to encode and seeing if it's valid
-    try {
-        const encoded = Buffer.from(truncated, 'utf8');
-        const decoded = encoded.toString('utf8');
-        if (decoded.length < truncated.length) {
-            // We cut a multi-byte character, so trim it back
-            truncated = decoded;
-        }
-    } catch (error) {
-        // If there's an encoding error, play it safe and trim back further
-        logger.debug({ error: error.message }, 'UTF-8 truncation safety check triggered');
-        truncated = text.substring(0, Math.max(0, availableLength - 4));
-    }
-
-    // Now find the best break point to avoid cutting words
-
-    // 1. Try to break at sentence endings
-    const sentenceEndings = ['. ', '! ', '? '];
-    let bestBreak = -1;
-    let bestBreakScore = 0;
-
-    for (const ending of sentenceEndings) {
-        const lastIndex = truncated.lastIndexOf(ending);
-        if (lastIndex > availableLength * 0.6) { // Don't go too far back
-            const score = lastIndex + (ending.length * 10); // Prefer sentence endings
-            if (score > bestBreakScore) {
-                bestBreak = lastIndex + ending.length - 1; // Keep the punctuation
-                bestBreakScore = score;
-            }
-        }
-    }
-
-    // 2. If no good sentence break, try comma or other punctuation
-    if (bestBreak === -1) {
-        const punctuationBreaks = [', ', '; ', ': ', ' - ', ' – '];
-        for (const punct of punctuationBreaks) {
-            const lastIndex = truncated.lastIndexOf(punct);
-            if (lastIndex > availableLength * 0.7) {
-                const score = lastIndex + punct.length;
-                if (score > bestBreakScore) {
-                    bestBreak = lastIndex;
-                    bestBreakScore = score;
-                }
-            }
-        }
-    }
-
-    // 3. Fall back to word boundaries (spaces)
-    if (bestBreak === -1) {
-        const lastSpace = truncated.lastIndexOf(' ');
-        if (lastSpace > availableLength * 0.8) {
-            bestBreak = lastSpace;
-        }
-    }
-
-    // Apply the best break point we found
-    if (bestBreak > 0) {
-        truncated = text.substring(0, bestBreak).trim();
-    }
-
-    return truncated + ellipsis;
-}
-
 /**
  * Processes the message queue internally.
  */
@@ -254,30 +163,30 @@ async function _preprocessText(channel, text, skipTranslation, skipLengthProcess
                 // Hard clamp to target length to guarantee Twitch-safe length even if model slightly exceeds target
                 if (finalText.length > SUMMARY_TARGET_LENGTH) {
                     logger.info(`[IRC Sender] Summary still too long (${finalText.length} > ${SUMMARY_TARGET_LENGTH}), applying intelligent truncation.`);
-                    finalText = _intelligentTruncate(finalText, SUMMARY_TARGET_LENGTH);
+                    finalText = truncateMessage(finalText, SUMMARY_TARGET_LENGTH);
                 }
                 logger.info(`[IRC Sender] LLM summarization successful: ${beforeLength} chars → ${finalText.length} chars`);
             } else {
                 logger.warn(`[IRC Sender] LLM summarization failed. Falling back to intelligent truncation at ${MAX_IRC_MESSAGE_LENGTH} chars.`);
-                finalText = _intelligentTruncate(finalText, MAX_IRC_MESSAGE_LENGTH);
+                finalText = truncateMessage(finalText, MAX_IRC_MESSAGE_LENGTH);
                 logger.info(`[IRC Sender] Intelligent truncation applied: final length ${finalText.length} chars`);
             }
         } catch (error) {
             logger.error({ err: error }, `[IRC Sender] Error during LLM summarization. Falling back to intelligent truncation.`);
-            finalText = _intelligentTruncate(finalText, MAX_IRC_MESSAGE_LENGTH);
+            finalText = truncateMessage(finalText, MAX_IRC_MESSAGE_LENGTH);
             logger.info(`[IRC Sender] Intelligent truncation applied after error: final length ${finalText.length} chars`);
         }
 
         // Final safety check in case summarization still produced too long text
         if (finalText.length > MAX_IRC_MESSAGE_LENGTH) {
             logger.warn(`[IRC Sender] ${label} STILL too long after processing (${finalText.length} chars), applying emergency truncation.`);
-            finalText = _intelligentTruncate(finalText, MAX_IRC_MESSAGE_LENGTH);
+            finalText = truncateMessage(finalText, MAX_IRC_MESSAGE_LENGTH);
             logger.info(`[IRC Sender] Emergency truncation complete: final length ${finalText.length} chars`);
         }
     } else if (skipLengthProcessing && finalText.length > MAX_IRC_MESSAGE_LENGTH) {
         // Emergency fallback: if length processing was skipped but message is still too long
         logger.warn(`[IRC Sender] ${label} marked as pre-processed but still too long (${finalText.length} chars). Applying emergency truncation.`);
-        finalText = _intelligentTruncate(finalText, MAX_IRC_MESSAGE_LENGTH);
+        finalText = truncateMessage(finalText, MAX_IRC_MESSAGE_LENGTH);
         logger.info(`[IRC Sender] Emergency truncation complete: final length ${finalText.length} chars`);
     } else if (!skipLengthProcessing) {
         logger.debug(`[IRC Sender] ${label} length OK (${finalText.length} chars ≤ ${MAX_IRC_MESSAGE_LENGTH}), no processing needed.`);
@@ -397,6 +306,8 @@ async function enqueueAnnouncement(channel, text, color = 'primary', options = {
 
 // Export the public functions
 export {
+    MAX_IRC_MESSAGE_LENGTH,
+    truncateMessage,
     initializeIrcSender,
     enqueueMessage,
     enqueueAnnouncement,
@@ -0,0 +1,699 @@
+// src/lib/localFirestore.js
+// File-backed stand-in for the Firestore client, used when config.storage.backend
+// is 'local' (persisted to a JSON file) or 'memory' (nothing written to disk).
+//
+// It implements the subset of the @google-cloud/firestore surface the storage
+// modules actually use: collection/doc paths with subcollections, collectionGroup,
+// where/orderBy/limit/startAfter queries, count() aggregates, transactions,
+// batches, onSnapshot
+// listeners and the FieldValue sentinels (serverTimestamp, increment, arrayUnion,
+// arrayRemove, delete). Storage modules keep calling getFirestore() and never
+// need to know which backend they got.
+//
+// It is a single-process store: transactions are serialized with an in-process
+// lock, which is all the bot needs when it runs as one instance offline.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Timestamp } from '@google-cloud/firestore';
+import logger from './logger.js';
+
+const PERSIST_DEBOUNCE_MS = 200;
+const AUTO_ID_LENGTH = 20;
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// ── Value helpers ────────────────────────────────────────────────────────────
+
+function autoId() {
+    const bytes = crypto.randomBytes(AUTO_ID_LENGTH);
+    let id = '';
+    for (let i = 0; i < AUTO_ID_LENGTH; i++) {
+        id += AUTO_ID_CHARS[bytes[i] % AUTO_ID_CHARS.length];
+    }
+    return id;
+}
+
+function isPlainObject(value) {
+    return value !== null
+        && typeof value === 'object'
+        && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * FieldValue sentinels from @google-cloud/firestore carry a `methodName`
+ * ('FieldValue.increment', ...). Reading that keeps this module working with
+ * whichever import path a storage module used for FieldValue.
+ */
+function sentinelKind(value) {
+    if (value === null || typeof value !== 'object') return null;
+    const name = value.methodName;
+    return typeof name === 'string' && name.startsWith('FieldValue.') ? name.slice('FieldValue.'.length) : null;
+}
+
+function deepClone(value) {
+    if (value instanceof Timestamp) return value;
+    if (Array.isArray(value)) return value.map(deepClone);
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = deepClone(v);
+        return out;
+    }
+    return value;
+}
+
+/** Normalizes a value the way Firestore stores it (Dates become Timestamps). */
+function toStoredValue(value) {
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(toStoredValue);
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) {
+            if (v !== undefined) out[k] = toStoredValue(v);
+        }
+        return out;
+    }
+    return value;
+}
+
+function valuesEqual(a, b) {
+    return JSON.stringify(serializeValue(a)) === JSON.stringify(serializeValue(b));
+}
+
+/** Applies a FieldValue sentinel against the current value at that field. */
+function resolveSentinel(kind, sentinel, current) {
+    switch (kind) {
+        case 'serverTimestamp':
+            return Timestamp.now();
+        case 'increment':
+            return (typeof current === 'number' ? current : 0) + sentinel.operand;
+        case 'arrayUnion': {
+            const base = Array.isArray(current) ? [...current] : [];
+            for (const el of sentinel.elements) {
+                if (!base.some(existing => valuesEqual(existing, el))) base.push(toStoredValue(el));
+            }
+            return base;
+        }
+        case 'arrayRemove': {
+            const base = Array.isArray(current) ? current : [];
+            return base.filter(existing => !sentinel.elements.some(el => valuesEqual(existing, el)));
+        }
+        default:
+            throw new Error(`[LocalFirestore] Unsupported FieldValue sentinel: ${kind}`);
+    }
+}
+
+/**
+ * Writes `incoming` into `target`. Nested maps are merged when `merge` is set
+ * (Firestore's set-with-merge semantics); otherwise they replace wholesale.
+ */
+function applyFields(target, incoming, merge) {
+    for (const [key, value] of Object.entries(incoming)) {
+        if (value === undefined) continue;
+        const kind = sentinelKind(value);
+        if (kind === 'delete') {
+            delete target[key];
+        } else if (kind) {
+            target[key] = resolveSentinel(kind, value, target[key]);
+        } else if (merge && isPlainObject(value)) {
+            const existing = isPlainObject(target[key]) ? target[key] : {};
+            target[key] = applyFields(existing, value, true);
+        } else if (isPlainObject(value)) {
+            target[key] = applyFields({}, value, false);
+        } else {
+            target[key] = toStoredValue(value);
+        }
+    }
+    return target;
+}
+
+/** Applies an update() payload whose keys may be dotted field paths. */
+function applyUpdate(target, updates) {
+    for (const [fieldPath, value] of Object.entries(updates)) {
+        const segments = fieldPath.split('.');
+        let node = target;
+        for (const segment of segments.slice(0, -1)) {
+            if (!isPlainObject(node[segment])) node[segment] = {};
+            node = node[segment];
+        }
+        applyFields(node, { [segments[segments.length - 1]]: value }, false);
+    }
+    return target;
+}
+
+function getField(data, fieldPath) {
+    let node = data;
+    for (const segment of fieldPath.split('.')) {
+        if (node === null || typeof node !== 'object' || !(segment in node)) return undefined;
+        node = node[segment];
+    }
+    return node;
+}
+
+function comparable(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function compareValues(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === null || left === undefined) return -1;
+    if (right === null || right === undefined) return 1;
+    if (typeof left !== typeof right) return String(typeof left).localeCompare(String(typeof right));
+    return left < right ? -1 : 1;
+}
+
+function matchesFilter(data, { field, op, value }) {
+    const actual = getField(data, field);
+    // Firestore never matches documents that lack the filtered field, including for '!='.
+    if (actual === undefined) return false;
+    switch (op) {
+        case '==': return valuesEqual(actual, value);
+        case '!=': return !valuesEqual(actual, value);
+        case '<': return compareValues(actual, value) < 0;
+        case '<=': return compareValues(actual, value) <= 0;
+        case '>': return compareValues(actual, value) > 0;
+        case '>=': return compareValues(actual, value) >= 0;
+        case 'in': return value.some(v => valuesEqual(actual, v));
+        case 'not-in': return !value.some(v => valuesEqual(actual, v));
+        case 'array-contains': return Array.isArray(actual) && actual.some(v => valuesEqual(v, value));
+        case 'array-contains-any': return Array.isArray(actual) && actual.some(v => value.some(w => valuesEqual(v, w)));
+        default:
+            throw new Error(`[LocalFirestore] Unsupported query operator: ${op}`);
+    }
+}
+
+// ── Persistence encoding ─────────────────────────────────────────────────────
+
+function serializeValue(value) {
+    if (value instanceof Timestamp) {
+        return { __timestamp: { seconds: value.seconds, nanoseconds: value.nanoseconds } };
+    }
+    if (value instanceof Date) return serializeValue(Timestamp.fromDate(value));
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (isPlainObject(value)) {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = serializeValue(v);
+        return out;
+    }
+    return value;
+}
+
+function deserializeValue(value) {
+    if (Array.isArray(value)) return value.map(deserializeValue);
+    if (isPlainObject(value)) {
+        if (value.__timestamp && Object.keys(value).length === 1) {
+            return new Timestamp(value.__timestamp.seconds, value.__timestamp.nanoseconds);
+        }
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = deserializeValue(v);
+        return out;
+    }
+    return value;
+}
+
+function isExpired(data, nowMs) {
+    const expiresAt = data?.expiresAt;
+    return expiresAt instanceof Timestamp && expiresAt.toMillis() <= nowMs;
+}
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? deepClone(this._data) : undefined;
+    }
+
+    get(fieldPath) {
+        return this.exists ? deepClone(getField(this._data, fieldPath)) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs, changes = []) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+        this._changes = changes;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+
+    docChanges() {
+        return this._changes;
+    }
+}
+
+// ── References and queries ───────────────────────────────────────────────────
+
+class Query {
+    /**
+     * @param {LocalFirestore} db
+     * @param {object} spec - { collectionPath?, collectionId?, filters, orders, limit, startAfter }
+     */
+    constructor(db, spec) {
+        this.firestore = db;
+        this._spec = { filters: [], orders: [], limit: null, startAfter: null, ...spec };
+    }
+
+    _with(changes) {
+        return new Query(this.firestore, { ...this._spec, ...changes });
+    }
+
+    where(field, op, value) {
+        return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return this._with({ orders: [...this._spec.orders, { field, direction }] });
+    }
+
+    limit(count) {
+        return this._with({ limit: count });
+    }
+
+    startAfter(cursor) {
+        return this._with({ startAfter: cursor });
+    }
+
+    async get() {
+        return new QuerySnapshot(this.firestore._runQuery(this._spec));
+    }
+
+    /** Same shape as Firestore's AggregateQuery: `(await q.count().get()).data().count`. */
+    count() {
+        return {
+            get: async () => {
+                const count = this.firestore._runQuery(this._spec).length;
+                return { data: () => ({ count }) };
+            },
+        };
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen(() => this.firestore._runQuery(this._spec), onNext, onError, false);
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(db, collectionPath) {
+        super(db, { collectionPath });
+        this.path = collectionPath;
+        this.id = collectionPath.split('/').pop();
+    }
+
+    get parent() {
+        const segments = this.path.split('/');
+        return segments.length > 1 ? new DocumentReference(this.firestore, segments.slice(0, -1).join('/')) : null;
+    }
+
+    doc(docId = autoId()) {
+        return new DocumentReference(this.firestore, `${this.path}/${docId}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+
+    async listDocuments() {
+        return this.firestore._childDocumentPaths(this.path)
+            .map(docPath => new DocumentReference(this.firestore, docPath));
+    }
+}
+
+class DocumentReference {
+    constructor(db, docPath) {
+        this.firestore = db;
+        this.path = docPath;
+        this.id = docPath.split('/').pop();
+    }
+
+    get parent() {
+        return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+    }
+
+    collection(collectionId) {
+        return new CollectionReference(this.firestore, `${this.path}/${collectionId}`);
+    }
+
+    async listCollections() {
+        return this.firestore._childCollectionIds(this.path)
+            .map(id => this.collection(id));
+    }
+
+    async get() {
+        return new DocumentSnapshot(this, this.firestore._docs.get(this.path));
+    }
+
+    async set(data, options = {}) {
+        this.firestore._commit([{ type: 'set', ref: this, data, merge: !!options.merge }]);
+    }
+
+    async update(data) {
+        this.firestore._commit([{ type: 'update', ref: this, data }]);
+    }
+
+    async create(data) {
+        this.firestore._commit([{ type: 'create', ref: this, data }]);
+    }
+
+    async delete() {
+        this.firestore._commit([{ type: 'delete', ref: this }]);
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen(
+            () => {
+                const data = this.firestore._docs.get(this.path);
+                return data === undefined ? [] : [new DocumentSnapshot(this, data)];
+            },
+            onNext,
+            onError,
+            true,
+            this
+        );
+    }
+}
+
+// ── Writes ───────────────────────────────────────────────────────────────────
+
+class WriteBatch {
+    constructor(db) {
+        this._db = db;
+        this._writes = [];
+    }
+
+    set(ref, data, options = {}) {
+        this._writes.push({ type: 'set', ref, data, merge: !!options.merge });
+        return this;
+    }
+
+    update(ref, data) {
+        this._writes.push({ type: 'update', ref, data });
+        return this;
+    }
+
+    create(ref, data) {
+        this._writes.push({ type: 'create', ref, data });
+        return this;
+    }
+
+    delete(ref) {
+        this._writes.push({ type: 'delete', ref });
+        return this;
+    }
+
+    async commit() {
+        this._db._commit(this._writes);
+    }
+}
+
+class Transaction extends WriteBatch {
+    async get(refOrQuery) {
+        if (this._writes.length > 0) {
+            throw new Error('[LocalFirestore] Firestore transactions require all reads to be executed before all writes.');
+        }
+        return refOrQuery.get();
+    }
+}
+
+function notFoundError(docPath) {
+    const error = new Error(`5 NOT_FOUND: No document to update: ${docPath}`);
+    error.code = 5;
+    return error;
+}
+
+function alreadyExistsError(docPath) {
+    const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${docPath}`);
+    error.code = 6;
+    return error;
+}
+
+// ── Client ───────────────────────────────────────────────────────────────────
+
+export class LocalFirestore {
+    /**
+     * @param {object} [options]
+     * @param {string|null} [options.filePath] - JSON file to persist to. Null keeps everything in memory.
+     */
+    constructor({ filePath = null } = {}) {
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        /** @type {Map<string, object>} Document path -> stored data. */
+        this._docs = new Map();
+        this._listeners = new Set();
+        this._txLock = Promise.resolve();
+        this._persistTimer = null;
+        this._flushOnExit = () => this._flushSync();
+
+        if (this.filePath) {
+            this._load();
+            process.once('exit', this._flushOnExit);
+        }
+    }
+
+    collection(collectionPath) {
+        return new CollectionReference(this, collectionPath);
+    }
+
+    doc(docPath) {
+        return new DocumentReference(this, docPath);
+    }
+
+    collectionGroup(collectionId) {
+        return new Query(this, { collectionId });
+    }
+
+    batch() {
+        return new WriteBatch(this);
+    }
+
+    /**
+     * Runs `updateFn` with exclusive access to the store. Writes are buffered on
+     * the transaction and applied only if the callback resolves.
+     */
+    async runTransaction(updateFn) {
+        const run = this._txLock.then(async () => {
+            const tx = new Transaction(this);
+            const result = await updateFn(tx);
+            this._commit(tx._writes);
+            return result;
+        });
+        // Keep the lock chain alive even when a transaction rejects.
+        this._txLock = run.catch(() => {});
+        return run;
+    }
+
+    /** Flushes pending writes and detaches all listeners. */
+    async terminate() {
+        this._listeners.clear();
+        this._flushSync();
+        if (this.filePath) process.removeListener('exit', this._flushOnExit);
+    }
+
+    // ── Internals ───────────────────────────────────────────────────────────
+
+    _commit(writes) {
+        // Validate everything first so a failing write leaves the store untouched.
+        const staged = new Map();
+        const current = (docPath) => (staged.has(docPath) ? staged.get(docPath) : this._docs.get(docPath));
+
+        for (const write of writes) {
+            const docPath = write.ref.path;
+            const existing = current(docPath);
+            switch (write.type) {
+                case 'create':
+                    if (existing !== undefined) throw alreadyExistsError(docPath);
+                    staged.set(docPath, applyFields({}, write.data, false));
+                    break;
+                case 'set':
+                    staged.set(docPath, write.merge
+                        ? applyFields(deepClone(existing) || {}, write.data, true)
+                        : applyFields({}, write.data, false));
+                    break;
+                case 'update':
+                    if (existing === undefined) throw notFoundError(docPath);
+                    staged.set(docPath, applyUpdate(deepClone(existing), write.data));
+                    break;
+                case 'delete':
+                    staged.set(docPath, undefined);
+                    break;
+                default:
+                    throw new Error(`[LocalFirestore] Unknown write type: ${write.type}`);
+            }
+        }
+
+        if (staged.size === 0) return;
+        for (const [docPath, data] of staged) {
+            if (data === undefined) this._docs.delete(docPath);
+            else this._docs.set(docPath, data);
+        }
+        this._schedulePersist();
+        this._notifyListeners();
+    }
+
+    _runQuery(spec) {
+        const matches = [];
+        for (const [docPath, data] of this._docs) {
+            const segments = docPath.split('/');
+            const parentPath = segments.slice(0, -1).join('/');
+            if (spec.collectionPath !== undefined && parentPath !== spec.collectionPath) continue;
+            if (spec.collectionId !== undefined && segments[segments.length - 2] !== spec.collectionId) continue;
+            if (!spec.filters.every(filter => matchesFilter(data, filter))) continue;
+            // Like Firestore, ordering by a field excludes documents that lack it.
+            if (!spec.orders.every(order => getField(data, order.field) !== undefined)) continue;
+            matches.push(new DocumentSnapshot(new DocumentReference(this, docPath), data));
+        }
+
+        const orders = spec.orders.length > 0 ? spec.orders : [];
+        matches.sort((a, b) => {
+            for (const { field, direction } of orders) {
+                const cmp = compareValues(getField(a._data, field), getField(b._data, field));
+                if (cmp !== 0) return direction === 'desc' ? -cmp : cmp;
+            }
+            return a.ref.path < b.ref.path ? -1 : a.ref.path > b.ref.path ? 1 : 0;
+        });
+
+        let results = matches;
+        if (spec.startAfter) {
+            const cursorPath = spec.startAfter.ref?.path;
+            const index = results.findIndex(doc => doc.ref.path === cursorPath);
+            results = index >= 0 ? results.slice(index + 1) : results;
+        }
+        if (typeof spec.limit === 'number') {
+            results = results.slice(0, spec.limit);
+        }
+        return results;
+    }
+
+    /**
+     * Registers a snapshot listener. The first delivery reports every document
+     * as 'added'; later deliveries diff against the previous result set.
+     */
+    _listen(evaluate, onNext, onError, isDocument, docRef = null) {
+        const listener = { evaluate, onNext, onError, isDocument, docRef, previous: new Map(), delivered: false };
+        this._listeners.add(listener);
+        Promise.resolve().then(() => this._deliver(listener));
+        return () => {
+            this._listeners.delete(listener);
+        };
+    }
+
+    _notifyListeners() {
+        for (const listener of this._listeners) {
+            Promise.resolve().then(() => this._deliver(listener));
+        }
+    }
+
+    _deliver(listener) {
+        if (!this._listeners.has(listener)) return;
+        try {
+            const docs = listener.evaluate();
+            const next = new Map(docs.map(doc => [doc.ref.path, doc]));
+            const changes = [];
+            for (const [docPath, doc] of next) {
+                const before = listener.previous.get(docPath);
+                if (!before) changes.push({ type: 'added', doc });
+                else if (!valuesEqual(before._data, doc._data)) changes.push({ type: 'modified', doc });
+            }
+            for (const [docPath, doc] of listener.previous) {
+                if (!next.has(docPath)) changes.push({ type: 'removed', doc });
+            }
+            const isFirstDelivery = !listener.delivered;
+            listener.previous = next;
+            if (!isFirstDelivery && changes.length === 0) return;
+            listener.delivered = true;
+
+            if (listener.isDocument) {
+                listener.onNext(new DocumentSnapshot(listener.docRef, docs[0]?._data));
+            } else {
+                listener.onNext(new QuerySnapshot(docs, changes));
+            }
+        } catch (error) {
+            if (typeof listener.onError === 'function') listener.onError(error);
+            else logger.error({ err: error }, '[LocalFirestore] Snapshot listener failed.');
+        }
+    }
+
+    _childDocumentPaths(collectionPath) {
+        const depth = collectionPath.split('/').length + 1;
+        const paths = new Set();
+        for (const docPath of this._docs.keys()) {
+            if (docPath.startsWith(`${collectionPath}/`)) {
+                paths.add(docPath.split('/').slice(0, depth).join('/'));
+            }
+        }
+        return [...paths];
+    }
+
+    _childCollectionIds(docPath) {
+        const depth = docPath.split('/').length;
+        const ids = new Set();
+        for (const storedPath of this._docs.keys()) {
+            if (storedPath.startsWith(`${docPath}/`)) ids.add(storedPath.split('/')[depth]);
+        }
+        return [...ids];
+    }
+
+    _load() {
+        if (!fs.existsSync(this.filePath)) {
+            logger.info(`[LocalFirestore] No data file at ${this.filePath}; starting empty.`);
+            return;
+        }
+        const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const nowMs = Date.now();
+        let expired = 0;
+        for (const [docPath, data] of Object.entries(raw.documents || {})) {
+            const value = deserializeValue(data);
+            // Stands in for Firestore TTL policies, which reclaim docs past expiresAt.
+            if (isExpired(value, nowMs)) {
+                expired++;
+                continue;
+            }
+            this._docs.set(docPath, value);
+        }
+        logger.info(`[LocalFirestore] Loaded ${this._docs.size} documents from ${this.filePath} (${expired} expired dropped).`);
+    }
+
+    _schedulePersist() {
+        if (!this.filePath || this._persistTimer) return;
+        this._persistTimer = setTimeout(() => {
+            this._persistTimer = null;
+            this._flushSync();
+        }, PERSIST_DEBOUNCE_MS);
+        if (this._persistTimer.unref) {
+            this._persistTimer.unref();
+        }
+    }
+
+    _flushSync() {
+        if (this._persistTimer) {
+            clearTimeout(this._persistTimer);
+            this._persistTimer = null;
+        }
+        if (!this.filePath) return;
+        try {
+            const documents = {};
+            for (const [docPath, data] of this._docs) documents[docPath] = serializeValue(data);
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            // Write-then-rename so a crash mid-write never truncates the data file.
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, documents }, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            logger.error({ err: error, filePath: this.filePath }, '[LocalFirestore] Failed to persist data file.');
+        }
+    }
+}
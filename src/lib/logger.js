@@ -1,5 +1,8 @@
 import pino from 'pino';
-import config from '../config/index.js'; // Use the config barrel file
+// Only the credential-free settings, so storage-only scripts can log too
+import { loadLoggingConfig } from '../config/base.js';
+
+const loggingConfig = loadLoggingConfig();
 
 // Map Pino levels to Google Cloud Logging severity levels for JSON logs
 // https://cloud.google.com/logging/docs/reference/v2/rest/v2/LogEntry#LogSeverity
@@ -13,13 +16,13 @@ const GcpSeverityLookup = {
 };
 
 // Determine if pretty printing should be used
-const usePrettyPrint = config.app.nodeEnv === 'development' && config.app.prettyLog;
+const usePrettyPrint = loggingConfig.nodeEnv === 'development' && loggingConfig.prettyLog;
 
 // --- Pino Logger Configuration ---
 
 // Options common to both JSON and pretty print modes
 const commonOptions = {
-  level: config.app.logLevel || 'info',
+  level: loggingConfig.logLevel || 'info',
   // Standard serializers for errors, etc.
   serializers: pino.stdSerializers,
 };
@@ -73,7 +76,7 @@ if (usePrettyPrint) {
     logger.info('Pretty logging enabled for development.');
 } else {
     // Log the level being used in production for clarity
-    logger.info({ configLogLevel: config.app.logLevel }, `Logger initialized (JSON format) at level: ${config.app.logLevel}`);
+    logger.info({ configLogLevel: loggingConfig.logLevel }, `Logger initialized (JSON format) at level: ${loggingConfig.logLevel}`);
 }
 
 // Export the configured logger instance
@@ -0,0 +1,108 @@
+// src/lib/messageTruncation.js
+// Chat message length limit and the truncation the send queue applies, kept
+// apart from ircSender.js so code that only shapes text doesn't load the chat client.
+import logger from './logger.js';
+
+// Twitch IRC message limit is 500 characters
+export const MAX_IRC_MESSAGE_LENGTH = 500;
+
+/**
+ * Intelligently truncates text to fit within the specified length,
+ * preserving word boundaries and handling UTF-8 characters properly.
+ * @param {string} text The text to truncate
+ * @param {number} maxLength Maximum length including ellipsis
+ * @returns {string} Truncated text with ellipsis if needed
+ */
+function _intelligentTruncate(text, maxLength) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    if (text.length <= maxLength) {
+        return text;
+    }
+
+    const ellipsis = '...';
+    const availableLength = maxLength - ellipsis.length;
+
+    if (availableLength <= 0) {
+        return ellipsis;
+    }
+
+    // First, ensure we don't cut in the middle of a UTF-8 character
+    let truncated = text.substring(0, availableLength);
+
+    // Check if we cut in the middle of a multi-byte UTF-8 character
+    // by trying to encode and seeing if it's valid
+    try {
+        const encoded = Buffer.from(truncated, 'utf8');
+        const decoded = encoded.toString('utf8');
+        if (decoded.length < truncated.length) {
+            // We cut a multi-byte character, so trim it back
+            truncated = decoded;
+        }
+    } catch (error) {
+        // If there's an encoding error, play it safe and trim back further
+        logger.debug({ error: error.message }, 'UTF-8 truncation safety check triggered');
+        truncated = text.substring(0, Math.max(0, availableLength - 4));
+    }
+
+    // Now find the best break point to avoid cutting words
+
+    // 1. Try to break at sentence endings
+    const sentenceEndings = ['. ', '! ', '? '];
+    let bestBreak = -1;
+    let bestBreakScore = 0;
+
+    for (const ending of sentenceEndings) {
+        const lastIndex = truncated.lastIndexOf(ending);
+        if (lastIndex > availableLength * 0.6) { // Don't go too far back
+            const score = lastIndex + (ending.length * 10); // Prefer sentence endings
+            if (score > bestBreakScore) {
+                bestBreak = lastIndex + ending.length - 1; // Keep the punctuation
+                bestBreakScore = score;
+            }
+        }
+    }
+
+    // 2. If no good sentence break, try comma or other punctuation
+    if (bestBreak === -1) {
+        const punctuationBreaks = [', ', '; ', ': ', ' - ', ' – '];
+        for (const punct of punctuationBreaks) {
+            const lastIndex = truncated.lastIndexOf(punct);
+            if (lastIndex > availableLength * 0.7) {
+                const score = lastIndex + punct.length;
+                if (score > bestBreakScore) {
+                    bestBreak = lastIndex;
+                    bestBreakScore = score;
+                }
+            }
+        }
+    }
+
+    // 3. Fall back to word boundaries (spaces)
+    if (bestBreak === -1) {
+        const lastSpace = truncated.lastIndexOf(' ');
+        if (lastSpace > availableLength * 0.8) {
+            bestBreak = lastSpace;
+        }
+    }
+
+    // Apply the best break point we found
+    if (bestBreak > 0) {
+        truncated = text.substring(0, bestBreak).trim();
+    }
+
+    return truncated + ellipsis;
+}
+
+/**
+ * Cuts text down to a single chat message using the same truncation the send
+ * queue applies, for callers that build messages from untrusted content.
+ * @param {string} text
+ * @param {number} [maxLength=MAX_IRC_MESSAGE_LENGTH]
+ * @returns {string}
+ */
+export function truncateMessage(text, maxLength = MAX_IRC_MESSAGE_LENGTH) {
+    return _intelligentTruncate(text, maxLength);
+}
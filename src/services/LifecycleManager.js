@@ -3,6 +3,7 @@ import logger from '../lib/logger.js';
 import { startStreamInfoPolling, stopStreamInfoPolling } from '../components/twitch/streamInfoPoller.js';
 import { startAutoChatManager, stopAutoChatManager } from '../components/autoChat/autoChatManager.js';
 import { startTimerManager, stopTimerManager } from '../components/timers/timerManager.js';
+import { startPointsManager, stopPointsManager } from '../components/points/pointsManager.js';
 import { startAdSchedulePoller, stopAdSchedulePoller } from '../components/twitch/adSchedulePoller.js';
 import { getHelixClient } from '../components/twitch/helixClient.js';
 import { getContextManager } from '../components/context/contextManager.js';
@@ -63,6 +64,10 @@ class LifecycleManager {
             logger.info('LifecycleManager: Starting Timer Manager...');
             await startTimerManager();
 
+            // 2c. Start Points Manager (chat and watch-time loyalty points)
+            logger.info('LifecycleManager: Starting Points Manager...');
+            startPointsManager();
+
             // 3. Start Ad Schedule Poller
             logger.info('LifecycleManager: Starting Ad Schedule Poller...');
             await startAdSchedulePoller();
@@ -161,6 +166,13 @@ class LifecycleManager {
             logger.error({ err }, 'LifecycleManager: Error stopping timer manager');
         }
 
+        // 5b. Stop Points Manager
+        try {
+            stopPointsManager();
+        } catch (err) {
+            logger.error({ err }, 'LifecycleManager: Error stopping points manager');
+        }
+
         // 6. Stop Auto Chat Manager
         try {
             stopAutoChatManager();
@@ -5,7 +5,7 @@
 // test file evaluates src/config/loader.js.
 //
 // src/config/loader.js validates required env vars at module scope and throws. Nearly every
-// module reaches it transitively (logger -> config, helixClient -> config, ircSender ->
+// module reaches it transitively (helixClient -> config, ircSender ->
 // chatClient -> config), so without these placeholders any test that imports application
 // code dies with "Test suite failed to run: Missing required environment variables".
 // Locally the repo's .env masked this; a clean checkout on CI has no .env.
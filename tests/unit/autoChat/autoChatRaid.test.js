@@ -0,0 +1,68 @@
+import { notifyRaid } from '../../../src/components/autoChat/autoChatManager.js';
+import { getContextManager } from '../../../src/components/context/contextManager.js';
+import { getChannelAutoChatConfig } from '../../../src/components/context/autoChatStorage.js';
+import { enqueueAnnouncement } from '../../../src/lib/ircSender.js';
+import { buildContextPrompt, generateStandardResponse, generateSearchResponse } from '../../../src/components/llm/geminiClient.js';
+import { lookupChannel } from '../../../src/components/shoutouts/shoutoutManager.js';
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/ircSender.js');
+jest.mock('../../../src/components/context/contextManager.js');
+jest.mock('../../../src/components/llm/geminiClient.js');
+jest.mock('../../../src/components/context/autoChatStorage.js');
+jest.mock('../../../src/components/llm/llmUtils.js', () => ({
+    removeMarkdownAsterisks: jest.fn(t => t),
+}));
+jest.mock('../../../src/components/twitch/streamImageCapture.js');
+jest.mock('../../../src/components/llm/geminiImageClient.js');
+jest.mock('../../../src/lib/pronounService.js', () => ({
+    pronounService: { getUserPronouns: jest.fn().mockResolvedValue(null) },
+}));
+jest.mock('../../../src/components/shoutouts/shoutoutManager.js', () => ({
+    lookupChannel: jest.fn(),
+}));
+
+describe('AutoChat Raid Celebration', () => {
+    const CHANNEL = 'testchannel';
+    const RAIDER = {
+        user: { id: 'r1', description: 'Cozy farming streams' },
+        channelInfo: { game_name: 'Stardew Valley', title: 'Year 3 harvest', tags: [] },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getContextManager.mockReturnValue({ getContextForLLM: jest.fn().mockReturnValue({ channelName: CHANNEL }) });
+        getChannelAutoChatConfig.mockResolvedValue({ mode: 'high', categories: { raids: true } });
+        enqueueAnnouncement.mockResolvedValue();
+        buildContextPrompt.mockReturnValue('context prompt');
+        generateStandardResponse.mockResolvedValue('Welcome raiders!');
+        generateSearchResponse.mockResolvedValue(null);
+        lookupChannel.mockResolvedValue({ user: null, channelInfo: null });
+    });
+
+    test('uses the raider info passed in instead of fetching it again', async () => {
+        await notifyRaid(CHANNEL, 'RaiderGal', 25, 'r1', RAIDER);
+
+        expect(lookupChannel).not.toHaveBeenCalled();
+        const prompt = generateStandardResponse.mock.calls[0][1];
+        expect(prompt).toContain('Stardew Valley');
+        expect(prompt).toContain('Cozy farming streams');
+        expect(enqueueAnnouncement).toHaveBeenCalledWith(`#${CHANNEL}`, 'Welcome raiders!', 'orange');
+    });
+
+    test('looks the raider up when no info is passed', async () => {
+        lookupChannel.mockResolvedValue(RAIDER);
+        await notifyRaid(CHANNEL, 'RaiderGal', 25, 'r1');
+
+        expect(lookupChannel).toHaveBeenCalledWith('r1');
+        expect(generateStandardResponse.mock.calls[0][1]).toContain('Stardew Valley');
+    });
+
+    test('does nothing when raid celebrations are off', async () => {
+        getChannelAutoChatConfig.mockResolvedValue({ mode: 'high', categories: { raids: false } });
+        await notifyRaid(CHANNEL, 'RaiderGal', 25, 'r1', RAIDER);
+
+        expect(generateStandardResponse).not.toHaveBeenCalled();
+        expect(enqueueAnnouncement).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,450 @@
+// tests/unit/components/commands/commandProcessor.test.js
+// Command resolution order: built-in handler, custom command, then alias;
+// plus the stream-state, schedule, cooldown and per-stream cap gates on custom commands
+// and how each response type is delivered.
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/ircSender.js');
+jest.mock('../../../../src/lib/activityLogger.js', () => ({ logCommand: jest.fn() }));
+jest.mock('../../../../src/components/commands/handlers/index.js', () => ({
+    __esModule: true,
+    default: {
+        socials: { name: 'socials', permission: 'everyone', execute: jest.fn() },
+        modonly: { name: 'modonly', permission: 'moderator', execute: jest.fn() },
+        aigame: { name: 'aigame', permission: 'everyone', usesLlm: args => args[0] !== 'list', execute: jest.fn() },
+        join: { name: 'join', permission: 'everyone', yieldsToCustomCommand: jest.fn(), execute: jest.fn() },
+    },
+}));
+let mockStreamContext = null;
+jest.mock('../../../../src/components/context/contextManager.js', () => ({
+    getContextManager: jest.fn(() => ({
+        getStreamContextSnapshot: jest.fn(() => mockStreamContext),
+        getBotLanguage: jest.fn(() => null),
+    })),
+}));
+jest.mock('../../../../src/components/context/liveStatus.js', () => ({
+    isStreamLive: jest.fn(() => false),
+}));
+jest.mock('../../../../src/components/context/commandStateManager.js', () => ({
+    isCommandDisabled: jest.fn(() => false),
+}));
+jest.mock('../../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    getCustomCommand: jest.fn(),
+    getCommandAlias: jest.fn(),
+    getCommandTimezone: jest.fn(),
+    incrementUseCount: jest.fn(),
+    incrementCounter: jest.fn(),
+}));
+jest.mock('../../../../src/lib/distributedCache.js', () => ({
+    isDuplicateEvent: jest.fn().mockResolvedValue(false),
+    getStreamQuotaUsage: jest.fn().mockResolvedValue(0),
+    consumeStreamQuota: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../../../src/lib/pronounService.js', () => ({
+    pronounService: { getUserPronouns: jest.fn().mockResolvedValue(null) },
+}));
+jest.mock('../../../../src/components/twitch/helixClient.js');
+jest.mock('../../../../src/components/twitch/broadcasterTokenHelper.js');
+jest.mock('../../../../src/components/twitch/chatClient.js', () => ({
+    sendShoutout: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../../../src/components/customCommands/promptResolver.js');
+jest.mock('../../../../src/components/llm/llmUsage.js', () => ({
+    withLlmUsageContext: jest.fn((ctx, fn) => fn()),
+    isLlmSourceAllowed: jest.fn().mockResolvedValue(true),
+    LLM_BUDGET_PAUSED_MESSAGE: 'paused',
+}));
+
+import { processMessage } from '../../../../src/components/commands/commandProcessor.js';
+import commandHandlers from '../../../../src/components/commands/handlers/index.js';
+import { getCustomCommand, getCommandAlias, getCommandTimezone, incrementUseCount, incrementCounter } from '../../../../src/components/customCommands/customCommandsStorage.js';
+import { isStreamLive } from '../../../../src/components/context/liveStatus.js';
+import { isDuplicateEvent, getStreamQuotaUsage, consumeStreamQuota } from '../../../../src/lib/distributedCache.js';
+import { isCommandDisabled } from '../../../../src/components/context/commandStateManager.js';
+import { enqueueMessage, enqueueAnnouncement } from '../../../../src/lib/ircSender.js';
+import { getUsersByLogin } from '../../../../src/components/twitch/helixClient.js';
+import { isLlmSourceAllowed } from '../../../../src/components/llm/llmUsage.js';
+import { sendShoutout } from '../../../../src/components/twitch/chatClient.js';
+
+describe('commandProcessor alias resolution', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'viewer', 'display-name': 'Viewer', id: `msg-${++messageCounter}` });
+    const modTags = () => ({ ...viewerTags(), mod: '1', badges: { moderator: '1' } });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCustomCommand.mockResolvedValue(null);
+        getCommandAlias.mockResolvedValue(null);
+        incrementUseCount.mockResolvedValue(1);
+        enqueueMessage.mockResolvedValue();
+        isCommandDisabled.mockReturnValue(false);
+    });
+
+    test('runs a built-in command through its alias', async () => {
+        getCommandAlias.mockImplementation(async (channel, name) => (name === 'twitter' ? { alias: 'twitter', target: 'socials' } : null));
+
+        await expect(processMessage('chan', viewerTags(), '!twitter now')).resolves.toBe(true);
+
+        expect(commandHandlers.socials.execute).toHaveBeenCalledWith(expect.objectContaining({
+            channel: '#chan',
+            args: ['now'],
+        }));
+    });
+
+    test('runs a custom command through its alias', async () => {
+        getCommandAlias.mockResolvedValue({ alias: 'links', target: 'mylinks' });
+        getCustomCommand.mockImplementation(async (channel, name) => (name === 'mylinks'
+            ? { response: 'Links for $(user)', permission: 'everyone', cooldownMs: 0, type: 'text' }
+            : null));
+
+        await expect(processMessage('chan', viewerTags(), '!links')).resolves.toBe(true);
+
+        expect(getCustomCommand).toHaveBeenCalledWith('chan', 'mylinks');
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'Links for Viewer', expect.anything());
+    });
+
+    test('applies the target\'s permission and disabled state', async () => {
+        getCommandAlias.mockImplementation(async (channel, name) => ({ alias: name, target: name === 'mo' ? 'modonly' : 'socials' }));
+
+        await expect(processMessage('chan', viewerTags(), '!mo')).resolves.toBe(false);
+        expect(commandHandlers.modonly.execute).not.toHaveBeenCalled();
+
+        isCommandDisabled.mockImplementation((channel, name) => name === 'socials');
+        await expect(processMessage('chan', viewerTags(), '!tw')).resolves.toBe(false);
+        expect(commandHandlers.socials.execute).not.toHaveBeenCalled();
+
+        isCommandDisabled.mockReturnValue(false);
+        await expect(processMessage('chan', modTags(), '!mo')).resolves.toBe(true);
+        expect(commandHandlers.modonly.execute).toHaveBeenCalled();
+    });
+
+    test('does not look up aliases for built-in or custom commands', async () => {
+        await processMessage('chan', viewerTags(), '!socials');
+        getCustomCommand.mockResolvedValue({ response: 'hi', permission: 'everyone', cooldownMs: 0, type: 'text' });
+        await processMessage('chan', viewerTags(), '!hello');
+        expect(getCommandAlias).not.toHaveBeenCalled();
+    });
+
+    test('returns false for unknown commands', async () => {
+        await expect(processMessage('chan', viewerTags(), '!nothing')).resolves.toBe(false);
+        expect(getCommandAlias).toHaveBeenCalledWith('chan', 'nothing');
+    });
+});
+
+describe('commandProcessor custom command availability', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'viewer', 'display-name': 'Viewer', id: `avail-${++messageCounter}` });
+    const withCommand = (options) => getCustomCommand.mockResolvedValue({
+        response: 'Build guide: example.com', permission: 'everyone', cooldownMs: 0, type: 'text', ...options,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockStreamContext = null;
+        getCommandAlias.mockResolvedValue(null);
+        getCommandTimezone.mockResolvedValue(null);
+        incrementUseCount.mockResolvedValue(1);
+        enqueueMessage.mockResolvedValue();
+        isStreamLive.mockReturnValue(false);
+    });
+
+    test('liveOnly commands stay quiet while offline', async () => {
+        withCommand({ liveOnly: true });
+        await expect(processMessage('chan', viewerTags(), '!build')).resolves.toBe(true);
+        expect(enqueueMessage).not.toHaveBeenCalled();
+
+        isStreamLive.mockReturnValue(true);
+        await processMessage('chan', viewerTags(), '!build');
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'Build guide: example.com', expect.anything());
+    });
+
+    test('offlineOnly commands stay quiet while live', async () => {
+        withCommand({ offlineOnly: true });
+        isStreamLive.mockReturnValue(true);
+        await processMessage('chan', viewerTags(), '!schedule');
+        expect(enqueueMessage).not.toHaveBeenCalled();
+    });
+
+    test('game-restricted commands only answer during a matching game', async () => {
+        withCommand({ games: ['Minecraft', 'Terraria'] });
+        isStreamLive.mockReturnValue(true);
+        mockStreamContext = { game: 'Planet Zoo' };
+        await processMessage('chan', viewerTags(), '!build');
+        expect(enqueueMessage).not.toHaveBeenCalled();
+
+        mockStreamContext = { game: 'minecraft' };
+        await processMessage('chan', viewerTags(), '!build');
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('active hours use the channel timezone', async () => {
+        jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            withCommand({ activeHours: { start: '06:00', end: '08:00' } });
+            getCommandTimezone.mockResolvedValue('America/Chicago'); // 06:00 local
+            await processMessage('chan', viewerTags(), '!morning');
+            expect(enqueueMessage).toHaveBeenCalledTimes(1);
+
+            getCommandTimezone.mockResolvedValue(null); // UTC, 12:00
+            await processMessage('chan', viewerTags(), '!morning');
+            expect(enqueueMessage).toHaveBeenCalledTimes(1);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe('commandProcessor custom command cooldowns and caps', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'Viewer', 'display-name': 'Viewer', id: `limit-${++messageCounter}` });
+    const modTags = () => ({ ...viewerTags(), mod: '1', badges: { moderator: '1' } });
+    const withCommand = (options) => getCustomCommand.mockResolvedValue({
+        response: 'hugs!', permission: 'everyone', cooldownMs: 0, type: 'text', ...options,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCommandAlias.mockResolvedValue(null);
+        incrementUseCount.mockResolvedValue(1);
+        enqueueMessage.mockResolvedValue();
+        isDuplicateEvent.mockResolvedValue(false);
+        getStreamQuotaUsage.mockResolvedValue(0);
+        consumeStreamQuota.mockResolvedValue(true);
+    });
+
+    test('checks the viewer cooldown before the channel cooldown', async () => {
+        withCommand({ cooldownMs: 10000, userCooldownMs: 60000 });
+        await processMessage('chan', viewerTags(), '!hug');
+        expect(isDuplicateEvent.mock.calls.map(call => [call[0], call[2]])).toEqual([
+            ['cooldown:chan:hug:user:viewer', 60000],
+            ['cooldown:chan:hug', 10000],
+        ]);
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+
+        isDuplicateEvent.mockResolvedValueOnce(true);
+        await expect(processMessage('chan', viewerTags(), '!hug')).resolves.toBe(true);
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+        // A viewer on their own cooldown doesn't touch the channel cooldown
+        expect(isDuplicateEvent).toHaveBeenCalledTimes(3);
+    });
+
+    test('enforces the per-stream cap per viewer', async () => {
+        withCommand({ perStreamLimit: 5 });
+        await processMessage('chan', viewerTags(), '!hug');
+        expect(getStreamQuotaUsage).toHaveBeenCalledWith('usage:chan:hug:viewer', 'chan');
+        expect(consumeStreamQuota).toHaveBeenCalledWith('usage:chan:hug:viewer', 'chan', 5, false);
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+
+        getStreamQuotaUsage.mockResolvedValue(5);
+        await expect(processMessage('chan', viewerTags(), '!hug')).resolves.toBe(true);
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not count a use that a cooldown blocked', async () => {
+        withCommand({ perStreamLimit: 5, cooldownMs: 10000 });
+        isDuplicateEvent.mockResolvedValue(true);
+        await processMessage('chan', viewerTags(), '!hug');
+        expect(consumeStreamQuota).not.toHaveBeenCalled();
+    });
+
+    test('fails closed when the cap cannot be read', async () => {
+        withCommand({ perStreamLimit: 5 });
+        getStreamQuotaUsage.mockRejectedValue(new Error('unavailable'));
+        await expect(processMessage('chan', viewerTags(), '!hug')).resolves.toBe(true);
+        expect(enqueueMessage).not.toHaveBeenCalled();
+    });
+
+    test('mod bypass skips cooldowns and caps for moderators only', async () => {
+        withCommand({ perStreamLimit: 1, cooldownMs: 10000, modBypass: true });
+        isDuplicateEvent.mockResolvedValue(true);
+        getStreamQuotaUsage.mockResolvedValue(1);
+
+        await processMessage('chan', modTags(), '!hug');
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+        expect(consumeStreamQuota).not.toHaveBeenCalled();
+
+        await processMessage('chan', viewerTags(), '!hug');
+        expect(enqueueMessage).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('commandProcessor custom command response types', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'viewer', 'display-name': 'Viewer', id: `type-${++messageCounter}` });
+    const withCommand = (options) => getCustomCommand.mockResolvedValue({
+        response: 'Hello $(user)!', permission: 'everyone', cooldownMs: 0, type: 'text', ...options,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCommandAlias.mockResolvedValue(null);
+        incrementUseCount.mockResolvedValue(1);
+        enqueueMessage.mockResolvedValue();
+        enqueueAnnouncement.mockResolvedValue();
+        isDuplicateEvent.mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('sends text as a plain message unless reply is on', async () => {
+        withCommand({});
+        await processMessage('chan', viewerTags(), '!hello');
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#chan', 'Hello Viewer!', { skipTranslation: false, replyToId: null });
+
+        withCommand({ reply: true });
+        const tags = viewerTags();
+        await processMessage('chan', tags, '!hello');
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#chan', 'Hello Viewer!', { skipTranslation: false, replyToId: tags.id });
+    });
+
+    test('sends announcements with the command colour', async () => {
+        withCommand({ type: 'announcement', color: 'purple' });
+        await processMessage('chan', viewerTags(), '!hello');
+        expect(enqueueAnnouncement).toHaveBeenCalledWith('#chan', 'Hello Viewer!', 'purple', { skipTranslation: false });
+        expect(enqueueMessage).not.toHaveBeenCalled();
+    });
+
+    test('sends actions as /me', async () => {
+        withCommand({ type: 'action', response: 'hugs $(touser)' });
+        await processMessage('chan', viewerTags(), '!hug @friend');
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', '/me hugs friend', expect.anything());
+    });
+
+    test('sends multi-line responses in order with the configured delay', async () => {
+        jest.useFakeTimers();
+        withCommand({ response: 'one || two || three', multiline: true, lineDelayMs: 2000 });
+
+        await processMessage('chan', viewerTags(), '!steps');
+        expect(enqueueMessage.mock.calls.map(call => call[1])).toEqual(['one']);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(enqueueMessage.mock.calls.map(call => call[1])).toEqual(['one', 'two']);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(enqueueMessage.mock.calls.map(call => call[1])).toEqual(['one', 'two', 'three']);
+    });
+
+    test('sends || as ordinary text unless multiline is on', async () => {
+        jest.useFakeTimers();
+        withCommand({ response: 'left || right' });
+
+        await processMessage('chan', viewerTags(), '!art');
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(enqueueMessage.mock.calls.map(call => call[1])).toEqual(['left || right']);
+    });
+
+    test('shoutout commands shout out the first argument', async () => {
+        withCommand({ type: 'shoutout', response: 'Go follow $(touser)!' });
+        getUsersByLogin.mockResolvedValue([{ id: 't1', login: 'friend' }]);
+
+        await processMessage('chan', viewerTags(), '!so @Friend');
+        expect(getUsersByLogin).toHaveBeenCalledWith(['friend']);
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'Go follow Friend!', expect.anything());
+        expect(sendShoutout).toHaveBeenCalledWith('chan', 't1');
+    });
+
+    test('shoutout commands need a channel that exists', async () => {
+        withCommand({ type: 'shoutout', response: 'Go follow $(touser)!', cooldownMs: 10000, perStreamLimit: 5 });
+        getUsersByLogin.mockResolvedValue([]);
+
+        await expect(processMessage('chan', viewerTags(), '!so nobody')).resolves.toBe(true);
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', "Couldn't find a Twitch channel named nobody.", expect.anything());
+
+        await processMessage('chan', viewerTags(), '!so');
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#chan', 'Usage: !so <channel>', expect.anything());
+        // A missing or mistyped channel doesn't use up the cooldown or the per-stream cap
+        expect(isDuplicateEvent).not.toHaveBeenCalled();
+        expect(consumeStreamQuota).not.toHaveBeenCalled();
+        expect(incrementUseCount).not.toHaveBeenCalled();
+        expect(sendShoutout).not.toHaveBeenCalled();
+    });
+});
+
+describe('commandProcessor LLM budget gate', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'viewer', 'display-name': 'Viewer', id: `budget-${++messageCounter}` });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCustomCommand.mockResolvedValue(null);
+        getCommandAlias.mockResolvedValue(null);
+        enqueueMessage.mockResolvedValue();
+        isCommandDisabled.mockReturnValue(false);
+        isLlmSourceAllowed.mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+        isLlmSourceAllowed.mockResolvedValue(true);
+    });
+
+    test('pauses built-in commands whose usesLlm predicate matches the args', async () => {
+        await expect(processMessage('chan', viewerTags(), '!aigame start')).resolves.toBe(true);
+
+        expect(isLlmSourceAllowed).toHaveBeenCalledWith('chan', 'command:aigame');
+        expect(commandHandlers.aigame.execute).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'paused', expect.anything());
+    });
+
+    test('pauses AI custom commands before their variables run', async () => {
+        getCustomCommand.mockResolvedValue({ response: 'Count $(counter asks + 1)', permission: 'everyone', cooldownMs: 0, type: 'prompt' });
+
+        await expect(processMessage('chan', viewerTags(), '!askme')).resolves.toBe(true);
+
+        expect(isLlmSourceAllowed).toHaveBeenCalledWith('chan', 'custom:askme');
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'paused', expect.anything());
+        expect(incrementCounter).not.toHaveBeenCalled();
+        expect(incrementUseCount).not.toHaveBeenCalled();
+    });
+
+    test('runs subcommands the predicate exempts', async () => {
+        await expect(processMessage('chan', viewerTags(), '!aigame list')).resolves.toBe(true);
+
+        expect(isLlmSourceAllowed).not.toHaveBeenCalled();
+        expect(commandHandlers.aigame.execute).toHaveBeenCalled();
+    });
+});
+
+describe('commandProcessor built-ins that yield to custom commands', () => {
+    let messageCounter = 0;
+    const viewerTags = () => ({ username: 'viewer', 'display-name': 'Viewer', id: `yield-${++messageCounter}` });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCustomCommand.mockResolvedValue(null);
+        getCommandAlias.mockResolvedValue(null);
+        incrementUseCount.mockResolvedValue(1);
+        enqueueMessage.mockResolvedValue();
+        isCommandDisabled.mockReturnValue(false);
+    });
+
+    test('runs the custom command of the same name while the built-in steps aside', async () => {
+        commandHandlers.join.yieldsToCustomCommand.mockResolvedValue(true);
+        getCustomCommand.mockResolvedValue({ response: 'You joined the queue', permission: 'everyone', cooldownMs: 0, type: 'text' });
+
+        await expect(processMessage('chan', viewerTags(), '!join')).resolves.toBe(true);
+
+        expect(commandHandlers.join.yieldsToCustomCommand).toHaveBeenCalledWith('chan', []);
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'You joined the queue', expect.anything());
+        expect(commandHandlers.join.execute).not.toHaveBeenCalled();
+    });
+
+    test('runs the built-in when the channel has no command of that name', async () => {
+        commandHandlers.join.yieldsToCustomCommand.mockResolvedValue(true);
+
+        await expect(processMessage('chan', viewerTags(), '!join red')).resolves.toBe(true);
+
+        expect(commandHandlers.join.execute).toHaveBeenCalledWith(expect.objectContaining({ args: ['red'] }));
+    });
+
+    test('runs the built-in over a custom command while its feature is on', async () => {
+        commandHandlers.join.yieldsToCustomCommand.mockResolvedValue(false);
+        getCustomCommand.mockResolvedValue({ response: 'You joined the queue', permission: 'everyone', cooldownMs: 0, type: 'text' });
+
+        await expect(processMessage('chan', viewerTags(), '!join')).resolves.toBe(true);
+
+        expect(getCustomCommand).not.toHaveBeenCalled();
+        expect(commandHandlers.join.execute).toHaveBeenCalled();
+    });
+});
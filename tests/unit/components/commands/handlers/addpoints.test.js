@@ -0,0 +1,55 @@
+// tests/unit/components/commands/handlers/addpoints.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/points/pointsStorage.js', () => ({
+    ...jest.requireActual('../../../../../src/components/points/pointsStorage.js'),
+    getPointsSettings: jest.fn(),
+    addPoints: jest.fn(),
+}));
+
+import addPointsHandler from '../../../../../src/components/commands/handlers/addpoints.js';
+import { getPointsSettings, addPoints, DEFAULT_POINTS_SETTINGS } from '../../../../../src/components/points/pointsStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('AddPoints Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getPointsSettings.mockResolvedValue(DEFAULT_POINTS_SETTINGS);
+    });
+
+    test('is restricted to moderators', () => {
+        expect(addPointsHandler.permission).toBe('moderator');
+    });
+
+    test('adds and takes away points', async () => {
+        addPoints.mockResolvedValueOnce(5500).mockResolvedValueOnce(5000);
+
+        await addPointsHandler.execute(createMockContext(['@Viewer', '5,000']));
+        await addPointsHandler.execute(createMockContext(['viewer', '-500']));
+
+        expect(addPoints).toHaveBeenNthCalledWith(1, 'testchannel', { login: 'viewer' }, 5000);
+        expect(addPoints).toHaveBeenNthCalledWith(2, 'testchannel', { login: 'viewer' }, -500);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Added 5,000 points to viewer. They now have 5,500 points.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Took 500 points from viewer. They now have 5,000 points.', reply);
+    });
+
+    test('checks the arguments', async () => {
+        await addPointsHandler.execute(createMockContext(['viewer', '0']));
+        await addPointsHandler.execute(createMockContext(['viewer', 'lots']));
+        await addPointsHandler.execute(createMockContext([]));
+
+        expect(addPoints).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledTimes(3);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Usage: !addpoints'), reply);
+    });
+});
@@ -0,0 +1,148 @@
+// tests/unit/components/commands/handlers/checkins.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/lib/permissions.js', () => ({
+    isPrivilegedUser: jest.fn(),
+}));
+jest.mock('../../../../../src/components/customCommands/variableParser.js', () => ({
+    validateTemplate: jest.fn(() => null),
+}));
+jest.mock('../../../../../src/components/customCommands/checkinStorage.js', () => ({
+    getCheckinConfig: jest.fn(),
+    saveCheckinConfig: jest.fn(),
+    getCheckinStats: jest.fn(),
+    getCheckinLeaderboard: jest.fn(),
+    CHECKIN_STREAK_MODES: ['day', 'stream'],
+    SUGGESTED_CHECKIN_MILESTONES: [10, 25, 50],
+}));
+
+import checkinsHandler from '../../../../../src/components/commands/handlers/checkins.js';
+import {
+    getCheckinConfig,
+    saveCheckinConfig,
+    getCheckinStats,
+    getCheckinLeaderboard,
+} from '../../../../../src/components/customCommands/checkinStorage.js';
+import { validateTemplate } from '../../../../../src/components/customCommands/variableParser.js';
+import { isPrivilegedUser } from '../../../../../src/lib/permissions.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Checkins Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'viewer', 'display-name': 'Viewer', 'user-id': 'u1', id: 'msg-1' },
+        args,
+        logger,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCheckinConfig.mockResolvedValue({ enabled: true, streakMode: 'day' });
+        saveCheckinConfig.mockResolvedValue(true);
+        isPrivilegedUser.mockReturnValue(true);
+    });
+
+    test('shows the viewer their count, rank and streak', async () => {
+        getCheckinStats.mockResolvedValue({ count: 12, streak: 3, bestStreak: 5, rank: 2 });
+
+        await checkinsHandler.execute(createMockContext());
+
+        expect(getCheckinStats).toHaveBeenCalledWith('testchannel', 'u1');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Viewer has checked in 12 times, rank #2, with a 3-day streak (best 5).', { replyToId: 'msg-1' });
+    });
+
+    test('counts streams in stream mode and explains a broken streak', async () => {
+        getCheckinConfig.mockResolvedValue({ enabled: true, streakMode: 'stream' });
+        getCheckinStats.mockResolvedValueOnce({ count: 1, streak: 1, bestStreak: 1, rank: null })
+            .mockResolvedValueOnce({ count: 4, streak: 0, bestStreak: 2, rank: 3 });
+
+        await checkinsHandler.execute(createMockContext());
+        await checkinsHandler.execute(createMockContext());
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel',
+            'Viewer has checked in 1 time, with a 1-stream streak (best 1).', { replyToId: 'msg-1' });
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel',
+            'Viewer has checked in 4 times, rank #3, with no current streak (best 2).', { replyToId: 'msg-1' });
+    });
+
+    test('invites viewers who have not checked in yet', async () => {
+        getCheckinStats.mockResolvedValue(null);
+
+        await checkinsHandler.execute(createMockContext());
+
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining("you haven't checked in yet"), { replyToId: 'msg-1' });
+    });
+
+    test('lists the leaderboard', async () => {
+        getCheckinLeaderboard.mockResolvedValue([
+            { userId: 'a', displayName: 'Alice', count: 40, streak: 6 },
+            { userId: 'b', displayName: 'Bob', count: 31, streak: 0 },
+        ]);
+
+        await checkinsHandler.execute(createMockContext(['top']));
+
+        expect(getCheckinLeaderboard).toHaveBeenCalledWith('testchannel', 5);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Top check-ins: 1. Alice (40, 6 streak), 2. Bob (31)', { replyToId: 'msg-1' });
+    });
+
+    test('says so when check-ins are not set up', async () => {
+        getCheckinConfig.mockResolvedValue(null);
+
+        await checkinsHandler.execute(createMockContext(['top']));
+
+        expect(getCheckinLeaderboard).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', "Daily check-ins aren't set up in this channel.", { replyToId: 'msg-1' });
+    });
+
+    describe('settings', () => {
+        test('are limited to moderators', async () => {
+            isPrivilegedUser.mockReturnValue(false);
+
+            await checkinsHandler.execute(createMockContext(['streak', 'stream']));
+
+            expect(saveCheckinConfig).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Only mods/broadcaster'), { replyToId: 'msg-1' });
+        });
+
+        test('streak sets the streak mode', async () => {
+            await checkinsHandler.execute(createMockContext(['streak', 'Stream']));
+            await checkinsHandler.execute(createMockContext(['streak', 'weekly']));
+
+            expect(saveCheckinConfig).toHaveBeenCalledTimes(1);
+            expect(saveCheckinConfig).toHaveBeenCalledWith('testchannel', { streakMode: 'stream' });
+            expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Usage: !checkins streak day|stream', { replyToId: 'msg-1' });
+        });
+
+        test('milestones are sorted, and can be turned off or on', async () => {
+            await checkinsHandler.execute(createMockContext(['milestones', '50,', '10', '25', '10']));
+            await checkinsHandler.execute(createMockContext(['milestones', 'off']));
+            await checkinsHandler.execute(createMockContext(['milestones', 'on']));
+            await checkinsHandler.execute(createMockContext(['milestones', 'ten']));
+
+            expect(saveCheckinConfig.mock.calls.map(call => call[1])).toEqual([
+                { milestones: [10, 25, 50] },
+                { milestones: [] },
+                { milestones: [10, 25, 50] },
+            ]);
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Check-in milestones: 10, 25, 50.', { replyToId: 'msg-1' });
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Check-in milestone messages are off.', { replyToId: 'msg-1' });
+        });
+
+        test('milestonemsg validates the template', async () => {
+            validateTemplate.mockReturnValueOnce('unknown variable $(nope)');
+
+            await checkinsHandler.execute(createMockContext(['milestonemsg', '$(nope)']));
+            await checkinsHandler.execute(createMockContext(['milestonemsg', '$(user)', 'hit', '$(checkin_count)!']));
+            await checkinsHandler.execute(createMockContext(['milestonemsg', 'default']));
+
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel',
+                'Milestone message was not saved: unknown variable $(nope).', { replyToId: 'msg-1' });
+            expect(saveCheckinConfig).toHaveBeenNthCalledWith(1, 'testchannel', { milestoneTemplate: '$(user) hit $(checkin_count)!' });
+            expect(saveCheckinConfig).toHaveBeenNthCalledWith(2, 'testchannel', { milestoneTemplate: null });
+        });
+    });
+});
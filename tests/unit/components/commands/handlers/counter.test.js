@@ -0,0 +1,87 @@
+// tests/unit/components/commands/handlers/counter.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    getCounter: jest.fn(),
+    getAllCounters: jest.fn(),
+    setCounter: jest.fn(),
+    normalizeVariableName: jest.requireActual('../../../../../src/components/customCommands/customCommandsStorage.js').normalizeVariableName,
+}));
+
+import counterHandler from '../../../../../src/components/commands/handlers/counter.js';
+import { getCounter, getAllCounters, setCounter } from '../../../../../src/components/customCommands/customCommandsStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Counter Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: '123' },
+        args,
+        logger,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        enqueueMessage.mockResolvedValue();
+        setCounter.mockImplementation(async (channel, name, value) => value);
+    });
+
+    test('is restricted to moderators', () => {
+        expect(counterHandler.permission).toBe('moderator');
+    });
+
+    test('lists counters when called without arguments', async () => {
+        getAllCounters.mockResolvedValue([{ name: 'deaths', value: 12 }, { name: 'wins', value: 3 }]);
+        await counterHandler.execute(createMockContext());
+        expect(getAllCounters).toHaveBeenCalledWith('testchannel');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Counters: deaths: 12, wins: 3', { replyToId: '123' });
+    });
+
+    test('explains how to create counters when there are none', async () => {
+        getAllCounters.mockResolvedValue([]);
+        await counterHandler.execute(createMockContext(['list']));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('No counters yet'), { replyToId: '123' });
+    });
+
+    test('shows a counter', async () => {
+        getCounter.mockResolvedValue(7);
+        await counterHandler.execute(createMockContext(['show', 'Deaths']));
+        expect(getCounter).toHaveBeenCalledWith('testchannel', 'deaths');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Counter "deaths" is 7.', { replyToId: '123' });
+    });
+
+    test('sets a counter', async () => {
+        await counterHandler.execute(createMockContext(['set', 'deaths', '-4']));
+        expect(setCounter).toHaveBeenCalledWith('testchannel', 'deaths', -4);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Counter "deaths" is now -4.', { replyToId: '123' });
+    });
+
+    test('rejects a non-numeric value', async () => {
+        await counterHandler.execute(createMockContext(['set', 'deaths', 'lots']));
+        expect(setCounter).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('whole number'), { replyToId: '123' });
+    });
+
+    test('resets a counter to 0', async () => {
+        await counterHandler.execute(createMockContext(['reset', 'deaths']));
+        expect(setCounter).toHaveBeenCalledWith('testchannel', 'deaths', 0);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Counter "deaths" has been reset to 0.', { replyToId: '123' });
+    });
+
+    test('rejects invalid names and unknown subcommands', async () => {
+        await counterHandler.execute(createMockContext(['set', 'bad-name', '1']));
+        await counterHandler.execute(createMockContext(['bump', 'deaths']));
+        expect(setCounter).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', expect.stringContaining('Names use letters'), { replyToId: '123' });
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', expect.stringContaining('Usage: !counter'), { replyToId: '123' });
+    });
+
+    test('reports storage errors', async () => {
+        setCounter.mockRejectedValue(new Error('Firestore down'));
+        await counterHandler.execute(createMockContext(['set', 'deaths', '1']));
+        expect(logger.error).toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Error updating counter'), { replyToId: '123' });
+    });
+});
@@ -437,6 +437,17 @@ describe('gameHandlerUtils', () => {
 
             expect(manager.configureGame).toHaveBeenCalledWith('testchannel', { questionTimeSeconds: 45 });
         });
+
+        test('should accept key=value options mixed with key value pairs', async () => {
+            const manager = createManager();
+            const gameCtx = createGameCtx({ isMod: true, args: ['config', 'difficulty=hard', 'time', '25'] });
+            await handleConfig(gameCtx, manager, schema, usage, 'Trivia');
+
+            expect(manager.configureGame).toHaveBeenCalledWith('testchannel', {
+                difficulty: 'hard',
+                questionTimeSeconds: 25,
+            });
+        });
     });
 
     // --- validateRounds ---
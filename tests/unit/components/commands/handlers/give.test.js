@@ -0,0 +1,87 @@
+// tests/unit/components/commands/handlers/give.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/points/pointsStorage.js', () => ({
+    ...jest.requireActual('../../../../../src/components/points/pointsStorage.js'),
+    getPointsSettings: jest.fn(),
+    transferPoints: jest.fn(),
+}));
+
+import giveHandler from '../../../../../src/components/commands/handlers/give.js';
+import {
+    getPointsSettings,
+    transferPoints,
+    PointsStorageError,
+    InsufficientPointsError,
+    DEFAULT_POINTS_SETTINGS,
+} from '../../../../../src/components/points/pointsStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Give Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'giver', 'display-name': 'Giver', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getPointsSettings.mockResolvedValue({ ...DEFAULT_POINTS_SETTINGS, enabled: true });
+    });
+
+    test('gives points to another viewer', async () => {
+        transferPoints.mockResolvedValue({ amount: 1000, fromPoints: 250, toPoints: 1500, toDisplayName: 'Friend' });
+
+        await giveHandler.execute(createMockContext(['@Friend', '1,000']));
+
+        expect(transferPoints).toHaveBeenCalledWith('testchannel', 'giver', 'friend', 1000);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Giver gave 1,000 points to Friend. Giver now has 250 points.', reply);
+    });
+
+    test('can give everything', async () => {
+        transferPoints.mockResolvedValue({ amount: 40, fromPoints: 0, toPoints: 40, toDisplayName: 'Friend' });
+
+        await giveHandler.execute(createMockContext(['friend', 'ALL']));
+
+        expect(transferPoints).toHaveBeenCalledWith('testchannel', 'giver', 'friend', 'all');
+    });
+
+    test('checks the target and amount', async () => {
+        await giveHandler.execute(createMockContext(['friend', '-5']));
+        await giveHandler.execute(createMockContext(['friend']));
+        await giveHandler.execute(createMockContext(['giver', '5']));
+
+        expect(transferPoints).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Usage: !give <user> <amount|all>', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', "You can't give points to yourself.", reply);
+    });
+
+    test('relays why a transfer was refused', async () => {
+        getPointsSettings.mockResolvedValue({ ...DEFAULT_POINTS_SETTINGS, enabled: true, currency: 'gems' });
+        transferPoints.mockRejectedValueOnce(new InsufficientPointsError(1234))
+            .mockRejectedValueOnce(new PointsStorageError("stranger hasn't earned anything here yet."))
+            .mockRejectedValueOnce(new PointsStorageError('Failed to transfer', new Error('Firestore down')));
+
+        await giveHandler.execute(createMockContext(['friend', '5000']));
+        await giveHandler.execute(createMockContext(['stranger', '5']));
+        await giveHandler.execute(createMockContext(['friend', '5']));
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'You only have 1,234 gems to give.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', "stranger hasn't earned anything here yet.", reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', "Couldn't give gems right now. Please try again later.", reply);
+    });
+
+    test('says so when points are off', async () => {
+        getPointsSettings.mockResolvedValue(DEFAULT_POINTS_SETTINGS);
+
+        await giveHandler.execute(createMockContext(['friend', '5']));
+
+        expect(transferPoints).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', "Points aren't turned on in this channel.", reply);
+    });
+});
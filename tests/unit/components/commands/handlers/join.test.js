@@ -0,0 +1,51 @@
+// tests/unit/components/commands/handlers/join.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+
+import joinHandler from '../../../../../src/components/commands/handlers/join.js';
+import { enableTeamMode, disableTeamMode } from '../../../../../src/components/teams/teamManager.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Join Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'viewer', 'display-name': 'Viewer', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        disableTeamMode('testchannel');
+    });
+
+    test('joins, stays on and switches teams', async () => {
+        enableTeamMode('testchannel');
+
+        await joinHandler.execute(createMockContext());
+        await joinHandler.execute(createMockContext(['red']));
+        await joinHandler.execute(createMockContext(['Blue']));
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Viewer joined Team Red!', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', "Viewer, you're already on Team Red.", reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', 'Viewer switched to Team Blue!', reply);
+    });
+
+    test('explains why joining failed', async () => {
+        await joinHandler.execute(createMockContext(['red']));
+        enableTeamMode('testchannel');
+        await joinHandler.execute(createMockContext(['green']));
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', "Team mode isn't on right now.", reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'There\'s no team "green". Teams: red, blue.', reply);
+    });
+
+    test('leaves the name to custom commands while team mode is off', () => {
+        expect(joinHandler.yieldsToCustomCommand('testchannel')).toBe(true);
+        enableTeamMode('testchannel');
+        expect(joinHandler.yieldsToCustomCommand('testchannel')).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+// tests/unit/components/commands/handlers/leaderboard.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/lib/permissions.js', () => ({
+    isPrivilegedUser: jest.fn(),
+}));
+jest.mock('../../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    getGameLeaderboard: jest.fn(),
+    getSeasonArchive: jest.fn(),
+    getCurrentSeason: jest.fn(),
+    startNewSeason: jest.fn(),
+}));
+
+import leaderboardHandler from '../../../../../src/components/commands/handlers/leaderboard.js';
+import {
+    getGameLeaderboard,
+    getSeasonArchive,
+    getCurrentSeason,
+    startNewSeason,
+} from '../../../../../src/components/gameProfiles/gameProfileStorage.js';
+import { isPrivilegedUser } from '../../../../../src/lib/permissions.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Leaderboard Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+    const standings = [
+        { login: 'alice', displayName: 'Alice', points: 1200, wins: 10, rank: 1 },
+        { login: 'bob', displayName: 'Bob', points: 300, wins: 2, rank: 2 },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        isPrivilegedUser.mockReturnValue(true);
+        getGameLeaderboard.mockResolvedValue(standings);
+        getCurrentSeason.mockResolvedValue(3);
+    });
+
+    test('shows the season leaderboard by default', async () => {
+        await leaderboardHandler.execute(createMockContext());
+
+        expect(getGameLeaderboard).toHaveBeenCalledWith('testchannel', 'all', 5);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Top players this season: 1. Alice (1,200), 2. Bob (300)', reply);
+    });
+
+    test('shows weekly and monthly windows', async () => {
+        getGameLeaderboard.mockResolvedValueOnce(standings).mockResolvedValueOnce([]);
+
+        await leaderboardHandler.execute(createMockContext(['weekly']));
+        await leaderboardHandler.execute(createMockContext(['month']));
+        await leaderboardHandler.execute(createMockContext(['yesterday']));
+
+        expect(getGameLeaderboard).toHaveBeenNthCalledWith(1, 'testchannel', 'week', 5);
+        expect(getGameLeaderboard).toHaveBeenNthCalledWith(2, 'testchannel', 'month', 5);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Top players this week: 1. Alice (1,200), 2. Bob (300)', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Nobody has won a game round this month yet.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', expect.stringContaining('Usage: !leaderboard'), reply);
+    });
+
+    test('shows archived seasons', async () => {
+        getSeasonArchive.mockResolvedValueOnce({ season: 2, standings }).mockResolvedValue(null);
+
+        await leaderboardHandler.execute(createMockContext(['season', '2']));
+        await leaderboardHandler.execute(createMockContext(['season', '3']));
+        await leaderboardHandler.execute(createMockContext(['season', '9']));
+
+        expect(getSeasonArchive).toHaveBeenNthCalledWith(1, 'testchannel', 2);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Season 2 final standings: 1. Alice (1,200), 2. Bob (300)', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Season 3 is still going. Use !leaderboard to see it.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', "There's no season 9 on record.", reply);
+    });
+
+    describe('newseason', () => {
+        test('is limited to moderators', async () => {
+            isPrivilegedUser.mockReturnValue(false);
+
+            await leaderboardHandler.execute(createMockContext(['newseason']));
+
+            expect(startNewSeason).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Only mods/broadcaster can start a new season.', reply);
+        });
+
+        test('archives the season and announces the winners', async () => {
+            startNewSeason.mockResolvedValue({ season: 3, standings });
+
+            await leaderboardHandler.execute(createMockContext(['newseason']));
+
+            expect(startNewSeason).toHaveBeenCalledWith('testchannel', 'moduser');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Season 3 is over! Final standings: 1. Alice (1,200), 2. Bob (300). Season 4 starts now.', reply);
+        });
+    });
+
+    test('reports storage errors', async () => {
+        getGameLeaderboard.mockRejectedValue(new Error('Firestore down'));
+
+        await leaderboardHandler.execute(createMockContext());
+
+        expect(logger.error).toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', "Couldn't load the leaderboard right now. Please try again later.", reply);
+    });
+});
@@ -0,0 +1,69 @@
+// tests/unit/components/commands/handlers/permit.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/moderation/linkPermits.js', () => ({
+    grantLinkPermit: jest.fn(),
+    DEFAULT_PERMIT_SECONDS: 60,
+    MAX_PERMIT_SECONDS: 3600,
+}));
+jest.mock('../../../../../src/components/moderation/moderationManager.js', () => ({
+    getModerationConfig: jest.fn(),
+}));
+
+import permitHandler from '../../../../../src/components/commands/handlers/permit.js';
+import { grantLinkPermit } from '../../../../../src/components/moderation/linkPermits.js';
+import { getModerationConfig } from '../../../../../src/components/moderation/moderationManager.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Permit Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: '123' },
+        args,
+        logger,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        enqueueMessage.mockResolvedValue();
+        grantLinkPermit.mockImplementation(async (channel, user, seconds) => seconds);
+        getModerationConfig.mockReturnValue({ enabled: true, rules: { links: { enabled: true } } });
+    });
+
+    test('is restricted to moderators', () => {
+        expect(permitHandler.permission).toBe('moderator');
+    });
+
+    test('grants the default permit', async () => {
+        await permitHandler.execute(createMockContext(['@SomeViewer']));
+
+        expect(grantLinkPermit).toHaveBeenCalledWith('testchannel', 'someviewer', 60);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', '@someviewer can post links for the next 60 seconds.', { replyToId: '123' });
+    });
+
+    test('accepts a custom duration', async () => {
+        await permitHandler.execute(createMockContext(['someviewer', '120']));
+        expect(grantLinkPermit).toHaveBeenCalledWith('testchannel', 'someviewer', 120);
+    });
+
+    test('shows usage for a missing or invalid user', async () => {
+        await permitHandler.execute(createMockContext([]));
+        expect(grantLinkPermit).not.toHaveBeenCalled();
+        expect(enqueueMessage.mock.calls[0][1]).toMatch(/^Usage: !permit/);
+    });
+
+    test('rejects a non-positive duration', async () => {
+        await permitHandler.execute(createMockContext(['someviewer', '-5']));
+        expect(grantLinkPermit).not.toHaveBeenCalled();
+    });
+
+    test('explains when links are not filtered', async () => {
+        getModerationConfig.mockReturnValue({ enabled: true, rules: { links: { enabled: false } } });
+        await permitHandler.execute(createMockContext(['someviewer']));
+
+        expect(grantLinkPermit).not.toHaveBeenCalled();
+        expect(enqueueMessage.mock.calls[0][1]).toContain("doesn't need a permit");
+    });
+});
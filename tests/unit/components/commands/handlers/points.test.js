@@ -0,0 +1,120 @@
+// tests/unit/components/commands/handlers/points.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/lib/permissions.js', () => ({
+    isPrivilegedUser: jest.fn(),
+}));
+jest.mock('../../../../../src/components/points/pointsStorage.js', () => ({
+    ...jest.requireActual('../../../../../src/components/points/pointsStorage.js'),
+    getPointsSettings: jest.fn(),
+    updatePointsSettings: jest.fn(),
+    getViewerPoints: jest.fn(),
+    getPointsRank: jest.fn(),
+}));
+
+import pointsHandler from '../../../../../src/components/commands/handlers/points.js';
+import {
+    getPointsSettings,
+    updatePointsSettings,
+    getViewerPoints,
+    getPointsRank,
+    DEFAULT_POINTS_SETTINGS,
+} from '../../../../../src/components/points/pointsStorage.js';
+import { isPrivilegedUser } from '../../../../../src/lib/permissions.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Points Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'viewer', 'display-name': 'Viewer', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getPointsSettings.mockResolvedValue({ ...DEFAULT_POINTS_SETTINGS, enabled: true, currency: 'gems' });
+        updatePointsSettings.mockResolvedValue(true);
+        isPrivilegedUser.mockReturnValue(true);
+        getPointsRank.mockResolvedValue(4);
+    });
+
+    test('shows the sender their balance and rank', async () => {
+        getViewerPoints.mockResolvedValue({ login: 'viewer', displayName: 'Viewer', points: 1250, earned: 1300 });
+
+        await pointsHandler.execute(createMockContext());
+
+        expect(getViewerPoints).toHaveBeenCalledWith('testchannel', 'viewer');
+        expect(getPointsRank).toHaveBeenCalledWith('testchannel', 1250);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Viewer has 1,250 gems (rank #4).', reply);
+    });
+
+    test('looks up another viewer', async () => {
+        getViewerPoints.mockResolvedValue(null);
+
+        await pointsHandler.execute(createMockContext(['@Someone']));
+
+        expect(getViewerPoints).toHaveBeenCalledWith('testchannel', 'someone');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'someone has 0 gems.', reply);
+    });
+
+    test('says so when points are off', async () => {
+        getPointsSettings.mockResolvedValue(DEFAULT_POINTS_SETTINGS);
+
+        await pointsHandler.execute(createMockContext());
+
+        expect(getViewerPoints).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', "Points aren't turned on in this channel.", reply);
+    });
+
+    describe('settings', () => {
+        test('are limited to moderators', async () => {
+            isPrivilegedUser.mockReturnValue(false);
+
+            await pointsHandler.execute(createMockContext(['on']));
+
+            expect(updatePointsSettings).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Only mods/broadcaster can change points settings.', reply);
+        });
+
+        test('turn points on and rename the currency', async () => {
+            await pointsHandler.execute(createMockContext(['on']));
+            await pointsHandler.execute(createMockContext(['name', 'Wildcat', 'Coins']));
+            await pointsHandler.execute(createMockContext(['name', '<script>']));
+
+            expect(updatePointsSettings).toHaveBeenNthCalledWith(1, 'testchannel', { enabled: true });
+            expect(updatePointsSettings).toHaveBeenNthCalledWith(2, 'testchannel', { currency: 'Wildcat Coins' });
+            expect(updatePointsSettings).toHaveBeenCalledTimes(2);
+            expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Usage: !points name <currency name>', reply);
+        });
+
+        test('rate sets what an earning source gives', async () => {
+            await pointsHandler.execute(createMockContext(['rate', 'giftsub', '200']));
+            await pointsHandler.execute(createMockContext(['rate', 'game', '0']));
+            await pointsHandler.execute(createMockContext(['rate', 'dance', '5']));
+
+            expect(updatePointsSettings).toHaveBeenNthCalledWith(1, 'testchannel', { giftSub: 200 });
+            expect(updatePointsSettings).toHaveBeenNthCalledWith(2, 'testchannel', { gameWin: 0 });
+            expect(updatePointsSettings).toHaveBeenCalledTimes(2);
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'The giftsub rate is now 200.', reply);
+        });
+
+        test('settings lists the rates', async () => {
+            await pointsHandler.execute(createMockContext(['settings']));
+
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Points are on. Currency: gems. Rates: chat 5, watch 10, follow 50, sub 250, giftsub 100, raid 100, game 25.', reply);
+        });
+    });
+
+    test('leaves the name to custom commands while points are off, except for the settings', async () => {
+        await expect(pointsHandler.yieldsToCustomCommand('testchannel', [])).resolves.toBe(false);
+
+        getPointsSettings.mockResolvedValue({ ...DEFAULT_POINTS_SETTINGS });
+        await expect(pointsHandler.yieldsToCustomCommand('testchannel', [])).resolves.toBe(true);
+        await expect(pointsHandler.yieldsToCustomCommand('testchannel', ['On'])).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+// tests/unit/components/commands/handlers/profile.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    getPlayerProfile: jest.fn(),
+}));
+
+import profileHandler from '../../../../../src/components/commands/handlers/profile.js';
+import { getPlayerProfile } from '../../../../../src/components/gameProfiles/gameProfileStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Profile Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'viewer', 'display-name': 'Viewer', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test("shows the sender's profile", async () => {
+        getPlayerProfile.mockResolvedValue({
+            login: 'viewer',
+            displayName: 'Viewer',
+            points: 1250,
+            wins: 9,
+            rank: 2,
+            careerPoints: 3000,
+            careerWins: 20,
+            games: { trivia: { wins: 6, points: 900 }, geo: { wins: 0, points: 0 }, riddle: { wins: 3, points: 350 } },
+            bestStreak: 4,
+            favouriteTopics: ['space', 'history'],
+        });
+
+        await profileHandler.execute(createMockContext());
+
+        expect(getPlayerProfile).toHaveBeenCalledWith('testchannel', 'viewer');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Viewer: 1,250 points from 9 wins this season (rank #2) | Wins: Trivia 6, Riddle 3 | All-time: 3,000 points, 20 wins | Best streak: 4 | Favourite topics: space, history',
+            reply);
+    });
+
+    test('looks up another player and handles newcomers', async () => {
+        getPlayerProfile.mockResolvedValueOnce({
+            login: 'someone',
+            displayName: 'Someone',
+            points: 0,
+            wins: 0,
+            rank: null,
+            careerPoints: 0,
+            careerWins: 0,
+            games: { trivia: { wins: 0, points: 0 }, geo: { wins: 0, points: 0 }, riddle: { wins: 0, points: 0 } },
+            bestStreak: 0,
+            favouriteTopics: [],
+        }).mockResolvedValueOnce(null);
+
+        await profileHandler.execute(createMockContext(['@Someone']));
+        await profileHandler.execute(createMockContext(['stranger']));
+
+        expect(getPlayerProfile).toHaveBeenNthCalledWith(1, 'testchannel', 'someone');
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Someone: 0 points from 0 wins this season', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', "stranger hasn't won a game round here yet.", reply);
+    });
+
+    test('reports storage errors', async () => {
+        getPlayerProfile.mockRejectedValue(new Error('Firestore down'));
+
+        await profileHandler.execute(createMockContext());
+
+        expect(logger.error).toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', "Couldn't load that profile right now. Please try again later.", reply);
+    });
+});
@@ -0,0 +1,207 @@
+// tests/unit/components/commands/handlers/reward.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/rewards/rewardStorage.js', () => ({
+    ...jest.requireActual('../../../../../src/components/rewards/rewardStorage.js'),
+    addReward: jest.fn(),
+    updateReward: jest.fn(),
+    removeReward: jest.fn(),
+    getReward: jest.fn(),
+    getRewardsForChannel: jest.fn(),
+}));
+jest.mock('../../../../../src/components/rewards/rewardActions.js', () => ({
+    parseRewardAction: jest.fn(),
+    describeRewardAction: jest.fn(() => 'does a thing'),
+    actionNeedsInput: jest.fn(() => false),
+    getRewardActionUsages: jest.fn(() => ['text <response>']),
+}));
+jest.mock('../../../../../src/components/twitch/channelPoints.js', () => ({
+    listChannelRewards: jest.fn(),
+    createChannelReward: jest.fn(),
+    updateChannelReward: jest.fn(),
+    deleteChannelReward: jest.fn(),
+}));
+
+import rewardHandler from '../../../../../src/components/commands/handlers/reward.js';
+import {
+    addReward,
+    updateReward,
+    removeReward,
+    getReward,
+    RewardStorageError,
+} from '../../../../../src/components/rewards/rewardStorage.js';
+import { parseRewardAction, actionNeedsInput } from '../../../../../src/components/rewards/rewardActions.js';
+import {
+    listChannelRewards,
+    createChannelReward,
+    updateChannelReward,
+    deleteChannelReward,
+} from '../../../../../src/components/twitch/channelPoints.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Reward Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: '123' },
+        args,
+        logger,
+    });
+    const textAction = { type: 'text', response: 'Stay hydrated!' };
+    const managed = { name: 'hydrate', rewardId: 'r-1', title: 'Hydrate', cost: 100, action: textAction, managed: true };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getReward.mockResolvedValue(null);
+        parseRewardAction.mockReturnValue({ action: textAction });
+        actionNeedsInput.mockReturnValue(false);
+        addReward.mockResolvedValue(true);
+        updateReward.mockResolvedValue(true);
+        removeReward.mockResolvedValue(true);
+        createChannelReward.mockResolvedValue({ success: true, reward: { id: 'r-1' } });
+        updateChannelReward.mockResolvedValue({ success: true });
+        deleteChannelReward.mockResolvedValue({ success: true });
+    });
+
+    test('is restricted to moderators', () => {
+        expect(rewardHandler.permission).toBe('moderator');
+    });
+
+    describe('create', () => {
+        test('creates the reward on Twitch and saves it as managed', async () => {
+            await rewardHandler.execute(createMockContext(['create', 'hydrate', '100', '"Drink', 'water"', 'text', 'Stay', 'hydrated!']));
+
+            expect(parseRewardAction).toHaveBeenCalledWith(['text', 'Stay', 'hydrated!']);
+            expect(createChannelReward).toHaveBeenCalledWith('testchannel', {
+                title: 'Drink water',
+                cost: 100,
+                is_user_input_required: false,
+                should_redemptions_skip_request_queue: false,
+            });
+            expect(addReward).toHaveBeenCalledWith('testchannel', 'hydrate',
+                { rewardId: 'r-1', title: 'Drink water', cost: 100, action: textAction, managed: true }, 'moduser');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Created channel points reward "Drink water" (100 points), which does a thing.');
+        });
+
+        test('checks the cost and the action before calling Twitch', async () => {
+            await rewardHandler.execute(createMockContext(['create', 'hydrate', 'lots', 'text', 'hi']));
+            parseRewardAction.mockReturnValueOnce({ error: 'Unknown action.' });
+            await rewardHandler.execute(createMockContext(['create', 'hydrate', '100', 'dance']));
+
+            expect(createChannelReward).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', expect.stringContaining('Please give a cost'));
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', expect.stringContaining('was not created: Unknown action.'));
+        });
+
+        test('explains a missing broadcaster token', async () => {
+            createChannelReward.mockResolvedValue({ success: false, noToken: true });
+
+            await rewardHandler.execute(createMockContext(['create', 'hydrate', '100', 'text', 'hi']));
+
+            expect(addReward).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('needs to connect their Twitch account'));
+        });
+
+        test('deletes the new Twitch reward when it cannot be saved', async () => {
+            addReward.mockRejectedValue(new RewardStorageError('This channel already has the maximum of 25 reward actions.'));
+
+            await rewardHandler.execute(createMockContext(['create', 'hydrate', '100', 'text', 'hi']));
+
+            expect(deleteChannelReward).toHaveBeenCalledWith('testchannel', 'r-1');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'This channel already has the maximum of 25 reward actions.');
+        });
+    });
+
+    test('link attaches an existing reward by title without managing it', async () => {
+        listChannelRewards.mockResolvedValue({ success: true, rewards: [{ id: 'r-9', title: 'Hydrate!', cost: 50 }] });
+
+        await rewardHandler.execute(createMockContext(['link', 'hydrate', '"hydrate!"', 'text', 'hi']));
+        await rewardHandler.execute(createMockContext(['link', 'other', '"Nope"', 'text', 'hi']));
+
+        expect(addReward).toHaveBeenCalledTimes(1);
+        expect(addReward).toHaveBeenCalledWith('testchannel', 'hydrate',
+            { rewardId: 'r-9', title: 'Hydrate!', cost: 50, action: textAction, managed: false }, 'moduser');
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'No channel points reward is titled "Nope".');
+    });
+
+    test('action changes what a reward does', async () => {
+        getReward.mockResolvedValue(managed);
+
+        await rewardHandler.execute(createMockContext(['action', 'hydrate', 'text', 'hi']));
+
+        expect(updateChannelReward).not.toHaveBeenCalled();
+        expect(updateReward).toHaveBeenCalledWith('testchannel', 'hydrate', { action: textAction });
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Reward "hydrate" now does a thing.');
+    });
+
+    test('action asks for viewer text on Twitch when a managed reward switches to or from quote', async () => {
+        const quoteAction = { type: 'quote' };
+        actionNeedsInput.mockImplementation(action => action?.type === 'quote');
+        parseRewardAction.mockReturnValue({ action: quoteAction });
+        getReward.mockResolvedValue(managed);
+
+        await rewardHandler.execute(createMockContext(['action', 'hydrate', 'quote']));
+        expect(updateChannelReward).toHaveBeenCalledWith('testchannel', 'r-1', { is_user_input_required: true });
+        expect(updateReward).toHaveBeenCalledWith('testchannel', 'hydrate', { action: quoteAction });
+
+        parseRewardAction.mockReturnValue({ action: textAction });
+        getReward.mockResolvedValue({ ...managed, action: quoteAction });
+        await rewardHandler.execute(createMockContext(['action', 'hydrate', 'text', 'hi']));
+        expect(updateChannelReward).toHaveBeenLastCalledWith('testchannel', 'r-1', { is_user_input_required: false });
+
+    });
+
+    test('action leaves the reward unchanged when Twitch refuses the input change', async () => {
+        actionNeedsInput.mockImplementation(action => action?.type === 'quote');
+        parseRewardAction.mockReturnValue({ action: { type: 'quote' } });
+        getReward.mockResolvedValue(managed);
+        updateChannelReward.mockResolvedValue({ success: false, status: 403 });
+
+        await rewardHandler.execute(createMockContext(['action', 'hydrate', 'quote']));
+
+        expect(updateReward).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Reward "hydrate" was not updated. Twitch refused'));
+    });
+
+    test('options change the Twitch reward and the stored cost', async () => {
+        getReward.mockResolvedValue(managed);
+
+        await rewardHandler.execute(createMockContext(['options', 'hydrate', 'cost=250', 'cooldown=0', 'input=on']));
+
+        expect(updateChannelReward).toHaveBeenCalledWith('testchannel', 'r-1',
+            { cost: 250, is_global_cooldown_enabled: false, is_user_input_required: true });
+        expect(updateReward).toHaveBeenCalledWith('testchannel', 'hydrate', { cost: 250 });
+    });
+
+    test('options are refused for rewards made on Twitch', async () => {
+        getReward.mockResolvedValue({ ...managed, managed: false });
+
+        await rewardHandler.execute(createMockContext(['options', 'hydrate', 'paused=on']));
+
+        expect(updateChannelReward).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Twitch dashboard'));
+    });
+
+    test('disable also turns a managed reward off on Twitch', async () => {
+        getReward.mockResolvedValue(managed);
+
+        await rewardHandler.execute(createMockContext(['disable', 'hydrate']));
+
+        expect(updateChannelReward).toHaveBeenCalledWith('testchannel', 'r-1', { is_enabled: false });
+        expect(updateReward).toHaveBeenCalledWith('testchannel', 'hydrate', { enabled: false });
+    });
+
+    test('remove deletes managed rewards from Twitch, but only unlinks others', async () => {
+        getReward.mockResolvedValueOnce(managed).mockResolvedValueOnce({ ...managed, managed: false });
+
+        await rewardHandler.execute(createMockContext(['remove', 'hydrate']));
+        await rewardHandler.execute(createMockContext(['remove', 'hydrate']));
+
+        expect(deleteChannelReward).toHaveBeenCalledTimes(1);
+        expect(removeReward).toHaveBeenCalledTimes(2);
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel',
+            'Reward "hydrate" has been removed. "Hydrate" is still on Twitch.');
+    });
+});
@@ -0,0 +1,77 @@
+// tests/unit/components/commands/handlers/shoutout.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/shoutouts/shoutoutManager.js', () => ({
+    giveShoutout: jest.fn(),
+    SHOUTOUT_COOLDOWN_MS: 120000,
+}));
+jest.mock('../../../../../src/components/shoutouts/shoutoutStorage.js', () => ({
+    updateShoutoutSettings: jest.fn(),
+}));
+
+import shoutoutHandler from '../../../../../src/components/commands/handlers/shoutout.js';
+import { giveShoutout } from '../../../../../src/components/shoutouts/shoutoutManager.js';
+import { updateShoutoutSettings } from '../../../../../src/components/shoutouts/shoutoutStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Shoutout Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: '123' },
+        args,
+        logger,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        enqueueMessage.mockResolvedValue();
+        giveShoutout.mockResolvedValue({ status: 'sent', displayName: 'Friend', native: true });
+        updateShoutoutSettings.mockResolvedValue(true);
+    });
+
+    test('is restricted to moderators', () => {
+        expect(shoutoutHandler.permission).toBe('moderator');
+    });
+
+    test('shouts out the named channel without an extra chat message', async () => {
+        await shoutoutHandler.execute(createMockContext(['@Friend']));
+
+        expect(giveShoutout).toHaveBeenCalledWith('testchannel', { login: 'friend' });
+        expect(enqueueMessage).not.toHaveBeenCalled();
+    });
+
+    test('shows usage without a valid channel name', async () => {
+        await shoutoutHandler.execute(createMockContext([]));
+        await shoutoutHandler.execute(createMockContext(['not a name!']));
+
+        expect(giveShoutout).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Usage: !shoutout'), { replyToId: '123' });
+    });
+
+    test('explains why a shoutout was not given', async () => {
+        giveShoutout.mockResolvedValueOnce({ status: 'not_found' });
+        await shoutoutHandler.execute(createMockContext(['nobody']));
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', "Couldn't find a Twitch channel named nobody.", { replyToId: '123' });
+
+        giveShoutout.mockResolvedValueOnce({ status: 'cooldown', displayName: 'Friend' });
+        await shoutoutHandler.execute(createMockContext(['friend']));
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Friend was shouted out less than 2 minutes ago.', { replyToId: '123' });
+    });
+
+    test('turns native and raid shoutouts on and off', async () => {
+        await shoutoutHandler.execute(createMockContext(['native', 'off']));
+        expect(updateShoutoutSettings).toHaveBeenCalledWith('testchannel', { native: false });
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Disabled Twitch shoutouts alongside the announcement.', { replyToId: '123' });
+
+        await shoutoutHandler.execute(createMockContext(['raids', 'ON']));
+        expect(updateShoutoutSettings).toHaveBeenCalledWith('testchannel', { raids: true });
+        expect(giveShoutout).not.toHaveBeenCalled();
+    });
+
+    test('treats a channel called "native" as a channel', async () => {
+        await shoutoutHandler.execute(createMockContext(['native']));
+        expect(giveShoutout).toHaveBeenCalledWith('testchannel', { login: 'native' });
+    });
+});
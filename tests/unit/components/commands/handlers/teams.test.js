@@ -0,0 +1,75 @@
+// tests/unit/components/commands/handlers/teams.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/lib/permissions.js', () => ({
+    isPrivilegedUser: jest.fn(),
+}));
+
+import teamsHandler from '../../../../../src/components/commands/handlers/teams.js';
+import {
+    disableTeamMode,
+    isTeamModeActive,
+    joinTeam,
+    scoreForTeam,
+    getTeamStandings,
+} from '../../../../../src/components/teams/teamManager.js';
+import { isPrivilegedUser } from '../../../../../src/lib/permissions.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Teams Command Handler', () => {
+    const createMockContext = (args = []) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', id: 'msg-1' },
+        args,
+        logger,
+    });
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        disableTeamMode('testchannel');
+        isPrivilegedUser.mockReturnValue(true);
+    });
+
+    test('turns team mode on, shows scores and turns it off', async () => {
+        await teamsHandler.execute(createMockContext(['on', 'cats', 'dogs']));
+        joinTeam('testchannel', 'alice', 'dogs');
+        scoreForTeam('testchannel', 'alice', 25);
+        await teamsHandler.execute(createMockContext());
+        await teamsHandler.execute(createMockContext(['off']));
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel',
+            'Team mode is on: Cats vs Dogs! Pick a side with !join cats|dogs, or type !join to be placed on a team. Trivia, geo and riddle wins now score for your team.',
+            reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Team Dogs 25 pts (1 player), Team Cats 0 pts (0 players)', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel',
+            'Team mode is off. 🏆 Team Dogs wins the night with 25 pts! (Dogs 25, Cats 0)', reply);
+        expect(isTeamModeActive('testchannel')).toBe(false);
+    });
+
+    test('reset sets scores back to zero', async () => {
+        await teamsHandler.execute(createMockContext(['reset']));
+        await teamsHandler.execute(createMockContext(['on']));
+        scoreForTeam('testchannel', 'alice', 25);
+        await teamsHandler.execute(createMockContext(['reset']));
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', "Team mode isn't on right now.", reply);
+        expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Team scores are back to zero. Everyone stays on their team.', reply);
+        expect(getTeamStandings('testchannel').map(team => team.score)).toEqual([0, 0]);
+    });
+
+    test('settings are limited to moderators and team names are checked', async () => {
+        isPrivilegedUser.mockReturnValue(false);
+        await teamsHandler.execute(createMockContext(['on']));
+        isPrivilegedUser.mockReturnValue(true);
+        await teamsHandler.execute(createMockContext(['on', 'solo']));
+        await teamsHandler.execute(createMockContext(['shuffle']));
+
+        expect(isTeamModeActive('testchannel')).toBe(false);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Only mods/broadcaster can change team mode.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', 'Pick between 2 and 4 different team names.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', expect.stringContaining('Usage: !teams'), reply);
+    });
+});
@@ -0,0 +1,46 @@
+// tests/unit/components/commands/handlers/top.test.js
+
+jest.mock('../../../../../src/lib/logger.js');
+jest.mock('../../../../../src/lib/ircSender.js');
+jest.mock('../../../../../src/components/points/pointsStorage.js', () => ({
+    getPointsSettings: jest.fn(),
+    getPointsLeaderboard: jest.fn(),
+}));
+
+import topHandler from '../../../../../src/components/commands/handlers/top.js';
+import { getPointsSettings, getPointsLeaderboard } from '../../../../../src/components/points/pointsStorage.js';
+import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
+import logger from '../../../../../src/lib/logger.js';
+
+describe('Top Command Handler', () => {
+    const context = { channel: '#testchannel', user: { username: 'viewer', id: 'msg-1' }, args: [], logger };
+    const reply = { replyToId: 'msg-1' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getPointsSettings.mockResolvedValue({ enabled: true, currency: 'gems' });
+    });
+
+    test('lists the viewers with the most points', async () => {
+        getPointsLeaderboard.mockResolvedValue([
+            { login: 'alice', displayName: 'Alice', points: 12000 },
+            { login: 'bob', displayName: 'Bob', points: 300 },
+            { login: 'cara', displayName: 'Cara', points: 0 },
+        ]);
+
+        await topHandler.execute(context);
+
+        expect(getPointsLeaderboard).toHaveBeenCalledWith('testchannel', 5);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Most gems: 1. Alice (12,000), 2. Bob (300)', reply);
+    });
+
+    test('handles an empty leaderboard and points being off', async () => {
+        getPointsLeaderboard.mockResolvedValue([]);
+        await topHandler.execute(context);
+        getPointsSettings.mockResolvedValue({ enabled: false, currency: 'gems' });
+        await topHandler.execute(context);
+
+        expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Nobody has any gems yet.', reply);
+        expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', "Points aren't turned on in this channel.", reply);
+    });
+});
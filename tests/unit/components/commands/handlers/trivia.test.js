@@ -9,7 +9,7 @@ jest.mock('../../../../../src/components/trivia/triviaMessageFormatter.js');
 import triviaHandler from '../../../../../src/components/commands/handlers/trivia.js';
 import { enqueueMessage } from '../../../../../src/lib/ircSender.js';
 import { getTriviaGameManager } from '../../../../../src/components/trivia/triviaGameManager.js';
-import { getLeaderboard } from '../../../../../src/components/trivia/triviaStorage.js';
+import { getLeaderboard, listTriviaPacks, deleteTriviaPack } from '../../../../../src/components/trivia/triviaStorage.js';
 import { formatHelpMessage } from '../../../../../src/components/trivia/triviaMessageFormatter.js';
 
 describe('Trivia Command Handler', () => {
@@ -49,6 +49,14 @@ describe('Trivia Command Handler', () => {
             expect(triviaHandler.description).toContain('Starts or manages a Trivia game');
             expect(triviaHandler.permission).toBe('everyone');
         });
+
+        test('only pack games without generated questions and the pack list skip the LLM budget', () => {
+            expect(triviaHandler.usesLlm([])).toBe(true);
+            expect(triviaHandler.usesLlm(['science', '3'])).toBe(true);
+            expect(triviaHandler.usesLlm(['pack', 'movies', '3'])).toBe(false);
+            expect(triviaHandler.usesLlm(['Pack', 'movies', 'MIX'])).toBe(true);
+            expect(triviaHandler.usesLlm(['packs'])).toBe(false);
+        });
     });
 
     describe('Starting Games', () => {
@@ -303,6 +311,76 @@ describe('Trivia Command Handler', () => {
         });
     });
 
+    describe('Question Packs', () => {
+        const modUser = { username: 'testuser', 'display-name': 'TestUser', id: '123', mod: '1' };
+
+        test('should start a pack game with rounds and mix in any order', async () => {
+            await triviaHandler.execute(createMockContext(['pack', 'Movies', 'mix', '4']));
+
+            expect(mockTriviaManager.startGame).toHaveBeenCalledWith(
+                'testchannel',
+                null,
+                'testuser',
+                4,
+                { pack: 'movies', mixPack: true }
+            );
+        });
+
+        test('should default a pack game to one unmixed round', async () => {
+            await triviaHandler.execute(createMockContext(['pack', 'movies']));
+
+            expect(mockTriviaManager.startGame).toHaveBeenCalledWith('testchannel', null, 'testuser', 1, { pack: 'movies', mixPack: false });
+        });
+
+        test('should show usage when no pack is named', async () => {
+            await triviaHandler.execute(createMockContext(['pack']));
+
+            expect(mockTriviaManager.startGame).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith(
+                '#testchannel',
+                'Usage: !trivia pack <name> [rounds] [mix]. See the packs with !trivia packs.',
+                { replyToId: '123' }
+            );
+        });
+
+        test('should list the channel\'s packs', async () => {
+            listTriviaPacks.mockResolvedValue([{ name: 'movies', questionCount: 40 }, { name: 'music', questionCount: 12 }]);
+
+            await triviaHandler.execute(createMockContext(['packs']));
+
+            expect(listTriviaPacks).toHaveBeenCalledWith('testchannel');
+            expect(enqueueMessage).toHaveBeenCalledWith(
+                '#testchannel',
+                '📚 Question packs: movies (40), music (12). Play one with !trivia pack <name> [rounds] [mix].',
+                { replyToId: '123' }
+            );
+        });
+
+        test('should say when there are no packs', async () => {
+            listTriviaPacks.mockResolvedValue([]);
+
+            await triviaHandler.execute(createMockContext(['packs']));
+
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'This channel has no question packs yet.', { replyToId: '123' });
+        });
+
+        test('should let mods delete a pack', async () => {
+            deleteTriviaPack.mockResolvedValue(true);
+
+            await triviaHandler.execute(createMockContext(['packs', 'delete', 'Movies'], '#testchannel', modUser));
+
+            expect(deleteTriviaPack).toHaveBeenCalledWith('testchannel', 'movies');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Deleted the movies question pack.', { replyToId: '123' });
+        });
+
+        test('should not let viewers delete packs', async () => {
+            await triviaHandler.execute(createMockContext(['packs', 'delete', 'movies']));
+
+            expect(deleteTriviaPack).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Only mods or the broadcaster can delete question packs.', { replyToId: '123' });
+        });
+    });
+
     describe('Stopping Games', () => {
         test('should stop game when initiator requests', async () => {
             mockTriviaManager.getCurrentGameInitiator.mockReturnValue('testuser');
@@ -0,0 +1,15 @@
+// tests/unit/components/commands/reservedCommandNames.test.js
+// The importer's list of reserved names must match the handler registry.
+
+jest.mock('../../../../src/lib/logger.js');
+
+import commandHandlers from '../../../../src/components/commands/handlers/index.js';
+import { RESERVED_COMMAND_NAMES } from '../../../../src/components/commands/reservedCommandNames.js';
+
+describe('RESERVED_COMMAND_NAMES', () => {
+    test('lists every built-in that does not step aside for custom commands', () => {
+        const reserved = Object.keys(commandHandlers)
+            .filter(name => typeof commandHandlers[name].yieldsToCustomCommand !== 'function');
+        expect([...RESERVED_COMMAND_NAMES].sort()).toEqual(reserved.sort());
+    });
+});
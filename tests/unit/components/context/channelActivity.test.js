@@ -4,6 +4,7 @@ import {
     getLastMessageAt,
     getMessageCount,
     seedLastMessageAt,
+    getRecentChatters,
     _reset,
 } from '../../../../src/components/context/channelActivity.js';
 
@@ -57,4 +58,25 @@ describe('channelActivity', () => {
         expect(getMessageCount('chanb')).toBe(1);
         expect(getLastMessageAt('chana')).toBe(2000);
     });
+
+    test('getRecentChatters lists who chatted since a time, once each', () => {
+        recordChatMessage('chan', 1000, { login: 'Alice', userId: 'a1', displayName: 'Alice' });
+        recordChatMessage('chan', 2000, { login: 'bob', userId: 'b1', displayName: 'Bob' });
+        recordChatMessage('chan', 3000, { login: 'alice' });
+        recordChatMessage('chan', 4000); // no chatter info
+
+        expect(getRecentChatters('chan', 0)).toEqual([
+            { login: 'bob', userId: 'b1', displayName: 'Bob', lastMessageAtMs: 2000 },
+            { login: 'alice', userId: 'a1', displayName: 'Alice', lastMessageAtMs: 3000 },
+        ]);
+        expect(getRecentChatters('chan', 2000).map(c => c.login)).toEqual(['alice']);
+        expect(getRecentChatters('nobody', 0)).toEqual([]);
+    });
+
+    test('chatters quiet for over an hour are forgotten', () => {
+        recordChatMessage('chan', 1000, { login: 'early' });
+        recordChatMessage('chan', 1000 + 61 * 60 * 1000, { login: 'late' });
+
+        expect(getRecentChatters('chan', 0).map(c => c.login)).toEqual(['late']);
+    });
 });
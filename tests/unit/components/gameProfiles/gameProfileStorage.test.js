@@ -0,0 +1,112 @@
+// tests/unit/components/gameProfiles/gameProfileStorage.test.js
+import {
+    recordGameWin,
+    getPlayerProfile,
+    getGameLeaderboard,
+    getLeaderboardPeriods,
+    getCurrentSeason,
+    startNewSeason,
+    getSeasonArchive,
+    GameProfileStorageError,
+} from '../../../../src/components/gameProfiles/gameProfileStorage.js';
+import { getChannelTimezone } from '../../../../src/components/customCommands/customCommandsStorage.js';
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    getChannelTimezone: jest.fn(),
+}));
+jest.mock('../../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+describe('gameProfileStorage', () => {
+    beforeEach(() => {
+        getChannelTimezone.mockResolvedValue('UTC');
+    });
+
+    describe('getLeaderboardPeriods', () => {
+        test('uses ISO weeks and calendar months', async () => {
+            await expect(getLeaderboardPeriods('chan', new Date('2026-10-18T12:00:00Z')))
+                .resolves.toEqual({ week: 'week-2026-W42', month: 'month-2026-10' });
+            // 1 January 2027 is a Friday, so it still belongs to the last week of 2026
+            await expect(getLeaderboardPeriods('chan', new Date('2027-01-01T12:00:00Z')))
+                .resolves.toEqual({ week: 'week-2026-W53', month: 'month-2027-01' });
+        });
+
+        test("follow the channel's timezone", async () => {
+            getChannelTimezone.mockResolvedValue('America/Los_Angeles');
+            await expect(getLeaderboardPeriods('chan', new Date('2026-11-01T03:00:00Z')))
+                .resolves.toEqual({ week: 'week-2026-W44', month: 'month-2026-10' });
+            expect(getChannelTimezone).toHaveBeenCalledWith('chan');
+        });
+    });
+
+    describe('profiles', () => {
+        test('add up wins from every game', async () => {
+            await recordGameWin('Chan', { game: 'trivia', login: 'Alice', displayName: 'Alice', points: 10, streak: 3, topic: 'Space' });
+            await recordGameWin('chan', { game: 'trivia', login: 'alice', displayName: 'Alice', points: 12, streak: 1, topic: 'space' });
+            await recordGameWin('chan', { game: 'geo', login: 'alice', displayName: 'Alice', points: 8, streak: 1, topic: 'Europe' });
+            await recordGameWin('chan', { game: 'riddle', login: 'alice', displayName: 'Alice', points: 5, topic: 'general' });
+            await recordGameWin('chan', { game: 'riddle', login: 'bob', displayName: 'Bob', points: 50 });
+
+            await expect(getPlayerProfile('chan', 'ALICE')).resolves.toEqual({
+                login: 'alice',
+                displayName: 'Alice',
+                points: 35,
+                wins: 4,
+                rank: 2,
+                careerPoints: 35,
+                careerWins: 4,
+                games: {
+                    trivia: { wins: 2, points: 22 },
+                    geo: { wins: 1, points: 8 },
+                    riddle: { wins: 1, points: 5 },
+                },
+                bestStreak: 3,
+                favouriteTopics: ['space', 'europe', 'general'],
+            });
+            await expect(getPlayerProfile('chan', 'nobody')).resolves.toBeNull();
+        });
+
+        test('reject unknown games', async () => {
+            await expect(recordGameWin('chan', { game: 'chess', login: 'alice', points: 1 }))
+                .rejects.toThrow(GameProfileStorageError);
+        });
+    });
+
+    describe('leaderboards', () => {
+        test('rank the season, this week and this month', async () => {
+            await expect(getGameLeaderboard('chan', 'all')).resolves.toEqual([
+                { login: 'bob', displayName: 'Bob', points: 50, wins: 1 },
+                { login: 'alice', displayName: 'Alice', points: 35, wins: 4 },
+            ]);
+            await expect(getGameLeaderboard('chan', 'week', 1)).resolves.toEqual([
+                { login: 'bob', displayName: 'Bob', points: 50, wins: 1 },
+            ]);
+            await expect(getGameLeaderboard('chan', 'month')).resolves.toHaveLength(2);
+            await expect(getGameLeaderboard('quiet', 'all')).resolves.toEqual([]);
+        });
+    });
+
+    describe('seasons', () => {
+        test('archive the standings and reset season totals', async () => {
+            await expect(getCurrentSeason('chan')).resolves.toBe(1);
+
+            const { season, standings } = await startNewSeason('chan', 'ModUser');
+
+            expect(season).toBe(1);
+            expect(standings.map(player => [player.rank, player.login])).toEqual([[1, 'bob'], [2, 'alice']]);
+            await expect(getCurrentSeason('chan')).resolves.toBe(2);
+            await expect(getSeasonArchive('chan', 1)).resolves.toEqual({ season: 1, standings });
+            await expect(getSeasonArchive('chan', 2)).resolves.toBeNull();
+            await expect(getGameLeaderboard('chan', 'all')).resolves.toEqual([]);
+            // Weekly standings and career totals carry over
+            await expect(getGameLeaderboard('chan', 'week')).resolves.toHaveLength(2);
+            await expect(getPlayerProfile('chan', 'alice'))
+                .resolves.toMatchObject({ points: 0, wins: 0, rank: null, careerPoints: 35, careerWins: 4 });
+        });
+    });
+});
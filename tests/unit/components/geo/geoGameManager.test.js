@@ -5,6 +5,9 @@ import { translateText } from '../../../../src/lib/translationUtils.js';
 import { validateGuess, selectLocation } from '../../../../src/components/geo/geoLocationService.js';
 import logger from '../../../../src/lib/logger.js';
 import { enqueueMessage } from '../../../../src/lib/ircSender.js';
+import { updatePlayerScore, recordGameResult } from '../../../../src/components/geo/geoStorage.js';
+import { formatGameSessionScoresMessage } from '../../../../src/components/geo/geoMessageFormatter.js';
+import { recordGameWin } from '../../../../src/components/gameProfiles/gameProfileStorage.js';
 
 // Mock dependencies
 jest.mock('../../../../src/components/context/contextManager.js');
@@ -13,6 +16,10 @@ jest.mock('../../../../src/lib/translationUtils.js');
 jest.mock('../../../../src/components/geo/geoLocationService.js');
 jest.mock('../../../../src/lib/logger.js');
 jest.mock('../../../../src/lib/ircSender.js');
+jest.mock('../../../../src/components/points/pointsManager.js');
+jest.mock('../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    recordGameWin: jest.fn(() => Promise.resolve()),
+}));
 
 // Mock geoStorage functions used by the manager
 jest.mock('../../../../src/components/geo/geoStorage.js', () => ({
@@ -234,3 +241,156 @@ describe('GeoGameManager - _handleGuess (via processPotentialGuess)', () => {
         expect(validateGuess).toHaveBeenCalledTimes(2);
     });
 });
+
+describe('GeoGameManager - distance scoring', () => {
+    const channelName = 'distancechannel';
+    let geoGameManager;
+
+    const sentMessages = () => enqueueMessage.mock.calls.map(call => call[1]);
+
+    // Bypasses the 1s guess throttle, then lets validation finish
+    async function guess(username, text) {
+        activeGames.get(channelName).lastMessageTimestamp = 0;
+        geoGameManager.processPotentialGuess(channelName, username, username.toUpperCase(), text);
+        await jest.advanceTimersByTimeAsync(0);
+    }
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.clearAllMocks();
+        activeGames.clear();
+        geoGameManager = getGeoGameManager();
+        getContextManager.mockReturnValue({ getBotLanguage: jest.fn().mockReturnValue(null) });
+        selectLocation.mockResolvedValue({ name: 'Paris', alternateNames: [] });
+        validateGuess.mockImplementation(async (target, guessed) => ({ is_correct: guessed === 'Paris' }));
+    });
+
+    afterEach(async () => {
+        geoGameManager.stopGame(channelName);
+        await jest.advanceTimersByTimeAsync(15000);
+        activeGames.clear();
+        jest.useRealTimers();
+    });
+
+    test('follow-up clues say whether guesses are getting warmer or colder', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Lyon');
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(sentMessages().find(m => m.startsWith('❓ Clue 2'))).toContain('📍 The closest guess so far is 392 km away.');
+
+        await guess('user2', 'Brussels');
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(sentMessages().find(m => m.startsWith('❓ Clue 3'))).toContain('🔥 Warmer! The closest guess is now 264 km away.');
+
+        await guess('user1', 'Berlin');
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(sentMessages().find(m => m.startsWith('❓ Clue 4'))).toContain('🧊 Colder! Nobody has beaten 264 km away.');
+
+        await jest.advanceTimersByTimeAsync(45000);
+        expect(sentMessages().find(m => m.startsWith('❓ Clue 5'))).toBe('❓ Clue 5: Follow-up clue');
+    });
+
+    test('wins are not recorded in player profiles while score tracking is off', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+        activeGames.get(channelName).config.scoreTracking = false;
+        await guess('user1', 'Paris');
+        expect(recordGameWin).not.toHaveBeenCalled();
+        expect(updatePlayerScore).not.toHaveBeenCalled();
+    });
+
+    test('wins are recorded in player profiles while score tracking is on', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+        await guess('user1', 'Paris');
+        expect(recordGameWin).toHaveBeenCalledWith(channelName, expect.objectContaining({ game: 'geo', login: 'user1' }));
+    });
+
+    test('a timed-out round gives partial points to the nearest misses', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Lyon');
+        await guess('user2', 'Brussels');
+        await guess('user2', 'Tokyo');
+        await guess('user3', 'Lima');
+        await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+
+        // Brussels is 264 km from Paris: 7.5 * (1 - 264/2000) rounds to 7
+        expect(sentMessages()).toContainEqual(expect.stringContaining(
+            "⏱️ Time's up! The correct answer was: Paris. 📍 Nearest miss: @USER2 (Brussels, 264 km away, +7 pts)."
+        ));
+        expect(updatePlayerScore).toHaveBeenCalledWith('user2', channelName, 7, 'USER2', { success: false });
+        expect(updatePlayerScore).toHaveBeenCalledWith('user1', channelName, 6, 'USER1', { success: false });
+        expect(updatePlayerScore).not.toHaveBeenCalledWith('user3', expect.anything(), expect.anything(), expect.anything(), expect.anything());
+        expect(recordGameResult).toHaveBeenCalledWith(expect.objectContaining({
+            reasonEnded: 'timeout',
+            nearestMiss: { username: 'user2', guess: 'Brussels', distanceKm: 264, points: 7 },
+        }));
+    });
+
+    test('the winner message names the nearest miss and session scores keep the distance', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 2);
+
+        await guess('user2', 'London');
+        await guess('user1', 'Paris');
+        await jest.advanceTimersByTimeAsync(0);
+
+        const winMessage = sentMessages().find(m => m.includes('✅ Congrats @USER1'));
+        expect(winMessage).toContain('! 📍 Nearest miss: @USER2 (London, 343 km away, +6 pts).');
+
+        const sessionScores = activeGames.get(channelName).gameSessionScores;
+        expect(sessionScores.get('user2')).toEqual({ displayName: 'USER2', score: 6, nearestMissKm: expect.closeTo(343, 0) });
+        expect(formatGameSessionScoresMessage(sessionScores)).toMatch(/USER2 \(6 pts, closest miss 343 km\)/);
+    });
+
+    test("only a player's first placed guess after each clue counts", async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Tokyo');
+        await guess('user1', 'Brussels');
+        await guess('user1', 'Atlantis'); // Not in the gazetteer, so it doesn't use up the next clue's guess
+        expect(activeGames.get(channelName).closestGuesses.get('user1')).toMatchObject({ guess: 'Tokyo' });
+
+        await jest.advanceTimersByTimeAsync(45000);
+        await guess('user1', 'Atlantis');
+        await guess('user1', 'Brussels');
+        expect(activeGames.get(channelName).closestGuesses.get('user1')).toMatchObject({ guess: 'Brussels' });
+    });
+
+    test('country guesses are too broad to count as near misses', async () => {
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'France');
+        expect(activeGames.get(channelName).closestGuesses.has('user1')).toBe(false);
+    });
+
+    test('a target outside the city list is placed at its country', async () => {
+        selectLocation.mockResolvedValue({ name: 'Geirangerfjord, Norway', alternateNames: [] });
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Oslo');
+        expect(activeGames.get(channelName).closestGuesses.get('user1')).toMatchObject({ guess: 'Oslo' });
+    });
+
+    test('repeated guesses are placed by the same text the validator saw', async () => {
+        getContextManager.mockReturnValue({ getBotLanguage: jest.fn().mockReturnValue('es') });
+        translateText.mockImplementation(async text => (text === 'Londres' ? 'London' : text));
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Londres');
+        await guess('user2', 'Londres');
+
+        expect(validateGuess).toHaveBeenCalledTimes(1);
+        expect(activeGames.get(channelName).closestGuesses.get('user2')).toMatchObject({ guess: 'London' });
+    });
+
+    test('the distance setting turns distance scoring off', async () => {
+        await geoGameManager.configureGame(channelName, { pointsDistance: 'false' });
+        await geoGameManager.startGame(channelName, 'real', null, 'host', 1);
+
+        await guess('user1', 'Lyon');
+        await jest.advanceTimersByTimeAsync(45000);
+
+        expect(sentMessages().find(m => m.startsWith('❓ Clue 2'))).toBe('❓ Clue 2: Follow-up clue');
+        expect(activeGames.get(channelName).closestGuesses.size).toBe(0);
+    });
+});
@@ -0,0 +1,81 @@
+// tests/unit/components/geo/geoGazetteer.test.js
+import { findPlace, distanceKm, normalizePlaceName } from '../../../../src/components/geo/geoGazetteer.js';
+
+describe('geoGazetteer', () => {
+    describe('normalizePlaceName', () => {
+        test('lowercases and strips accents, punctuation and a leading "the"', () => {
+            expect(normalizePlaceName('  São Paulo! ')).toBe('sao paulo');
+            expect(normalizePlaceName("Xi'an")).toBe('xian');
+            expect(normalizePlaceName('The Great Wall of China')).toBe('great wall of china');
+        });
+    });
+
+    describe('findPlace', () => {
+        test('finds places by name or alias, ignoring case and accents', () => {
+            expect(findPlace('paris')).toEqual(expect.objectContaining({ name: 'Paris' }));
+            expect(findPlace('Bombay')).toEqual(expect.objectContaining({ name: 'Mumbai' }));
+            expect(findPlace('Zürich')).toEqual(expect.objectContaining({ name: 'Zurich' }));
+            expect(findPlace('the eiffel tower')).toEqual(expect.objectContaining({ name: 'Eiffel Tower' }));
+        });
+
+        test('falls back to comma-separated parts and drops bracketed text', () => {
+            expect(findPlace('Shibuya Crossing, Tokyo, Japan').name).toBe('Tokyo');
+            expect(findPlace('Kyoto (Japan)').name).toBe('Kyoto');
+            expect(findPlace('Washington, D.C.').name).toBe('Washington, D.C.');
+        });
+
+        test('places countries and regions at their centre and marks them as areas', () => {
+            expect(findPlace('Fjords, Norway')).toEqual(expect.objectContaining({ name: 'Norway', area: true }));
+            expect(findPlace('Bavaria')).toEqual(expect.objectContaining({ name: 'Bavaria', area: true }));
+            expect(findPlace('Oslo, Norway')).toEqual(expect.objectContaining({ name: 'Oslo', area: false }));
+        });
+
+        test('prefers a city over a country or region with the same name', () => {
+            expect(findPlace('Singapore').area).toBe(false);
+            expect(findPlace('New York').name).toBe('New York City');
+        });
+
+        test('uses a country or region after the name to tell same-named cities apart', () => {
+            expect(findPlace('Portland, Maine').name).toBe('Maine');
+            expect(findPlace('Portland, Oregon').name).toBe('Portland');
+            expect(findPlace('Valencia, Venezuela').name).toBe('Venezuela');
+            expect(findPlace('Valencia, Spain').name).toBe('Valencia');
+            expect(findPlace('London, Ontario').name).toBe('Ontario');
+            expect(findPlace('London, England, UK').name).toBe('London');
+            expect(findPlace('Perth, Scotland').name).toBe('Scotland');
+            expect(findPlace('Perth (Australia)').name).toBe('Perth');
+            expect(findPlace('Alexandria, Virginia').name).toBe('Virginia');
+            expect(findPlace('Cambridge, Massachusetts').name).toBe('Massachusetts');
+            expect(findPlace('Portland, Maine, USA').name).toBe('Maine');
+        });
+
+        test('picks the area a qualifier means when several share its name', () => {
+            expect(findPlace('Atlanta, Georgia').name).toBe('Atlanta');
+            expect(findPlace('Tbilisi, Georgia').name).toBe('Tbilisi');
+            expect(findPlace('Macon, Georgia, USA').name).toBe('Georgia (US state)');
+            expect(findPlace('Georgia').name).toBe('Georgia');
+            expect(findPlace('Seattle, Washington').name).toBe('Seattle');
+        });
+
+        test('returns null for unknown places and empty input', () => {
+            expect(findPlace('Atlantis')).toBeNull();
+            expect(findPlace('')).toBeNull();
+            expect(findPlace(null)).toBeNull();
+        });
+    });
+
+    describe('distanceKm', () => {
+        test('measures great-circle distances', () => {
+            expect(distanceKm(findPlace('Paris'), findPlace('London'))).toBeCloseTo(344, -1);
+            expect(distanceKm(findPlace('New York'), findPlace('Los Angeles'))).toBeCloseTo(3936, -2);
+            expect(distanceKm(findPlace('Sydney'), findPlace('Santiago'))).toBeCloseTo(11340, -2);
+        });
+
+        test('is zero for the same point and symmetric', () => {
+            const tokyo = findPlace('Tokyo');
+            const osaka = findPlace('Osaka');
+            expect(distanceKm(tokyo, tokyo)).toBe(0);
+            expect(distanceKm(tokyo, osaka)).toBeCloseTo(distanceKm(osaka, tokyo), 6);
+        });
+    });
+});
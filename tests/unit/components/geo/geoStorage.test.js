@@ -1,6 +1,6 @@
 // tests/unit/components/geo/geoStorage.test.js
 import { getFirestore } from '../../../../src/lib/firestore.js';
-import { initializeStorage, recordGameResult, StorageError } from '../../../../src/components/geo/geoStorage.js';
+import { initializeStorage, recordGameResult, updatePlayerScore, StorageError } from '../../../../src/components/geo/geoStorage.js';
 
 // --- Mocks ---
 // Mock the shared Firestore lib so no real GCP connection is made
@@ -179,4 +179,36 @@ describe('GeoGame Storage - History Recording', () => {
             timestamp: 'mock-server-timestamp', // The only field added by the function
         });
     });
-});
\ No newline at end of file
+});
+
+describe('GeoGame Storage - Player Score', () => {
+    let mockSetFn;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSetFn = getFirestore().collection().doc().set;
+    });
+
+    test('updatePlayerScore counts points as a success by default', async () => {
+        await updatePlayerScore('TestUser', 'testchannel', 20, 'TestUser');
+
+        expect(mockSetFn).toHaveBeenCalledWith(expect.objectContaining({
+            globalSuccesses: 'mock-increment-1',
+            globalPoints: 'mock-increment-20',
+            lastSuccessTimestamp: 'mock-server-timestamp',
+        }), { merge: true });
+    });
+
+    test('updatePlayerScore adds partial credit without counting a success', async () => {
+        await updatePlayerScore('TestUser', 'testchannel', 5, 'TestUser', { success: false });
+
+        const data = mockSetFn.mock.calls[0][0];
+        expect(data.globalSuccesses).toBe('mock-increment-0');
+        expect(data.globalPoints).toBe('mock-increment-5');
+        expect(data.lastSuccessTimestamp).toBeUndefined();
+        expect(data.channels.testchannel).toEqual(expect.objectContaining({
+            successes: 'mock-increment-0',
+            points: 'mock-increment-5',
+        }));
+    });
+});
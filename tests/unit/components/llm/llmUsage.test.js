@@ -0,0 +1,147 @@
+// tests/unit/components/llm/llmUsage.test.js
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/components/llm/llmUsageStorage.js', () => ({
+    recordDailyUsage: jest.fn().mockResolvedValue(undefined),
+    getMonthlyUsage: jest.fn(),
+    getChannelMonthlyBudget: jest.fn(),
+    getUsageMonthKey: jest.requireActual('../../../../src/components/llm/llmUsageStorage.js').getUsageMonthKey,
+}));
+
+import config from '../../../../src/config/index.js';
+import {
+    withLlmUsageContext,
+    extractTokenUsage,
+    estimateCostUsd,
+    recordLlmResponse,
+    getBudgetStatus,
+    isLlmSourceAllowed,
+    clearBudgetCache,
+    UNATTRIBUTED_CHANNEL,
+} from '../../../../src/components/llm/llmUsage.js';
+import { recordDailyUsage, getMonthlyUsage, getChannelMonthlyBudget } from '../../../../src/components/llm/llmUsageStorage.js';
+import { MENTION_SOURCE, AUTOCHAT_SOURCE, builtinCommandSource } from '../../../../src/components/llm/inferenceHistoryStorage.js';
+
+describe('llmUsage', () => {
+    const originalUsageConfig = config.llmUsage;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearBudgetCache();
+        config.llmUsage = { monthlyBudgetUsd: null, pricing: {} };
+        getMonthlyUsage.mockResolvedValue({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+        getChannelMonthlyBudget.mockResolvedValue(null);
+    });
+
+    afterAll(() => {
+        config.llmUsage = originalUsageConfig;
+    });
+
+    describe('extractTokenUsage', () => {
+        test('reads OpenAI Responses usage', () => {
+            expect(extractTokenUsage({ model: 'gpt-5', usage: { input_tokens: 10, output_tokens: 5 } }))
+                .toEqual({ model: 'gpt-5', inputTokens: 10, outputTokens: 5 });
+        });
+
+        test('reads Chat Completions usage', () => {
+            expect(extractTokenUsage({ model: 'llama3', usage: { prompt_tokens: 7, completion_tokens: 3 } }))
+                .toEqual({ model: 'llama3', inputTokens: 7, outputTokens: 3 });
+        });
+
+        test('reads Gemini usage metadata and counts thinking tokens as output', () => {
+            expect(extractTokenUsage({
+                modelVersion: 'gemini-3-flash',
+                usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 20, thoughtsTokenCount: 30 },
+            })).toEqual({ model: 'gemini-3-flash', inputTokens: 100, outputTokens: 50 });
+        });
+
+        test('returns null for responses without usage', () => {
+            expect(extractTokenUsage({ text: 'hi' })).toBeNull();
+            expect(extractTokenUsage(null)).toBeNull();
+        });
+    });
+
+    describe('estimateCostUsd', () => {
+        test('uses the longest matching prefix', () => {
+            expect(estimateCostUsd('gemini-flash-lite-latest', 1_000_000, 1_000_000)).toBeCloseTo(0.5);
+            expect(estimateCostUsd('gemini-3-flash-preview', 1_000_000, 0)).toBeCloseTo(0.5);
+        });
+
+        test('applies configured pricing overrides', () => {
+            config.llmUsage.pricing = { 'llama': { input: 1, output: 2 } };
+            expect(estimateCostUsd('llama3.1:8b', 1_000_000, 1_000_000)).toBeCloseTo(3);
+        });
+
+        test('prices unknown models at zero', () => {
+            expect(estimateCostUsd('mystery-model', 1000, 1000)).toBe(0);
+        });
+    });
+
+    describe('recordLlmResponse', () => {
+        const response = { model: 'gpt-5', usage: { input_tokens: 1000, output_tokens: 100 } };
+
+        test('attributes usage to the surrounding channel and source', async () => {
+            await withLlmUsageContext({ channel: '#SomeChannel', source: builtinCommandSource('ask') }, async () => {
+                await Promise.resolve();
+                recordLlmResponse(response);
+            });
+
+            expect(recordDailyUsage).toHaveBeenCalledWith('somechannel', 'command:ask', {
+                inputTokens: 1000,
+                outputTokens: 100,
+                costUsd: expect.any(Number),
+            });
+        });
+
+        test('records calls outside any context as unattributed', () => {
+            recordLlmResponse(response);
+            expect(recordDailyUsage).toHaveBeenCalledWith(UNATTRIBUTED_CHANNEL, 'unknown', expect.any(Object));
+        });
+
+        test('ignores responses without usage', () => {
+            recordLlmResponse({ text: 'no usage' });
+            expect(recordDailyUsage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('budgets', () => {
+        test('has no limit when no budget is configured', async () => {
+            getMonthlyUsage.mockResolvedValue({ calls: 10, inputTokens: 0, outputTokens: 0, costUsd: 100 });
+            await expect(getBudgetStatus('chan')).resolves.toEqual({ budgetUsd: null, spentUsd: 100, exceeded: false });
+        });
+
+        test('disables non-essential sources once the default budget is spent', async () => {
+            config.llmUsage.monthlyBudgetUsd = 5;
+            getMonthlyUsage.mockResolvedValue({ calls: 10, inputTokens: 0, outputTokens: 0, costUsd: 5.01 });
+
+            await expect(isLlmSourceAllowed('chan', AUTOCHAT_SOURCE)).resolves.toBe(false);
+            await expect(isLlmSourceAllowed('chan', builtinCommandSource('ask'))).resolves.toBe(false);
+            await expect(isLlmSourceAllowed('chan', MENTION_SOURCE)).resolves.toBe(true);
+        });
+
+        test('a channel override takes precedence over the default', async () => {
+            config.llmUsage.monthlyBudgetUsd = 5;
+            getChannelMonthlyBudget.mockResolvedValue(20);
+            getMonthlyUsage.mockResolvedValue({ calls: 10, inputTokens: 0, outputTokens: 0, costUsd: 10 });
+
+            await expect(getBudgetStatus('chan')).resolves.toEqual({ budgetUsd: 20, spentUsd: 10, exceeded: false });
+        });
+
+        test('recorded usage counts against the cached total', async () => {
+            config.llmUsage.monthlyBudgetUsd = 0.001;
+            await expect(isLlmSourceAllowed('chan', AUTOCHAT_SOURCE)).resolves.toBe(true);
+
+            withLlmUsageContext({ channel: 'chan', source: AUTOCHAT_SOURCE }, () => {
+                recordLlmResponse({ model: 'gpt-5', usage: { input_tokens: 10_000, output_tokens: 10_000 } });
+            });
+
+            await expect(isLlmSourceAllowed('chan', AUTOCHAT_SOURCE)).resolves.toBe(false);
+            expect(getMonthlyUsage).toHaveBeenCalledTimes(1);
+        });
+
+        test('treats storage failures as within budget', async () => {
+            config.llmUsage.monthlyBudgetUsd = 1;
+            getMonthlyUsage.mockRejectedValue(new Error('unavailable'));
+            await expect(isLlmSourceAllowed('chan', AUTOCHAT_SOURCE)).resolves.toBe(true);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+// tests/unit/components/llm/openaiCompatible/core.test.js
+jest.mock('../../../../../src/lib/logger.js');
+
+import {
+    initializeOpenAiCompatibleClient,
+    getOpenAiCompatibleInstance,
+    getConfiguredModelId,
+    formatChatContent,
+    parseJsonText,
+    generateContent,
+} from '../../../../../src/components/llm/openaiCompatible/core.js';
+
+describe('OpenAI-compatible core', () => {
+    test('requires baseUrl and modelId', () => {
+        expect(() => initializeOpenAiCompatibleClient({ baseUrl: 'http://localhost:8080/v1' }))
+            .toThrow(/baseUrl, modelId/);
+    });
+
+    test('initializes with per-tier models defaulting to the main model', () => {
+        initializeOpenAiCompatibleClient({ baseUrl: 'http://localhost:8080/v1', modelId: 'llama', visionModelId: 'llava' });
+        expect(getOpenAiCompatibleInstance()).toBeDefined();
+        expect(getConfiguredModelId('main')).toBe('llama');
+        expect(getConfiguredModelId('lite')).toBe('llama');
+        expect(getConfiguredModelId('vision')).toBe('llava');
+    });
+
+    test('formatChatContent keeps text-only prompts as strings and maps images', () => {
+        expect(formatChatContent('Hi', [{ text: 'there' }])).toBe('Hi\nthere');
+        expect(formatChatContent('Look', [{ inlineData: { mimeType: 'image/gif', data: 'AAA' } }])).toEqual([
+            { type: 'text', text: 'Look' },
+            { type: 'image_url', image_url: { url: 'data:image/gif;base64,AAA' } },
+        ]);
+    });
+
+    test('parseJsonText tolerates fenced JSON', () => {
+        expect(parseJsonText('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+        expect(parseJsonText('not json')).toBeNull();
+    });
+
+    test('generateContent sends a chat completion with schema and tier model', async () => {
+        const spy = jest.spyOn(getOpenAiCompatibleInstance().chat.completions, 'create')
+            .mockResolvedValueOnce({ choices: [{ message: { content: ' {"summary":"s"} ' } }] });
+
+        const text = await generateContent('Summarize', {
+            tier: 'main',
+            systemInstruction: 'Be brief',
+            maxOutputTokens: 50,
+            responseSchema: { type: 'object', properties: { summary: { type: 'string' } } },
+            schemaName: 'summary',
+        });
+
+        expect(text).toBe('{"summary":"s"}');
+        const request = spy.mock.calls[0][0];
+        expect(request.model).toBe('llama');
+        expect(request.max_tokens).toBe(50);
+        expect(request.messages).toEqual([
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'Summarize' },
+        ]);
+        expect(request.response_format.json_schema).toMatchObject({
+            name: 'summary',
+            schema: { additionalProperties: false, required: ['summary'] },
+        });
+    });
+
+    test('generateContent returns null when the request fails', async () => {
+        jest.spyOn(getOpenAiCompatibleInstance().chat.completions, 'create')
+            .mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+        await expect(generateContent('x')).resolves.toBeNull();
+    });
+});
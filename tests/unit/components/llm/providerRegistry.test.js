@@ -0,0 +1,116 @@
+// tests/unit/components/llm/providerRegistry.test.js
+jest.mock('../../../../src/lib/logger.js');
+
+import config from '../../../../src/config/loader.js';
+import {
+    registerLlmProvider,
+    getLlmProvider,
+    listLlmProviders,
+    getProviderNameForTask,
+    getConfiguredProviderNames,
+} from '../../../../src/components/llm/providerRegistry.js';
+import {
+    generateText,
+    generateStructuredJson,
+    generateLiteContent,
+    describeImages,
+    decideSearchWithStructuredOutput,
+    getOrCreateChatSession,
+    initializeLlmClient,
+} from '../../../../src/components/llm/llmClient.js';
+
+function createFakeProvider(name, extra = {}) {
+    return {
+        name,
+        initialize: jest.fn(),
+        generateText: jest.fn().mockResolvedValue(`${name} text`),
+        generateStructuredJson: jest.fn().mockResolvedValue({ parsed: { ok: true }, searchUsed: true }),
+        describeImages: jest.fn().mockResolvedValue(`${name} image`),
+        ...extra,
+    };
+}
+
+describe('providerRegistry', () => {
+    const originalTasks = { ...config.llm.tasks };
+
+    afterEach(() => {
+        config.llm.tasks = { ...originalTasks };
+    });
+
+    test('ships the built-in providers', () => {
+        expect(listLlmProviders()).toEqual(expect.arrayContaining(['gemini', 'openai', 'openai-compatible']));
+    });
+
+    test('defaults keep OpenAI for main and Gemini for lite and vision', () => {
+        expect(getProviderNameForTask('main', {})).toBe('openai');
+        expect(getProviderNameForTask('lite', {})).toBe('gemini');
+        expect(getProviderNameForTask('vision', {})).toBe('gemini');
+        expect(getConfiguredProviderNames({})).toEqual(['openai', 'gemini']);
+    });
+
+    test('rejects unknown tasks, unknown providers and incomplete providers', () => {
+        expect(() => getProviderNameForTask('huge')).toThrow(/Unknown LLM task/);
+        expect(() => getLlmProvider('nope')).toThrow(/Unknown LLM provider "nope"/);
+        expect(() => registerLlmProvider({ name: 'half', generateText: jest.fn() }))
+            .toThrow(/missing required methods: initialize, generateStructuredJson, describeImages/);
+    });
+
+    describe('llmClient routing', () => {
+        let mainProvider;
+        let liteProvider;
+
+        beforeEach(() => {
+            mainProvider = createFakeProvider('test-main', {
+                getOrCreateChatSession: jest.fn().mockReturnValue('session'),
+                decideSearchWithStructuredOutput: jest.fn().mockResolvedValue({ searchNeeded: true, reasoning: 'r' }),
+            });
+            liteProvider = createFakeProvider('test-lite');
+            registerLlmProvider(mainProvider);
+            registerLlmProvider(liteProvider);
+            config.llm.tasks = { main: 'test-main', lite: 'test-lite', vision: 'test-lite' };
+        });
+
+        test('initializeLlmClient initializes each referenced provider once', () => {
+            initializeLlmClient(config);
+            expect(mainProvider.initialize).toHaveBeenCalledTimes(1);
+            expect(liteProvider.initialize).toHaveBeenCalledTimes(1);
+        });
+
+        test('generateText and generateStructuredJson route by model tier', async () => {
+            await expect(generateText('hi', { webSearch: true })).resolves.toBe('test-main text');
+            expect(mainProvider.generateText).toHaveBeenCalledWith('hi', expect.objectContaining({ tier: 'main', webSearch: true }));
+
+            await generateText('hi', { model: 'lite' });
+            expect(liteProvider.generateText).toHaveBeenCalledWith('hi', expect.objectContaining({ tier: 'lite' }));
+
+            await expect(generateStructuredJson({ prompt: 'p', schema: {}, model: 'lite' })).resolves.toEqual({ ok: true });
+            await expect(generateStructuredJson({ prompt: 'p', schema: {}, returnMeta: true }))
+                .resolves.toEqual({ parsed: { ok: true }, searchUsed: true });
+            expect(mainProvider.generateStructuredJson).toHaveBeenCalledWith(expect.objectContaining({ tier: 'main', prompt: 'p' }));
+        });
+
+        test('generateLiteContent defaults to lite and honours model/provider overrides', async () => {
+            await generateLiteContent('a', { temperature: 0 });
+            expect(liteProvider.generateText).toHaveBeenCalledWith('a', { temperature: 0, tier: 'lite' });
+
+            await generateLiteContent('b', { model: 'main' });
+            expect(mainProvider.generateText).toHaveBeenCalledWith('b', { tier: 'main' });
+
+            await generateLiteContent('c', { provider: 'test-lite' });
+            expect(liteProvider.generateText).toHaveBeenCalledWith('c', { tier: 'main' });
+        });
+
+        test('describeImages uses the vision provider', async () => {
+            await expect(describeImages({ parts: [], prompt: 'p' })).resolves.toBe('test-lite image');
+        });
+
+        test('optional capabilities delegate or fail clearly', async () => {
+            expect(getOrCreateChatSession('chan')).toBe('session');
+
+            config.llm.tasks.main = 'test-lite';
+            expect(() => getOrCreateChatSession('chan')).toThrow(/does not support getOrCreateChatSession/);
+            // Providers without a search decision fall back to the keyword heuristic.
+            await expect(decideSearchWithStructuredOutput('', 'weather today')).resolves.toHaveProperty('searchNeeded');
+        });
+    });
+});
@@ -0,0 +1,37 @@
+// tests/unit/components/moderation/linkPermits.test.js
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../../src/lib/localFirestore.js');
+    const { Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, Timestamp };
+});
+
+import { grantLinkPermit, hasLinkPermit, _clearLocalPermits, MAX_PERMIT_SECONDS } from '../../../../src/components/moderation/linkPermits.js';
+
+describe('linkPermits', () => {
+    beforeEach(() => {
+        _clearLocalPermits();
+        jest.useRealTimers();
+    });
+
+    test('a granted permit is honoured until it expires', async () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+        await grantLinkPermit('Chan', '@Viewer', 30);
+
+        await expect(hasLinkPermit('chan', 'viewer')).resolves.toBe(true);
+        jest.setSystemTime(new Date('2026-01-01T00:00:31Z'));
+        await expect(hasLinkPermit('chan', 'viewer')).resolves.toBe(false);
+    });
+
+    test('permits persist for other instances', async () => {
+        await grantLinkPermit('chan', 'other', 60);
+        _clearLocalPermits();
+        await expect(hasLinkPermit('chan', 'other')).resolves.toBe(true);
+        await expect(hasLinkPermit('chan', 'nobody')).resolves.toBe(false);
+    });
+
+    test('clamps the duration', async () => {
+        await expect(grantLinkPermit('chan', 'viewer', 999999)).resolves.toBe(MAX_PERMIT_SECONDS);
+    });
+});
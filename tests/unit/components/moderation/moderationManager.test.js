@@ -0,0 +1,147 @@
+// tests/unit/components/moderation/moderationManager.test.js
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/ircSender.js', () => ({
+    enqueueMessage: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../../../src/components/twitch/chatClient.js', () => ({
+    deleteMessage: jest.fn().mockResolvedValue(true),
+    timeoutUser: jest.fn().mockResolvedValue(true),
+    banUser: jest.fn().mockResolvedValue(true),
+    warnUser: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../../../src/components/moderation/moderationStorage.js', () => {
+    const actual = jest.requireActual('../../../../src/components/moderation/moderationStorage.js');
+    return {
+        ...actual,
+        logModerationAction: jest.fn().mockResolvedValue(undefined),
+        loadAllModerationConfigs: jest.fn().mockResolvedValue(new Map()),
+        listenForModerationConfigChanges: jest.fn().mockReturnValue(jest.fn()),
+    };
+});
+jest.mock('../../../../src/components/moderation/moderationClassifier.js', () => ({
+    classifyChatMessage: jest.fn(),
+}));
+jest.mock('../../../../src/components/moderation/linkPermits.js', () => ({
+    hasLinkPermit: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../../../../src/components/llm/llmUsage.js', () => ({
+    withLlmUsageContext: jest.fn((ctx, fn) => fn()),
+    isLlmSourceAllowed: jest.fn().mockResolvedValue(true),
+}));
+
+import {
+    moderateMessage,
+    setModerationConfig,
+    initializeModerationManager,
+    getModerationConfig,
+    _resetModerationState,
+} from '../../../../src/components/moderation/moderationManager.js';
+import { deleteMessage, timeoutUser, warnUser } from '../../../../src/components/twitch/chatClient.js';
+import { logModerationAction, listenForModerationConfigChanges } from '../../../../src/components/moderation/moderationStorage.js';
+import { classifyChatMessage } from '../../../../src/components/moderation/moderationClassifier.js';
+import { isLlmSourceAllowed } from '../../../../src/components/llm/llmUsage.js';
+import { enqueueMessage } from '../../../../src/lib/ircSender.js';
+import { hasLinkPermit } from '../../../../src/components/moderation/linkPermits.js';
+
+const viewer = { username: 'viewer', 'display-name': 'Viewer', 'user-id': 'u1', id: 'm1', badges: {} };
+
+describe('moderationManager', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        _resetModerationState();
+    });
+
+    test('does nothing while moderation is disabled', async () => {
+        setModerationConfig('chan', { enabled: false, rules: { links: { enabled: true } } });
+        await expect(moderateMessage('chan', viewer, 'visit example.com')).resolves.toBe(false);
+        expect(deleteMessage).not.toHaveBeenCalled();
+    });
+
+    test('deletes a message that breaks a rule and audits it', async () => {
+        setModerationConfig('chan', { enabled: true, rules: { links: { enabled: true, action: 'delete' } } });
+
+        await expect(moderateMessage('chan', viewer, 'visit example.com')).resolves.toBe(true);
+
+        expect(deleteMessage).toHaveBeenCalledWith('chan', 'm1');
+        expect(logModerationAction).toHaveBeenCalledWith('chan', expect.objectContaining({
+            rule: 'links', action: 'delete', userId: 'u1', username: 'viewer', success: true,
+        }));
+    });
+
+    test('permitted users may post blocked links, allow-listed links need no permit', async () => {
+        setModerationConfig('chan', { enabled: true, rules: { links: { enabled: true, allowedDomains: ['youtube.com'] } } });
+
+        await expect(moderateMessage('chan', viewer, 'https://youtube.com/watch?v=1')).resolves.toBe(false);
+        expect(hasLinkPermit).not.toHaveBeenCalled();
+
+        hasLinkPermit.mockResolvedValueOnce(true);
+        await expect(moderateMessage('chan', viewer, 'check spam.xyz')).resolves.toBe(false);
+        expect(hasLinkPermit).toHaveBeenCalledWith('chan', 'viewer');
+        expect(deleteMessage).not.toHaveBeenCalled();
+    });
+
+    test('exempts users at or above the exempt level, and always mods', async () => {
+        setModerationConfig('chan', { enabled: true, exemptLevel: 'vip', rules: { links: { enabled: true } } });
+
+        const vip = { ...viewer, vip: true, badges: { vip: '1' } };
+        const mod = { ...viewer, mod: true, badges: { moderator: '1' } };
+        await expect(moderateMessage('chan', vip, 'example.com')).resolves.toBe(false);
+        await expect(moderateMessage('chan', mod, 'example.com')).resolves.toBe(false);
+        expect(deleteMessage).not.toHaveBeenCalled();
+    });
+
+    test('times out repeated messages within the window', async () => {
+        setModerationConfig('chan', {
+            enabled: true,
+            rules: { repeats: { enabled: true, action: 'timeout', durationSeconds: 30, maxRepeats: 3, windowSeconds: 60 } },
+        });
+
+        await expect(moderateMessage('chan', viewer, 'spam')).resolves.toBe(false);
+        await expect(moderateMessage('chan', viewer, 'SPAM ')).resolves.toBe(false);
+        await expect(moderateMessage('chan', viewer, 'spam')).resolves.toBe(true);
+        expect(timeoutUser).toHaveBeenCalledWith('chan', 'u1', 30, 'Repeated message');
+    });
+
+    test('warn deletes the message and warns the user', async () => {
+        setModerationConfig('chan', { enabled: true, rules: { caps: { enabled: true, action: 'warn', minLength: 5 } } });
+
+        await moderateMessage('chan', viewer, 'STOP SHOUTING');
+
+        expect(deleteMessage).toHaveBeenCalledWith('chan', 'm1');
+        expect(warnUser).toHaveBeenCalledWith('chan', 'u1', 'Too many capital letters');
+    });
+
+    test('runs the AI classifier only when rules pass and the budget allows', async () => {
+        setModerationConfig('chan', { enabled: true, rules: { aiClassifier: { enabled: true, action: 'delete' } } });
+        classifyChatMessage.mockResolvedValue({ flagged: true, category: 'harassment', reason: 'Insulting another chatter' });
+
+        await expect(moderateMessage('chan', viewer, 'you are awful at this')).resolves.toBe(true);
+        expect(logModerationAction).toHaveBeenCalledWith('chan', expect.objectContaining({
+            rule: 'aiClassifier', category: 'harassment', reason: 'Insulting another chatter',
+        }));
+
+        isLlmSourceAllowed.mockResolvedValueOnce(false);
+        classifyChatMessage.mockClear();
+        await expect(moderateMessage('chan', viewer, 'you are awful at this')).resolves.toBe(false);
+        expect(classifyChatMessage).not.toHaveBeenCalled();
+    });
+
+    test('notifies chat when configured', async () => {
+        setModerationConfig('chan', { enabled: true, notifyChat: true, rules: { links: { enabled: true, action: 'timeout', durationSeconds: 10 } } });
+
+        await moderateMessage('chan', viewer, 'example.com');
+
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', '@Viewer Links are not allowed (timed out 10s).', { skipLengthProcessing: true });
+    });
+
+    test('picks up config changes from the listener', async () => {
+        await initializeModerationManager();
+        const onChange = listenForModerationConfigChanges.mock.calls[0][0];
+
+        onChange('chan', { ...getModerationConfig('chan'), enabled: true });
+        expect(getModerationConfig('chan').enabled).toBe(true);
+
+        onChange('chan', null);
+        expect(getModerationConfig('chan').enabled).toBe(false);
+    });
+});
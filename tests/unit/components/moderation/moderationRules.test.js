@@ -0,0 +1,106 @@
+// tests/unit/components/moderation/moderationRules.test.js
+jest.mock('../../../../src/lib/logger.js');
+
+import {
+    extractLinks,
+    checkLinks,
+    isDomainAllowed,
+    checkCaps,
+    checkSymbols,
+    checkBannedPhrases,
+    compileBannedPhrase,
+    findRuleViolation,
+} from '../../../../src/components/moderation/moderationRules.js';
+import { normalizeModerationConfig } from '../../../../src/components/moderation/moderationStorage.js';
+
+function rulesWith(overrides) {
+    const cfg = normalizeModerationConfig({ enabled: true, rules: overrides });
+    return cfg.rules;
+}
+
+describe('moderationRules', () => {
+    describe('extractLinks', () => {
+        test('finds scheme, www and bare-domain links', () => {
+            expect(extractLinks('see https://clips.twitch.tv/Abc, or www.YouTube.com/watch?v=1 and cool.gg').map(l => l.hostname))
+                .toEqual(['clips.twitch.tv', 'youtube.com', 'cool.gg']);
+        });
+
+        test('ignores abbreviations and dotted words', () => {
+            expect(extractLinks('e.g. this is fine... lol.ok')).toEqual([]);
+        });
+    });
+
+    describe('link allow-list', () => {
+        test('allows listed domains and their subdomains', () => {
+            expect(isDomainAllowed('clips.twitch.tv', ['twitch.tv'])).toBe(true);
+            expect(isDomainAllowed('nottwitch.tv', ['twitch.tv'])).toBe(false);
+        });
+
+        test('checkLinks only flags links outside the allow-list', () => {
+            const rule = { allowedDomains: ['youtube.com', 'clips.twitch.tv'] };
+            expect(checkLinks('https://youtube.com/watch?v=1', rule)).toBeNull();
+            expect(checkLinks('https://clips.twitch.tv/x and spam.xyz', rule)).toBe('Links are not allowed');
+        });
+
+        test('a permit lets any link through', () => {
+            expect(checkLinks('spam.xyz', { allowedDomains: [] }, true)).toBeNull();
+        });
+
+        test('configured domains are normalized', () => {
+            const rules = rulesWith({ links: { enabled: true, allowedDomains: ['https://www.Example.com/path', 'not a domain'] } });
+            expect(rules.links.allowedDomains).toEqual(['example.com']);
+        });
+    });
+
+    test('checkCaps respects the minimum length and percentage', () => {
+        expect(checkCaps('HELLO', { minLength: 15, maxPercent: 70 })).toBeNull();
+        expect(checkCaps('WHY IS EVERYONE SHOUTING', { minLength: 15, maxPercent: 70 })).toBe('Too many capital letters');
+        expect(checkCaps('Why is everyone Shouting here', { minLength: 15, maxPercent: 70 })).toBeNull();
+    });
+
+    test('checkSymbols flags symbol spam', () => {
+        expect(checkSymbols('!!!!!!!!!!!!@@@@@@', { minLength: 10, maxPercent: 50 })).toBe('Too many symbols');
+        expect(checkSymbols('nice play!!', { minLength: 10, maxPercent: 50 })).toBeNull();
+    });
+
+    describe('banned phrases', () => {
+        test('plain phrases match whole words case-insensitively', () => {
+            expect(checkBannedPhrases('buy FOLLOWERS now', { phrases: ['buy followers'] })).toBeTruthy();
+            expect(checkBannedPhrases('scunthorpe', { phrases: ['cunt'] })).toBeNull();
+        });
+
+        test('slash-delimited phrases are regular expressions', () => {
+            expect(checkBannedPhrases('free v-bucks here', { phrases: ['/free\\s+v-?bucks/'] })).toBeTruthy();
+        });
+
+        test('invalid patterns are ignored', () => {
+            expect(compileBannedPhrase('/([/')).toBeNull();
+            expect(checkBannedPhrases('anything', { phrases: ['/([/'] })).toBeNull();
+        });
+    });
+
+    describe('findRuleViolation', () => {
+        test('only enabled rules are checked', () => {
+            const message = 'CHECK OUT MY STREAM RIGHT NOW';
+            expect(findRuleViolation({ message }, rulesWith({}))).toBeNull();
+            expect(findRuleViolation({ message }, rulesWith({ caps: { enabled: true } })))
+                .toEqual({ rule: 'caps', reason: 'Too many capital letters' });
+        });
+
+        test('banned phrases win over lesser rules', () => {
+            const rules = rulesWith({ caps: { enabled: true }, bannedPhrases: { enabled: true, phrases: ['stream at'] } });
+            expect(findRuleViolation({ message: 'CHECK OUT MY STREAM AT HOME' }, rules).rule).toBe('bannedPhrases');
+        });
+
+        test('caps ignores emote text when provided', () => {
+            const rules = rulesWith({ caps: { enabled: true, minLength: 5 } });
+            expect(findRuleViolation({ message: 'LUL KEKW OMEGALUL ok', textWithoutEmotes: '   ok' }, rules)).toBeNull();
+        });
+
+        test('repeats uses the supplied count', () => {
+            const rules = rulesWith({ repeats: { enabled: true, maxRepeats: 3 } });
+            expect(findRuleViolation({ message: 'hi', repeatCount: 2 }, rules)).toBeNull();
+            expect(findRuleViolation({ message: 'hi', repeatCount: 3 }, rules).rule).toBe('repeats');
+        });
+    });
+});
@@ -0,0 +1,185 @@
+// tests/unit/components/points/pointsManager.test.js
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/distributedCache.js', () => ({
+    isDuplicateEvent: jest.fn(),
+}));
+jest.mock('../../../../src/components/context/liveStatus.js', () => ({
+    isStreamLive: jest.fn(),
+}));
+jest.mock('../../../../src/components/context/contextManager.js', () => ({
+    getContextManager: jest.fn(),
+}));
+jest.mock('../../../../src/components/twitch/chatClient.js', () => ({
+    getChannelChatters: jest.fn(),
+}));
+jest.mock('../../../../src/config/index.js', () => ({
+    twitch: { username: 'BotUser' },
+}));
+jest.mock('../../../../src/components/points/pointsStorage.js', () => ({
+    getPointsSettings: jest.fn(),
+    addPoints: jest.fn(),
+    awardPoints: jest.fn(),
+}));
+
+import { _tick, awardEventPoints, stopPointsManager, POINTS_TICK_MS, WATCH_WINDOW_MS } from '../../../../src/components/points/pointsManager.js';
+import { recordChatMessage, _reset } from '../../../../src/components/context/channelActivity.js';
+import { isStreamLive } from '../../../../src/components/context/liveStatus.js';
+import { getContextManager } from '../../../../src/components/context/contextManager.js';
+import { getChannelChatters } from '../../../../src/components/twitch/chatClient.js';
+import { isDuplicateEvent } from '../../../../src/lib/distributedCache.js';
+import { getPointsSettings, addPoints, awardPoints } from '../../../../src/components/points/pointsStorage.js';
+
+describe('pointsManager', () => {
+    const settings = { enabled: true, currency: 'points', chat: 5, watch: 10, follow: 50, sub: 250, giftSub: 100, raid: 100, gameWin: 25 };
+    const now = 10 * WATCH_WINDOW_MS;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        _reset();
+        stopPointsManager();
+        getPointsSettings.mockResolvedValue(settings);
+        isStreamLive.mockReturnValue(true);
+        isDuplicateEvent.mockResolvedValue(false);
+        addPoints.mockResolvedValue(100);
+        getContextManager.mockReturnValue({ getAllChannelStates: () => new Map() });
+        getChannelChatters.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('tick', () => {
+        test('pays recent chatters for chatting and everyone in the chatter list for watching', async () => {
+            getChannelChatters.mockResolvedValue([
+                { login: 'lurker', userId: 'l1', displayName: 'Lurker' },
+                { login: 'talker', userId: 't1', displayName: 'Talker' },
+                { login: 'botuser', userId: 'b1', displayName: 'BotUser' },
+            ]);
+            recordChatMessage('chan', now - 1000, { login: 'talker', userId: 't1', displayName: 'Talker' });
+            recordChatMessage('chan', now - POINTS_TICK_MS - 1000, { login: 'earlier' });
+
+            await _tick();
+
+            expect(getChannelChatters).toHaveBeenCalledWith('chan');
+            expect(awardPoints).toHaveBeenCalledWith('chan', [expect.objectContaining({ login: 'talker' })], 5);
+            expect(awardPoints).toHaveBeenCalledWith('chan',
+                [expect.objectContaining({ login: 'lurker' }), expect.objectContaining({ login: 'talker' })], 10);
+        });
+
+        test('pays watch points in live channels where nobody has chatted', async () => {
+            getContextManager.mockReturnValue({ getAllChannelStates: () => new Map([['Quiet', {}]]) });
+            getChannelChatters.mockResolvedValue([{ login: 'lurker', userId: 'l1', displayName: 'Lurker' }]);
+
+            await _tick();
+
+            expect(awardPoints).toHaveBeenCalledTimes(1);
+            expect(awardPoints).toHaveBeenCalledWith('quiet', [expect.objectContaining({ login: 'lurker' })], 10);
+        });
+
+        test('falls back to viewers seen in chat recently without a chatter list', async () => {
+            recordChatMessage('chan', now - WATCH_WINDOW_MS + 1000, { login: 'lurker', displayName: 'Lurker' });
+            recordChatMessage('chan', now - WATCH_WINDOW_MS - 1000, { login: 'gone' });
+
+            await _tick();
+
+            expect(awardPoints).toHaveBeenCalledTimes(1);
+            expect(awardPoints).toHaveBeenCalledWith('chan', [expect.objectContaining({ login: 'lurker' })], 10);
+        });
+
+        test('pays watch points from the chatter list once per tick slot across instances', async () => {
+            getChannelChatters.mockResolvedValue([{ login: 'lurker', userId: 'l1', displayName: 'Lurker' }]);
+            recordChatMessage('chan', now - 1000, { login: 'talker' });
+            isDuplicateEvent.mockResolvedValueOnce(true);
+
+            await _tick();
+
+            expect(isDuplicateEvent).toHaveBeenCalledWith(`points-tick:chan:${Math.floor(now / POINTS_TICK_MS)}`, null, POINTS_TICK_MS);
+            // This instance still pays the chatters it saw
+            expect(awardPoints).toHaveBeenCalledTimes(1);
+            expect(awardPoints).toHaveBeenCalledWith('chan', [expect.objectContaining({ login: 'talker' })], 5);
+        });
+
+        test('pays its own recent chatters without claiming the tick when there is no chatter list', async () => {
+            recordChatMessage('chan', now - 1000, { login: 'talker' });
+
+            await _tick();
+
+            expect(isDuplicateEvent).not.toHaveBeenCalled();
+            expect(awardPoints).toHaveBeenCalledWith('chan', [expect.objectContaining({ login: 'talker' })], 5);
+            expect(awardPoints).toHaveBeenCalledWith('chan', [expect.objectContaining({ login: 'talker' })], 10);
+        });
+
+        test('only pays chat points for messages since the previous tick', async () => {
+            recordChatMessage('chan', now - 1000, { login: 'talker' });
+            isStreamLive.mockReturnValue(false);
+            await _tick();
+            awardPoints.mockClear();
+
+            Date.now.mockReturnValue(now + POINTS_TICK_MS);
+            await _tick();
+
+            expect(awardPoints).not.toHaveBeenCalled();
+        });
+
+        test('pays no watch points while offline, and nothing when points are off', async () => {
+            recordChatMessage('chan', now - 1000, { login: 'talker' });
+            isStreamLive.mockReturnValue(false);
+            await _tick();
+            expect(getChannelChatters).not.toHaveBeenCalled();
+            expect(awardPoints).toHaveBeenCalledTimes(1);
+            expect(awardPoints).toHaveBeenCalledWith('chan', expect.any(Array), 5);
+
+            awardPoints.mockClear();
+            getPointsSettings.mockResolvedValue({ ...settings, enabled: false });
+            recordChatMessage('chan', now, { login: 'talker' });
+            Date.now.mockReturnValue(now + POINTS_TICK_MS);
+            await _tick();
+            expect(awardPoints).not.toHaveBeenCalled();
+        });
+
+        test('skips offline channels nobody has chatted in lately without reading settings', async () => {
+            isStreamLive.mockReturnValue(false);
+            recordChatMessage('quiet', now - POINTS_TICK_MS - 1000, { login: 'someone' });
+
+            await _tick();
+
+            expect(isDuplicateEvent).not.toHaveBeenCalled();
+            expect(getPointsSettings).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('awardEventPoints', () => {
+        test('pays the channel rate, multiplied by the count', async () => {
+            await expect(awardEventPoints('Chan', 'giftSub', { login: 'gifter' }, 5)).resolves.toBe(500);
+            expect(addPoints).toHaveBeenCalledWith('chan', { login: 'gifter' }, 500);
+        });
+
+        test('pays follow points once per viewer', async () => {
+            isDuplicateEvent.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+            await expect(awardEventPoints('chan', 'follow', { login: 'fan', userId: 'f1' })).resolves.toBe(50);
+            await expect(awardEventPoints('chan', 'follow', { login: 'fan', userId: 'f1' })).resolves.toBe(0);
+
+            expect(isDuplicateEvent).toHaveBeenCalledWith('points-follow:chan:f1', null, expect.any(Number));
+            expect(addPoints).toHaveBeenCalledTimes(1);
+        });
+
+        test('pays nothing when points are off or the source is turned off', async () => {
+            getPointsSettings.mockResolvedValueOnce({ ...settings, enabled: false })
+                .mockResolvedValueOnce({ ...settings, gameWin: 0 });
+
+            await expect(awardEventPoints('chan', 'gameWin', { login: 'winner' })).resolves.toBe(0);
+            await expect(awardEventPoints('chan', 'gameWin', { login: 'winner' })).resolves.toBe(0);
+            expect(addPoints).not.toHaveBeenCalled();
+        });
+
+        test('never throws', async () => {
+            addPoints.mockRejectedValue(new Error('Firestore down'));
+
+            await expect(awardEventPoints('chan', 'raid', { login: 'raider' })).resolves.toBe(0);
+        });
+    });
+});
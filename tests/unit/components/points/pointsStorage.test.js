@@ -0,0 +1,91 @@
+// tests/unit/components/points/pointsStorage.test.js
+import {
+    getPointsSettings,
+    updatePointsSettings,
+    getViewerPoints,
+    addPoints,
+    awardPoints,
+    transferPoints,
+    getPointsRank,
+    getPointsLeaderboard,
+    formatPoints,
+    PointsStorageError,
+    DEFAULT_POINTS_SETTINGS,
+} from '../../../../src/components/points/pointsStorage.js';
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+describe('pointsStorage', () => {
+    describe('settings', () => {
+        test('default to points off', async () => {
+            await expect(getPointsSettings('fresh')).resolves.toEqual(DEFAULT_POINTS_SETTINGS);
+        });
+
+        test('save valid changes and ignore the rest', async () => {
+            await expect(updatePointsSettings('Chan', { enabled: true, currency: ' gems ', chat: 2, raid: -5, bogus: 1 }))
+                .resolves.toBe(true);
+
+            const settings = await getPointsSettings('chan');
+            expect(settings).toMatchObject({ enabled: true, currency: 'gems', chat: 2, raid: 100 });
+            expect(settings).not.toHaveProperty('bogus');
+            expect(formatPoints(12500, settings)).toBe('12,500 gems');
+        });
+    });
+
+    describe('balances', () => {
+        test('addPoints creates a balance, never goes below zero, and tracks what was earned', async () => {
+            await expect(addPoints('chan', { login: 'Alice', userId: 'a1', displayName: 'Alice' }, 100)).resolves.toBe(100);
+            await expect(addPoints('chan', { login: 'alice' }, -30)).resolves.toBe(70);
+            await expect(addPoints('chan', { login: 'alice' }, -500)).resolves.toBe(0);
+
+            await expect(getViewerPoints('chan', 'ALICE'))
+                .resolves.toEqual({ login: 'alice', userId: 'a1', displayName: 'Alice', points: 0, earned: 100 });
+            await expect(getViewerPoints('chan', 'nobody')).resolves.toBeNull();
+        });
+
+        test('awardPoints pays every viewer in one go', async () => {
+            await expect(awardPoints('chan', [
+                { login: 'alice', displayName: 'Alice' },
+                { login: 'bob', userId: 'b1', displayName: 'Bob' },
+            ], 10)).resolves.toBe(2);
+            await awardPoints('chan', [{ login: 'bob' }], 10);
+            await expect(awardPoints('chan', [], 10)).resolves.toBe(0);
+
+            await expect(getViewerPoints('chan', 'alice')).resolves.toMatchObject({ points: 10, earned: 110 });
+            await expect(getViewerPoints('chan', 'bob')).resolves.toMatchObject({ points: 20, earned: 20, userId: 'b1' });
+        });
+    });
+
+    describe('transferPoints', () => {
+        test('moves points between viewers', async () => {
+            await expect(transferPoints('chan', 'bob', 'Alice', 5))
+                .resolves.toEqual({ amount: 5, fromPoints: 15, toPoints: 15, toDisplayName: 'Alice' });
+            await expect(transferPoints('chan', 'bob', 'alice', 'all'))
+                .resolves.toMatchObject({ amount: 15, fromPoints: 0, toPoints: 30 });
+        });
+
+        test('refuses transfers the giver cannot cover or to unknown viewers', async () => {
+            await expect(transferPoints('chan', 'bob', 'alice', 1))
+                .rejects.toMatchObject({ name: 'InsufficientPointsError', available: 0 });
+            await expect(transferPoints('chan', 'alice', 'stranger', 1))
+                .rejects.toThrow(new PointsStorageError("stranger hasn't earned anything here yet."));
+            await expect(getViewerPoints('chan', 'alice')).resolves.toMatchObject({ points: 30 });
+        });
+    });
+
+    test('ranks balances and lists the leaderboard', async () => {
+        await addPoints('chan', { login: 'cara', displayName: 'Cara' }, 30);
+
+        await expect(getPointsRank('chan', 30)).resolves.toBe(1);
+        await expect(getPointsRank('chan', 0)).resolves.toBe(3);
+
+        const leaders = await getPointsLeaderboard('chan', 2);
+        expect(leaders.map(viewer => viewer.login).sort()).toEqual(['alice', 'cara']);
+    });
+});
@@ -0,0 +1,180 @@
+// tests/unit/components/rewards/rewardActions.test.js
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/ircSender.js');
+jest.mock('../../../../src/components/customCommands/variableParser.js', () => ({
+    parseVariables: jest.fn(async (template, context) => template.replace('$(args)', context.args.join(' ')).replace('$(user)', context.user)),
+    validateTemplate: jest.fn(() => null),
+}));
+jest.mock('../../../../src/components/customCommands/promptResolver.js', () => ({
+    resolvePrompt: jest.fn(),
+}));
+jest.mock('../../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    incrementCounter: jest.fn(),
+    normalizeVariableName: jest.requireActual('../../../../src/components/customCommands/customCommandsStorage.js').normalizeVariableName,
+}));
+jest.mock('../../../../src/components/quotes/quoteStorage.js', () => ({
+    addQuote: jest.fn(),
+}));
+jest.mock('../../../../src/components/context/contextManager.js', () => ({
+    getContextManager: jest.fn(),
+}));
+jest.mock('../../../../src/components/llm/llmUsage.js', () => ({
+    isLlmSourceAllowed: jest.fn(),
+}));
+jest.mock('../../../../src/components/trivia/triviaGameManager.js', () => ({
+    getTriviaGameManager: jest.fn(),
+}));
+jest.mock('../../../../src/components/riddle/riddleGameManager.js', () => ({
+    getRiddleGameManager: jest.fn(),
+}));
+jest.mock('../../../../src/components/geo/geoGameManager.js', () => ({
+    getGeoGameManager: jest.fn(),
+}));
+
+import {
+    parseRewardAction,
+    describeRewardAction,
+    actionNeedsInput,
+    runRewardAction,
+    registerRewardAction,
+} from '../../../../src/components/rewards/rewardActions.js';
+import { enqueueMessage, enqueueAnnouncement } from '../../../../src/lib/ircSender.js';
+import { resolvePrompt } from '../../../../src/components/customCommands/promptResolver.js';
+import { incrementCounter } from '../../../../src/components/customCommands/customCommandsStorage.js';
+import { addQuote } from '../../../../src/components/quotes/quoteStorage.js';
+import { getContextManager } from '../../../../src/components/context/contextManager.js';
+import { isLlmSourceAllowed } from '../../../../src/components/llm/llmUsage.js';
+import { getTriviaGameManager } from '../../../../src/components/trivia/triviaGameManager.js';
+import { getGeoGameManager } from '../../../../src/components/geo/geoGameManager.js';
+
+describe('rewardActions', () => {
+    const redemption = {
+        channelName: 'chan',
+        rewardName: 'hydrate',
+        userLogin: 'viewer',
+        userName: 'Viewer',
+        input: 'make it spicy',
+        useCount: 3,
+    };
+    const triviaManager = { startGame: jest.fn() };
+    const geoManager = { startGame: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getContextManager.mockReturnValue({
+            getBotLanguage: jest.fn(() => null),
+            getContextForLLM: jest.fn(() => ({ recentChatHistory: 'a: hi' })),
+        });
+        isLlmSourceAllowed.mockResolvedValue(true);
+        getTriviaGameManager.mockReturnValue(triviaManager);
+        getGeoGameManager.mockReturnValue(geoManager);
+    });
+
+    describe('parseRewardAction', () => {
+        test('reads each built-in type', () => {
+            expect(parseRewardAction(['text', 'Stay', 'hydrated', '$(user)!'])).toEqual({ action: { type: 'text', response: 'Stay hydrated $(user)!' } });
+            expect(parseRewardAction(['ai', 'Roast', '$(args)'])).toEqual({ action: { type: 'prompt', prompt: 'Roast $(args)' } });
+            expect(parseRewardAction(['counter', 'Sips', '2'])).toEqual({ action: { type: 'counter', counter: 'sips', amount: 2, response: null } });
+            expect(parseRewardAction(['announce', 'green', 'Hype!'])).toEqual({ action: { type: 'announce', message: 'Hype!', color: 'green' } });
+            expect(parseRewardAction(['game', 'Trivia', 'space'])).toEqual({ action: { type: 'game', game: 'trivia', topic: 'space' } });
+            expect(parseRewardAction(['quote'])).toEqual({ action: { type: 'quote' } });
+        });
+
+        test('explains what is wrong', () => {
+            expect(parseRewardAction(['dance']).error).toContain('Unknown action');
+            expect(parseRewardAction(['text']).error).toContain('response');
+            expect(parseRewardAction(['counter', 'sips', '0']).error).toContain('not 0');
+            expect(parseRewardAction(['game', 'chess']).error).toContain('trivia, riddle, geo');
+        });
+    });
+
+    test('describes actions and flags those that need viewer input', () => {
+        expect(describeRewardAction({ type: 'counter', counter: 'sips', amount: 1 })).toBe('adds 1 to counter "sips"');
+        expect(actionNeedsInput({ type: 'quote' })).toBe(true);
+        expect(actionNeedsInput({ type: 'text', response: 'hi' })).toBe(false);
+    });
+
+    test('text sends the resolved response', async () => {
+        const result = await runRewardAction(redemption, { type: 'text', response: 'Enjoy, $(user): $(args)' });
+
+        expect(result).toEqual({ success: true });
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'Enjoy, Viewer: make it spicy');
+    });
+
+    test('prompt fails without a generated response, and when the LLM budget is paused', async () => {
+        resolvePrompt.mockResolvedValueOnce('A spicy reply');
+        await expect(runRewardAction(redemption, { type: 'prompt', prompt: 'Say $(args)' })).resolves.toEqual({ success: true });
+        expect(resolvePrompt).toHaveBeenCalledWith('Say make it spicy', null, null, false,
+            expect.objectContaining({ channel: 'chan', chatContext: 'a: hi' }));
+
+        resolvePrompt.mockResolvedValueOnce(null);
+        expect((await runRewardAction(redemption, { type: 'prompt', prompt: 'Say hi' })).success).toBe(false);
+
+        isLlmSourceAllowed.mockResolvedValueOnce(false);
+        const paused = await runRewardAction(redemption, { type: 'prompt', prompt: 'Say hi' });
+        expect(paused).toEqual({ success: false, error: expect.stringContaining('paused') });
+        expect(resolvePrompt).toHaveBeenCalledTimes(2);
+    });
+
+    test('counter adds to the named counter', async () => {
+        incrementCounter.mockResolvedValue(12);
+
+        await runRewardAction(redemption, { type: 'counter', counter: 'sips', amount: 2, response: null });
+
+        expect(incrementCounter).toHaveBeenCalledWith('chan', 'sips', 2);
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'sips is now 12.');
+    });
+
+    test('announce posts an announcement in its color', async () => {
+        await runRewardAction(redemption, { type: 'announce', message: '$(user) says $(args)', color: 'orange' });
+
+        expect(enqueueAnnouncement).toHaveBeenCalledWith('#chan', 'Viewer says make it spicy', 'orange');
+    });
+
+    test('game starts one round, using the viewer text as the topic when none is set', async () => {
+        triviaManager.startGame.mockResolvedValue({ success: true });
+        geoManager.startGame.mockResolvedValue({ success: false, error: 'A game is already running.' });
+
+        await expect(runRewardAction(redemption, { type: 'game', game: 'trivia', topic: null })).resolves.toEqual({ success: true });
+        expect(triviaManager.startGame).toHaveBeenCalledWith('chan', 'make it spicy', 'viewer', 1);
+
+        const failed = await runRewardAction(redemption, { type: 'game', game: 'geo', topic: 'Europe' });
+        expect(geoManager.startGame).toHaveBeenCalledWith('chan', 'real', 'Europe', 'viewer', 1);
+        expect(failed).toEqual({ success: false, error: 'A game is already running.' });
+    });
+
+    test('quote adds the viewer text and fails without it', async () => {
+        addQuote.mockResolvedValue({ quoteId: 7 });
+
+        await expect(runRewardAction(redemption, { type: 'quote' })).resolves.toEqual({ success: true });
+        expect(addQuote).toHaveBeenCalledWith('chan', 'make it spicy', 'chan', 'viewer');
+        expect(enqueueMessage).toHaveBeenCalledWith('#chan', 'Quote #7 added, thanks @Viewer!');
+
+        const empty = await runRewardAction({ ...redemption, input: '' }, { type: 'quote' });
+        expect(empty.success).toBe(false);
+    });
+
+    test('a throwing action counts as a failure', async () => {
+        incrementCounter.mockRejectedValue(new Error('firestore down'));
+
+        await expect(runRewardAction(redemption, { type: 'counter', counter: 'sips', amount: 1 })).resolves.toEqual({ success: false });
+        await expect(runRewardAction(redemption, { type: 'gone' })).resolves.toEqual({ success: false });
+    });
+
+    test('registerRewardAction adds new types', async () => {
+        const run = jest.fn().mockResolvedValue({ success: true });
+        registerRewardAction({
+            type: 'confetti',
+            usage: 'confetti',
+            parse: () => ({ action: { type: 'confetti' } }),
+            describe: () => 'throws confetti',
+            run,
+        });
+
+        expect(parseRewardAction(['confetti'])).toEqual({ action: { type: 'confetti' } });
+        await runRewardAction(redemption, { type: 'confetti' });
+        expect(run).toHaveBeenCalledWith(redemption, { type: 'confetti' });
+        expect(() => registerRewardAction({ type: 'broken' })).toThrow('missing: parse, describe, run');
+    });
+});
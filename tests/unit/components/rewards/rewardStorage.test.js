@@ -0,0 +1,57 @@
+// tests/unit/components/rewards/rewardStorage.test.js
+import {
+    addReward,
+    getReward,
+    getRewardByTwitchId,
+    getRewardsForChannel,
+    updateReward,
+    removeReward,
+    recordRewardUse,
+    RewardStorageError,
+} from '../../../../src/components/rewards/rewardStorage.js';
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+describe('rewardStorage', () => {
+    const hydrate = {
+        rewardId: 'r-1',
+        title: 'Hydrate',
+        cost: 100,
+        action: { type: 'counter', counter: 'sips', amount: 1, response: null },
+        managed: true,
+    };
+
+    test('adds a reward once and finds it by name and by Twitch ID', async () => {
+        await expect(addReward('Chan', 'hydrate', hydrate, 'Mod')).resolves.toBe(true);
+        await expect(addReward('chan', 'hydrate', hydrate, 'mod')).resolves.toBe(false);
+
+        const byName = await getReward('chan', 'hydrate');
+        expect(byName).toMatchObject({ name: 'hydrate', rewardId: 'r-1', managed: true, enabled: true, createdBy: 'mod' });
+        await expect(getRewardByTwitchId('chan', 'r-1')).resolves.toMatchObject({ name: 'hydrate' });
+        await expect(getRewardByTwitchId('chan', 'r-unknown')).resolves.toBeNull();
+    });
+
+    test('refuses to map one Twitch reward twice', async () => {
+        await expect(addReward('chan', 'water', hydrate, 'mod'))
+            .rejects.toThrow(new RewardStorageError('That Twitch reward is already set up as "hydrate".'));
+    });
+
+    test('updates, counts uses and removes rewards', async () => {
+        await expect(updateReward('chan', 'hydrate', { enabled: false, cost: 250, managed: false })).resolves.toBe(true);
+        await expect(updateReward('chan', 'missing', { enabled: false })).resolves.toBe(false);
+        await recordRewardUse('chan', 'hydrate', false);
+
+        const [reward] = await getRewardsForChannel('chan');
+        expect(reward).toMatchObject({ enabled: false, cost: 250, managed: true, useCount: 1, failCount: 1 });
+
+        await expect(removeReward('chan', 'hydrate')).resolves.toBe(true);
+        await expect(removeReward('chan', 'hydrate')).resolves.toBe(false);
+        await expect(getRewardsForChannel('chan')).resolves.toEqual([]);
+    });
+});
@@ -4,6 +4,10 @@ import { _isAnswerTooSimilar } from '../../../../src/components/riddle/riddleGam
 // Mock all heavy dependencies
 jest.mock('../../../../src/lib/logger.js');
 jest.mock('../../../../src/lib/ircSender.js');
+jest.mock('../../../../src/components/points/pointsManager.js');
+jest.mock('../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    recordGameWin: jest.fn(() => Promise.resolve()),
+}));
 jest.mock('../../../../src/components/context/contextManager.js');
 jest.mock('../../../../src/components/llm/geminiClient.js');
 jest.mock('../../../../src/lib/translationUtils.js');
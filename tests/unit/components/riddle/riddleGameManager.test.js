@@ -12,6 +12,10 @@ jest.mock('../../../../src/lib/translationUtils.js');
 jest.mock('../../../../src/components/riddle/riddleService.js');
 jest.mock('../../../../src/lib/logger.js');
 jest.mock('../../../../src/lib/ircSender.js'); // Mock to prevent actual message sending
+jest.mock('../../../../src/components/points/pointsManager.js');
+jest.mock('../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    recordGameWin: jest.fn(() => Promise.resolve()),
+}));
 
 // Mock riddleStorage functions used by the manager
 jest.mock('../../../../src/components/riddle/riddleStorage.js', () => ({
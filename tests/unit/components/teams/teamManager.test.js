@@ -0,0 +1,93 @@
+// tests/unit/components/teams/teamManager.test.js
+import {
+    enableTeamMode,
+    disableTeamMode,
+    isTeamModeActive,
+    getTeamNames,
+    getPlayerTeam,
+    joinTeam,
+    scoreForTeam,
+    getTeamStandings,
+    resetTeamScores,
+} from '../../../../src/components/teams/teamManager.js';
+import {
+    formatTeamTotals,
+    formatTeamRoundInfo,
+    formatTeamResultMessage,
+    formatTeamSessionScoresMessage,
+} from '../../../../src/components/teams/teamMessageFormatter.js';
+
+jest.mock('../../../../src/lib/logger.js');
+
+describe('teamManager', () => {
+    beforeEach(() => {
+        disableTeamMode('chan');
+    });
+
+    test('turns team mode on with red and blue by default', () => {
+        expect(isTeamModeActive('chan')).toBe(false);
+        expect(enableTeamMode('chan')).toEqual({ success: true, teams: ['red', 'blue'] });
+        expect(isTeamModeActive('chan')).toBe(true);
+        expect(enableTeamMode('chan', ['Cats', 'Dogs', 'Owls'])).toEqual({ success: true, teams: ['cats', 'dogs', 'owls'] });
+        expect(getTeamNames('chan')).toEqual(['cats', 'dogs', 'owls']);
+    });
+
+    test('checks team names', () => {
+        expect(enableTeamMode('chan', ['red'])).toMatchObject({ success: false });
+        expect(enableTeamMode('chan', ['red', 'RED'])).toMatchObject({ success: false });
+        expect(enableTeamMode('chan', ['a', 'b', 'c', 'd', 'e'])).toMatchObject({ success: false });
+        expect(enableTeamMode('chan', ['red', 'team blue'])).toMatchObject({ success: false });
+        expect(isTeamModeActive('chan')).toBe(false);
+    });
+
+    test('players join, switch and get auto-assigned to the smallest team', () => {
+        expect(joinTeam('chan', 'alice', 'red')).toMatchObject({ success: false, error: "Team mode isn't on right now." });
+        enableTeamMode('chan');
+
+        expect(joinTeam('chan', 'Alice', 'RED')).toEqual({ success: true, team: 'red', previousTeam: null });
+        expect(joinTeam('chan', 'bob')).toEqual({ success: true, team: 'blue', previousTeam: null });
+        expect(joinTeam('chan', 'cara')).toMatchObject({ team: 'red' });
+        expect(joinTeam('chan', 'cara')).toEqual({ success: true, team: 'red', previousTeam: 'red' });
+        expect(joinTeam('chan', 'alice', 'blue')).toEqual({ success: true, team: 'blue', previousTeam: 'red' });
+        expect(joinTeam('chan', 'alice', 'green')).toMatchObject({ success: false, error: 'There\'s no team "green". Teams: red, blue.' });
+
+        expect(getPlayerTeam('chan', 'ALICE')).toBe('blue');
+        expect(getTeamStandings('chan').map(team => [team.name, team.members.size])).toEqual([['red', 1], ['blue', 2]]);
+    });
+
+    test('scores wins for the winner\'s team', () => {
+        expect(scoreForTeam('chan', 'alice', 10)).toBeNull();
+        enableTeamMode('chan');
+        joinTeam('chan', 'alice', 'blue');
+
+        expect(scoreForTeam('chan', 'alice', 10)).toBe('blue');
+        expect(scoreForTeam('chan', 'newcomer', 15)).toBe('red');
+        expect(scoreForTeam('chan', 'alice', 20)).toBe('blue');
+        expect(getTeamStandings('chan').map(({ name, score }) => ({ name, score })))
+            .toEqual([{ name: 'blue', score: 30 }, { name: 'red', score: 15 }]);
+
+        expect(resetTeamScores('chan')).toBe(true);
+        expect(getTeamStandings('chan').map(team => team.score)).toEqual([0, 0]);
+        expect(getPlayerTeam('chan', 'newcomer')).toBe('red');
+        expect(disableTeamMode('chan')).toHaveLength(2);
+        expect(resetTeamScores('chan')).toBe(false);
+    });
+});
+
+describe('teamMessageFormatter', () => {
+    const standings = [{ name: 'blue', score: 20 }, { name: 'red', score: 30 }];
+
+    test('formats team totals for a round', () => {
+        expect(formatTeamTotals(standings)).toBe('Red 30, Blue 20');
+        expect(formatTeamRoundInfo('red', standings)).toBe(' for Team Red (Red 30, Blue 20)');
+    });
+
+    test('announces the winning team, ties and scoreless games', () => {
+        expect(formatTeamResultMessage(standings, 'night')).toBe('🏆 Team Red wins the night with 30 pts! (Red 30, Blue 20)');
+        expect(formatTeamSessionScoresMessage(new Map([['red', 40]]), ['red', 'blue']))
+            .toBe('🏆 Team Red wins the game with 40 pts! (Red 40, Blue 0)');
+        expect(formatTeamSessionScoresMessage(new Map([['red', 40], ['blue', 40]])))
+            .toBe("🤝 It's a tie between Team Red and Team Blue at 40 pts! (Red 40, Blue 40)");
+        expect(formatTeamSessionScoresMessage(new Map(), ['red', 'blue'])).toBe('No team scored this game.');
+    });
+});
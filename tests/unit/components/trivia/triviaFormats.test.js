@@ -0,0 +1,94 @@
+// tests/unit/components/trivia/triviaFormats.test.js
+import {
+    normalizeTriviaFormat,
+    parseGuess,
+    isCorrectGuess,
+    findClosestGuess,
+    formatNumber,
+    formatAnswerForDisplay,
+} from '../../../../src/components/trivia/triviaFormats.js';
+
+describe('triviaFormats', () => {
+    describe('normalizeTriviaFormat', () => {
+        test('accepts format names and aliases', () => {
+            expect(normalizeTriviaFormat('open')).toBe('open');
+            expect(normalizeTriviaFormat('free')).toBe('open');
+            expect(normalizeTriviaFormat('MC')).toBe('choice');
+            expect(normalizeTriviaFormat('multiple-choice')).toBe('choice');
+            expect(normalizeTriviaFormat('tf')).toBe('truefalse');
+            expect(normalizeTriviaFormat('closest')).toBe('number');
+        });
+
+        test('returns null for anything else', () => {
+            expect(normalizeTriviaFormat('essay')).toBeNull();
+            expect(normalizeTriviaFormat('')).toBeNull();
+            expect(normalizeTriviaFormat(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseGuess', () => {
+        test('reads choice letters in either case', () => {
+            expect(parseGuess('choice', 'b')).toBe('B');
+            expect(parseGuess('choice', ' D) ')).toBe('D');
+            expect(parseGuess('choice', 'E')).toBeNull();
+            expect(parseGuess('choice', 'b is my guess')).toBeNull();
+        });
+
+        test('reads true/false words', () => {
+            expect(parseGuess('truefalse', 'True')).toBe(true);
+            expect(parseGuess('truefalse', 'f!')).toBe(false);
+            expect(parseGuess('truefalse', 'maybe')).toBeNull();
+        });
+
+        test('reads numbers, with or without thousands separators', () => {
+            expect(parseGuess('number', '8849')).toBe(8849);
+            expect(parseGuess('number', '1,234,567')).toBe(1234567);
+            expect(parseGuess('number', '-3.5')).toBe(-3.5);
+            expect(parseGuess('number', '12,34')).toBeNull();
+            expect(parseGuess('number', 'about 9000')).toBeNull();
+        });
+
+        test('never reads a guess for open questions', () => {
+            expect(parseGuess('open', 'Paris')).toBeNull();
+        });
+    });
+
+    describe('isCorrectGuess', () => {
+        test('checks each format against its own answer field', () => {
+            expect(isCorrectGuess({ format: 'choice', answerLetter: 'C' }, 'C')).toBe(true);
+            expect(isCorrectGuess({ format: 'choice', answerLetter: 'C' }, 'A')).toBe(false);
+            expect(isCorrectGuess({ format: 'truefalse', isTrue: false }, false)).toBe(true);
+            expect(isCorrectGuess({ format: 'number', numericAnswer: 42 }, 42)).toBe(true);
+            expect(isCorrectGuess({ format: 'number', numericAnswer: 42 }, 41)).toBe(false);
+        });
+    });
+
+    describe('findClosestGuess', () => {
+        test('picks the closest guess, earliest first on a tie', () => {
+            const guesses = [
+                { username: 'a', guess: 90 },
+                { username: 'b', guess: 110 },
+                { username: 'c', guess: 50 },
+            ];
+            expect(findClosestGuess(100, guesses).username).toBe('a');
+        });
+
+        test('returns null when nobody guessed', () => {
+            expect(findClosestGuess(100, [])).toBeNull();
+        });
+    });
+
+    describe('formatting', () => {
+        test('formatNumber adds separators and the unit', () => {
+            expect(formatNumber(8849, 'metres')).toBe('8,849 metres');
+            expect(formatNumber(0.5)).toBe('0.5');
+        });
+
+        test('formatAnswerForDisplay shows the answer the way each format asks for it', () => {
+            expect(formatAnswerForDisplay({ format: 'choice', answer: 'Mars', answerLetter: 'B' })).toBe('B) Mars');
+            expect(formatAnswerForDisplay({ format: 'number', answer: '8849', numericAnswer: 8849, unit: 'metres' })).toBe('8,849 metres');
+            expect(formatAnswerForDisplay({ format: 'truefalse', answer: 'False' })).toBe('False');
+            expect(formatAnswerForDisplay({ answer: 'Paris' })).toBe('Paris');
+        });
+    });
+});
@@ -5,6 +5,8 @@ import { verifyAnswer } from '../../../../src/components/trivia/triviaQuestionSe
 import logger from '../../../../src/lib/logger.js';
 import { enqueueMessage } from '../../../../src/lib/ircSender.js';
 import { getTriviaGameManager, activeGames } from '../../../../src/components/trivia/triviaGameManager.js';
+import { getTriviaPack } from '../../../../src/components/trivia/triviaStorage.js';
+import { enableTeamMode, disableTeamMode, getPlayerTeam, getTeamStandings } from '../../../../src/components/teams/teamManager.js';
 
 // Mock dependencies
 jest.mock('../../../../src/components/context/contextManager.js');
@@ -13,6 +15,10 @@ jest.mock('../../../../src/lib/translationUtils.js');
 jest.mock('../../../../src/components/trivia/triviaQuestionService.js');
 jest.mock('../../../../src/lib/logger.js');
 jest.mock('../../../../src/lib/ircSender.js');
+jest.mock('../../../../src/components/points/pointsManager.js');
+jest.mock('../../../../src/components/gameProfiles/gameProfileStorage.js', () => ({
+    recordGameWin: jest.fn(() => Promise.resolve()),
+}));
 
 // Mock triviaStorage functions
 jest.mock('../../../../src/components/trivia/triviaStorage.js', () => ({
@@ -26,6 +32,7 @@ jest.mock('../../../../src/components/trivia/triviaStorage.js', () => ({
     getLatestCompletedSessionInfo: jest.fn().mockResolvedValue(null),
     flagTriviaQuestionProblem: jest.fn().mockResolvedValue(),
     flagTriviaQuestionByDocId: jest.fn().mockResolvedValue(),
+    getTriviaPack: jest.fn().mockResolvedValue(null),
 }));
 
 
@@ -125,7 +132,8 @@ describe('TriviaGameManager - _handleAnswer (via processPotentialAnswer)', () =>
             userAnswer,
             mockGameState.currentQuestion.alternateAnswers,
             mockGameState.currentQuestion.question,
-            mockGameState.topic || 'general'
+            mockGameState.topic || 'general',
+            { matchOnly: false }
         );
     });
 
@@ -144,7 +152,8 @@ describe('TriviaGameManager - _handleAnswer (via processPotentialAnswer)', () =>
             translatedAnswer,
             mockGameState.currentQuestion.alternateAnswers,
             mockGameState.currentQuestion.question,
-            mockGameState.topic || 'general'
+            mockGameState.topic || 'general',
+            { matchOnly: false }
         );
     });
 
@@ -162,7 +171,8 @@ describe('TriviaGameManager - _handleAnswer (via processPotentialAnswer)', () =>
             userAnswer, // Fallback to original
             mockGameState.currentQuestion.alternateAnswers,
             mockGameState.currentQuestion.question,
-            mockGameState.topic || 'general'
+            mockGameState.topic || 'general',
+            { matchOnly: false }
         );
         expect(logger.error).toHaveBeenCalled();
     });
@@ -181,7 +191,8 @@ describe('TriviaGameManager - _handleAnswer (via processPotentialAnswer)', () =>
             userAnswer, // Fallback to original
             mockGameState.currentQuestion.alternateAnswers,
             mockGameState.currentQuestion.question,
-            mockGameState.topic || 'general'
+            mockGameState.topic || 'general',
+            { matchOnly: false }
         );
         expect(logger.warn).toHaveBeenCalled();
     });
@@ -217,4 +228,209 @@ describe('TriviaGameManager - _handleAnswer (via processPotentialAnswer)', () =>
         await new Promise(process.nextTick);
         expect(verifyAnswer).toHaveBeenCalledTimes(2); // Hit cache instead of verifyAnswer
     });
+
+    test('Team mode: a correct answer scores for the winner\'s team and shows team totals', async () => {
+        enableTeamMode('testtriviachannel', ['red', 'blue']);
+        verifyAnswer.mockResolvedValue({ is_correct: true, confidence: 1 });
+
+        triviaGameManager.processPotentialAnswer('testtriviachannel', 'teamplayer', 'TeamPlayer', 'Paris');
+        const announced = () => enqueueMessage.mock.calls.some(([, text]) => text.includes('got it right'));
+        for (let i = 0; i < 20 && !announced(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const team = getPlayerTeam('testtriviachannel', 'teamplayer');
+        const [scored] = getTeamStandings('testtriviachannel');
+        expect(team).toBe('red'); // Unassigned winners are put on the smallest team
+        expect(scored).toMatchObject({ name: 'red' });
+        expect(scored.score).toBeGreaterThan(0);
+        expect(mockGameState.gameSessionTeamScores.get('red')).toBe(scored.score);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testtriviachannel',
+            expect.stringContaining(`for Team Red (Red ${scored.score}, Blue 0)`));
+        disableTeamMode('testtriviachannel');
+    });
+});
+
+describe('TriviaGameManager - choice, true/false and number formats', () => {
+    const channelName = 'formatchannel';
+    let triviaGameManager;
+
+    const startWithQuestion = async (question) => {
+        const triviaQuestionService = require('../../../../src/components/trivia/triviaQuestionService.js');
+        triviaQuestionService.generateQuestion.mockResolvedValue({
+            explanation: 'Because.',
+            difficulty: 'normal',
+            topic: 'general',
+            alternateAnswers: [],
+            ...question,
+        });
+        await triviaGameManager.startGame(channelName, null, 'host', 1);
+        return activeGames.get(channelName);
+    };
+
+    const messagesContaining = (text) => enqueueMessage.mock.calls.filter(([, message]) => message.includes(text));
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        getContextManager.mockReturnValue({ getBotLanguage: jest.fn().mockReturnValue(null) });
+        triviaGameManager = getTriviaGameManager();
+        await triviaGameManager.initialize();
+    });
+
+    afterEach(async () => {
+        await triviaGameManager.stopGame(channelName);
+        await jest.runOnlyPendingTimersAsync();
+        jest.useRealTimers();
+    });
+
+    test('choice: lists the choices, gives each player one guess and takes a letter as the answer', async () => {
+        const gameState = await startWithQuestion({
+            format: 'choice',
+            question: 'Which planet is known as the red planet?',
+            answer: 'Mars',
+            choices: ['Venus', 'Mars', 'Jupiter', 'Saturn'],
+            answerLetter: 'B',
+        });
+        expect(gameState.state).toBe('inProgress');
+        expect(messagesContaining('A) Venus B) Mars C) Jupiter D) Saturn')).toHaveLength(1);
+
+        triviaGameManager.processPotentialAnswer(channelName, 'guesser', 'Guesser', 'a');
+        triviaGameManager.processPotentialAnswer(channelName, 'guesser', 'Guesser', 'b'); // second guess is ignored
+        triviaGameManager.processPotentialAnswer(channelName, 'chatter', 'Chatter', 'is it mars?'); // not a guess
+        await jest.advanceTimersByTimeAsync(0);
+        expect(gameState.answers.map(a => a.username)).toEqual(['guesser']);
+        expect(verifyAnswer).not.toHaveBeenCalled();
+
+        triviaGameManager.processPotentialAnswer(channelName, 'chatter', 'Chatter', 'B');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(gameState.winner).toMatchObject({ username: 'chatter' });
+        expect(messagesContaining('@Chatter got it right')[0][1]).toContain('The answer is: B) Mars');
+    });
+
+    test('number: the closest guess wins when time runs out', async () => {
+        const gameState = await startWithQuestion({
+            format: 'number',
+            question: 'How tall is Mount Everest in metres?',
+            answer: '8849',
+            numericAnswer: 8849,
+            unit: 'metres',
+        });
+
+        triviaGameManager.processPotentialAnswer(channelName, 'far', 'Far', '9,500');
+        triviaGameManager.processPotentialAnswer(channelName, 'near', 'Near', '8800');
+        triviaGameManager.processPotentialAnswer(channelName, 'near', 'Near', '8849'); // only one guess each
+        await jest.advanceTimersByTimeAsync(0);
+        expect(gameState.state).toBe('inProgress');
+
+        await jest.advanceTimersByTimeAsync(gameState.config.questionTimeSeconds * 1000);
+        expect(gameState.winner).toMatchObject({ username: 'near', guess: 8800 });
+        expect(messagesContaining('@Near was closest with 8,800 (off by 49)')[0][1]).toContain('The answer is: 8,849 metres');
+    });
+
+    test('true/false: a right guess ends the round straight away', async () => {
+        const gameState = await startWithQuestion({
+            format: 'truefalse',
+            question: 'The Great Wall of China is visible from the Moon.',
+            answer: 'False',
+            isTrue: false,
+        });
+        expect(messagesContaining('TRUE OR FALSE:')).toHaveLength(1);
+
+        triviaGameManager.processPotentialAnswer(channelName, 'sceptic', 'Sceptic', 'false');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(gameState.winner).toMatchObject({ username: 'sceptic', guess: false });
+    });
+});
+
+describe('TriviaGameManager - question packs', () => {
+    const channelName = 'packchannel';
+    const packQuestions = [1, 2, 3].map(n => ({
+        question: `Pack question number ${n}?`,
+        answer: `Answer ${n}`,
+        alternateAnswers: [],
+        difficulty: 'easy',
+        topic: 'quiz night',
+        explanation: '',
+    }));
+    let triviaGameManager;
+    let triviaQuestionService;
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        getContextManager.mockReturnValue({ getBotLanguage: jest.fn().mockReturnValue(null) });
+        triviaQuestionService = require('../../../../src/components/trivia/triviaQuestionService.js');
+        triviaQuestionService.generateQuestion.mockResolvedValue({
+            question: 'What is a generated question?',
+            answer: 'Generated',
+            alternateAnswers: [],
+            explanation: 'Because.',
+            difficulty: 'normal',
+            topic: 'general',
+        });
+        getTriviaPack.mockResolvedValue({ name: 'quiz', questions: packQuestions, questionCount: 3 });
+        triviaGameManager = getTriviaGameManager();
+        await triviaGameManager.initialize();
+    });
+
+    afterEach(async () => {
+        await triviaGameManager.stopGame(channelName);
+        await jest.runOnlyPendingTimersAsync();
+        jest.useRealTimers();
+    });
+
+    test('asks pack questions without generating any, and caps rounds at the pack size', async () => {
+        const result = await triviaGameManager.startGame(channelName, null, 'host', 5, { pack: 'quiz' });
+        const gameState = activeGames.get(channelName);
+
+        expect(result.success).toBe(true);
+        expect(getTriviaPack).toHaveBeenCalledWith(channelName, 'quiz');
+        expect(gameState.totalRounds).toBe(3);
+        expect(enqueueMessage).toHaveBeenCalledWith(`#${channelName}`, 'The quiz pack only has 3 questions, so this game has 3 rounds.');
+        expect(gameState.currentQuestion).toMatchObject({ pack: 'quiz', format: 'open' });
+        expect(packQuestions.map(q => q.question)).toContain(gameState.currentQuestion.question);
+
+        // Round 2 comes from the pack too, so nothing is prefetched either
+        expect(triviaQuestionService.generateQuestion).not.toHaveBeenCalled();
+    });
+
+    test('mixed pack games alternate pack and generated questions', async () => {
+        await triviaGameManager.startGame(channelName, null, 'host', 3, { pack: 'quiz', mixPack: true });
+        const gameState = activeGames.get(channelName);
+        expect(gameState.currentQuestion.pack).toBe('quiz');
+
+        await jest.advanceTimersByTimeAsync(gameState.config.questionTimeSeconds * 1000); // round 1 times out
+        await jest.advanceTimersByTimeAsync(15000); // delay before round 2
+        expect(gameState.currentRound).toBe(2);
+        expect(gameState.currentQuestion).toMatchObject({ answer: 'Generated' });
+        expect(gameState.currentQuestion.pack).toBeUndefined();
+    });
+
+    test('pack rounds check answers without translating them or asking the LLM', async () => {
+        const { generateStructuredJson } = require('../../../../src/components/llm/geminiClient.js');
+        const { verifyAnswer: realVerifyAnswer } = jest.requireActual('../../../../src/components/trivia/triviaQuestionService.js');
+        verifyAnswer.mockImplementation(realVerifyAnswer);
+        getContextManager.mockReturnValue({ getBotLanguage: jest.fn().mockReturnValue('spanish') });
+
+        await triviaGameManager.startGame(channelName, null, 'host', 1, { pack: 'quiz' });
+        const gameState = activeGames.get(channelName);
+        triviaGameManager.processPotentialAnswer(channelName, 'user1', 'User1', 'Some wrong answer');
+        await jest.advanceTimersByTimeAsync(0);
+        triviaGameManager.processPotentialAnswer(channelName, 'user2', 'User2', gameState.currentQuestion.answer);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(verifyAnswer).toHaveBeenCalledTimes(2);
+        expect(generateStructuredJson).not.toHaveBeenCalled();
+        expect(translateText).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith(`#${channelName}`, expect.stringContaining('✅ @User2 got it right'));
+    });
+
+    test('refuses to start with a pack the channel does not have', async () => {
+        getTriviaPack.mockResolvedValue(null);
+        const result = await triviaGameManager.startGame(channelName, null, 'host', 1, { pack: 'nope' });
+
+        expect(result).toEqual({ success: false, error: `There's no question pack called "nope". Use !trivia packs to see this channel's packs.` });
+        expect(activeGames.get(channelName).state).toBe('idle');
+    });
 });
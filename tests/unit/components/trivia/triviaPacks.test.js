@@ -0,0 +1,154 @@
+// tests/unit/components/trivia/triviaPacks.test.js
+import {
+    parsePackFile,
+    importTriviaPack,
+    normalizePackName,
+    shufflePackQuestions,
+    toPackQuestion,
+    TriviaPackError,
+    MAX_PACK_QUESTIONS,
+} from '../../../../src/components/trivia/triviaPacks.js';
+import { getTriviaPack, listTriviaPacks, deleteTriviaPack } from '../../../../src/components/trivia/triviaStorage.js';
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+const question = (n, extra = {}) => ({ question: `What is question number ${n}?`, answer: `Answer ${n}`, ...extra });
+
+describe('triviaPacks', () => {
+    describe('parsePackFile', () => {
+        test('reads a JSON pack with a name', () => {
+            const parsed = parsePackFile(JSON.stringify({
+                name: 'Movies',
+                questions: [
+                    { question: 'Who directed Jaws in 1975?', answer: 'Steven Spielberg', alternates: ['Spielberg'], difficulty: 'Medium', topic: 'movies' },
+                ],
+            }));
+
+            expect(parsed.name).toBe('Movies');
+            expect(parsed.questions).toEqual([{
+                question: 'Who directed Jaws in 1975?',
+                answer: 'Steven Spielberg',
+                alternateAnswers: ['Spielberg'],
+                difficulty: 'normal',
+                topic: 'movies',
+                explanation: '',
+            }]);
+        });
+
+        test('reads a CSV pack, splitting alternates on |', () => {
+            const csv = [
+                'Question,Answer,Alternates,Difficulty,Topic,Explanation',
+                '"Which planet has the most moons, as of 2024?",Saturn,,hard,space,"It has 146 known moons."',
+                'What is the largest ocean on Earth?,Pacific,Pacific Ocean|The Pacific,easy,,',
+            ].join('\n');
+
+            const { name, questions, skipped } = parsePackFile(csv);
+
+            expect(name).toBeNull();
+            expect(skipped).toEqual([]);
+            expect(questions[0]).toMatchObject({ question: 'Which planet has the most moons, as of 2024?', difficulty: 'hard', explanation: 'It has 146 known moons.' });
+            expect(questions[1]).toMatchObject({ alternateAnswers: ['Pacific Ocean', 'The Pacific'], topic: 'general' });
+        });
+
+        test('skips unusable and duplicate questions and reports where they were', () => {
+            const { questions, skipped } = parsePackFile(JSON.stringify([
+                question(1),
+                { question: 'Too short', answer: 'x' },
+                { question: 'A question with no answer at all?' },
+                question(1),
+                question(2, { difficulty: 'impossible' }),
+                'not an object',
+            ]));
+
+            expect(questions).toHaveLength(1);
+            expect(skipped).toEqual([
+                { index: 2, reason: 'question missing or too short' },
+                { index: 3, reason: 'answer missing' },
+                { index: 4, reason: 'duplicate question' },
+                { index: 5, reason: 'unknown difficulty "impossible"' },
+                { index: 6, reason: 'not a question' },
+            ]);
+        });
+
+        test('rejects files it cannot use', () => {
+            expect(() => parsePackFile('{ not json')).toThrow(TriviaPackError);
+            expect(() => parsePackFile(JSON.stringify({ name: 'empty' }))).toThrow('Expected a list of questions');
+            expect(() => parsePackFile(JSON.stringify([{ question: 'short' }]))).toThrow('no usable questions');
+            const tooMany = Array.from({ length: MAX_PACK_QUESTIONS + 1 }, (_, i) => question(i));
+            expect(() => parsePackFile(JSON.stringify(tooMany))).toThrow(`up to ${MAX_PACK_QUESTIONS} questions`);
+        });
+    });
+
+    describe('normalizePackName', () => {
+        test('lowercases valid names and rejects others', () => {
+            expect(normalizePackName(' Movies_90s ')).toBe('movies_90s');
+            expect(normalizePackName('two words')).toBeNull();
+            expect(normalizePackName('')).toBeNull();
+        });
+    });
+
+    describe('importTriviaPack', () => {
+        test('saves a pack and refuses to replace it without overwrite', async () => {
+            const parsed = parsePackFile(JSON.stringify([question(1), question(2)]));
+
+            await expect(importTriviaPack('packchan', 'Quiz', parsed))
+                .resolves.toEqual({ name: 'quiz', questionCount: 2, replaced: false });
+            await expect(importTriviaPack('packchan', 'quiz', parsed)).rejects.toThrow('already has a pack named "quiz"');
+            await expect(importTriviaPack('packchan', 'quiz', parsePackFile(JSON.stringify([question(3)])), { overwrite: true }))
+                .resolves.toEqual({ name: 'quiz', questionCount: 1, replaced: true });
+
+            const stored = await getTriviaPack('packchan', 'QUIZ');
+            expect(stored).toMatchObject({ name: 'quiz', questionCount: 1 });
+            expect(stored.questions[0].answer).toBe('Answer 3');
+            await expect(listTriviaPacks('packchan')).resolves.toEqual([{ name: 'quiz', questionCount: 1 }]);
+        });
+
+        test('dry runs write nothing', async () => {
+            const parsed = parsePackFile(JSON.stringify([question(1)]));
+            await importTriviaPack('drychan', 'quiz', parsed, { dryRun: true });
+            await expect(getTriviaPack('drychan', 'quiz')).resolves.toBeNull();
+        });
+
+        test('rejects invalid pack names', async () => {
+            const parsed = parsePackFile(JSON.stringify([question(1)]));
+            await expect(importTriviaPack('packchan', 'bad name!', parsed)).rejects.toThrow(TriviaPackError);
+        });
+
+        test('deleted packs are gone', async () => {
+            await importTriviaPack('delchan', 'old', parsePackFile(JSON.stringify([question(1)])));
+            await expect(deleteTriviaPack('delchan', 'old')).resolves.toBe(true);
+            await expect(deleteTriviaPack('delchan', 'old')).resolves.toBe(false);
+            await expect(listTriviaPacks('delchan')).resolves.toEqual([]);
+        });
+    });
+
+    describe('game helpers', () => {
+        test('shufflePackQuestions keeps every question and moves recent ones to the back', () => {
+            const questions = [1, 2, 3, 4, 5].map(n => question(n));
+            const shuffled = shufflePackQuestions(questions, [questions[0].question, questions[2].question]);
+
+            expect(shuffled).toHaveLength(5);
+            expect(shuffled.slice(3).map(q => q.answer).sort()).toEqual(['Answer 1', 'Answer 3']);
+            expect(questions[0].answer).toBe('Answer 1'); // input left as it was
+        });
+
+        test('toPackQuestion builds an open question tagged with its pack', () => {
+            const [entry] = parsePackFile(JSON.stringify([question(1)])).questions;
+            expect(toPackQuestion(entry, 'quiz')).toMatchObject({
+                question: entry.question,
+                answer: 'Answer 1',
+                alternateAnswers: [],
+                difficulty: 'normal',
+                format: 'open',
+                pack: 'quiz',
+                language: null,
+            });
+        });
+    });
+});
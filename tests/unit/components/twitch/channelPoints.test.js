@@ -0,0 +1,53 @@
+// tests/unit/components/twitch/channelPoints.test.js
+
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/components/twitch/broadcasterTokenHelper.js', () => ({
+    getBroadcasterAccessToken: jest.fn(),
+    clearCachedBroadcasterToken: jest.fn(),
+}));
+jest.mock('../../../../src/components/twitch/helixClient.js', () => ({
+    getCustomRewards: jest.fn(),
+    createCustomReward: jest.fn(),
+    updateCustomReward: jest.fn(),
+    deleteCustomReward: jest.fn(),
+    updateRedemptionStatus: jest.fn(),
+}));
+
+import { createChannelReward, completeRedemption } from '../../../../src/components/twitch/channelPoints.js';
+import { getBroadcasterAccessToken, clearCachedBroadcasterToken } from '../../../../src/components/twitch/broadcasterTokenHelper.js';
+import { createCustomReward, updateRedemptionStatus } from '../../../../src/components/twitch/helixClient.js';
+
+describe('channelPoints', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'token', twitchUserId: 'b-1' });
+    });
+
+    test('calls Helix with the broadcaster token', async () => {
+        createCustomReward.mockResolvedValue({ success: true, reward: { id: 'r-1' } });
+
+        const result = await createChannelReward('#Chan', { title: 'Hydrate', cost: 100 });
+
+        expect(getBroadcasterAccessToken).toHaveBeenCalledWith('chan');
+        expect(createCustomReward).toHaveBeenCalledWith('b-1', 'token', { title: 'Hydrate', cost: 100 });
+        expect(result).toEqual({ success: true, reward: { id: 'r-1' } });
+    });
+
+    test('reports a missing token without calling Helix', async () => {
+        getBroadcasterAccessToken.mockResolvedValue(null);
+
+        await expect(createChannelReward('chan', { title: 'x', cost: 1 })).resolves.toEqual({ success: false, noToken: true });
+        expect(createCustomReward).not.toHaveBeenCalled();
+    });
+
+    test('completeRedemption fulfils or cancels, and drops a rejected token', async () => {
+        updateRedemptionStatus.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: false, status: 401 });
+
+        await expect(completeRedemption('chan', 'r-1', 'red-1', true)).resolves.toBe(true);
+        await expect(completeRedemption('chan', 'r-1', 'red-2', false)).resolves.toBe(false);
+
+        expect(updateRedemptionStatus).toHaveBeenNthCalledWith(1, 'b-1', 'r-1', 'red-1', 'FULFILLED', 'token');
+        expect(updateRedemptionStatus).toHaveBeenNthCalledWith(2, 'b-1', 'r-1', 'red-2', 'CANCELED', 'token');
+        expect(clearCachedBroadcasterToken).toHaveBeenCalledWith('chan');
+    });
+});
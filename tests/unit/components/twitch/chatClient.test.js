@@ -0,0 +1,128 @@
+// tests/unit/components/twitch/chatClient.test.js
+
+jest.mock('axios');
+jest.mock('../../../../src/lib/logger.js');
+jest.mock('../../../../src/components/twitch/helixClient.js');
+jest.mock('../../../../src/components/twitch/auth.js');
+jest.mock('../../../../src/components/twitch/broadcasterTokenHelper.js');
+
+import axios from 'axios';
+import {
+    sendMessage,
+    sendAnnouncement,
+    setOutboundChatSink,
+    deleteMessage,
+    timeoutUser,
+    banUser,
+    sendShoutout,
+    getChannelChatters,
+} from '../../../../src/components/twitch/chatClient.js';
+import { deleteChatMessage, banChatUser, sendShoutout as helixSendShoutout, getChatters } from '../../../../src/components/twitch/helixClient.js';
+import { getAppAccessToken } from '../../../../src/components/twitch/auth.js';
+import { getBroadcasterAccessToken, clearCachedBroadcasterToken } from '../../../../src/components/twitch/broadcasterTokenHelper.js';
+
+describe('chatClient outbound sink', () => {
+    afterEach(() => {
+        setOutboundChatSink(null);
+    });
+
+    test('sendMessage hands the message to the sink instead of Helix', async () => {
+        const sink = jest.fn().mockReturnValue(true);
+        setOutboundChatSink(sink);
+
+        const result = await sendMessage('#SomeChannel', 'hello', { replyToId: 'msg-1' });
+
+        expect(result).toBe(true);
+        expect(sink).toHaveBeenCalledWith({ type: 'message', channel: 'somechannel', message: 'hello', replyToId: 'msg-1' });
+        expect(getAppAccessToken).not.toHaveBeenCalled();
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('sendAnnouncement hands the announcement and colour to the sink', async () => {
+        const sink = jest.fn().mockResolvedValue(true);
+        setOutboundChatSink(sink);
+
+        const result = await sendAnnouncement('#chan', 'big news', 'purple');
+
+        expect(result).toBe(true);
+        expect(sink).toHaveBeenCalledWith({ type: 'announcement', channel: 'chan', message: 'big news', color: 'purple' });
+        expect(getBroadcasterAccessToken).not.toHaveBeenCalled();
+    });
+
+    test('a falsy sink result is reported as a failed send', async () => {
+        setOutboundChatSink(() => false);
+        await expect(sendMessage('chan', 'hello')).resolves.toBe(false);
+    });
+
+    test('clearing the sink restores Helix delivery', async () => {
+        setOutboundChatSink(jest.fn());
+        setOutboundChatSink(null);
+        getAppAccessToken.mockResolvedValue(null);
+
+        await expect(sendMessage('chan', 'hello')).resolves.toBe(false);
+        expect(getAppAccessToken).toHaveBeenCalled();
+    });
+});
+
+describe('chatClient moderation actions', () => {
+    afterEach(() => {
+        setOutboundChatSink(null);
+    });
+
+    test('moderation actions go to the sink when one is set', async () => {
+        const sink = jest.fn().mockReturnValue(true);
+        setOutboundChatSink(sink);
+
+        await expect(timeoutUser('#Chan', 'u1', 60, 'spam')).resolves.toBe(true);
+        expect(sink).toHaveBeenCalledWith({
+            type: 'moderation', channel: 'chan', action: 'timeout', userId: 'u1', durationSeconds: 60, reason: 'spam',
+        });
+    });
+
+    test('deleteMessage calls Helix with the broadcaster as moderator', async () => {
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'tok', twitchUserId: 'b1' });
+        deleteChatMessage.mockResolvedValue({ success: true });
+
+        await expect(deleteMessage('chan', 'msg-1')).resolves.toBe(true);
+        expect(deleteChatMessage).toHaveBeenCalledWith('b1', 'b1', 'msg-1', 'tok');
+    });
+
+    test('an auth failure evicts the cached broadcaster token', async () => {
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'tok', twitchUserId: 'b1' });
+        banChatUser.mockResolvedValue({ success: false, status: 403 });
+
+        await expect(banUser('chan', 'u1', 'spam')).resolves.toBe(false);
+        expect(clearCachedBroadcasterToken).toHaveBeenCalledWith('chan');
+    });
+
+    test('sendShoutout shouts out the target as the broadcaster', async () => {
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'tok', twitchUserId: 'b1' });
+        helixSendShoutout.mockResolvedValue({ success: true });
+
+        await expect(sendShoutout('#Chan', 't1')).resolves.toBe(true);
+        expect(helixSendShoutout).toHaveBeenCalledWith('b1', 't1', 'b1', 'tok');
+    });
+
+    test('fails without a broadcaster token', async () => {
+        getBroadcasterAccessToken.mockResolvedValue(null);
+        await expect(deleteMessage('chan', 'msg-1')).resolves.toBe(false);
+    });
+
+    test('getChannelChatters lists chatters as the broadcaster', async () => {
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'tok', twitchUserId: 'b1' });
+        getChatters.mockResolvedValue({ success: true, chatters: [{ user_id: 'u1', user_login: 'lurker', user_name: 'Lurker' }] });
+
+        await expect(getChannelChatters('#Chan')).resolves.toEqual([{ login: 'lurker', userId: 'u1', displayName: 'Lurker' }]);
+        expect(getChatters).toHaveBeenCalledWith('b1', 'b1', 'tok');
+    });
+
+    test('getChannelChatters returns null when the list is unavailable', async () => {
+        getBroadcasterAccessToken.mockResolvedValue({ accessToken: 'tok', twitchUserId: 'b1' });
+        getChatters.mockResolvedValue({ success: false, status: 403 });
+        await expect(getChannelChatters('chan')).resolves.toBeNull();
+        expect(clearCachedBroadcasterToken).toHaveBeenCalledWith('chan');
+
+        getBroadcasterAccessToken.mockResolvedValue(null);
+        await expect(getChannelChatters('chan')).resolves.toBeNull();
+    });
+});
@@ -2,7 +2,9 @@
 import { clearPhantomEventSubEntries, eventSubHandler, markEventSubReady } from '../../../../src/components/twitch/eventsub.js';
 import LifecycleManager from '../../../../src/services/LifecycleManager.js';
 import { isChannelActive } from '../../../../src/components/twitch/channelManager.js';
-import { notifySubscription, notifyGiftSubs, notifyAdBreak } from '../../../../src/components/autoChat/autoChatManager.js';
+import { notifySubscription, notifyGiftSubs, notifyRaid, notifyAdBreak } from '../../../../src/components/autoChat/autoChatManager.js';
+import { awardEventPoints } from '../../../../src/components/points/pointsManager.js';
+import { lookupChannel, shoutOutRaider } from '../../../../src/components/shoutouts/shoutoutManager.js';
 
 // Mock entire modules
 jest.mock('../../../../src/components/context/contextManager.js');
@@ -12,6 +14,11 @@ jest.mock('../../../../src/lib/ircSender.js');
 jest.mock('../../../../src/services/LifecycleManager.js');
 jest.mock('../../../../src/components/twitch/channelManager.js');
 jest.mock('../../../../src/components/autoChat/autoChatManager.js');
+jest.mock('../../../../src/components/points/pointsManager.js');
+jest.mock('../../../../src/components/shoutouts/shoutoutManager.js', () => ({
+    lookupChannel: jest.fn(),
+    shoutOutRaider: jest.fn(),
+}));
 
 describe('EventSub Phantom Entry Cleanup', () => {
     let mockLifecycle;
@@ -187,6 +194,9 @@ describe('EventSub Webhook Routing & Subscription Celebrations', () => {
             event: {
                 broadcaster_user_name: 'testchannel',
                 broadcaster_user_id: '12345',
+                user_login: 'newsub',
+                user_id: '777',
+                user_name: 'NewSub',
                 is_gift: false
             }
         });
@@ -195,6 +205,7 @@ describe('EventSub Webhook Routing & Subscription Celebrations', () => {
 
         expect(mockRes.writeHead).toHaveBeenCalledWith(200);
         expect(notifySubscription).toHaveBeenCalledWith('testchannel');
+        expect(awardEventPoints).toHaveBeenCalledWith('testchannel', 'sub', { login: 'newsub', userId: '777', displayName: 'NewSub' });
         expect(notifyGiftSubs).not.toHaveBeenCalled();
     });
 
@@ -243,6 +254,8 @@ describe('EventSub Webhook Routing & Subscription Celebrations', () => {
                 broadcaster_user_id: '12345',
                 total: 5,
                 is_anonymous: false,
+                user_login: 'gifterguy',
+                user_id: '888',
                 user_name: 'GifterGuy',
                 cumulative_total: 10
             }
@@ -252,6 +265,7 @@ describe('EventSub Webhook Routing & Subscription Celebrations', () => {
 
         expect(mockRes.writeHead).toHaveBeenCalledWith(200);
         expect(notifyGiftSubs).toHaveBeenCalledWith('testchannel', 5, 'GifterGuy', 10);
+        expect(awardEventPoints).toHaveBeenCalledWith('testchannel', 'giftSub', { login: 'gifterguy', userId: '888', displayName: 'GifterGuy' }, 5);
     });
 
     test('should handle anonymous users correctly in channel.subscription.gift', async () => {
@@ -280,5 +294,40 @@ describe('EventSub Webhook Routing & Subscription Celebrations', () => {
 
         expect(mockRes.writeHead).toHaveBeenCalledWith(200);
         expect(notifyGiftSubs).toHaveBeenCalledWith('testchannel', 3, null, null);
+        expect(awardEventPoints).not.toHaveBeenCalledWith('testchannel', 'giftSub', expect.anything(), 3);
+    });
+
+    test('should look up a raider once and pass it to both the raid welcome and the shoutout', async () => {
+        const raider = { user: { id: '999', login: 'raidergal' }, channelInfo: { game_name: 'Celeste' } };
+        lookupChannel.mockResolvedValue(raider);
+        const req = {
+            headers: {
+                'twitch-eventsub-message-type': 'notification',
+                'twitch-eventsub-message-id': 'raid-msg-1',
+                'twitch-eventsub-message-timestamp': new Date().toISOString()
+            }
+        };
+
+        const rawBody = JSON.stringify({
+            subscription: {
+                type: 'channel.raid'
+            },
+            event: {
+                from_broadcaster_user_login: 'raidergal',
+                from_broadcaster_user_id: '999',
+                from_broadcaster_user_name: 'RaiderGal',
+                to_broadcaster_user_name: 'TestChannel',
+                to_broadcaster_user_id: '12345',
+                viewers: 25
+            }
+        });
+
+        await eventSubHandler(req, mockRes, rawBody);
+
+        expect(mockRes.writeHead).toHaveBeenCalledWith(200);
+        expect(lookupChannel).toHaveBeenCalledTimes(1);
+        expect(lookupChannel).toHaveBeenCalledWith('999');
+        expect(notifyRaid).toHaveBeenCalledWith('testchannel', 'RaiderGal', 25, '999', raider);
+        expect(shoutOutRaider).toHaveBeenCalledWith('testchannel', { userId: '999', login: 'raidergal', ...raider });
     });
 });
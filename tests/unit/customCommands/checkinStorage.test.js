@@ -0,0 +1,121 @@
+// tests/unit/customCommands/checkinStorage.test.js
+// Check-in streaks, ranks and the leaderboard, against the in-memory Firestore.
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/distributedCache.js', () => ({
+    getStreamSession: jest.fn(),
+}));
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+import {
+    getCheckinPeriod,
+    recordCheckin,
+    getCheckinRank,
+    getCheckinStats,
+    getCheckinLeaderboard,
+    saveCheckinConfig,
+} from '../../../src/components/customCommands/checkinStorage.js';
+import { setCommandTimezone } from '../../../src/components/customCommands/customCommandsStorage.js';
+import { getStreamSession } from '../../../src/lib/distributedCache.js';
+
+describe('checkinStorage', () => {
+    beforeEach(() => {
+        getStreamSession.mockReset();
+    });
+
+    describe('getCheckinPeriod', () => {
+        test('uses calendar days in the channel timezone', async () => {
+            const lateEvening = new Date('2026-10-18T03:30:00Z');
+
+            await expect(getCheckinPeriod('utcchan', 'day', lateEvening))
+                .resolves.toEqual({ current: 'day:2026-10-18', previous: 'day:2026-10-17' });
+
+            await setCommandTimezone('nychan', 'America/New_York');
+            await expect(getCheckinPeriod('nychan', 'day', lateEvening))
+                .resolves.toEqual({ current: 'day:2026-10-17', previous: 'day:2026-10-16' });
+        });
+
+        test('falls back to UTC when the channel timezone is unknown', async () => {
+            await setCommandTimezone('badchan', 'Not/AZone');
+            await expect(getCheckinPeriod('badchan', 'day', new Date('2026-10-18T03:30:00Z')))
+                .resolves.toEqual({ current: 'day:2026-10-18', previous: 'day:2026-10-17' });
+        });
+
+        test('rolls back across month boundaries', async () => {
+            await expect(getCheckinPeriod('utcchan', 'day', new Date('2026-03-01T12:00:00Z')))
+                .resolves.toEqual({ current: 'day:2026-03-01', previous: 'day:2026-02-28' });
+        });
+
+        test('uses stream sessions in stream mode, falling back to days when offline', async () => {
+            getStreamSession.mockResolvedValueOnce({ sessionId: 's2', previousSessionId: 's1' }).mockResolvedValueOnce(null);
+            const now = new Date('2026-10-18T12:00:00Z');
+
+            await expect(getCheckinPeriod('Chan', 'stream', now)).resolves.toEqual({ current: 'stream:s2', previous: 'stream:s1' });
+            await expect(getCheckinPeriod('Chan', 'stream', now)).resolves.toEqual({ current: 'day:2026-10-18', previous: 'day:2026-10-17' });
+            expect(getStreamSession).toHaveBeenCalledWith('chan');
+        });
+    });
+
+    describe('recordCheckin', () => {
+        const day = (current, previous) => ({ current: `day:${current}`, previous: `day:${previous}` });
+
+        test('extends a streak on consecutive periods and keeps it within one period', async () => {
+            await expect(recordCheckin('streaks', 'u1', 'Viewer', day('2026-10-16', '2026-10-15')))
+                .resolves.toEqual({ count: 1, isNew: true, streak: 1, bestStreak: 1 });
+            await expect(recordCheckin('streaks', 'u1', 'Viewer', day('2026-10-17', '2026-10-16')))
+                .resolves.toEqual({ count: 2, isNew: false, streak: 2, bestStreak: 2 });
+            await expect(recordCheckin('streaks', 'u1', 'Viewer', day('2026-10-17', '2026-10-16')))
+                .resolves.toEqual({ count: 3, isNew: false, streak: 2, bestStreak: 2 });
+        });
+
+        test('restarts a broken streak but remembers the best one', async () => {
+            await expect(recordCheckin('streaks', 'u1', 'Viewer', day('2026-10-20', '2026-10-19')))
+                .resolves.toEqual({ count: 4, isNew: false, streak: 1, bestStreak: 2 });
+        });
+
+        test('only counts when no period is given', async () => {
+            await expect(recordCheckin('streaks', 'u2', 'Other'))
+                .resolves.toEqual({ count: 1, isNew: true, streak: 0, bestStreak: 0 });
+        });
+    });
+
+    describe('stats and leaderboard', () => {
+        beforeAll(async () => {
+            const period = { current: 'stream:s2', previous: 'stream:s1' };
+            await saveCheckinConfig('board', { enabled: true, streakMode: 'stream' });
+            await recordCheckin('board', 'a', 'Alice', { current: 'stream:s1', previous: null });
+            await recordCheckin('board', 'a', 'Alice', period);
+            await recordCheckin('board', 'b', 'Bob', { current: 'stream:s0', previous: null });
+            await recordCheckin('board', 'b', 'Bob', { current: 'stream:s0', previous: null });
+            await recordCheckin('board', 'c', 'Cara', period);
+        });
+
+        beforeEach(() => {
+            getStreamSession.mockResolvedValue({ sessionId: 's2', previousSessionId: 's1' });
+        });
+
+        test('ranks counts, sharing a rank on ties', async () => {
+            await expect(getCheckinRank('board', 2)).resolves.toBe(1);
+            await expect(getCheckinRank('board', 1)).resolves.toBe(3);
+        });
+
+        test('reports the live streak, which drops to 0 once broken', async () => {
+            await expect(getCheckinStats('board', 'a')).resolves.toEqual({ count: 2, streak: 2, bestStreak: 2, rank: 1 });
+            await expect(getCheckinStats('board', 'b')).resolves.toEqual({ count: 2, streak: 0, bestStreak: 1, rank: 1 });
+            await expect(getCheckinStats('board', 'nobody')).resolves.toBeNull();
+        });
+
+        test('lists the viewers with the most check-ins', async () => {
+            const leaders = await getCheckinLeaderboard('board', 2);
+
+            expect(leaders).toHaveLength(2);
+            expect(leaders.map(l => l.userId).sort()).toEqual(['a', 'b']);
+            expect(leaders.find(l => l.userId === 'a')).toEqual({ userId: 'a', displayName: 'Alice', count: 2, streak: 2 });
+        });
+    });
+});
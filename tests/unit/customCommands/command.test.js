@@ -10,6 +10,29 @@ jest.mock('../../../src/components/customCommands/customCommandsStorage.js', ()
     removeCustomCommand: jest.fn(),
     getCustomCommand: jest.fn(),
     updateCustomCommandOptions: jest.fn(),
+    getUrlFetchHosts: jest.fn(),
+    setUrlFetchHostAllowed: jest.fn(),
+    getCommandAlias: jest.fn(),
+    getAliasesForCommand: jest.fn(),
+    addCommandAlias: jest.fn(),
+    removeCommandAlias: jest.fn(),
+    removeAliasesForCommand: jest.fn(),
+    getCommandTimezone: jest.fn(),
+    setCommandTimezone: jest.fn(),
+    getCommandRevisions: jest.fn(),
+    getCommandRevision: jest.fn(),
+    restoreCustomCommand: jest.fn(),
+    MAX_REVISIONS_PER_COMMAND: 25,
+    COMMAND_TYPES: ['text', 'prompt', 'announcement', 'action', 'shoutout'],
+}));
+
+// Built-in handlers (only the names matter for collision checks)
+jest.mock('../../../src/components/commands/handlers/index.js', () => ({
+    __esModule: true,
+    default: {
+        lurk: { execute: jest.fn() },
+        command: { execute: jest.fn() },
+    },
 }));
 
 // Mock logger
@@ -32,6 +55,18 @@ import {
     removeCustomCommand,
     getCustomCommand,
     updateCustomCommandOptions,
+    getUrlFetchHosts,
+    setUrlFetchHostAllowed,
+    getCommandAlias,
+    getAliasesForCommand,
+    addCommandAlias,
+    removeCommandAlias,
+    removeAliasesForCommand,
+    getCommandTimezone,
+    setCommandTimezone,
+    getCommandRevisions,
+    getCommandRevision,
+    restoreCustomCommand,
 } from '../../../src/components/customCommands/customCommandsStorage.js';
 
 import { enqueueMessage } from '../../../src/lib/ircSender.js';
@@ -48,6 +83,10 @@ describe('command handler (!command)', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         enqueueMessage.mockResolvedValue();
+        getCommandAlias.mockResolvedValue(null);
+        getAliasesForCommand.mockResolvedValue([]);
+        removeAliasesForCommand.mockResolvedValue([]);
+        removeCommandAlias.mockResolvedValue(false);
     });
 
     // =========================================================================
@@ -117,6 +156,31 @@ describe('command handler (!command)', () => {
             expect(addCustomCommand).toHaveBeenCalledWith('testchannel', 'greet', 'Hello!', 'moduser', 'text');
         });
 
+        test('rejects a template with a syntax error', async () => {
+            await execute(makeContext('add greet $(if $(1))Hi $(1)!'));
+            expect(addCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith(
+                '#testchannel',
+                'Command !greet was not saved: $(if) is missing its $(endif) at position 1.',
+            );
+        });
+
+        test('rejects a template with an unknown variable', async () => {
+            await execute(makeContext('add greet Hi $(usr)!'));
+            expect(addCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith(
+                '#testchannel',
+                expect.stringContaining('Unknown variable $(usr) at position 4'),
+            );
+        });
+
+        test('accepts nested variables and conditionals', async () => {
+            addCustomCommand.mockResolvedValue(true);
+            await execute(makeContext('add hug $(user) hugs $(touser $(pick someone|everyone))$(if $(count) > 10) again$(endif)'));
+            expect(addCustomCommand).toHaveBeenCalledWith('testchannel', 'hug',
+                '$(user) hugs $(touser $(pick someone|everyone))$(if $(count) > 10) again$(endif)', 'moduser', 'text');
+        });
+
         test('handles storage error gracefully', async () => {
             addCustomCommand.mockRejectedValue(new Error('Firestore error'));
             await execute(makeContext('add greet Hello!'));
@@ -134,13 +198,22 @@ describe('command handler (!command)', () => {
         test('edits a command successfully', async () => {
             updateCustomCommand.mockResolvedValue(true);
             await execute(makeContext('edit greet New response!'));
-            expect(updateCustomCommand).toHaveBeenCalledWith('testchannel', 'greet', 'New response!');
+            expect(updateCustomCommand).toHaveBeenCalledWith('testchannel', 'greet', 'New response!', 'moduser');
             expect(enqueueMessage).toHaveBeenCalledWith(
                 '#testchannel',
                 expect.stringContaining('updated'),
             );
         });
 
+        test('rejects a template with a syntax error', async () => {
+            await execute(makeContext('edit greet Hello $(upper $(user)!'));
+            expect(updateCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith(
+                '#testchannel',
+                expect.stringContaining('was not updated: $(upper) is missing its closing ")"'),
+            );
+        });
+
         test('reports when command not found', async () => {
             updateCustomCommand.mockResolvedValue(false);
             await execute(makeContext('edit greet New response!'));
@@ -158,7 +231,7 @@ describe('command handler (!command)', () => {
         test('removes a command successfully', async () => {
             removeCustomCommand.mockResolvedValue(true);
             await execute(makeContext('remove greet'));
-            expect(removeCustomCommand).toHaveBeenCalledWith('testchannel', 'greet');
+            expect(removeCustomCommand).toHaveBeenCalledWith('testchannel', 'greet', 'moduser', { aliases: [] });
             expect(enqueueMessage).toHaveBeenCalledWith(
                 '#testchannel',
                 expect.stringContaining('has been removed'),
@@ -177,7 +250,7 @@ describe('command handler (!command)', () => {
         test('"delete" alias works', async () => {
             removeCustomCommand.mockResolvedValue(true);
             await execute(makeContext('delete greet'));
-            expect(removeCustomCommand).toHaveBeenCalledWith('testchannel', 'greet');
+            expect(removeCustomCommand).toHaveBeenCalledWith('testchannel', 'greet', 'moduser', { aliases: [] });
         });
 
         test('shows usage when no command name given', async () => {
@@ -218,6 +291,20 @@ describe('command handler (!command)', () => {
             expect(msg).toContain('30s cd');
         });
 
+        test('shows per-viewer limits', async () => {
+            getCustomCommand.mockResolvedValue({
+                response: 'hugs!',
+                permission: 'everyone',
+                cooldownMs: 0,
+                userCooldownMs: 60000,
+                perStreamLimit: 5,
+                modBypass: true,
+            });
+            await execute(makeContext('show hug'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                '!hug [60s user cd] [5/stream per viewer] [mod bypass]: hugs!');
+        });
+
         test('shows AI tag for prompt type commands', async () => {
             getCustomCommand.mockResolvedValue({
                 response: 'AI response',
@@ -230,6 +317,37 @@ describe('command handler (!command)', () => {
             expect(msg).toContain('[AI]');
         });
 
+        test('shows response type, reply and line delay', async () => {
+            getCustomCommand.mockResolvedValue({
+                response: 'Rules: be kind || no spoilers',
+                type: 'announcement',
+                color: 'green',
+                reply: true,
+                multiline: true,
+                lineDelayMs: 2500,
+                permission: 'everyone',
+                cooldownMs: 0,
+            });
+            await execute(makeContext('show rules'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                '!rules [announcement green] [reply] [multi-line] [2.5s between lines]: Rules: be kind || no spoilers');
+        });
+
+        test('shows availability restrictions', async () => {
+            getCustomCommand.mockResolvedValue({
+                response: 'Build guide',
+                permission: 'everyone',
+                cooldownMs: 0,
+                liveOnly: true,
+                activeHours: { start: '18:00', end: '23:00' },
+                games: ['Minecraft', 'Terraria'],
+            });
+            getCommandTimezone.mockResolvedValue('America/Chicago');
+            await execute(makeContext('show build'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                '!build [live only] [hours 18:00-23:00 America/Chicago] [game: Minecraft | Terraria]: Build guide');
+        });
+
         test('reports when command not found', async () => {
             getCustomCommand.mockResolvedValue(null);
             await execute(makeContext('show nonexistent'));
@@ -248,7 +366,7 @@ describe('command handler (!command)', () => {
             updateCustomCommandOptions.mockResolvedValue(true);
             await execute(makeContext('options greet permission=moderator'));
             expect(updateCustomCommandOptions).toHaveBeenCalledWith(
-                'testchannel', 'greet', { permission: 'moderator' },
+                'testchannel', 'greet', { permission: 'moderator' }, 'moduser',
             );
             expect(enqueueMessage).toHaveBeenCalledWith(
                 '#testchannel',
@@ -260,7 +378,7 @@ describe('command handler (!command)', () => {
             updateCustomCommandOptions.mockResolvedValue(true);
             await execute(makeContext('options greet cooldown=30'));
             expect(updateCustomCommandOptions).toHaveBeenCalledWith(
-                'testchannel', 'greet', { cooldownMs: 30000 },
+                'testchannel', 'greet', { cooldownMs: 30000 }, 'moduser',
             );
         });
 
@@ -268,7 +386,7 @@ describe('command handler (!command)', () => {
             updateCustomCommandOptions.mockResolvedValue(true);
             await execute(makeContext('options greet cd=10'));
             expect(updateCustomCommandOptions).toHaveBeenCalledWith(
-                'testchannel', 'greet', { cooldownMs: 10000 },
+                'testchannel', 'greet', { cooldownMs: 10000 }, 'moduser',
             );
         });
 
@@ -276,10 +394,30 @@ describe('command handler (!command)', () => {
             updateCustomCommandOptions.mockResolvedValue(true);
             await execute(makeContext('options greet type=prompt'));
             expect(updateCustomCommandOptions).toHaveBeenCalledWith(
-                'testchannel', 'greet', { type: 'prompt' },
+                'testchannel', 'greet', { type: 'prompt' }, 'moduser',
             );
         });
 
+        test('sets response type, colour, reply, multi-line and line delay', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options rules type=Announcement color=blue reply=on multiline=on delay=2.5'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith(
+                'testchannel', 'rules', { type: 'announcement', color: 'blue', reply: true, multiline: true, lineDelayMs: 2500 }, 'moduser',
+            );
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Options for !rules updated: type=announcement, color=blue, reply=on, multiline=on, lineDelayMs=2.5s');
+        });
+
+        test('rejects invalid colours and delays', async () => {
+            await execute(makeContext('options rules color=pink'));
+            expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel',
+                'Invalid color. Valid options: primary, blue, green, orange, purple');
+
+            await execute(makeContext('options rules delay=60'));
+            expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', expect.stringContaining('Delay must be 0-10 seconds'));
+            expect(updateCustomCommandOptions).not.toHaveBeenCalled();
+        });
+
         test('rejects invalid type', async () => {
             await execute(makeContext('options greet type=magic'));
             expect(enqueueMessage).toHaveBeenCalledWith(
@@ -322,6 +460,72 @@ describe('command handler (!command)', () => {
             );
         });
 
+        test('sets per-viewer cooldown, stream limit and mod bypass', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options hug ucd=60 limit=5 modbypass=on'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith(
+                'testchannel', 'hug', { userCooldownMs: 60000, perStreamLimit: 5, modBypass: true }, 'moduser',
+            );
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Options for !hug updated: userCooldownMs=60s, perStreamLimit=5/stream, modBypass=on');
+        });
+
+        test('turns the stream limit off', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options hug limit=off'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith('testchannel', 'hug', { perStreamLimit: 0 }, 'moduser');
+        });
+
+        test('rejects an invalid limit', async () => {
+            await execute(makeContext('options hug limit=lots'));
+            expect(updateCustomCommandOptions).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('uses per viewer per stream'));
+        });
+
+        test('sets liveonly and clears offlineonly', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options build liveonly=on'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith(
+                'testchannel', 'build', { liveOnly: true, offlineOnly: false }, 'moduser',
+            );
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Options for !build updated: liveOnly=on, offlineOnly=off');
+        });
+
+        test('rejects a liveonly value that is not on or off', async () => {
+            await execute(makeContext('options build liveonly=maybe'));
+            expect(updateCustomCommandOptions).not.toHaveBeenCalled();
+        });
+
+        test('sets and clears active hours', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options build hours=20:30-2'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith(
+                'testchannel', 'build', { activeHours: { start: '20:30', end: '02:00' } }, 'moduser',
+            );
+            await execute(makeContext('options build hours=off'));
+            expect(updateCustomCommandOptions).toHaveBeenLastCalledWith(
+                'testchannel', 'build', { activeHours: null }, 'moduser',
+            );
+        });
+
+        test('rejects malformed hours', async () => {
+            await execute(makeContext('options build hours=evening'));
+            expect(updateCustomCommandOptions).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Hours must be a range'));
+        });
+
+        test('sets quoted multi-word games and clears them', async () => {
+            updateCustomCommandOptions.mockResolvedValue(true);
+            await execute(makeContext('options zoo game="Planet Zoo|Planet Coaster" cd=5'));
+            expect(updateCustomCommandOptions).toHaveBeenCalledWith(
+                'testchannel', 'zoo', { games: ['Planet Zoo', 'Planet Coaster'], cooldownMs: 5000 }, 'moduser',
+            );
+            await execute(makeContext('options zoo game=off'));
+            expect(updateCustomCommandOptions).toHaveBeenLastCalledWith('testchannel', 'zoo', { games: [] }, 'moduser');
+            expect(enqueueMessage).toHaveBeenLastCalledWith('#testchannel', 'Options for !zoo updated: games=any');
+        });
+
         test('reports when command not found', async () => {
             updateCustomCommandOptions.mockResolvedValue(false);
             await execute(makeContext('options nonexistent permission=moderator'));
@@ -331,4 +535,289 @@ describe('command handler (!command)', () => {
             );
         });
     });
+
+    // =========================================================================
+    // !command timezone
+    // =========================================================================
+    describe('timezone', () => {
+        test('shows the default when none is set', async () => {
+            getCommandTimezone.mockResolvedValue(null);
+            await execute(makeContext('timezone'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Command hours use UTC'));
+        });
+
+        test('stores the canonical timezone name', async () => {
+            setCommandTimezone.mockResolvedValue();
+            await execute(makeContext('timezone america/chicago'));
+            expect(setCommandTimezone).toHaveBeenCalledWith('testchannel', 'America/Chicago');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Command hours now use America/Chicago.');
+        });
+
+        test('rejects unknown timezones', async () => {
+            await execute(makeContext('timezone Mars/Olympus'));
+            expect(setCommandTimezone).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Unknown timezone'));
+        });
+    });
+
+    // =========================================================================
+    // !command urlhosts
+    // =========================================================================
+    describe('urlhosts', () => {
+        test('lists allowed hosts', async () => {
+            getUrlFetchHosts.mockResolvedValue(['api.example.com', 'stats.test']);
+            await execute(makeContext('urlhosts'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', '$(urlfetch) may contact: api.example.com, stats.test');
+        });
+
+        test('adds a normalized host', async () => {
+            await execute(makeContext('urlhosts add https://WWW.Example.com/path'));
+            expect(setUrlFetchHostAllowed).toHaveBeenCalledWith('testchannel', 'example.com', true);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('may now contact example.com'));
+        });
+
+        test('removes a host', async () => {
+            await execute(makeContext('urlhosts remove example.com'));
+            expect(setUrlFetchHostAllowed).toHaveBeenCalledWith('testchannel', 'example.com', false);
+        });
+
+        test('rejects an invalid host', async () => {
+            await execute(makeContext('urlhosts add localhost'));
+            expect(setUrlFetchHostAllowed).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Please specify a host'));
+        });
+    });
+
+    // =========================================================================
+    // !command alias
+    // =========================================================================
+    describe('alias', () => {
+        test('aliases a custom command', async () => {
+            getCustomCommand.mockImplementation(async (channel, name) => (name === 'socials' ? { response: 'x' } : null));
+            addCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('alias !twitter !socials'));
+            expect(addCommandAlias).toHaveBeenCalledWith('testchannel', 'twitter', 'socials', 'moduser');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', '!twitter now runs !socials.');
+        });
+
+        test('aliases a built-in command', async () => {
+            getCustomCommand.mockResolvedValue(null);
+            addCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('alias brb lurk'));
+            expect(addCommandAlias).toHaveBeenCalledWith('testchannel', 'brb', 'lurk', 'moduser');
+        });
+
+        test('points an alias of an alias at the real command', async () => {
+            getCustomCommand.mockResolvedValue(null);
+            getCommandAlias.mockImplementation(async (channel, name) => (name === 'twitter' ? { alias: 'twitter', target: 'socials' } : null));
+            addCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('alias x twitter'));
+            expect(addCommandAlias).toHaveBeenCalledWith('testchannel', 'x', 'socials', 'moduser');
+        });
+
+        test('rejects aliases that collide with built-in or custom commands', async () => {
+            getCustomCommand.mockImplementation(async (channel, name) => (name === 'discord' ? { response: 'x' } : null));
+            await execute(makeContext('alias lurk socials'));
+            await execute(makeContext('alias discord socials'));
+            expect(addCommandAlias).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', expect.stringContaining('!lurk is a built-in command'));
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', '!discord is already a custom command.');
+        });
+
+        test('rejects unknown targets and self-aliases', async () => {
+            getCustomCommand.mockResolvedValue(null);
+            await execute(makeContext('alias twitter nope'));
+            await execute(makeContext('alias same same'));
+            await execute(makeContext('alias twitter'));
+            expect(addCommandAlias).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Command !nope not found.');
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', expect.stringContaining('point to itself'));
+            expect(enqueueMessage).toHaveBeenNthCalledWith(3, '#testchannel', expect.stringContaining('Usage: !command alias'));
+        });
+
+        test('reports an existing alias', async () => {
+            getCustomCommand.mockImplementation(async (channel, name) => (name === 'socials' ? { response: 'x' } : null));
+            getCommandAlias.mockResolvedValue({ alias: 'twitter', target: 'links' });
+            addCommandAlias.mockResolvedValue(false);
+            await execute(makeContext('alias twitter socials'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Alias !twitter already exists (runs !links)'));
+        });
+
+        test('add refuses a name that is already an alias', async () => {
+            getCommandAlias.mockResolvedValue({ alias: 'twitter', target: 'socials' });
+            await execute(makeContext('add twitter hi'));
+            expect(addCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('already an alias for !socials'));
+        });
+
+        test('remove deletes the command\'s aliases too', async () => {
+            removeCustomCommand.mockResolvedValue(true);
+            getAliasesForCommand.mockResolvedValue(['links', 'twitter']);
+            removeAliasesForCommand.mockResolvedValue(['links', 'twitter']);
+            await execute(makeContext('remove socials'));
+            expect(removeCustomCommand).toHaveBeenCalledWith('testchannel', 'socials', 'moduser', { aliases: ['links', 'twitter'] });
+            expect(removeAliasesForCommand).toHaveBeenCalledWith('testchannel', 'socials');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Command !socials has been removed. Its aliases were removed too: !links, !twitter. Use "!command undo socials" to bring it back.');
+        });
+
+        test('remove deletes an alias by name', async () => {
+            removeCustomCommand.mockResolvedValue(false);
+            removeCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('remove twitter'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Alias !twitter has been removed.');
+        });
+
+        test('show lists aliases', async () => {
+            getCustomCommand.mockResolvedValue({ response: 'Follow me!', permission: 'everyone', cooldownMs: 0, type: 'text' });
+            getAliasesForCommand.mockResolvedValue(['links', 'twitter']);
+            await execute(makeContext('show socials'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', '!socials [aliases: !links, !twitter]: Follow me!');
+        });
+
+        test('show explains aliases and built-ins', async () => {
+            getCustomCommand.mockResolvedValue(null);
+            getCommandAlias.mockImplementation(async (channel, name) => (name === 'twitter' ? { alias: 'twitter', target: 'socials' } : null));
+            getAliasesForCommand.mockResolvedValue(['brb']);
+            await execute(makeContext('show twitter'));
+            await execute(makeContext('show lurk'));
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', '!twitter is an alias for !socials.');
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', '!lurk is a built-in command. Aliases: !brb.');
+        });
+    });
+
+    // =========================================================================
+    // history / undo / restore
+    // =========================================================================
+    describe('history', () => {
+        const revision = (n, action, before, after, minutesAgo = 5) => ({
+            revision: n, action, editor: 'moduser', before, after,
+            createdAt: new Date(Date.now() - minutesAgo * 60000),
+        });
+        const v1 = { response: 'Hugs!', type: 'text', permission: 'everyone', cooldownMs: 0 };
+        const v2 = { ...v1, response: 'Big hugs!' };
+
+        test('history lists recent revisions', async () => {
+            getCommandRevisions.mockResolvedValue([
+                revision(2, 'edit', v1, v2, 5),
+                revision(1, 'add', null, v1, 120),
+            ]);
+            await execute(makeContext('history hug'));
+            expect(getCommandRevisions).toHaveBeenCalledWith('testchannel', 'hug', 5);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'History of !hug: #2 edit by moduser 5m ago, #1 add by moduser 2h ago. '
+                + 'Roll back with "!command undo hug" or "!command restore hug <#>".');
+        });
+
+        test('history reports commands without revisions', async () => {
+            getCommandRevisions.mockResolvedValue([]);
+            await execute(makeContext('history nope'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'No history recorded for !nope.');
+        });
+
+        test('undo restores the state before the latest change', async () => {
+            getCommandRevisions.mockResolvedValue([revision(2, 'edit', v1, v2)]);
+            await execute(makeContext('undo hug'));
+            expect(getCommandRevisions).toHaveBeenCalledWith('testchannel', 'hug', 25);
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v1, 'moduser', { undoes: 2 });
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Undid edit #2 of !hug: Hugs!');
+        });
+
+        test('a second undo steps back past the first', async () => {
+            const v3 = { ...v1, response: 'Huge hugs!' };
+            getCommandRevisions.mockResolvedValue([
+                { ...revision(4, 'restore', v3, v2), undoes: 3 },
+                revision(3, 'edit', v2, v3),
+                revision(2, 'edit', v1, v2),
+                revision(1, 'add', null, v1),
+            ]);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v1, 'moduser', { undoes: 2 });
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Undid edit #2 of !hug: Hugs!');
+        });
+
+        test('undo skips restores made by "!command restore"', async () => {
+            getCommandRevisions.mockResolvedValue([
+                revision(3, 'restore', v2, v1),
+                revision(2, 'edit', v1, v2),
+            ]);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v1, 'moduser', { undoes: 2 });
+        });
+
+        test('undo says so once every change has been undone', async () => {
+            getCommandRevisions.mockResolvedValue([
+                { ...revision(2, 'restore', v1, null), undoes: 1 },
+                revision(1, 'add', null, v1),
+            ]);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Nothing to undo for !hug.');
+        });
+
+        test('undo of a removal brings the command and its aliases back', async () => {
+            getCommandRevisions.mockResolvedValue([{ ...revision(3, 'remove', v2, null), aliases: ['cuddle', 'squeeze'] }]);
+            getCustomCommand.mockImplementation(async (channel, name) => (name === 'squeeze' ? v1 : null));
+            addCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v2, 'moduser', { undoes: 3 });
+            expect(addCommandAlias).toHaveBeenCalledTimes(1);
+            expect(addCommandAlias).toHaveBeenCalledWith('testchannel', 'cuddle', 'hug', 'moduser');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Undid remove #3 of !hug: Big hugs! Its aliases are back too: !cuddle.');
+        });
+
+        test('undo of an add removes the command and its aliases', async () => {
+            getCommandRevisions.mockResolvedValue([revision(1, 'add', null, v1)]);
+            getAliasesForCommand.mockResolvedValue(['cuddle']);
+            removeAliasesForCommand.mockResolvedValue(['cuddle']);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', null, 'moduser', { undoes: 1, aliases: ['cuddle'] });
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Undid add #1 of !hug, so !hug no longer exists. Its aliases were removed too: !cuddle.');
+        });
+
+        test('undo with no history says so', async () => {
+            getCommandRevisions.mockResolvedValue([]);
+            await execute(makeContext('undo hug'));
+            expect(restoreCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Nothing to undo for !hug.');
+        });
+
+        test('restore rolls back to a revision', async () => {
+            getCommandRevision.mockResolvedValue(revision(1, 'add', null, v1));
+            await execute(makeContext('restore hug #1'));
+            expect(getCommandRevision).toHaveBeenCalledWith('testchannel', 'hug', 1);
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v1, 'moduser', { undoes: null });
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', '!hug restored to revision #1: Hugs!');
+        });
+
+        test('restoring a removal revision restores what was removed', async () => {
+            getCommandRevision.mockResolvedValue({ ...revision(3, 'remove', v2, null), aliases: ['cuddle'] });
+            getCustomCommand.mockResolvedValue(null);
+            addCommandAlias.mockResolvedValue(true);
+            await execute(makeContext('restore hug 3'));
+            expect(restoreCustomCommand).toHaveBeenCalledWith('testchannel', 'hug', v2, 'moduser', { undoes: null });
+            expect(addCommandAlias).toHaveBeenCalledWith('testchannel', 'cuddle', 'hug', 'moduser');
+        });
+
+        test('restore refuses when the name is now an alias', async () => {
+            getCommandRevision.mockResolvedValue(revision(1, 'add', null, v1));
+            getCommandAlias.mockResolvedValue({ alias: 'hug', target: 'cuddle' });
+            await execute(makeContext('restore hug 1'));
+            expect(restoreCustomCommand).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('is now an alias for !cuddle'));
+        });
+
+        test('restore validates the revision number', async () => {
+            await execute(makeContext('restore hug latest'));
+            expect(getCommandRevision).not.toHaveBeenCalled();
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Usage: !command restore'));
+
+            getCommandRevision.mockResolvedValue(null);
+            await execute(makeContext('restore hug 9'));
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+                'Revision #9 of !hug not found. See "!command history hug".');
+        });
+    });
 });
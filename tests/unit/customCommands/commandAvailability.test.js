@@ -0,0 +1,93 @@
+// tests/unit/customCommands/commandAvailability.test.js
+import {
+    isValidTimezone,
+    parseActiveHours,
+    formatActiveHours,
+    isWithinActiveHours,
+    hasAvailabilityRules,
+    getUnavailableReason,
+    getDateInTimezone,
+} from '../../../src/components/customCommands/commandAvailability.js';
+
+describe('commandAvailability', () => {
+    test('isValidTimezone accepts IANA names only', () => {
+        expect(isValidTimezone('America/Chicago')).toBe(true);
+        expect(isValidTimezone('UTC')).toBe(true);
+        expect(isValidTimezone('Mars/Olympus')).toBe(false);
+        expect(isValidTimezone('')).toBe(false);
+    });
+
+    test('getDateInTimezone gives the local calendar date', () => {
+        const now = new Date('2026-07-01T03:30:00Z');
+        expect(getDateInTimezone(now, 'UTC')).toBe('2026-07-01');
+        expect(getDateInTimezone(now, 'America/Chicago')).toBe('2026-06-30');
+    });
+
+    test.each([
+        ['18-23', { start: '18:00', end: '23:00' }],
+        ['20:30-02:00', { start: '20:30', end: '02:00' }],
+        ['9-17:15', { start: '09:00', end: '17:15' }],
+        ['0-24', { start: '00:00', end: '24:00' }],
+    ])('parseActiveHours(%p)', (text, expected) => {
+        expect(parseActiveHours(text)).toEqual(expected);
+        expect(formatActiveHours(expected)).toBe(`${expected.start}-${expected.end}`);
+    });
+
+    test.each(['18', '25-26', '18:60-20', '10-10', 'evening', '1-2-3'])('parseActiveHours rejects %p', (text) => {
+        expect(parseActiveHours(text)).toBeNull();
+    });
+
+    describe('isWithinActiveHours', () => {
+        const at = (iso) => new Date(iso);
+
+        test('checks a same-day range in the given timezone', () => {
+            const hours = { start: '18:00', end: '23:00' };
+            // 00:30 UTC is 19:30 the previous evening in Chicago (CDT, UTC-5)
+            expect(isWithinActiveHours(hours, 'America/Chicago', at('2026-07-01T00:30:00Z'))).toBe(true);
+            expect(isWithinActiveHours(hours, 'UTC', at('2026-07-01T00:30:00Z'))).toBe(false);
+        });
+
+        test('handles ranges past midnight, start inclusive and end exclusive', () => {
+            const hours = { start: '22:00', end: '02:00' };
+            expect(isWithinActiveHours(hours, 'UTC', at('2026-07-01T22:00:00Z'))).toBe(true);
+            expect(isWithinActiveHours(hours, 'UTC', at('2026-07-01T01:59:00Z'))).toBe(true);
+            expect(isWithinActiveHours(hours, 'UTC', at('2026-07-01T02:00:00Z'))).toBe(false);
+            expect(isWithinActiveHours(hours, 'UTC', at('2026-07-01T12:00:00Z'))).toBe(false);
+        });
+
+        test('falls back to UTC for an unknown timezone', () => {
+            expect(isWithinActiveHours({ start: '12:00', end: '13:00' }, 'Nowhere/Land', at('2026-07-01T12:30:00Z'))).toBe(true);
+        });
+    });
+
+    describe('getUnavailableReason', () => {
+        const live = { isLive: true, game: 'Minecraft' };
+        const offline = { isLive: false, game: 'N/A' };
+
+        test('commands without rules are always available', () => {
+            expect(hasAvailabilityRules({ response: 'hi', games: [] })).toBe(false);
+            expect(getUnavailableReason({}, offline)).toBeNull();
+        });
+
+        test('checks live and offline restrictions', () => {
+            expect(getUnavailableReason({ liveOnly: true }, offline)).toBe('offline');
+            expect(getUnavailableReason({ liveOnly: true }, live)).toBeNull();
+            expect(getUnavailableReason({ offlineOnly: true }, live)).toBe('live');
+            expect(getUnavailableReason({ offlineOnly: true }, offline)).toBeNull();
+        });
+
+        test('matches games case-insensitively and only while live', () => {
+            const cmd = { games: ['minecraft', 'Terraria'] };
+            expect(hasAvailabilityRules(cmd)).toBe(true);
+            expect(getUnavailableReason(cmd, live)).toBeNull();
+            expect(getUnavailableReason(cmd, { isLive: true, game: 'Planet Zoo' })).toBe('game');
+            expect(getUnavailableReason(cmd, offline)).toBe('game');
+        });
+
+        test('checks active hours', () => {
+            const cmd = { activeHours: { start: '18:00', end: '23:00' } };
+            expect(getUnavailableReason(cmd, { ...live, timezone: 'UTC', now: new Date('2026-07-01T19:00:00Z') })).toBeNull();
+            expect(getUnavailableReason(cmd, { ...live, timezone: 'UTC', now: new Date('2026-07-01T09:00:00Z') })).toBe('hours');
+        });
+    });
+});
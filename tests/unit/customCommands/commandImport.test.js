@@ -0,0 +1,231 @@
+// tests/unit/customCommands/commandImport.test.js
+import {
+    translateResponse,
+    detectImportFormat,
+    parseImportFile,
+    importCustomCommands,
+    exportCustomCommands,
+    CommandImportError,
+} from '../../../src/components/customCommands/commandImport.js';
+import {
+    addCustomCommand,
+    getCustomCommand,
+    updateCustomCommandOptions,
+    addCommandAlias,
+    getCommandAlias,
+    getCommandTimezone,
+    getUrlFetchHosts,
+    setUrlFetchHostAllowed,
+    setCommandTimezone,
+} from '../../../src/components/customCommands/customCommandsStorage.js';
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+jest.mock('../../../src/components/commands/reservedCommandNames.js', () => ({
+    RESERVED_COMMAND_NAMES: new Set(['ping', 'command', 'quote']),
+}));
+jest.mock('../../../src/components/customCommands/urlFetcher.js', () => ({
+    fetchUrlText: jest.fn(),
+    UrlFetchError: class UrlFetchError extends Error {},
+}));
+
+describe('translateResponse', () => {
+    test.each([
+        ['nightbot', 'Hi $(touser), you said: $(query)', 'Hi $(touser), you said: $(args)'],
+        ['nightbot', 'Joke: $(customapi https://icanhazdadjoke.com/)', 'Joke: $(urlfetch https://icanhazdadjoke.com/)'],
+        ['fossabot', '$(user) has $(count) hugs', '$(user) has $(count) hugs'],
+        ['streamelements', '${sender} hugs ${user}! (${count})', '$(user) hugs $(touser)! ($(count))'],
+        ['streamelements', 'Roll: ${random.1-20}, ${random.pick \'heads\' \'tails\'}', 'Roll: $(random 1-20), $(pick heads|tails)'],
+        ['streamelements', 'Deaths: ${count deaths} (was ${getcount deaths})', 'Deaths: $(counter deaths +1) (was $(counter deaths))'],
+        ['streamelements', '${1} and the rest: ${1:}', '$(1) and the rest: $(args)'],
+        ['streamlabs', '$username hugs $touser for $randnum(1,10) seconds', '$(user) hugs $(touser) for $(random 1-10) seconds'],
+        ['streamlabs', 'Fact: $readapi(https://api.example.com/fact) in $mychannel', 'Fact: $(urlfetch https://api.example.com/fact) in $(channel)'],
+    ])('%s: %p', (format, input, expected) => {
+        expect(translateResponse(input, format)).toEqual({ response: expected, unsupported: [] });
+    });
+
+    test('reports variables that have no equivalent', () => {
+        expect(translateResponse('Weather: $(weather $(query)) and $(eval 1+1)', 'nightbot').unsupported)
+            .toEqual(['$(weather)', '$(eval)']);
+        expect(translateResponse('${user.points} points, ${title}', 'streamelements').unsupported)
+            .toEqual(['${user.points}', '${title}']);
+        expect(translateResponse('$user has $points $currencyname', 'streamlabs').unsupported)
+            .toEqual(['$points', '$currencyname']);
+    });
+
+    test('rejects an unknown format', () => {
+        expect(() => translateResponse('hi', 'moobot')).toThrow(CommandImportError);
+    });
+});
+
+describe('parseImportFile', () => {
+    test('reads a Nightbot export', () => {
+        const file = JSON.stringify({
+            _total: 2,
+            commands: [
+                { name: '!Discord', message: 'Join us: discord.gg/x', coolDown: 5, userLevel: 'everyone' },
+                { name: '!so', message: 'Go follow $(touser)', coolDown: 30, userLevel: 'regular' },
+            ],
+        });
+        const { format, entries } = parseImportFile(file);
+        expect(format).toBe('nightbot');
+        expect(entries[0]).toEqual(expect.objectContaining({
+            name: 'discord', response: 'Join us: discord.gg/x', type: 'text',
+            options: { permission: 'everyone', cooldownMs: 5000 }, unsupported: [], warnings: [],
+        }));
+        expect(entries[1].options.permission).toBe('vip');
+        expect(entries[1].warnings).toEqual(['permission "regular" became "vip"']);
+    });
+
+    test('reads a StreamElements export with aliases and access levels', () => {
+        const file = JSON.stringify([{
+            command: 'hug', reply: '${sender} hugs ${touser}', accessLevel: 250,
+            cooldown: { user: 15, global: 5 }, aliases: ['cuddle'], enabled: true, keywords: [],
+        }]);
+        const { format, entries } = parseImportFile(file);
+        expect(format).toBe('streamelements');
+        expect(entries[0]).toEqual(expect.objectContaining({
+            name: 'hug', response: '$(user) hugs $(touser)', aliases: ['cuddle'],
+            options: { permission: 'subscriber', cooldownMs: 5000, userCooldownMs: 15000 },
+        }));
+    });
+
+    test('reads a Fossabot export', () => {
+        const file = JSON.stringify({ commands: [{ name: 'lurk', response: '$(user) is lurking', minimum_role: 'everyone', global_cooldown: 10 }] });
+        const { format, entries } = parseImportFile(file);
+        expect(format).toBe('fossabot');
+        expect(entries[0].options).toEqual({ permission: 'everyone', cooldownMs: 10000, userCooldownMs: 0 });
+    });
+
+    test('reads a Streamlabs Chatbot CSV with quoted fields', () => {
+        const file = [
+            'Command,Permission,Info,Group,Response,Cooldown,User Cooldown,Cost,Count,Usage,Enabled',
+            '!hello,Everyone,,General,"Hello $user, ""welcome""!",5,0,0,0,SC,True',
+            '!secret,Caster,,General,"Line one,\nline two",0,0,0,0,SC,False',
+        ].join('\r\n');
+        const { format, entries } = parseImportFile(file);
+        expect(format).toBe('streamlabs');
+        expect(entries[0]).toEqual(expect.objectContaining({
+            name: 'hello', response: 'Hello $(user), "welcome"!', enabled: true,
+            options: { permission: 'everyone', cooldownMs: 5000, userCooldownMs: 0 },
+        }));
+        expect(entries[1]).toEqual(expect.objectContaining({ response: 'Line one,\nline two', enabled: false }));
+        expect(entries[1].options.permission).toBe('broadcaster');
+    });
+
+    test('unknown roles fall back to moderator with a warning', () => {
+        const file = JSON.stringify({ commands: [{ name: 'x', message: 'y', userLevel: 'superfan' }] });
+        const [entry] = parseImportFile(file, 'nightbot').entries;
+        expect(entry.options.permission).toBe('moderator');
+        expect(entry.warnings[0]).toContain('not supported');
+    });
+
+    test('rejects invalid JSON and unrecognized shapes', () => {
+        expect(() => parseImportFile('{ nope')).toThrow('not valid JSON');
+        expect(() => detectImportFormat([{ foo: 1 }])).toThrow(CommandImportError);
+        expect(() => parseImportFile('[]', 'moobot')).toThrow('Unknown import format');
+    });
+});
+
+describe('importCustomCommands', () => {
+    test('imports new commands with options and aliases, skipping what it cannot translate', async () => {
+        await addCustomCommand('importer', 'existing', 'old', 'mod');
+        const parsed = parseImportFile(JSON.stringify([
+            { command: 'hug', reply: '${sender} hugs ${touser}', accessLevel: 500, cooldown: { user: 15, global: 5 }, aliases: ['cuddle', 'ping'] },
+            { command: 'points', reply: 'You have ${user.points} points', accessLevel: 100 },
+            { command: 'existing', reply: 'new', accessLevel: 100 },
+            { command: 'ping', reply: 'pong', accessLevel: 100 },
+            { command: 'off', reply: 'hidden', accessLevel: 100, enabled: false },
+            { command: 'joke', reply: '${customapi.https://icanhazdadjoke.com/}', accessLevel: 100 },
+        ]));
+
+        const result = await importCustomCommands('importer', parsed);
+
+        expect(result.added).toEqual(['hug', 'joke']);
+        expect(result.aliases).toEqual(['cuddle -> hug']);
+        expect(result.skipped).toEqual([
+            { name: 'points', reason: 'unsupported variables: ${user.points}' },
+            { name: 'existing', reason: 'already exists' },
+            { name: 'ping', reason: 'name is taken by a built-in command' },
+            { name: 'off', reason: 'disabled in the export' },
+        ]);
+        expect(result.warnings).toEqual([{ name: 'hug', message: 'alias !ping was skipped' }]);
+        expect(result.hostsToAllow).toEqual(['icanhazdadjoke.com']);
+
+        expect(await getCustomCommand('importer', 'hug')).toEqual(expect.objectContaining({
+            response: '$(user) hugs $(touser)', permission: 'moderator', cooldownMs: 5000, userCooldownMs: 15000, createdBy: 'import',
+        }));
+        expect(await getCommandAlias('importer', 'cuddle')).toEqual(expect.objectContaining({ target: 'hug' }));
+        expect((await getCustomCommand('importer', 'existing')).response).toBe('old');
+    });
+
+    test('imports names of built-ins that step aside for custom commands', async () => {
+        const parsed = parseImportFile(JSON.stringify([{ command: 'join', reply: 'Joined the queue', accessLevel: 100 }]));
+        const result = await importCustomCommands('yielder', parsed);
+        expect(result.added).toEqual(['join']);
+    });
+
+    test('overwrite replaces existing commands', async () => {
+        await addCustomCommand('overwriter', 'lurk', 'old', 'mod');
+        const parsed = parseImportFile(JSON.stringify({ commands: [{ name: '!lurk', message: '$(user) lurks', userLevel: 'everyone' }] }));
+        const result = await importCustomCommands('overwriter', parsed, { overwrite: true });
+        expect(result.updated).toEqual(['lurk']);
+        expect((await getCustomCommand('overwriter', 'lurk')).response).toBe('$(user) lurks');
+    });
+
+    test('dry run writes nothing', async () => {
+        const parsed = parseImportFile(JSON.stringify({ commands: [{ name: 'dry', message: 'hi', userLevel: 'everyone' }] }));
+        const result = await importCustomCommands('dryrun', parsed, { dryRun: true });
+        expect(result.added).toEqual(['dry']);
+        await expect(getCustomCommand('dryrun', 'dry')).resolves.toBeNull();
+    });
+
+    test('already allowed hosts are not reported', async () => {
+        await setUrlFetchHostAllowed('allowed', 'example.com', true);
+        const parsed = parseImportFile(JSON.stringify({ commands: [{ name: 'fact', message: '$(urlfetch https://api.example.com/fact)' }] }));
+        const result = await importCustomCommands('allowed', parsed);
+        expect(result.hostsToAllow).toEqual([]);
+    });
+});
+
+describe('exportCustomCommands', () => {
+    test('round-trips commands, aliases and settings through a backup', async () => {
+        await addCustomCommand('source', 'hug', '$(user) hugs $(touser)', 'mod');
+        await updateCustomCommandOptions('source', 'hug', {
+            permission: 'vip', cooldownMs: 10000, perStreamLimit: 5, activeHours: { start: '18:00', end: '23:00' },
+        });
+        await addCustomCommand('source', 'ask', 'Answer $(args) briefly', 'mod', 'prompt');
+        await addCommandAlias('source', 'cuddle', 'hug', 'mod');
+        await setCommandTimezone('source', 'America/Chicago');
+        await setUrlFetchHostAllowed('source', 'example.com', true);
+
+        const backup = await exportCustomCommands('Source');
+        expect(backup).toEqual(expect.objectContaining({
+            format: 'wildcatsage', version: 1, channel: 'source', timezone: 'America/Chicago', urlFetchHosts: ['example.com'],
+        }));
+        expect(backup.commands.map(c => c.name)).toEqual(['ask', 'hug']);
+        expect(backup.commands[1]).toEqual({
+            name: 'hug', response: '$(user) hugs $(touser)', type: 'text', permission: 'vip', cooldownMs: 10000,
+            perStreamLimit: 5, activeHours: { start: '18:00', end: '23:00' }, aliases: ['cuddle'],
+        });
+
+        const parsed = parseImportFile(JSON.stringify(backup));
+        expect(parsed.format).toBe('wildcatsage');
+        const result = await importCustomCommands('restored', parsed);
+        expect(result.added).toEqual(['ask', 'hug']);
+        expect(result.settings).toEqual(['timezone America/Chicago', 'urlfetch host example.com']);
+
+        expect(await getCustomCommand('restored', 'hug')).toEqual(expect.objectContaining({
+            permission: 'vip', cooldownMs: 10000, perStreamLimit: 5, activeHours: { start: '18:00', end: '23:00' },
+        }));
+        expect((await getCustomCommand('restored', 'ask')).type).toBe('prompt');
+        expect(await getCommandAlias('restored', 'cuddle')).toEqual(expect.objectContaining({ target: 'hug' }));
+        await expect(getCommandTimezone('restored')).resolves.toBe('America/Chicago');
+        await expect(getUrlFetchHosts('restored')).resolves.toEqual(['example.com']);
+    });
+});
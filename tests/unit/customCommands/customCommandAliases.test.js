@@ -0,0 +1,53 @@
+// tests/unit/customCommands/customCommandAliases.test.js
+// Command aliases, against the in-memory Firestore.
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+import {
+    addCommandAlias,
+    getCommandAlias,
+    getAliasesForCommand,
+    removeCommandAlias,
+    removeAliasesForCommand,
+} from '../../../src/components/customCommands/customCommandsStorage.js';
+
+describe('customCommandsStorage aliases', () => {
+    test('adds and reads an alias', async () => {
+        await expect(addCommandAlias('Chan', 'Twitter', 'Socials', 'ModUser')).resolves.toBe(true);
+        await expect(getCommandAlias('chan', 'twitter')).resolves.toEqual(expect.objectContaining({
+            alias: 'twitter',
+            target: 'socials',
+            createdBy: 'moduser',
+        }));
+        await expect(getCommandAlias('chan', 'missing')).resolves.toBeNull();
+    });
+
+    test('does not overwrite an existing alias', async () => {
+        await addCommandAlias('chan2', 'x', 'socials', 'mod');
+        await expect(addCommandAlias('chan2', 'x', 'other', 'mod')).resolves.toBe(false);
+        expect((await getCommandAlias('chan2', 'x')).target).toBe('socials');
+    });
+
+    test('lists and removes aliases by target', async () => {
+        await addCommandAlias('chan3', 'twitter', 'socials', 'mod');
+        await addCommandAlias('chan3', 'links', 'socials', 'mod');
+        await addCommandAlias('chan3', 'brb', 'lurk', 'mod');
+
+        await expect(getAliasesForCommand('chan3', 'socials')).resolves.toEqual(['links', 'twitter']);
+        await expect(removeAliasesForCommand('chan3', 'socials')).resolves.toEqual(['links', 'twitter']);
+        await expect(getCommandAlias('chan3', 'twitter')).resolves.toBeNull();
+        await expect(getAliasesForCommand('chan3', 'lurk')).resolves.toEqual(['brb']);
+    });
+
+    test('removeCommandAlias reports whether the alias existed', async () => {
+        await addCommandAlias('chan4', 'brb', 'lurk', 'mod');
+        await expect(removeCommandAlias('chan4', 'brb')).resolves.toBe(true);
+        await expect(removeCommandAlias('chan4', 'brb')).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,110 @@
+// tests/unit/customCommands/customCommandHistory.test.js
+// Revision history and restore, against the in-memory Firestore.
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+import {
+    addCustomCommand,
+    updateCustomCommand,
+    updateCustomCommandOptions,
+    removeCustomCommand,
+    getCustomCommand,
+    incrementUseCount,
+    getCommandRevisions,
+    getCommandRevision,
+    restoreCustomCommand,
+    MAX_REVISIONS_PER_COMMAND,
+} from '../../../src/components/customCommands/customCommandsStorage.js';
+
+describe('customCommandsStorage revision history', () => {
+    test('records every change with editor, before and after', async () => {
+        await addCustomCommand('hist', 'hug', 'Hugs!', 'ModA');
+        await updateCustomCommand('hist', 'hug', 'Big hugs!', 'ModB');
+        await updateCustomCommandOptions('hist', 'hug', { cooldownMs: 30000 }, 'ModB');
+        await removeCustomCommand('hist', 'hug', 'ModC');
+
+        const revisions = await getCommandRevisions('hist', 'hug', 10);
+        expect(revisions.map(r => [r.revision, r.action, r.editor])).toEqual([
+            [4, 'remove', 'modc'],
+            [3, 'options', 'modb'],
+            [2, 'edit', 'modb'],
+            [1, 'add', 'moda'],
+        ]);
+        expect(revisions[3].before).toBeNull();
+        expect(revisions[3].after).toEqual({ response: 'Hugs!', type: 'text', permission: 'everyone', cooldownMs: 0 });
+        expect(revisions[2].after.response).toBe('Big hugs!');
+        expect(revisions[1].after.cooldownMs).toBe(30000);
+        expect(revisions[0]).toEqual(expect.objectContaining({
+            before: expect.objectContaining({ response: 'Big hugs!', cooldownMs: 30000 }),
+            after: null,
+        }));
+        expect(revisions[0].createdAt).toBeInstanceOf(Date);
+    });
+
+    test('does not record changes to missing commands', async () => {
+        await expect(updateCustomCommand('hist2', 'ghost', 'boo', 'mod')).resolves.toBe(false);
+        await expect(removeCustomCommand('hist2', 'ghost', 'mod')).resolves.toBe(false);
+        await expect(getCommandRevisions('hist2', 'ghost')).resolves.toEqual([]);
+    });
+
+    test('restores a removed command and keeps its use count on later restores', async () => {
+        await addCustomCommand('hist3', 'hug', 'Hugs!', 'mod');
+        await updateCustomCommandOptions('hist3', 'hug', { permission: 'vip', games: ['Minecraft'] }, 'mod');
+        await removeCustomCommand('hist3', 'hug', 'mod');
+
+        const removal = await getCommandRevision('hist3', 'hug', 3);
+        await expect(restoreCustomCommand('hist3', 'hug', removal.before, 'Fixer')).resolves.toBe(true);
+        expect(await getCustomCommand('hist3', 'hug')).toEqual(expect.objectContaining({
+            response: 'Hugs!', permission: 'vip', games: ['Minecraft'], useCount: 0, createdBy: 'fixer',
+        }));
+
+        await incrementUseCount('hist3', 'hug');
+        await updateCustomCommandOptions('hist3', 'hug', { games: [] }, 'mod');
+        const first = await getCommandRevision('hist3', 'hug', 1);
+        await restoreCustomCommand('hist3', 'hug', first.after, 'mod');
+        const restored = await getCustomCommand('hist3', 'hug');
+        expect(restored.permission).toBe('everyone');
+        expect(restored.games).toBeUndefined();
+        expect(restored.useCount).toBe(1);
+
+        const [latest] = await getCommandRevisions('hist3', 'hug', 1);
+        expect(latest).toEqual(expect.objectContaining({ revision: 6, action: 'restore', editor: 'mod' }));
+    });
+
+    test('restoring null removes the command', async () => {
+        await addCustomCommand('hist4', 'hug', 'Hugs!', 'mod');
+        await expect(restoreCustomCommand('hist4', 'hug', null, 'mod')).resolves.toBe(true);
+        await expect(getCustomCommand('hist4', 'hug')).resolves.toBeNull();
+        await expect(restoreCustomCommand('hist4', 'hug', null, 'mod')).resolves.toBe(false);
+    });
+
+    test('records removed aliases and the revision an undo rolled back', async () => {
+        await addCustomCommand('hist6', 'hug', 'Hugs!', 'mod');
+        await removeCustomCommand('hist6', 'hug', 'mod', { aliases: ['cuddle'] });
+        const removal = await getCommandRevision('hist6', 'hug', 2);
+        expect(removal.aliases).toEqual(['cuddle']);
+
+        await restoreCustomCommand('hist6', 'hug', removal.before, 'mod', { undoes: 2 });
+        await restoreCustomCommand('hist6', 'hug', null, 'mod', { undoes: 1, aliases: ['squeeze'] });
+        const [removedAgain, undo] = await getCommandRevisions('hist6', 'hug', 2);
+        expect(undo).toEqual(expect.objectContaining({ revision: 3, action: 'restore', undoes: 2 }));
+        expect(removedAgain).toEqual(expect.objectContaining({ revision: 4, undoes: 1, aliases: ['squeeze'] }));
+    });
+
+    test('prunes revisions beyond the limit', async () => {
+        await addCustomCommand('hist5', 'spam', 'v0', 'mod');
+        for (let i = 1; i <= MAX_REVISIONS_PER_COMMAND; i++) {
+            await updateCustomCommand('hist5', 'spam', `v${i}`, 'mod');
+        }
+        await expect(getCommandRevision('hist5', 'spam', 1)).resolves.toBeNull();
+        const all = await getCommandRevisions('hist5', 'spam', 100);
+        expect(all).toHaveLength(MAX_REVISIONS_PER_COMMAND);
+        expect(all[0].revision).toBe(MAX_REVISIONS_PER_COMMAND + 1);
+    });
+});
@@ -104,6 +104,13 @@ const mockCollectionRef = (basePath) => {
 
 const mockFirestore = {
     collection: jest.fn((colName) => mockCollectionRef(colName)),
+    // Writes apply immediately; enough for the single-caller tests here
+    runTransaction: jest.fn(async (fn) => fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => ref.set(data, options),
+        update: (ref, data) => ref.update(data),
+        delete: (ref) => ref.delete(),
+    })),
 };
 
 jest.mock('../../../src/lib/firestore.js', () => ({
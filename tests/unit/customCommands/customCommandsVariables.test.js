@@ -0,0 +1,82 @@
+// tests/unit/customCommands/customCommandsVariables.test.js
+// Named counters and per-user variables, against the in-memory Firestore.
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+import {
+    getCounter,
+    getAllCounters,
+    setCounter,
+    incrementCounter,
+    getUserVariable,
+    getUserVariables,
+    setUserVariable,
+    incrementUserVariable,
+    normalizeVariableName,
+    CustomCommandsStorageError,
+    MAX_USER_VARIABLE_LENGTH,
+} from '../../../src/components/customCommands/customCommandsStorage.js';
+
+describe('customCommandsStorage counters and user variables', () => {
+    test('normalizeVariableName accepts simple names only', () => {
+        expect(normalizeVariableName(' Deaths ')).toBe('deaths');
+        expect(normalizeVariableName('push_ups2')).toBe('push_ups2');
+        expect(normalizeVariableName('bad-name')).toBeNull();
+        expect(normalizeVariableName('')).toBeNull();
+        expect(normalizeVariableName('x'.repeat(33))).toBeNull();
+    });
+
+    test('counters start at 0 and can be incremented and set', async () => {
+        expect(await getCounter('Chan', 'deaths')).toBe(0);
+        expect(await incrementCounter('Chan', 'deaths', 1)).toBe(1);
+        expect(await incrementCounter('chan', 'DEATHS', 2)).toBe(3);
+        expect(await incrementCounter('chan', 'deaths', -5)).toBe(-2);
+        expect(await setCounter('chan', 'deaths', 10)).toBe(10);
+        expect(await getCounter('chan', 'deaths')).toBe(10);
+    });
+
+    test('getAllCounters lists counters sorted by name', async () => {
+        await setCounter('listchan', 'wins', 2);
+        await setCounter('listchan', 'losses', 5);
+        expect(await getAllCounters('listchan')).toEqual([
+            { name: 'losses', value: 5 },
+            { name: 'wins', value: 2 },
+        ]);
+    });
+
+    test('concurrent increments are not lost', async () => {
+        await Promise.all(Array.from({ length: 10 }, () => incrementCounter('racechan', 'hits', 1)));
+        expect(await getCounter('racechan', 'hits')).toBe(10);
+    });
+
+    test('rejects invalid names', async () => {
+        await expect(incrementCounter('chan', 'no spaces', 1)).rejects.toBeInstanceOf(CustomCommandsStorageError);
+    });
+
+    test('user variables are stored per viewer', async () => {
+        expect(await getUserVariable('chan', 'alice', 'pushups')).toBeNull();
+        expect(await incrementUserVariable('chan', '@Alice', 'pushups', 20)).toBe(20);
+        expect(await incrementUserVariable('chan', 'alice', 'pushups', 5)).toBe(25);
+        expect(await setUserVariable('chan', 'alice', 'main', 'Mercy')).toBe('Mercy');
+        expect(await getUserVariables('chan', 'alice')).toEqual({ pushups: 25, main: 'Mercy' });
+        expect(await getUserVariable('chan', 'bob', 'pushups')).toBeNull();
+    });
+
+    test('numeric strings are stored as numbers and text is capped', async () => {
+        expect(await setUserVariable('chan', 'carol', 'level', '42')).toBe(42);
+        expect(await incrementUserVariable('chan', 'carol', 'level', 1)).toBe(43);
+        const long = await setUserVariable('chan', 'carol', 'bio', 'x'.repeat(500));
+        expect(long).toHaveLength(MAX_USER_VARIABLE_LENGTH);
+    });
+
+    test('incrementing a text variable starts from 0', async () => {
+        await setUserVariable('chan', 'dave', 'score', 'lots');
+        expect(await incrementUserVariable('chan', 'dave', 'score', 3)).toBe(3);
+    });
+});
@@ -0,0 +1,134 @@
+// tests/unit/customCommands/templateParser.test.js
+import {
+    parseTemplate,
+    splitNodes,
+    splitCondition,
+    evaluateArithmetic,
+    TemplateSyntaxError,
+    MAX_NESTING_DEPTH,
+} from '../../../src/components/customCommands/templateParser.js';
+
+describe('templateParser', () => {
+    describe('parseTemplate', () => {
+        test('returns an empty list for empty input', () => {
+            expect(parseTemplate('')).toEqual([]);
+            expect(parseTemplate(null)).toEqual([]);
+        });
+
+        test('parses text and variables', () => {
+            expect(parseTemplate('Hi $(user)!')).toEqual([
+                { type: 'text', value: 'Hi ' },
+                { type: 'var', name: 'user', args: [], raw: '$(user)', position: 4 },
+                { type: 'text', value: '!' },
+            ]);
+        });
+
+        test('lowercases names and parses nested arguments', () => {
+            const [node] = parseTemplate('$(UPPER hello $(User))');
+            expect(node.name).toBe('upper');
+            expect(node.args).toEqual([
+                { type: 'text', value: 'hello ' },
+                { type: 'var', name: 'user', args: [], raw: '$(User)', position: 15 },
+            ]);
+        });
+
+        test('balances literal parentheses inside arguments', () => {
+            const nodes = parseTemplate('$(lower (a) b) c)');
+            expect(nodes[0].args).toEqual([{ type: 'text', value: '(a) b' }]);
+            expect(nodes[1]).toEqual({ type: 'text', value: ' c)' });
+        });
+
+        test('builds if/else blocks', () => {
+            const [block] = parseTemplate('$(if $(1))yes$(else)no$(endif)');
+            expect(block.type).toBe('if');
+            expect(block.cond).toEqual([{ type: 'var', name: '1', args: [], raw: '$(1)', position: 6 }]);
+            expect(block.then).toEqual([{ type: 'text', value: 'yes' }]);
+            expect(block.else).toEqual([{ type: 'text', value: 'no' }]);
+        });
+
+        test('keeps malformed input as text in lenient mode', () => {
+            expect(parseTemplate('costs $(5.99')).toEqual([{ type: 'text', value: 'costs $(5.99' }]);
+            expect(parseTemplate('$(!x)')).toEqual([{ type: 'text', value: '$(!x)' }]);
+        });
+
+        describe('strict mode', () => {
+            const strictError = (template) => {
+                try {
+                    parseTemplate(template, { strict: true });
+                } catch (error) {
+                    return error;
+                }
+                return null;
+            };
+
+            test.each([
+                ['Hi $(user', '$(user) is missing its closing ")" at position 4'],
+                ['$()', 'Expected a variable name after "$(" at position 1'],
+                ['$(user-name)', 'Invalid character "-" in variable name at position 7'],
+                ['$(if)x$(endif)', '$(if) needs a condition at position 1'],
+                ['$(if $(1))a', '$(if) is missing its $(endif) at position 1'],
+                ['a$(endif)', '$(endif) without a matching $(if) at position 2'],
+                ['$(if 1)a$(else)b$(else)c$(endif)', 'Duplicate $(else) at position 17'],
+            ])('rejects %s', (template, message) => {
+                const error = strictError(template);
+                expect(error).toBeInstanceOf(TemplateSyntaxError);
+                expect(error.message).toBe(message);
+            });
+
+            test('rejects nesting deeper than the limit', () => {
+                const deep = '$(upper '.repeat(MAX_NESTING_DEPTH + 1) + 'x' + ')'.repeat(MAX_NESTING_DEPTH + 1);
+                expect(strictError(deep).message).toContain('nested too deeply');
+
+                const ok = '$(upper '.repeat(MAX_NESTING_DEPTH) + 'x' + ')'.repeat(MAX_NESTING_DEPTH);
+                expect(strictError(ok)).toBeNull();
+            });
+        });
+    });
+
+    describe('splitNodes', () => {
+        test('splits only at top-level text', () => {
+            const [node] = parseTemplate('$(pick a|$(upper b|c)|d)');
+            const parts = splitNodes(node.args, '|');
+            expect(parts).toHaveLength(3);
+            expect(parts[1][0].type).toBe('var');
+            expect(parts[2]).toEqual([{ type: 'text', value: 'd' }]);
+        });
+    });
+
+    describe('splitCondition', () => {
+        test('splits at the first comparison operator', () => {
+            const [block] = parseTemplate('$(if $(count) >= 10)x$(endif)');
+            const { left, operator, right } = splitCondition(block.cond);
+            expect(left[0].name).toBe('count');
+            expect(operator).toBe('>=');
+            expect(right).toEqual([{ type: 'text', value: ' 10' }]);
+        });
+
+        test('returns a null operator for plain values', () => {
+            const [block] = parseTemplate('$(if $(1))x$(endif)');
+            expect(splitCondition(block.cond).operator).toBeNull();
+        });
+    });
+
+    describe('evaluateArithmetic', () => {
+        test.each([
+            ['1 + 2 * 3', 7],
+            ['(1 + 2) * 3', 9],
+            ['-4 + 10', 6],
+            ['10 % 4', 2],
+            ['7 / 2', 3.5],
+            ['--3', 3],
+            ['.5 * 4', 2],
+        ])('evaluates %s', (expression, expected) => {
+            expect(evaluateArithmetic(expression)).toBe(expected);
+        });
+
+        test.each(['', '1 +', '2 * (3', 'abc', '1 2', 'process.exit()'])('rejects %p', (expression) => {
+            expect(() => evaluateArithmetic(expression)).toThrow();
+        });
+
+        test('rejects division by zero', () => {
+            expect(() => evaluateArithmetic('5 / (2 - 2)')).toThrow('Division by zero');
+        });
+    });
+});
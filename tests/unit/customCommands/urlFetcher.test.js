@@ -0,0 +1,136 @@
+// tests/unit/customCommands/urlFetcher.test.js
+import axios from 'axios';
+import {
+    fetchUrlText,
+    extractJsonPath,
+    isPrivateAddress,
+    UrlFetchError,
+    MAX_RESPONSE_BYTES,
+    _clearUrlFetchCache,
+} from '../../../src/components/customCommands/urlFetcher.js';
+import { getUrlFetchHosts } from '../../../src/components/customCommands/customCommandsStorage.js';
+
+jest.mock('axios');
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/messageTruncation.js', () => ({
+    MAX_IRC_MESSAGE_LENGTH: 500,
+    truncateMessage: jest.fn((text, max) => (text.length > max ? `${text.slice(0, max - 3)}...` : text)),
+}));
+jest.mock('../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    getUrlFetchHosts: jest.fn(),
+}));
+
+describe('urlFetcher', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        _clearUrlFetchCache();
+        getUrlFetchHosts.mockResolvedValue(['example.com']);
+        axios.get.mockResolvedValue({ data: 'hello world' });
+    });
+
+    describe('isPrivateAddress', () => {
+        test.each([
+            '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1',
+            '::ffff:127.0.0.1', 'not-an-ip',
+        ])('blocks %s', (address) => {
+            expect(isPrivateAddress(address)).toBe(true);
+        });
+
+        test.each(['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111'])('allows %s', (address) => {
+            expect(isPrivateAddress(address)).toBe(false);
+        });
+    });
+
+    describe('extractJsonPath', () => {
+        const data = { data: { players: [{ name: 'Ana', stats: { kills: 12 } }] }, ok: true };
+
+        test('reads nested keys and array indexes', () => {
+            expect(extractJsonPath(data, 'data.players[0].name')).toBe('Ana');
+            expect(extractJsonPath(data, 'data.players.0.stats.kills')).toBe('12');
+            expect(extractJsonPath(data, 'ok')).toBe('true');
+        });
+
+        test('stringifies objects', () => {
+            expect(extractJsonPath(data, 'data.players[0].stats')).toBe('{"kills":12}');
+        });
+
+        test('throws for missing paths', () => {
+            expect(() => extractJsonPath(data, 'data.missing')).toThrow(UrlFetchError);
+            expect(() => extractJsonPath(data, 'ok.deeper')).toThrow('no value at "ok.deeper"');
+            expect(() => extractJsonPath(data, 'constructor')).toThrow(UrlFetchError);
+        });
+    });
+
+    describe('fetchUrlText', () => {
+        test('fetches allow-listed hosts with safe request options', async () => {
+            await expect(fetchUrlText('chan', 'https://api.example.com/stats')).resolves.toBe('hello world');
+            expect(getUrlFetchHosts).toHaveBeenCalledWith('chan');
+            expect(axios.get).toHaveBeenCalledWith('https://api.example.com/stats', expect.objectContaining({
+                maxRedirects: 0,
+                maxContentLength: MAX_RESPONSE_BYTES,
+                proxy: false,
+                timeout: expect.any(Number),
+                lookup: expect.any(Function),
+            }));
+        });
+
+        test('refuses hosts that are not allow-listed', async () => {
+            await expect(fetchUrlText('chan', 'https://evil.test/')).rejects.toThrow("evil.test is not on this channel's urlfetch allow-list");
+            await expect(fetchUrlText('chan', 'https://notexample.com/')).rejects.toThrow(UrlFetchError);
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+
+        test('refuses other schemes, credentials and private IP literals', async () => {
+            getUrlFetchHosts.mockResolvedValue(['example.com', '127.0.0.1', '169.254.169.254']);
+            await expect(fetchUrlText('chan', 'file:///etc/passwd')).rejects.toThrow('only http and https');
+            await expect(fetchUrlText('chan', 'https://user:pw@example.com/')).rejects.toThrow('credentials');
+            await expect(fetchUrlText('chan', 'http://127.0.0.1:8080/')).rejects.toThrow('private address');
+            await expect(fetchUrlText('chan', 'http://[::ffff:169.254.169.254]/')).rejects.toThrow('private address');
+            await expect(fetchUrlText('chan', 'not a url')).rejects.toThrow('invalid URL');
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+
+        test('the DNS hook rejects hosts that resolve to private addresses', async () => {
+            await fetchUrlText('chan', 'https://example.com/');
+            const { lookup } = axios.get.mock.calls[0][1];
+            const err = await new Promise(resolve => lookup('localhost', {}, resolve));
+            expect(err).toBeInstanceOf(UrlFetchError);
+            expect(err.message).toBe('localhost resolves to a private address');
+        });
+
+        test('extracts a JSON path', async () => {
+            axios.get.mockResolvedValue({ data: '{"data":{"kills":7}}' });
+            await expect(fetchUrlText('chan', 'https://example.com/s', 'data.kills')).resolves.toBe('7');
+        });
+
+        test('reports non-JSON bodies when a path is given', async () => {
+            await expect(fetchUrlText('chan', 'https://example.com/s', 'data')).rejects.toThrow('response is not JSON');
+        });
+
+        test('collapses whitespace and truncates to one chat message', async () => {
+            axios.get.mockResolvedValue({ data: `line one\n\n  line two ${'x'.repeat(600)}` });
+            const text = await fetchUrlText('chan', 'https://example.com/long');
+            expect(text.startsWith('line one line two x')).toBe(true);
+            expect(text).toHaveLength(500);
+        });
+
+        test('caches responses per URL', async () => {
+            await fetchUrlText('chan', 'https://example.com/a');
+            await fetchUrlText('chan', 'https://example.com/a');
+            await fetchUrlText('chan', 'https://example.com/b');
+            expect(axios.get).toHaveBeenCalledTimes(2);
+        });
+
+        test('turns request failures into readable errors', async () => {
+            axios.get.mockRejectedValueOnce(Object.assign(new Error('timeout of 3000ms exceeded'), { code: 'ECONNABORTED' }));
+            await expect(fetchUrlText('chan', 'https://example.com/slow')).rejects.toThrow('example.com timed out');
+
+            axios.get.mockRejectedValueOnce(Object.assign(new Error('Request failed'), { response: { status: 404 } }));
+            await expect(fetchUrlText('chan', 'https://example.com/missing')).rejects.toThrow('example.com returned HTTP 404');
+
+            axios.get.mockRejectedValueOnce(Object.assign(new Error('maxContentLength size of 16384 exceeded'), { code: 'ERR_BAD_RESPONSE' }));
+            await expect(fetchUrlText('chan', 'https://example.com/big')).rejects.toThrow('response is too large');
+        });
+    });
+});
@@ -1,5 +1,5 @@
 // tests/unit/customCommands/variableParser.test.js
-import { parseVariables, formatDuration, formatFollowAge } from '../../../src/components/customCommands/variableParser.js';
+import { parseVariables, parseResponseLines, validateTemplate, findUnknownVariables, formatDuration, formatFollowAge } from '../../../src/components/customCommands/variableParser.js';
 
 // Mock the logger
 jest.mock('../../../src/lib/logger.js', () => ({
@@ -12,6 +12,35 @@ jest.mock('../../../src/lib/logger.js', () => ({
     },
 }));
 
+jest.mock('../../../src/components/customCommands/customCommandsStorage.js', () => ({
+    getCounter: jest.fn(),
+    setCounter: jest.fn(),
+    incrementCounter: jest.fn(),
+    getUserVariable: jest.fn(),
+    setUserVariable: jest.fn(),
+    incrementUserVariable: jest.fn(),
+}));
+
+jest.mock('../../../src/components/customCommands/checkinStorage.js', () => ({
+    getCheckinStats: jest.fn(),
+}));
+
+jest.mock('../../../src/components/customCommands/urlFetcher.js', () => ({
+    fetchUrlText: jest.fn(),
+    UrlFetchError: class UrlFetchError extends Error {},
+}));
+
+import { fetchUrlText, UrlFetchError } from '../../../src/components/customCommands/urlFetcher.js';
+import { getCheckinStats } from '../../../src/components/customCommands/checkinStorage.js';
+import {
+    getCounter,
+    setCounter,
+    incrementCounter,
+    getUserVariable,
+    setUserVariable,
+    incrementUserVariable,
+} from '../../../src/components/customCommands/customCommandsStorage.js';
+
 describe('variableParser', () => {
 
     // =========================================================================
@@ -27,6 +56,10 @@ describe('variableParser', () => {
             getFollowage: null,
         };
 
+        beforeEach(() => {
+            jest.clearAllMocks();
+        });
+
         // --- Edge cases ---
         test('returns empty string for null template', async () => {
             expect(await parseVariables(null, baseContext)).toBe('');
@@ -210,6 +243,30 @@ describe('variableParser', () => {
             expect(result).toBe('1');
         });
 
+        // --- $(checkin_streak) / $(checkin_rank) ---
+        test('resolves check-in streak and rank from the context', async () => {
+            const ctx = { ...baseContext, checkinCount: 30, checkinStreak: 5, checkinRank: 2 };
+            const result = await parseVariables('$(checkin_count) / $(checkin_streak) / $(checkin_rank)', ctx);
+            expect(result).toBe('30 / 5 / #2');
+            expect(getCheckinStats).not.toHaveBeenCalled();
+        });
+
+        test('looks up check-in stats once for commands', async () => {
+            getCheckinStats.mockResolvedValue({ count: 12, streak: 3, bestStreak: 4, rank: 7 });
+            const ctx = { ...baseContext, userId: 'u1' };
+            const result = await parseVariables('$(checkin_count) $(checkin_streak) $(checkin_rank)', ctx);
+            expect(result).toBe('12 3 #7');
+            expect(getCheckinStats).toHaveBeenCalledTimes(1);
+            expect(getCheckinStats).toHaveBeenCalledWith('testchannel', 'u1');
+        });
+
+        test('resolves check-in variables for viewers who never checked in', async () => {
+            getCheckinStats.mockResolvedValue(null);
+            const ctx = { ...baseContext, userId: 'u2' };
+            const result = await parseVariables('$(checkin_streak) $(checkin_rank)', ctx);
+            expect(result).toBe('0 unranked');
+        });
+
         // --- Unknown variables ---
         test('returns unknown variables as-is', async () => {
             const result = await parseVariables('$(foo)', baseContext);
@@ -229,6 +286,249 @@ describe('variableParser', () => {
             const result = await parseVariables('$(user) and $(user)', baseContext);
             expect(result).toBe('TestUser and TestUser');
         });
+
+        // --- Nesting and functions ---
+        test('resolves nested variables', async () => {
+            const result = await parseVariables('$(upper $(user)) and $(lower $(1))', { ...baseContext, args: ['LOUD'] });
+            expect(result).toBe('TESTUSER and loud');
+        });
+
+        test('resolves $(random) with nested bounds', async () => {
+            const result = await parseVariables('$(random $(1)-$(2))', { ...baseContext, args: ['7', '7'] });
+            expect(result).toBe('7');
+        });
+
+        test('keeps literal parentheses inside arguments', async () => {
+            const result = await parseVariables('$(upper hi (there))', baseContext);
+            expect(result).toBe('HI (THERE)');
+        });
+
+        test('$(pick) returns one of the options', async () => {
+            const result = await parseVariables('$(pick rock|paper|scissors)', baseContext);
+            expect(['rock', 'paper', 'scissors']).toContain(result);
+        });
+
+        test('$(pick) only evaluates the chosen option', async () => {
+            const getFollowage = jest.fn().mockResolvedValue('1 year');
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            try {
+                const result = await parseVariables('$(pick first|$(followage))', { ...baseContext, getFollowage });
+                expect(result).toBe('first');
+                expect(getFollowage).not.toHaveBeenCalled();
+            } finally {
+                Math.random.mockRestore();
+            }
+        });
+
+        test('$(pick) does not split on | inside nested variables', async () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.99);
+            try {
+                const result = await parseVariables('$(pick a|$(upper b|c))', baseContext);
+                expect(result).toBe('B|C');
+            } finally {
+                Math.random.mockRestore();
+            }
+        });
+
+        test('$(touser) uses the first argument without @', async () => {
+            const result = await parseVariables('$(user) hugs $(touser)', { ...baseContext, args: ['@Friend'] });
+            expect(result).toBe('TestUser hugs Friend');
+        });
+
+        test('$(touser) falls back to the given text, then the user', async () => {
+            const ctx = { ...baseContext, args: [] };
+            expect(await parseVariables('$(touser everyone)', ctx)).toBe('everyone');
+            expect(await parseVariables('$(touser)', ctx)).toBe('TestUser');
+        });
+
+        test('$(math) evaluates arithmetic with nested variables', async () => {
+            const result = await parseVariables('$(math ($(count) + 8) / 5 * 2)', baseContext);
+            expect(result).toBe('20');
+        });
+
+        test('$(math) rounds fractions to two decimals', async () => {
+            expect(await parseVariables('$(math 10 / 3)', baseContext)).toBe('3.33');
+        });
+
+        test('$(math) resolves to empty string on invalid input', async () => {
+            expect(await parseVariables('[$(math 1 / 0)] [$(math $(1) + 1)]', { ...baseContext, args: ['abc'] })).toBe('[] []');
+        });
+
+        test('$(truncate) shortens long text', async () => {
+            expect(await parseVariables('$(truncate 5 $(args))', { ...baseContext, args: ['abcdefgh'] })).toBe('abcde...');
+            expect(await parseVariables('$(truncate 10 short)', baseContext)).toBe('short');
+        });
+
+        // --- Conditionals ---
+        test('$(if) picks the then-branch when the value is present', async () => {
+            const template = '$(if $(1))Hi $(1)!$(else)Hi nobody!$(endif)';
+            expect(await parseVariables(template, baseContext)).toBe('Hi arg1!');
+            expect(await parseVariables(template, { ...baseContext, args: [] })).toBe('Hi nobody!');
+        });
+
+        test('$(if) compares numbers numerically', async () => {
+            const template = '$(if $(count) >= 100)veteran$(else)rookie$(endif)';
+            expect(await parseVariables(template, { ...baseContext, useCount: 100 })).toBe('veteran');
+            expect(await parseVariables(template, { ...baseContext, useCount: 9 })).toBe('rookie');
+        });
+
+        test('$(if) compares text case-insensitively', async () => {
+            const template = '$(if $(game) == just chatting)chatting$(else)gaming$(endif)';
+            const ctx = { ...baseContext, streamContext: { game: 'Just Chatting' } };
+            expect(await parseVariables(template, ctx)).toBe('chatting');
+        });
+
+        test('$(if) ignores operators that come from argument values', async () => {
+            const template = '$(if $(1))yes$(else)no$(endif)';
+            expect(await parseVariables(template, { ...baseContext, args: ['0==0'] })).toBe('yes');
+        });
+
+        test('supports nested conditionals', async () => {
+            const template = '$(if $(1) == a)A$(if $(2) == b)B$(endif)$(else)other$(endif)';
+            expect(await parseVariables(template, { ...baseContext, args: ['a', 'b'] })).toBe('AB');
+            expect(await parseVariables(template, { ...baseContext, args: ['a', 'x'] })).toBe('A');
+            expect(await parseVariables(template, { ...baseContext, args: ['z'] })).toBe('other');
+        });
+
+        // --- $(counter) and $(uservar) ---
+        test('$(counter name) reads a counter', async () => {
+            getCounter.mockResolvedValue(12);
+            expect(await parseVariables('Deaths: $(counter deaths)', baseContext)).toBe('Deaths: 12');
+            expect(getCounter).toHaveBeenCalledWith('testchannel', 'deaths');
+        });
+
+        test('$(counter name +N/-N/=N) changes the counter', async () => {
+            incrementCounter.mockResolvedValueOnce(13).mockResolvedValueOnce(10);
+            setCounter.mockResolvedValue(0);
+            expect(await parseVariables('$(counter Deaths +1)', baseContext)).toBe('13');
+            expect(incrementCounter).toHaveBeenLastCalledWith('testchannel', 'deaths', 1);
+            expect(await parseVariables('$(counter deaths -3)', baseContext)).toBe('10');
+            expect(incrementCounter).toHaveBeenLastCalledWith('testchannel', 'deaths', -3);
+            expect(await parseVariables('$(counter deaths =0)', baseContext)).toBe('0');
+            expect(setCounter).toHaveBeenCalledWith('testchannel', 'deaths', 0);
+        });
+
+        test('$(counter) takes its amount from nested variables', async () => {
+            incrementCounter.mockResolvedValue(25);
+            expect(await parseVariables('$(counter pushups +$(1))', { ...baseContext, args: ['5'] })).toBe('25');
+            expect(incrementCounter).toHaveBeenCalledWith('testchannel', 'pushups', 5);
+        });
+
+        test('$(counter) with a bad amount is left as-is', async () => {
+            expect(await parseVariables('$(counter deaths +lots)', baseContext)).toBe('$(counter deaths +lots)');
+            expect(incrementCounter).not.toHaveBeenCalled();
+        });
+
+        test('$(uservar) reads and changes the triggering user\'s variable', async () => {
+            const ctx = { ...baseContext, username: 'testuser_login' };
+            getUserVariable.mockResolvedValueOnce(40).mockResolvedValueOnce(null);
+            incrementUserVariable.mockResolvedValue(45);
+            setUserVariable.mockResolvedValue('Mercy');
+
+            expect(await parseVariables('$(uservar pushups)', ctx)).toBe('40');
+            expect(getUserVariable).toHaveBeenCalledWith('testchannel', 'testuser_login', 'pushups');
+            expect(await parseVariables('[$(uservar main)]', ctx)).toBe('[]');
+            expect(await parseVariables('$(uservar pushups +5)', ctx)).toBe('45');
+            expect(incrementUserVariable).toHaveBeenCalledWith('testchannel', 'testuser_login', 'pushups', 5);
+            expect(await parseVariables('$(uservar main = $(1))', { ...ctx, args: ['Mercy'] })).toBe('Mercy');
+            expect(setUserVariable).toHaveBeenCalledWith('testchannel', 'testuser_login', 'main', 'Mercy');
+        });
+
+        test('$(uservar) falls back to the display name when no login is given', async () => {
+            getUserVariable.mockResolvedValue(1);
+            await parseVariables('$(uservar wins)', baseContext);
+            expect(getUserVariable).toHaveBeenCalledWith('testchannel', 'testuser', 'wins');
+        });
+
+        test('storage errors resolve to an empty string', async () => {
+            incrementCounter.mockRejectedValue(new Error('Firestore down'));
+            expect(await parseVariables('[$(counter deaths +1)]', baseContext)).toBe('[]');
+        });
+
+        // --- $(urlfetch) ---
+        test('$(urlfetch) returns the fetched text', async () => {
+            fetchUrlText.mockResolvedValue('Rank: Diamond');
+            const result = await parseVariables('$(user) is $(urlfetch https://api.example.com/rank?u=$(user))', baseContext);
+            expect(result).toBe('TestUser is Rank: Diamond');
+            expect(fetchUrlText).toHaveBeenCalledWith('testchannel', 'https://api.example.com/rank?u=TestUser', null);
+        });
+
+        test('$(urlfetch) passes a JSON path', async () => {
+            fetchUrlText.mockResolvedValue('42');
+            expect(await parseVariables('$(urlfetch https://api.example.com/stats data.kills)', baseContext)).toBe('42');
+            expect(fetchUrlText).toHaveBeenCalledWith('testchannel', 'https://api.example.com/stats', 'data.kills');
+        });
+
+        test('$(urlfetch) shows why a fetch was refused', async () => {
+            fetchUrlText.mockRejectedValue(new UrlFetchError('evil.example is not on this channel\'s urlfetch allow-list'));
+            expect(await parseVariables('$(urlfetch https://evil.example/)', baseContext))
+                .toBe('(urlfetch: evil.example is not on this channel\'s urlfetch allow-list)');
+        });
+
+        // --- Malformed templates saved before validation existed ---
+        test('keeps an unclosed variable as literal text', async () => {
+            expect(await parseVariables('Hello $(user', baseContext)).toBe('Hello $(user');
+            expect(await parseVariables('$(upper $(user)', baseContext)).toBe('$(upper TestUser');
+        });
+
+        test('keeps unmatched $(else) and $(endif) as-is', async () => {
+            expect(await parseVariables('a $(else) b $(endif)', baseContext)).toBe('a $(else) b $(endif)');
+        });
+    });
+
+    // =========================================================================
+    // parseResponseLines
+    // =========================================================================
+    describe('parseResponseLines', () => {
+        const context = { user: 'TestUser', channel: 'testchannel', args: ['a||b'] };
+
+        test('splits a response into resolved lines', async () => {
+            expect(await parseResponseLines('Hi $(user)! || Welcome to $(channel)', context))
+                .toEqual(['Hi TestUser!', 'Welcome to testchannel']);
+            expect(await parseResponseLines('Just one line', context)).toEqual(['Just one line']);
+        });
+
+        test('splits before resolving, so values cannot add lines', async () => {
+            expect(await parseResponseLines('You said $(1)', context)).toEqual(['You said a||b']);
+        });
+
+        test('keeps separators inside variables and conditionals', async () => {
+            expect(await parseResponseLines('$(if $(1))one || two$(endif)||three', context))
+                .toEqual(['one || two', 'three']);
+        });
+
+        test('drops empty lines and caps the number of lines', async () => {
+            expect(await parseResponseLines('a |||| b ||', context)).toEqual(['a', 'b']);
+            expect(await parseResponseLines('1||2||3||4||5||6||7', context)).toEqual(['1', '2', '3', '4', '5']);
+            expect(await parseResponseLines(null, context)).toEqual([]);
+        });
+    });
+
+    // =========================================================================
+    // validateTemplate
+    // =========================================================================
+    describe('validateTemplate', () => {
+        test('returns null for valid templates', () => {
+            expect(validateTemplate('Hello $(user)!')).toBeNull();
+            expect(validateTemplate('Death #$(counter deaths +1), you: $(uservar deaths +1)')).toBeNull();
+            expect(validateTemplate('$(if $(1))$(touser)$(else)$(pick a|b)$(endif) $(math 1+2)')).toBeNull();
+            expect(validateTemplate('No variables here')).toBeNull();
+        });
+
+        test('reports syntax errors with a position', () => {
+            expect(validateTemplate('Hi $(user')).toBe('$(user) is missing its closing ")" at position 4');
+            expect(validateTemplate('Hi $(else)')).toBe('$(else) without a matching $(if) at position 4');
+        });
+
+        test('reports unknown variables, including nested ones', () => {
+            expect(validateTemplate('$(upper $(nope))')).toBe('Unknown variable $(nope) at position 9');
+        });
+
+        test('findUnknownVariables lists every unknown variable once', () => {
+            expect(findUnknownVariables('$(weather $(query)) $(if $(eval))$(user)$(endif) $(query)'))
+                .toEqual(['weather', 'query', 'eval']);
+            expect(findUnknownVariables('Hello $(user)')).toEqual([]);
+        });
     });
 
     // =========================================================================
@@ -11,7 +11,7 @@ jest.mock('../../../src/components/llm/inferenceHistoryStorage.js');
 
 import { handleCheckinRedemption } from '../../../src/handlers/checkinHandler.js';
 import { enqueueMessage } from '../../../src/lib/ircSender.js';
-import { getCheckinConfig, recordCheckin } from '../../../src/components/customCommands/checkinStorage.js';
+import { getCheckinConfig, getCheckinPeriod, getCheckinRank, recordCheckin } from '../../../src/components/customCommands/checkinStorage.js';
 import { parseVariables } from '../../../src/components/customCommands/variableParser.js';
 import { resolvePrompt } from '../../../src/components/customCommands/promptResolver.js';
 import { getContextManager } from '../../../src/components/context/contextManager.js';
@@ -26,6 +26,8 @@ describe('checkinHandler', () => {
         user_name: 'TestViewer',
     };
 
+    const period = { current: 'day:2026-10-18', previous: 'day:2026-10-17' };
+
     const mockContextManager = {
         getContextForLLM: jest.fn(),
         getBotLanguage: jest.fn(),
@@ -38,6 +40,8 @@ describe('checkinHandler', () => {
         mockContextManager.getContextForLLM.mockReturnValue({ channelName: 'testchannel', streamGame: 'Just Chatting', recentChatHistory: 'user1: hello\nuser2: hey' });
         mockContextManager.getBotLanguage.mockReturnValue(null);
         buildContextPrompt.mockReturnValue('Channel: testchannel\nGame: Just Chatting');
+        getCheckinPeriod.mockResolvedValue(period);
+        getCheckinRank.mockResolvedValue(3);
     });
 
     // ─── Guard clauses ──────────────────────────────────────────────────────
@@ -95,7 +99,7 @@ describe('checkinHandler', () => {
 
             await handleCheckinRedemption(baseEvent);
 
-            expect(recordCheckin).toHaveBeenCalledWith('testchannel', 'user-456', 'TestViewer');
+            expect(recordCheckin).toHaveBeenCalledWith('testchannel', 'user-456', 'TestViewer', period);
             expect(parseVariables).toHaveBeenCalledWith(
                 '$(user) checked in! Day #$(checkin_count)',
                 expect.objectContaining({
@@ -143,7 +147,51 @@ describe('checkinHandler', () => {
 
             await handleCheckinRedemption(event);
 
-            expect(recordCheckin).toHaveBeenCalledWith('testchannel', 'user-456', 'testlogin');
+            expect(recordCheckin).toHaveBeenCalledWith('testchannel', 'user-456', 'testlogin', period);
+        });
+    });
+
+    // ─── Streaks and milestones ─────────────────────────────────────────────
+
+    describe('streaks and milestones', () => {
+        beforeEach(() => {
+            recordCheckin.mockResolvedValue({ count: 25, isNew: false, streak: 4, bestStreak: 6 });
+        });
+
+        test('counts streaks in the configured mode and passes streak and rank to the template', async () => {
+            getCheckinConfig.mockResolvedValue({ enabled: true, rewardId: 'reward-123', streakMode: 'stream', milestones: [] });
+
+            await handleCheckinRedemption(baseEvent);
+
+            expect(getCheckinPeriod).toHaveBeenCalledWith('testchannel', 'stream');
+            expect(getCheckinRank).toHaveBeenCalledWith('testchannel', 25);
+            expect(enqueueMessage).toHaveBeenCalledTimes(1);
+        });
+
+        test('sends the milestone message after the response at a milestone count', async () => {
+            getCheckinConfig.mockResolvedValue({
+                enabled: true,
+                rewardId: 'reward-123',
+                responseTemplate: 'Thanks $(user)!',
+                milestones: [10, 25],
+                milestoneTemplate: '$(user) hit $(checkin_count), streak $(checkin_streak)!',
+            });
+
+            await handleCheckinRedemption(baseEvent);
+
+            expect(parseVariables).toHaveBeenLastCalledWith('$(user) hit $(checkin_count), streak $(checkin_streak)!',
+                expect.objectContaining({ checkinCount: 25, checkinStreak: 4, checkinRank: 3 }));
+            expect(enqueueMessage).toHaveBeenNthCalledWith(1, '#testchannel', 'Thanks $(user)!');
+            expect(enqueueMessage).toHaveBeenNthCalledWith(2, '#testchannel', '$(user) hit $(checkin_count), streak $(checkin_streak)!');
+        });
+
+        test('sends no milestone message until milestones are turned on', async () => {
+            getCheckinConfig.mockResolvedValue({ enabled: true, rewardId: 'reward-123', responseTemplate: 'Thanks $(user)!' });
+
+            await handleCheckinRedemption(baseEvent);
+
+            expect(enqueueMessage).toHaveBeenCalledTimes(1);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Thanks $(user)!');
         });
     });
 
@@ -281,17 +329,20 @@ describe('checkinHandler', () => {
                 useAi: false,
                 responseTemplate: 'template',
             });
-            recordCheckin.mockResolvedValue({ count: 42, isNew: false });
+            recordCheckin.mockResolvedValue({ count: 42, isNew: false, streak: 2, bestStreak: 5 });
             parseVariables.mockResolvedValue('resolved');
 
             await handleCheckinRedemption(baseEvent);
 
             expect(parseVariables).toHaveBeenCalledWith('template', {
                 user: 'TestViewer',
+                username: 'testviewer',
                 channel: 'testchannel',
                 args: [],
                 useCount: 42,
                 checkinCount: 42,
+                checkinStreak: 2,
+                checkinRank: 3,
                 userPronouns: expect.any(Object)
             });
         });
@@ -0,0 +1,110 @@
+// tests/unit/handlers/rewardHandler.test.js
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/ircSender.js');
+jest.mock('../../../src/components/rewards/rewardStorage.js', () => ({
+    getRewardByTwitchId: jest.fn(),
+    recordRewardUse: jest.fn(),
+}));
+jest.mock('../../../src/components/rewards/rewardActions.js', () => ({
+    runRewardAction: jest.fn(),
+}));
+jest.mock('../../../src/components/twitch/channelPoints.js', () => ({
+    completeRedemption: jest.fn(),
+}));
+
+import { handleRewardRedemption } from '../../../src/handlers/rewardHandler.js';
+import { enqueueMessage } from '../../../src/lib/ircSender.js';
+import { getRewardByTwitchId, recordRewardUse } from '../../../src/components/rewards/rewardStorage.js';
+import { runRewardAction } from '../../../src/components/rewards/rewardActions.js';
+import { completeRedemption } from '../../../src/components/twitch/channelPoints.js';
+import { getLlmUsageContext } from '../../../src/components/llm/llmUsage.js';
+
+describe('rewardHandler', () => {
+    const baseEvent = {
+        id: 'redemption-1',
+        broadcaster_user_login: 'TestChannel',
+        reward: { id: 'reward-123', title: 'Hydrate' },
+        user_id: 'user-456',
+        user_login: 'testviewer',
+        user_name: 'TestViewer',
+        user_input: '  extra ice  ',
+        status: 'unfulfilled',
+    };
+    const managedReward = {
+        name: 'hydrate',
+        rewardId: 'reward-123',
+        title: 'Hydrate',
+        action: { type: 'counter', counter: 'sips', amount: 1 },
+        managed: true,
+        enabled: true,
+        useCount: 4,
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getRewardByTwitchId.mockResolvedValue(managedReward);
+        runRewardAction.mockResolvedValue({ success: true });
+        completeRedemption.mockResolvedValue(true);
+    });
+
+    test('leaves rewards without an action to other handlers', async () => {
+        getRewardByTwitchId.mockResolvedValue(null);
+
+        await expect(handleRewardRedemption(baseEvent)).resolves.toBe(false);
+        await expect(handleRewardRedemption({ ...baseEvent, reward: {} })).resolves.toBe(false);
+        expect(runRewardAction).not.toHaveBeenCalled();
+    });
+
+    test('runs the action and fulfils the redemption', async () => {
+        let usage;
+        runRewardAction.mockImplementation(async () => {
+            usage = getLlmUsageContext();
+            return { success: true };
+        });
+
+        await expect(handleRewardRedemption(baseEvent)).resolves.toBe(true);
+
+        expect(getRewardByTwitchId).toHaveBeenCalledWith('testchannel', 'reward-123');
+        expect(runRewardAction).toHaveBeenCalledWith({
+            channelName: 'testchannel',
+            rewardName: 'hydrate',
+            userLogin: 'testviewer',
+            userName: 'TestViewer',
+            input: 'extra ice',
+            useCount: 5,
+        }, managedReward.action);
+        expect(usage).toEqual({ channel: 'testchannel', source: 'reward:hydrate' });
+        expect(completeRedemption).toHaveBeenCalledWith('testchannel', 'reward-123', 'redemption-1', true);
+        expect(recordRewardUse).toHaveBeenCalledWith('testchannel', 'hydrate', true);
+        expect(enqueueMessage).not.toHaveBeenCalled();
+    });
+
+    test('refunds a failed action and tells the viewer', async () => {
+        runRewardAction.mockResolvedValue({ success: false, error: 'A game is already running.' });
+
+        await handleRewardRedemption(baseEvent);
+
+        expect(completeRedemption).toHaveBeenCalledWith('testchannel', 'reward-123', 'redemption-1', false);
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            '@TestViewer A game is already running. Your points have been refunded.');
+    });
+
+    test('does not touch the status of rewards made on Twitch or already fulfilled', async () => {
+        runRewardAction.mockResolvedValue({ success: false });
+        getRewardByTwitchId.mockResolvedValueOnce({ ...managedReward, managed: false });
+
+        await handleRewardRedemption(baseEvent);
+        await handleRewardRedemption({ ...baseEvent, status: 'fulfilled' });
+
+        expect(completeRedemption).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', `@TestViewer "Hydrate" didn't work this time.`);
+    });
+
+    test('claims disabled rewards without running them', async () => {
+        getRewardByTwitchId.mockResolvedValue({ ...managedReward, enabled: false });
+
+        await expect(handleRewardRedemption(baseEvent)).resolves.toBe(true);
+        expect(runRewardAction).not.toHaveBeenCalled();
+    });
+});
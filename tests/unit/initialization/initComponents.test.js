@@ -8,6 +8,8 @@ jest.mock('../../../src/components/twitch/channelManager.js');
 jest.mock('../../../src/components/context/languageStorage.js');
 jest.mock('../../../src/components/context/autoChatStorage.js');
 jest.mock('../../../src/components/context/commandStateManager.js');
+jest.mock('../../../src/components/moderation/moderationManager.js');
+jest.mock('../../../src/components/triggers/triggerManager.js');
 jest.mock('../../../src/components/customCommands/customCommandsStorage.js');
 jest.mock('../../../src/components/llm/conversationStorage.js');
 jest.mock('../../../src/components/llm/geminiClient.js');
@@ -37,6 +39,8 @@ import { initializeChannelManager, getActiveManagedChannels } from '../../../src
 import { initializeLanguageStorage } from '../../../src/components/context/languageStorage.js';
 import { initializeAutoChatStorage } from '../../../src/components/context/autoChatStorage.js';
 import { initializeCommandStateManager } from '../../../src/components/context/commandStateManager.js';
+import { initializeModerationManager } from '../../../src/components/moderation/moderationManager.js';
+import { initializeTriggerManager } from '../../../src/components/triggers/triggerManager.js';
 import { initializeCustomCommandsStorage } from '../../../src/components/customCommands/customCommandsStorage.js';
 import { initializeConversationStorage } from '../../../src/components/llm/conversationStorage.js';
 import { initializeGeminiClient, initializeLlmClient } from '../../../src/components/llm/geminiClient.js';
@@ -225,6 +229,8 @@ describe('Component Initialization', () => {
             expect(initializeLanguageStorage).toHaveBeenCalledTimes(1);
             expect(initializeAutoChatStorage).toHaveBeenCalledTimes(1);
             expect(initializeCommandStateManager).toHaveBeenCalledTimes(1);
+            expect(initializeModerationManager).toHaveBeenCalledTimes(1);
+            expect(initializeTriggerManager).toHaveBeenCalledTimes(1);
             expect(initializeCustomCommandsStorage).toHaveBeenCalledTimes(1);
             expect(initializeConversationStorage).toHaveBeenCalledTimes(1);
         });
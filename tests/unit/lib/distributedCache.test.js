@@ -0,0 +1,68 @@
+// tests/unit/lib/distributedCache.test.js
+import {
+    isDuplicateEvent,
+    startStreamSession,
+    getStreamSession,
+    getStreamQuotaUsage,
+    consumeStreamQuota,
+} from '../../../src/lib/distributedCache.js';
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db };
+});
+
+describe('distributedCache', () => {
+    describe('isDuplicateEvent', () => {
+        test('latches a key for the TTL', async () => {
+            await expect(isDuplicateEvent('cooldown:chan:hug', null, 60000, false)).resolves.toBe(false);
+            await expect(isDuplicateEvent('cooldown:chan:hug', null, 60000, false)).resolves.toBe(true);
+        });
+    });
+
+    describe('stream quotas', () => {
+        test('counts uses up to the limit', async () => {
+            const key = 'usage:quota:hug:viewer';
+            await expect(consumeStreamQuota(key, 'quota', 2)).resolves.toBe(true);
+            await expect(consumeStreamQuota(key, 'quota', 2)).resolves.toBe(true);
+            await expect(consumeStreamQuota(key, 'quota', 2)).resolves.toBe(false);
+            await expect(getStreamQuotaUsage(key, 'quota')).resolves.toBe(2);
+        });
+
+        test('a new stream session resets the count', async () => {
+            const key = 'usage:reset:hug:viewer';
+            await startStreamSession('reset');
+            await consumeStreamQuota(key, 'reset', 1);
+            await expect(consumeStreamQuota(key, 'reset', 1)).resolves.toBe(false);
+
+            // Session ids are time-based; make sure the next one differs.
+            await new Promise(resolve => setTimeout(resolve, 2));
+            await startStreamSession('Reset');
+            await expect(getStreamQuotaUsage(key, 'reset')).resolves.toBe(0);
+            await expect(consumeStreamQuota(key, 'reset', 1)).resolves.toBe(true);
+        });
+
+        test('a new session remembers the previous one', async () => {
+            await expect(getStreamSession('chain')).resolves.toBeNull();
+            await startStreamSession('chain');
+            const first = await getStreamSession('chain');
+            expect(first.previousSessionId).toBeNull();
+
+            await new Promise(resolve => setTimeout(resolve, 2));
+            await startStreamSession('chain');
+            await expect(getStreamSession('chain')).resolves.toEqual({
+                sessionId: expect.any(String),
+                previousSessionId: first.sessionId,
+            });
+        });
+
+        test('sessions are per channel', async () => {
+            const key = 'usage:other:hug:viewer';
+            await consumeStreamQuota(key, 'other', 1);
+            await startStreamSession('somewhere-else');
+            await expect(getStreamQuotaUsage(key, 'other')).resolves.toBe(1);
+        });
+    });
+});
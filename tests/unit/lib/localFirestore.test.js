@@ -0,0 +1,269 @@
+// tests/unit/lib/localFirestore.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FieldValue, Timestamp } from '@google-cloud/firestore';
+import { LocalFirestore } from '../../../src/lib/localFirestore.js';
+
+jest.mock('../../../src/lib/logger.js', () => ({
+    __esModule: true,
+    default: { warn: jest.fn(), debug: jest.fn(), info: jest.fn(), error: jest.fn() },
+}));
+
+// Lets queued snapshot deliveries run.
+const flushListeners = () => new Promise(resolve => setImmediate(resolve));
+
+describe('LocalFirestore', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new LocalFirestore();
+    });
+
+    afterEach(async () => {
+        await db.terminate();
+    });
+
+    describe('documents', () => {
+        test('set/get round-trips data and reports missing docs', async () => {
+            const ref = db.collection('quotes').doc('abc');
+            expect((await ref.get()).exists).toBe(false);
+
+            await ref.set({ text: 'hello', nested: { a: 1 } });
+            const snap = await ref.get();
+            expect(snap.exists).toBe(true);
+            expect(snap.id).toBe('abc');
+            expect(snap.data()).toEqual({ text: 'hello', nested: { a: 1 } });
+            expect(snap.get('nested.a')).toBe(1);
+        });
+
+        test('data() returns a copy that cannot mutate the store', async () => {
+            const ref = db.doc('a/b');
+            await ref.set({ list: [1] });
+            (await ref.get()).data().list.push(2);
+            expect((await ref.get()).data().list).toEqual([1]);
+        });
+
+        test('set with merge deep-merges nested maps and applies increments', async () => {
+            const ref = db.collection('stats').doc('user');
+            await ref.set({ channels: { one: { points: 1 } }, name: 'u' });
+            await ref.set({
+                channels: { one: { points: FieldValue.increment(2) }, two: { points: FieldValue.increment(5) } },
+            }, { merge: true });
+
+            expect((await ref.get()).data()).toEqual({
+                name: 'u',
+                channels: { one: { points: 3 }, two: { points: 5 } },
+            });
+        });
+
+        test('set without merge replaces the document', async () => {
+            const ref = db.doc('c/d');
+            await ref.set({ a: 1, b: 2 });
+            await ref.set({ c: 3 });
+            expect((await ref.get()).data()).toEqual({ c: 3 });
+        });
+
+        test('update supports dotted paths, delete and array sentinels', async () => {
+            const ref = db.doc('stats/user');
+            await ref.set({ channels: { one: { points: 1 }, two: { points: 2 } }, tags: ['a'] });
+            await ref.update({
+                'channels.one': FieldValue.delete(),
+                'channels.two.points': FieldValue.increment(1),
+                tags: FieldValue.arrayUnion('a', 'b'),
+            });
+            await ref.update({ tags: FieldValue.arrayRemove('a') });
+
+            expect((await ref.get()).data()).toEqual({ channels: { two: { points: 3 } }, tags: ['b'] });
+        });
+
+        test('update and create enforce document existence', async () => {
+            const ref = db.doc('x/y');
+            await expect(ref.update({ a: 1 })).rejects.toMatchObject({ code: 5 });
+            await ref.create({ a: 1 });
+            await expect(ref.create({ a: 2 })).rejects.toMatchObject({ code: 6 });
+        });
+
+        test('serverTimestamp and Date values are stored as Timestamps', async () => {
+            const ref = db.doc('x/y');
+            await ref.set({ createdAt: FieldValue.serverTimestamp(), expiresAt: new Date(0) });
+            const data = (await ref.get()).data();
+            expect(data.createdAt).toBeInstanceOf(Timestamp);
+            expect(data.expiresAt.toMillis()).toBe(0);
+        });
+
+        test('add() assigns an auto id', async () => {
+            const ref = await db.collection('history').add({ channel: 'a' });
+            expect(ref.id).toMatch(/^[A-Za-z0-9]{20}$/);
+            expect((await ref.get()).data()).toEqual({ channel: 'a' });
+        });
+    });
+
+    describe('queries', () => {
+        beforeEach(async () => {
+            const col = db.collection('history');
+            await col.doc('1').set({ channel: 'a', round: 2, ts: new Date(1000) });
+            await col.doc('2').set({ channel: 'a', round: 1, ts: new Date(3000) });
+            await col.doc('3').set({ channel: 'b', round: 3, ts: new Date(2000) });
+            await col.doc('4').set({ channel: 'a' });
+        });
+
+        test('where + orderBy + limit', async () => {
+            const snap = await db.collection('history')
+                .where('channel', '==', 'a')
+                .orderBy('ts', 'desc')
+                .limit(1)
+                .get();
+            expect(snap.docs.map(d => d.id)).toEqual(['2']);
+        });
+
+        test('orderBy excludes documents without the field', async () => {
+            const snap = await db.collection('history').orderBy('round', 'asc').get();
+            expect(snap.docs.map(d => d.id)).toEqual(['2', '1', '3']);
+        });
+
+        test("'!=' skips documents that lack the field", async () => {
+            const snap = await db.collection('history').where('round', '!=', null).get();
+            expect(snap.size).toBe(3);
+        });
+
+        test('Timestamp comparisons and startAfter pagination', async () => {
+            const cutoff = Timestamp.fromDate(new Date(2500));
+            const older = await db.collection('history').where('ts', '<', cutoff).get();
+            expect(older.docs.map(d => d.id).sort()).toEqual(['1', '3']);
+
+            const first = await db.collection('history').orderBy('round').limit(2).get();
+            const rest = await db.collection('history').orderBy('round').startAfter(first.docs[1]).get();
+            expect(rest.docs.map(d => d.id)).toEqual(['3']);
+        });
+
+        test('collectionGroup matches subcollections and exposes parent ids', async () => {
+            await db.collection('channelTimers').doc('chan').collection('timers').doc('t1').set({ on: true });
+            const snap = await db.collectionGroup('timers').get();
+            expect(snap.size).toBe(1);
+            expect(snap.docs[0].ref.parent.parent.id).toBe('chan');
+        });
+    });
+
+    describe('transactions and batches', () => {
+        test('transaction commits buffered writes and returns the callback result', async () => {
+            const ref = db.doc('processedEvents/key');
+            const result = await db.runTransaction(async (tx) => {
+                const snap = await tx.get(ref);
+                tx.set(ref, { seen: !snap.exists });
+                return 'done';
+            });
+            expect(result).toBe('done');
+            expect((await ref.get()).data()).toEqual({ seen: true });
+        });
+
+        test('a failing transaction writes nothing and later ones still run', async () => {
+            const ref = db.doc('a/b');
+            await expect(db.runTransaction(async (tx) => {
+                tx.set(ref, { a: 1 });
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+            expect((await ref.get()).exists).toBe(false);
+
+            await db.runTransaction(async (tx) => tx.set(ref, { a: 2 }));
+            expect((await ref.get()).data()).toEqual({ a: 2 });
+        });
+
+        test('concurrent transactions are serialized', async () => {
+            const ref = db.doc('counter/c');
+            await ref.set({ n: 0 });
+            const bump = () => db.runTransaction(async (tx) => {
+                const n = (await tx.get(ref)).data().n;
+                await new Promise(resolve => setImmediate(resolve));
+                tx.update(ref, { n: n + 1 });
+            });
+            await Promise.all([bump(), bump(), bump()]);
+            expect((await ref.get()).data().n).toBe(3);
+        });
+
+        test('batch applies all writes', async () => {
+            const batch = db.batch();
+            batch.set(db.doc('a/1'), { v: 1 });
+            batch.set(db.doc('a/2'), { v: 2 });
+            batch.delete(db.doc('a/1'));
+            await batch.commit();
+            const snap = await db.collection('a').get();
+            expect(snap.docs.map(d => d.id)).toEqual(['2']);
+        });
+    });
+
+    describe('onSnapshot', () => {
+        test('delivers initial state then added/modified/removed changes', async () => {
+            const col = db.collection('personas');
+            await col.doc('one').set({ text: 'a' });
+
+            const deliveries = [];
+            const unsubscribe = col.onSnapshot(snapshot => {
+                deliveries.push(snapshot.docChanges().map(c => `${c.type}:${c.doc.id}`));
+            });
+            await flushListeners();
+
+            await col.doc('two').set({ text: 'b' });
+            await flushListeners();
+            await col.doc('one').set({ text: 'changed' });
+            await flushListeners();
+            await col.doc('two').delete();
+            await flushListeners();
+            // A write elsewhere must not produce an empty delivery.
+            await db.doc('other/x').set({ a: 1 });
+            await flushListeners();
+
+            unsubscribe();
+            await col.doc('three').set({});
+            await flushListeners();
+
+            expect(deliveries).toEqual([
+                ['added:one'],
+                ['added:two'],
+                ['modified:one'],
+                ['removed:two'],
+            ]);
+        });
+
+        test('document listeners receive DocumentSnapshots', async () => {
+            const ref = db.doc('botDefaults/persona');
+            const seen = [];
+            const unsubscribe = ref.onSnapshot(snap => seen.push(snap.exists ? snap.data().v : null));
+            await flushListeners();
+            await ref.set({ v: 1 });
+            await flushListeners();
+            unsubscribe();
+            expect(seen).toEqual([null, 1]);
+        });
+    });
+
+    describe('file persistence', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-firestore-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('terminate() flushes to disk and a new client reloads it, dropping expired docs', async () => {
+            const filePath = path.join(dir, 'data', 'store.json');
+            const writer = new LocalFirestore({ filePath });
+            await writer.doc('quotes/1').set({ text: 'hi', createdAt: new Date(5000) });
+            await writer.doc('processedEvents/old').set({ expiresAt: new Date(Date.now() - 1000) });
+            await writer.doc('processedEvents/new').set({ expiresAt: new Date(Date.now() + 60000) });
+            await writer.terminate();
+
+            const reader = new LocalFirestore({ filePath });
+            const quote = (await reader.doc('quotes/1').get()).data();
+            expect(quote.text).toBe('hi');
+            expect(quote.createdAt).toBeInstanceOf(Timestamp);
+            expect(quote.createdAt.toMillis()).toBe(5000);
+            expect((await reader.doc('processedEvents/old').get()).exists).toBe(false);
+            expect((await reader.doc('processedEvents/new').get()).exists).toBe(true);
+            await reader.terminate();
+        });
+    });
+});
@@ -3,6 +3,7 @@ import { getContextManager } from '../../../src/components/context/contextManage
 import { startStreamInfoPolling, stopStreamInfoPolling } from '../../../src/components/twitch/streamInfoPoller.js';
 import { startAutoChatManager, stopAutoChatManager } from '../../../src/components/autoChat/autoChatManager.js';
 import { startTimerManager, stopTimerManager } from '../../../src/components/timers/timerManager.js';
+import { startPointsManager, stopPointsManager } from '../../../src/components/points/pointsManager.js';
 import { startAdSchedulePoller, stopAdSchedulePoller } from '../../../src/components/twitch/adSchedulePoller.js';
 import { listenForChannelChanges } from '../../../src/components/twitch/channelManager.js';
 import { onPersonaChanges } from '../../../src/components/context/personaStorage.js';
@@ -22,6 +23,10 @@ jest.mock('../../../src/components/timers/timerManager.js', () => ({
     startTimerManager: jest.fn(),
     stopTimerManager: jest.fn(),
 }));
+jest.mock('../../../src/components/points/pointsManager.js', () => ({
+    startPointsManager: jest.fn(),
+    stopPointsManager: jest.fn(),
+}));
 jest.mock('../../../src/components/twitch/adSchedulePoller.js', () => ({
     startAdSchedulePoller: jest.fn(),
     stopAdSchedulePoller: jest.fn(),
@@ -76,6 +81,7 @@ describe('LifecycleManager', () => {
             expect(startStreamInfoPolling).toHaveBeenCalled();
             expect(startAutoChatManager).toHaveBeenCalled();
             expect(startTimerManager).toHaveBeenCalled();
+            expect(startPointsManager).toHaveBeenCalled();
             expect(startAdSchedulePoller).toHaveBeenCalled();
             expect(lifecycleManager.isMonitoring).toBe(true);
         });
@@ -106,6 +112,7 @@ describe('LifecycleManager', () => {
             expect(stopStreamInfoPolling).toHaveBeenCalled();
             expect(stopAdSchedulePoller).toHaveBeenCalled();
             expect(stopTimerManager).toHaveBeenCalled();
+            expect(stopPointsManager).toHaveBeenCalled();
             expect(stopAutoChatManager).toHaveBeenCalled();
             expect(lifecycleManager.activeStreams.size).toBe(0);
             expect(lifecycleManager.isMonitoring).toBe(false);
@@ -0,0 +1,207 @@
+// tests/unit/triggers/triggerHandler.test.js
+import triggerHandler from '../../../src/components/commands/handlers/trigger.js';
+
+const { execute } = triggerHandler;
+
+jest.mock('../../../src/components/triggers/triggersStorage.js', () => {
+    const actual = jest.requireActual('../../../src/components/triggers/triggersStorage.js');
+    return {
+        ...actual,
+        addTrigger: jest.fn(),
+        updateTrigger: jest.fn(),
+        removeTrigger: jest.fn(),
+        getTrigger: jest.fn(),
+        getTriggersForChannel: jest.fn(),
+    };
+});
+
+jest.mock('../../../src/lib/logger.js', () => ({
+    __esModule: true,
+    default: { warn: jest.fn(), debug: jest.fn(), info: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../../../src/lib/ircSender.js');
+jest.mock('../../../src/components/customCommands/customCommandsStorage.js');
+
+// triggersStorage is partially mocked above; validateTriggerPattern and the
+// constants come from the real module via requireActual.
+import {
+    addTrigger,
+    updateTrigger,
+    removeTrigger,
+    getTrigger,
+    getTriggersForChannel,
+    TriggersStorageError,
+} from '../../../src/components/triggers/triggersStorage.js';
+import { enqueueMessage } from '../../../src/lib/ircSender.js';
+import logger from '../../../src/lib/logger.js';
+
+describe('trigger handler (!trigger)', () => {
+    const makeContext = (argsString) => ({
+        channel: '#testchannel',
+        user: { username: 'moduser', 'display-name': 'ModUser' },
+        args: argsString ? argsString.split(' ') : [],
+        logger: logger,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        enqueueMessage.mockResolvedValue();
+    });
+
+    test('shows usage when called with no args', async () => {
+        await execute(makeContext(''));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Usage'));
+    });
+
+    test('shows error for unknown subcommand', async () => {
+        await execute(makeContext('foo'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Unknown subcommand'));
+    });
+
+    // =========================================================================
+    // add / addai
+    // =========================================================================
+    test('add accepts a single-word pattern', async () => {
+        addTrigger.mockResolvedValue(true);
+        await execute(makeContext('add gg gg GG $(user)!'));
+        expect(addTrigger).toHaveBeenCalledWith('testchannel', 'gg', {
+            pattern: 'gg', matchType: 'phrase', flags: '', response: 'GG $(user)!', type: 'text',
+        }, 'moduser');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Trigger "gg" has been added and fires on "gg".');
+    });
+
+    test('add accepts a quoted phrase', async () => {
+        addTrigger.mockResolvedValue(true);
+        await execute(makeContext('add goodgame "good game" Well played!'));
+        expect(addTrigger).toHaveBeenCalledWith('testchannel', 'goodgame',
+            expect.objectContaining({ pattern: 'good game', matchType: 'phrase', response: 'Well played!' }), 'moduser');
+    });
+
+    test('add accepts a regex with flags, including escaped slashes', async () => {
+        addTrigger.mockResolvedValue(true);
+        await execute(makeContext('add rank /rank (\\d+)\\/10/i Rank $(1)!'));
+        expect(addTrigger).toHaveBeenCalledWith('testchannel', 'rank',
+            expect.objectContaining({ pattern: 'rank (\\d+)\\/10', matchType: 'regex', flags: 'i', response: 'Rank $(1)!' }),
+            'moduser');
+    });
+
+    test('addai creates a prompt trigger', async () => {
+        addTrigger.mockResolvedValue(true);
+        await execute(makeContext('addai clutch clutch Hype up $(user) for the clutch play'));
+        expect(addTrigger).toHaveBeenCalledWith('testchannel', 'clutch',
+            expect.objectContaining({ type: 'prompt' }), 'moduser');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('AI Mode'));
+    });
+
+    test.each([
+        ['add gg /(a+)+/ boom', 'nested repeats'],
+        ['add gg /(/ boom', 'invalid regex'],
+        ['add gg /x*/ boom', 'matches every message'],
+        ['add gg /gg/g boom', 'flags'],
+    ])('add refuses unsafe or broken regex: %s', async (args, reason) => {
+        await execute(makeContext(args));
+        expect(addTrigger).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining(reason));
+    });
+
+    test('add rejects a missing response', async () => {
+        await execute(makeContext('add gg "good game"'));
+        expect(addTrigger).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('Please specify a pattern'));
+    });
+
+    test('add rejects an invalid template', async () => {
+        await execute(makeContext('add gg gg Hi $(user'));
+        expect(addTrigger).not.toHaveBeenCalled();
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('was not saved'));
+    });
+
+    test('add rejects an invalid name', async () => {
+        await execute(makeContext('add bad-name gg hi'));
+        expect(addTrigger).not.toHaveBeenCalled();
+    });
+
+    test('add reports duplicates', async () => {
+        addTrigger.mockResolvedValue(false);
+        await execute(makeContext('add gg gg hello'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('already exists'));
+    });
+
+    test('add surfaces the per-channel limit', async () => {
+        addTrigger.mockRejectedValue(new TriggersStorageError('Channel testchannel already has the maximum of 25 triggers'));
+        await execute(makeContext('add gg gg hello'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('maximum of 25'));
+    });
+
+    // =========================================================================
+    // edit / pattern / options / enable
+    // =========================================================================
+    test('edit updates the response', async () => {
+        updateTrigger.mockResolvedValue(true);
+        await execute(makeContext('edit gg Good game, $(user)!'));
+        expect(updateTrigger).toHaveBeenCalledWith('testchannel', 'gg', { response: 'Good game, $(user)!' });
+    });
+
+    test('edit reports a missing trigger', async () => {
+        updateTrigger.mockResolvedValue(false);
+        await execute(makeContext('edit nope hi'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', expect.stringContaining('not found'));
+    });
+
+    test('pattern replaces what the trigger matches', async () => {
+        updateTrigger.mockResolvedValue(true);
+        await execute(makeContext('pattern gg /\\bg+g\\b/i'));
+        expect(updateTrigger).toHaveBeenCalledWith('testchannel', 'gg',
+            { pattern: '\\bg+g\\b', matchType: 'regex', flags: 'i' });
+    });
+
+    test('options sets permission and cooldown', async () => {
+        updateTrigger.mockResolvedValue(true);
+        await execute(makeContext('options gg permission=subscriber cooldown=60'));
+        expect(updateTrigger).toHaveBeenCalledWith('testchannel', 'gg', { permission: 'subscriber', cooldownMs: 60000 });
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Trigger "gg" updated: permission=subscriber, cooldown=60s');
+    });
+
+    test('options rejects a cooldown below the minimum', async () => {
+        await execute(makeContext('options gg cooldown=1'));
+        expect(updateTrigger).not.toHaveBeenCalled();
+    });
+
+    test('disable turns a trigger off', async () => {
+        updateTrigger.mockResolvedValue(true);
+        await execute(makeContext('disable gg'));
+        expect(updateTrigger).toHaveBeenCalledWith('testchannel', 'gg', { enabled: false });
+    });
+
+    // =========================================================================
+    // remove / show / list
+    // =========================================================================
+    test('remove deletes a trigger', async () => {
+        removeTrigger.mockResolvedValue(true);
+        await execute(makeContext('remove gg'));
+        expect(removeTrigger).toHaveBeenCalledWith('testchannel', 'gg');
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Trigger "gg" has been removed.');
+    });
+
+    test('show describes the trigger', async () => {
+        getTrigger.mockResolvedValue({
+            name: 'rank', pattern: 'rank (\\d+)', matchType: 'regex', flags: 'i',
+            response: 'Rank $(1)!', type: 'text', permission: 'vip', cooldownMs: 30000,
+        });
+        await execute(makeContext('show rank'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Trigger "rank" — /rank (\\d+)/i, cooldown 30s, vip+: Rank $(1)!');
+    });
+
+    test('list summarises all triggers', async () => {
+        getTriggersForChannel.mockResolvedValue([
+            { name: 'gg', pattern: 'gg', matchType: 'phrase' },
+            { name: 'hype', pattern: 'hype', matchType: 'phrase', type: 'prompt', enabled: false },
+        ]);
+        await execute(makeContext('list'));
+        expect(enqueueMessage).toHaveBeenCalledWith('#testchannel',
+            'Triggers (2): gg ("gg"), hype [AI] ("hype", off)');
+    });
+});
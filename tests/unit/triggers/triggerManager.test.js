@@ -0,0 +1,193 @@
+// tests/unit/triggers/triggerManager.test.js
+import {
+    handleTriggers,
+    findMatchingTrigger,
+    shutdownTriggerManager,
+    _handleTriggerChange,
+    CHANNEL_RATE_LIMIT,
+} from '../../../src/components/triggers/triggerManager.js';
+import { getContextManager } from '../../../src/components/context/contextManager.js';
+import { enqueueMessage } from '../../../src/lib/ircSender.js';
+import { isDuplicateEvent } from '../../../src/lib/distributedCache.js';
+import { resolvePrompt } from '../../../src/components/customCommands/promptResolver.js';
+import { isLlmSourceAllowed } from '../../../src/components/llm/llmUsage.js';
+import { recordTriggerUse } from '../../../src/components/triggers/triggersStorage.js';
+
+jest.mock('../../../src/lib/logger.js', () => ({
+    __esModule: true,
+    default: { warn: jest.fn(), debug: jest.fn(), info: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../src/lib/ircSender.js');
+jest.mock('../../../src/lib/distributedCache.js', () => ({
+    isDuplicateEvent: jest.fn(),
+}));
+jest.mock('../../../src/components/context/contextManager.js');
+jest.mock('../../../src/components/customCommands/promptResolver.js');
+jest.mock('../../../src/components/llm/llmUsage.js', () => ({
+    isLlmSourceAllowed: jest.fn(),
+}));
+jest.mock('../../../src/components/customCommands/customCommandsStorage.js');
+jest.mock('../../../src/components/triggers/triggersStorage.js', () => {
+    const actual = jest.requireActual('../../../src/components/triggers/triggersStorage.js');
+    return {
+        ...actual,
+        loadAllTriggers: jest.fn(async () => new Map()),
+        listenForTriggerChanges: jest.fn(() => jest.fn()),
+        recordTriggerUse: jest.fn(),
+    };
+});
+
+const CHANNEL = 'testchannel';
+const viewer = { username: 'viewer1', 'display-name': 'Viewer1' };
+
+function addTrigger(overrides = {}) {
+    const trigger = {
+        name: 'gg',
+        pattern: 'gg',
+        matchType: 'phrase',
+        flags: '',
+        response: 'GG $(user)!',
+        type: 'text',
+        permission: 'everyone',
+        cooldownMs: 30000,
+        enabled: true,
+        useCount: 0,
+        ...overrides,
+    };
+    _handleTriggerChange({ type: 'added', channelName: CHANNEL, triggerName: trigger.name, trigger });
+    return trigger;
+}
+
+describe('triggerManager', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        shutdownTriggerManager();
+        getContextManager.mockReturnValue({
+            getStreamContextSnapshot: jest.fn(() => null),
+            getBotLanguage: jest.fn(() => null),
+            getContextForLLM: jest.fn(() => ({ recentChatHistory: 'viewer1: gg' })),
+        });
+        enqueueMessage.mockResolvedValue();
+        isDuplicateEvent.mockResolvedValue(false);
+        isLlmSourceAllowed.mockResolvedValue(true);
+        resolvePrompt.mockResolvedValue('What a match!');
+    });
+
+    describe('findMatchingTrigger', () => {
+        test('matches phrases as whole words, ignoring case and spacing', () => {
+            addTrigger({ name: 'goodgame', pattern: 'good game' });
+            expect(findMatchingTrigger(CHANNEL, 'that was a GOOD   game!')?.trigger.name).toBe('goodgame');
+            expect(findMatchingTrigger(CHANNEL, 'good gamer')).toBeNull();
+            expect(findMatchingTrigger(CHANNEL, 'notgood game')).toBeNull();
+        });
+
+        test('matches regex triggers and exposes capture groups', () => {
+            addTrigger({ name: 'rank', pattern: 'rank (\\d+)', matchType: 'regex', flags: 'i' });
+            const found = findMatchingTrigger(CHANNEL, 'we hit RANK 12 today');
+            expect(found.match[1]).toBe('12');
+        });
+
+        test('skips disabled triggers and picks the first by name', () => {
+            addTrigger({ name: 'b_gg' });
+            addTrigger({ name: 'a_gg', enabled: false });
+            expect(findMatchingTrigger(CHANNEL, 'gg').trigger.name).toBe('b_gg');
+        });
+
+        test('drops triggers whose pattern no longer compiles', () => {
+            addTrigger();
+            _handleTriggerChange({
+                type: 'modified', channelName: CHANNEL, triggerName: 'gg',
+                trigger: { name: 'gg', pattern: '(', matchType: 'regex', response: 'x' },
+            });
+            expect(findMatchingTrigger(CHANNEL, 'gg (')).toBeNull();
+        });
+
+        test('forgets removed triggers', () => {
+            addTrigger();
+            _handleTriggerChange({ type: 'removed', channelName: CHANNEL, triggerName: 'gg', trigger: {} });
+            expect(findMatchingTrigger(CHANNEL, 'gg')).toBeNull();
+        });
+    });
+
+    describe('handleTriggers', () => {
+        test('sends the resolved text response and records the use', async () => {
+            addTrigger();
+            await expect(handleTriggers(CHANNEL, viewer, 'gg everyone')).resolves.toBe(true);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'GG Viewer1!', { skipTranslation: false });
+            expect(isDuplicateEvent).toHaveBeenCalledWith('trigger-cooldown:testchannel:gg', null, 30000, false);
+            expect(recordTriggerUse).toHaveBeenCalledWith(CHANNEL, 'gg');
+        });
+
+        test('passes regex captures as positional arguments', async () => {
+            addTrigger({ name: 'rank', pattern: 'rank (\\d+)', matchType: 'regex', response: 'Rank $(1) hype!' });
+            await handleTriggers(CHANNEL, viewer, 'rank 3 reached');
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Rank 3 hype!', expect.any(Object));
+        });
+
+        test('ignores commands', async () => {
+            addTrigger();
+            await expect(handleTriggers(CHANNEL, viewer, '!gg')).resolves.toBe(false);
+            expect(enqueueMessage).not.toHaveBeenCalled();
+        });
+
+        test('respects the permission level', async () => {
+            addTrigger({ permission: 'moderator' });
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(false);
+            await expect(handleTriggers(CHANNEL, { ...viewer, mod: '1' }, 'gg')).resolves.toBe(true);
+        });
+
+        test('stays quiet while the trigger is on cooldown', async () => {
+            addTrigger();
+            isDuplicateEvent.mockResolvedValue(true);
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(false);
+            expect(enqueueMessage).not.toHaveBeenCalled();
+        });
+
+        test('falls through to a later match the sender may use', async () => {
+            addTrigger({ name: 'a_gg', permission: 'moderator', response: 'Mods say GG' });
+            addTrigger({ name: 'b_gg', response: 'GG everyone' });
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(true);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'GG everyone', { skipTranslation: false });
+            expect(isDuplicateEvent).toHaveBeenCalledTimes(1);
+            expect(isDuplicateEvent).toHaveBeenCalledWith('trigger-cooldown:testchannel:b_gg', null, 30000, false);
+        });
+
+        test('falls through to a later match when the first is on cooldown', async () => {
+            addTrigger({ name: 'a_gg', response: 'First GG' });
+            addTrigger({ name: 'b_gg', response: 'Second GG' });
+            isDuplicateEvent.mockImplementation(async (key) => key.endsWith(':a_gg'));
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(true);
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'Second GG', { skipTranslation: false });
+            expect(recordTriggerUse).toHaveBeenCalledWith(CHANNEL, 'b_gg');
+        });
+
+        test('caps how many triggers fire per channel per minute', async () => {
+            addTrigger({ cooldownMs: 0 });
+            for (let i = 0; i < CHANNEL_RATE_LIMIT; i++) {
+                await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(true);
+            }
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(false);
+            expect(enqueueMessage).toHaveBeenCalledTimes(CHANNEL_RATE_LIMIT);
+        });
+
+        test('generates AI responses with the trigger source', async () => {
+            addTrigger({ type: 'prompt', response: 'Cheer on $(user) for the win' });
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(true);
+            expect(resolvePrompt).toHaveBeenCalledWith('Cheer on Viewer1 for the win', null, null, false, {
+                channel: CHANNEL,
+                source: 'trigger:gg',
+                chatContext: 'viewer1: gg',
+            });
+            expect(enqueueMessage).toHaveBeenCalledWith('#testchannel', 'What a match!', { skipTranslation: false });
+        });
+
+        test('skips AI triggers silently when the budget is paused or generation fails', async () => {
+            addTrigger({ type: 'prompt', cooldownMs: 0 });
+            isLlmSourceAllowed.mockResolvedValueOnce(false);
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(false);
+            resolvePrompt.mockResolvedValueOnce(null);
+            await expect(handleTriggers(CHANNEL, viewer, 'gg')).resolves.toBe(false);
+            expect(enqueueMessage).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,99 @@
+// tests/unit/triggers/triggersStorage.test.js
+import {
+    validateTriggerPattern,
+    compileTriggerPattern,
+    addTrigger,
+    getTrigger,
+    getTriggersForChannel,
+    updateTrigger,
+    removeTrigger,
+    loadAllTriggers,
+    MAX_TRIGGERS_PER_CHANNEL,
+    MAX_PATTERN_LENGTH,
+    TriggersStorageError,
+} from '../../../src/components/triggers/triggersStorage.js';
+
+jest.mock('../../../src/lib/logger.js');
+jest.mock('../../../src/lib/firestore.js', () => {
+    const { LocalFirestore } = jest.requireActual('../../../src/lib/localFirestore.js');
+    const { FieldValue, Timestamp } = jest.requireActual('@google-cloud/firestore');
+    const db = new LocalFirestore();
+    return { getFirestore: () => db, FieldValue, Timestamp };
+});
+
+describe('validateTriggerPattern', () => {
+    test('accepts phrases and simple regexes', () => {
+        expect(validateTriggerPattern('good game', 'phrase')).toBeNull();
+        expect(validateTriggerPattern('^f+$', 'regex', 'i')).toBeNull();
+    });
+
+    test('rejects empty and overlong patterns', () => {
+        expect(validateTriggerPattern('  ', 'phrase')).toBe('the pattern is empty');
+        expect(validateTriggerPattern('x'.repeat(MAX_PATTERN_LENGTH + 1), 'phrase')).toContain('characters or fewer');
+    });
+
+    test.each([
+        ['(a+)+', '', 'nested repeats'],
+        ['(\\w*)*x', '', 'nested repeats'],
+        ['(a)\\1', '', 'backreferences'],
+        ['[', '', 'invalid regex'],
+        ['a?', '', 'matches every message'],
+        ['gg', 'g', 'flags'],
+    ])('rejects regex %p (flags %p)', (pattern, flags, reason) => {
+        expect(validateTriggerPattern(pattern, 'regex', flags)).toContain(reason);
+    });
+});
+
+describe('compileTriggerPattern', () => {
+    test('phrases escape regex syntax and match whole words', () => {
+        const regex = compileTriggerPattern({ pattern: 'c++ rocks', matchType: 'phrase' });
+        expect(regex.test('i think C++ rocks!')).toBe(true);
+        expect(regex.test('cc rocks')).toBe(false);
+        expect(regex.test('c++ rockstar')).toBe(false);
+    });
+
+    test('regexes keep their flags', () => {
+        expect(compileTriggerPattern({ pattern: 'GG', matchType: 'regex', flags: 'i' }).test('gg')).toBe(true);
+        expect(compileTriggerPattern({ pattern: 'GG', matchType: 'regex', flags: '' }).test('gg')).toBe(false);
+    });
+});
+
+describe('trigger storage', () => {
+    const definition = { pattern: 'gg', matchType: 'phrase', response: 'GG!', type: 'text' };
+
+    test('adds, reads, updates and removes a trigger', async () => {
+        await expect(addTrigger('crud', 'gg', definition, 'ModUser')).resolves.toBe(true);
+        await expect(addTrigger('crud', 'gg', definition, 'ModUser')).resolves.toBe(false);
+
+        const stored = await getTrigger('crud', 'gg');
+        expect(stored).toEqual(expect.objectContaining({
+            name: 'gg', pattern: 'gg', matchType: 'phrase', flags: '', permission: 'everyone',
+            cooldownMs: 30000, enabled: true, createdBy: 'moduser',
+        }));
+
+        await expect(updateTrigger('crud', 'gg', { cooldownMs: 60000, bogus: 1 })).resolves.toBe(true);
+        const updated = await getTrigger('crud', 'gg');
+        expect(updated.cooldownMs).toBe(60000);
+        expect(updated.bogus).toBeUndefined();
+
+        await expect(removeTrigger('crud', 'gg')).resolves.toBe(true);
+        await expect(getTrigger('crud', 'gg')).resolves.toBeNull();
+        await expect(updateTrigger('crud', 'gg', { enabled: false })).resolves.toBe(false);
+    });
+
+    test('lists triggers by name and loads them per channel', async () => {
+        await addTrigger('listing', 'zeta', definition, 'mod');
+        await addTrigger('listing', 'alpha', definition, 'mod');
+        expect((await getTriggersForChannel('listing')).map(t => t.name)).toEqual(['alpha', 'zeta']);
+
+        const all = await loadAllTriggers();
+        expect([...all.get('listing').keys()].sort()).toEqual(['alpha', 'zeta']);
+    });
+
+    test('enforces the per-channel limit', async () => {
+        for (let i = 0; i < MAX_TRIGGERS_PER_CHANNEL; i++) {
+            await addTrigger('full', `t${i}`, definition, 'mod');
+        }
+        await expect(addTrigger('full', 'onemore', definition, 'mod')).rejects.toThrow(TriggersStorageError);
+    });
+});